@@ -7,7 +7,7 @@
 import { switchView, ViewChangedEvent } from '/js/utils/view.js';
 import { apiRequest } from '/js/utils/api.js';
 import { LoginEvent } from '../pages/login.js';
-import { BalanceChangedEvent, FirstNameChangedEvent } from '/js/utils/events/events.js';
+import { BalanceChangedEvent, FirstNameChangedEvent, NotificationsChangedEvent } from '/js/utils/events/events.js';
 
 /**
  * Navigation configuration.
@@ -19,6 +19,7 @@ const navEntries = [
     { name: 'Swims', group: 'main', id: 'nav-swims', classes: "contrast", action: { run: () => switchView('/swims') } },
 
     { name: 'Admin', group: 'user', id: 'admin-button', classes: "contrast", action: { run: () => switchView('/admin/') } },
+    { name: 'Inbox', group: 'user', id: 'inbox-button', classes: "contrast", action: { run: () => switchView('/notifications') } },
     { name: 'Balance: £0.00', group: 'user', id: 'balance-button', classes: "contrast", action: { run: () => switchView('/profile?tab=balance') } },
     { name: 'Profile', group: 'user', id: 'profile-button', classes: "contrast", action: { run: () => switchView('/profile') } },
     { name: 'Login', group: 'user', id: 'login-button', classes: "contrast", action: { run: () => switchView('/login') } },
@@ -47,6 +48,20 @@ async function updateBalanceInNav() {
     }
 }
 
+/**
+ * Fetches the current user's unread notification count and shows it as a badge on the inbox button.
+ */
+async function updateUnreadInNav() {
+    const inboxButton = document.getElementById('inbox-button');
+    if (!inboxButton) return;
+
+    const data = await apiRequest('GET', '/api/user/notifications/unread-count').catch(() => null);
+    const unread = data?.unread || 0;
+    inboxButton.innerHTML = unread > 0
+        ? `Inbox <span class="nav-badge" aria-label="${unread} unread">${unread > 99 ? '99+' : unread}</span>`
+        : 'Inbox';
+}
+
 /**
  * Updates the 'active' state of navbar items based on the current URL.
  * 
@@ -67,6 +82,7 @@ function updateActiveNav(path) {
         else if (item.id === 'nav-events' && path.startsWith('/events')) match = true;
         else if (item.id === 'nav-files' && path.startsWith('/files')) match = true;
         else if (item.id === 'nav-swims' && path.startsWith('/swims')) match = true;
+        else if (item.id === 'inbox-button' && path.startsWith('/notifications')) match = true;
 
         // Differentiate Balance vs Profile based on query param
         else if (item.id === 'balance-button' && path.startsWith('/profile') && isBalanceTab) match = true;
@@ -122,7 +138,7 @@ async function updateNavOnLoginState(data) {
     const isLoggedIn = data.authenticated;
 
     // Auth-only vs Guest-only items
-    const authIds = ['profile-button', 'balance-button', 'nav-swims'];
+    const authIds = ['profile-button', 'balance-button', 'inbox-button', 'nav-swims'];
     const guestIds = ['login-button'];
 
     authIds.forEach(id => {
@@ -139,7 +155,8 @@ async function updateNavOnLoginState(data) {
         const [userData, swimData] = await Promise.all([
             apiRequest('GET', '/api/user/elements/permissions').catch(() => ({})),
             apiRequest('GET', '/api/user/elements/swims').catch(() => ({ swims: 0 })),
-            updateBalanceInNav()
+            updateBalanceInNav(),
+            updateUnreadInNav()
         ]);
 
         const perms = userData.permissions || [];
@@ -231,10 +248,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     LoginEvent.subscribe(updateNavOnLoginState);
     BalanceChangedEvent.subscribe(updateBalanceInNav);
+    NotificationsChangedEvent.subscribe(updateUnreadInNav);
 
     ViewChangedEvent.subscribe(({ resolvedPath }) => {
         toggleMobileMenu(false);
         updateActiveNav(resolvedPath || window.location.pathname);
+
+        // Pick up notifications raised since the last page change
+        if (!document.getElementById('inbox-button')?.parentElement.classList.contains('hidden')) updateUnreadInNav();
     });
 
     updateActiveNav(window.location.pathname);
@@ -13,6 +13,7 @@ import { renderManageUsers } from './user/manage.js';
 import { renderUserDetail } from './user/detail.js';
 import { renderManageEvents } from './event/manage.js';
 import { renderEventDetail } from './event/detail.js';
+import { renderEmergencySheet } from './event/emergency.js';
 import { renderManageTags } from './tag/manage.js';
 import { renderTagDetail } from './tag/detail.js';
 import { renderManageRoles } from './role/manage.js';
@@ -20,10 +21,19 @@ import { renderRoleDetail } from './role/detail.js';
 import { renderManageGlobals } from './globals.js';
 import { renderAdminFiles } from './files.js';
 import { renderManageSlides } from './slides.js';
+import { renderAttendanceReport } from './reports.js';
+import { renderLedgerReport } from './ledger.js';
+import { renderBankImports, renderBankImportDetail } from './bank.js';
+import { renderPayments } from './payments.js';
+import { renderTransactionBatches, renderTransactionBatchDetail } from './batches.js';
+import { renderAuditLog } from './audit.js';
+import { renderBackups } from './backups.js';
+import { renderRetention } from './retention.js';
 import { requireAuth } from '/js/utils/auth.js';
 import {
     GROUP_SVG, CALENDAR_TODAY_SVG, LOCAL_ACTIVITY_SVG,
-    ID_CARD_SVG, SETTINGS_SVG, FOLDER_SVG, IMAGE_SVG
+    ID_CARD_SVG, SETTINGS_SVG, FOLDER_SVG, IMAGE_SVG, SOCIAL_LEADERBOARD_SVG, SHIELD_SVG, BACKUP_SVG, DELETE_HISTORY_SVG,
+    CURRENCY_POUND_SVG, WALLET_SVG
 } from '../../../images/icons/outline/icons.js';
 
 export const adminContentID = 'admin-content';
@@ -53,6 +63,10 @@ export async function renderAdminNavBar(activeSection) {
     const canManageTransactions = perms.includes('transaction.manage');
     const canManageRoles = perms.includes('role.manage');
     const canManageFiles = perms.includes('document.write') || perms.includes('document.edit');
+    const canViewReports = perms.includes('event.read.all') || perms.includes('event.manage.all');
+    const canViewLedger = perms.includes('transaction.read') || perms.includes('transaction.manage');
+    const canViewAudit = perms.includes('audit.read');
+    const canManageBackups = perms.includes('backup.manage');
     const isExec = perms.length > 0;
 
     const navItem = (link, label, key) => `
@@ -69,9 +83,17 @@ export async function renderAdminNavBar(activeSection) {
             ${(canManageUsers || canManageTransactions || isExec) ? navItem('/admin/users', 'Users', 'users') : ''}
             ${canManageEvents ? navItem('/admin/events', 'Events', 'events') : ''}
             ${canManageEvents ? navItem('/admin/tags', 'Tags', 'tags') : ''}
+            ${canViewReports ? navItem('/admin/reports', 'Reports', 'reports') : ''}
+            ${canViewLedger ? navItem('/admin/ledger', 'Ledger', 'ledger') : ''}
+            ${canViewLedger ? navItem('/admin/bank-imports', 'Bank', 'bank') : ''}
+            ${canViewLedger ? navItem('/admin/payments', 'Payments', 'payments') : ''}
+            ${canViewLedger ? navItem('/admin/transaction-batches', 'Bulk', 'batches') : ''}
             ${canManageFiles ? navItem('/admin/files', 'Files', 'files') : ''}
             ${canManageRoles ? navItem('/admin/roles', 'Roles', 'roles') : ''}
+            ${canViewAudit ? navItem('/admin/audit', 'Audit Log', 'audit') : ''}
+            ${canManageBackups ? navItem('/admin/backups', 'Backups', 'backups') : ''}
             ${isExec ? navItem('/admin/slides', 'Slides', 'slides') : ''}
+            ${isPresident ? navItem('/admin/retention', 'Retention', 'retention') : ''}
             ${isPresident ? navItem('/admin/globals', 'Globals', 'globals') : ''}
         </nav>
     `;
@@ -139,6 +161,10 @@ async function AdminNavigationListener({ viewId, path }) {
     const canManageTransactions = perms.includes('transaction.manage');
     const canManageRoles = perms.includes('role.manage');
     const canManageDocs = perms.includes('document.write') || perms.includes('document.edit');
+    const canViewReports = perms.includes('event.read.all') || perms.includes('event.manage.all');
+    const canViewLedger = perms.includes('transaction.read') || perms.includes('transaction.manage');
+    const canViewAudit = perms.includes('audit.read');
+    const canManageBackups = perms.includes('backup.manage');
     const isExec = perms.length > 0;
     const isPresident = !!statusData;
 
@@ -177,6 +203,12 @@ async function AdminNavigationListener({ viewId, path }) {
         if (cleanPath === '/admin/events') await renderManageEvents();
         else await renderEventDetail(cleanPath.split('/').pop());
 
+        // Emergency Information Sheet
+    } else if (cleanPath.match(/^\/admin\/event\/\d+\/emergency$/)) {
+        if (!canAccessEvents || !perms.includes('event.emergency.read')) return switchView('/unauthorised');
+        updateAdminTitle('Emergency Information');
+        await renderEmergencySheet(cleanPath.split('/')[3]);
+
         // Tags Module
     } else if (cleanPath === '/admin/tags' || cleanPath.match(/^\/admin\/tag\/(new|\d+)$/)) {
         if (!canAccessTags) return switchView('/unauthorised');
@@ -193,6 +225,58 @@ async function AdminNavigationListener({ viewId, path }) {
         if (cleanPath === '/admin/roles') await renderManageRoles();
         else await renderRoleDetail(cleanPath.split('/').pop());
 
+        // Attendance Reports
+    } else if (cleanPath === '/admin/reports') {
+        if (!canViewReports) return switchView('/unauthorised');
+        updateAdminTitle('Reports');
+        await renderAttendanceReport();
+
+        // Ledger Report
+    } else if (cleanPath === '/admin/ledger') {
+        if (!canViewLedger) return switchView('/unauthorised');
+        updateAdminTitle('Ledger');
+        await renderLedgerReport();
+
+        // Bank Statement Imports
+    } else if (cleanPath === '/admin/bank-imports' || cleanPath.match(/^\/admin\/bank-import\/\d+$/)) {
+        if (!canViewLedger) return switchView('/unauthorised');
+        updateAdminTitle(cleanPath.match(/\d+$/) ? 'Reconcile Statement' : 'Bank Statements');
+
+        if (cleanPath === '/admin/bank-imports') await renderBankImports();
+        else await renderBankImportDetail(cleanPath.split('/').pop());
+
+        // Online Payments
+    } else if (cleanPath === '/admin/payments') {
+        if (!canViewLedger) return switchView('/unauthorised');
+        updateAdminTitle('Online Payments');
+        await renderPayments();
+
+        // Bulk Charges and Credits
+    } else if (cleanPath === '/admin/transaction-batches' || cleanPath.match(/^\/admin\/transaction-batch\/\d+$/)) {
+        if (!canViewLedger) return switchView('/unauthorised');
+        updateAdminTitle(cleanPath.match(/\d+$/) ? 'Bulk Entry' : 'Bulk Charges & Credits');
+
+        if (cleanPath === '/admin/transaction-batches') await renderTransactionBatches();
+        else await renderTransactionBatchDetail(cleanPath.split('/').pop());
+
+        // Audit Log
+    } else if (cleanPath === '/admin/audit') {
+        if (!canViewAudit) return switchView('/unauthorised');
+        updateAdminTitle('Audit Log');
+        await renderAuditLog();
+
+        // Backups
+    } else if (cleanPath === '/admin/backups') {
+        if (!canManageBackups) return switchView('/unauthorised');
+        updateAdminTitle('Backups');
+        await renderBackups();
+
+        // Data Retention
+    } else if (cleanPath === '/admin/retention') {
+        if (!canAccessGlobals) return switchView('/unauthorised');
+        updateAdminTitle('Data Retention');
+        await renderRetention();
+
         // Files Module
     } else if (cleanPath === '/admin/files') {
         if (!canAccessDocs) return switchView('/unauthorised');
@@ -219,8 +303,16 @@ async function AdminNavigationListener({ viewId, path }) {
         if (isExec) cardsHtml += createDashboardCard('Slides', 'Homepage slideshow', IMAGE_SVG, '/admin/slides');
         if (canAccessEvents) cardsHtml += createDashboardCard('Events', 'Schedule & attendance', CALENDAR_TODAY_SVG, '/admin/events');
         if (canAccessTags) cardsHtml += createDashboardCard('Tags', 'Event categories & styles', LOCAL_ACTIVITY_SVG, '/admin/tags');
+        if (canViewReports) cardsHtml += createDashboardCard('Reports', 'Attendance & no-shows', SOCIAL_LEADERBOARD_SVG, '/admin/reports');
+        if (canViewLedger) cardsHtml += createDashboardCard('Ledger', 'Income & refunds by category', CURRENCY_POUND_SVG, '/admin/ledger');
+        if (canViewLedger) cardsHtml += createDashboardCard('Bank Statements', 'Import & reconcile transfers', WALLET_SVG, '/admin/bank-imports');
+        if (canViewLedger) cardsHtml += createDashboardCard('Online Payments', 'Pending & failed top-ups', CURRENCY_POUND_SVG, '/admin/payments');
+        if (canViewLedger) cardsHtml += createDashboardCard('Bulk Charges', 'Charge or credit many members', GROUP_SVG, '/admin/transaction-batches');
         if (canAccessDocs) cardsHtml += createDashboardCard('Files', 'Documents & resources', FOLDER_SVG, '/admin/files');
         if (canAccessRoles) cardsHtml += createDashboardCard('Roles', 'User roles & access', ID_CARD_SVG, '/admin/roles');
+        if (canViewAudit) cardsHtml += createDashboardCard('Audit Log', 'Who changed what & when', SHIELD_SVG, '/admin/audit');
+        if (canManageBackups) cardsHtml += createDashboardCard('Backups', 'Snapshots of all club data', BACKUP_SVG, '/admin/backups');
+        if (canAccessGlobals) cardsHtml += createDashboardCard('Data Retention', 'Purge old personal data', DELETE_HISTORY_SVG, '/admin/retention');
         if (canAccessGlobals) cardsHtml += createDashboardCard('Globals', 'System configuration', SETTINGS_SVG, '/admin/globals');
 
         adminContent.innerHTML = `
@@ -0,0 +1,223 @@
+/**
+ * audit.js
+ *
+ * Logic for the administrative audit log view.
+ * Lists who changed what and when, with search, action/target/date filtering
+ * and a before/after summary of each change.
+ *
+ * Registered Route: /admin/audit
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { SEARCH_SVG, FILTER_LIST_SVG } from '../../../images/icons/outline/icons.js';
+import { Pagination } from '/js/widgets/Pagination.js';
+
+const TARGET_TYPES = ['user', 'event', 'transaction', 'tag', 'role', 'global', 'file', 'file_category', 'backup', 'bank_import', 'transaction_batch'];
+
+/**
+ * Main rendering function for the audit log.
+ * Parses current URL state to set initial filters.
+ */
+export async function renderAuditLog() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const urlParams = new URLSearchParams(window.location.search);
+    const search = urlParams.get('search') || '';
+    const action = urlParams.get('action') || '';
+    const targetType = urlParams.get('targetType') || '';
+    const from = urlParams.get('from') || '';
+    const to = urlParams.get('to') || '';
+
+    let actions = [];
+    try {
+        actions = await apiRequest('GET', '/api/admin/audit/actions');
+    } catch (e) {
+        actions = [];
+    }
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('audit')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <div class="search-bar">
+                            <input type="text" id="audit-search-input" placeholder="Search audit log..." value="${escapeText(search)}">
+                            <button id="audit-search-btn" class="search-icon-btn" title="Search">
+                                ${SEARCH_SVG}
+                            </button>
+                        </div>
+                    </div>
+
+                    <div class="toolbar-right">
+                         <button id="toggle-filters-btn" class="small-btn outline secondary">
+                            ${FILTER_LIST_SVG} Filters
+                         </button>
+
+                        <div id="advanced-filters-panel" class="glass-filter-panel hidden">
+                            <div class="filter-grid">
+                                <label>
+                                    Action
+                                    <select id="filter-action">
+                                        <option value="">All Actions</option>
+                                        ${actions.map(a => `<option value="${a}" ${a === action ? 'selected' : ''}>${a}</option>`).join('')}
+                                    </select>
+                                </label>
+                                <label>
+                                    Target
+                                    <select id="filter-target-type">
+                                        <option value="">All Targets</option>
+                                        ${TARGET_TYPES.map(t => `<option value="${t}" ${t === targetType ? 'selected' : ''}>${formatType(t)}</option>`).join('')}
+                                    </select>
+                                </label>
+                                <label>
+                                    From
+                                    <input type="date" id="filter-from" value="${from}">
+                                </label>
+                                <label>
+                                    To
+                                    <input type="date" id="filter-to" value="${to}">
+                                </label>
+                            </div>
+                            <div class="filter-actions">
+                                <button id="apply-filters-btn" class="small-btn">Apply Filters</button>
+                            </div>
+                        </div>
+                    </div>
+                </div>
+            </div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>When</th><th>Actor</th><th>Action</th><th>Target</th><th>Changes</th></tr>
+                        </thead>
+                        <tbody id="audit-table-body">
+                            <tr><td colspan="5" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div id="audit-pagination"></div>
+        </div>
+    `;
+
+    const searchInput = document.getElementById('audit-search-input');
+    const searchBtn = document.getElementById('audit-search-btn');
+
+    searchBtn.onclick = () => updateAuditParams({ search: searchInput.value, page: 1 });
+    searchInput.onkeypress = (e) => { if (e.key === 'Enter') searchBtn.click(); };
+
+    document.getElementById('toggle-filters-btn').onclick = () => {
+        document.getElementById('advanced-filters-panel').classList.toggle('hidden');
+    };
+
+    document.getElementById('apply-filters-btn').onclick = () => {
+        updateAuditParams({
+            action: document.getElementById('filter-action').value,
+            targetType: document.getElementById('filter-target-type').value,
+            from: document.getElementById('filter-from').value,
+            to: document.getElementById('filter-to').value,
+            page: 1
+        });
+    };
+
+    await fetchAndRenderAudit(urlParams);
+}
+
+/**
+ * Updates the browser URL with new query parameters and triggers a table refresh.
+ *
+ * @param {object} updates - Key-value pairs of URL parameters to change.
+ */
+function updateAuditParams(updates) {
+    const params = new URLSearchParams(window.location.search);
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === null || value === undefined || value === '') params.delete(key);
+        else params.set(key, value);
+    }
+    window.history.pushState({}, '', `${window.location.pathname}?${params.toString()}`);
+
+    fetchAndRenderAudit(params);
+}
+
+/**
+ * Fetches a page of the audit log and renders the table rows.
+ *
+ * @param {URLSearchParams} params - Search, filter and page parameters.
+ */
+async function fetchAndRenderAudit(params) {
+    const tbody = document.getElementById('audit-table-body');
+    const page = parseInt(params.get('page')) || 1;
+
+    try {
+        const query = new URLSearchParams({ page, limit: 20 });
+        for (const key of ['search', 'action', 'targetType', 'from', 'to']) {
+            if (params.get(key)) query.set(key, params.get(key));
+        }
+
+        const data = await apiRequest('GET', `/api/admin/audit?${query.toString()}`);
+        const entries = data.entries || [];
+
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-cell">No audit entries found.</td></tr>';
+        } else {
+            tbody.innerHTML = entries.map(entry => `
+                <tr>
+                    <td data-label="When">${new Date(entry.created_at).toLocaleString()}</td>
+                    <td data-label="Actor" class="primary-text">${entry.actor_id ? escapeText(`${entry.actor_first_name ?? ''} ${entry.actor_last_name ?? ''}`.trim() || `User #${entry.actor_id}`) : 'System'}</td>
+                    <td data-label="Action"><span class="badge">${escapeText(entry.action)}</span></td>
+                    <td data-label="Target">${formatType(entry.target_type)} ${entry.target_id ? escapeText(entry.target_id) : ''}</td>
+                    <td data-label="Changes" class="audit-changes">${formatChanges(entry.before, entry.after)}</td>
+                </tr>
+            `).join('');
+        }
+
+        const pager = new Pagination(document.getElementById('audit-pagination'), (newPage) => {
+            updateAuditParams({ page: newPage });
+        });
+        pager.render(page, data.totalPages || 1);
+    } catch (e) {
+        if (tbody) tbody.innerHTML = '<tr><td colspan="5" class="error-cell">Error loading audit log.</td></tr>';
+    }
+}
+
+/**
+ * Summarises an entry's before/after snapshots as one "field: old → new" line per changed field.
+ */
+function formatChanges(before, after) {
+    const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+    if (keys.length === 0) return '<span class="muted">No field changes</span>';
+
+    return keys.map(key => {
+        const oldValue = before && key in before ? formatValue(before[key]) : '—';
+        const newValue = after && key in after ? formatValue(after[key]) : '—';
+        return `<div><strong>${escapeText(key)}</strong>: ${oldValue} → ${newValue}</div>`;
+    }).join('');
+}
+
+/**
+ * Renders a single snapshot value as short, escaped text.
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '<em>empty</em>';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return escapeText(text.length > 80 ? `${text.slice(0, 77)}...` : text);
+}
+
+/**
+ * Turns a target type such as 'file_category' into a label.
+ */
+function formatType(type) {
+    const label = type.replace(/_/g, ' ');
+    return label.charAt(0).toUpperCase() + label.slice(1);
+}
+
+/**
+ * Escapes text logged from user input before it is placed into the table.
+ */
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
@@ -0,0 +1,117 @@
+/**
+ * backups.js
+ *
+ * Logic for the administrative backups view.
+ * Lists the stored backups with their size and kind, lets execs take one on demand
+ * and download any archive. Restoring is done from the command line.
+ *
+ * Registered Route: /admin/backups
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { notify, NotificationTypes } from '/js/components/notification.js';
+import { BACKUP_SVG, CLOUD_DOWNLOAD_SVG } from '../../../images/icons/outline/icons.js';
+
+const KIND_LABELS = {
+    scheduled: 'Scheduled',
+    manual: 'Manual',
+    'pre-restore': 'Before restore'
+};
+
+/**
+ * Main rendering function for the backups view.
+ */
+export async function renderBackups() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('backups')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <p id="backup-policy" class="backup-policy"></p>
+                    </div>
+                    <div class="toolbar-right">
+                        <button id="create-backup-btn" class="small-btn">${BACKUP_SVG} Back up now</button>
+                    </div>
+                </div>
+            </div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Taken</th><th>Kind</th><th>Size</th><th></th></tr>
+                        </thead>
+                        <tbody id="backups-table-body">
+                            <tr><td colspan="4" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    const createBtn = document.getElementById('create-backup-btn');
+    createBtn.onclick = async () => {
+        createBtn.setAttribute('aria-busy', 'true');
+        createBtn.disabled = true;
+        try {
+            await apiRequest('POST', '/api/admin/backups');
+            notify('Backup complete', 'A new backup has been saved.', NotificationTypes.SUCCESS);
+            await fetchAndRenderBackups();
+        } catch (e) {
+            notify('Backup failed', e.message || 'Could not take a backup', NotificationTypes.ERROR);
+        } finally {
+            createBtn.removeAttribute('aria-busy');
+            createBtn.disabled = false;
+        }
+    };
+
+    await fetchAndRenderBackups();
+}
+
+/**
+ * Fetches the list of backups and renders the table and policy summary.
+ */
+async function fetchAndRenderBackups() {
+    const tbody = document.getElementById('backups-table-body');
+    const policyEl = document.getElementById('backup-policy');
+
+    try {
+        const data = await apiRequest('GET', '/api/admin/backups');
+        const { daily, weekly, termly } = data.policy;
+
+        policyEl.textContent = data.intervalHours > 0
+            ? `Backed up every ${data.intervalHours} hours. Keeping the last backup of each of the past ${daily} days, ${weekly} weeks and ${termly} terms.`
+            : 'Scheduled backups are switched off.';
+
+        if (data.backups.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="4" class="empty-cell">No backups yet.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = data.backups.map(backup => `
+            <tr>
+                <td data-label="Taken" class="primary-text">${new Date(backup.created_at).toLocaleString()}</td>
+                <td data-label="Kind"><span class="badge">${KIND_LABELS[backup.kind] || backup.kind}</span></td>
+                <td data-label="Size">${formatSize(backup.size)}</td>
+                <td class="actions-cell">
+                    <a href="/api/admin/backups/${encodeURIComponent(backup.name)}/download" class="small-btn outline secondary" download title="Download">${CLOUD_DOWNLOAD_SVG}</a>
+                </td>
+            </tr>
+        `).join('');
+    } catch (e) {
+        if (tbody) tbody.innerHTML = '<tr><td colspan="4" class="error-cell">Error loading backups.</td></tr>';
+    }
+}
+
+/**
+ * Formats a byte count as KB or MB.
+ */
+function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -0,0 +1,371 @@
+/**
+ * bank.js
+ *
+ * Logic for importing bank statements and reconciling the payments in them.
+ * The list view uploads a CSV statement, lets the treasurer map its columns and lists earlier imports.
+ * The reconciliation view shows each money-in row with the member it was matched to, so the treasurer can
+ * confirm it, pick the right member for ambiguous and unmatched rows, or ignore it.
+ *
+ * Registered Routes: /admin/bank-imports, /admin/bank-import/:id
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { switchView } from '/js/utils/view.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { notify, NotificationTypes } from '/js/components/notification.js';
+import { Panel } from '/js/widgets/panel.js';
+import { UPLOAD_SVG, CHECK_SVG, CLOSE_SVG, ARROW_BACK_IOS_NEW_SVG } from '../../../images/icons/outline/icons.js';
+
+const FIELD_LABELS = {
+    date: 'Date',
+    amount: 'Amount paid in',
+    payee: 'Payee name',
+    reference: 'Payment reference'
+};
+
+const STATUS_BADGES = {
+    matched: '<span class="badge success">Matched</span>',
+    ambiguous: '<span class="badge warning">Ambiguous</span>',
+    unmatched: '<span class="badge danger">Unmatched</span>',
+    confirmed: '<span class="badge primary">Confirmed</span>',
+    ignored: '<span class="badge neutral">Ignored</span>'
+};
+
+/**
+ * Formats an amount as pounds, e.g. £12.50.
+ */
+const money = amount => `£${Number(amount).toFixed(2)}`;
+
+/**
+ * Escapes text from a bank statement before it is placed into the page.
+ */
+function escapeText(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Whether the current user can import statements and confirm payments, rather than only view them.
+ */
+async function canReconcile() {
+    const userData = await apiRequest('GET', '/api/user/elements/permissions', true).catch(() => ({}));
+    const perms = userData.permissions || [];
+    return perms.includes('transaction.write') || perms.includes('transaction.manage');
+}
+
+/**
+ * Main rendering function for the statement list and upload form.
+ */
+export async function renderBankImports() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const canWrite = await canReconcile();
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('bank')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <p class="bank-import-hint">Import a CSV statement exported from the club's bank account. Only money paid in is imported.</p>
+                    </div>
+                    ${canWrite ? `
+                    <div class="toolbar-right">
+                        <input type="file" id="bank-statement-input" accept=".csv,text/csv" hidden>
+                        <button id="bank-upload-btn" class="small-btn">${UPLOAD_SVG} Import statement</button>
+                    </div>` : ''}
+                 </div>
+            </div>
+            <div id="bank-mapping"></div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Imported</th><th>File</th><th>By</th><th>Payments</th><th>To reconcile</th></tr>
+                        </thead>
+                        <tbody id="bank-imports-body">
+                            <tr><td colspan="5" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    if (canWrite) {
+        const input = document.getElementById('bank-statement-input');
+        document.getElementById('bank-upload-btn').onclick = () => input.click();
+        input.onchange = () => {
+            if (input.files[0]) showMapping(input.files[0]);
+            input.value = '';
+        };
+    }
+
+    await fetchAndRenderImports();
+}
+
+/**
+ * Fetches earlier imports and renders them as links to their reconciliation view.
+ */
+async function fetchAndRenderImports() {
+    const tbody = document.getElementById('bank-imports-body');
+
+    try {
+        const imports = await apiRequest('GET', '/api/admin/bank-imports');
+        if (imports.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-cell">No statements imported yet.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = imports.map(i => `
+            <tr class="bank-import-row clickable-row" data-nav="/admin/bank-import/${i.id}">
+                <td data-label="Imported" class="primary-text">${new Date(i.created_at).toLocaleString('en-GB')}</td>
+                <td data-label="File">${escapeText(i.filename || '-')}</td>
+                <td data-label="By">${i.imported_by_first_name ? escapeText(`${i.imported_by_first_name} ${i.imported_by_last_name}`) : '-'}</td>
+                <td data-label="Payments">${i.total}</td>
+                <td data-label="To reconcile">${i.pending > 0 ? `<span class="badge warning">${i.pending}</span>` : '<span class="badge success">Done</span>'}</td>
+            </tr>
+        `).join('');
+    } catch (e) {
+        tbody.innerHTML = '<tr><td colspan="5" class="error-cell">Error loading imports.</td></tr>';
+    }
+}
+
+/**
+ * Previews an uploaded statement and shows the column mapping form, then imports it with the chosen mapping.
+ *
+ * @param {File} file - The statement chosen by the treasurer.
+ */
+async function showMapping(file) {
+    const container = document.getElementById('bank-mapping');
+    const formData = new FormData();
+    formData.append('file', file);
+
+    let preview;
+    try {
+        preview = await apiRequest('POST', '/api/admin/bank-imports/preview', formData);
+    } catch (e) {
+        notify('Import failed', e.message || 'Could not read the statement', NotificationTypes.ERROR);
+        return;
+    }
+
+    const { headers, sample, mapping } = preview;
+    const select = field => `
+        <label>${FIELD_LABELS[field]}
+            <select data-field="${field}">
+                <option value="">Not in this statement</option>
+                ${headers.map(h => `<option value="${escapeText(h)}" ${mapping[field] === h ? 'selected' : ''}>${escapeText(h)}</option>`).join('')}
+            </select>
+        </label>
+    `;
+
+    container.innerHTML = Panel({
+        title: `Map columns: ${escapeText(file.name)}`,
+        icon: UPLOAD_SVG,
+        content: `
+            <div class="bank-mapping-grid">${Object.keys(FIELD_LABELS).map(select).join('')}</div>
+            <div class="table-responsive">
+                <table class="glass-table bank-sample">
+                    <thead><tr>${headers.map(h => `<th>${escapeText(h)}</th>`).join('')}</tr></thead>
+                    <tbody>${sample.map(row => `<tr>${headers.map((h, i) => `<td data-label="${escapeText(h)}">${escapeText(row[i])}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+            <div class="bank-mapping-actions">
+                <button id="bank-cancel-btn" class="small-btn outline secondary">Cancel</button>
+                <button id="bank-import-btn" class="small-btn">${CHECK_SVG} Import</button>
+            </div>
+        `
+    });
+
+    document.getElementById('bank-cancel-btn').onclick = () => { container.innerHTML = ''; };
+
+    const importBtn = document.getElementById('bank-import-btn');
+    importBtn.onclick = async () => {
+        const chosen = {};
+        container.querySelectorAll('select[data-field]').forEach(s => { chosen[s.dataset.field] = s.value || null; });
+
+        const body = new FormData();
+        body.append('file', file);
+        body.append('mapping', JSON.stringify(chosen));
+
+        importBtn.setAttribute('aria-busy', 'true');
+        importBtn.disabled = true;
+        try {
+            const res = await apiRequest('POST', '/api/admin/bank-imports', body);
+            const { id, added, duplicates, invalid } = res.data;
+            const notes = [
+                duplicates > 0 ? `${duplicates} already imported` : null,
+                invalid.length > 0 ? `lines ${invalid.join(', ')} could not be read` : null
+            ].filter(Boolean);
+            notify('Statement imported', `${added} payment${added === 1 ? '' : 's'} to reconcile${notes.length ? ` (${notes.join('; ')})` : ''}.`, NotificationTypes.SUCCESS);
+            switchView(`/admin/bank-import/${id}`);
+        } catch (e) {
+            notify('Import failed', e.message || 'Could not import the statement', NotificationTypes.ERROR);
+            importBtn.removeAttribute('aria-busy');
+            importBtn.disabled = false;
+        }
+    };
+}
+
+/**
+ * Main rendering function for reconciling one imported statement.
+ *
+ * @param {string|number} id - The import's ID.
+ */
+export async function renderBankImportDetail(id) {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const canWrite = await canReconcile();
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('bank')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <button id="bank-back-btn" class="small-btn outline secondary">${ARROW_BACK_IOS_NEW_SVG} Statements</button>
+                        <p id="bank-import-summary" class="bank-import-hint"></p>
+                    </div>
+                    ${canWrite ? `
+                    <div class="toolbar-right">
+                        <button id="bank-confirm-matched-btn" class="small-btn">${CHECK_SVG} Confirm all matched</button>
+                    </div>` : ''}
+                 </div>
+            </div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Date</th><th>Payee</th><th>Reference</th><th>Amount</th><th>Status</th><th>Member</th><th></th></tr>
+                        </thead>
+                        <tbody id="bank-rows-body">
+                            <tr><td colspan="7" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <datalist id="bank-users-datalist"></datalist>
+        </div>
+    `;
+
+    document.getElementById('bank-back-btn').onclick = () => switchView('/admin/bank-imports');
+
+    if (canWrite) {
+        apiRequest('GET', '/api/admin/users?limit=1000').then(usersData => {
+            const datalist = document.getElementById('bank-users-datalist');
+            if (datalist) datalist.innerHTML = (usersData.users || []).map(u => `<option value="${userOption(u)}">`).join('');
+        }).catch(() => { });
+
+        const confirmAllBtn = document.getElementById('bank-confirm-matched-btn');
+        confirmAllBtn.onclick = async () => {
+            confirmAllBtn.setAttribute('aria-busy', 'true');
+            confirmAllBtn.disabled = true;
+            try {
+                const res = await apiRequest('POST', `/api/admin/bank-imports/${id}/confirm-matched`);
+                notify('Payments confirmed', res.message, NotificationTypes.SUCCESS);
+                await fetchAndRenderRows(id, canWrite);
+            } catch (e) {
+                notify('Error', e.message || 'Could not confirm payments', NotificationTypes.ERROR);
+            } finally {
+                confirmAllBtn.removeAttribute('aria-busy');
+                confirmAllBtn.disabled = false;
+            }
+        };
+    }
+
+    await fetchAndRenderRows(id, canWrite);
+}
+
+/**
+ * Formats a member as a datalist option, e.g. "12 - Alice Smith".
+ */
+function userOption(user) {
+    return escapeText(`${user.id} - ${user.first_name} ${user.last_name}`);
+}
+
+/**
+ * Fetches a statement's rows and renders the reconciliation table.
+ * Pending rows get a member picker, pre-filled with the automatic match, and confirm and ignore buttons.
+ *
+ * @param {string|number} id - The import's ID.
+ * @param {boolean} canWrite - Whether to show the reconciliation controls.
+ */
+async function fetchAndRenderRows(id, canWrite) {
+    const tbody = document.getElementById('bank-rows-body');
+    const summaryEl = document.getElementById('bank-import-summary');
+
+    let statement;
+    try {
+        statement = await apiRequest('GET', `/api/admin/bank-imports/${id}`);
+    } catch (e) {
+        tbody.innerHTML = `<tr><td colspan="7" class="error-cell">${escapeText(e.message || 'Error loading statement')}</td></tr>`;
+        return;
+    }
+
+    const pending = statement.rows.filter(r => ['matched', 'ambiguous', 'unmatched'].includes(r.status));
+    summaryEl.textContent = `${statement.filename || 'Statement'} · imported ${new Date(statement.created_at).toLocaleDateString('en-GB')} · ${pending.length} of ${statement.rows.length} to reconcile`;
+
+    tbody.innerHTML = statement.rows.map(row => {
+        const isPending = pending.includes(row);
+        const member = row.user_id ? `${row.first_name} ${row.last_name}` : '';
+        let memberCell = member ? `<a data-nav="/admin/user/${row.user_id}">${escapeText(member)}</a>` : '-';
+
+        if (isPending && canWrite) {
+            const value = row.user_id ? userOption({ id: row.user_id, first_name: row.first_name, last_name: row.last_name }) : '';
+            const hints = row.candidates.map(c => `<button class="bank-candidate" data-fill="${userOption(c)}">${escapeText(`${c.first_name} ${c.last_name}`)}</button>`).join('');
+            memberCell = `
+                <input list="bank-users-datalist" class="bank-member-input" value="${value}" placeholder="Search members..." autocomplete="off">
+                ${hints ? `<div class="bank-candidates">Could be: ${hints}</div>` : ''}
+            `;
+        }
+
+        return `
+            <tr data-row-id="${row.id}">
+                <td data-label="Date">${new Date(`${row.date}T00:00:00`).toLocaleDateString('en-GB')}</td>
+                <td data-label="Payee" class="primary-text">${escapeText(row.payee || '-')}</td>
+                <td data-label="Reference">${escapeText(row.reference || '-')}</td>
+                <td data-label="Amount">${money(row.amount)}</td>
+                <td data-label="Status">${STATUS_BADGES[row.status] || row.status}${row.match_reason ? ` <small>by ${row.match_reason}</small>` : ''}</td>
+                <td data-label="Member">${memberCell}</td>
+                <td class="actions-cell">
+                    ${isPending && canWrite ? `
+                        <button class="small-btn bank-confirm-btn" title="Confirm and credit">${CHECK_SVG}</button>
+                        <button class="small-btn outline secondary bank-ignore-btn" title="Ignore">${CLOSE_SVG}</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `;
+    }).join('') || '<tr><td colspan="7" class="empty-cell">No payments in this statement.</td></tr>';
+
+    tbody.querySelectorAll('.bank-candidate').forEach(btn => {
+        btn.onclick = () => { btn.closest('td').querySelector('.bank-member-input').value = btn.dataset.fill; };
+    });
+
+    tbody.querySelectorAll('.bank-confirm-btn').forEach(btn => {
+        btn.onclick = async () => {
+            const tr = btn.closest('tr');
+            const userId = parseInt(tr.querySelector('.bank-member-input').value.split(' - ')[0]);
+            if (!userId || isNaN(userId)) return notify('Warning', 'Choose the member who made this payment', NotificationTypes.WARNING);
+
+            try {
+                await apiRequest('POST', `/api/admin/bank-import-rows/${tr.dataset.rowId}/confirm`, { userId });
+                notify('Payment confirmed', 'The member has been credited.', NotificationTypes.SUCCESS);
+                await fetchAndRenderRows(id, canWrite);
+            } catch (e) {
+                notify('Error', e.message || 'Could not confirm payment', NotificationTypes.ERROR);
+            }
+        };
+    });
+
+    tbody.querySelectorAll('.bank-ignore-btn').forEach(btn => {
+        btn.onclick = async () => {
+            try {
+                await apiRequest('POST', `/api/admin/bank-import-rows/${btn.closest('tr').dataset.rowId}/ignore`);
+                await fetchAndRenderRows(id, canWrite);
+            } catch (e) {
+                notify('Error', e.message || 'Could not ignore payment', NotificationTypes.ERROR);
+            }
+        };
+    });
+}
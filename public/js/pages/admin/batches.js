@@ -0,0 +1,405 @@
+/**
+ * batches.js
+ *
+ * Logic for charging or crediting many members at once.
+ * The list view builds a batch: who it is for (event attendees, a tag whitelist, a role, club members or user list
+ * filters), a fixed amount each or a total split between them, and the ledger details. A preview shows each
+ * member's amount, where members can be left out, before the batch is applied. Earlier batches are listed below.
+ * The detail view shows a batch's entries and lets a treasurer reverse the whole batch.
+ *
+ * Registered Routes: /admin/transaction-batches, /admin/transaction-batch/:id
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { switchView } from '/js/utils/view.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { notify, NotificationTypes } from '/js/components/notification.js';
+import { showConfirmModal, showReasonModal } from '/js/utils/modal.js';
+import { Panel } from '/js/widgets/panel.js';
+import { TRANSACTION_CATEGORY_LABELS } from './user/tabs/transactions.js';
+import { GROUP_SVG, CHECK_SVG, DELETE_SVG, ARROW_BACK_IOS_NEW_SVG } from '../../../images/icons/outline/icons.js';
+
+const SELECTION_LABELS = {
+    event: 'Event attendees',
+    tag: 'Tag whitelist',
+    role: 'Role',
+    members: 'Club members',
+    query: 'User list filters'
+};
+
+/**
+ * Formats an amount as signed pounds, e.g. -£12.50.
+ */
+const money = amount => `${amount < 0 ? '-' : ''}£${Math.abs(Number(amount)).toFixed(2)}`;
+
+/**
+ * Escapes text before it is placed into the page.
+ */
+function escapeText(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Which batch actions the current user may take: applying needs write access, reversing needs manage access.
+ */
+async function getAccess() {
+    const userData = await apiRequest('GET', '/api/user/elements/permissions', true).catch(() => ({}));
+    const perms = userData.permissions || [];
+    return {
+        canWrite: perms.includes('transaction.write') || perms.includes('transaction.manage'),
+        canReverse: perms.includes('transaction.manage')
+    };
+}
+
+/**
+ * Main rendering function for the batch builder and the list of earlier batches.
+ */
+export async function renderTransactionBatches() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const { canWrite } = await getAccess();
+    const sources = canWrite ? await apiRequest('GET', '/api/admin/transaction-batches/sources').catch(() => ({ events: [], tags: [], roles: [] })) : null;
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('batches')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <p class="batch-hint">Charge or credit a group of members in one go. A batch can be reversed as a whole.</p>
+                    </div>
+                 </div>
+            </div>
+            ${canWrite ? `<div id="batch-builder">${renderBuilder(sources)}</div><div id="batch-preview"></div>` : ''}
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Applied</th><th>Description</th><th>By</th><th>Members</th><th>Total</th><th>Status</th></tr>
+                        </thead>
+                        <tbody id="batches-body">
+                            <tr><td colspan="6" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    if (canWrite) bindBuilder();
+    await fetchAndRenderBatches();
+}
+
+/**
+ * Renders the form choosing who a batch is for, the amount and the ledger details.
+ */
+function renderBuilder(sources) {
+    const sourceOptions = {
+        event: sources.events.map(e => `<option value="${e.id}">${escapeText(e.title)} (${new Date(e.start).toLocaleDateString('en-GB')}, ${e.attendees} attending)</option>`),
+        tag: sources.tags.map(t => `<option value="${t.id}">${escapeText(t.name)} (${t.members})</option>`),
+        role: sources.roles.map(r => `<option value="${r.id}">${escapeText(r.name)} (${r.members})</option>`)
+    };
+
+    return Panel({
+        title: 'New Bulk Entry',
+        icon: GROUP_SVG,
+        content: `
+            <div class="batch-form-grid">
+                <label>Who
+                    <select id="batch-type">
+                        ${Object.entries(SELECTION_LABELS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+                    </select>
+                </label>
+                ${Object.entries(sourceOptions).map(([type, options]) => `
+                <label class="batch-source" data-for="${type}">${SELECTION_LABELS[type]}
+                    <select id="batch-${type}-id">${options.length ? options.join('') : '<option value="">None available</option>'}</select>
+                </label>`).join('')}
+                <label class="batch-source" data-for="query">Search
+                    <input type="text" id="batch-query-search" placeholder="Name or email">
+                </label>
+                <label class="batch-source" data-for="query">Membership
+                    <select id="batch-query-member">
+                        <option value="">Anyone</option>
+                        <option value="true">Members</option>
+                        <option value="false">Non-members</option>
+                    </select>
+                </label>
+                <label class="batch-source" data-for="query">Balance
+                    <select id="batch-query-debt">
+                        <option value="">Any balance</option>
+                        <option value="true">In debt</option>
+                    </select>
+                </label>
+                <label>Charge or credit
+                    <select id="batch-kind">
+                        <option value="charge">Charge</option>
+                        <option value="credit">Credit</option>
+                    </select>
+                </label>
+                <label>Amount
+                    <select id="batch-mode">
+                        <option value="fixed">Fixed amount each</option>
+                        <option value="split">Split a total equally</option>
+                    </select>
+                </label>
+                <label>£
+                    <input type="number" id="batch-amount" min="0.01" step="0.01" placeholder="0.00">
+                </label>
+                <label>Description
+                    <input type="text" id="batch-description" maxlength="100" placeholder="e.g. Fuel for the trip">
+                </label>
+                <label>Category
+                    <select id="batch-category">
+                        ${Object.entries(TRANSACTION_CATEGORY_LABELS).map(([value, label]) => `<option value="${value}" ${value === 'event' ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>Counterpart
+                    <input type="text" id="batch-counterpart" maxlength="100" placeholder="Optional">
+                </label>
+                <label>Reference
+                    <input type="text" id="batch-reference" maxlength="100" placeholder="Optional">
+                </label>
+            </div>
+            <div class="batch-actions">
+                <button id="batch-preview-btn" class="small-btn">${GROUP_SVG} Preview</button>
+            </div>
+        `
+    });
+}
+
+/**
+ * Wires up the batch form: showing the inputs for the chosen selection and previewing the batch.
+ */
+function bindBuilder() {
+    const typeSelect = document.getElementById('batch-type');
+    const showSources = () => {
+        document.querySelectorAll('.batch-source').forEach(el => el.classList.toggle('hidden', el.dataset.for !== typeSelect.value));
+    };
+    typeSelect.onchange = showSources;
+    showSources();
+
+    document.getElementById('batch-kind').onchange = (e) => {
+        document.getElementById('batch-category').value = e.target.value === 'credit' ? 'refund' : 'event';
+    };
+
+    const excluded = new Set();
+    document.getElementById('batch-builder').oninput = () => {
+        excluded.clear();
+        document.getElementById('batch-preview').innerHTML = '';
+    };
+    document.getElementById('batch-preview-btn').onclick = () => showPreview(excluded);
+}
+
+/**
+ * Reads the batch form into the request the API expects.
+ *
+ * @param {Set<number>} excluded - Members left out from the preview.
+ */
+function readRequest(excluded) {
+    const type = document.getElementById('batch-type').value;
+    const selection = { type };
+    if (['event', 'tag', 'role'].includes(type)) selection[`${type}Id`] = document.getElementById(`batch-${type}-id`).value;
+    if (type === 'query') {
+        selection.search = document.getElementById('batch-query-search').value.trim();
+        selection.isMember = document.getElementById('batch-query-member').value;
+        selection.inDebt = document.getElementById('batch-query-debt').value;
+    }
+
+    return {
+        selection,
+        exclude: [...excluded],
+        kind: document.getElementById('batch-kind').value,
+        mode: document.getElementById('batch-mode').value,
+        amount: parseFloat(document.getElementById('batch-amount').value),
+        description: document.getElementById('batch-description').value.trim(),
+        category: document.getElementById('batch-category').value,
+        counterpart: document.getElementById('batch-counterpart').value,
+        reference: document.getElementById('batch-reference').value
+    };
+}
+
+/**
+ * Previews the batch: each member with their balance and amount, a checkbox to leave them out, and the apply
+ * button. Leaving a member out previews again, so a split is shared among those left.
+ *
+ * @param {Set<number>} excluded - Members left out so far.
+ */
+async function showPreview(excluded) {
+    const container = document.getElementById('batch-preview');
+    const request = readRequest(excluded);
+
+    let preview;
+    try {
+        preview = await apiRequest('POST', '/api/admin/transaction-batches/preview', request);
+    } catch (e) {
+        container.innerHTML = '';
+        notify('Preview failed', e.message || 'Could not preview the batch', NotificationTypes.ERROR);
+        return;
+    }
+
+    const leftOut = excluded.size > 0 ? ` (${excluded.size} left out)` : '';
+    container.innerHTML = Panel({
+        title: `${request.kind === 'charge' ? 'Charge' : 'Credit'} ${preview.users.length} member${preview.users.length === 1 ? '' : 's'}${leftOut}`,
+        icon: CHECK_SVG,
+        content: `
+            <div class="table-responsive">
+                <table class="glass-table">
+                    <thead><tr><th></th><th>Member</th><th>Balance now</th><th>Amount</th></tr></thead>
+                    <tbody>
+                        ${preview.users.map(u => `
+                            <tr>
+                                <td data-label="Include"><input type="checkbox" class="batch-include" data-user-id="${u.id}" checked></td>
+                                <td data-label="Member" class="primary-text">${escapeText(`${u.first_name} ${u.last_name}`)}</td>
+                                <td data-label="Balance now">${money(u.balance)}</td>
+                                <td data-label="Amount">${money(u.amount)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="batch-actions">
+                <strong>Total: ${money(preview.total)}</strong>
+                <button id="batch-apply-btn" class="small-btn">${CHECK_SVG} Apply</button>
+            </div>
+        `
+    });
+
+    container.querySelectorAll('.batch-include').forEach(box => {
+        box.onchange = () => {
+            excluded.add(Number(box.dataset.userId));
+            showPreview(excluded);
+        };
+    });
+
+    const applyBtn = document.getElementById('batch-apply-btn');
+    applyBtn.onclick = async () => {
+        const confirmed = await showConfirmModal(
+            'Apply Bulk Entry',
+            `${request.kind === 'charge' ? 'Charge' : 'Credit'} ${preview.users.length} members a total of <strong>${money(Math.abs(preview.total))}</strong> for "${escapeText(request.description)}"? Each member will be notified.`
+        );
+        if (!confirmed) return;
+
+        applyBtn.setAttribute('aria-busy', 'true');
+        applyBtn.disabled = true;
+        try {
+            const res = await apiRequest('POST', '/api/admin/transaction-batches', request);
+            notify('Bulk entry applied', res.message, NotificationTypes.SUCCESS);
+            switchView(`/admin/transaction-batch/${res.data.id}`);
+        } catch (e) {
+            notify('Error', e.message || 'Could not apply the batch', NotificationTypes.ERROR);
+            applyBtn.removeAttribute('aria-busy');
+            applyBtn.disabled = false;
+        }
+    };
+}
+
+/**
+ * Fetches earlier batches and renders them as links to their detail view.
+ */
+async function fetchAndRenderBatches() {
+    const tbody = document.getElementById('batches-body');
+
+    try {
+        const batches = await apiRequest('GET', '/api/admin/transaction-batches');
+        if (batches.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-cell">No bulk entries yet.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = batches.map(b => `
+            <tr class="batch-row clickable-row" data-nav="/admin/transaction-batch/${b.id}">
+                <td data-label="Applied">${new Date(b.created_at).toLocaleString('en-GB')}</td>
+                <td data-label="Description" class="primary-text">${escapeText(b.description)}</td>
+                <td data-label="By">${b.created_by_first_name ? escapeText(`${b.created_by_first_name} ${b.created_by_last_name}`) : '-'}</td>
+                <td data-label="Members">${b.users}</td>
+                <td data-label="Total">${money(b.total)}</td>
+                <td data-label="Status">${b.reversed_at ? '<span class="badge neutral">Reversed</span>' : '<span class="badge success">Applied</span>'}</td>
+            </tr>
+        `).join('');
+    } catch (e) {
+        tbody.innerHTML = '<tr><td colspan="6" class="error-cell">Error loading bulk entries.</td></tr>';
+    }
+}
+
+/**
+ * Main rendering function for one batch: its details, each member's entry and the reverse button.
+ *
+ * @param {string|number} id - The batch's ID.
+ */
+export async function renderTransactionBatchDetail(id) {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const { canReverse } = await getAccess();
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('batches')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <button id="batch-back-btn" class="small-btn outline secondary">${ARROW_BACK_IOS_NEW_SVG} Bulk Entries</button>
+                        <p id="batch-summary" class="batch-hint"></p>
+                    </div>
+                    <div class="toolbar-right" id="batch-toolbar-actions"></div>
+                 </div>
+            </div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Entry</th><th>Member</th><th>Amount</th><th>Status</th></tr>
+                        </thead>
+                        <tbody id="batch-entries-body">
+                            <tr><td colspan="4" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    document.getElementById('batch-back-btn').onclick = () => switchView('/admin/transaction-batches');
+
+    const tbody = document.getElementById('batch-entries-body');
+    let batch;
+    try {
+        batch = await apiRequest('GET', `/api/admin/transaction-batches/${id}`);
+    } catch (e) {
+        tbody.innerHTML = `<tr><td colspan="4" class="error-cell">${escapeText(e.message || 'Error loading bulk entry')}</td></tr>`;
+        return;
+    }
+
+    const by = batch.created_by_first_name ? ` by ${batch.created_by_first_name} ${batch.created_by_last_name}` : '';
+    const reversed = batch.reversed_at
+        ? ` · reversed ${new Date(batch.reversed_at).toLocaleDateString('en-GB')}${batch.reversed_by_first_name ? ` by ${batch.reversed_by_first_name} ${batch.reversed_by_last_name}` : ''}: ${batch.reverse_reason}`
+        : '';
+    document.getElementById('batch-summary').textContent =
+        `${batch.description} · ${TRANSACTION_CATEGORY_LABELS[batch.category] || batch.category} · ${SELECTION_LABELS[batch.selection.type] || batch.selection.type} · applied ${new Date(batch.created_at).toLocaleDateString('en-GB')}${by}${reversed}`;
+
+    tbody.innerHTML = batch.entries.map(e => `
+        <tr>
+            <td data-label="Entry">#${e.id}${e.replaces_id ? ` (corrects #${e.replaces_id})` : ''}</td>
+            <td data-label="Member" class="primary-text"><a data-nav="/admin/user/${e.user_id}">${escapeText(`${e.first_name} ${e.last_name}`)}</a></td>
+            <td data-label="Amount">${money(e.amount)}</td>
+            <td data-label="Status">${e.reversed_by_id ? `<span class="badge neutral">Reversed by #${e.reversed_by_id}</span>` : '<span class="badge success">Applied</span>'}</td>
+        </tr>
+    `).join('');
+
+    if (canReverse && !batch.reversed_at) {
+        const actions = document.getElementById('batch-toolbar-actions');
+        actions.innerHTML = `<button id="batch-reverse-btn" class="small-btn outline danger icon-text-btn">${DELETE_SVG} Reverse batch</button>`;
+        document.getElementById('batch-reverse-btn').onclick = async () => {
+            const reason = await showReasonModal('Reverse Bulk Entry', 'Every entry in this batch that has not already been reversed gets an entry cancelling it out, and each member is notified. Why is it being reversed?');
+            if (!reason) return;
+            try {
+                await apiRequest('DELETE', `/api/admin/transaction-batches/${id}`, { reason });
+                notify('Batch reversed', 'The bulk entry has been reversed.', NotificationTypes.SUCCESS);
+                await renderTransactionBatchDetail(id);
+            } catch (e) {
+                notify('Error', e.message || 'Could not reverse the batch', NotificationTypes.ERROR);
+            }
+        };
+    }
+}
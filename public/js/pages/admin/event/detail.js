@@ -12,10 +12,118 @@ import { switchView } from '/js/utils/view.js';
 import { UploadWidget } from '/js/widgets/upload/UploadWidget.js';
 import { adminContentID } from '../admin.js';
 import { Panel } from '/js/widgets/panel.js';
-import { CLOSE_SVG, INFO_SVG, ARROW_BACK_IOS_NEW_SVG, DELETE_HISTORY_SVG, IMAGE_SVG } from '../../../../images/icons/outline/icons.js';
-import { showConfirmModal } from '/js/utils/modal.js';
+import { CLOSE_SVG, INFO_SVG, ARROW_BACK_IOS_NEW_SVG, DELETE_HISTORY_SVG, IMAGE_SVG, ADD_SVG, HOURGLASS_TOP_SVG, MEDICAL_INFORMATION_SVG } from '../../../../images/icons/outline/icons.js';
+import { showConfirmModal, showChoiceModal } from '/js/utils/modal.js';
 import { debounce } from '/js/utils/utils.js';
 
+const WEEKDAYS = [[1, 'Mon'], [2, 'Tue'], [3, 'Wed'], [4, 'Thu'], [5, 'Fri'], [6, 'Sat'], [0, 'Sun']];
+
+/**
+ * Formats a stored date for a datetime-local input.
+ *
+ * @param {string|null} value
+ * @returns {string}
+ */
+function toInputDate(value) {
+    return value ? new Date(value).toISOString().slice(0, 16) : '';
+}
+
+/**
+ * Renders one role priority signup window row.
+ *
+ * @param {Array} roles - Roles available for priority windows.
+ * @param {object} [window] - Existing window ({ role_id, opens_at }).
+ * @returns {string}
+ */
+function renderPriorityWindowRow(roles, window = {}) {
+    return `
+        <div class="priority-window-row">
+            <select class="priority-role">
+                ${roles.map(role => `<option value="${role.id}" ${role.id === window.role_id ? 'selected' : ''}>${role.name}</option>`).join('')}
+            </select>
+            <input type="datetime-local" class="priority-opens" value="${toInputDate(window.opens_at)}">
+            <button type="button" class="icon-btn remove-priority-window" title="Remove">${CLOSE_SVG}</button>
+        </div>
+    `;
+}
+
+/**
+ * Fetches and renders the ballot entries for an event, with a button to draw it once closed.
+ *
+ * @param {string|number} id - Event ID.
+ */
+async function loadBallotResults(id) {
+    const container = document.getElementById('ballot-results');
+    try {
+        const ballot = await apiRequest('GET', `/api/admin/event/${id}/ballot`);
+        const isClosed = new Date(ballot.closes_at) <= new Date();
+
+        let status = `${ballot.entries.length} entries · closes ${new Date(ballot.closes_at).toLocaleString('en-GB')}`;
+        if (ballot.drawn_at) status = `${ballot.entries.length} entries · drawn ${new Date(ballot.drawn_at).toLocaleString('en-GB')} with seed <code>${ballot.seed}</code>`;
+
+        container.innerHTML = `
+            <p class="ballot-status">${status}</p>
+            ${isClosed && !ballot.drawn_at ? `
+                <div class="ballot-draw">
+                    <input type="text" id="ballot-seed" placeholder="Seed (optional)">
+                    <button type="button" id="ballot-draw-btn" class="small-btn">Draw Now</button>
+                </div>
+            ` : ''}
+            ${ballot.entries.length > 0 ? `
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead><tr><th>#</th><th>Name</th><th>Weight</th><th>Result</th></tr></thead>
+                        <tbody>
+                            ${ballot.entries.map(e => `
+                                <tr>
+                                    <td>${e.draw_position ?? '-'}</td>
+                                    <td>${e.first_name} ${e.last_name}${e.is_instructor ? ' (Coach)' : ''}</td>
+                                    <td>${e.weight ?? '-'}</td>
+                                    <td>${e.result || 'Entered'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : '<p class="empty-text">No entries yet.</p>'}
+        `;
+
+        const drawBtn = document.getElementById('ballot-draw-btn');
+        if (drawBtn) {
+            drawBtn.onclick = async () => {
+                if (!await showConfirmModal('Draw Ballot', 'Draw the ballot now? Winners will be signed up and charged straight away.')) return;
+                const seed = document.getElementById('ballot-seed').value.trim();
+                try {
+                    const res = await apiRequest('POST', `/api/admin/event/${id}/ballot/draw`, seed ? { seed } : {});
+                    notify('Success', res.message || 'Ballot drawn', 'success');
+                    await loadBallotResults(id);
+                } catch (err) {
+                    notify('Error', err.message || 'Draw failed', 'error');
+                }
+            };
+        }
+    } catch (e) {
+        container.innerHTML = '<p class="error-text">Failed to load ballot.</p>';
+    }
+}
+
+const SCOPE_CHOICES = [
+    { value: 'this', label: 'This event' },
+    { value: 'following', label: 'This & following' },
+    { value: 'all', label: 'Whole series' }
+];
+
+/**
+ * Asks which occurrences of a recurring series an action applies to.
+ * 
+ * @param {string} title - Modal heading.
+ * @param {string} action - Verb describing the action (e.g. 'save', 'cancel').
+ * @returns {Promise<string|null>} - The chosen scope, or null if dismissed.
+ */
+function askSeriesScope(title, action) {
+    return showChoiceModal(title, `This event is part of a recurring series. Which events do you want to ${action}?`, SCOPE_CHOICES);
+}
+
 /**
  * Main rendering function for the event editor form.
  * 
@@ -25,8 +133,10 @@ export async function renderEventDetail(id) {
     const adminContent = document.getElementById(adminContentID);
     const isNew = id === 'new';
 
-    let event = { title: '', description: '', location: '', start: '', end: '', difficulty_level: 1, max_attendees: 0, upfront_cost: 0, upfront_refund_cutoff: '', signup_required: 1, image_url: '', image_id: null, tags: [] };
+    let event = { title: '', description: '', location: '', start: '', end: '', difficulty_level: 1, max_attendees: 0, upfront_cost: 0, upfront_refund_cutoff: '', signup_opens_at: '', member_signup_opens_at: '', signup_windows: [], ballot_closes_at: '', signup_required: 1, image_url: '', image_id: null, tags: [] };
     let allTags = [];
+    let allRoles = [];
+    let series = null;
 
     try {
         const [eventData, rawEventData] = !isNew 
@@ -37,6 +147,7 @@ export async function renderEventDetail(id) {
             : [null, null];
         
         allTags = (await apiRequest('GET', '/api/tags')).data || [];
+        allRoles = await apiRequest('GET', '/api/admin/events/roles').catch(() => []);
 
         if (!isNew) {
             event = eventData;
@@ -45,6 +156,12 @@ export async function renderEventDetail(id) {
             if (event.upfront_refund_cutoff) {
                 event.upfront_refund_cutoff = new Date(event.upfront_refund_cutoff).toISOString().slice(0, 16);
             }
+            event.signup_opens_at = toInputDate(event.signup_opens_at);
+            event.member_signup_opens_at = toInputDate(event.member_signup_opens_at);
+            event.ballot_closes_at = toInputDate(event.ballot_closes_at);
+            if (rawEventData.series_id) {
+                series = await apiRequest('GET', `/api/admin/event/${id}/series`).catch(() => null);
+            }
         }
     } catch (e) {
         return adminContent.innerHTML = '<p>Error loading data.</p>';
@@ -57,12 +174,23 @@ export async function renderEventDetail(id) {
     if (actionsEl) actionsEl.innerHTML = ` <button id="back-to-events-btn" class="small-btn outline secondary icon-text-btn">${ARROW_BACK_IOS_NEW_SVG} Back to Events</button> `;
     document.getElementById('back-to-events-btn').onclick = () => switchView('/admin/events');
 
+    if (!isNew) {
+        const { permissions = [] } = await apiRequest('GET', '/api/user/elements/permissions').catch(() => ({}));
+        if (permissions.includes('event.emergency.read')) {
+            actionsEl?.insertAdjacentHTML('beforeend', `<button id="emergency-sheet-btn" class="small-btn outline secondary icon-text-btn">${MEDICAL_INFORMATION_SVG} Emergency Info</button>`);
+            document.getElementById('emergency-sheet-btn').onclick = () => switchView(`/admin/event/${id}/emergency`);
+        }
+    }
+
     adminContent.innerHTML = /*html*/`
         <div class="glass-layout">
             <form id="event-form">
                 ${Panel({
         title: isNew ? 'Create Event' : 'Edit Event',
         content: /*html*/`
+                        ${series ? `
+                            <p class="series-info">Part of a ${series.frequency} series of ${series.occurrences.length} events (${new Date(series.starts_on).toLocaleDateString()} – ${new Date(series.ends_on).toLocaleDateString()}).</p>
+                        ` : ''}
                         <div class="modern-form-group">
                             <label class="form-label-top">Event Title
                                 <input type="text" name="title" value="${event.title}" required class="full-width-input title-input" placeholder="e.g. Weekly Training">
@@ -104,6 +232,61 @@ export async function renderEventDetail(id) {
                                         </div>
                                     </div>
 
+                                    <div class="signup-window-policy">
+                                        <label class="checkbox-label">
+                                            <input type="checkbox" id="schedule-signups" ${event.signup_opens_at ? 'checked' : ''}> 
+                                            Scheduled Signups
+                                        </label>
+                                        <div id="signup-window-wrapper" class="conditional-input ${event.signup_opens_at ? '' : 'hidden'}">
+                                            <label>Signups Open
+                                                <input type="datetime-local" name="signup_opens_at" value="${event.signup_opens_at || ''}">
+                                            </label>
+                                            <label>Members From <small>(optional)</small>
+                                                <input type="datetime-local" name="member_signup_opens_at" value="${event.member_signup_opens_at || ''}">
+                                            </label>
+                                            <div id="priority-windows" class="priority-windows">
+                                                ${(event.signup_windows || []).map(w => renderPriorityWindowRow(allRoles, w)).join('')}
+                                            </div>
+                                            ${allRoles.length > 0 ? `<button type="button" id="add-priority-window" class="small-btn outline secondary">${ADD_SVG} Role Priority Window</button>` : ''}
+                                        </div>
+                                    </div>
+
+                                    <div class="ballot-policy">
+                                        <label class="checkbox-label">
+                                            <input type="checkbox" id="ballot-toggle" ${event.ballot_closes_at ? 'checked' : ''}> 
+                                            Allocate Places by Ballot
+                                        </label>
+                                        <div id="ballot-wrapper" class="conditional-input ${event.ballot_closes_at ? '' : 'hidden'}">
+                                            <label>Ballot Closes
+                                                <input type="datetime-local" name="ballot_closes_at" value="${event.ballot_closes_at || ''}">
+                                            </label>
+                                        </div>
+                                    </div>
+
+                                    ${isNew ? `
+                                    <div class="repeat-policy">
+                                        <label class="checkbox-label">
+                                            <input type="checkbox" id="repeat-toggle"> 
+                                            Repeat Event
+                                        </label>
+                                        <div id="repeat-wrapper" class="conditional-input hidden">
+                                            <label>Frequency
+                                                <select name="repeat_frequency">
+                                                    <option value="weekly">Weekly</option>
+                                                    <option value="fortnightly">Fortnightly</option>
+                                                </select>
+                                            </label>
+                                            <div class="weekday-picker">
+                                                ${WEEKDAYS.map(([day, label]) => `
+                                                    <label class="checkbox-label"><input type="checkbox" name="repeat_weekdays" value="${day}"> ${label}</label>
+                                                `).join('')}
+                                            </div>
+                                            <label>Repeat Until <input type="date" name="repeat_until"></label>
+                                            <label>Skip Dates <input type="text" name="repeat_exclusions" placeholder="e.g. 2025-02-17, 2025-02-24"></label>
+                                        </div>
+                                    </div>
+                                    ` : ''}
+
                                     <div class="refund-policy">
                                         <label class="checkbox-label">
                                             <input type="checkbox" id="allow-refunds" ${event.upfront_refund_cutoff ? 'checked' : ''}> 
@@ -149,6 +332,11 @@ export async function renderEventDetail(id) {
                     `
     })}
             </form>
+            ${!isNew && event.ballot_closes_at ? Panel({
+        title: 'Ballot',
+        icon: HOURGLASS_TOP_SVG,
+        content: `<div id="ballot-results"><p aria-busy="true">Loading ballot...</p></div>`
+    }) : ''}
         </div>
     `;
 
@@ -189,11 +377,37 @@ export async function renderEventDetail(id) {
         if (!document.getElementById('allow-refunds').checked) {
             data.upfront_refund_cutoff = null;
         }
+
+        if (document.getElementById('schedule-signups').checked && data.signup_opens_at) {
+            data.member_signup_opens_at = data.member_signup_opens_at || null;
+            data.signup_windows = Array.from(document.querySelectorAll('.priority-window-row'))
+                .map(row => ({ role_id: parseInt(row.querySelector('.priority-role').value), opens_at: row.querySelector('.priority-opens').value }))
+                .filter(w => w.role_id && w.opens_at);
+        } else {
+            data.signup_opens_at = null;
+            data.member_signup_opens_at = null;
+            data.signup_windows = [];
+        }
+
+        if (!document.getElementById('ballot-toggle').checked) {
+            data.ballot_closes_at = null;
+        }
+
+        for (const key of ['repeat_frequency', 'repeat_weekdays', 'repeat_until', 'repeat_exclusions']) delete data[key];
+        if (document.getElementById('repeat-toggle')?.checked) {
+            data.recurrence = {
+                frequency: formData.get('repeat_frequency'),
+                weekdays: formData.getAll('repeat_weekdays').map(d => parseInt(d)),
+                until: formData.get('repeat_until'),
+                exclusions: formData.get('repeat_exclusions').split(',').map(d => d.trim()).filter(Boolean)
+            };
+        }
         return data;
     };
 
+    // Series edits need an explicit scope, so they are only saved on submit.
     const autoSave = async () => {
-        if (isNew) return;
+        if (isNew || series) return;
         const data = getFormData();
         try {
             await apiRequest('PUT', `/api/admin/event/${id}`, data);
@@ -264,6 +478,31 @@ export async function renderEventDetail(id) {
         }
     };
 
+    const scheduleToggle = document.getElementById('schedule-signups');
+    const signupWindowWrapper = document.getElementById('signup-window-wrapper');
+    const priorityWindows = document.getElementById('priority-windows');
+    scheduleToggle.onchange = () => {
+        signupWindowWrapper.classList.toggle('hidden', !scheduleToggle.checked);
+        signupWindowWrapper.querySelector('input[name="signup_opens_at"]').required = scheduleToggle.checked;
+    };
+    const addPriorityBtn = document.getElementById('add-priority-window');
+    if (addPriorityBtn) {
+        addPriorityBtn.onclick = () => priorityWindows.insertAdjacentHTML('beforeend', renderPriorityWindowRow(allRoles));
+    }
+    priorityWindows.addEventListener('click', (e) => {
+        const removeBtn = e.target.closest('.remove-priority-window');
+        if (removeBtn) removeBtn.closest('.priority-window-row').remove();
+    });
+
+    const ballotToggle = document.getElementById('ballot-toggle');
+    const ballotWrapper = document.getElementById('ballot-wrapper');
+    ballotToggle.onchange = () => {
+        ballotWrapper.classList.toggle('hidden', !ballotToggle.checked);
+        ballotWrapper.querySelector('input').required = ballotToggle.checked;
+    };
+
+    if (document.getElementById('ballot-results')) loadBallotResults(id);
+
     const signupToggle = document.getElementById('signup_required_toggle');
     const maxAttendeesInput = document.querySelector('input[name="max_attendees"]');
     const maxAttendeesWrapper = document.getElementById('max-attendees-wrapper');
@@ -280,6 +519,16 @@ export async function renderEventDetail(id) {
     signupToggle.onchange = updateMaxAttendeesState;
     updateMaxAttendeesState();
 
+    const repeatToggle = document.getElementById('repeat-toggle');
+    if (repeatToggle) {
+        const repeatWrapper = document.getElementById('repeat-wrapper');
+        const repeatUntil = repeatWrapper.querySelector('input[name="repeat_until"]');
+        repeatToggle.onchange = () => {
+            repeatWrapper.classList.toggle('hidden', !repeatToggle.checked);
+            repeatUntil.required = repeatToggle.checked;
+        };
+    }
+
     updateEffectiveImage();
 
     // --- Form Submission ---
@@ -289,12 +538,16 @@ export async function renderEventDetail(id) {
 
         try {
             if (isNew) {
-                await apiRequest('POST', '/api/admin/event', data);
-                notify('Success', 'Event created', 'success');
+                const res = await apiRequest('POST', '/api/admin/event', data);
+                notify('Success', data.recurrence ? `Series created with ${res.data?.events?.length || 0} events` : 'Event created', 'success');
                 switchView('/admin/events');
             } else {
-                await apiRequest('PUT', `/api/admin/event/${id}`, data);
-                notify('Success', 'Event updated', 'success');
+                if (series) {
+                    data.scope = await askSeriesScope('Save Changes', 'update');
+                    if (!data.scope) return;
+                }
+                const res = await apiRequest('PUT', `/api/admin/event/${id}`, data);
+                notify('Success', res.message || 'Event updated', 'success');
             }
         } catch (err) {
             notify('Error', 'Save failed', 'error');
@@ -317,9 +570,13 @@ export async function renderEventDetail(id) {
         const cancelBtn = document.getElementById('cancel-event-btn');
         if (cancelBtn) {
             cancelBtn.onclick = async () => {
-                if (!await showConfirmModal('Cancel Event', 'Cancel this event? This will notify attendees and process any refunds.')) return;
+                let scope = 'this';
+                if (series) {
+                    scope = await askSeriesScope('Cancel Event', 'cancel');
+                    if (!scope) return;
+                } else if (!await showConfirmModal('Cancel Event', 'Cancel this event? This will notify attendees and process any refunds.')) return;
                 try {
-                    await apiRequest('POST', `/api/admin/event/${id}/cancel`);
+                    await apiRequest('POST', `/api/admin/event/${id}/cancel`, { scope });
                     notify('Success', 'Event canceled', 'success');
                     switchView('/admin/events');
                 } catch (e) {
@@ -0,0 +1,99 @@
+/**
+ * emergency.js
+ *
+ * Printable emergency information sheet for an event: every current attendee's emergency contact
+ * and declared medical conditions and medication, for trip leaders to take on the water.
+ * Can be printed from the browser or downloaded as a PDF.
+ *
+ * Registered Route: /admin/event/:id/emergency
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { switchView } from '/js/utils/view.js';
+import { adminContentID } from '../admin.js';
+import { ARROW_BACK_IOS_NEW_SVG, CLOUD_DOWNLOAD_SVG, DESCRIPTION_SVG } from '../../../../images/icons/outline/icons.js';
+
+/**
+ * Main rendering function for the emergency sheet.
+ *
+ * @param {string|number} id - Event ID.
+ */
+export async function renderEmergencySheet(id) {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+    adminContent.innerHTML = '<p aria-busy="true">Loading emergency information...</p>';
+
+    const actionsEl = document.getElementById('admin-header-actions');
+    if (actionsEl) {
+        actionsEl.innerHTML = `
+            <button id="back-to-event-btn" class="small-btn outline secondary icon-text-btn">${ARROW_BACK_IOS_NEW_SVG} Back to Event</button>
+            <button id="print-sheet-btn" class="small-btn outline secondary icon-text-btn">${DESCRIPTION_SVG} Print</button>
+            <a href="/api/admin/event/${id}/emergency/pdf" class="small-btn outline secondary icon-text-btn" download>${CLOUD_DOWNLOAD_SVG} PDF</a>
+        `;
+        document.getElementById('back-to-event-btn').onclick = () => switchView(`/admin/event/${id}`);
+        document.getElementById('print-sheet-btn').onclick = () => window.print();
+    }
+
+    let sheet;
+    try {
+        sheet = await apiRequest('GET', `/api/admin/event/${id}/emergency`);
+    } catch (e) {
+        adminContent.innerHTML = `<p class="error-text">${escapeText(e.message || 'Could not load emergency information.')}</p>`;
+        return;
+    }
+
+    const { event, attendees } = sheet;
+    adminContent.innerHTML = `
+        <div class="emergency-sheet">
+            <header class="emergency-sheet-header">
+                <h2>${escapeText(event.title)}</h2>
+                <p>${formatDate(event.start)}${event.location ? ` &middot; ${escapeText(event.location)}` : ''}</p>
+                <p class="emergency-sheet-warning">Confidential. Generated ${formatDate(sheet.generated_at)}. Destroy after the trip.</p>
+            </header>
+            <div class="table-responsive">
+                <table class="glass-table emergency-sheet-table">
+                    <thead>
+                        <tr><th>Name</th><th>Phone</th><th>Emergency contact</th><th>Medical conditions</th><th>Medication</th></tr>
+                    </thead>
+                    <tbody>
+                        ${attendees.length === 0 ? '<tr><td colspan="5" class="empty-cell">Nobody is attending this event.</td></tr>' : attendees.map(person => `
+                            <tr>
+                                <td data-label="Name" class="primary-text">
+                                    ${escapeText(`${person.first_name} ${person.last_name}`)}
+                                    ${person.is_instructor ? '<span class="badge neutral">Instructor</span>' : ''}
+                                    ${person.filled_legal_info ? '' : '<span class="badge warning">No health form</span>'}
+                                </td>
+                                <td data-label="Phone">${escapeText(person.phone_number || '—')}</td>
+                                <td data-label="Emergency contact">${escapeText([person.emergency_contact_name, person.emergency_contact_phone].filter(Boolean).join(', ') || 'Not given')}</td>
+                                <td data-label="Medical conditions">${declared(person.has_medical_conditions, person.medical_conditions_details)}</td>
+                                <td data-label="Medication">${declared(person.takes_medication, person.medication_details)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Describes a declared condition or medication.
+ */
+function declared(flag, details) {
+    if (!flag) return '<span class="none-declared">None declared</span>';
+    return `<strong>${escapeText(details || 'Declared, no details')}</strong>`;
+}
+
+/**
+ * Formats a date and time for the sheet.
+ */
+function formatDate(value) {
+    return new Date(value).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ */
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
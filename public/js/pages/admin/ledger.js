@@ -0,0 +1,131 @@
+/**
+ * ledger.js
+ *
+ * Logic for the treasurer's ledger report, summarising charges, credits, refunds and payments received by category
+ * and month. Payments received settle members' accounts, so they are shown apart from the net income.
+ *
+ * Registered Route: /admin/ledger
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { Panel } from '/js/widgets/panel.js';
+import { TRANSACTION_CATEGORY_LABELS } from './user/tabs/transactions.js';
+import { CURRENCY_POUND_SVG, CALENDAR_MONTH_SVG } from '../../../images/icons/outline/icons.js';
+
+/**
+ * Formats an amount as pounds, e.g. £12.50.
+ */
+const money = amount => `£${Number(amount).toFixed(2)}`;
+
+/**
+ * Main rendering function for the ledger report.
+ */
+export async function renderLedgerReport() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const urlParams = new URLSearchParams(window.location.search);
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('ledger')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left report-range">
+                        <label>From <input type="date" id="ledger-start" value="${urlParams.get('start') || ''}"></label>
+                        <label>To <input type="date" id="ledger-end" value="${urlParams.get('end') || ''}"></label>
+                        <button id="ledger-apply-btn" class="small-btn">Apply</button>
+                    </div>
+                 </div>
+            </div>
+            <div id="ledger-totals" class="report-totals"></div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Category</th><th>Transactions</th><th>Charged</th><th>Credited</th><th>Received</th><th>Net</th></tr>
+                        </thead>
+                        <tbody id="ledger-category-body">
+                            <tr><td colspan="6" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            ${Panel({
+        title: 'By Month',
+        icon: CALENDAR_MONTH_SVG,
+        content: `<div id="ledger-months"></div>`
+    })}
+        </div>
+    `;
+
+    document.getElementById('ledger-apply-btn').onclick = () => {
+        const params = new URLSearchParams();
+        const start = document.getElementById('ledger-start').value;
+        const end = document.getElementById('ledger-end').value;
+        if (start) params.set('start', start);
+        if (end) params.set('end', end);
+        window.history.pushState({}, '', `${window.location.pathname}?${params.toString()}`);
+        fetchAndRenderLedger(params);
+    };
+
+    await fetchAndRenderLedger(urlParams);
+}
+
+/**
+ * Fetches the ledger report and renders the totals, category table and monthly breakdown.
+ *
+ * @param {URLSearchParams} params - Date range parameters.
+ */
+async function fetchAndRenderLedger(params) {
+    const tbody = document.getElementById('ledger-category-body');
+    const totalsEl = document.getElementById('ledger-totals');
+    const monthsEl = document.getElementById('ledger-months');
+
+    try {
+        const query = new URLSearchParams();
+        if (params.get('start')) query.set('start', params.get('start'));
+        if (params.get('end')) query.set('end', params.get('end'));
+
+        const { categories, months, totals, start, end } = await apiRequest('GET', `/api/admin/reports/ledger?${query.toString()}`);
+
+        const range = `${new Date(start).toLocaleDateString('en-GB')} – ${new Date(end).toLocaleDateString('en-GB')}`;
+        totalsEl.innerHTML = Panel({
+            title: 'Summary',
+            icon: CURRENCY_POUND_SVG,
+            content: `<p>${range} · ${totals.count} transactions · ${money(totals.charges)} charged · ${money(totals.credits)} credited, of which ${money(totals.refunds)} refunds · net ${money(totals.net)} · ${money(totals.receipts)} received in payments</p>`
+        });
+
+        tbody.innerHTML = categories.map(c => `
+            <tr>
+                <td data-label="Category">${TRANSACTION_CATEGORY_LABELS[c.category] || c.category}</td>
+                <td data-label="Transactions">${c.count}</td>
+                <td data-label="Charged">${money(c.charges)}</td>
+                <td data-label="Credited">${money(c.credits)}</td>
+                <td data-label="Received">${money(c.receipts)}</td>
+                <td data-label="Net">${money(c.net)}</td>
+            </tr>
+        `).join('');
+
+        monthsEl.innerHTML = months.length > 0
+            ? `<div class="table-responsive"><table class="glass-table">
+                <thead><tr><th>Month</th><th>Charged</th><th>Credited</th><th>Refunds</th><th>Received</th><th>Net</th></tr></thead>
+                <tbody>${months.map(m => `
+                    <tr>
+                        <td data-label="Month">${new Date(`${m.month}-01T00:00:00`).toLocaleDateString('en-GB', { month: 'long', year: 'numeric' })}</td>
+                        <td data-label="Charged">${money(m.charges)}</td>
+                        <td data-label="Credited">${money(m.credits)}</td>
+                        <td data-label="Refunds">${money(m.refunds)}</td>
+                        <td data-label="Received">${money(m.receipts)}</td>
+                        <td data-label="Net">${money(m.net)}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table></div>`
+            : '<p class="empty-text">No transactions in this range.</p>';
+    } catch (e) {
+        tbody.innerHTML = '<tr><td colspan="6" class="error-cell">Error loading ledger</td></tr>';
+        totalsEl.innerHTML = '';
+        monthsEl.innerHTML = '';
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * payments.js
+ *
+ * Logic for the treasurer's view of online top-ups.
+ * Lists payments newest first, filtered by status, so pending checkouts and failed payments can be followed up.
+ *
+ * Registered Route: /admin/payments
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { Pagination } from '/js/widgets/Pagination.js';
+
+const STATUSES = [
+    { value: '', label: 'All' },
+    { value: 'pending', label: 'Pending' },
+    { value: 'failed', label: 'Failed' },
+    { value: 'expired', label: 'Abandoned' },
+    { value: 'succeeded', label: 'Succeeded' }
+];
+
+const STATUS_BADGES = {
+    pending: '<span class="badge warning">Pending</span>',
+    succeeded: '<span class="badge success">Succeeded</span>',
+    failed: '<span class="badge danger">Failed</span>',
+    expired: '<span class="badge neutral">Abandoned</span>'
+};
+
+/**
+ * Escapes text before it is placed into the page.
+ */
+function escapeText(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Main rendering function for the payments list.
+ * Parses current URL state to set the initial status filter and page.
+ */
+export async function renderPayments() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('payments')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <div id="payment-status-filters" class="payment-status-filters"></div>
+                    </div>
+                 </div>
+            </div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Started</th><th>Member</th><th>Amount</th><th>Provider</th><th>Status</th><th>Details</th></tr>
+                        </thead>
+                        <tbody id="payments-table-body">
+                            <tr><td colspan="6" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div id="payments-pagination"></div>
+        </div>
+    `;
+
+    await fetchAndRenderPayments(new URLSearchParams(window.location.search));
+}
+
+/**
+ * Updates the browser URL with new query parameters and triggers a table refresh.
+ *
+ * @param {object} updates - Key-value pairs of URL parameters to change.
+ */
+function updatePaymentParams(updates) {
+    const params = new URLSearchParams(window.location.search);
+    for (const [key, value] of Object.entries(updates)) {
+        if (value === null || value === undefined || value === '') params.delete(key);
+        else params.set(key, value);
+    }
+    window.history.pushState({}, '', `${window.location.pathname}?${params.toString()}`);
+
+    fetchAndRenderPayments(params);
+}
+
+/**
+ * Fetches a page of payments and renders the status filters, with their counts, and the table rows.
+ *
+ * @param {URLSearchParams} params - Status and page parameters.
+ */
+async function fetchAndRenderPayments(params) {
+    const tbody = document.getElementById('payments-table-body');
+    const status = params.get('status') || '';
+    const page = parseInt(params.get('page')) || 1;
+
+    try {
+        const query = new URLSearchParams({ page, limit: 20 });
+        if (status) query.set('status', status);
+        const data = await apiRequest('GET', `/api/admin/payments?${query.toString()}`);
+
+        const filters = document.getElementById('payment-status-filters');
+        filters.innerHTML = STATUSES.map(s => {
+            const count = s.value ? data.counts[s.value] : Object.values(data.counts).reduce((a, b) => a + b, 0);
+            return `<button class="small-btn ${s.value === status ? '' : 'outline secondary'}" data-status="${s.value}">${s.label} (${count})</button>`;
+        }).join('');
+        filters.querySelectorAll('[data-status]').forEach(btn => {
+            btn.onclick = () => updatePaymentParams({ status: btn.dataset.status, page: 1 });
+        });
+
+        if (data.payments.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-cell">No payments found.</td></tr>';
+        } else {
+            tbody.innerHTML = data.payments.map(p => `
+                <tr>
+                    <td data-label="Started">${new Date(p.created_at).toLocaleString('en-GB')}</td>
+                    <td data-label="Member" class="primary-text">
+                        <a data-nav="/admin/user/${p.user_id}">${escapeText(`${p.first_name} ${p.last_name}`)}</a>
+                        <div class="muted">${escapeText(p.email)}</div>
+                    </td>
+                    <td data-label="Amount">£${Number(p.amount).toFixed(2)}</td>
+                    <td data-label="Provider">${escapeText(p.provider)}</td>
+                    <td data-label="Status">${STATUS_BADGES[p.status] || escapeText(p.status)}</td>
+                    <td data-label="Details">${p.status === 'pending' ? 'Awaiting the provider' : escapeText(p.failure_reason || `Updated ${new Date(p.updated_at).toLocaleString('en-GB')}`)}</td>
+                </tr>
+            `).join('');
+        }
+
+        const pager = new Pagination(document.getElementById('payments-pagination'), (newPage) => {
+            updatePaymentParams({ page: newPage });
+        });
+        pager.render(page, data.totalPages || 1);
+    } catch (e) {
+        if (tbody) tbody.innerHTML = '<tr><td colspan="6" class="error-cell">Error loading payments.</td></tr>';
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * reports.js
+ *
+ * Logic for the attendance report, comparing signups against the register.
+ *
+ * Registered Route: /admin/reports
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { Panel } from '/js/widgets/panel.js';
+import { SOCIAL_LEADERBOARD_SVG, BRIGHTNESS_ALERT_SVG } from '../../../images/icons/outline/icons.js';
+
+/**
+ * Main rendering function for the attendance report.
+ */
+export async function renderAttendanceReport() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    const urlParams = new URLSearchParams(window.location.search);
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('reports')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left report-range">
+                        <label>From <input type="date" id="report-start" value="${urlParams.get('start') || ''}"></label>
+                        <label>To <input type="date" id="report-end" value="${urlParams.get('end') || ''}"></label>
+                        <button id="report-apply-btn" class="small-btn">Apply</button>
+                    </div>
+                 </div>
+            </div>
+            <div id="report-totals" class="report-totals"></div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Event</th><th>Date</th><th>Signups</th><th>Attended</th><th>Late</th><th>No-shows</th><th>Walk-ins</th><th>Unmarked</th></tr>
+                        </thead>
+                        <tbody id="report-table-body">
+                            <tr><td colspan="8" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            ${Panel({
+        title: 'Most Missed Sessions',
+        icon: BRIGHTNESS_ALERT_SVG,
+        content: `<div id="report-no-shows"></div>`
+    })}
+        </div>
+    `;
+
+    document.getElementById('report-apply-btn').onclick = () => {
+        const params = new URLSearchParams();
+        const start = document.getElementById('report-start').value;
+        const end = document.getElementById('report-end').value;
+        if (start) params.set('start', start);
+        if (end) params.set('end', end);
+        window.history.pushState({}, '', `${window.location.pathname}?${params.toString()}`);
+        fetchAndRenderReport(params);
+    };
+
+    await fetchAndRenderReport(urlParams);
+}
+
+/**
+ * Fetches the attendance report and renders the totals, event table and no-show list.
+ *
+ * @param {URLSearchParams} params - Date range parameters.
+ */
+async function fetchAndRenderReport(params) {
+    const tbody = document.getElementById('report-table-body');
+    const totalsEl = document.getElementById('report-totals');
+    const noShowsEl = document.getElementById('report-no-shows');
+
+    try {
+        const query = new URLSearchParams();
+        if (params.get('start')) query.set('start', params.get('start'));
+        if (params.get('end')) query.set('end', params.get('end'));
+
+        const { events, totals, noShows } = await apiRequest('GET', `/api/admin/reports/attendance?${query.toString()}`);
+
+        const rate = totals.signups > 0 ? Math.round((totals.attended / totals.signups) * 100) : 0;
+        totalsEl.innerHTML = Panel({
+            title: 'Summary',
+            icon: SOCIAL_LEADERBOARD_SVG,
+            content: `<p>${events.length} events · ${totals.signups} signups · ${totals.attended} attended (${rate}%) · ${totals.absent} no-shows · ${totals.walk_ins} walk-ins · ${totals.unmarked} unmarked</p>`
+        });
+
+        if (events.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="empty-cell">No events in this range.</td></tr>';
+        } else {
+            tbody.innerHTML = events.map(event => `
+                <tr class="clickable-row" data-nav="/admin/event/${event.id}">
+                    <td>${event.title}</td>
+                    <td>${new Date(event.start).toLocaleDateString('en-GB')}</td>
+                    <td>${event.signup_required ? event.signups : '-'}</td>
+                    <td>${event.attended}</td>
+                    <td>${event.late}</td>
+                    <td>${event.absent}</td>
+                    <td>${event.walk_ins}</td>
+                    <td>${event.signup_required ? event.unmarked : '-'}</td>
+                </tr>
+            `).join('');
+        }
+
+        noShowsEl.innerHTML = noShows.length > 0
+            ? `<ul class="report-no-show-list">${noShows.map(u => `
+                <li><a data-nav="/admin/user/${u.id}">${u.first_name} ${u.last_name}</a> <span>${u.no_show_count}</span></li>
+            `).join('')}</ul>`
+            : '<p class="empty-text">No missed sessions in this range.</p>';
+    } catch (e) {
+        tbody.innerHTML = '<tr><td colspan="8" class="error-cell">Error loading report</td></tr>';
+        totalsEl.innerHTML = '';
+        noShowsEl.innerHTML = '';
+    }
+}
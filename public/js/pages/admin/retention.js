@@ -0,0 +1,133 @@
+/**
+ * retention.js
+ *
+ * Logic for the administrative data retention view.
+ * Shows the President a dry run of the retention policy: whose health data and which deleted accounts
+ * are due to be purged. Nothing is removed until the President applies the report.
+ *
+ * Registered Route: /admin/retention
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { adminContentID, renderAdminNavBar } from './admin.js';
+import { notify, NotificationTypes } from '/js/components/notification.js';
+import { showConfirmModal } from '/js/utils/modal.js';
+import { DELETE_HISTORY_SVG } from '../../../images/icons/outline/icons.js';
+
+/**
+ * Main rendering function for the data retention view.
+ */
+export async function renderRetention() {
+    const adminContent = document.getElementById(adminContentID);
+    if (!adminContent) return;
+
+    adminContent.innerHTML = `
+        <div class="glass-layout">
+            <div class="glass-toolbar">
+                 ${await renderAdminNavBar('retention')}
+                 <div class="toolbar-content">
+                    <div class="toolbar-left">
+                        <p id="retention-policy" class="retention-policy"></p>
+                    </div>
+                    <div class="toolbar-right">
+                        <button id="apply-retention-btn" class="small-btn delete outline" disabled>${DELETE_HISTORY_SVG} Purge</button>
+                    </div>
+                </div>
+            </div>
+            <div class="glass-table-container">
+                <div class="table-responsive">
+                    <table class="glass-table">
+                        <thead>
+                            <tr><th>Member</th><th>Data</th><th>Last activity</th></tr>
+                        </thead>
+                        <tbody id="retention-table-body">
+                            <tr><td colspan="3" class="loading-cell">Loading...</td></tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    `;
+
+    await fetchAndRenderReport();
+}
+
+/**
+ * Fetches the dry-run report and renders it, wiring the purge button to exactly the users shown.
+ */
+async function fetchAndRenderReport() {
+    const tbody = document.getElementById('retention-table-body');
+    const policyEl = document.getElementById('retention-policy');
+    const applyBtn = document.getElementById('apply-retention-btn');
+
+    let report;
+    try {
+        report = await apiRequest('GET', '/api/admin/retention');
+    } catch (e) {
+        if (tbody) tbody.innerHTML = '<tr><td colspan="3" class="error-cell">Error loading retention report.</td></tr>';
+        return;
+    }
+
+    const { healthMonths, deletedAccountYears } = report.policy;
+    policyEl.textContent = [
+        healthMonths > 0 ? `Health data is kept for ${healthMonths} months.` : 'Health data is kept indefinitely.',
+        deletedAccountYears > 0 ? `Deleted accounts are kept for ${deletedAccountYears} years.` : 'Deleted accounts are kept indefinitely.',
+        `${report.passwordResets.expired} expired password reset links.`
+    ].join(' ');
+
+    const rows = [
+        ...report.health.users.map(user => ({
+            name: `${user.first_name} ${user.last_name}`,
+            data: 'Medical & emergency details',
+            lastActivity: [user.legal_filled_at, user.agrees_to_keep_health_data ? user.last_attended : null].filter(Boolean).sort().pop()
+        })),
+        ...report.deletedAccounts.users.map(user => ({
+            name: `${user.first_name} ${user.last_name}`,
+            data: 'Deleted account',
+            lastActivity: user.deleted_at
+        }))
+    ];
+
+    if (rows.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" class="empty-cell">Nothing is due to be purged.</td></tr>';
+        applyBtn.disabled = true;
+        return;
+    }
+
+    tbody.innerHTML = rows.map(row => `
+        <tr>
+            <td data-label="Member" class="primary-text">${escapeText(row.name)}</td>
+            <td data-label="Data"><span class="badge">${row.data}</span></td>
+            <td data-label="Last activity">${row.lastActivity ? new Date(row.lastActivity).toLocaleDateString('en-GB') : 'Unknown'}</td>
+        </tr>
+    `).join('');
+
+    applyBtn.disabled = false;
+    applyBtn.onclick = async () => {
+        const confirmed = await showConfirmModal('Purge Data',
+            `This will permanently remove the data listed for <strong>${rows.length}</strong> record${rows.length === 1 ? '' : 's'}. It cannot be undone.`);
+        if (!confirmed) return;
+
+        applyBtn.setAttribute('aria-busy', 'true');
+        applyBtn.disabled = true;
+        try {
+            const result = await apiRequest('POST', '/api/admin/retention/apply', {
+                health: report.health.users.map(u => u.id),
+                deletedAccounts: report.deletedAccounts.users.map(u => u.id)
+            });
+            notify('Data purged', `${result.health.length + result.deletedAccounts.length} records purged.`, NotificationTypes.SUCCESS);
+        } catch (e) {
+            notify('Purge failed', e.message || 'Could not apply the retention policy', NotificationTypes.ERROR);
+        } finally {
+            applyBtn.removeAttribute('aria-busy');
+            await fetchAndRenderReport();
+        }
+    };
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ */
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
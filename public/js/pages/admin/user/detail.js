@@ -9,7 +9,7 @@
 import { apiRequest } from '/js/utils/api.js';
 import { switchView } from '/js/utils/view.js';
 import { adminContentID } from '../admin.js';
-import { ARROW_BACK_IOS_NEW_SVG } from '../../../../images/icons/outline/icons.js';
+import { ARROW_BACK_IOS_NEW_SVG, CLOUD_DOWNLOAD_SVG } from '../../../../images/icons/outline/icons.js';
 import { TabNav } from '/js/widgets/TabNav.js';
 import { Panel } from '/js/widgets/panel.js';
 
@@ -44,6 +44,10 @@ export async function renderUserDetail(userId) {
         const canManageTransactions = userPerms.includes('transaction.manage');
         const isExec = userPerms.length > 0;
 
+        if (canManageUsers && actionsEl) {
+            actionsEl.insertAdjacentHTML('beforeend', `<a href="/api/admin/user/${user.id}/export" class="small-btn outline secondary icon-text-btn" download>${CLOUD_DOWNLOAD_SVG} Export Data</a>`);
+        }
+
         const tabs = [{ label: 'Profile', key: 'profile', data: { tab: 'profile' } }];
         if (canManageUsers) {
             tabs.push({ label: 'Legal', key: 'legal', data: { tab: 'legal' } });
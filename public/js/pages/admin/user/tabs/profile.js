@@ -6,12 +6,12 @@
 
 import { apiRequest } from '/js/utils/api.js';
 import { notify } from '/js/components/notification.js';
-import { showPasswordModal } from '/js/utils/modal.js';
+import { showPasswordModal, showConfirmModal } from '/js/utils/modal.js';
 import { renderUserDetail } from '../detail.js';
 import { getOrdinal } from '/js/utils/utils.js';
 import { Panel } from '/js/widgets/panel.js';
 import { ValueHeader } from '/js/widgets/value_header.js';
-import { POOL_SVG, ADD_SVG, PERSON_SVG, EDIT_SVG, BOLT_SVG, ID_CARD_SVG, SHIELD_SVG, CLOSE_SVG } from '../../../../../images/icons/outline/icons.js';
+import { POOL_SVG, ADD_SVG, PERSON_SVG, EDIT_SVG, BOLT_SVG, ID_CARD_SVG, SHIELD_SVG, CLOSE_SVG, LOGIN_SVG } from '../../../../../images/icons/outline/icons.js';
 
 /**
  * Main rendering and logic binding function for the Admin Profile tab.
@@ -188,6 +188,18 @@ export async function renderProfileTab(container, user, userPerms, canManageUser
                             <select id="admin-user-role-select" class="full-width-select">
                                 <option value="">No Role</option>
                             </select>
+                            ${canManageUsers ? `
+                                <div class="inline-add-form">
+                                    <p class="small-text">Sign this user out on every device.</p>
+                                    <button id="force-logout-btn" class="small-btn secondary outline">Sign Out</button>
+                                </div>
+                            ` : ''}
+                            ${user.two_factor_enabled ? `
+                                <div class="inline-add-form">
+                                    <p class="small-text">Two-factor authentication is enabled.</p>
+                                    <button id="reset-two-factor-btn" class="small-btn secondary outline">Reset</button>
+                                </div>
+                            ` : ''}
                         </div>
                     `
                 })}
@@ -217,6 +229,26 @@ export async function renderProfileTab(container, user, userPerms, canManageUser
                     `
                 })}
             </div>
+
+            ${canManageUsers ? Panel({
+                id: 'admin-login-security-panel',
+                title: 'Login Security',
+                icon: LOGIN_SVG,
+                content: `
+                    <div class="inline-add-form">
+                        <p id="admin-lockout-status" class="small-text">Loading...</p>
+                        <button id="clear-lockout-btn" class="small-btn secondary outline hidden">Clear Lockout</button>
+                    </div>
+                    <div class="table-responsive">
+                        <table class="glass-table login-history-table">
+                            <thead>
+                                <tr><th>Time</th><th>Result</th><th>Device</th><th>IP Address</th></tr>
+                            </thead>
+                            <tbody id="admin-login-history"></tbody>
+                        </table>
+                    </div>
+                `
+            }) : ''}
         </div>
     `;
 
@@ -238,7 +270,7 @@ export async function renderProfileTab(container, user, userPerms, canManageUser
                 if (isPresident) {
                     password = await showPasswordModal(
                         'Transfer President Role',
-                        'Transferring the President role is a <strong>critical action</strong>. This will:<br><br>1. <strong>Remove all permissions</strong> from every other Exec member.<br>2. <strong>Wipe medical information</strong> for all users who have not consented to long-term storage.<br><br>Enter your password to confirm this transfer.'
+                        'Transferring the President role is a <strong>critical action</strong>. This will <strong>remove all permissions</strong> from every other Exec member.<br><br>Enter your password to confirm this transfer.'
                     );
                     if (!password) {
                         roleSelect.value = lastValue;
@@ -258,6 +290,38 @@ export async function renderProfileTab(container, user, userPerms, canManageUser
             };
         }
 
+        // --- Force Logout ---
+        const forceLogoutBtn = document.getElementById('force-logout-btn');
+        if (forceLogoutBtn) {
+            forceLogoutBtn.onclick = async () => {
+                if (!await showConfirmModal('Sign Out User', `Sign ${user.first_name} out of every session? They will need to log in again.`)) return;
+                try {
+                    const { revoked } = await apiRequest('POST', `/api/admin/user/${user.id}/logout`);
+                    notify('Success', `Signed out ${revoked} session${revoked === 1 ? '' : 's'}`, 'success');
+                } catch (e) {
+                    notify('Error', e.message || 'Failed to sign out user', 'error');
+                }
+            };
+        }
+
+        // --- Two-Factor Reset ---
+        const resetTwoFactorBtn = document.getElementById('reset-two-factor-btn');
+        if (resetTwoFactorBtn) {
+            resetTwoFactorBtn.onclick = async () => {
+                if (!await showConfirmModal('Reset Two-Factor', `Turn off two-factor authentication for ${user.first_name}? Only do this if they have lost their device and backup codes.`)) return;
+                try {
+                    await apiRequest('DELETE', `/api/admin/user/${user.id}/2fa`);
+                    notify('Success', 'Two-factor authentication reset', 'success');
+                    renderUserDetail(user.id);
+                } catch (e) {
+                    notify('Error', e.message || 'Failed to reset two-factor authentication', 'error');
+                }
+            };
+        }
+
+        // --- Login Security ---
+        renderLoginSecurity(user);
+
         // --- Instructor Status Toggle ---
         const instructorToggle = document.getElementById('admin-user-instructor');
         if (instructorToggle) {
@@ -431,4 +495,71 @@ export async function renderProfileTab(container, user, userPerms, canManageUser
             };
         }
     }
-}
\ No newline at end of file
+}
+
+const LOGIN_FAILURE_REASONS = {
+    password: 'Wrong password',
+    two_factor: 'Wrong code',
+    locked: 'Locked out'
+};
+
+/**
+ * Loads a user's lockout state and recent logins into the Login Security panel.
+ *
+ * @param {object} user - Target user data object.
+ */
+async function renderLoginSecurity(user) {
+    const status = document.getElementById('admin-lockout-status');
+    const history = document.getElementById('admin-login-history');
+    const clearBtn = document.getElementById('clear-lockout-btn');
+    if (!status || !history) return;
+
+    let summary;
+    try {
+        summary = await apiRequest('GET', `/api/admin/user/${user.id}/logins`);
+    } catch (e) {
+        status.textContent = e.message || 'Could not load login history.';
+        return;
+    }
+
+    const { lockout } = summary;
+    if (lockout.locked) {
+        status.textContent = `Locked out until ${new Date(lockout.locked_until).toLocaleString('en-GB')} after ${lockout.failed_count} failed logins.`;
+    } else if (lockout.failed_count > 0) {
+        status.textContent = `${lockout.failed_count} failed login${lockout.failed_count === 1 ? '' : 's'} since the last successful one.`;
+    } else {
+        status.textContent = 'No recent failed logins.';
+    }
+    clearBtn.classList.toggle('hidden', lockout.failed_count === 0);
+
+    history.innerHTML = summary.history.length === 0
+        ? '<tr><td colspan="4" class="empty-cell">No logins recorded.</td></tr>'
+        : summary.history.map(entry => `
+            <tr>
+                <td data-label="Time">${new Date(entry.created_at).toLocaleString('en-GB')}</td>
+                <td data-label="Result">
+                    <span class="badge ${entry.success ? 'success' : 'danger'}">${entry.success ? 'Success' : LOGIN_FAILURE_REASONS[entry.reason] || 'Failed'}</span>
+                </td>
+                <td data-label="Device">${escapeText(entry.device)}</td>
+                <td data-label="IP Address">${escapeText(entry.ip || 'Unknown')}</td>
+            </tr>
+        `).join('');
+
+    clearBtn.onclick = async () => {
+        if (!await showConfirmModal('Clear Lockout', `Forget ${user.first_name}'s failed logins and let them log in again straight away?`)) return;
+        try {
+            await apiRequest('DELETE', `/api/admin/user/${user.id}/lockout`);
+            notify('Success', 'Lockout cleared', 'success');
+            renderLoginSecurity(user);
+        } catch (e) {
+            notify('Error', e.message || 'Failed to clear lockout', 'error');
+        }
+    };
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ */
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
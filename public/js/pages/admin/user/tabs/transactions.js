@@ -2,17 +2,82 @@
  * transactions.js (Admin User Tab)
  * 
  * Renders the "Transactions" tab within the administrative user management view.
+ * The ledger is append-only: editing an entry reverses it and adds a replacement, and removing one reverses it,
+ * so the list shows each entry's reversal chain.
  */
 
 import { apiRequest } from '/js/utils/api.js';
 import { notify } from '/js/components/notification.js';
-import { showConfirmModal } from '/js/utils/modal.js';
+import { showReasonModal } from '/js/utils/modal.js';
 import { Panel } from '/js/widgets/panel.js';
 import { ItemList, StandardListItem } from '/js/widgets/item_list.js';
 import { ValueHeader, updateValueDisplay } from '/js/widgets/value_header.js';
 import { WALLET_SVG, ADD_SVG, REMOVE_SVG, EDIT_SVG, SAVE_SVG, CLOSE_SVG, DELETE_SVG } from '../../../../../images/icons/outline/icons.js';
 import { BalanceChangedEvent } from '/js/utils/events/events.js';
 
+export const TRANSACTION_CATEGORY_LABELS = {
+    membership: 'Membership',
+    event: 'Events & trips',
+    kit: 'Kit',
+    payment: 'Payment received',
+    refund: 'Refund',
+    adjustment: 'Correction',
+    other: 'Other'
+};
+
+/**
+ * Escapes text for safe insertion into HTML.
+ */
+function escapeText(text) {
+    return String(text ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Builds the category select and counterpart/reference inputs for a transaction.
+ *
+ * @param {object} [tx] - Existing transaction to prefill from.
+ * @returns {string} - HTML string.
+ */
+function detailInputs(tx = {}) {
+    const selected = tx.category || 'adjustment';
+    return `
+        <div class="tx-detail-grid">
+            <select class="tx-category-input compact-input" title="Category">
+                ${Object.entries(TRANSACTION_CATEGORY_LABELS).map(([value, label]) =>
+                    `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <input class="tx-counterpart-input compact-input" type="text" maxlength="100" placeholder="Counterpart account (optional)" value="${escapeText(tx.counterpart || '')}">
+            <input class="tx-reference-input compact-input" type="text" maxlength="100" placeholder="Reference / receipt no. (optional)" value="${escapeText(tx.reference || '')}">
+        </div>
+    `;
+}
+
+/**
+ * Describes how an entry fits into a reversal chain, e.g. "Reverses #12: Wrong amount (by Jane Smith)".
+ *
+ * @param {object} tx - Transaction from the admin transactions endpoint.
+ * @returns {string} - HTML string, empty for a plain entry.
+ */
+function chainText(tx) {
+    const by = tx.created_by_first_name ? ` (by ${escapeText(`${tx.created_by_first_name} ${tx.created_by_last_name}`)})` : '';
+    if (tx.reverses_id) return `<span class="tx-chain">Reverses #${tx.reverses_id}: ${escapeText(tx.reason)}${by}</span>`;
+    if (tx.replaces_id) return `<span class="tx-chain">Replaces #${tx.replaces_id}: ${escapeText(tx.reason)}${by}</span>`;
+    if (tx.reversed_by_id) return `<span class="tx-chain">Reversed by #${tx.reversed_by_id}</span>`;
+    if (tx.batch_id) return `<span class="tx-chain">Part of <a data-nav="/admin/transaction-batch/${tx.batch_id}">bulk entry #${tx.batch_id}</a>${by}</span>`;
+    return '';
+}
+
+/**
+ * Reads the category, counterpart and reference inputs within an element.
+ */
+function readDetails(el) {
+    return {
+        category: el.querySelector('.tx-category-input').value,
+        counterpart: el.querySelector('.tx-counterpart-input').value,
+        reference: el.querySelector('.tx-reference-input').value
+    };
+}
+
 /**
  * Main rendering and logic binding function for the Admin Transactions tab.
  * 
@@ -56,6 +121,7 @@ export async function renderTransactionsTab(container, userId) {
                                     <input id="new-tx-amount" type="number" step="0.01" placeholder="Amount" class="compact-input">
                                     <button id="add-tx-btn" class="small-btn icon-text-btn min-w-100">${ADD_SVG} Add</button>
                                 </div>
+                                ${detailInputs()}
                             </div>
 
                             <div id="admin-tx-list">
@@ -64,29 +130,35 @@ export async function renderTransactionsTab(container, userId) {
                                     const icon = isNegative ? REMOVE_SVG : ADD_SVG;
                                     const iconClass = isNegative ? 'negative' : 'positive';
                                     const dateStr = new Date(tx.created_at).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+                                    const categoryStr = TRANSACTION_CATEGORY_LABELS[tx.category] || tx.category;
+                                    const isFinal = !tx.reverses_id && !tx.reversed_by_id;
+                                    const status = tx.reverses_id
+                                        ? '<span class="badge neutral">Reversal</span>'
+                                        : tx.reversed_by_id ? '<span class="badge warning">Reversed</span>' : '';
 
                                     return StandardListItem({
-                                        classes: 'transaction-item',
+                                        classes: `transaction-item ${tx.reversed_by_id ? 'reversed' : ''}`,
                                         dataAttributes: `data-id="${tx.id}"`,
                                         icon: icon,
                                         iconClass: iconClass,
-                                        title: tx.description,
-                                        subtitle: dateStr,
+                                        title: `#${tx.id} ${escapeText(tx.description)} ${status}`,
+                                        subtitle: [dateStr, categoryStr, tx.reference && `Ref ${escapeText(tx.reference)}`].filter(Boolean).join(' · ') + chainText(tx),
                                         value: `${isNegative ? '' : '+'}${tx.amount.toFixed(2)}`,
                                         valueClass: iconClass,
                                         extra: `£${tx.after !== undefined ? tx.after.toFixed(2) : 'N/A'}`,
                                         content: `
                                             <div class="tx-edit-grid no-btn hidden">
-                                                <input class="tx-desc-input compact-input" value="${tx.description}">
+                                                <input class="tx-desc-input compact-input" value="${escapeText(tx.description)}">
                                                 <input type="number" step="0.01" class="tx-amount-input compact-input" value="${tx.amount}">
+                                                ${detailInputs(tx)}
                                             </div>
                                         `,
-                                        actions: `
-                                            <button class="icon-btn edit-tx-btn" data-id="${tx.id}" title="Edit">${EDIT_SVG}</button>
+                                        actions: isFinal ? `
+                                            <button class="icon-btn edit-tx-btn" data-id="${tx.id}" title="Correct">${EDIT_SVG}</button>
                                             <button class="icon-btn save-tx-btn hidden success" data-id="${tx.id}" title="Save">${SAVE_SVG}</button>
                                             <button class="icon-btn cancel-tx-btn hidden warning" data-id="${tx.id}" title="Cancel">${CLOSE_SVG}</button>
-                                            <button class="icon-btn delete-tx-btn delete" data-id="${tx.id}" title="Delete">${DELETE_SVG}</button>
-                                        `
+                                            <button class="icon-btn delete-tx-btn delete" data-id="${tx.id}" title="Reverse">${DELETE_SVG}</button>
+                                        ` : ''
                                     });
                                 })}
                             </div>
@@ -107,27 +179,29 @@ export async function renderTransactionsTab(container, userId) {
                 if (!amount || !description) return notify('Error', 'Please fill all fields', 'error');
 
                 try {
-                    await apiRequest('POST', `/api/admin/user/${userId}/transaction`, { amount, description });
+                    const details = readDetails(container.querySelector('.new-entry-row'));
+                    await apiRequest('POST', `/api/admin/user/${userId}/transaction`, { amount, description, ...details });
                     BalanceChangedEvent.notify();
                     notify('Success', 'Transaction added', 'success');
                     renderTransactionsTab(container, userId);
                 } catch (e) {
-                    notify('Error', 'Failed to add', 'error');
+                    notify('Error', e.message || 'Failed to add', 'error');
                 }
             };
         }
 
         container.querySelectorAll('.delete-tx-btn').forEach(btn => {
             btn.onclick = async () => {
-                if (!await showConfirmModal('Delete Transaction', 'Are you sure you want to delete this transaction? This action cannot be undone.')) return;
+                const reason = await showReasonModal('Reverse Transaction', 'This adds an entry cancelling out the transaction. Both stay in the history. Why is it being reversed?');
+                if (!reason) return;
 
                 try {
-                    await apiRequest('DELETE', `/api/admin/transaction/${btn.dataset.id}`);
+                    await apiRequest('DELETE', `/api/admin/transaction/${btn.dataset.id}`, { reason });
                     BalanceChangedEvent.notify();
-                    notify('Success', 'Transaction deleted', 'success');
+                    notify('Success', 'Transaction reversed', 'success');
                     renderTransactionsTab(container, userId);
                 } catch (e) {
-                    notify('Error', 'Failed to delete', 'error');
+                    notify('Error', e.message || 'Failed to reverse', 'error');
                 }
             };
         });
@@ -187,13 +261,16 @@ function setupTransactionEditHandlers(container, userId) {
             const amount = item.querySelector('.tx-amount-input').value;
             const description = item.querySelector('.tx-desc-input').value;
 
+            const reason = await showReasonModal('Correct Transaction', 'The original is reversed and a corrected entry added in its place. Why is it being corrected?');
+            if (!reason) return;
+
             try {
-                await apiRequest('PUT', `/api/admin/transaction/${id}`, { amount, description });
+                await apiRequest('PUT', `/api/admin/transaction/${id}`, { amount, description, ...readDetails(item), reason });
                 BalanceChangedEvent.notify();
-                notify('Success', 'Transaction updated', 'success');
+                notify('Success', 'Transaction corrected', 'success');
                 renderTransactionsTab(container, userId);
             } catch (e) {
-                notify('Error', 'Failed to update transaction', 'error');
+                notify('Error', e.message || 'Failed to update transaction', 'error');
             }
         };
     });
@@ -8,7 +8,9 @@
 
 import { ViewChangedEvent, switchView, addRoute } from "/js/utils/view.js";
 import { apiRequest } from "/js/utils/api.js";
-import { BalanceChangedEvent, EventAttendanceChangedEvent } from '/js/utils/events/events.js';
+import { BalanceChangedEvent, EventAttendanceChangedEvent, EventLiveUpdateEvent } from '/js/utils/events/events.js';
+import { watchEvents, unwatchEvents } from '/js/utils/liveEvents.js';
+import { debounce } from '/js/utils/utils.js';
 import { showConfirmModal } from '/js/utils/modal.js';
 import { Tag } from '../widgets/Tag.js';
 import {
@@ -37,6 +39,42 @@ const modal = new Modal({
 
 const HTML_TEMPLATE = modal.getHTML();
 
+let signupCountdown = null;
+
+/**
+ * The event currently open in the modal, used to apply live updates.
+ * @type {{eventId: number, view: object, canManage: boolean, isCanceled: boolean, state: object|null} | null}
+ */
+let liveContext = null;
+
+/**
+ * Formats the time remaining until a date as a short countdown (e.g. "2d 4h", "12m 30s").
+ * 
+ * @param {Date} target
+ * @returns {string}
+ */
+function formatCountdown(target) {
+    const totalSeconds = Math.max(0, Math.floor((target - new Date()) / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${seconds}s`;
+}
+
+/**
+ * Formats a signup opening time for display.
+ * 
+ * @param {string|Date} date
+ * @returns {string}
+ */
+function formatOpeningTime(date) {
+    return new Date(date).toLocaleString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
 /**
  * Helper to generate HTML for a list of user bubbles.
  * 
@@ -88,6 +126,7 @@ async function fillAttendeesList(eventId, canManage) {
  * @param {number} eventId 
  * @param {boolean} isFull - Whether the event has reached max capacity.
  * @param {boolean} canManage - Admin/Exec status for member visibility.
+ * @returns {Promise<object>} - Waitlist data, including the current user's spot offer if they have one.
  */
 async function fillWaitlist(eventId, isFull, canManage) {
     try {
@@ -115,8 +154,10 @@ async function fillWaitlist(eventId, isFull, canManage) {
                 summaryField.classList.add('hidden');
             }
         }
+        return data;
     } catch (e) {
         console.error("Failed to fill waitlist", e);
+        return {};
     }
 }
 
@@ -130,6 +171,7 @@ async function fillWaitlist(eventId, isFull, canManage) {
  * @param {boolean} canManage
  */
 async function setupEventButtons(eventId, path, resolvedPath, canManage) {
+    clearInterval(signupCountdown);
     try {
         const loggedInRes = await apiRequest('GET', '/api/auth/status').catch(() => ({ authenticated: false }));
         const loggedIn = loggedInRes.authenticated;
@@ -188,9 +230,13 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
         const attendeeCount = activeAttendees.length;
         const isFull = event.max_attendees > 0 && attendeeCount >= event.max_attendees;
 
-        if (event.enable_waitlist) {
-            await fillWaitlist(eventId, isFull, canManage);
-        }
+        const waitlistData = event.enable_waitlist ? await fillWaitlist(eventId, isFull, canManage) : {};
+        const offer = isOnWaitlist ? waitlistData.offer : null;
+        const declineButton = document.getElementById('decline-offer-button');
+        const opensAt = canJoinRes.opensAt ? new Date(canJoinRes.opensAt) : null;
+        const signupsPending = opensAt && opensAt > new Date();
+        const ballotPending = event.ballot_closes_at && !event.ballot_drawn_at;
+        const ballot = ballotPending ? await apiRequest('GET', `/api/event/${eventId}/ballot`).catch(() => null) : null;
 
         let warningHtml = '';
         let buttonText = 'Attend Event';
@@ -212,10 +258,36 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
             if (event.upfront_cost > 0 && cutoff && now > cutoff) {
                 warningHtml = `<div class="glass-warning">${SCHEDULE_SVG} Refund period has passed. Leaving now will not trigger a refund.</div>`;
             }
+        } else if (offer) {
+            const confirmBy = new Date(offer.expires_at).toLocaleString('en-GB', { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+            buttonText = 'Confirm Spot';
+            buttonAction = 'waitlist_accept';
+            warningHtml = `<div class="glass-warning">${HOURGLASS_TOP_SVG} You have a spot — confirm by ${confirmBy}</div>`;
         } else if (isOnWaitlist) {
             buttonText = 'Leave Waiting List';
             isDeleteStyle = true;
             buttonAction = 'waitlist_leave';
+        } else if (signupsPending) {
+            buttonText = `Signups open in ${formatCountdown(opensAt)}`;
+            warningHtml = `<div class="glass-warning">${SCHEDULE_SVG} Signups open for you on ${formatOpeningTime(opensAt)}.</div>`;
+            isDisabled = true;
+        } else if (ballotPending) {
+            const closesAt = new Date(event.ballot_closes_at);
+            const isClosed = closesAt <= new Date();
+            if (isClosed) {
+                buttonText = ballot?.entry ? 'Awaiting Draw' : 'Ballot Closed';
+                warningHtml = `<div class="glass-warning">${HOURGLASS_TOP_SVG} The ballot has closed and places are being drawn.</div>`;
+                isDisabled = true;
+            } else if (ballot?.entry) {
+                buttonText = 'Withdraw from Ballot';
+                isDeleteStyle = true;
+                buttonAction = 'ballot_withdraw';
+                warningHtml = `<div class="glass-warning">${HOURGLASS_TOP_SVG} You're in the ballot. Places are drawn after ${formatOpeningTime(closesAt)}.</div>`;
+            } else {
+                buttonText = 'Enter Ballot';
+                buttonAction = 'ballot_enter';
+                warningHtml = `<div class="glass-warning">${INFO_SVG} Places are allocated by ballot. Entries close ${formatOpeningTime(closesAt)}.</div>`;
+            }
         } else if (!userStatus.filled_legal_info) {
             buttonText = 'Complete Legal Form';
             warningHtml = `<div class="glass-warning">${INFO_SVG} You must fill out the legal form before joining.</div>`;
@@ -246,7 +318,7 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
                 buttonText = 'View Balance';
                 warningHtml = `<div class="glass-warning">${INFO_SVG} You have outstanding debts. Please clear them before joining.</div>`;
                 buttonAction = () => switchView('profile?tab=balance');
-            } else if (isFull && event.enable_waitlist && canJoinRes.reason === 'Event is full') {
+            } else if (event.enable_waitlist && canJoinRes.reason === 'Event is full') {
                 buttonText = 'Join Waiting List';
                 warningHtml = `<div class="glass-warning">${INFO_SVG} This event is full. You can join the waiting list.</div>`;
                 buttonAction = 'waitlist_join';
@@ -260,6 +332,19 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
             buttonAction = 'waitlist_join';
         }
 
+        if (declineButton) {
+            declineButton.classList.toggle('hidden', !offer);
+            declineButton.onclick = async () => {
+                try {
+                    await apiRequest('POST', `/api/event/${event.id}/waitlist/decline`, {});
+                    EventAttendanceChangedEvent.notify({ eventId: event.id });
+                    await setupEventButtons(eventId, path, resolvedPath, canManage);
+                } catch (error) {
+                    notify('Action Failed', error, 'error');
+                }
+            };
+        }
+
         if (warningContainer) {
             warningContainer.innerHTML = warningHtml;
             if (warningHtml) warningContainer.classList.remove('hidden');
@@ -277,6 +362,17 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
             const newBtn = attendButton.cloneNode(true);
             attendButton.parentNode.replaceChild(newBtn, attendButton);
 
+            if (signupsPending) {
+                signupCountdown = setInterval(() => {
+                    if (new Date() >= opensAt) {
+                        clearInterval(signupCountdown);
+                        setupEventButtons(eventId, path, resolvedPath, canManage);
+                    } else {
+                        newBtn.textContent = `Signups open in ${formatCountdown(opensAt)}`;
+                    }
+                }, 1000);
+            }
+
             newBtn.addEventListener('click', async () => {
                 if (isDisabled) return;
 
@@ -304,6 +400,9 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
                     if (buttonAction === 'leave') url = `/api/event/${event.id}/leave`;
                     else if (buttonAction === 'waitlist_leave') url = `/api/event/${event.id}/waitlist/leave`;
                     else if (buttonAction === 'waitlist_join') url = `/api/event/${event.id}/waitlist/join`;
+                    else if (buttonAction === 'waitlist_accept') url = `/api/event/${event.id}/waitlist/accept`;
+                    else if (buttonAction === 'ballot_enter') url = `/api/event/${event.id}/ballot/enter`;
+                    else if (buttonAction === 'ballot_withdraw') url = `/api/event/${event.id}/ballot/withdraw`;
 
                     await apiRequest('POST', url, {});
                     BalanceChangedEvent.notify();
@@ -326,6 +425,9 @@ async function setupEventButtons(eventId, path, resolvedPath, canManage) {
  */
 async function NavigationEventListner({ viewId, path, resolvedPath }) {
     if (viewId !== "event") {
+        clearInterval(signupCountdown);
+        liveContext = null;
+        unwatchEvents('event-modal');
         document.getElementById('event-view').classList.add('hidden');
         return;
     }
@@ -403,6 +505,15 @@ async function NavigationEventListner({ viewId, path, resolvedPath }) {
         const isPast = new Date(event.end) < new Date();
         const isCanceled = event.is_canceled;
 
+        let signupWindowHtml = '';
+        if (event.signup_opens_at && new Date(event.signup_opens_at) > new Date()) {
+            const memberNote = event.member_signup_opens_at ? ` (members from ${formatOpeningTime(event.member_signup_opens_at)})` : '';
+            signupWindowHtml = `<p class="signup-window-info">${SCHEDULE_SVG} Signups open ${formatOpeningTime(event.signup_opens_at)}${memberNote}</p>`;
+        }
+        if (event.ballot_closes_at && !event.ballot_drawn_at) {
+            signupWindowHtml += `<p class="signup-window-info">${HOURGLASS_TOP_SVG} Places are allocated by ballot, closing ${formatOpeningTime(event.ballot_closes_at)}</p>`;
+        }
+
         navContainer.innerHTML = /*html*/`
             <div class="event-modal-header ${isPast ? 'past-event' : ''} ${isCanceled ? 'canceled-event' : ''}" style="--event-image-url: url('${imageUrl}');">
                 <div class="header-content">
@@ -430,7 +541,7 @@ async function NavigationEventListner({ viewId, path, resolvedPath }) {
                     </div>
                     <div class="info-box">
                         <span class="box-title">${GROUP_SVG} CAPACITY</span>
-                        <span class="box-value">${event.attendee_count || 0}/${event.max_attendees || '∞'}</span>
+                        <span class="box-value" id="event-capacity-value">${event.attendee_count || 0}/${event.max_attendees || '∞'}</span>
                     </div>
                 </div>
 
@@ -440,6 +551,7 @@ async function NavigationEventListner({ viewId, path, resolvedPath }) {
                     <div class="description-section">
                         <h3 class="section-title">Description</h3>
                         <p class="description-text">${event.description || 'No description provided.'}</p>
+                        ${signupWindowHtml}
                     </div>
 
                     <div class="attendees-section nomargin">
@@ -453,6 +565,8 @@ async function NavigationEventListner({ viewId, path, resolvedPath }) {
 
                 <div class="event-actions">
                     <button id="attend-event-button" class="join-btn hidden">Attend Event</button>
+                    <button id="decline-offer-button" class="hidden secondary">Decline Spot</button>
+                    <button id="register-event-button" class="hidden secondary">Take Register</button>
                     <button id="edit-event-button" class="hidden secondary">Edit Event</button>
                 </div>
             </div>`;
@@ -466,7 +580,21 @@ async function NavigationEventListner({ viewId, path, resolvedPath }) {
             editBtn.onclick = () => switchView(`/admin/event/${event.id}`);
         }
 
+        // Register opens an hour before the start for coaches and event managers
+        const registerOpen = !isCanceled && new Date() >= new Date(start.getTime() - 60 * 60 * 1000);
+        if (registerOpen) {
+            const canTakeRegister = canManage || (await apiRequest('GET', '/api/user/elements/is_instructor').catch(() => ({}))).is_instructor;
+            if (canTakeRegister) {
+                const registerBtn = document.getElementById('register-event-button');
+                registerBtn.classList.remove('hidden');
+                registerBtn.onclick = () => switchView(`/event/${event.id}/register`);
+            }
+        }
+
         const eventId = event.id;
+        liveContext = { eventId, view: { viewId, path, resolvedPath }, canManage, isCanceled: !!isCanceled, state: null };
+        watchEvents('event-modal', [eventId]);
+
         await Promise.all([
             fillAttendeesList(eventId, canManage),
             setupEventButtons(eventId, path, resolvedPath, canManage)
@@ -478,6 +606,44 @@ async function NavigationEventListner({ viewId, path, resolvedPath }) {
     }
 }
 
+/**
+ * Re-fetches the attendee list and the user's join state after a live update.
+ * Debounced so a burst of signups (or the user's own action) only triggers one refresh.
+ */
+const refreshFromLiveUpdate = debounce(() => {
+    if (!liveContext) return;
+    const { eventId, view, canManage } = liveContext;
+    fillAttendeesList(eventId, canManage);
+    setupEventButtons(eventId, view.path, view.resolvedPath, canManage);
+}, 300);
+
+EventLiveUpdateEvent.subscribe((update) => {
+    if (!liveContext || update.id !== liveContext.eventId) return;
+
+    if (update.deleted) {
+        document.getElementById('event-detail').innerHTML = '<p class="error-text">This event has been deleted.</p>';
+        liveContext = null;
+        return;
+    }
+
+    // A cancellation changes the whole modal, so redraw it from scratch
+    if (update.is_canceled && !liveContext.isCanceled) {
+        NavigationEventListner(liveContext.view);
+        return;
+    }
+
+    const capacity = document.getElementById('event-capacity-value');
+    if (capacity) capacity.textContent = `${update.attendee_count}/${update.max_attendees || '∞'}`;
+
+    // The first message is the state on connect, which the modal has just loaded anyway
+    const previous = liveContext.state;
+    liveContext.state = update;
+    if (!previous) return;
+    if (['attendee_count', 'waitlist_count', 'coach_count', 'max_attendees'].some(key => previous[key] !== update[key])) {
+        refreshFromLiveUpdate();
+    }
+});
+
 ViewChangedEvent.subscribe(NavigationEventListner);
 document.querySelector('main').insertAdjacentHTML('beforeend', HTML_TEMPLATE);
 modal.attachListeners();
@@ -15,11 +15,13 @@ import {
 import { StandardCard } from '../widgets/StandardCard.js';
 import { 
     EventAttendanceChangedEvent, 
+    EventLiveUpdateEvent,
     LoginEvent, 
     LegalEvent, 
     BalanceChangedEvent,
     NoInternetEvent
 } from '/js/utils/events/events.js';
+import { watchEvents, unwatchEvents } from '/js/utils/liveEvents.js';
 import "./event.js";
 
 addRoute('/events', 'events');
@@ -205,6 +207,8 @@ async function renderPageContent(page, targetElement) {
         const events = data.events || [];
         const { startDate, endDate } = data;
 
+        watchEvents('events-page', events.map(e => e.id));
+
         const rangeText = document.getElementById('page-range-text');
         if (rangeText && startDate && endDate) {
             rangeText.textContent = getRangeText(startDate, endDate);
@@ -433,17 +437,43 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // Patch the pushed counts into the cached event and redraw just its card
+    EventLiveUpdateEvent.subscribe((update) => {
+        const cached = pageCache.get(currentPage)?.events?.find(e => e.id === update.id);
+        if (!cached) return;
+
+        if (update.deleted) {
+            clearCache();
+            changePage(currentPage, false);
+            return;
+        }
+
+        Object.assign(cached, {
+            attendee_count: update.attendee_count,
+            max_attendees: update.max_attendees,
+            is_canceled: update.is_canceled ? 1 : 0
+        });
+
+        const card = document.querySelector(`.event-card[data-nav="event/${update.id}"]`);
+        if (!card) return;
+        const temp = document.createElement('div');
+        temp.innerHTML = StandardCard.render(cached);
+        card.replaceWith(temp.firstElementChild);
+    });
+
     NoInternetEvent.subscribe(() => {
         clearCache();
     });
 
-    ViewChangedEvent.subscribe(({ resolvedPath }) => {
+    ViewChangedEvent.subscribe(({ resolvedPath, viewId }) => {
         if (resolvedPath === '/events') {
             checkAdminAccess();
             const urlParams = new URLSearchParams(window.location.search);
             const pageParam = parseInt(urlParams.get('page'));
             currentPage = isNaN(pageParam) ? 0 : pageParam;
             changePage(null, false);
+        } else if (viewId !== 'event') {
+            unwatchEvents('events-page');
         }
     });
 });
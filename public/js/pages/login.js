@@ -43,6 +43,17 @@ const HTML_TEMPLATE = /*html*/
                                 <button type="submit">Login</button>
                             </div>
                         </form>
+                        <form id="login-2fa-form" class="hidden">
+                            <p>Enter the 6-digit code from your authenticator app, or one of your backup codes.</p>
+                            <div>
+                                <label for="login-2fa-code">Code:</label>
+                                <input id="login-2fa-code" name="code" inputmode="numeric" autocomplete="one-time-code">
+                            </div>
+                            <div id="login-2fa-footer">
+                                <button type="button" id="login-2fa-cancel" class="secondary outline">Back</button>
+                                <button type="submit">Verify</button>
+                            </div>
+                        </form>
                         <p><a data-nav="/reset-password">Forgot Password?</a></p>
                         <p>Don't have an account? <a data-nav="/signup">Sign Up</a></p>
                     </article>
@@ -52,6 +63,46 @@ const HTML_TEMPLATE = /*html*/
 
 let email = null;
 let password = null;
+let loginForm = null;
+let twoFactorForm = null;
+
+/**
+ * Switch between the password form and the two-factor code form.
+ * 
+ * @param {boolean} showCode
+ */
+function showTwoFactorStep(showCode) {
+    loginForm.classList.toggle('hidden', showCode);
+    twoFactorForm.classList.toggle('hidden', !showCode);
+    const codeInput = document.getElementById('login-2fa-code');
+    codeInput.value = '';
+    if (showCode) codeInput.focus();
+}
+
+/**
+ * Announce a completed login and move on, to the security settings if the user's role needs two-factor set up.
+ * 
+ * @param {object} res - Login response.
+ */
+function finishLogin(res) {
+    LoginEvent.notify({ authenticated: true });
+    notify('Success', res.message || 'Login successful! Redirecting...', 'success', 1500, 'login-status');
+
+    const redirect = sessionStorage.getItem('redirect_after_login');
+    sessionStorage.removeItem('redirect_after_login');
+
+    if (res.twoFactorSetupRequired) {
+        notify('Two-Factor Required', 'Your role requires two-factor authentication. Set it up to continue using it.', 'warning', 5000, 'login-2fa-status');
+        switchView('/profile?tab=settings');
+    } else if (redirect) {
+        switchView(redirect);
+    } else {
+        const prev = getPreviousPath();
+        const badPaths = ['/login', '/signup', '/home'];
+        if (!prev || badPaths.includes(prev)) switchView('/events');
+        else switchView(prev);
+    }
+}
 
 
 /**
@@ -72,10 +123,12 @@ function ViewNavigationEventListener({ resolvedPath }) {
     }
     if (email) email.value = '';
     if (password) password.value = '';
+    if (twoFactorForm) showTwoFactorStep(false);
 }
 
 document.addEventListener('DOMContentLoaded', () => {
-    const loginForm = document.getElementById('login-form');
+    loginForm = document.getElementById('login-form');
+    twoFactorForm = document.getElementById('login-2fa-form');
     email = document.getElementById('email');
     password = document.getElementById('password');
 
@@ -108,20 +161,8 @@ document.addEventListener('DOMContentLoaded', () => {
         }
 
         await apiRequest('POST', '/api/auth/login', { email: emailVal, password: formData.get('password') }).then(res => {
-            LoginEvent.notify({ authenticated: true });
-            notify('Success', res.message || 'Login successful! Redirecting...', 'success', 1500, 'login-status');
-
-            const redirect = sessionStorage.getItem('redirect_after_login');
-            sessionStorage.removeItem('redirect_after_login');
-
-            if (redirect) {
-                switchView(redirect);
-            } else {
-                const prev = getPreviousPath();
-                const badPaths = ['/login', '/signup', '/home'];
-                if (!prev || badPaths.includes(prev)) switchView('/events');
-                else switchView(prev);
-            }
+            if (res.twoFactorRequired) showTwoFactorStep(true);
+            else finishLogin(res);
         }).catch((error) => {
             notify('Error', error.message || error || 'Login failed.', 'error', 3000, 'login-status');
             if (error.message && error.message.includes('email')) {
@@ -133,6 +174,19 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     });
 
+    twoFactorForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const code = document.getElementById('login-2fa-code').value.trim();
+        if (!code) return;
+
+        await apiRequest('POST', '/api/auth/login/2fa', { code }).then(finishLogin).catch((error) => {
+            notify('Error', error.message || 'Verification failed.', 'error', 3000, 'login-status');
+            if (error.lockedUntil || (error.message && error.message.includes('log in again'))) showTwoFactorStep(false);
+        });
+    });
+
+    document.getElementById('login-2fa-cancel').onclick = () => showTwoFactorStep(false);
+
     ViewChangedEvent.subscribe(ViewNavigationEventListener);
 });
 
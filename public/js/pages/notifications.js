@@ -0,0 +1,171 @@
+/**
+ * notifications.js
+ *
+ * Logic for the notification inbox view.
+ * Lists the user's notifications, marks them read when opened,
+ * and lets the user choose which categories they receive.
+ *
+ * Registered Route: /notifications
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { ViewChangedEvent, addRoute, switchView } from '/js/utils/view.js';
+import { NotificationsChangedEvent } from '/js/utils/events/events.js';
+import { notify, NotificationTypes } from '/js/components/notification.js';
+import { Pagination } from '/js/widgets/Pagination.js';
+import { CHECK_SVG, SETTINGS_SVG } from '../../images/icons/outline/icons.js';
+
+addRoute('/notifications', 'notifications');
+
+const CATEGORY_LABELS = {
+    waitlist: 'Waitlist places',
+    event: 'Changes to events I\'m signed up to',
+    transaction: 'Charges and credits',
+    role: 'Role changes',
+    security: 'Logins from new devices'
+};
+
+const HTML_TEMPLATE = /*html*/`
+<div id="notifications-view" class="view hidden">
+    <div class="small-container">
+        <div class="notifications-header">
+            <h1>Inbox</h1>
+            <div class="notifications-actions">
+                <button id="notifications-read-all-btn" class="small-btn outline secondary">${CHECK_SVG} Mark all read</button>
+                <button id="notifications-prefs-btn" class="small-btn outline secondary">${SETTINGS_SVG} Preferences</button>
+            </div>
+        </div>
+
+        <div id="notifications-prefs" class="notifications-prefs glass-panel hidden"></div>
+
+        <div id="notifications-list">
+            <p class="notifications-status" aria-busy="true">Loading notifications...</p>
+        </div>
+        <div id="notifications-pagination"></div>
+    </div>
+</div>`;
+
+let currentPage = 1;
+
+/**
+ * Escapes text for safe inclusion in HTML.
+ * @param {string} value
+ */
+function escapeText(value) {
+    const div = document.createElement('div');
+    div.textContent = value ?? '';
+    return div.innerHTML;
+}
+
+/**
+ * Fetches a page of notifications and renders the inbox list.
+ * @param {number} page
+ */
+async function populateInbox(page = currentPage) {
+    const list = document.getElementById('notifications-list');
+    if (!list) return;
+    currentPage = page;
+
+    try {
+        const data = await apiRequest('GET', `/api/user/notifications?page=${page}`);
+
+        if (!data.notifications || data.notifications.length === 0) {
+            list.innerHTML = '<p class="notifications-status">You have no notifications.</p>';
+        } else {
+            list.innerHTML = `<div class="notifications-list glass-panel">${data.notifications.map(n => `
+                <div class="notification-row ${n.read_at ? '' : 'unread'}" data-id="${n.id}" data-link="${escapeText(n.link || '')}">
+                    <div class="notification-text">
+                        <div class="notification-title">${escapeText(n.title)}</div>
+                        ${n.body ? `<div class="notification-body">${escapeText(n.body)}</div>` : ''}
+                    </div>
+                    <div class="notification-date">${new Date(n.created_at).toLocaleString('en-GB', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' })}</div>
+                </div>`).join('')}
+            </div>`;
+
+            list.querySelectorAll('.notification-row').forEach(row => {
+                row.addEventListener('click', () => openNotification(row));
+            });
+        }
+
+        const pager = new Pagination(document.getElementById('notifications-pagination'), (newPage) => populateInbox(newPage));
+        pager.render(data.currentPage, data.totalPages || 1);
+    } catch (error) {
+        console.error(error);
+        list.innerHTML = '<p class="notifications-error">Failed to load notifications.</p>';
+    }
+}
+
+/**
+ * Marks a notification read and follows its link, if it has one.
+ * @param {HTMLElement} row
+ */
+async function openNotification(row) {
+    if (row.classList.contains('unread')) {
+        try {
+            await apiRequest('POST', `/api/user/notifications/${row.dataset.id}/read`);
+            row.classList.remove('unread');
+            NotificationsChangedEvent.notify();
+        } catch (error) {
+            notify('Error', error.message || 'Failed to update notification', NotificationTypes.ERROR);
+        }
+    }
+    if (row.dataset.link) switchView(row.dataset.link);
+}
+
+/**
+ * Fetches the user's category preferences and renders a switch for each one.
+ */
+async function populatePreferences() {
+    const panel = document.getElementById('notifications-prefs');
+    if (!panel) return;
+
+    try {
+        const prefs = await apiRequest('GET', '/api/user/notifications/preferences');
+        panel.innerHTML = `
+            <h3>Notify me about</h3>
+            ${Object.entries(CATEGORY_LABELS).map(([category, label]) => `
+                <label>
+                    <input type="checkbox" role="switch" data-category="${category}" ${prefs[category] ? 'checked' : ''}>
+                    ${label}
+                </label>`).join('')}`;
+
+        panel.querySelectorAll('input[data-category]').forEach(input => {
+            input.addEventListener('change', async () => {
+                try {
+                    await apiRequest('PUT', '/api/user/notifications/preferences', { [input.dataset.category]: input.checked });
+                    notify('Saved', 'Notification preferences updated', NotificationTypes.SUCCESS, 2000, 'notification-prefs');
+                } catch (error) {
+                    input.checked = !input.checked;
+                    notify('Error', error.message || 'Failed to save preferences', NotificationTypes.ERROR);
+                }
+            });
+        });
+    } catch (error) {
+        panel.innerHTML = '<p class="notifications-error">Failed to load preferences.</p>';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    ViewChangedEvent.subscribe(({ resolvedPath }) => {
+        if (resolvedPath === '/notifications') populateInbox(1);
+    });
+
+    document.getElementById('notifications-read-all-btn')?.addEventListener('click', async () => {
+        try {
+            await apiRequest('POST', '/api/user/notifications/read-all');
+            NotificationsChangedEvent.notify();
+            populateInbox();
+        } catch (error) {
+            notify('Error', error.message || 'Failed to update notifications', NotificationTypes.ERROR);
+        }
+    });
+
+    document.getElementById('notifications-prefs-btn')?.addEventListener('click', () => {
+        const panel = document.getElementById('notifications-prefs');
+        const opening = panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !opening);
+        if (opening) populatePreferences();
+    });
+});
+
+document.querySelector('main').insertAdjacentHTML('beforeend', HTML_TEMPLATE);
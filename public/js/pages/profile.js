@@ -14,7 +14,7 @@ import { ViewChangedEvent, addRoute, switchView } from '/js/utils/view.js';
 import { requireAuth } from '/js/utils/auth.js';
 import { getOrdinal } from '/js/utils/utils.js';
 import { BalanceChangedEvent } from '/js/utils/events/events.js';
-import { showConfirmModal, showPasswordModal, showChangePasswordModal } from '/js/utils/modal.js';
+import { showConfirmModal, showChoiceModal, showAmountModal, showPasswordModal, showChangePasswordModal, showTwoFactorSetupModal, showBackupCodesModal } from '/js/utils/modal.js';
 import { Sidebar, initSidebar } from '../widgets/sidebar.js';
 import { Panel } from '../widgets/panel.js';
 import { StatusIndicator } from '../widgets/status.js';
@@ -24,7 +24,8 @@ import { ItemList, StandardListItem } from '../widgets/item_list.js';
 import { Tag } from '../widgets/Tag.js';
 import {
     SETTINGS_SVG, CLOSE_SVG, SOCIAL_LEADERBOARD_SVG, ID_CARD_SVG, BRIGHTNESS_ALERT_SVG, POOL_SVG, DASHBOARD_SVG, WALLET_SVG,
-    LOGOUT_SVG, EDIT_SVG, GROUP_SVG, CONTRACT_SVG, MEDICAL_INFORMATION_SVG, SAVE_SVG, BOLT_SVG, ADD_SVG, REMOVE_SVG
+    LOGOUT_SVG, EDIT_SVG, GROUP_SVG, CONTRACT_SVG, MEDICAL_INFORMATION_SVG, SAVE_SVG, BOLT_SVG, ADD_SVG, REMOVE_SVG,
+    CALENDAR_MONTH_SVG, REFRESH_SVG, CLOUD_DOWNLOAD_SVG
 } from '../../images/icons/outline/icons.js';
 
 // Register routes
@@ -49,6 +50,7 @@ const HTML_TEMPLATE = /*html*/`
         
                 <!-- Overview Tab -->
                 <section id="tab-overview" class="dashboard-section active">
+                    <div id="verification-banner-container"></div>
                     <div id="membership-banner-container"></div>
 
                     ${Panel({
@@ -132,7 +134,46 @@ const HTML_TEMPLATE = /*html*/`
                         ${Panel({
                             title: 'Security',
                             icon: ID_CARD_SVG,
-                            content: `<button id="change-password-btn" class="outline">Change Password</button>`
+                            content: /*html*/`
+                                <button id="change-password-btn" class="outline">Change Password</button>
+                                <div class="two-factor-settings">
+                                    <h4>Two-Factor Authentication</h4>
+                                    <p id="two-factor-status" class="two-factor-hint">Loading...</p>
+                                    <div id="two-factor-actions" class="two-factor-actions"></div>
+                                </div>
+                            `
+                        })}
+
+                        ${Panel({
+                            title: 'Active Sessions',
+                            icon: LOGOUT_SVG,
+                            content: /*html*/`
+                                <p class="sessions-hint">Devices signed in to your account. Sign out any you don't recognise, then change your password.</p>
+                                <ul id="sessions-list" class="sessions-list"><li>Loading...</li></ul>
+                                <button id="revoke-other-sessions-btn" class="small-btn secondary outline">Sign Out Other Sessions</button>
+                            `
+                        })}
+
+                        ${Panel({
+                            title: 'Calendar Feed',
+                            icon: CALENDAR_MONTH_SVG,
+                            content: /*html*/`
+                                <p class="calendar-feed-hint">Subscribe to this private link in Google Calendar or Outlook to see the events you've signed up or waitlisted for.</p>
+                                <input type="text" id="calendar-feed-url" readonly value="Loading...">
+                                <div class="calendar-feed-actions">
+                                    <button id="copy-calendar-feed-btn" class="small-btn">Copy Link</button>
+                                    <button id="reset-calendar-feed-btn" class="small-btn secondary outline">${REFRESH_SVG} Reset Link</button>
+                                </div>
+                            `
+                        })}
+
+                        ${Panel({
+                            title: 'Your Data',
+                            icon: CLOUD_DOWNLOAD_SVG,
+                            content: /*html*/`
+                                <p class="data-export-hint">Download a copy of everything the club holds about you: your profile, legal and medical details, transactions, event history, waiting lists, swims, roles and profile picture.</p>
+                                <button id="export-data-btn" class="outline">Download My Data</button>
+                            `
                         })}
 
                         ${Panel({
@@ -158,6 +199,39 @@ function showStatus(title, message, type) {
 
 // --- Render Functions ---
 
+/**
+ * Renders a banner asking users with an unverified email address to follow their verification link.
+ *
+ * @param {object} profile - User profile data.
+ */
+function renderVerificationBanner(profile) {
+    const container = document.getElementById('verification-banner-container');
+    if (!container) return;
+
+    if (profile.email_verified_at) {
+        container.classList.add('hidden');
+        container.innerHTML = '';
+        return;
+    }
+
+    container.classList.remove('hidden');
+    container.innerHTML = AccentPanel({
+        title: 'Please verify your email address',
+        text: `We sent a link to <strong>${escapeText(profile.email)}</strong>. You can't sign up to events or become a member until you follow it.`,
+        buttonText: 'Resend Email',
+        buttonId: 'resend-verification-btn'
+    });
+
+    document.getElementById('resend-verification-btn').onclick = async () => {
+        try {
+            await apiRequest('POST', '/api/auth/verify-email/resend');
+            showStatus('Email Sent', `A new verification link is on its way to ${profile.email}.`, 'success');
+        } catch (err) {
+            showStatus('Error', err.message || 'Failed to send verification email.', 'error');
+        }
+    };
+}
+
 /**
  * Renders the top-level membership banner for non-members.
  * 
@@ -358,6 +432,135 @@ async function renderProfileTransactions() {
 
 // --- Main Update Logic ---
 
+/**
+ * Loads the user's private calendar subscription link.
+ */
+async function renderCalendarFeed() {
+    const input = document.getElementById('calendar-feed-url');
+    try {
+        const { url } = await apiRequest('GET', '/api/user/calendar');
+        input.value = url;
+    } catch (error) {
+        input.value = 'Unavailable';
+    }
+}
+
+/**
+ * Shows the user's two-factor status and the actions available for it.
+ */
+async function renderTwoFactor() {
+    const statusEl = document.getElementById('two-factor-status');
+    const actionsEl = document.getElementById('two-factor-actions');
+
+    let status;
+    try {
+        status = await apiRequest('GET', '/api/auth/2fa');
+    } catch (error) {
+        statusEl.textContent = 'Unavailable';
+        actionsEl.innerHTML = '';
+        return;
+    }
+
+    if (status.enabled) {
+        statusEl.textContent = `Enabled. ${status.backup_codes_remaining} backup code${status.backup_codes_remaining === 1 ? '' : 's'} left.`;
+        actionsEl.innerHTML = `
+            <button id="regenerate-backup-codes-btn" class="small-btn secondary outline">${REFRESH_SVG} New Backup Codes</button>
+            ${status.required ? '' : '<button id="disable-two-factor-btn" class="small-btn delete outline">Turn Off</button>'}
+        `;
+    } else {
+        statusEl.textContent = status.required
+            ? 'Required for your role. Set it up to keep using your exec permissions.'
+            : 'Protect your account with a code from an authenticator app when you log in.';
+        actionsEl.innerHTML = '<button id="enable-two-factor-btn" class="small-btn">Set Up</button>';
+    }
+
+    const enableBtn = document.getElementById('enable-two-factor-btn');
+    if (enableBtn) enableBtn.onclick = async () => {
+        try {
+            const setup = await apiRequest('POST', '/api/auth/2fa/setup');
+            const code = await showTwoFactorSetupModal(setup);
+            if (!code) return;
+            const { backupCodes } = await apiRequest('POST', '/api/auth/2fa/confirm', { code });
+            await showBackupCodesModal(backupCodes);
+            showStatus('Success', 'Two-factor authentication enabled.', 'success');
+        } catch (err) {
+            showStatus('Error', err.message || 'Failed to set up two-factor authentication.', 'error');
+        }
+        renderTwoFactor();
+        renderSessions();
+    };
+
+    const regenerateBtn = document.getElementById('regenerate-backup-codes-btn');
+    if (regenerateBtn) regenerateBtn.onclick = async () => {
+        if (!await showConfirmModal('New Backup Codes', 'Your current backup codes will stop working. Continue?')) return;
+        try {
+            const { backupCodes } = await apiRequest('POST', '/api/auth/2fa/backup-codes');
+            await showBackupCodesModal(backupCodes);
+        } catch (err) {
+            showStatus('Error', err.message || 'Failed to generate backup codes.', 'error');
+        }
+        renderTwoFactor();
+    };
+
+    const disableBtn = document.getElementById('disable-two-factor-btn');
+    if (disableBtn) disableBtn.onclick = async () => {
+        const password = await showPasswordModal('Turn Off Two-Factor', 'Your account will only be protected by your password. Enter your password to confirm.');
+        if (!password) return;
+        try {
+            await apiRequest('POST', '/api/auth/2fa/disable', { password });
+            showStatus('Success', 'Two-factor authentication turned off.', 'success');
+        } catch (err) {
+            showStatus('Error', err.message || 'Failed to turn off two-factor authentication.', 'error');
+        }
+        renderTwoFactor();
+    };
+}
+
+/**
+ * Lists the devices signed in to the user's account, each with a button to sign it out.
+ */
+async function renderSessions() {
+    const list = document.getElementById('sessions-list');
+
+    let sessions;
+    try {
+        sessions = await apiRequest('GET', '/api/user/sessions');
+    } catch (error) {
+        list.innerHTML = '<li>Unavailable</li>';
+        return;
+    }
+
+    const formatTime = (value) => new Date(value).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+    list.innerHTML = sessions.map(session => `
+        <li class="session-item">
+            <div class="session-info">
+                <strong>${escapeText(session.device)}</strong>${session.current ? ' <span class="badge neutral">This device</span>' : ''}
+                <span>${escapeText(session.ip || 'Unknown IP')} &middot; Signed in ${formatTime(session.created_at)} &middot; Last active ${formatTime(session.last_seen_at)}</span>
+            </div>
+            ${session.current ? '' : `<button class="small-btn secondary outline revoke-session-btn" data-id="${session.id}">Sign Out</button>`}
+        </li>
+    `).join('');
+
+    list.querySelectorAll('.revoke-session-btn').forEach(btn => {
+        btn.onclick = async () => {
+            try {
+                await apiRequest('DELETE', `/api/user/sessions/${btn.dataset.id}`);
+                showStatus('Success', 'Session signed out.', 'success');
+            } catch (err) {
+                showStatus('Error', err.message || 'Failed to sign out session.', 'error');
+            }
+            renderSessions();
+        };
+    });
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ */
+function escapeText(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
 /**
  * Full dashboard data refresh.
  * Fetches user profile, global settings, and tags in parallel.
@@ -367,7 +570,7 @@ async function updateDashboard() {
 
     try {
         const [profile, globals, tags, minMoneyGlobal] = await Promise.all([
-            apiRequest('GET', '/api/user/elements/email,first_name,last_name,is_member,is_instructor,filled_legal_info,legal_filled_at,phone_number,first_aid_expiry,free_sessions,balance,swims,swimmer_rank'),
+            apiRequest('GET', '/api/user/elements/email,email_verified_at,first_name,last_name,is_member,is_instructor,filled_legal_info,legal_filled_at,phone_number,first_aid_expiry,free_sessions,balance,swims,swimmer_rank,payment_reference'),
             apiRequest('GET', '/api/globals/MembershipCost'),
             apiRequest('GET', '/api/user/tags').catch(() => []),
             apiRequest('GET', '/api/globals/MinMoney').catch(() => ({ res: { MinMoney: { data: -25 } } }))
@@ -377,6 +580,7 @@ async function updateDashboard() {
         const minMoney = Number(minMoneyGlobal.res?.MinMoney?.data || -25);
 
         if (currentUser) {
+            renderVerificationBanner(profile);
             renderMembershipBanner(profile, globals.res || {});
             renderSwimStats(profile.swimmer_stats);
             renderLegalStatus(profile);
@@ -386,6 +590,8 @@ async function updateDashboard() {
         }
         renderProfileBalance(profile, minMoney);
         renderProfileTransactions();
+        renderCalendarFeed();
+        renderTwoFactor();
 
     } catch (error) {
         console.error("Dashboard update failed", error);
@@ -441,18 +647,40 @@ function bindEvents() {
     // Manual Top Up Instruction Modal
     const topUpBtn = document.getElementById('top-up-btn');
     if (topUpBtn) {
-        topUpBtn.onclick = () => {
-            const reference = currentUser.first_name.charAt(0).toUpperCase() + currentUser.last_name.toUpperCase() + "WEBSITE";
-
-            showConfirmModal(
-                "Top Up Balance",
-                `Please transfer the desired amount to:<br><br>
-                <strong>Bank:</strong> Durham University<br>
-                <strong>Sort Code:</strong> 20-27-66<br>
-                <strong>Account:</strong> 53770109<br>
-                <strong>Reference:</strong> ${reference}<br><br>
-                <p>Pressing the confirm button will notify the finance team to credit your account once the transfer is verified. Please press cancel if you have not made a transfer.</p>`
-            );
+        topUpBtn.onclick = async () => {
+            const payments = await apiRequest('GET', '/api/payments/config').catch(() => ({ enabled: false }));
+            const method = payments.enabled
+                ? await showChoiceModal("Top Up Balance", "How would you like to pay?", [
+                    { value: 'bank', label: 'Bank Transfer' },
+                    { value: 'online', label: 'Pay Online' }
+                ])
+                : 'bank';
+
+            if (method === 'online') {
+                const amount = await showAmountModal(
+                    "Pay Online",
+                    `How much would you like to add? Top-ups are between £${payments.min.toFixed(2)} and £${payments.max.toFixed(2)}.`,
+                    payments
+                );
+                if (amount === null) return;
+                try {
+                    const res = await apiRequest('POST', '/api/payments/top-up', { amount });
+                    window.location.href = res.data.url;
+                } catch (err) {
+                    showStatus('Error', err.message || 'Failed to start payment.', 'error');
+                }
+            } else if (method === 'bank') {
+                showConfirmModal(
+                    "Top Up Balance",
+                    `Please transfer the desired amount to:<br><br>
+                    <strong>Bank:</strong> Durham University<br>
+                    <strong>Sort Code:</strong> 20-27-66<br>
+                    <strong>Account:</strong> 53770109<br>
+                    <strong>Reference:</strong> ${currentUser.payment_reference}<br><br>
+                    <p>Always use this reference so your transfer can be matched to your account.</p>
+                    <p>Pressing the confirm button will notify the finance team to credit your account once the transfer is verified. Please press cancel if you have not made a transfer.</p>`
+                );
+            }
         };
     }
 
@@ -462,13 +690,50 @@ function bindEvents() {
         if (passwords) {
             try {
                 await apiRequest('POST', '/api/auth/change-password', passwords);
-                showStatus('Success', 'Password changed.', 'success');
+                showStatus('Success', 'Password changed. Your other sessions have been signed out.', 'success');
+                renderSessions();
             } catch (err) {
                 showStatus('Error', 'Failed to change password.', 'error');
             }
         }
     };
 
+    document.getElementById('revoke-other-sessions-btn').onclick = async () => {
+        if (!await showConfirmModal('Sign Out Other Sessions', 'Every other device signed in to your account will be signed out. Continue?')) return;
+        try {
+            const { revoked } = await apiRequest('POST', '/api/user/sessions/revoke-others');
+            showStatus('Success', `Signed out ${revoked} other session${revoked === 1 ? '' : 's'}.`, 'success');
+        } catch (err) {
+            showStatus('Error', 'Failed to sign out other sessions.', 'error');
+        }
+        renderSessions();
+    };
+
+    // Calendar Feed Listeners
+    document.getElementById('copy-calendar-feed-btn').onclick = async () => {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('calendar-feed-url').value);
+            showStatus('Copied', 'Calendar link copied to clipboard.', 'success');
+        } catch (err) {
+            showStatus('Error', 'Could not copy link.', 'error');
+        }
+    };
+
+    document.getElementById('reset-calendar-feed-btn').onclick = async () => {
+        if (!await showConfirmModal('Reset Calendar Link', 'Any calendars subscribed with the old link will stop updating. Continue?')) return;
+        try {
+            const { url } = await apiRequest('POST', '/api/user/calendar/reset');
+            document.getElementById('calendar-feed-url').value = url;
+            showStatus('Success', 'Calendar link reset.', 'success');
+        } catch (err) {
+            showStatus('Error', 'Failed to reset calendar link.', 'error');
+        }
+    };
+
+    document.getElementById('export-data-btn').onclick = () => {
+        window.location.assign('/api/user/export');
+    };
+
     document.getElementById('delete-account-btn').onclick = async () => {
         const password = await showPasswordModal("Delete Account", "This cannot be undone. Enter password to confirm.");
         if (password) {
@@ -508,6 +773,15 @@ document.addEventListener('DOMContentLoaded', () => {
 
             if (sidebarController) sidebarController.setActive(tab);
             updateDashboard();
+
+            // Returning from the payment provider's checkout
+            const payment = params.get('payment');
+            if (payment) {
+                if (payment === 'success') showStatus('Payment Received', 'Your top-up will appear in your balance once the payment is confirmed.', 'success');
+                else showStatus('Payment Cancelled', 'Your top-up was not completed. No money has been taken.', 'warning');
+                params.delete('payment');
+                window.history.replaceState({}, '', `${window.location.pathname}?${params}`);
+            }
         }
     });
 });
@@ -0,0 +1,171 @@
+/**
+ * register.js
+ *
+ * Logic for the on-the-day event register, used by coaches to check attendees in.
+ *
+ * Registered Route: /event/:id/register
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { ViewChangedEvent, addRoute, switchView } from '/js/utils/view.js';
+import { notify } from '/js/components/notification.js';
+import { debounce } from '/js/utils/utils.js';
+import { ARROW_BACK_IOS_NEW_SVG, CLOSE_SVG, SEARCH_SVG } from '../../images/icons/outline/icons.js';
+
+addRoute('/event/:id/register', 'register', { titleFunc: () => 'DUCC - Register' });
+
+const STATUSES = [
+    { value: 'present', label: 'Present' },
+    { value: 'late', label: 'Late' },
+    { value: 'absent', label: 'Absent' }
+];
+
+const HTML_TEMPLATE = /*html*/`
+<div id="register-view" class="view hidden">
+    <div class="small-container">
+        <button id="register-back-btn" class="small-btn outline secondary icon-text-btn">${ARROW_BACK_IOS_NEW_SVG} Back to Event</button>
+        <h1 id="register-title">Register</h1>
+        <p id="register-summary" class="register-summary"></p>
+
+        <div id="register-walk-in" class="register-walk-in hidden">
+            <label>Add Walk-in
+                <input type="search" id="walk-in-search" placeholder="Search by name...">
+            </label>
+            <div id="walk-in-results" class="walk-in-results"></div>
+        </div>
+
+        <div id="register-list" class="register-list">
+            <p aria-busy="true">Loading register...</p>
+        </div>
+    </div>
+</div>`;
+
+let currentEventId = null;
+
+/**
+ * Renders a single register row with its status buttons.
+ *
+ * @param {Object} entry - Register row from the API.
+ */
+function renderRow(entry) {
+    const buttons = STATUSES
+        .filter(s => !(entry.is_walk_in && s.value === 'absent'))
+        .map(s => `<button class="small-btn status-btn ${s.value} ${entry.status === s.value ? 'active' : 'outline'}" data-user-id="${entry.id}" data-status="${s.value}">${s.label}</button>`)
+        .join('');
+
+    return /*html*/`
+        <div class="register-row ${entry.status || 'unmarked'}">
+            <div class="register-name">
+                <strong>${entry.first_name} ${entry.last_name}</strong>
+                ${entry.is_instructor ? '<span class="register-badge">Coach</span>' : ''}
+                ${entry.is_walk_in ? '<span class="register-badge">Walk-in</span>' : ''}
+                ${entry.no_show_count > 0 ? `<span class="register-badge warning" title="No-shows this year">${entry.no_show_count} missed</span>` : ''}
+            </div>
+            <div class="register-actions">
+                ${buttons}
+                ${entry.status ? `<button class="icon-btn clear-btn" data-user-id="${entry.id}" title="Clear">${CLOSE_SVG}</button>` : ''}
+            </div>
+        </div>`;
+}
+
+/**
+ * Fetches and renders the register for the current event.
+ */
+async function loadRegister() {
+    const list = document.getElementById('register-list');
+    const summary = document.getElementById('register-summary');
+
+    try {
+        const { register, allowWalkIns } = await apiRequest('GET', `/api/event/${currentEventId}/register`);
+
+        document.getElementById('register-walk-in').classList.toggle('hidden', !allowWalkIns);
+
+        const counts = { present: 0, late: 0, absent: 0, unmarked: 0 };
+        register.forEach(entry => counts[entry.status || 'unmarked']++);
+        summary.textContent = `${counts.present} present · ${counts.late} late · ${counts.absent} absent · ${counts.unmarked} unmarked`;
+
+        list.innerHTML = register.length > 0
+            ? register.map(renderRow).join('')
+            : '<p class="empty-text">Nobody is signed up yet.</p>';
+    } catch (err) {
+        summary.textContent = '';
+        list.innerHTML = `<p class="error-text">${err.message || 'Failed to load register.'}</p>`;
+    }
+}
+
+/**
+ * Records a check-in status and refreshes the register.
+ *
+ * @param {string|number} userId
+ * @param {string|null} status - Null clears the mark.
+ */
+async function setStatus(userId, status) {
+    try {
+        if (status) {
+            await apiRequest('POST', `/api/event/${currentEventId}/register/${userId}`, { status });
+        } else {
+            await apiRequest('DELETE', `/api/event/${currentEventId}/register/${userId}`);
+        }
+        await loadRegister();
+    } catch (err) {
+        notify('Error', err.message || 'Failed to update register', 'error');
+    }
+}
+
+/**
+ * Searches for users to add as walk-ins.
+ */
+async function searchWalkIns() {
+    const query = document.getElementById('walk-in-search').value.trim();
+    const results = document.getElementById('walk-in-results');
+
+    if (query.length < 2) {
+        results.innerHTML = '';
+        return;
+    }
+
+    try {
+        const { users } = await apiRequest('GET', `/api/event/${currentEventId}/register/search?q=${encodeURIComponent(query)}`);
+        results.innerHTML = users.length > 0
+            ? users.map(u => `<button class="small-btn outline walk-in-add" data-user-id="${u.id}">${SEARCH_SVG} ${u.first_name} ${u.last_name}</button>`).join('')
+            : '<p class="empty-text">No matching users.</p>';
+    } catch (err) {
+        results.innerHTML = '';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelector('main').insertAdjacentHTML('beforeend', HTML_TEMPLATE);
+
+    document.getElementById('register-back-btn').onclick = () => switchView(`/event/${currentEventId}`);
+    document.getElementById('walk-in-search').addEventListener('input', debounce(searchWalkIns, 300));
+
+    document.getElementById('register-view').addEventListener('click', async (e) => {
+        const statusBtn = e.target.closest('.status-btn');
+        if (statusBtn) return setStatus(statusBtn.dataset.userId, statusBtn.dataset.status);
+
+        const clearBtn = e.target.closest('.clear-btn');
+        if (clearBtn) return setStatus(clearBtn.dataset.userId, null);
+
+        const addBtn = e.target.closest('.walk-in-add');
+        if (addBtn) {
+            document.getElementById('walk-in-search').value = '';
+            document.getElementById('walk-in-results').innerHTML = '';
+            return setStatus(addBtn.dataset.userId, 'present');
+        }
+    });
+
+    ViewChangedEvent.subscribe(async ({ resolvedPath, path }) => {
+        if (resolvedPath !== '/event/:id/register') return;
+
+        currentEventId = path.split('?')[0].split('/')[2];
+        const title = document.getElementById('register-title');
+        title.textContent = 'Register';
+
+        apiRequest('GET', `/api/event/${currentEventId}`)
+            .then(({ event }) => { title.textContent = `Register: ${event.title}`; })
+            .catch(() => {});
+
+        await loadRegister();
+    });
+});
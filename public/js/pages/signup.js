@@ -160,8 +160,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 email: emailVal,
                 password: password.value
             });
-            notify('Success', 'Sign up successful! Redirecting...', 'success',  1000, 'signup-status');
-            setTimeout(() => switchView('/login'), 1000);
+            notify('Success', 'Sign up successful! Check your email for a link to verify your address.', 'success', 3000, 'signup-status');
+            setTimeout(() => switchView('/login'), 1500);
         } catch (error) {
             if (error.errors) {
                 if (error.errors.email) email.setAttribute('aria-invalid', 'true');
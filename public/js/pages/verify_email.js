@@ -0,0 +1,68 @@
+/**
+ * verify_email.js
+ *
+ * Logic for the email verification view, opened from the link in a verification email.
+ *
+ * Registered Route: /verify-email
+ */
+
+import { apiRequest } from '/js/utils/api.js';
+import { addRoute, switchView, ViewChangedEvent } from '/js/utils/view.js';
+import { MAIL_SVG } from '../../images/icons/outline/icons.js';
+
+addRoute('/verify-email', 'verify-email');
+
+const HTML_TEMPLATE = /*html*/`
+<div id="verify-email-view" class="view hidden">
+    <div class="small-container">
+        <h1>Verify Email</h1>
+        <div class="form-info">
+            <article class="form-box">
+                <h3>
+                    ${MAIL_SVG}
+                    Email Verification
+                </h3>
+                <p id="verify-email-message">Checking your link...</p>
+                <div id="verify-email-footer">
+                    <button id="verify-email-continue" type="button" class="hidden">Continue</button>
+                </div>
+            </article>
+        </div>
+    </div>
+</div>`;
+
+/**
+ * Handle view switch to verify-email; submits the token from the URL.
+ *
+ * @param {object} params
+ */
+async function ViewNavigationEventListener({ resolvedPath }) {
+    if (resolvedPath !== '/verify-email') return;
+
+    const message = document.getElementById('verify-email-message');
+    const continueButton = document.getElementById('verify-email-continue');
+    continueButton.classList.add('hidden');
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    if (!token) {
+        message.textContent = 'This verification link is missing its token. Please use the link from your email.';
+        return;
+    }
+
+    message.textContent = 'Checking your link...';
+    try {
+        await apiRequest('POST', '/api/auth/verify-email', { token });
+        message.textContent = 'Thanks, your email address is verified. You can now sign up to events and join the club.';
+    } catch (error) {
+        message.textContent = `${error.message || 'Verification failed.'} You can ask for a new link from your profile.`;
+    }
+    continueButton.classList.remove('hidden');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.querySelector('main').insertAdjacentHTML('beforeend', HTML_TEMPLATE);
+
+    document.getElementById('verify-email-continue').onclick = () => switchView('/profile');
+
+    ViewChangedEvent.subscribe(ViewNavigationEventListener);
+});
@@ -7,6 +7,7 @@
 import { updateConnectionStatus } from '../connection.js';
 import { getCookie } from './utils.js';
 import { NoInternetEvent } from './events/events.js';
+import { showCodeModal } from './modal.js';
 
 /**
  * Cache for GET requests to reduce redundant network traffic.
@@ -30,7 +31,7 @@ NoInternetEvent.subscribe(() => {
 /**
  * @param {string} method - HTTP method (GET, POST, PUT, DELETE).
  * @param {string} url - Target URL.
- * @param {any} [data=null] - Json Payload, or cache controls for GET requests.
+ * @param {any} [data=null] - Json Payload (or FormData, sent as multipart), or cache controls for GET requests.
 * @returns {Promise<object>}
  */
 function apiRequest(method, url, data = null) {
@@ -84,7 +85,9 @@ function apiRequest(method, url, data = null) {
             }
         }
 
-        if (method !== 'GET' && data) {
+        if (method !== 'GET' && data instanceof FormData) {
+            xhr.send(data);
+        } else if (method !== 'GET' && data) {
             xhr.setRequestHeader('Content-Type', 'application/json');
             xhr.send(JSON.stringify(data));
         } else {
@@ -101,9 +104,24 @@ function apiRequest(method, url, data = null) {
         return cachedPromise;
     }
 
+    if (method !== 'GET') return requestPromise.catch(error => stepUpAndRetry(error, method, url, data));
     return requestPromise;
 }
 
+/**
+ * Retries a request refused for want of step-up verification, once the user has entered a two-factor code.
+ * Other errors are passed on unchanged.
+ */
+async function stepUpAndRetry(error, method, url, data) {
+    if (!error?.twoFactorRequired) throw error;
+
+    const code = await showCodeModal('Confirm It\'s You', error.message || 'Enter a code from your authenticator app to continue.');
+    if (!code) throw error;
+
+    await apiRequest('POST', '/api/auth/2fa/verify', { code });
+    return apiRequest(method, url, data);
+}
+
 /**
  * Uploads a file to the server using XHR to support progress tracking.
  * 
@@ -44,10 +44,22 @@ const ViewChangedEvent = new Event();
  */
 const EventAttendanceChangedEvent = new Event();
 
+/**
+ * Event fired when the server pushes new attendance or cancellation state for an event.
+ * @type {Event}
+ */
+const EventLiveUpdateEvent = new Event();
+
+/**
+ * Event fired when the user reads notifications in their inbox.
+ * @type {Event}
+ */
+const NotificationsChangedEvent = new Event();
+
 /**
  * Event fired when the connection to the server is lost.
  * @type {Event}
  */
 const NoInternetEvent = new Event();
 
-export { BalanceChangedEvent, FirstNameChangedEvent, LegalEvent, LoginEvent, ViewChangedEvent, EventAttendanceChangedEvent, NoInternetEvent };
\ No newline at end of file
+export { BalanceChangedEvent, FirstNameChangedEvent, LegalEvent, LoginEvent, ViewChangedEvent, EventAttendanceChangedEvent, EventLiveUpdateEvent, NotificationsChangedEvent, NoInternetEvent };
\ No newline at end of file
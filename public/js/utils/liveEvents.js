@@ -0,0 +1,69 @@
+/**
+ * liveEvents.js
+ * 
+ * Keeps a single Server-Sent Events connection open for every event currently on screen,
+ * and republishes each pushed state through EventLiveUpdateEvent.
+ * 
+ * Usage:
+ * watchEvents('events-page', [1, 2, 3]);
+ * EventLiveUpdateEvent.subscribe(({ id, attendee_count }) => { ... });
+ * unwatchEvents('events-page');
+ */
+
+import { EventLiveUpdateEvent } from './events/events.js';
+
+/** Server-side cap on events per connection. */
+const MAX_EVENTS = 100;
+
+/**
+ * Event IDs requested by each part of the page, keyed by an owner name.
+ * @type {Map<string, number[]>}
+ */
+const watchers = new Map();
+
+let source = null;
+let streamedIds = '';
+
+/**
+ * Reopens the stream if the combined set of watched events has changed.
+ */
+function reconnect() {
+    const ids = [...new Set([...watchers.values()].flat())].sort((a, b) => a - b).slice(0, MAX_EVENTS);
+    const key = ids.join(',');
+    if (key === streamedIds) return;
+
+    source?.close();
+    source = null;
+    streamedIds = key;
+    if (ids.length === 0 || typeof EventSource === 'undefined') return;
+
+    source = new EventSource(`/api/events/stream?ids=${key}`);
+    source.addEventListener('update', (e) => {
+        try {
+            EventLiveUpdateEvent.notify(JSON.parse(e.data));
+        } catch (error) {
+            console.error('Malformed live event update', error);
+        }
+    });
+}
+
+/**
+ * Starts (or replaces) live updates for a set of events.
+ * @param {string} owner - Name of the page or widget watching the events.
+ * @param {number[]} eventIds
+ */
+function watchEvents(owner, eventIds) {
+    watchers.set(owner, eventIds.map(Number).filter(id => !isNaN(id)));
+    reconnect();
+}
+
+/**
+ * Stops live updates requested by an owner.
+ * @param {string} owner
+ */
+function unwatchEvents(owner) {
+    if (!watchers.delete(owner)) return;
+    reconnect();
+}
+
+export { watchEvents, unwatchEvents };
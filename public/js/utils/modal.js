@@ -115,6 +115,105 @@ export function showPasswordModal(title, message) {
     });
 }
 
+/**
+ * Displays a modal asking for a short reason, e.g. why a record is being corrected.
+ * 
+ * @param {string} title - Heading.
+ * @param {string} message - Instruction text.
+ * @returns {Promise<string|null>} - Resolves with the trimmed reason if confirmed, or null if cancelled.
+ */
+export function showReasonModal(title, message) {
+    return new Promise((resolve) => {
+        const modal = new Modal({
+            id: `reason-modal-${Date.now()}`,
+            title: title,
+            content: `
+                <p>${message}</p>
+                <input type="text" id="confirm-reason" maxlength="500" placeholder="Reason">
+                <div class="modal-actions">
+                    <button class="btn-cancel" id="confirm-cancel">Cancel</button>
+                    <button class="btn-confirm" id="confirm-ok">Confirm</button>
+                </div>
+            `,
+            onClose: () => {
+                mount.cleanup();
+                resolve(null);
+            }
+        });
+
+        const mount = mountModal(modal);
+        const input = mount.element.querySelector('#confirm-reason');
+        input.focus();
+
+        const confirm = () => {
+            const reason = input.value.trim();
+            if (reason) {
+                mount.cleanup();
+                resolve(reason);
+            }
+        };
+
+        mount.element.querySelector('#confirm-ok').onclick = confirm;
+        mount.element.querySelector('#confirm-cancel').onclick = () => {
+            mount.cleanup();
+            resolve(null);
+        };
+        input.onkeydown = (e) => { if (e.key === 'Enter') confirm(); };
+    });
+}
+
+/**
+ * Displays a modal asking for an amount of money within a range.
+ *
+ * @param {string} title - Heading.
+ * @param {string} message - Instruction text (supports HTML).
+ * @param {{min: number, max: number}} limits - Smallest and largest amount accepted, in pounds.
+ * @returns {Promise<number|null>} - Resolves with the amount if confirmed, or null if cancelled.
+ */
+export function showAmountModal(title, message, { min, max }) {
+    return new Promise((resolve) => {
+        const modal = new Modal({
+            id: `amount-modal-${Date.now()}`,
+            title: title,
+            content: `
+                <p>${message}</p>
+                <input type="number" id="confirm-amount" min="${min}" max="${max}" step="0.01" placeholder="Amount (£)">
+                <div class="modal-actions">
+                    <button class="btn-cancel" id="confirm-cancel">Cancel</button>
+                    <button class="btn-confirm" id="confirm-ok">Continue</button>
+                </div>
+            `,
+            onClose: () => {
+                mount.cleanup();
+                resolve(null);
+            }
+        });
+
+        const mount = mountModal(modal);
+        const input = mount.element.querySelector('#confirm-amount');
+        input.focus();
+
+        const confirm = () => {
+            const amount = parseFloat(input.value);
+            if (amount >= min && amount <= max) {
+                mount.cleanup();
+                resolve(amount);
+            } else {
+                input.setCustomValidity(`Enter an amount between £${min.toFixed(2)} and £${max.toFixed(2)}`);
+                input.reportValidity();
+            }
+        };
+
+        mount.element.querySelector('#confirm-ok').onclick = confirm;
+        mount.element.querySelector('#confirm-cancel').onclick = () => {
+            mount.cleanup();
+            resolve(null);
+        };
+        input.oninput = () => input.setCustomValidity('');
+        input.onkeydown = (e) => { if (e.key === 'Enter') confirm(); };
+    });
+}
+
 /**
  * Displays a modal specifically designed for changing a user's password.
  * 
@@ -162,4 +261,142 @@ export function showChangePasswordModal() {
         };
         newInput.onkeydown = (e) => { if (e.key === 'Enter') confirm(); };
     });
-}
\ No newline at end of file
+}
+/**
+ * Displays a modal offering several mutually exclusive choices.
+ * 
+ * @param {string} title - Modal heading.
+ * @param {string} message - Modal body text (supports HTML).
+ * @param {Array<{value: string, label: string}>} choices - Buttons to offer, in display order.
+ * @returns {Promise<string|null>} - Resolves with the chosen value, or null if cancelled.
+ */
+export function showChoiceModal(title, message, choices) {
+    return new Promise((resolve) => {
+        const modal = new Modal({
+            id: `choice-modal-${Date.now()}`,
+            title: title,
+            content: `
+                <p>${message}</p>
+                <div class="modal-actions choice-actions">
+                    <button class="btn-cancel" id="choice-cancel">Cancel</button>
+                    ${choices.map(c => `<button class="btn-confirm" data-choice="${c.value}">${c.label}</button>`).join('')}
+                </div>
+            `,
+            onClose: () => {
+                mount.cleanup();
+                resolve(null);
+            }
+        });
+
+        const mount = mountModal(modal);
+
+        mount.element.querySelectorAll('[data-choice]').forEach(btn => {
+            btn.onclick = () => {
+                mount.cleanup();
+                resolve(btn.dataset.choice);
+            };
+        });
+
+        mount.element.querySelector('#choice-cancel').onclick = () => {
+            mount.cleanup();
+            resolve(null);
+        };
+    });
+}
+
+/**
+ * Displays a modal asking for a code from the user's authenticator app, or one of their backup codes.
+ * 
+ * @param {string} title - Heading.
+ * @param {string} message - Instruction text.
+ * @returns {Promise<string|null>} - Resolves with the code if confirmed, or null if cancelled.
+ */
+export function showCodeModal(title, message) {
+    return new Promise((resolve) => {
+        const modal = new Modal({
+            id: `code-modal-${Date.now()}`,
+            title: title,
+            content: `
+                <p>${message}</p>
+                <input type="text" id="confirm-code" inputmode="numeric" autocomplete="one-time-code" placeholder="123456">
+                <div class="modal-actions">
+                    <button class="btn-cancel" id="confirm-cancel">Cancel</button>
+                    <button class="btn-confirm" id="confirm-ok">Verify</button>
+                </div>
+            `,
+            onClose: () => {
+                mount.cleanup();
+                resolve(null);
+            }
+        });
+
+        const mount = mountModal(modal);
+        const input = mount.element.querySelector('#confirm-code');
+        input.focus();
+
+        const confirm = () => {
+            const code = input.value.trim();
+            if (code) {
+                mount.cleanup();
+                resolve(code);
+            }
+        };
+
+        mount.element.querySelector('#confirm-ok').onclick = confirm;
+        mount.element.querySelector('#confirm-cancel').onclick = () => {
+            mount.cleanup();
+            resolve(null);
+        };
+        input.onkeydown = (e) => { if (e.key === 'Enter') confirm(); };
+    });
+}
+
+/**
+ * Displays the QR code for setting up two-factor authentication and asks for the first code.
+ * 
+ * @param {{qrCode: string, secret: string}} setup - QR code data URL and the secret for manual entry.
+ * @returns {Promise<string|null>} - Resolves with the code if confirmed, or null if cancelled.
+ */
+export function showTwoFactorSetupModal(setup) {
+    return showCodeModal(
+        'Set Up Two-Factor Authentication',
+        `Scan this QR code with an authenticator app, then enter the 6-digit code it shows.<br>
+        <img class="two-factor-qr" src="${setup.qrCode}" alt="Two-factor QR code"><br>
+        Can't scan it? Enter this key instead: <code class="two-factor-secret">${setup.secret.match(/.{1,4}/g).join(' ')}</code>`
+    );
+}
+
+/**
+ * Displays a list of freshly generated backup codes. They are not shown again.
+ * 
+ * @param {string[]} codes
+ * @returns {Promise<void>} - Resolves once the modal is closed.
+ */
+export function showBackupCodesModal(codes) {
+    return new Promise((resolve) => {
+        const modal = new Modal({
+            id: `backup-codes-modal-${Date.now()}`,
+            title: 'Backup Codes',
+            content: `
+                <p>Keep these somewhere safe. Each one can be used once to sign in if you lose your phone. They will not be shown again.</p>
+                <ul class="backup-codes-list">${codes.map(c => `<li><code>${c}</code></li>`).join('')}</ul>
+                <div class="modal-actions">
+                    <button class="btn-cancel" id="copy-codes">Copy</button>
+                    <button class="btn-confirm" id="confirm-ok">Done</button>
+                </div>
+            `,
+            onClose: () => {
+                mount.cleanup();
+                resolve();
+            }
+        });
+
+        const mount = mountModal(modal);
+
+        mount.element.querySelector('#copy-codes').onclick = () => navigator.clipboard.writeText(codes.join('\n')).catch(() => {});
+        mount.element.querySelector('#confirm-ok').onclick = () => {
+            mount.cleanup();
+            resolve();
+        };
+    });
+}
@@ -11,6 +11,15 @@ import checkAuthentication from '../misc/authentication.js';
 import Utils from '../misc/utils.js';
 import ValidationRules from '../rules/ValidationRules.js';
 import AuthDB from '../db/authDB.js';
+import TwoFactorDB from '../db/twoFactorDB.js';
+import SessionsDB from '../db/sessionsDB.js';
+import LoginSecurityDB from '../db/loginSecurityDB.js';
+import AuditDB from '../db/auditDB.js';
+import TwoFactor from '../misc/TwoFactor.js';
+import Sessions from '../misc/Sessions.js';
+import EmailVerification from '../misc/EmailVerification.js';
+import LoginSecurity from '../misc/LoginSecurity.js';
+import Mailer from '../misc/Mailer.js';
 import Logger from '../misc/Logger.js';
 import config from '../config.js';
 
@@ -24,15 +33,25 @@ export default class Auth {
         this.passport = passport;
 
         passport.use(new LocalStrategy(
-            { usernameField: 'email' },
-            async (email, password, done) => {
+            { usernameField: 'email', passReqToCallback: true },
+            async (req, email, password, done) => {
                 const formatedEmail = email.replace(/\s/g, '').toLowerCase();
                 try {
                     const user = await AuthDB.getUserByEmail(this.db, formatedEmail);
                     if (!user) return done(null, false, { message: 'Incorrect email.' });
 
+                    const lockout = await LoginSecurity.checkLockout(this.db, user.id);
+                    if (lockout.isError()) {
+                        await LoginSecurity.recordFailure(this.db, user.id, req, 'locked');
+                        return done(null, false, { message: lockout.getMessage(), status: 423, ...lockout.getData() });
+                    }
+
                     const isMatch = await bcrypt.compare(password, user.hashed_password);
-                    if (!isMatch) return done(null, false, { message: 'Incorrect password.' });
+                    if (!isMatch) {
+                        const failure = await LoginSecurity.recordFailure(this.db, user.id, req, 'password');
+                        if (failure.getStatus() === 423) return done(null, false, { message: failure.getMessage(), status: 423, ...failure.getData() });
+                        return done(null, false, { message: 'Incorrect password.' });
+                    }
 
                     return done(null, user);
                 } catch (err) {
@@ -60,7 +79,7 @@ export default class Auth {
      */
     registerRoutes() {
         /**
-         * Register a new user or restore a deleted account.
+         * Register a new user or restore a deleted account, and email a link to verify the address.
          */
         this.app.post('/api/auth/signup', async (req, res) => {
             let { email, password, first_name, last_name } = req.body;
@@ -91,13 +110,18 @@ export default class Auth {
 
                 const hashedPassword = await bcrypt.hash(password, 10);
 
-                if (existingUser) {
-                    const status = await AuthDB.restoreUser(this.db, existingUser.id, email, hashedPassword, first_name, last_name);
-                    status.getResponse(res);
-                } else {
-                    const status = await AuthDB.createUser(this.db, email, hashedPassword, first_name, last_name);
-                    status.getResponse(res);
+                const status = existingUser
+                    ? await AuthDB.restoreUser(this.db, existingUser.id, email, hashedPassword, first_name, last_name)
+                    : await AuthDB.createUser(this.db, email, hashedPassword, first_name, last_name);
+
+                if (!status.isError()) {
+                    const user = await AuthDB.getUserByEmail(this.db, email);
+                    if (user) {
+                        await Mailer.send(this.db, user.id, 'welcome');
+                        await EmailVerification.send(this.db, user.id, Utils.getBaseUrl(req));
+                    }
                 }
+                status.getResponse(res);
             } catch (err) {
                 Logger.error(err);
                 res.status(500).json({ message: 'Registration failed.' });
@@ -105,34 +129,77 @@ export default class Auth {
         });
 
         /**
-         * Authenticate user and start session.
+         * Authenticate user and start session, or begin the second step for users with two-factor authentication.
          */
         this.app.post('/api/auth/login', (req, res, next) => {
-            this.passport.authenticate('local', (err, user, info) => {
+            this.passport.authenticate('local', async (err, user, info) => {
                 if (err) return res.status(500).json({ message: 'Authentication error.' });
-                if (!user) return res.status(401).json({ message: info.message || 'Authentication failed.' });
-
-                req.logIn(user, (err) => {
-                    if (err) return res.status(500).json({ message: 'Login error.' });
-                    
-                    const { hashed_password, ...safeUser } = user;
-                    return res.status(200).json({ 
-                        message: 'Login successful.', 
-                        user: {
-                            id: safeUser.id,
-                            email: safeUser.email,
-                            first_name: safeUser.first_name,
-                            last_name: safeUser.last_name
-                        }
-                    });
-                });
+                if (!user) {
+                    if (info?.status === 423) return res.status(423).json({ message: info.message, lockedUntil: info.lockedUntil });
+                    return res.status(401).json({ message: info.message || 'Authentication failed.' });
+                }
+
+                try {
+                    if (await TwoFactorDB.isEnabled(this.db, user.id)) {
+                        req.session.twoFactorLogin = {
+                            userId: user.id,
+                            expiresAt: Date.now() + TwoFactor.LOGIN_MINUTES * 60000,
+                            attempts: 0
+                        };
+                        return res.status(200).json({ message: 'Enter the code from your authenticator app.', twoFactorRequired: true });
+                    }
+                } catch (e) {
+                    Logger.error(e);
+                    return res.status(500).json({ message: 'Authentication error.' });
+                }
+
+                this._logIn(req, res, user, false);
             })(req, res, next);
         });
 
+        /**
+         * Second login step: check the authenticator or backup code and start the session.
+         */
+        this.app.post('/api/auth/login/2fa', async (req, res) => {
+            const pending = req.session.twoFactorLogin;
+            if (!pending || pending.expiresAt < Date.now()) {
+                delete req.session.twoFactorLogin;
+                return res.status(401).json({ message: 'Your login has expired. Please log in again.' });
+            }
+
+            const lockout = await LoginSecurity.checkLockout(this.db, pending.userId);
+            if (lockout.isError()) {
+                delete req.session.twoFactorLogin;
+                return res.status(423).json({ message: lockout.getMessage(), ...lockout.getData() });
+            }
+
+            const result = await TwoFactor.verify(this.db, pending.userId, req.body.code);
+            if (result.isError()) {
+                const failure = await LoginSecurity.recordFailure(this.db, pending.userId, req, 'two_factor');
+                if (failure.getStatus() === 423) {
+                    delete req.session.twoFactorLogin;
+                    return res.status(423).json({ message: failure.getMessage(), ...failure.getData() });
+                }
+
+                pending.attempts++;
+                if (pending.attempts >= TwoFactor.MAX_LOGIN_ATTEMPTS) {
+                    delete req.session.twoFactorLogin;
+                    return res.status(401).json({ message: 'Too many incorrect codes. Please log in again.' });
+                }
+                return result.getResponse(res);
+            }
+
+            delete req.session.twoFactorLogin;
+            const user = await AuthDB.getUserById(this.db, pending.userId);
+            if (!user) return res.status(401).json({ message: 'Authentication failed.' });
+            this._logIn(req, res, user, true);
+        });
+
         /**
          * Logout user and destroy session.
          */
-        this.app.get('/api/auth/logout', this.check(), (req, res, next) => {
+        this.app.get('/api/auth/logout', this.check(), async (req, res, next) => {
+            await SessionsDB.removeBySid(this.db, req.sessionID);
             req.logout((err) => {
                 if (err) return next(err);
                 req.session.destroy((err) => {
@@ -169,8 +236,10 @@ export default class Auth {
                 await AuthDB.createPasswordReset(this.db, user.id, token, expiresAt);
 
                 const baseUrl = Utils.getBaseUrl(req);
-
-                Logger.info(`[RESET] Password reset url for ${email}: ${baseUrl}/set-password?token=${token}`);
+                await Mailer.send(this.db, user.id, 'passwordReset', {
+                    url: `${baseUrl}/set-password?token=${token}`,
+                    expiresMinutes: 60
+                });
 
                 res.json({ message: 'If an account exists, a reset link has been sent.' });
             } catch (e) {
@@ -180,7 +249,7 @@ export default class Auth {
         });
 
         /**
-         * Reset password with token.
+         * Reset password with token. Signs out every session of the account and lifts any lockout.
          */
         this.app.post('/api/auth/reset-password', async (req, res) => {
             const { token, newPassword } = req.body;
@@ -196,6 +265,8 @@ export default class Auth {
                 const hashedPassword = await bcrypt.hash(newPassword, 10);
 
                 await AuthDB.resetPassword(this.db, resetRecord.user_id, hashedPassword);
+                await Sessions.revokeAll(this.db, req.sessionStore, resetRecord.user_id);
+                await LoginSecurityDB.clearLockout(this.db, resetRecord.user_id);
 
                 res.json({ message: 'Password updated successfully.' });
             } catch (e) {
@@ -205,7 +276,7 @@ export default class Auth {
         });
 
         /**
-         * Change password for logged in user.
+         * Change password for logged in user. Signs out their other sessions.
          */
         this.app.post('/api/auth/change-password', this.check(), async (req, res) => {
             const { currentPassword, newPassword } = req.body;
@@ -220,6 +291,7 @@ export default class Auth {
 
                 const hashedPassword = await bcrypt.hash(newPassword, 10);
                 await AuthDB.updatePassword(this.db, req.user.id, hashedPassword);
+                await Sessions.revokeAll(this.db, req.sessionStore, req.user.id, req.sessionID);
 
                 res.json({ message: 'Password changed successfully.' });
             } catch (e) {
@@ -227,6 +299,152 @@ export default class Auth {
                 res.status(500).json({ message: 'Server error.' });
             }
         });
+
+        /**
+         * Verify an email address with the token from a verification link. Works without being logged in.
+         */
+        this.app.post('/api/auth/verify-email', async (req, res) => {
+            const result = await EmailVerification.verify(this.db, req.body.token);
+            if (result.isError()) return result.getResponse(res);
+            res.json({ message: 'Email address verified.' });
+        });
+
+        /**
+         * Send the current user another verification link.
+         */
+        this.app.post('/api/auth/verify-email/resend', this.check(), async (req, res) => {
+            const result = await EmailVerification.resend(this.db, req.user.id, Utils.getBaseUrl(req));
+            if (result.isError()) {
+                if (result.getStatus() === 429) {
+                    res.set('Retry-After', String(result.getData().retryAfter));
+                    return res.status(429).json({ message: result.getMessage(), ...result.getData() });
+                }
+                return result.getResponse(res);
+            }
+            res.json({ message: 'Verification email sent.' });
+        });
+
+        /**
+         * Get the current user's two-factor status.
+         */
+        this.app.get('/api/auth/2fa', this.check(), async (req, res) => {
+            const result = await TwoFactorDB.getStatus(this.db, req.user.id);
+            if (result.isError()) return result.getResponse(res);
+            res.json({ ...result.getData(), required: await TwoFactor.isRequired(this.db, req.user.id) });
+        });
+
+        /**
+         * Start enrolment: generate a secret and its QR code. Nothing changes until it is confirmed.
+         */
+        this.app.post('/api/auth/2fa/setup', this.check(), async (req, res) => {
+            const secret = TwoFactor.generateSecret();
+            const result = await TwoFactorDB.savePendingSecret(this.db, req.user.id, secret);
+            if (result.isError()) return result.getResponse(res);
+
+            const otpauthUrl = TwoFactor.otpauthUrl(req.user.email, secret);
+            try {
+                res.json({ secret, otpauthUrl, qrCode: await TwoFactor.qrCode(otpauthUrl) });
+            } catch (e) {
+                Logger.error(e);
+                res.status(500).json({ message: 'Could not create QR code.' });
+            }
+        });
+
+        /**
+         * Finish enrolment with a code from the app, returning the backup codes. They are only shown this once.
+         */
+        this.app.post('/api/auth/2fa/confirm', this.check(), async (req, res) => {
+            const secretRes = await TwoFactorDB.getSecret(this.db, req.user.id);
+            if (secretRes.isError()) return secretRes.getResponse(res);
+            if (secretRes.getData().confirmed_at) return res.status(409).json({ message: 'Two-factor authentication is already enabled.' });
+
+            const step = TwoFactor.matchStep(secretRes.getData().secret, req.body.code);
+            if (step === null) return res.status(400).json({ message: 'Invalid verification code.' });
+
+            const backupCodes = TwoFactor.generateBackupCodes();
+            const result = await TwoFactorDB.confirm(this.db, req.user.id, step, backupCodes.map(c => TwoFactor.hashBackupCode(c)));
+            if (result.isError()) return result.getResponse(res);
+
+            TwoFactor.markVerified(req);
+            await AuditDB.log(this.db, req.user.id, 'user.2fa.enable', 'user', req.user.id, null, null);
+            res.json({ message: 'Two-factor authentication enabled.', backupCodes });
+        });
+
+        /**
+         * Step-up verification: confirm a code so sensitive actions are allowed for the next few minutes.
+         */
+        this.app.post('/api/auth/2fa/verify', this.check(), async (req, res) => {
+            const result = await TwoFactor.verify(this.db, req.user.id, req.body.code);
+            if (result.isError()) return result.getResponse(res);
+
+            TwoFactor.markVerified(req);
+            res.json({ message: 'Verified.', validForMinutes: TwoFactor.STEP_UP_MINUTES });
+        });
+
+        /**
+         * Replace the current user's backup codes.
+         */
+        this.app.post('/api/auth/2fa/backup-codes', this.check(), TwoFactor.stepUp(), async (req, res) => {
+            if (!await TwoFactorDB.isEnabled(this.db, req.user.id)) {
+                return res.status(400).json({ message: 'Two-factor authentication is not enabled.' });
+            }
+
+            const backupCodes = TwoFactor.generateBackupCodes();
+            const result = await TwoFactorDB.replaceBackupCodes(this.db, req.user.id, backupCodes.map(c => TwoFactor.hashBackupCode(c)));
+            if (result.isError()) return result.getResponse(res);
+
+            await AuditDB.log(this.db, req.user.id, 'user.2fa.backup_codes', 'user', req.user.id, null, null);
+            res.json({ message: 'New backup codes generated.', backupCodes });
+        });
+
+        /**
+         * Turn off two-factor authentication for the current user. Requires their password and a code.
+         */
+        this.app.post('/api/auth/2fa/disable', this.check(), TwoFactor.stepUp(), async (req, res) => {
+            const { password } = req.body;
+            if (!password) return res.status(400).json({ message: 'Password is required.' });
+
+            const user = await AuthDB.getUserById(this.db, req.user.id);
+            if (!user || !await bcrypt.compare(password, user.hashed_password)) {
+                return res.status(403).json({ message: 'Incorrect password.' });
+            }
+
+            if (await TwoFactor.isRequired(this.db, req.user.id)) {
+                return res.status(403).json({ message: 'Two-factor authentication is required for your role.' });
+            }
+
+            const result = await TwoFactorDB.disable(this.db, req.user.id);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.2fa.disable', 'user', req.user.id, null, null);
+            }
+            result.getResponse(res);
+        });
+    }
+
+    /**
+     * Internal helper starting the session for an authenticated user.
+     * @param {boolean} twoFactorVerified - Whether the user has just passed the second step.
+     */
+    _logIn(req, res, user, twoFactorVerified) {
+        req.logIn(user, async (err) => {
+            if (err) return res.status(500).json({ message: 'Login error.' });
+            if (twoFactorVerified) TwoFactor.markVerified(req);
+
+            const recorded = await Sessions.record(this.db, req);
+            if (recorded.isError()) return recorded.getResponse(res);
+            await LoginSecurity.recordSuccess(this.db, user.id, req);
+
+            return res.status(200).json({
+                message: 'Login successful.',
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    first_name: user.first_name,
+                    last_name: user.last_name
+                },
+                twoFactorSetupRequired: await TwoFactor.enrolmentRequired(this.db, user.id)
+            });
+        });
     }
 
     /**
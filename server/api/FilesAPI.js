@@ -6,6 +6,7 @@
 
 import { statusObject } from '../misc/status.js';
 import FilesDB from '../db/filesDB.js';
+import AuditDB from '../db/auditDB.js';
 import check from '../misc/authentication.js';
 import { Permissions } from '../misc/permissions.js';
 import FileRules from '../rules/FileRules.js';
@@ -248,6 +249,9 @@ export default class FilesAPI {
             }
 
             const status = await FilesDB.deleteFile(this.db, id);
+            if (!status.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'file.delete', 'file', id, file, null);
+            }
             status.getResponse(res);
         });
 
@@ -331,7 +335,11 @@ export default class FilesAPI {
          * Delete a category.
          */
         this.app.delete('/api/file-categories/:id', check('file.category.manage'), async (req, res) => {
+            const before = await FilesDB.getCategoryById(this.db, req.params.id);
             const status = await FilesDB.deleteCategory(this.db, req.params.id);
+            if (!status.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'file_category.delete', 'file_category', req.params.id, before.getData(), null);
+            }
             status.getResponse(res);
         });
     }
@@ -10,6 +10,8 @@ import RolesDB from '../db/rolesDB.js';
 import check from '../misc/authentication.js';
 import { Permissions } from '../misc/permissions.js';
 import FileCleanup from '../misc/FileCleanup.js';
+import AuditDB from '../db/auditDB.js';
+import TwoFactor from '../misc/TwoFactor.js';
 
 export default class GlobalsAPI {
     /**
@@ -84,13 +86,15 @@ export default class GlobalsAPI {
         });
 
         /**
-         * Update a global setting.
+         * Update a global setting. Requires step-up verification.
          */
-        this.app.post('/api/globals/:key', check('perm:globals.manage'), async (req, res) => {
+        this.app.post('/api/globals/:key', check('perm:globals.manage'), TwoFactor.stepUp(), async (req, res) => {
             const key = req.params.key;
             const globals = new Globals();
+            let oldValue;
             try {
                 const config = globals.get(key);
+                oldValue = config.data;
                 if (config.type === 'image' && (!req.body.value || req.body.value.trim() === '')) {
                     throw new Error("Image settings cannot be empty.");
                 }
@@ -107,6 +111,7 @@ export default class GlobalsAPI {
             } catch (error) {
                 return res.status(400).json({ message: error.message });
             }
+            await AuditDB.log(this.db, req.user.id, 'global.update', 'global', key, { value: oldValue }, { value: req.body.value });
             res.json({ success: true });
         });
     }
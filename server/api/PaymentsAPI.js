@@ -0,0 +1,98 @@
+/**
+ * PaymentsAPI.js
+ *
+ * This file lets members top up their balance online and receives the payment provider's webhooks.
+ * With the fake provider it also serves the stand-in checkout page used in development.
+ */
+
+import Payments from '../misc/Payments.js';
+import PaymentsDB from '../db/paymentsDB.js';
+import { FakeProvider } from '../misc/PaymentProviders.js';
+import check from '../misc/authentication.js';
+
+export default class PaymentsAPI {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all routes for online payments.
+     */
+    registerRoutes() {
+        /**
+         * Whether online top-ups are available, and their limits.
+         */
+        this.app.get('/api/payments/config', check(), (req, res) => {
+            res.json({ enabled: !!Payments.getProvider(), min: Payments.MIN_AMOUNT, max: Payments.MAX_AMOUNT });
+        });
+
+        /**
+         * Start a top-up of `amount` pounds, returning the checkout URL to send the member to.
+         */
+        this.app.post('/api/payments/top-up', check(), async (req, res) => {
+            const result = await Payments.startTopUp(this.db, req.user.id, req.body?.amount);
+            result.getResponse(res);
+        });
+
+        /**
+         * Signed webhook from the payment provider. Needs no session; the signature authenticates it.
+         */
+        this.app.post('/api/payments/webhook', async (req, res) => {
+            if (!req.rawBody) return res.status(400).json({ message: 'Invalid webhook' });
+            const result = await Payments.handleWebhook(this.db, req.rawBody, req.headers);
+            result.getResponse(res);
+        });
+
+        /**
+         * Stand-in checkout page for the fake provider, letting the member choose whether the payment succeeds.
+         */
+        this.app.get('/api/payments/fake-checkout/:sessionId', check(), async (req, res) => {
+            const provider = Payments.getProvider();
+            if (!(provider instanceof FakeProvider)) return res.status(404).json({ message: 'Not found' });
+
+            const payment = await PaymentsDB.getBySession(this.db, provider.name, req.params.sessionId);
+            if (!payment || payment.user_id !== req.user.id) return res.status(404).json({ message: 'Checkout not found' });
+
+            res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><title>Test checkout</title></head>
+<body style="font-family: sans-serif; max-width: 28rem; margin: 4rem auto;">
+    <h1>Test checkout</h1>
+    <p>This is the development payment provider. No money is taken.</p>
+    <p>Top-up of <strong>£${payment.amount.toFixed(2)}</strong> (${payment.status}).</p>
+    <form method="post">
+        <button name="outcome" value="succeeded">Pay</button>
+        <button name="outcome" value="failed">Decline</button>
+        <button name="outcome" value="expired">Cancel</button>
+    </form>
+</body>
+</html>`);
+        });
+
+        /**
+         * Finish a fake checkout: the fake provider signs and delivers the webhook, then returns the member to
+         * their balance, as a real provider would.
+         */
+        this.app.post('/api/payments/fake-checkout/:sessionId', check(), async (req, res) => {
+            const provider = Payments.getProvider();
+            if (!(provider instanceof FakeProvider)) return res.status(404).json({ message: 'Not found' });
+
+            const payment = await PaymentsDB.getBySession(this.db, provider.name, req.params.sessionId);
+            if (!payment || payment.user_id !== req.user.id) return res.status(404).json({ message: 'Checkout not found' });
+
+            const outcome = req.body?.outcome;
+            if (!['succeeded', 'failed', 'expired'].includes(outcome)) return res.status(400).json({ message: 'Invalid outcome' });
+
+            const webhook = provider.buildWebhook(payment.provider_session_id, payment.amount, outcome);
+            const result = await Payments.handleWebhook(this.db, webhook.body, webhook.headers);
+            if (result.isError()) return result.getResponse(res);
+
+            res.redirect(`/profile?tab=balance&payment=${outcome === 'succeeded' ? 'success' : 'cancelled'}`);
+        });
+    }
+}
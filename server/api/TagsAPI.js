@@ -5,6 +5,7 @@
  */
 
 import TagsDB from '../db/tagsDB.js';
+import AuditDB from '../db/auditDB.js';
 import check from '../misc/authentication.js';
 import { Permissions } from '../misc/permissions.js';
 
@@ -35,6 +36,10 @@ export default class TagsAPI {
          */
         this.app.post('/api/tags', check('perm:event.write.all | perm:manage.all | perm:user.manage'), async (req, res) => {
             const result = await TagsDB.createTag(this.db, req.body);
+            if (!result.isError()) {
+                const created = await TagsDB.getTagById(this.db, result.getData().id);
+                await AuditDB.log(this.db, req.user.id, 'tag.create', 'tag', result.getData().id, null, created.getData());
+            }
             result.getResponse(res);
         });
 
@@ -46,7 +51,12 @@ export default class TagsAPI {
                 return res.status(403).json({ message: 'Forbidden' });
             }
 
+            const before = await TagsDB.getTagById(this.db, req.params.id);
             const result = await TagsDB.updateTag(this.db, req.params.id, req.body);
+            if (!result.isError()) {
+                const after = await TagsDB.getTagById(this.db, req.params.id);
+                await AuditDB.log(this.db, req.user.id, 'tag.update', 'tag', req.params.id, before.getData(), after.getData());
+            }
             result.getResponse(res);
         });
 
@@ -58,7 +68,12 @@ export default class TagsAPI {
                 return res.status(403).json({ message: 'Forbidden' });
             }
 
+            const before = await TagsDB.getTagById(this.db, req.params.id);
             const result = await TagsDB.resetImage(this.db, req.params.id);
+            if (!result.isError()) {
+                const after = await TagsDB.getTagById(this.db, req.params.id);
+                await AuditDB.log(this.db, req.user.id, 'tag.image.reset', 'tag', req.params.id, before.getData(), after.getData());
+            }
             result.getResponse(res);
         });
 
@@ -66,7 +81,11 @@ export default class TagsAPI {
          * Delete a tag.
          */
         this.app.delete('/api/tags/:id', check('perm:event.manage.all | perm:user.manage'), async (req, res) => {
+            const before = await TagsDB.getTagById(this.db, req.params.id);
             const result = await TagsDB.deleteTag(this.db, req.params.id);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'tag.delete', 'tag', req.params.id, before.getData(), null);
+            }
             result.getResponse(res);
         });
 
@@ -83,6 +102,9 @@ export default class TagsAPI {
          */
         this.app.post('/api/tags/:id/whitelist', check('perm:event.manage.all | perm:user.manage'), async (req, res) => {
             const result = await TagsDB.addToWhitelist(this.db, req.params.id, req.body.userId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'tag.whitelist.add', 'tag', req.params.id, null, { user_id: Number(req.body.userId) });
+            }
             result.getResponse(res);
         });
 
@@ -91,6 +113,9 @@ export default class TagsAPI {
          */
         this.app.delete('/api/tags/:id/whitelist/:userId', check('perm:event.manage.all | perm:user.manage'), async (req, res) => {
             const result = await TagsDB.removeFromWhitelist(this.db, req.params.id, req.params.userId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'tag.whitelist.remove', 'tag', req.params.id, { user_id: Number(req.params.userId) }, null);
+            }
             result.getResponse(res);
         });
 
@@ -107,6 +132,9 @@ export default class TagsAPI {
          */
         this.app.post('/api/tags/:id/managers', check('perm:event.manage.all | perm:user.manage'), async (req, res) => {
             const result = await TagsDB.addManager(this.db, req.params.id, req.body.userId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'tag.manager.add', 'tag', req.params.id, null, { user_id: Number(req.body.userId) });
+            }
             result.getResponse(res);
         });
 
@@ -115,6 +143,9 @@ export default class TagsAPI {
          */
         this.app.delete('/api/tags/:id/managers/:userId', check('perm:event.manage.all | perm:user.manage'), async (req, res) => {
             const result = await TagsDB.removeManager(this.db, req.params.id, req.params.userId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'tag.manager.remove', 'tag', req.params.id, { user_id: Number(req.params.userId) }, null);
+            }
             result.getResponse(res);
         });
 
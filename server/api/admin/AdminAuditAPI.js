@@ -0,0 +1,53 @@
+/**
+ * AdminAuditAPI.js
+ *
+ * This file exposes the audit log of administrative actions to execs.
+ */
+
+import AuditDB from '../../db/auditDB.js';
+import check from '../../misc/authentication.js';
+
+export default class AdminAudit {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all admin routes for browsing the audit log.
+     */
+    registerRoutes() {
+        /**
+         * Fetch a page of audit entries, newest first, filtered by search text, action, target, actor and date range.
+         */
+        this.app.get('/api/admin/audit', check('perm:audit.read'), async (req, res) => {
+            const page = parseInt(req.query.page) || 1;
+            const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+            const { search, action, targetType, targetId, actorId, from, to } = req.query;
+
+            if (targetType && !AuditDB.TARGET_TYPES.includes(targetType)) {
+                return res.status(400).json({ message: 'Invalid target type' });
+            }
+            if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+                return res.status(400).json({ message: 'Invalid date range' });
+            }
+
+            const result = await AuditDB.getEntries(this.db, { page, limit, search, action, targetType, targetId, actorId, from, to });
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * List the distinct actions that have been recorded, for the filter dropdown.
+         */
+        this.app.get('/api/admin/audit/actions', check('perm:audit.read'), async (req, res) => {
+            const result = await AuditDB.getActions(this.db);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+    }
+}
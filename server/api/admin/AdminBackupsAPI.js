@@ -0,0 +1,66 @@
+/**
+ * AdminBackupsAPI.js
+ *
+ * This file lets execs take, list and download backups of the club's data.
+ * Restoring is deliberately left to the command line, as the site has to be stopped first.
+ */
+
+import path from 'path';
+import Backups from '../../misc/Backups.js';
+import AuditDB from '../../db/auditDB.js';
+import Globals from '../../misc/globals.js';
+import check from '../../misc/authentication.js';
+import config from '../../config.js';
+
+export default class AdminBackups {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all admin routes for managing backups.
+     */
+    registerRoutes() {
+        /**
+         * List the available backups, newest first, along with the schedule and retention policy.
+         */
+        this.app.get('/api/admin/backups', check('perm:backup.manage'), async (req, res) => {
+            const result = Backups.list();
+            if (result.isError()) return result.getResponse(res);
+
+            res.json({
+                backups: result.getData(),
+                running: !!Backups.running,
+                intervalHours: new Globals().getInt('BackupIntervalHours'),
+                policy: Backups.getPolicy()
+            });
+        });
+
+        /**
+         * Take a backup now.
+         */
+        this.app.post('/api/admin/backups', check('perm:backup.manage'), async (req, res) => {
+            const result = await Backups.create(this.db, 'manual');
+            if (result.isError()) return result.getResponse(res);
+
+            await AuditDB.log(this.db, req.user.id, 'backup.create', 'backup', result.getData().name);
+            res.json(result.getData());
+        });
+
+        /**
+         * Download a backup archive.
+         */
+        this.app.get('/api/admin/backups/:name/download', check('perm:backup.manage'), async (req, res) => {
+            const backup = Backups.list().getData()?.find(b => b.name === req.params.name);
+            if (!backup) return res.status(404).json({ message: 'Backup not found' });
+
+            await AuditDB.log(this.db, req.user.id, 'backup.download', 'backup', backup.name);
+            res.download(path.join(config.paths.backups, backup.name));
+        });
+    }
+}
@@ -0,0 +1,141 @@
+/**
+ * AdminBankImportsAPI.js
+ *
+ * This file lets the treasurer import bank statements and reconcile the payments in them against members' accounts.
+ */
+
+import multer from 'multer';
+import BankImport from '../../misc/BankImport.js';
+import BankImportDB from '../../db/bankImportDB.js';
+import AuditDB from '../../db/auditDB.js';
+import NotificationsDB from '../../db/notificationsDB.js';
+import check from '../../misc/authentication.js';
+
+export default class AdminBankImports {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+        this.upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: BankImport.MAX_FILE_BYTES, files: 1 } });
+    }
+
+    /**
+     * Middleware reading the uploaded statement (field `file`) into memory.
+     */
+    uploadStatement() {
+        return (req, res, next) => this.upload.single('file')(req, res, err => {
+            if (err?.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ message: 'The statement is too large' });
+            if (err) return res.status(400).json({ message: 'Invalid upload' });
+            if (!req.file) return res.status(400).json({ message: 'No statement uploaded' });
+            next();
+        });
+    }
+
+    /**
+     * Audit a confirmed payment and let the member know they were credited.
+     */
+    async recordConfirmation(actorId, confirmed) {
+        await AuditDB.log(this.db, actorId, 'transaction.create', 'transaction', confirmed.transaction_id, null, {
+            user_id: confirmed.user_id, amount: confirmed.amount, description: confirmed.description,
+            category: confirmed.category, counterpart: confirmed.counterpart, reference: confirmed.reference,
+            bank_import_id: confirmed.import_id, bank_import_row_id: confirmed.row_id
+        });
+        await NotificationsDB.create(this.db, confirmed.user_id, 'transaction', {
+            title: `A credit of £${confirmed.amount.toFixed(2)} was added to your account`,
+            body: confirmed.description,
+            link: '/transactions'
+        });
+    }
+
+    /**
+     * Registers all admin routes for bank statement imports.
+     */
+    registerRoutes() {
+        /**
+         * Read an uploaded statement's columns and first rows, with a suggested column mapping. Nothing is stored.
+         */
+        this.app.post('/api/admin/bank-imports/preview', check('perm:transaction.write | perm:transaction.manage'), this.uploadStatement(), async (req, res) => {
+            const result = await BankImport.preview(this.db, req.file.buffer);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Import an uploaded statement using the column mapping sent as JSON in the `mapping` field.
+         */
+        this.app.post('/api/admin/bank-imports', check('perm:transaction.write | perm:transaction.manage'), this.uploadStatement(), async (req, res) => {
+            let mapping;
+            try {
+                mapping = JSON.parse(req.body.mapping);
+            } catch {
+                return res.status(400).json({ message: 'A column mapping is required' });
+            }
+
+            const result = await BankImport.importStatement(this.db, req.file, mapping, req.user.id);
+            if (!result.isError()) {
+                const { id, added, duplicates, skipped, invalid } = result.getData();
+                await AuditDB.log(this.db, req.user.id, 'bank_import.create', 'bank_import', id, null,
+                    { filename: req.file.originalname, mapping, added, duplicates, skipped, invalid });
+            }
+            result.getResponse(res);
+        });
+
+        /**
+         * List imported statements with how many of their rows still need reconciling.
+         */
+        this.app.get('/api/admin/bank-imports', check('perm:transaction.read | perm:transaction.manage'), async (req, res) => {
+            const result = await BankImportDB.listImports(this.db);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Fetch an imported statement's rows with their matches, for reconciliation.
+         */
+        this.app.get('/api/admin/bank-imports/:id', check('perm:transaction.read | perm:transaction.manage'), async (req, res) => {
+            const result = await BankImportDB.getImport(this.db, req.params.id);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Confirm every row of a statement that was matched to exactly one member.
+         */
+        this.app.post('/api/admin/bank-imports/:id/confirm-matched', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
+            const rowIds = await BankImportDB.getMatchedRowIds(this.db, req.params.id);
+            let confirmed = 0;
+            for (const rowId of rowIds) {
+                const result = await BankImport.confirmRow(this.db, rowId, null, req.user.id);
+                if (result.isError()) continue;
+                await this.recordConfirmation(req.user.id, result.getData());
+                confirmed++;
+            }
+            res.json({ message: `${confirmed} payment${confirmed === 1 ? '' : 's'} confirmed`, data: { confirmed } });
+        });
+
+        /**
+         * Confirm a row, crediting the member it was matched to or the member given as `userId`.
+         */
+        this.app.post('/api/admin/bank-import-rows/:id/confirm', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
+            const result = await BankImport.confirmRow(this.db, req.params.id, req.body?.userId ?? null, req.user.id);
+            if (!result.isError()) await this.recordConfirmation(req.user.id, result.getData());
+            result.getResponse(res);
+        });
+
+        /**
+         * Mark a row as not a member's payment, so it is never credited.
+         */
+        this.app.post('/api/admin/bank-import-rows/:id/ignore', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
+            const result = await BankImport.ignoreRow(this.db, req.params.id, req.user.id);
+            if (!result.isError()) {
+                const row = result.getData();
+                await AuditDB.log(this.db, req.user.id, 'bank_import.ignore', 'bank_import', row.import_id, null,
+                    { row_id: row.id, date: row.date, amount: row.amount, payee: row.payee, reference: row.reference });
+            }
+            result.getResponse(res);
+        });
+    }
+}
@@ -5,9 +5,15 @@
  */
 
 import EventsDB from '../../db/eventsDB.js';
+import SeriesDB from '../../db/seriesDB.js';
+import RolesDB from '../../db/rolesDB.js';
+import TagsDB from '../../db/tagsDB.js';
+import AuditDB from '../../db/auditDB.js';
 import check from '../../misc/authentication.js';
 import { Permissions } from '../../misc/permissions.js';
 import FileCleanup from '../../misc/FileCleanup.js';
+import EventStream from '../../misc/EventStream.js';
+import EmergencySheet from '../../misc/EmergencySheet.js';
 
 export default class AdminEvents {
     /**
@@ -55,6 +61,15 @@ export default class AdminEvents {
             res.json(result.getData());
         });
 
+        /**
+         * List roles that can be given a priority signup window.
+         */
+        this.app.get('/api/admin/events/roles', check('perm:event.write.all | perm:event.manage.all | perm:event.write.scoped | perm:event.manage.scoped'), async (req, res) => {
+            const result = await RolesDB.getAllRoles(this.db);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData().map(role => ({ id: role.id, name: role.name })));
+        });
+
         /**
          * Fetch event details by ID for administrative editing.
          */
@@ -78,24 +93,82 @@ export default class AdminEvents {
         });
 
         /**
-         * Create a new event.
+         * Fetch the recurring series an event belongs to, including all its occurrences.
+         */
+        this.app.get('/api/admin/event/:id/series', check('perm:event.read.all | perm:event.manage.all | perm:event.read.scoped | perm:event.manage.scoped'), async (req, res) => {
+            const event = await EventsDB.getEventById(this.db, req.params.id);
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+            if (!event.series_id) return res.status(404).json({ message: 'Event is not part of a series' });
+
+            const result = await SeriesDB.getSeriesById(this.db, event.series_id);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Fetch the emergency information sheet (contacts and medical details of current attendees).
+         */
+        this.app.get('/api/admin/event/:id/emergency', check('perm:event.emergency.read'), async (req, res) => {
+            const sheet = await this._emergencySheet(req, res);
+            if (!sheet) return;
+
+            await AuditDB.log(this.db, req.user.id, 'event.emergency.view', 'event', req.params.id);
+            res.set('Cache-Control', 'no-store');
+            res.json(sheet);
+        });
+
+        /**
+         * Download the emergency information sheet as a PDF.
+         */
+        this.app.get('/api/admin/event/:id/emergency/pdf', check('perm:event.emergency.read'), async (req, res) => {
+            const sheet = await this._emergencySheet(req, res);
+            if (!sheet) return;
+
+            let pdf;
+            try {
+                pdf = await EmergencySheet.toPdf(sheet);
+            } catch (error) {
+                return res.status(500).json({ message: 'Failed to create PDF' });
+            }
+
+            await AuditDB.log(this.db, req.user.id, 'event.emergency.download', 'event', req.params.id);
+            res.set('Cache-Control', 'no-store');
+            res.attachment(`emergency-info-${sheet.event.id}.pdf`);
+            res.type('application/pdf').send(pdf);
+        });
+
+        /**
+         * Create a new event, or a recurring series when a recurrence rule is supplied.
          */
         this.app.post('/api/admin/event', check('perm:event.write.all | perm:event.manage.all | perm:event.write.scoped | perm:event.manage.scoped'), async (req, res) => {
             if (!await Permissions.canManageEvent(this.db, req.user.id, null, req.body.tags)) {
                 return res.status(403).json({ message: 'Not authorized for these tags' });
             }
-            const result = await EventsDB.createEvent(this.db, req.body);
+            const result = req.body.recurrence
+                ? await SeriesDB.createSeries(this.db, req.body)
+                : await EventsDB.createEvent(this.db, req.body);
+            if (!result.isError()) {
+                const data = result.getData();
+                const eventId = data.events ? data.events[0] : data.id;
+                await AuditDB.log(this.db, req.user.id, data.events ? 'event.series.create' : 'event.create', 'event', eventId, null, await this._eventSnapshot(eventId));
+            }
             result.getResponse(res);
         });
 
         /**
-         * Update an existing event.
+         * Update an existing event, optionally applying the edit to following occurrences or the whole series.
          */
         this.app.put('/api/admin/event/:id', check('perm:event.write.all | perm:event.manage.all | perm:event.write.scoped | perm:event.manage.scoped'), async (req, res) => {
             if (!await Permissions.canManageEvent(this.db, req.user.id, req.params.id)) {
                 return res.status(403).json({ message: 'Not authorized for this event' });
             }
-            const result = await EventsDB.updateEvent(this.db, req.params.id, req.body);
+            const before = await this._eventSnapshot(req.params.id);
+            const affected = await this._scopeEventIds(req.params.id, req.body.scope);
+            const result = await EventsDB.updateEvent(this.db, req.params.id, req.body, req.body.scope);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'event.update', 'event', req.params.id, before, await this._eventSnapshot(req.params.id));
+                await EventStream.publishEventState(this.db, affected);
+            }
             result.getResponse(res);
         });
 
@@ -107,18 +180,28 @@ export default class AdminEvents {
                 return res.status(403).json({ message: 'Not authorized for this event' });
             }
             
+            const before = await this._eventSnapshot(req.params.id);
             const result = await EventsDB.resetImage(this.db, req.params.id);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'event.image.reset', 'event', req.params.id, before, await this._eventSnapshot(req.params.id));
+            }
             result.getResponse(res);
         });
 
         /**
-         * Cancel an event.
+         * Cancel an event, optionally extending to following occurrences or the whole series.
          */
         this.app.post('/api/admin/event/:id/cancel', check('perm:event.write.all | perm:event.manage.all | perm:event.write.scoped | perm:event.manage.scoped'), async (req, res) => {
             if (!await Permissions.canManageEvent(this.db, req.user.id, req.params.id)) {
                 return res.status(403).json({ message: 'Not authorized for this event' });
             }
-            const result = await EventsDB.cancelEvent(this.db, req.params.id);
+            const before = await this._eventSnapshot(req.params.id);
+            const affected = await this._scopeEventIds(req.params.id, req.body?.scope);
+            const result = await EventsDB.cancelEvent(this.db, req.params.id, req.body?.scope);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'event.cancel', 'event', req.params.id, before, await this._eventSnapshot(req.params.id));
+                await EventStream.publishEventState(this.db, affected);
+            }
             return result.getResponse(res);
         });
 
@@ -136,8 +219,51 @@ export default class AdminEvents {
                 return res.status(400).json({ message: 'Cannot delete past events' });
             }
 
+            const before = await this._eventSnapshot(req.params.id);
             const result = await EventsDB.deleteEvent(this.db, req.params.id);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'event.delete', 'event', req.params.id, before, null);
+                await EventStream.publishEventState(this.db, req.params.id);
+            }
             result.getResponse(res);
         });
     }
+
+    /**
+     * Internal helper checking the user may see an event's emergency sheet and building it.
+     * Sends the error response and returns null when they may not.
+     */
+    async _emergencySheet(req, res) {
+        if (!await Permissions.canManageEvent(this.db, req.user.id, req.params.id)) {
+            res.status(403).json({ message: 'Not authorized for this event' });
+            return null;
+        }
+
+        const result = await EmergencySheet.build(this.db, req.params.id);
+        if (result.isError()) {
+            result.getResponse(res);
+            return null;
+        }
+        return result.getData();
+    }
+
+    /**
+     * Internal helper listing the occurrences a series-scoped edit may touch, so their live state can be pushed afterwards.
+     */
+    async _scopeEventIds(eventId, scope = 'this') {
+        const event = await EventsDB.getEventById(this.db, eventId);
+        if (!event) return [];
+        const targets = await SeriesDB.getScopeTargets(this.db, event, scope || 'this', true);
+        return targets.isError() ? [event.id] : targets.getData().map(t => t.id);
+    }
+
+    /**
+     * Internal helper capturing an event's stored fields and tag names for the audit log.
+     */
+    async _eventSnapshot(eventId) {
+        const event = await EventsDB.getEventById(this.db, eventId);
+        if (!event) return null;
+        const tags = await TagsDB.getTagsForEvent(this.db, eventId);
+        return { ...event, tags: tags.map(t => t.name).sort() };
+    }
 }
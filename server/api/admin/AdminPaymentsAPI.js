@@ -0,0 +1,39 @@
+/**
+ * AdminPaymentsAPI.js
+ *
+ * This file lets the treasurer follow online top-ups, including those still pending and those that failed.
+ */
+
+import PaymentsDB from '../../db/paymentsDB.js';
+import check from '../../misc/authentication.js';
+
+export default class AdminPayments {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all admin routes for online payments.
+     */
+    registerRoutes() {
+        /**
+         * List online payments, newest first, optionally only those of one status.
+         */
+        this.app.get('/api/admin/payments', check('perm:transaction.read | perm:transaction.manage'), async (req, res) => {
+            const status = req.query.status || null;
+            if (status && !PaymentsDB.STATUSES.includes(status)) return res.status(400).json({ message: 'Invalid status' });
+
+            const page = Math.max(parseInt(req.query.page) || 1, 1);
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+            const result = await PaymentsDB.list(this.db, { status, page, limit });
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+    }
+}
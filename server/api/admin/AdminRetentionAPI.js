@@ -0,0 +1,57 @@
+/**
+ * AdminRetentionAPI.js
+ *
+ * This file lets the President review what the data retention policy would remove and then apply it.
+ */
+
+import DataRetention from '../../misc/DataRetention.js';
+import AuditDB from '../../db/auditDB.js';
+import check from '../../misc/authentication.js';
+import TwoFactor from '../../misc/TwoFactor.js';
+
+export default class AdminRetention {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all admin routes for the retention policy.
+     */
+    registerRoutes() {
+        /**
+         * Dry run: list the health data and deleted accounts that are due to be purged.
+         */
+        this.app.get('/api/admin/retention', check('perm:globals.manage'), async (req, res) => {
+            const result = await DataRetention.report(this.db);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Purge the users approved from the report. Requires step-up verification.
+         */
+        this.app.post('/api/admin/retention/apply', check('perm:globals.manage'), TwoFactor.stepUp(), async (req, res) => {
+            const { health, deletedAccounts } = req.body || {};
+            if ((health !== undefined && !Array.isArray(health)) || (deletedAccounts !== undefined && !Array.isArray(deletedAccounts))) {
+                return res.status(400).json({ message: 'health and deletedAccounts must be lists of user IDs' });
+            }
+
+            const result = await DataRetention.apply(this.db, { health, deletedAccounts });
+            if (result.isError()) return result.getResponse(res);
+
+            const purged = result.getData();
+            for (const id of purged.health) {
+                await AuditDB.log(this.db, req.user.id, 'user.retention.health', 'user', id);
+            }
+            for (const id of purged.deletedAccounts) {
+                await AuditDB.log(this.db, req.user.id, 'user.retention.delete', 'user', id);
+            }
+            res.json(purged);
+        });
+    }
+}
@@ -6,6 +6,7 @@
 
 import check from '../../misc/authentication.js';
 import RolesDB from '../../db/rolesDB.js';
+import AuditDB from '../../db/auditDB.js';
 
 export default class AdminRoles {
     /**
@@ -54,6 +55,10 @@ export default class AdminRoles {
         this.app.post('/api/admin/roles', check('perm:role.write | perm:role.manage'), async (req, res) => {
             const { name, description, permissions } = req.body;
             const result = await RolesDB.createRole(this.db, name, description, permissions);
+            if (!result.isError()) {
+                const created = await RolesDB.getRoleById(this.db, result.getData().id);
+                await AuditDB.log(this.db, req.user.id, 'role.create', 'role', result.getData().id, null, created.getData());
+            }
             result.getResponse(res);
         });
 
@@ -62,8 +67,12 @@ export default class AdminRoles {
          */
         this.app.put('/api/admin/roles/:id', check('perm:role.write | perm:role.manage'), async (req, res) => {
             const { name, description, permissions } = req.body;
+            const before = await RolesDB.getRoleById(this.db, req.params.id);
             const result = await RolesDB.updateRole(this.db, req.params.id, name, description, permissions);
             if (result.isError()) return result.getResponse(res);
+
+            const after = await RolesDB.getRoleById(this.db, req.params.id);
+            await AuditDB.log(this.db, req.user.id, 'role.update', 'role', req.params.id, before.getData(), after.getData());
             res.json({ message: result.getMessage() });
         });
 
@@ -71,8 +80,11 @@ export default class AdminRoles {
          * Delete a role definition.
          */
         this.app.delete('/api/admin/roles/:id', check('perm:role.write | perm:role.manage'), async (req, res) => {
+            const before = await RolesDB.getRoleById(this.db, req.params.id);
             const result = await RolesDB.deleteRole(this.db, req.params.id);
             if (result.isError()) return result.getResponse(res);
+
+            await AuditDB.log(this.db, req.user.id, 'role.delete', 'role', req.params.id, before.getData(), null);
             res.json({ message: result.getMessage() });
         });
     }
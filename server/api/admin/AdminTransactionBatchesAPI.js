@@ -0,0 +1,113 @@
+/**
+ * AdminTransactionBatchesAPI.js
+ *
+ * This file lets the treasurer charge or credit many members at once, and reverse such a batch as a whole.
+ */
+
+import BulkTransactions from '../../misc/BulkTransactions.js';
+import TransactionBatchDB from '../../db/transactionBatchDB.js';
+import transactionsDB from '../../db/transactionDB.js';
+import AuditDB from '../../db/auditDB.js';
+import NotificationsDB from '../../db/notificationsDB.js';
+import check from '../../misc/authentication.js';
+import TwoFactor from '../../misc/TwoFactor.js';
+
+export default class AdminTransactionBatches {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all admin routes for bulk charges and credits.
+     */
+    registerRoutes() {
+        /**
+         * The events, tags and roles members can be chosen by.
+         */
+        this.app.get('/api/admin/transaction-batches/sources', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
+            const result = await TransactionBatchDB.getSources(this.db);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Show the members a batch would reach and each one's amount, without applying it.
+         */
+        this.app.post('/api/admin/transaction-batches/preview', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
+            const result = await BulkTransactions.preview(this.db, req.body || {});
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Apply a batch, adding every member's entry at once, and let each member know.
+         */
+        this.app.post('/api/admin/transaction-batches', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
+            const result = await BulkTransactions.apply(this.db, req.body || {}, req.user.id);
+            if (result.isError()) return result.getResponse(res);
+
+            const { id, total, entries } = result.getData();
+            const batch = (await TransactionBatchDB.get(this.db, id)).getData();
+            await AuditDB.log(this.db, req.user.id, 'transaction_batch.create', 'transaction_batch', id, null, {
+                description: batch.description, category: batch.category, counterpart: batch.counterpart, reference: batch.reference,
+                kind: batch.kind, mode: batch.mode, amount: batch.amount, selection: batch.selection, users: entries.length, total
+            });
+            for (const entry of entries) {
+                await NotificationsDB.create(this.db, entry.user_id, 'transaction', {
+                    title: `${entry.amount < 0 ? 'A charge of' : 'A credit of'} £${Math.abs(entry.amount).toFixed(2)} was added to your account`,
+                    body: batch.description,
+                    link: '/transactions'
+                });
+            }
+            result.getResponse(res);
+        });
+
+        /**
+         * List batches, newest first.
+         */
+        this.app.get('/api/admin/transaction-batches', check('perm:transaction.read | perm:transaction.manage'), async (req, res) => {
+            const result = await TransactionBatchDB.list(this.db);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Fetch a batch with each member's entry.
+         */
+        this.app.get('/api/admin/transaction-batches/:id', check('perm:transaction.read | perm:transaction.manage'), async (req, res) => {
+            const result = await TransactionBatchDB.get(this.db, req.params.id);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Reverse every entry of a batch that has not already been reversed. Requires a reason and step-up
+         * verification.
+         */
+        this.app.delete('/api/admin/transaction-batches/:id', check('perm:transaction.manage'), TwoFactor.stepUp(), async (req, res) => {
+            const reasonRes = transactionsDB.normalise_reason(req.body?.reason);
+            if (reasonRes.isError()) return reasonRes.getResponse(res);
+            const reason = reasonRes.getData();
+
+            const result = await BulkTransactions.reverse(this.db, req.params.id, reason, req.user.id);
+            if (result.isError()) return result.getResponse(res);
+
+            const reversed = result.getData();
+            await AuditDB.log(this.db, req.user.id, 'transaction_batch.reverse', 'transaction_batch', req.params.id, null,
+                { reason, reversed_transaction_ids: reversed.map(e => e.id) });
+            for (const entry of reversed) {
+                await NotificationsDB.create(this.db, entry.user_id, 'transaction', {
+                    title: `"${entry.description}" was reversed on your account`,
+                    body: reason,
+                    link: '/transactions'
+                });
+            }
+            result.getResponse(res);
+        });
+    }
+}
@@ -1,11 +1,15 @@
 /**
  * AdminTransactionsAPI.js
  * 
- * This file provides administrative access to user transactions.
+ * This file provides administrative access to user transactions and the treasurer's ledger report.
  */
 
 import transactionsDB from '../../db/transactionDB.js';
+import AuditDB from '../../db/auditDB.js';
+import NotificationsDB from '../../db/notificationsDB.js';
 import check from '../../misc/authentication.js';
+import TwoFactor from '../../misc/TwoFactor.js';
+import Utils from '../../misc/utils.js';
 
 export default class AdminTransactions {
     /**
@@ -34,24 +38,105 @@ export default class AdminTransactions {
          * Manually add a transaction to a user's account.
          */
         this.app.post('/api/admin/user/:id/transaction', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
-            const result = await transactionsDB.add_transaction(this.db, req.params.id, req.body.amount, req.body.description);
+            const details = transactionsDB.normalise_details({
+                category: req.body.category || 'adjustment',
+                counterpart: req.body.counterpart,
+                reference: req.body.reference
+            });
+            if (details.isError()) return details.getResponse(res);
+
+            const result = await transactionsDB.add_transaction(this.db, req.params.id, req.body.amount, req.body.description, null, { ...details.getData(), created_by: req.user.id });
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'transaction.create', 'transaction', result.getData(), null,
+                    { user_id: Number(req.params.id), amount: req.body.amount, description: req.body.description, ...details.getData() });
+                const amount = Number(req.body.amount);
+                await NotificationsDB.create(this.db, req.params.id, 'transaction', {
+                    title: `${amount < 0 ? 'A charge of' : 'A credit of'} £${Math.abs(amount).toFixed(2)} was added to your account`,
+                    body: req.body.description || null,
+                    link: '/transactions'
+                });
+            }
             result.getResponse(res);
         });
 
         /**
-         * Update an existing transaction record.
+         * Correct a transaction: reverses it and adds a replacement entry with the new values. Requires a reason and
+         * step-up verification.
          */
-        this.app.put('/api/admin/transaction/:id', check('perm:transaction.write | perm:transaction.manage'), async (req, res) => {
-            const result = await transactionsDB.edit_transaction(this.db, req.params.id, req.body.amount, req.body.description);
+        this.app.put('/api/admin/transaction/:id', check('perm:transaction.manage'), TwoFactor.stepUp(), async (req, res) => {
+            const reasonRes = transactionsDB.normalise_reason(req.body.reason);
+            if (reasonRes.isError()) return reasonRes.getResponse(res);
+            const reason = reasonRes.getData();
+
+            const amount = typeof req.body.amount === 'string' && req.body.amount.trim() !== '' ? Number(req.body.amount) : req.body.amount;
+            if (typeof amount !== 'number' || !Number.isFinite(amount)) return res.status(400).json({ message: 'Amount must be a number' });
+
+            const descriptionRes = transactionsDB.normalise_description(req.body.description);
+            if (descriptionRes.isError()) return descriptionRes.getResponse(res);
+            const description = descriptionRes.getData();
+
+            const before = await transactionsDB.get_transaction_by_id(this.db, req.params.id);
+            if (before.isError()) return before.getResponse(res);
+
+            const current = before.getData();
+            const details = transactionsDB.normalise_details({
+                category: req.body.category ?? current.category,
+                counterpart: req.body.counterpart !== undefined ? req.body.counterpart : current.counterpart,
+                reference: req.body.reference !== undefined ? req.body.reference : current.reference
+            });
+            if (details.isError()) return details.getResponse(res);
+
+            const result = await transactionsDB.correct_transaction(this.db, req.params.id, amount, description, details.getData(), reason, req.user.id);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'transaction.correct', 'transaction', req.params.id, current,
+                    { amount, description, ...details.getData(), reason, ...result.getData() });
+                await NotificationsDB.create(this.db, current.user_id, 'transaction', {
+                    title: `"${current.description}" was corrected on your account`,
+                    body: reason,
+                    link: '/transactions'
+                });
+            }
             result.getResponse(res);
         });
 
         /**
-         * Delete a transaction record.
+         * Reverse a transaction with an opposite entry, leaving the original in place. Requires a reason and
+         * step-up verification.
          */
-        this.app.delete('/api/admin/transaction/:id', check('perm:transaction.manage'), async (req, res) => {
-            const result = await transactionsDB.delete_transaction(this.db, req.params.id);
+        this.app.delete('/api/admin/transaction/:id', check('perm:transaction.manage'), TwoFactor.stepUp(), async (req, res) => {
+            const reasonRes = transactionsDB.normalise_reason(req.body.reason);
+            if (reasonRes.isError()) return reasonRes.getResponse(res);
+            const reason = reasonRes.getData();
+
+            const before = await transactionsDB.get_transaction_by_id(this.db, req.params.id);
+            const result = await transactionsDB.reverse_transaction(this.db, req.params.id, reason, req.user.id);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'transaction.reverse', 'transaction', req.params.id, before.getData(),
+                    { reason, reversal_id: result.getData() });
+                await NotificationsDB.create(this.db, before.getData().user_id, 'transaction', {
+                    title: `"${before.getData().description}" was reversed on your account`,
+                    body: reason,
+                    link: '/transactions'
+                });
+            }
             result.getResponse(res);
         });
+
+        /**
+         * Ledger report: charges, credits, refunds and payments received by category and by month over a date range.
+         */
+        this.app.get('/api/admin/reports/ledger', check('perm:transaction.read | perm:transaction.manage'), async (req, res) => {
+            const start = new Date(req.query.start || Utils.getAcademicYearStart());
+            const end = req.query.end ? new Date(req.query.end) : new Date();
+            if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+                return res.status(400).json({ message: 'Invalid date range' });
+            }
+            end.setHours(23, 59, 59, 999);
+
+            const report = await transactionsDB.get_ledger(this.db, start, end);
+            if (report.isError()) return report.getResponse(res);
+
+            res.json({ ...report.getData(), start, end });
+        });
     }
 }
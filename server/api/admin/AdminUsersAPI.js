@@ -8,6 +8,14 @@ import UserDB from '../../db/userDB.js';
 import RolesDB from '../../db/rolesDB.js';
 import SwimsDB from '../../db/swimsDB.js';
 import transactionsDB from '../../db/transactionDB.js';
+import AuditDB from '../../db/auditDB.js';
+import TwoFactorDB from '../../db/twoFactorDB.js';
+import NotificationsDB from '../../db/notificationsDB.js';
+import DataExport from '../../misc/DataExport.js';
+import TwoFactor from '../../misc/TwoFactor.js';
+import Sessions from '../../misc/Sessions.js';
+import LoginSecurity from '../../misc/LoginSecurity.js';
+import LoginSecurityDB from '../../db/loginSecurityDB.js';
 import check from '../../misc/authentication.js';
 import { statusObject } from '../../misc/status.js';
 import { Permissions, SCOPED_PERMS } from '../../misc/permissions.js';
@@ -108,15 +116,93 @@ export default class AdminUsers {
             const tagsRes = await RolesDB.getUserManagedTags(this.db, userId);
             if (!tagsRes.isError()) filteredUser.direct_managed_tags = tagsRes.getData();
 
+            if (canManageUsers) filteredUser.two_factor_enabled = await TwoFactorDB.isEnabled(this.db, userId);
+
             res.json(filteredUser);
         });
 
+        /**
+         * Download everything the club holds about a user, for answering subject access requests.
+         */
+        this.app.get('/api/admin/user/:id/export', check('perm:user.manage'), async (req, res) => {
+            const userId = parseInt(req.params.id);
+            if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+            const exists = await UserDB.getElementsById(this.db, userId, ['id']);
+            if (exists.isError()) return exists.getResponse(res);
+
+            await AuditDB.log(this.db, req.user.id, 'user.export', 'user', userId);
+            await DataExport.send(this.db, userId, res);
+        });
+
+        /**
+         * Turn off two-factor authentication for a member who has lost their device and backup codes.
+         * Requires step-up verification.
+         */
+        this.app.delete('/api/admin/user/:id/2fa', check('perm:user.manage'), TwoFactor.stepUp(), async (req, res) => {
+            const userId = parseInt(req.params.id);
+            if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+            if (!await TwoFactorDB.isEnabled(this.db, userId)) {
+                return res.status(400).json({ message: 'Two-factor authentication is not enabled for this user.' });
+            }
+
+            const result = await TwoFactorDB.disable(this.db, userId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.2fa.reset', 'user', userId);
+            }
+            result.getResponse(res);
+        });
+
+        /**
+         * Sign a user out of every session.
+         */
+        this.app.post('/api/admin/user/:id/logout', check('perm:user.manage'), async (req, res) => {
+            const userId = parseInt(req.params.id);
+            if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+            const result = await Sessions.revokeAll(this.db, req.sessionStore, userId);
+            if (result.isError()) return result.getResponse(res);
+
+            await AuditDB.log(this.db, req.user.id, 'user.sessions.revoke', 'user', userId, null, result.getData());
+            res.json(result.getData());
+        });
+
+        /**
+         * Get a user's lockout state and recent login history.
+         */
+        this.app.get('/api/admin/user/:id/logins', check('perm:user.manage'), async (req, res) => {
+            const userId = parseInt(req.params.id);
+            if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+            const result = await LoginSecurity.getSummary(this.db, userId);
+            if (result.isError()) return result.getResponse(res);
+            res.json(result.getData());
+        });
+
+        /**
+         * Lift a user's lockout and forget their failed logins.
+         */
+        this.app.delete('/api/admin/user/:id/lockout', check('perm:user.manage'), async (req, res) => {
+            const userId = parseInt(req.params.id);
+            if (isNaN(userId)) return res.status(400).json({ message: 'Invalid user ID' });
+
+            const before = await LoginSecurityDB.getLockout(this.db, userId);
+            if (!await LoginSecurityDB.clearLockout(this.db, userId)) return res.status(404).json({ message: 'User has no failed logins' });
+
+            await AuditDB.log(this.db, req.user.id, 'user.lockout.clear', 'user', userId, before, null);
+            res.json({ message: 'Lockout cleared' });
+        });
+
         /**
          * Update profile elements for any user.
          */
         this.app.post('/api/admin/user/:id/elements', check('perm:user.write | perm:user.manage'), async (req, res) => {
             if (req.body.email) req.body.email = req.body.email.toLowerCase();
+            const before = await UserDB.getElementsById(this.db, req.params.id, Object.keys(req.body));
             const result = await UserDB.writeElements(this.db, req.params.id, req.body);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.update', 'user', req.params.id, before.getData() ?? {}, req.body);
+            }
             result.getResponse(res);
         });
 
@@ -146,7 +232,18 @@ export default class AdminUsers {
                     return res.status(403).json({ message: 'Incorrect password.' });
                 }
 
+                const stepUp = await TwoFactor.checkStepUp(this.db, req);
+                if (stepUp.isError()) {
+                    return res.status(stepUp.getStatus()).json({ message: stepUp.getMessage(), ...stepUp.getData() });
+                }
+
+                const before = await this._accessSnapshot(req.params.id);
                 const result = await UserDB.resetPermissions(this.db, req.params.id);
+                if (!result.isError()) {
+                    const after = await this._accessSnapshot(req.params.id);
+                    await AuditDB.log(this.db, req.user.id, 'user.president.transfer', 'user', req.params.id, before, after);
+                    await this._notifyRoleChanges(req.params.id, before, after);
+                }
                 return result.getResponse(res);
             }
 
@@ -161,7 +258,13 @@ export default class AdminUsers {
                 }
             }
 
+            const before = await this._accessSnapshot(req.params.id);
             const result = await RolesDB.assignRole(this.db, req.params.id, roleId);
+            if (!result.isError()) {
+                const after = await this._accessSnapshot(req.params.id);
+                await AuditDB.log(this.db, req.user.id, 'user.role.assign', 'user', req.params.id, before, after);
+                await this._notifyRoleChanges(req.params.id, before, after);
+            }
             result.getResponse(res);
         });
 
@@ -169,7 +272,13 @@ export default class AdminUsers {
          * Remove a role from a user.
          */
         this.app.delete('/api/admin/user/:id/role/:roleId', check('perm:user.manage | perm:role.manage'), async (req, res) => {
+            const before = await this._accessSnapshot(req.params.id);
             const result = await RolesDB.removeRole(this.db, req.params.id, req.params.roleId);
+            if (!result.isError()) {
+                const after = await this._accessSnapshot(req.params.id);
+                await AuditDB.log(this.db, req.user.id, 'user.role.remove', 'user', req.params.id, before, after);
+                await this._notifyRoleChanges(req.params.id, before, after);
+            }
             result.getResponse(res);
         });
 
@@ -177,7 +286,11 @@ export default class AdminUsers {
          * Add a direct permission override to a user.
          */
         this.app.post('/api/admin/user/:id/permission', check('perm:user.manage | perm:role.manage'), async (req, res) => {
+            const before = await this._accessSnapshot(req.params.id);
             const result = await RolesDB.addUserPermission(this.db, req.params.id, req.body.permissionId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.permission.add', 'user', req.params.id, before, await this._accessSnapshot(req.params.id));
+            }
             result.getResponse(res);
         });
 
@@ -185,7 +298,11 @@ export default class AdminUsers {
          * Remove a direct permission override from a user.
          */
         this.app.delete('/api/admin/user/:id/permission/:permId', check('perm:user.manage | perm:role.manage'), async (req, res) => {
+            const before = await this._accessSnapshot(req.params.id);
             const result = await RolesDB.removeUserPermission(this.db, req.params.id, req.params.permId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.permission.remove', 'user', req.params.id, before, await this._accessSnapshot(req.params.id));
+            }
             result.getResponse(res);
         });
 
@@ -193,7 +310,11 @@ export default class AdminUsers {
          * Grant an Exec direct management scope over events with a specific tag.
          */
         this.app.post('/api/admin/user/:id/managed_tag', check('perm:user.manage | perm:role.manage'), async (req, res) => {
+            const before = await this._accessSnapshot(req.params.id);
             const result = await RolesDB.addManagedTag(this.db, req.params.id, req.body.tagId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.managed_tag.add', 'user', req.params.id, before, await this._accessSnapshot(req.params.id));
+            }
             result.getResponse(res);
         });
 
@@ -201,8 +322,41 @@ export default class AdminUsers {
          * Revoke an Exec's direct management scope over a specific tag.
          */
         this.app.delete('/api/admin/user/:id/managed_tag/:tagId', check('perm:user.manage | perm:role.manage'), async (req, res) => {
+            const before = await this._accessSnapshot(req.params.id);
             const result = await RolesDB.removeManagedTag(this.db, req.params.id, req.params.tagId);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'user.managed_tag.remove', 'user', req.params.id, before, await this._accessSnapshot(req.params.id));
+            }
             result.getResponse(res);
         });
     }
+
+    /**
+     * Internal helper telling a user which roles they gained or lost, given access snapshots from before and after.
+     */
+    async _notifyRoleChanges(userId, before, after) {
+        const added = after.roles.filter(r => !before.roles.includes(r));
+        const removed = before.roles.filter(r => !after.roles.includes(r));
+
+        for (const role of added) {
+            await NotificationsDB.create(this.db, userId, 'role', { title: `You have been given the ${role} role`, link: '/profile' });
+        }
+        for (const role of removed) {
+            await NotificationsDB.create(this.db, userId, 'role', { title: `Your ${role} role has been removed`, link: '/profile' });
+        }
+    }
+
+    /**
+     * Internal helper capturing a user's roles, direct permissions and managed tags for the audit log.
+     */
+    async _accessSnapshot(userId) {
+        const roles = await RolesDB.getUserRoles(this.db, userId);
+        const permissions = await RolesDB.getUserPermissions(this.db, userId);
+        const tags = await RolesDB.getUserManagedTags(this.db, userId);
+        return {
+            roles: (roles.getData() || []).map(r => r.name).sort(),
+            permissions: (permissions.getData() || []).map(p => p.slug).sort(),
+            managed_tags: (tags.getData() || []).map(t => t.name).sort()
+        };
+    }
 }
@@ -10,9 +10,9 @@ import TransactionsDB from '../../db/transactionDB.js';
 import UserDB from '../../db/userDB.js';
 import EventRules from '../../rules/EventRules.js';
 import check from '../../misc/authentication.js';
-import { statusObject } from '../../misc/status.js';
 import { Permissions } from '../../misc/permissions.js';
-import WaitlistDB from '../../db/waitlistDB.js';
+import WaitlistOffers from '../../misc/WaitlistOffers.js';
+import EventStream from '../../misc/EventStream.js';
 import Logger from '../../misc/Logger.js';
 
 export default class AttendanceAPI {
@@ -74,7 +74,7 @@ export default class AttendanceAPI {
         });
 
         /**
-         * Check if user can join an event.
+         * Check if user can join an event, including when signups open for them.
          */
         this.app.get('/api/event/:id/canJoin', check(), async (req, res) => {
             const eventId = parseInt(req.params.id, 10);
@@ -83,11 +83,12 @@ export default class AttendanceAPI {
             const eventRes = await EventsDB.get_event_by_id(this.db, req.user.id, eventId);
             if (eventRes.isError()) return res.status(404).json({ message: 'Event not found' });
 
-            const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'is_instructor', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level']);
+            const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level']);
             if (user.isError()) return user.getResponse(res);
 
             const status = await EventRules.canJoinEvent(this.db, eventRes.getData(), user.getData());
-            res.json({ canJoin: !status.isError(), reason: status.getMessage() });
+            const opensAt = await EventRules.getSignupOpensAt(this.db, eventRes.getData(), user.getData());
+            res.json({ canJoin: !status.isError(), reason: status.getMessage(), opensAt });
         });
 
         /**
@@ -109,7 +110,7 @@ export default class AttendanceAPI {
                 }
                 const event = eventRes.getData();
 
-                const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'is_instructor', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level']);
+                const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level']);
                 if (user.isError()) {
                     await this.db.run('ROLLBACK');
                     return user.getResponse(res);
@@ -121,48 +122,14 @@ export default class AttendanceAPI {
                     return canJoin.getResponse(res);
                 }
 
-                const membershipStatus = user.getData();
-                let usedFreeSession = false;
-
-                if (membershipStatus.is_instructor && event.is_canceled) {
-                    await EventsDB.setEventCancellation(this.db, eventId, false);
-                }
-
-                if (!membershipStatus.is_member) {
-                    const updateStatus = await UserDB.writeElementsById(this.db, req.user.id, { free_sessions: membershipStatus.free_sessions - 1 });
-                    if (updateStatus.isError()) {
-                        await this.db.run('ROLLBACK');
-                        return updateStatus.getResponse(res);
-                    }
-                    usedFreeSession = true;
-                }
-
-                let transactionStatus = new statusObject(200, null, null);
-                if (event.upfront_cost > 0) {
-                    transactionStatus = await TransactionsDB.add_transaction(this.db, req.user.id, -event.upfront_cost, `${event.title} upfront cost`, eventId);
-                    if (transactionStatus.isError()) {
-                        // UserDB write will be rolled back by transaction rollback
-                        await this.db.run('ROLLBACK');
-                        return transactionStatus.getResponse(res);
-                    }
-
-                    if (event.upfront_refund_cutoff && (new Date() > new Date(event.upfront_refund_cutoff))) {
-                        const refundIdRes = await AttendanceDB.get_event_refund_id(this.db, req.user.id, eventId);
-                        if (!refundIdRes.isError()) {
-                            const refundData = refundIdRes.getData();
-                            if (refundData.user_id) await AttendanceDB.refundEvent(this.db, eventId, refundData.user_id);
-                            else await TransactionsDB.delete_transaction(this.db, refundData.payment_transaction_id);
-                        }
-                    }
-                };
-
-                const status = await AttendanceDB.attend_event(this.db, req.user.id, eventId, transactionStatus.getData());
+                const status = await AttendanceDB.process_signup(this.db, event, user.getData());
                 if (status.isError()) {
                     await this.db.run('ROLLBACK');
                     return status.getResponse(res);
                 }
 
                 await this.db.run('COMMIT');
+                await EventStream.publishEventState(this.db, eventId);
                 return status.getResponse(res);
             } catch (error) {
                 await this.db.run('ROLLBACK');
@@ -216,44 +183,12 @@ export default class AttendanceAPI {
             if (event.upfront_cost > 0) {
                 if (!event.upfront_refund_cutoff || (new Date() <= new Date(event.upfront_refund_cutoff))) {
                     const txIdStatus = await TransactionsDB.get_transactionid_by_event(this.db, eventId, req.user.id);
-                    if (!txIdStatus.isError()) await TransactionsDB.delete_transaction(this.db, txIdStatus.getData());
+                    if (!txIdStatus.isError()) await TransactionsDB.reverse_transaction(this.db, txIdStatus.getData(), 'Left before the refund cutoff');
                 }
             }
 
-            const nextUserRes = await WaitlistDB.get_next_on_waiting_list(this.db, eventId);
-            const nextUserId = nextUserRes.getData();
-
-            if (nextUserId) {
-                try {
-                    const nextUser = await UserDB.getElementsById(this.db, nextUserId, ['is_member', 'free_sessions', 'filled_legal_info']);
-                    if (!nextUser.isError()) {
-                        const u = nextUser.getData();
-
-                        let eligible = true;
-                        if (!u.filled_legal_info) eligible = false;
-                        if (!u.is_member && u.free_sessions <= 0) eligible = false;
-
-                        if (eligible) {
-                            if (!u.is_member) {
-                                await UserDB.writeElementsById(this.db, nextUserId, { free_sessions: u.free_sessions - 1 });
-                            }
-
-                            let transactionId = null;
-                            if (event.upfront_cost > 0) {
-                                const txRes = await TransactionsDB.add_transaction(this.db, nextUserId, -event.upfront_cost, `${event.title} upfront cost (Waitlist Promotion)`);
-                                if (!txRes.isError()) {
-                                    transactionId = txRes.getData();
-                                }
-                            }
-
-                            await AttendanceDB.attend_event(this.db, nextUserId, eventId, transactionId);
-                            await WaitlistDB.remove_user_from_waiting_list(this.db, eventId, nextUserId);
-                        }
-                    }
-                } catch (e) {
-                    Logger.error("Error promoting user from waitlist:", e);
-                }
-            }
+            await WaitlistOffers.offerFreedSpots(this.db, eventId);
+            await EventStream.publishEventState(this.db, eventId);
 
             return status.getResponse(res);
         });
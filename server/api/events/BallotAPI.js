@@ -0,0 +1,125 @@
+/**
+ * BallotAPI.js
+ *
+ * This file handles ballot entry for events whose places are allocated by a draw, and the exec draw controls.
+ */
+
+import EventsDB from '../../db/eventsDB.js';
+import BallotDB from '../../db/ballotDB.js';
+import AuditDB from '../../db/auditDB.js';
+import UserDB from '../../db/userDB.js';
+import EventRules from '../../rules/EventRules.js';
+import BallotDraw from '../../misc/BallotDraw.js';
+import check from '../../misc/authentication.js';
+import { Permissions } from '../../misc/permissions.js';
+
+export default class BallotAPI {
+    /**
+     * @param {object} app - Express app.
+     * @param {object} db - SQLite database.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers ballot routes.
+     */
+    registerRoutes() {
+        /**
+         * Ballot status for an event: closing time, whether it has been drawn, the number of entries and the current user's entry.
+         */
+        this.app.get('/api/event/:id/ballot', check(), async (req, res) => {
+            const eventId = parseInt(req.params.id, 10);
+            if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
+
+            const eventRes = await EventsDB.get_event_by_id(this.db, req.user.id, eventId);
+            if (eventRes.isError()) return eventRes.getResponse(res);
+            const event = eventRes.getData();
+            if (!event.ballot_closes_at) return res.status(400).json({ message: 'This event does not use a ballot' });
+
+            const count = await BallotDB.getEntryCount(this.db, eventId);
+            if (count.isError()) return count.getResponse(res);
+            const entry = await BallotDB.getEntry(this.db, eventId, req.user.id);
+            if (entry.isError()) return entry.getResponse(res);
+
+            res.json({ closes_at: event.ballot_closes_at, drawn_at: event.ballot_drawn_at, entries: count.getData(), entry: entry.getData() });
+        });
+
+        /**
+         * Enter the current user into an event's ballot.
+         */
+        this.app.post('/api/event/:id/ballot/enter', check(), async (req, res) => {
+            const eventId = parseInt(req.params.id, 10);
+            if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
+
+            const eventRes = await EventsDB.get_event_by_id(this.db, req.user.id, eventId);
+            if (eventRes.isError()) return eventRes.getResponse(res);
+
+            const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions']);
+            if (user.isError()) return user.getResponse(res);
+
+            const allowed = await EventRules.canEnterBallot(this.db, eventRes.getData(), user.getData());
+            if (allowed.isError()) return allowed.getResponse(res);
+
+            const status = await BallotDB.enter(this.db, eventId, req.user.id);
+            status.getResponse(res);
+        });
+
+        /**
+         * Withdraw the current user's ballot entry. Only possible before the ballot closes.
+         */
+        this.app.post('/api/event/:id/ballot/withdraw', check(), async (req, res) => {
+            const eventId = parseInt(req.params.id, 10);
+            if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
+
+            const event = await EventsDB.getEventById(this.db, eventId);
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+            if (!event.ballot_closes_at) return res.status(400).json({ message: 'This event does not use a ballot' });
+            if (event.ballot_drawn_at || new Date() >= new Date(event.ballot_closes_at)) {
+                return res.status(400).json({ message: 'The ballot has closed' });
+            }
+
+            const status = await BallotDB.withdraw(this.db, eventId, req.user.id);
+            status.getResponse(res);
+        });
+
+        /**
+         * Full ballot for an event, including each entry's weight, draw position and result, and the seed once drawn.
+         */
+        this.app.get('/api/admin/event/:id/ballot', check('perm:event.read.all | perm:event.manage.all | perm:event.read.scoped | perm:event.manage.scoped'), async (req, res) => {
+            const event = await EventsDB.getEventById(this.db, req.params.id);
+            if (!event) return res.status(404).json({ message: 'Event not found' });
+            if (!event.ballot_closes_at) return res.status(400).json({ message: 'This event does not use a ballot' });
+
+            const entries = await BallotDB.getEntries(this.db, event.id);
+            if (entries.isError()) return entries.getResponse(res);
+
+            res.json({ closes_at: event.ballot_closes_at, drawn_at: event.ballot_drawn_at, seed: event.ballot_seed, entries: entries.getData() });
+        });
+
+        /**
+         * Draw a closed ballot now rather than waiting for the scheduled draw. An optional seed makes the draw repeatable.
+         */
+        this.app.post('/api/admin/event/:id/ballot/draw', check('perm:event.write.all | perm:event.manage.all | perm:event.write.scoped | perm:event.manage.scoped'), async (req, res) => {
+            const eventId = parseInt(req.params.id, 10);
+            if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
+
+            if (!await Permissions.canManageEvent(this.db, req.user.id, eventId)) {
+                return res.status(403).json({ message: 'Not authorized for this event' });
+            }
+
+            const seed = req.body?.seed ? String(req.body.seed).trim() : undefined;
+            if (seed !== undefined && (seed.length === 0 || seed.length > 64)) {
+                return res.status(400).json({ message: 'Seed must be between 1 and 64 characters' });
+            }
+
+            const result = await BallotDraw.draw(this.db, eventId, seed);
+            if (!result.isError()) {
+                await AuditDB.log(this.db, req.user.id, 'event.ballot.draw', 'event', eventId, null, result.getData());
+            }
+            result.getResponse(res);
+        });
+    }
+}
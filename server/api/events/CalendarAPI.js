@@ -0,0 +1,102 @@
+/**
+ * CalendarAPI.js
+ *
+ * This file handles iCalendar (.ics) subscription feeds and personal feed tokens.
+ */
+
+import CalendarDB from '../../db/calendarDB.js';
+import TagsDB from '../../db/tagsDB.js';
+import ICal from '../../misc/ical.js';
+import Utils from '../../misc/utils.js';
+import check from '../../misc/authentication.js';
+
+export default class CalendarAPI {
+    /**
+     * @param {object} app - Express application instance.
+     * @param {object} db - Database connection instance.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Send a list of events as an iCalendar document.
+     */
+    static sendCalendar(req, res, events, name) {
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+        res.send(ICal.buildCalendar(events, { name, baseUrl: Utils.getBaseUrl(req) }));
+    }
+
+    /**
+     * Build the subscription URL for a personal feed token.
+     */
+    static getFeedUrl(req, token) {
+        return `${Utils.getBaseUrl(req)}/api/calendar/user/${token}.ics`;
+    }
+
+    /**
+     * Registers calendar feed routes.
+     */
+    registerRoutes() {
+        /**
+         * Public feed of all events visible to guests.
+         */
+        this.app.get('/api/calendar/events.ics', async (req, res) => {
+            const events = await CalendarDB.getPublicEvents(this.db);
+            if (events.isError()) return events.getResponse(res);
+
+            CalendarAPI.sendCalendar(req, res, events.getData(), 'DUCC Events');
+        });
+
+        /**
+         * Public feed of guest-visible events carrying a specific tag.
+         */
+        this.app.get('/api/calendar/tag/:id.ics', async (req, res) => {
+            const tagId = parseInt(req.params.id, 10);
+            if (Number.isNaN(tagId)) return res.status(400).json({ message: 'Tag ID must be an integer' });
+
+            const tag = await TagsDB.getTagById(this.db, tagId);
+            if (tag.isError()) return tag.getResponse(res);
+
+            const events = await CalendarDB.getPublicEvents(this.db, tagId);
+            if (events.isError()) return events.getResponse(res);
+
+            CalendarAPI.sendCalendar(req, res, events.getData(), `DUCC ${tag.getData().name}`);
+        });
+
+        /**
+         * Personal feed of events the token owner is attending or waitlisted on.
+         */
+        this.app.get('/api/calendar/user/:token.ics', async (req, res) => {
+            const userId = await CalendarDB.getUserIdByToken(this.db, req.params.token);
+            if (userId.isError()) return userId.getResponse(res);
+
+            const events = await CalendarDB.getUserEvents(this.db, userId.getData());
+            if (events.isError()) return events.getResponse(res);
+
+            CalendarAPI.sendCalendar(req, res, events.getData(), 'My DUCC Events');
+        });
+
+        /**
+         * Fetch the current user's personal feed URL.
+         */
+        this.app.get('/api/user/calendar', check(), async (req, res) => {
+            const token = await CalendarDB.getCalendarToken(this.db, req.user.id);
+            if (token.isError()) return token.getResponse(res);
+
+            res.json({ url: CalendarAPI.getFeedUrl(req, token.getData()) });
+        });
+
+        /**
+         * Regenerate the current user's personal feed URL, revoking the old one.
+         */
+        this.app.post('/api/user/calendar/reset', check(), async (req, res) => {
+            const token = await CalendarDB.resetCalendarToken(this.db, req.user.id);
+            if (token.isError()) return token.getResponse(res);
+
+            res.json({ url: CalendarAPI.getFeedUrl(req, token.getData()) });
+        });
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * CheckinAPI.js
+ *
+ * This file handles the on-the-day event register and the exec attendance report.
+ */
+
+import EventsDB from '../../db/eventsDB.js';
+import CheckinDB from '../../db/checkinDB.js';
+import AttendanceDB from '../../db/attendanceDB.js';
+import UserDB from '../../db/userDB.js';
+import EventRules from '../../rules/EventRules.js';
+import Utils from '../../misc/utils.js';
+import check from '../../misc/authentication.js';
+
+export default class CheckinAPI {
+    /**
+     * @param {object} app - Express app.
+     * @param {object} db - SQLite database.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Internal helper resolving the event and confirming the requester may take its register.
+     * Sends the error response itself and returns null on failure.
+     */
+    async _authorizeRegister(req, res) {
+        const eventId = parseInt(req.params.id, 10);
+        if (Number.isNaN(eventId)) {
+            res.status(400).json({ message: 'Event ID must be an integer' });
+            return null;
+        }
+
+        const event = await EventsDB.getEventById(this.db, eventId);
+        if (!event) {
+            res.status(404).json({ message: 'Event not found' });
+            return null;
+        }
+
+        const allowed = await EventRules.canTakeRegister(this.db, event, req.user);
+        if (allowed.isError()) {
+            allowed.getResponse(res);
+            return null;
+        }
+
+        return event;
+    }
+
+    /**
+     * Registers check-in and attendance reporting routes.
+     */
+    registerRoutes() {
+        /**
+         * Fetch the register for an event, including walk-ins and each person's no-show count.
+         */
+        this.app.get('/api/event/:id/register', check(), async (req, res) => {
+            const event = await this._authorizeRegister(req, res);
+            if (!event) return;
+
+            const register = await CheckinDB.getRegister(this.db, event.id);
+            if (register.isError()) return register.getResponse(res);
+
+            res.json({ register: register.getData(), allowWalkIns: !event.signup_required });
+        });
+
+        /**
+         * Search for users to add as walk-ins. Matches on names only and returns no contact details.
+         */
+        this.app.get('/api/event/:id/register/search', check(), async (req, res) => {
+            const event = await this._authorizeRegister(req, res);
+            if (!event) return;
+
+            const search = String(req.query.q || '').trim();
+            if (search.length < 2) return res.json({ users: [] });
+
+            const result = await UserDB.getUsers(this.db, { isScopedExec: true }, { page: 1, limit: 10, search, sort: 'last_name', order: 'asc' });
+            if (result.isError()) return result.getResponse(res);
+
+            res.json({ users: result.getData().users });
+        });
+
+        /**
+         * Mark a user present, late or absent. Users not signed up are recorded as walk-ins on open events.
+         */
+        this.app.post('/api/event/:id/register/:userId', check(), async (req, res) => {
+            const event = await this._authorizeRegister(req, res);
+            if (!event) return;
+
+            const userId = parseInt(req.params.userId, 10);
+            if (Number.isNaN(userId)) return res.status(400).json({ message: 'User ID must be an integer' });
+
+            const user = await UserDB.getElementsById(this.db, userId, ['id']);
+            if (user.isError()) return user.getResponse(res);
+
+            const isAttending = (await AttendanceDB.is_user_attending_event(this.db, userId, event.id)).getData();
+            const existing = (await CheckinDB.hasCheckin(this.db, event.id, userId)).getData();
+
+            let isWalkIn = false;
+            if (!isAttending) {
+                if (existing?.is_walk_in || !event.signup_required) {
+                    isWalkIn = true;
+                } else {
+                    return res.status(400).json({ message: 'User is not signed up for this event' });
+                }
+            }
+
+            const result = await CheckinDB.markAttendance(this.db, event.id, userId, req.body.status, req.user.id, isWalkIn);
+            result.getResponse(res);
+        });
+
+        /**
+         * Clear a user's check-in mark, removing walk-ins from the register entirely.
+         */
+        this.app.delete('/api/event/:id/register/:userId', check(), async (req, res) => {
+            const event = await this._authorizeRegister(req, res);
+            if (!event) return;
+
+            const userId = parseInt(req.params.userId, 10);
+            if (Number.isNaN(userId)) return res.status(400).json({ message: 'User ID must be an integer' });
+
+            const result = await CheckinDB.clearAttendance(this.db, event.id, userId);
+            result.getResponse(res);
+        });
+
+        /**
+         * Attendance versus signups for events in a date range, defaulting to the current academic year.
+         */
+        this.app.get('/api/admin/reports/attendance', check('perm:event.read.all | perm:event.manage.all'), async (req, res) => {
+            const start = new Date(req.query.start || Utils.getAcademicYearStart());
+            const end = req.query.end ? new Date(req.query.end) : new Date();
+            if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+                return res.status(400).json({ message: 'Invalid date range' });
+            }
+            end.setHours(23, 59, 59, 999);
+
+            const report = await CheckinDB.getAttendanceReport(this.db, start, end);
+            if (report.isError()) return report.getResponse(res);
+
+            res.json({ ...report.getData(), start, end });
+        });
+    }
+}
@@ -8,6 +8,7 @@ import EventsDB from '../../db/eventsDB.js';
 import UserDB from '../../db/userDB.js';
 import TagsDB from '../../db/tagsDB.js';
 import Globals from '../../misc/globals.js';
+import EventStream from '../../misc/EventStream.js';
 import check from '../../misc/authentication.js';
 import { Permissions } from '../../misc/permissions.js';
 import Logger from '../../misc/Logger.js';
@@ -139,6 +140,25 @@ export default class EventsAPI {
             res.json({ event: event.getData() });
         });
 
+        /**
+         * Stream live attendance, waitlist and cancellation updates for a comma-separated list of events.
+         * Events the user cannot see are left out.
+         */
+        this.app.get('/api/events/stream', async (req, res) => {
+            const ids = [...new Set(String(req.query.ids || '').split(',').map(id => parseInt(id, 10)).filter(id => !Number.isNaN(id)))];
+            if (ids.length === 0) return res.status(400).json({ message: 'At least one event ID is required' });
+            if (ids.length > EventStream.MAX_EVENTS) return res.status(400).json({ message: `At most ${EventStream.MAX_EVENTS} events can be streamed at once` });
+
+            const visible = [];
+            for (const id of ids) {
+                const event = await EventsDB.get_event_by_id(this.db, req.user ? req.user.id : null, id);
+                if (!event.isError()) visible.push(id);
+            }
+            if (visible.length === 0) return res.status(404).json({ message: 'Event not found' });
+
+            await EventStream.subscribe(this.db, req, res, visible);
+        });
+
         /**
          * Check if the current user is authorized to manage a specific event.
          */
@@ -8,8 +8,12 @@ import EventsDB from '../../db/eventsDB.js';
 import WaitlistDB from '../../db/waitlistDB.js';
 import AttendanceDB from '../../db/attendanceDB.js';
 import UserDB from '../../db/userDB.js';
+import EventRules from '../../rules/EventRules.js';
+import WaitlistOffers from '../../misc/WaitlistOffers.js';
+import EventStream from '../../misc/EventStream.js';
 import check from '../../misc/authentication.js';
 import { Permissions } from '../../misc/permissions.js';
+import Logger from '../../misc/Logger.js';
 
 export default class WaitlistAPI {
     /**
@@ -49,11 +53,16 @@ export default class WaitlistAPI {
             const event = eventRes.getData();
 
             if (!event.enable_waitlist) return res.status(400).json({ message: 'Waitlist is disabled for this event' });
+            if (event.ballot_closes_at && !event.ballot_drawn_at) return res.status(403).json({ message: 'Places are allocated by ballot' });
 
-            const user = await UserDB.getElementsById(this.db, req.user.id, ['filled_legal_info']);
+            const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'email_verified_at', 'filled_legal_info', 'is_member']);
             if (user.isError()) return user.getResponse(res);
+            if (!user.getData().email_verified_at) return res.status(403).json({ message: 'Email not verified' });
             if (!user.getData().filled_legal_info) return res.status(403).json({ message: 'Legal info incomplete' });
 
+            const opensAt = await EventRules.getSignupOpensAt(this.db, event, user.getData());
+            if (opensAt && new Date() < opensAt) return res.status(403).json({ message: 'Signups have not opened yet' });
+
             const isAttending = await AttendanceDB.is_user_attending_event(this.db, req.user.id, eventId);
             if (isAttending.getData()) return res.status(400).json({ message: 'Already attending' });
 
@@ -61,23 +70,100 @@ export default class WaitlistAPI {
             if (maxAttendance !== null && maxAttendance > 0) {
                 const currentAttendance = await AttendanceDB.get_event_attendance_count(this.db, eventId);
                 if (currentAttendance.isError()) return currentAttendance.getResponse(res);
-                if (currentAttendance.getData() < maxAttendance) {
+                const heldSpots = await WaitlistDB.get_active_offer_count(this.db, eventId);
+                if (heldSpots.isError()) return heldSpots.getResponse(res);
+                if (currentAttendance.getData() + heldSpots.getData() < maxAttendance) {
                     return res.status(400).json({ message: 'Event is not full; cannot join waitlist' });
                 }
             }
 
             const status = await WaitlistDB.join_waiting_list(this.db, req.user.id, eventId);
+            if (!status.isError()) await EventStream.publishEventState(this.db, eventId);
             return status.getResponse(res);
         });
 
         /**
-         * Remove the current user from the waiting list.
+         * Remove the current user from the waiting list, passing on any spot they were offered.
          */
         this.app.post('/api/event/:id/waitlist/leave', check(), async (req, res) => {
             const eventId = parseInt(req.params.id, 10);
             if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
 
+            const declined = await WaitlistDB.resolve_offer(this.db, eventId, req.user.id, 'declined');
             const status = await WaitlistDB.leave_waiting_list(this.db, req.user.id, eventId);
+            if (!declined.isError()) await WaitlistOffers.offerFreedSpots(this.db, eventId);
+            await EventStream.publishEventState(this.db, eventId);
+
+            return status.getResponse(res);
+        });
+
+        /**
+         * Accept an outstanding waitlist offer, joining the event on the held spot.
+         */
+        this.app.post('/api/event/:id/waitlist/accept', check(), async (req, res) => {
+            const eventId = parseInt(req.params.id, 10);
+            if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
+
+            const offer = await WaitlistDB.get_active_offer(this.db, eventId, req.user.id);
+            if (offer.isError()) return offer.getResponse(res);
+            if (!offer.getData()) return res.status(404).json({ message: 'No active offer for this event' });
+
+            try {
+                await this.db.run('BEGIN IMMEDIATE');
+
+                const eventRes = await EventsDB.get_event_by_id(this.db, req.user.id, eventId);
+                if (eventRes.isError()) {
+                    await this.db.run('ROLLBACK');
+                    return eventRes.getResponse(res);
+                }
+                const event = eventRes.getData();
+
+                const user = await UserDB.getElementsById(this.db, req.user.id, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level']);
+                if (user.isError()) {
+                    await this.db.run('ROLLBACK');
+                    return user.getResponse(res);
+                }
+
+                const canJoin = await EventRules.canJoinEvent(this.db, event, user.getData());
+                if (canJoin.isError()) {
+                    await this.db.run('ROLLBACK');
+                    return canJoin.getResponse(res);
+                }
+
+                const status = await AttendanceDB.process_signup(this.db, event, user.getData());
+                if (status.isError()) {
+                    await this.db.run('ROLLBACK');
+                    return status.getResponse(res);
+                }
+
+                await this.db.run('COMMIT');
+                await EventStream.publishEventState(this.db, eventId);
+                return status.getResponse(res);
+            } catch (error) {
+                await this.db.run('ROLLBACK');
+                Logger.error(error);
+                res.status(500).json({ message: 'Internal server error' });
+            }
+        });
+
+        /**
+         * Decline an outstanding waitlist offer. The user leaves the waitlist and the spot moves to the next person.
+         */
+        this.app.post('/api/event/:id/waitlist/decline', check(), async (req, res) => {
+            const eventId = parseInt(req.params.id, 10);
+            if (Number.isNaN(eventId)) return res.status(400).json({ message: 'Event ID must be an integer' });
+
+            const offer = await WaitlistDB.get_active_offer(this.db, eventId, req.user.id);
+            if (offer.isError()) return offer.getResponse(res);
+            if (!offer.getData()) return res.status(404).json({ message: 'No active offer for this event' });
+
+            const status = await WaitlistDB.resolve_offer(this.db, eventId, req.user.id, 'declined');
+            if (status.isError()) return status.getResponse(res);
+
+            await WaitlistDB.remove_user_from_waiting_list(this.db, eventId, req.user.id);
+            await WaitlistOffers.offerFreedSpots(this.db, eventId);
+            await EventStream.publishEventState(this.db, eventId);
+
             return status.getResponse(res);
         });
 
@@ -115,6 +201,11 @@ export default class WaitlistAPI {
                     if (!position.isError()) {
                         result.position = position.getData();
                     }
+
+                    const offer = await WaitlistDB.get_active_offer(this.db, eventId, req.user.id);
+                    if (!offer.isError() && offer.getData()) {
+                        result.offer = { expires_at: offer.getData().expires_at };
+                    }
                 }
             }
 
@@ -0,0 +1,83 @@
+/**
+ * NotificationsAPI.js
+ *
+ * This file handles the current user's notification inbox and notification preferences.
+ */
+
+import NotificationsDB from '../../db/notificationsDB.js';
+import check from '../../misc/authentication.js';
+
+export default class NotificationsAPI {
+    /**
+     * @param {object} app - Express application.
+     * @param {object} db - Database connection.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all notification routes.
+     */
+    registerRoutes() {
+        /**
+         * Fetch a page of the current user's notifications.
+         */
+        this.app.get('/api/user/notifications', check(), async (req, res) => {
+            const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+            const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+            const unreadOnly = req.query.unreadOnly === 'true';
+
+            const status = await NotificationsDB.getForUser(this.db, req.user.id, { page, limit, unreadOnly });
+            if (status.isError()) return status.getResponse(res);
+            res.json(status.getData());
+        });
+
+        /**
+         * Fetch the current user's unread notification count.
+         */
+        this.app.get('/api/user/notifications/unread-count', check(), async (req, res) => {
+            const status = await NotificationsDB.getUnreadCount(this.db, req.user.id);
+            if (status.isError()) return status.getResponse(res);
+            res.json({ unread: status.getData() });
+        });
+
+        /**
+         * Fetch which notification categories the current user receives.
+         */
+        this.app.get('/api/user/notifications/preferences', check(), async (req, res) => {
+            const status = await NotificationsDB.getPreferences(this.db, req.user.id);
+            if (status.isError()) return status.getResponse(res);
+            res.json(status.getData());
+        });
+
+        /**
+         * Switch notification categories on or off for the current user.
+         */
+        this.app.put('/api/user/notifications/preferences', check(), async (req, res) => {
+            const status = await NotificationsDB.setPreferences(this.db, req.user.id, req.body);
+            if (status.isError()) return status.getResponse(res);
+            res.json(status.getData());
+        });
+
+        /**
+         * Mark all of the current user's notifications as read.
+         */
+        this.app.post('/api/user/notifications/read-all', check(), async (req, res) => {
+            const status = await NotificationsDB.markAllRead(this.db, req.user.id);
+            return status.getResponse(res);
+        });
+
+        /**
+         * Mark one of the current user's notifications as read.
+         */
+        this.app.post('/api/user/notifications/:id/read', check(), async (req, res) => {
+            const id = parseInt(req.params.id, 10);
+            if (isNaN(id)) return res.status(400).json({ message: 'Invalid notification ID' });
+
+            const status = await NotificationsDB.markRead(this.db, req.user.id, id);
+            return status.getResponse(res);
+        });
+    }
+}
@@ -0,0 +1,53 @@
+/**
+ * SessionsAPI.js
+ *
+ * This file handles listing the current user's signed-in sessions and signing them out remotely.
+ */
+
+import Sessions from '../../misc/Sessions.js';
+import check from '../../misc/authentication.js';
+
+export default class SessionsAPI {
+    /**
+     * @param {object} app - Express application.
+     * @param {object} db - Database connection.
+     */
+    constructor(app, db) {
+        this.app = app;
+        this.db = db;
+    }
+
+    /**
+     * Registers all session routes.
+     */
+    registerRoutes() {
+        /**
+         * List the current user's active sessions, flagging the one making the request.
+         */
+        this.app.get('/api/user/sessions', check(), async (req, res) => {
+            const status = await Sessions.list(this.db, req.user.id, req.sessionID);
+            if (status.isError()) return status.getResponse(res);
+            res.json(status.getData());
+        });
+
+        /**
+         * Sign out every session except the one making the request.
+         */
+        this.app.post('/api/user/sessions/revoke-others', check(), async (req, res) => {
+            const status = await Sessions.revokeAll(this.db, req.sessionStore, req.user.id, req.sessionID);
+            if (status.isError()) return status.getResponse(res);
+            res.json(status.getData());
+        });
+
+        /**
+         * Sign out one of the current user's sessions.
+         */
+        this.app.delete('/api/user/sessions/:id', check(), async (req, res) => {
+            const sessionId = parseInt(req.params.id, 10);
+            if (isNaN(sessionId)) return res.status(400).json({ message: 'Invalid session ID' });
+
+            const status = await Sessions.revoke(this.db, req.sessionStore, req.user.id, sessionId);
+            status.getResponse(res);
+        });
+    }
+}
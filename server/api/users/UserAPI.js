@@ -16,6 +16,10 @@ import check from '../../misc/authentication.js';
 import bcrypt from 'bcrypt';
 import ValidationRules from '../../rules/ValidationRules.js';
 import Logger from '../../misc/Logger.js';
+import DataExport from '../../misc/DataExport.js';
+import BankImport from '../../misc/BankImport.js';
+import EmailVerification from '../../misc/EmailVerification.js';
+import Utils from '../../misc/utils.js';
 
 export default class User {
     /**
@@ -51,8 +55,8 @@ export default class User {
                 "takes_medication", "medication_details", "free_sessions", "is_member",
                 "agrees_to_fitness_statement", "agrees_to_club_rules", "agrees_to_pay_debts",
                 "agrees_to_data_storage", "agrees_to_keep_health_data", "filled_legal_info", "legal_filled_at",
-                "is_instructor", "first_aid_expiry", "profile_picture_path", "profile_picture_id",
-                "created_at", "swims", "swimmer_rank", "permissions", "roles"
+                "email_verified_at", "is_instructor", "first_aid_expiry", "profile_picture_path", "profile_picture_id",
+                "created_at", "swims", "swimmer_rank", "permissions", "roles", "payment_reference"
             ];
             const accessibleTransactionsDB = ['balance', 'transactions'];
             return [accessibleUserDB.includes(element), accessibleTransactionsDB.includes(element)];
@@ -75,7 +79,7 @@ export default class User {
             const needsRank = userElements.includes('swimmer_rank');
             const needsPerms = userElements.includes('permissions');
             const needsRoles = userElements.includes('roles');
-            const cleanElements = userElements.filter(e => !['swimmer_rank', 'permissions', 'roles'].includes(e));
+            const cleanElements = userElements.filter(e => !['swimmer_rank', 'permissions', 'roles', 'payment_reference'].includes(e));
 
             let userResult;
             if (cleanElements.length > 0) {
@@ -99,6 +103,10 @@ export default class User {
                 userResultData.swimmer_rank = allTimeData.rank;
             }
 
+            if (userElements.includes('payment_reference')) {
+                userResultData.payment_reference = BankImport.referenceFor(req.user.id);
+            }
+
             if (needsPerms || needsRoles) {
                 if (needsRoles) {
                     const rolesRes = await RolesDB.getUserRoles(db, req.user.id);
@@ -125,7 +133,7 @@ export default class User {
     }
 
     /**
-     * Validate and write profile updates.
+     * Validate and write profile updates. A new email address must be verified again.
      */
     static async writeNormalElements(req, db, inputData) {
         const ALLOWED_FIELDS = [
@@ -245,8 +253,18 @@ export default class User {
 
         if (data.email) data.email = data.email.replace(/\s/g, '').toLowerCase();
 
+        let emailChanged = false;
+        if (data.email) {
+            const current = await UserDB.getElements(db, req.user.id, 'email');
+            if (current.isError()) return current;
+            emailChanged = current.getData().email !== data.email;
+            if (emailChanged) data.email_verified_at = null;
+        }
+
         const writeStatus = await UserDB.writeElements(db, req.user.id, data);
         if (writeStatus.isError()) return writeStatus;
+
+        if (emailChanged) await EmailVerification.send(db, req.user.id, Utils.getBaseUrl(req));
         return new statusObject(200);
     }
 
@@ -300,19 +318,27 @@ export default class User {
             res.json({ success: true });
         });
 
+        /**
+         * Download everything the club holds about the current user as a JSON and CSV archive.
+         */
+        this.app.get('/api/user/export', check(), async (req, res) => {
+            await DataExport.send(this.db, req.user.id, res);
+        });
+
         /**
          * Process membership joining.
          */
         this.app.post('/api/user/join', check(), async (req, res) => {
             try {
-                const status = await UserDB.getElements(this.db, req.user.id, 'is_member');
+                const status = await UserDB.getElements(this.db, req.user.id, ['is_member', 'email_verified_at']);
                 if (status.isError()) return status.getResponse(res);
                 if (status.getData().is_member) return res.status(400).json({ message: 'Already a member.' });
+                if (!status.getData().email_verified_at) return res.status(403).json({ message: 'Please verify your email address before joining.' });
 
                 const globals = new Globals();
                 const cost = globals.getFloat('MembershipCost') || 50;
 
-                const tx = await transactionsDB.add_transaction(this.db, User.getID(req), -cost, 'Membership Fee');
+                const tx = await transactionsDB.add_transaction(this.db, User.getID(req), -cost, 'Membership Fee', null, { category: 'membership' });
                 if (typeof tx === 'number' && tx >= 400) return res.status(tx).json({ message: 'Transaction failed' });
 
                 const update = await UserDB.setMembershipStatus(this.db, req.user.id, true);
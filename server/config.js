@@ -11,6 +11,8 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
+const NODE_ENV = process.env.NODE_ENV;
+const DOMAIN_NAME = process.env.DOMAIN_NAME;
 
 const config = {
     paths: {
@@ -19,10 +21,43 @@ const config = {
         files: path.join(PROJECT_ROOT, './data/files'),
         db: process.env.DATABASE_PATH || path.join(PROJECT_ROOT, './data/database.db'),
         globals: path.join(PROJECT_ROOT, './data/globals.json'),
+        backups: process.env.BACKUP_PATH || path.join(PROJECT_ROOT, './data/backups'),
     },
     session: {
         cookieName: 'ducc_sid',
         secret: process.env.SESSION_SECRET || 'dev-secret-key-change-me-in-prod',
+        // How long a session lasts without being used, in milliseconds
+        maxAge: 1000 * 60 * 60 * 24,
+    },
+    encryption: {
+        // 32-byte key for medical and emergency contact fields. Development and tests use a fixed key.
+        key: process.env.FIELD_ENCRYPTION_KEY || (NODE_ENV === 'prod' || NODE_ENV === 'production' ? undefined : '6475636320646576656c6f706d656e74206b6579206e6f742073656372657421'),
+        // Keys that older values may still be encrypted with, comma separated, kept until `db:rotate-key` has run.
+        previousKeys: (process.env.FIELD_ENCRYPTION_PREVIOUS_KEYS || '').split(',').map(k => k.trim()).filter(Boolean),
+    },
+    mail: {
+        // 'smtp', 'file' (JSON outbox directory) or 'noop'
+        transport: process.env.MAIL_TRANSPORT || (NODE_ENV === 'prod' ? 'smtp' : NODE_ENV === 'test' ? 'noop' : 'file'),
+        from: process.env.MAIL_FROM || 'DUCC <noreply@localhost>',
+        baseUrl: process.env.BASE_URL || (DOMAIN_NAME && DOMAIN_NAME !== 'localhost' ? `https://${DOMAIN_NAME}` : `http://localhost:${process.env.PORT || 3000}`),
+        outbox: path.join(PROJECT_ROOT, './data/mail'),
+        smtp: {
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS,
+        }
+    },
+    payments: {
+        // 'stripe', 'fake' (local checkout page, for development and tests) or 'none'
+        provider: process.env.PAYMENT_PROVIDER || (NODE_ENV === 'prod' || NODE_ENV === 'production' ? 'none' : 'fake'),
+        currency: 'gbp',
+        // Shared secret webhooks are signed with. Development and tests use a fixed secret.
+        webhookSecret: process.env.PAYMENT_WEBHOOK_SECRET || (NODE_ENV === 'prod' || NODE_ENV === 'production' ? undefined : 'dev-payment-webhook-secret'),
+        stripe: {
+            secretKey: process.env.STRIPE_SECRET_KEY,
+        }
     }
 };
 
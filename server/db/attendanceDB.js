@@ -8,6 +8,8 @@ import { statusObject } from '../misc/status.js';
 import TransactionsDB from './transactionDB.js';
 import UserDB from './userDB.js';
 import EventsDB from './eventsDB.js';
+import WaitlistDB from './waitlistDB.js';
+import FieldEncryption from '../misc/FieldEncryption.js';
 
 export default class AttendanceDB {
     /**
@@ -38,6 +40,48 @@ export default class AttendanceDB {
         return new statusObject(200, 'Joined successfully');
     }
 
+    /**
+     * Sign a user up for an event once eligibility has been checked: spends a free session for non-members,
+     * charges any upfront cost, and closes out a waitlist offer if the user was holding one.
+     * Callers are expected to wrap this in a transaction.
+     */
+    static async process_signup(db, event, user) {
+        if (user.is_instructor && event.is_canceled) {
+            await EventsDB.setEventCancellation(db, event.id, false);
+        }
+
+        if (!user.is_member) {
+            const updateStatus = await UserDB.writeElementsById(db, user.id, { free_sessions: user.free_sessions - 1 });
+            if (updateStatus.isError()) return updateStatus;
+        }
+
+        let transactionId = null;
+        if (event.upfront_cost > 0) {
+            const transactionStatus = await TransactionsDB.add_transaction(db, user.id, -event.upfront_cost, `${event.title} upfront cost`, event.id, { category: 'event' });
+            if (transactionStatus.isError()) return transactionStatus;
+            transactionId = transactionStatus.getData();
+
+            if (event.upfront_refund_cutoff && (new Date() > new Date(event.upfront_refund_cutoff))) {
+                const refundIdRes = await this.get_event_refund_id(db, user.id, event.id);
+                if (!refundIdRes.isError()) {
+                    const refundData = refundIdRes.getData();
+                    if (refundData.user_id) await this.refundEvent(db, event.id, refundData.user_id);
+                    else await TransactionsDB._reverse_transaction_internal(db, refundData.payment_transaction_id, 'Rejoined after the refund cutoff, so the earlier payment is replaced');
+                }
+            }
+        }
+
+        const status = await this.attend_event(db, user.id, event.id, transactionId);
+        if (status.isError()) return status;
+
+        if ((await WaitlistDB.is_user_on_waiting_list(db, user.id, event.id)).getData()) {
+            await WaitlistDB.resolve_offer(db, event.id, user.id, 'accepted');
+            await WaitlistDB.remove_user_from_waiting_list(db, event.id, user.id);
+        }
+
+        return status;
+    }
+
     /**
      * Mark a user as no longer attending an event.
      */
@@ -130,6 +174,27 @@ export default class AttendanceDB {
         return new statusObject(200, null, events);
     }
 
+    /**
+     * Fetch the emergency contacts and declared medical information of everyone currently attending an event.
+     */
+    static async get_emergency_info(db, eventId) {
+        try {
+            const rows = await db.all(
+                `SELECT u.id, u.first_name, u.last_name, u.date_of_birth, u.phone_number,
+                        u.emergency_contact_name, u.emergency_contact_phone,
+                        u.has_medical_conditions, u.medical_conditions_details, u.takes_medication, u.medication_details,
+                        u.filled_legal_info, u.is_instructor, u.first_aid_expiry
+                 FROM users u
+                 JOIN event_attendees ea ON u.id = ea.user_id
+                 WHERE ea.event_id = ? AND ea.is_attending = 1
+                 ORDER BY u.last_name COLLATE NOCASE, u.first_name COLLATE NOCASE`, [eventId]
+            );
+            return new statusObject(200, null, rows.map(row => FieldEncryption.decryptRow(row)));
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
+
     /**
      * Get the total count of active attendees for an event.
      */
@@ -167,7 +232,7 @@ export default class AttendanceDB {
         if (eventRes.isError()) return eventRes;
         const event = eventRes.getData();
 
-        TransactionsDB.add_transaction(db, user_id, event.upfront_cost, `Refund for ${event.title}`);
+        await TransactionsDB.add_transaction(db, user_id, event.upfront_cost, `Refund for ${event.title}`, null, { category: 'refund' });
 
         await db.run(
             `UPDATE event_attendees SET payment_transaction_id = NULL 
@@ -0,0 +1,162 @@
+/**
+ * auditDB.js
+ *
+ * This module records administrative actions (who did what to which record, with a before/after diff)
+ * and provides the searchable history shown in the admin panel.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class AuditDB {
+    static TARGET_TYPES = ['user', 'event', 'transaction', 'tag', 'role', 'global', 'file', 'file_category', 'backup', 'bank_import', 'transaction_batch'];
+
+    /**
+     * Fields whose values are never written to the log. A change is still recorded, with the value hidden.
+     */
+    static REDACTED_FIELDS = ['password', 'hashed_password', 'medical_conditions_details', 'medication_details', 'home_address', 'emergency_contact_name', 'emergency_contact_phone'];
+
+    /**
+     * Reduce a before/after pair to the fields that actually changed.
+     * When only one side is given (creation or deletion) it is kept whole.
+     * @returns {{before: object|null, after: object|null}}
+     */
+    static diff(before, after) {
+        if (!before || !after || typeof before !== 'object' || typeof after !== 'object') {
+            return { before: before ?? null, after: after ?? null };
+        }
+
+        const changedBefore = {};
+        const changedAfter = {};
+        for (const key of Object.keys(after)) {
+            if (JSON.stringify(before[key]) === JSON.stringify(after[key])) continue;
+            changedBefore[key] = before[key] ?? null;
+            changedAfter[key] = after[key] ?? null;
+        }
+        return { before: changedBefore, after: changedAfter };
+    }
+
+    /**
+     * Internal helper hiding redacted fields and serialising a snapshot for storage.
+     */
+    static _serialise(snapshot) {
+        if (snapshot === null || snapshot === undefined) return null;
+        if (typeof snapshot !== 'object') return JSON.stringify(snapshot);
+
+        const copy = { ...snapshot };
+        for (const field of this.REDACTED_FIELDS) {
+            if (field in copy) copy[field] = '[redacted]';
+        }
+        return JSON.stringify(copy);
+    }
+
+    /**
+     * Record an administrative action. Failures are logged but never interrupt the action itself.
+     *
+     * @param {object} db
+     * @param {number|null} actorId - The user who performed the action.
+     * @param {string} action - Dotted action name, e.g. 'transaction.create'.
+     * @param {string} targetType - One of TARGET_TYPES.
+     * @param {number|string|null} targetId - ID (or key, for globals) of the affected record.
+     * @param {object|null} [before] - State before the change.
+     * @param {object|null} [after] - State after the change.
+     */
+    static async log(db, actorId, action, targetType, targetId, before = null, after = null) {
+        try {
+            const changes = this.diff(before, after);
+            await db.run(
+                `INSERT INTO audit_log (actor_id, action, target_type, target_id, before_data, after_data, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [actorId ?? null, action, targetType, targetId === null || targetId === undefined ? null : String(targetId),
+                    this._serialise(changes.before), this._serialise(changes.after), new Date().toISOString()]
+            );
+        } catch (error) {
+            Logger.error(`[Audit] Failed to record ${action}:`, error);
+        }
+    }
+
+    /**
+     * Fetch a page of audit entries, newest first, with optional search and filters.
+     */
+    static async getEntries(db, options) {
+        const { page, limit, search, action, targetType, targetId, actorId, from, to } = options;
+        const offset = (page - 1) * limit;
+
+        const conditions = [];
+        const params = [];
+
+        if (search) {
+            for (const term of search.trim().split(/\s+/)) {
+                const pattern = `%${term}%`;
+                conditions.push(`(u.first_name LIKE ? OR u.last_name LIKE ? OR a.action LIKE ? OR a.target_id LIKE ? OR a.before_data LIKE ? OR a.after_data LIKE ?)`);
+                params.push(pattern, pattern, pattern, pattern, pattern, pattern);
+            }
+        }
+        if (action) {
+            conditions.push('a.action = ?');
+            params.push(action);
+        }
+        if (targetType) {
+            conditions.push('a.target_type = ?');
+            params.push(targetType);
+        }
+        if (targetId !== undefined && targetId !== '') {
+            conditions.push('a.target_id = ?');
+            params.push(String(targetId));
+        }
+        if (actorId !== undefined && actorId !== '') {
+            conditions.push('a.actor_id = ?');
+            params.push(parseInt(actorId));
+        }
+        if (from) {
+            conditions.push('a.created_at >= ?');
+            params.push(new Date(from).toISOString());
+        }
+        if (to) {
+            const end = new Date(to);
+            end.setHours(23, 59, 59, 999);
+            conditions.push('a.created_at <= ?');
+            params.push(end.toISOString());
+        }
+
+        const whereClause = conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+
+        try {
+            const rows = await db.all(
+                `SELECT a.id, a.actor_id, u.first_name AS actor_first_name, u.last_name AS actor_last_name,
+                        a.action, a.target_type, a.target_id, a.before_data, a.after_data, a.created_at
+                 FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id
+                 ${whereClause}
+                 ORDER BY a.created_at DESC, a.id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            const entries = rows.map(({ before_data, after_data, ...row }) => ({
+                ...row,
+                before: before_data ? JSON.parse(before_data) : null,
+                after: after_data ? JSON.parse(after_data) : null
+            }));
+
+            const count = await db.get(`SELECT COUNT(*) AS count FROM audit_log a LEFT JOIN users u ON u.id = a.actor_id ${whereClause}`, params);
+            const totalPages = Math.ceil((count ? count.count : 0) / limit);
+
+            return new statusObject(200, null, { entries, totalPages, currentPage: page });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * List the distinct action names recorded so far, for filtering.
+     */
+    static async getActions(db) {
+        try {
+            const rows = await db.all('SELECT DISTINCT action FROM audit_log ORDER BY action ASC');
+            return new statusObject(200, null, rows.map(r => r.action));
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
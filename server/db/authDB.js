@@ -49,6 +49,8 @@ export default class AuthDB {
                     hashed_password = ?, 
                     first_name = ?, 
                     last_name = ?,
+                    deleted_at = NULL,
+                    email_verified_at = NULL,
                     created_at = CURRENT_TIMESTAMP 
                 WHERE id = ?`, 
                 [email, hashedPassword, first_name, last_name, id]
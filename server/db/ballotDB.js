@@ -0,0 +1,146 @@
+/**
+ * ballotDB.js
+ *
+ * This module manages ballot entries for events whose places are allocated by a draw
+ * rather than first-come-first-served.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class BallotDB {
+    /**
+     * Enter a user into an event's ballot.
+     */
+    static async enter(db, eventId, userId) {
+        try {
+            const existing = await db.get('SELECT 1 FROM event_ballot_entries WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+            if (existing) return new statusObject(409, 'Already entered');
+
+            await db.run('INSERT INTO event_ballot_entries (event_id, user_id) VALUES (?, ?)', [eventId, userId]);
+            return new statusObject(200, 'Entered ballot');
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Withdraw a user's ballot entry.
+     */
+    static async withdraw(db, eventId, userId) {
+        try {
+            const result = await db.run('DELETE FROM event_ballot_entries WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+            if (result.changes === 0) return new statusObject(404, 'Not entered');
+            return new statusObject(200, 'Withdrawn from ballot');
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a user's entry for an event's ballot.
+     * @returns {Promise<statusObject>} - Data is the entry or null.
+     */
+    static async getEntry(db, eventId, userId) {
+        try {
+            const entry = await db.get(
+                'SELECT entered_at, draw_position, result FROM event_ballot_entries WHERE event_id = ? AND user_id = ?',
+                [eventId, userId]
+            );
+            return new statusObject(200, null, entry || null);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Count the entries in an event's ballot.
+     */
+    static async getEntryCount(db, eventId) {
+        try {
+            const row = await db.get('SELECT COUNT(*) AS count FROM event_ballot_entries WHERE event_id = ?', [eventId]);
+            return new statusObject(200, null, row.count);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch every entry in an event's ballot, in draw order once drawn and entry order before.
+     */
+    static async getEntries(db, eventId) {
+        try {
+            const entries = await db.all(
+                `SELECT b.user_id, u.first_name, u.last_name, u.is_member, u.is_instructor,
+                        b.entered_at, b.weight, b.draw_position, b.result
+                 FROM event_ballot_entries b JOIN users u ON u.id = b.user_id
+                 WHERE b.event_id = ?
+                 ORDER BY b.draw_position IS NULL, b.draw_position ASC, b.entered_at ASC, b.id ASC`,
+                [eventId]
+            );
+            return new statusObject(200, null, entries);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Determine whether a user missed out in the most recent other ballot they entered,
+     * i.e. they were waitlisted and never got a place.
+     */
+    static async missedLastBallot(db, userId, excludeEventId) {
+        try {
+            const last = await db.get(
+                `SELECT b.result, EXISTS (
+                     SELECT 1 FROM event_attendees ea WHERE ea.event_id = b.event_id AND ea.user_id = b.user_id AND ea.is_attending = 1
+                 ) AS attending
+                 FROM event_ballot_entries b JOIN events e ON e.id = b.event_id
+                 WHERE b.user_id = ? AND b.event_id != ? AND e.ballot_drawn_at IS NOT NULL
+                 ORDER BY e.ballot_drawn_at DESC LIMIT 1`,
+                [userId, excludeEventId]
+            );
+            return new statusObject(200, null, !!last && last.result === 'waitlisted' && !last.attending);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record the weight, position and outcome of one entry in a draw.
+     */
+    static async recordResult(db, eventId, userId, { weight, position, result }) {
+        await db.run(
+            'UPDATE event_ballot_entries SET weight = ?, draw_position = ?, result = ? WHERE event_id = ? AND user_id = ?',
+            [weight, position, result, eventId, userId]
+        );
+    }
+
+    /**
+     * Mark an event's ballot as drawn with the seed used.
+     */
+    static async markDrawn(db, eventId, seed) {
+        await db.run('UPDATE events SET ballot_drawn_at = ?, ballot_seed = ? WHERE id = ?', [new Date().toISOString(), seed, eventId]);
+    }
+
+    /**
+     * Fetch the IDs of events whose ballots have closed but not yet been drawn.
+     */
+    static async getDueBallots(db) {
+        try {
+            const rows = await db.all(
+                'SELECT id FROM events WHERE ballot_closes_at IS NOT NULL AND ballot_closes_at <= ? AND ballot_drawn_at IS NULL AND is_canceled = 0',
+                [new Date().toISOString()]
+            );
+            return new statusObject(200, null, rows.map(r => r.id));
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * bankImportDB.js
+ *
+ * This module stores imported bank statements and the money-in rows awaiting reconciliation against members.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class BankImportDB {
+    /**
+     * Row statuses still waiting for the treasurer.
+     */
+    static PENDING_STATUSES = ['matched', 'ambiguous', 'unmatched'];
+
+    /**
+     * Find an earlier import of the same file.
+     * @returns {Promise<object|undefined>}
+     */
+    static async getImportByHash(db, fileHash) {
+        return await db.get('SELECT id, filename, created_at FROM bank_imports WHERE file_hash = ?', [fileHash]);
+    }
+
+    /**
+     * The column mapping used by the most recent import, so the next statement from the same bank maps itself.
+     * @returns {Promise<object|null>}
+     */
+    static async getLastMapping(db) {
+        const row = await db.get('SELECT mapping FROM bank_imports ORDER BY id DESC LIMIT 1');
+        return row ? JSON.parse(row.mapping) : null;
+    }
+
+    /**
+     * Record an imported statement.
+     * @returns {Promise<number>} - The import's ID.
+     */
+    static async createImport(db, filename, fileHash, mapping, importedBy, now = new Date()) {
+        const result = await db.run(
+            'INSERT INTO bank_imports (filename, file_hash, mapping, imported_by, created_at) VALUES (?, ?, ?, ?, ?)',
+            [filename, fileHash, JSON.stringify(mapping), importedBy, now.toISOString()]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Add a statement row, unless a row with the same fingerprint was imported before.
+     * @param {object} row - `row_number`, `date`, `amount`, `payee`, `reference`, `fingerprint` and the match
+     *                       (`status`, `match_reason`, `user_id`, `candidate_ids`).
+     * @returns {Promise<boolean>} - Whether the row was added.
+     */
+    static async addRow(db, importId, row) {
+        const result = await db.run(
+            `INSERT OR IGNORE INTO bank_import_rows
+                (import_id, row_number, date, amount, payee, reference, fingerprint, status, match_reason, user_id, candidate_ids)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [importId, row.row_number, row.date, row.amount, row.payee, row.reference, row.fingerprint,
+                row.status, row.match_reason, row.user_id, row.candidate_ids.length > 0 ? JSON.stringify(row.candidate_ids) : null]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Members that statement rows can be matched to: everyone whose account has not been deleted.
+     * @returns {Promise<Array<{id: number, first_name: string, last_name: string}>>}
+     */
+    static async getMatchableUsers(db) {
+        return await db.all('SELECT id, first_name, last_name FROM users WHERE deleted_at IS NULL');
+    }
+
+    /**
+     * List imported statements, newest first, with how many of their rows are in each state.
+     */
+    static async listImports(db) {
+        try {
+            const imports = await db.all(
+                `SELECT i.id, i.filename, i.created_at, i.imported_by,
+                        u.first_name AS imported_by_first_name, u.last_name AS imported_by_last_name,
+                        COUNT(r.id) AS total,
+                        COALESCE(SUM(r.status IN ('matched', 'ambiguous', 'unmatched')), 0) AS pending,
+                        COALESCE(SUM(r.status = 'confirmed'), 0) AS confirmed,
+                        COALESCE(SUM(r.status = 'ignored'), 0) AS ignored
+                 FROM bank_imports i
+                 LEFT JOIN users u ON u.id = i.imported_by
+                 LEFT JOIN bank_import_rows r ON r.import_id = i.id
+                 GROUP BY i.id ORDER BY i.created_at DESC, i.id DESC`
+            );
+            return new statusObject(200, null, imports);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch an imported statement with its rows and the members each row could belong to.
+     */
+    static async getImport(db, importId) {
+        try {
+            const statement = await db.get('SELECT id, filename, mapping, imported_by, created_at FROM bank_imports WHERE id = ?', [importId]);
+            if (!statement) return new statusObject(404, 'Import not found');
+
+            const rows = await db.all(
+                `SELECT r.id, r.row_number, r.date, r.amount, r.payee, r.reference, r.status, r.match_reason,
+                        r.user_id, r.candidate_ids, r.transaction_id, r.resolved_at,
+                        u.first_name, u.last_name
+                 FROM bank_import_rows r
+                 LEFT JOIN users u ON u.id = r.user_id
+                 WHERE r.import_id = ? ORDER BY r.row_number ASC`,
+                [importId]
+            );
+
+            const candidateIds = [...new Set(rows.flatMap(r => r.candidate_ids ? JSON.parse(r.candidate_ids) : []))];
+            const candidates = candidateIds.length > 0
+                ? await db.all(`SELECT id, first_name, last_name FROM users WHERE id IN (${candidateIds.map(() => '?').join(',')})`, candidateIds)
+                : [];
+            const byId = new Map(candidates.map(c => [c.id, c]));
+
+            return new statusObject(200, null, {
+                ...statement,
+                mapping: JSON.parse(statement.mapping),
+                rows: rows.map(r => ({
+                    ...r,
+                    candidates: (r.candidate_ids ? JSON.parse(r.candidate_ids) : []).map(id => byId.get(id)).filter(Boolean),
+                    candidate_ids: undefined
+                }))
+            });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a single statement row.
+     * @returns {Promise<object|undefined>}
+     */
+    static async getRow(db, rowId) {
+        return await db.get('SELECT * FROM bank_import_rows WHERE id = ?', [rowId]);
+    }
+
+    /**
+     * IDs of an import's rows that were matched automatically and are still waiting to be confirmed.
+     * @returns {Promise<number[]>}
+     */
+    static async getMatchedRowIds(db, importId) {
+        const rows = await db.all("SELECT id FROM bank_import_rows WHERE import_id = ? AND status = 'matched' ORDER BY row_number", [importId]);
+        return rows.map(r => r.id);
+    }
+
+    /**
+     * Resolve a row that is still pending, so it cannot be confirmed twice.
+     * @param {string} status - 'confirmed' or 'ignored'.
+     * @returns {Promise<boolean>} - False if the row had already been resolved.
+     */
+    static async resolveRow(db, rowId, status, userId, resolvedBy, now = new Date()) {
+        const result = await db.run(
+            `UPDATE bank_import_rows SET status = ?, user_id = ?, resolved_by = ?, resolved_at = ?
+             WHERE id = ? AND status IN ('matched', 'ambiguous', 'unmatched')`,
+            [status, userId, resolvedBy, now.toISOString(), rowId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Link a confirmed row to the credit transaction it became.
+     */
+    static async setTransaction(db, rowId, transactionId) {
+        await db.run('UPDATE bank_import_rows SET transaction_id = ? WHERE id = ?', [transactionId, rowId]);
+    }
+}
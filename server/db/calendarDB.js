@@ -0,0 +1,107 @@
+/**
+ * calendarDB.js
+ *
+ * This module manages calendar subscription tokens and the event sets behind each iCalendar feed.
+ */
+
+import crypto from 'crypto';
+import { statusObject } from '../misc/status.js';
+import EventsDB from './eventsDB.js';
+import Logger from '../misc/Logger.js';
+
+export default class CalendarDB {
+    static PAST_DAYS = 90;
+    static FUTURE_DAYS = 365;
+
+    /**
+     * Window of events included in every feed, from a few months back to a year ahead.
+     */
+    static getFeedRange() {
+        const start = new Date();
+        start.setDate(start.getDate() - this.PAST_DAYS);
+        start.setHours(0, 0, 0, 0);
+
+        const end = new Date();
+        end.setDate(end.getDate() + this.FUTURE_DAYS);
+        end.setHours(23, 59, 59, 999);
+
+        return [start, end];
+    }
+
+    /**
+     * Fetch a user's personal feed token, generating one on first use.
+     */
+    static async getCalendarToken(db, userId) {
+        try {
+            const user = await db.get('SELECT calendar_token FROM users WHERE id = ?', [userId]);
+            if (!user) return new statusObject(404, 'User not found');
+            if (user.calendar_token) return new statusObject(200, null, user.calendar_token);
+
+            return this.resetCalendarToken(db, userId);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Replace a user's feed token, invalidating any previously shared feed URL.
+     */
+    static async resetCalendarToken(db, userId) {
+        try {
+            const token = crypto.randomBytes(24).toString('hex');
+            await db.run('UPDATE users SET calendar_token = ? WHERE id = ?', [token, userId]);
+            return new statusObject(200, null, token);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Resolve a feed token to its owner.
+     * @returns {Promise<statusObject>} - Data is the user ID.
+     */
+    static async getUserIdByToken(db, token) {
+        if (!token) return new statusObject(404, 'Calendar not found');
+        try {
+            const user = await db.get('SELECT id FROM users WHERE calendar_token = ?', [token]);
+            if (!user) return new statusObject(404, 'Calendar not found');
+            return new statusObject(200, null, user.id);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Events visible to guests, optionally restricted to a single tag.
+     */
+    static async getPublicEvents(db, tagId = null) {
+        const [start, end] = this.getFeedRange();
+        const result = await EventsDB.get_events_in_range(db, null, start, end);
+        if (result.isError() || tagId === null) return result;
+
+        const id = parseInt(tagId, 10);
+        return new statusObject(200, null, result.getData().filter(event => event.tags.some(tag => tag.id === id)));
+    }
+
+    /**
+     * Events a user is attending or waitlisted on.
+     */
+    static async getUserEvents(db, userId) {
+        const [start, end] = this.getFeedRange();
+        const result = await EventsDB.get_events_in_range(db, null, start, end, userId);
+        if (result.isError()) return result;
+
+        try {
+            const waitlisted = await db.all('SELECT event_id FROM event_waiting_list WHERE user_id = ?', [userId]);
+            const waitlistedIds = new Set(waitlisted.map(row => row.event_id));
+
+            return new statusObject(200, null, result.getData().filter(event => event.is_attending || waitlistedIds.has(event.id)));
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
@@ -0,0 +1,177 @@
+/**
+ * checkinDB.js
+ *
+ * This module manages the on-the-day event register: who turned up, who was late,
+ * walk-ins for open events, and the no-show history derived from it.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Globals from '../misc/globals.js';
+import Utils from '../misc/utils.js';
+import Logger from '../misc/Logger.js';
+
+export default class CheckinDB {
+    static STATUSES = ['present', 'late', 'absent'];
+
+    /**
+     * SQL expression counting a user's no-shows this academic year.
+     * The academic year start must be bound as the single parameter.
+     */
+    static noShowCountSql(userColumn) {
+        return `(SELECT COUNT(*) FROM event_checkins c JOIN events ce ON ce.id = c.event_id
+                 WHERE c.user_id = ${userColumn} AND c.status = 'absent' AND ce.start >= ?)`;
+    }
+
+    /**
+     * Read the configured no-show policy.
+     * @returns {{limit: number, policy: string}} - A limit of 0 means the policy is disabled.
+     */
+    static getNoShowPolicy() {
+        const globals = new Globals();
+        return {
+            limit: globals.getInt('NoShowLimit'),
+            policy: globals.get('NoShowPolicy')?.data || 'deprioritise'
+        };
+    }
+
+    /**
+     * Count a user's no-shows for the current academic year.
+     */
+    static async getNoShowCount(db, userId) {
+        try {
+            const row = await db.get(`SELECT ${this.noShowCountSql('?')} AS count`, [userId, Utils.getAcademicYearStart()]);
+            return new statusObject(200, null, row.count);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Determine whether the no-show policy currently applies to a user.
+     */
+    static async isRepeatNoShow(db, userId) {
+        const { limit } = this.getNoShowPolicy();
+        if (limit <= 0) return new statusObject(200, null, false);
+
+        const countRes = await this.getNoShowCount(db, userId);
+        if (countRes.isError()) return countRes;
+        return new statusObject(200, null, countRes.getData() >= limit);
+    }
+
+    /**
+     * Fetch the register for an event: everyone signed up plus any walk-ins, with their check-in status.
+     */
+    static async getRegister(db, eventId) {
+        try {
+            const rows = await db.all(
+                `SELECT u.id, u.first_name, u.last_name, u.is_instructor,
+                        c.status, c.is_walk_in, c.checked_at,
+                        ${this.noShowCountSql('u.id')} AS no_show_count
+                 FROM users u
+                 LEFT JOIN event_checkins c ON c.user_id = u.id AND c.event_id = ?
+                 WHERE u.id IN (
+                     SELECT user_id FROM event_attendees WHERE event_id = ? AND is_attending = 1
+                     UNION
+                     SELECT user_id FROM event_checkins WHERE event_id = ?
+                 )
+                 ORDER BY u.last_name ASC, u.first_name ASC`,
+                [Utils.getAcademicYearStart(), eventId, eventId, eventId]
+            );
+            return new statusObject(200, null, rows);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record a user's check-in status for an event, replacing any previous mark.
+     */
+    static async markAttendance(db, eventId, userId, status, markedBy, isWalkIn = false) {
+        if (!this.STATUSES.includes(status)) return new statusObject(400, 'Invalid check-in status');
+        if (isWalkIn && status === 'absent') return new statusObject(400, 'Walk-ins cannot be marked absent');
+
+        try {
+            await db.run(
+                `INSERT INTO event_checkins (event_id, user_id, status, is_walk_in, checked_in_by, checked_at)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(event_id, user_id) DO UPDATE SET
+                     status = excluded.status, checked_in_by = excluded.checked_in_by, checked_at = excluded.checked_at`,
+                [eventId, userId, status, isWalkIn ? 1 : 0, markedBy, new Date().toISOString()]
+            );
+            return new statusObject(200, `Marked ${status}`);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Remove a user's check-in mark for an event.
+     */
+    static async clearAttendance(db, eventId, userId) {
+        try {
+            const result = await db.run('DELETE FROM event_checkins WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+            if (result.changes === 0) return new statusObject(404, 'No check-in recorded');
+            return new statusObject(200, 'Check-in cleared');
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Check whether a user has a check-in record for an event.
+     */
+    static async hasCheckin(db, eventId, userId) {
+        const row = await db.get('SELECT is_walk_in FROM event_checkins WHERE event_id = ? AND user_id = ?', [eventId, userId]);
+        return new statusObject(200, null, row || null);
+    }
+
+    /**
+     * Summarise attendance against signups for events in a date range.
+     */
+    static async getAttendanceReport(db, startDate, endDate) {
+        try {
+            const events = await db.all(
+                `SELECT e.id, e.title, e.start, e.signup_required,
+                        (SELECT COUNT(*) FROM event_attendees ea WHERE ea.event_id = e.id AND ea.is_attending = 1) AS signups,
+                        (SELECT COUNT(*) FROM event_checkins c WHERE c.event_id = e.id AND c.status = 'present') AS present,
+                        (SELECT COUNT(*) FROM event_checkins c WHERE c.event_id = e.id AND c.status = 'late') AS late,
+                        (SELECT COUNT(*) FROM event_checkins c WHERE c.event_id = e.id AND c.status = 'absent') AS absent,
+                        (SELECT COUNT(*) FROM event_checkins c WHERE c.event_id = e.id AND c.is_walk_in = 1) AS walk_ins,
+                        (SELECT COUNT(*) FROM event_attendees ea WHERE ea.event_id = e.id AND ea.is_attending = 1
+                            AND NOT EXISTS (SELECT 1 FROM event_checkins c WHERE c.event_id = e.id AND c.user_id = ea.user_id)) AS unmarked
+                 FROM events e
+                 WHERE e.start >= ? AND e.start <= ? AND e.is_canceled = 0
+                 ORDER BY e.start ASC`,
+                [startDate.toISOString(), endDate.toISOString()]
+            );
+
+            for (const event of events) event.attended = event.present + event.late;
+
+            const noShows = await db.all(
+                `SELECT u.id, u.first_name, u.last_name, COUNT(*) AS no_show_count
+                 FROM event_checkins c
+                 JOIN users u ON u.id = c.user_id
+                 JOIN events e ON e.id = c.event_id
+                 WHERE c.status = 'absent' AND e.start >= ? AND e.start <= ?
+                 GROUP BY u.id
+                 ORDER BY no_show_count DESC, u.last_name ASC
+                 LIMIT 20`,
+                [startDate.toISOString(), endDate.toISOString()]
+            );
+
+            const totals = events.reduce((acc, e) => {
+                for (const key of ['signups', 'attended', 'late', 'absent', 'walk_ins', 'unmarked']) acc[key] += e[key];
+                return acc;
+            }, { signups: 0, attended: 0, late: 0, absent: 0, walk_ins: 0, unmarked: 0 });
+
+            return new statusObject(200, null, { events, totals, noShows });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
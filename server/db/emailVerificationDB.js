@@ -0,0 +1,84 @@
+/**
+ * emailVerificationDB.js
+ *
+ * This module manages email verification links and whether each user's address is verified.
+ * Links are stored only as hashes, against the address they were sent to.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class EmailVerificationDB {
+    /**
+     * Whether a user's current email address is verified.
+     * @returns {Promise<boolean>}
+     */
+    static async isVerified(db, userId) {
+        const row = await db.get('SELECT email_verified_at FROM users WHERE id = ?', [userId]);
+        return !!row?.email_verified_at;
+    }
+
+    /**
+     * Store a new verification link for the address a user has now.
+     */
+    static async create(db, userId, email, tokenHash, expiresAt, now = new Date()) {
+        try {
+            await db.run(
+                'INSERT INTO email_verifications (user_id, email, token_hash, expires_at, created_at) VALUES (?, ?, ?, ?, ?)',
+                [userId, email, tokenHash, expiresAt.toISOString(), now.toISOString()]
+            );
+            return new statusObject(200);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Links sent to a user since a given time, newest first, for rate limiting.
+     */
+    static async getSentSince(db, userId, since) {
+        try {
+            const rows = await db.all(
+                'SELECT created_at FROM email_verifications WHERE user_id = ? AND julianday(created_at) >= julianday(?) ORDER BY created_at DESC',
+                [userId, since.toISOString()]
+            );
+            return new statusObject(200, null, rows.map(r => r.created_at));
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Mark a user's address verified using a link, which must be unexpired and sent to the address they still have.
+     * All of the user's links are then discarded.
+     * @returns {Promise<statusObject>} - Data holds the user ID.
+     */
+    static async consume(db, tokenHash, now = new Date()) {
+        try {
+            const row = await db.get(
+                `SELECT v.user_id FROM email_verifications v JOIN users u ON u.id = v.user_id
+                 WHERE v.token_hash = ? AND v.email = u.email AND julianday(v.expires_at) > julianday(?)`,
+                [tokenHash, now.toISOString()]
+            );
+            if (!row) return new statusObject(400, 'This verification link is invalid or has expired.');
+
+            await db.run('UPDATE users SET email_verified_at = ? WHERE id = ?', [now.toISOString(), row.user_id]);
+            await db.run('DELETE FROM email_verifications WHERE user_id = ?', [row.user_id]);
+            return new statusObject(200, null, row.user_id);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Delete links that expired before `now`.
+     * @returns {Promise<number>} - Number of links removed.
+     */
+    static async removeExpired(db, now = new Date()) {
+        const result = await db.run('DELETE FROM email_verifications WHERE julianday(expires_at) < julianday(?)', [now.toISOString()]);
+        return result.changes;
+    }
+}
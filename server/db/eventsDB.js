@@ -8,11 +8,19 @@ import { statusObject } from '../misc/status.js';
 import TransactionsDB from './transactionDB.js';
 import TagsDB from './tagsDB.js';
 import UserDB from './userDB.js';
+import SeriesDB from './seriesDB.js';
 import EventRules from '../rules/EventRules.js';
 import Globals from '../misc/globals.js';
+import Mailer from '../misc/Mailer.js';
+import NotificationsDB from './notificationsDB.js';
 import Logger from '../misc/Logger.js';
 
 export default class eventsDB {
+    /**
+     * Date columns defined relative to the event start, kept at the same offset when an event is moved or repeated.
+     */
+    static RELATIVE_DATE_FIELDS = ['upfront_refund_cutoff', 'signup_opens_at', 'member_signup_opens_at', 'ballot_closes_at'];
+
     /**
      * Fetch events for a specific week, filtered by the maximum difficulty the user is allowed to see.
      */
@@ -39,7 +47,7 @@ export default class eventsDB {
         );
 
         const visibleEvents = [];
-        const user = userId ? (await UserDB.getElementsById(db, userId, ['id', 'is_instructor', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level'])).getData() : null;
+        const user = userId ? (await UserDB.getElementsById(db, userId, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level'])).getData() : null;
 
         for (const event of events) {
             await this._enrichEvent(db, event);
@@ -81,7 +89,7 @@ export default class eventsDB {
         );
 
         const visibleEvents = [];
-        const user = userId ? (await UserDB.getElementsById(db, userId, ['id', 'is_instructor', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level'])).getData() : null;
+        const user = userId ? (await UserDB.getElementsById(db, userId, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions', 'difficulty_level'])).getData() : null;
 
         for (const event of events) {
             await this._enrichEvent(db, event);
@@ -198,6 +206,7 @@ export default class eventsDB {
             const event = await db.get('SELECT * FROM events WHERE id = ?', [id]);
             if (!event) return new statusObject(404, 'Event not found');
             await this._enrichEvent(db, event);
+            event.signup_windows = await this.getSignupWindows(db, id);
             return new statusObject(200, null, event);
         } catch (error) {
             return new statusObject(500, 'Database error');
@@ -229,16 +238,22 @@ export default class eventsDB {
      */
     static async createEvent(db, data) {
         try {
-            let { title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, tags, signup_required, image_id, upfront_refund_cutoff } = data;
+            let { title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, tags, signup_required, image_id, upfront_refund_cutoff, signup_opens_at, member_signup_opens_at, signup_windows, ballot_closes_at, series_id } = data;
             
             if (!signup_required && max_attendees > 0) {
                 return new statusObject(400, 'Max attendees cannot be set if signup is not required');
             }
 
+            const windowCheck = this._validateSignupWindows(data);
+            if (windowCheck.isError()) return windowCheck;
+
+            const ballotCheck = this._validateBallot(data);
+            if (ballotCheck.isError()) return ballotCheck;
+
             const result = await db.run(
-                `INSERT INTO events (title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, signup_required, image_id, upfront_refund_cutoff)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, signup_required ? 1 : 0, image_id, upfront_refund_cutoff]
+                `INSERT INTO events (title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, signup_required, image_id, upfront_refund_cutoff, signup_opens_at, member_signup_opens_at, ballot_closes_at, series_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, signup_required ? 1 : 0, image_id, upfront_refund_cutoff, signup_opens_at || null, member_signup_opens_at || null, this._toIso(ballot_closes_at), series_id || null]
             );
             const eventId = result.lastID;
 
@@ -246,6 +261,8 @@ export default class eventsDB {
                 for (const tagId of tags) await TagsDB.associateTag(db, eventId, tagId);
             }
 
+            if (Array.isArray(signup_windows)) await this._writeSignupWindows(db, eventId, signup_windows);
+
             return new statusObject(200, null, { id: eventId });
         } catch (error) {
             Logger.error(error);
@@ -255,32 +272,199 @@ export default class eventsDB {
 
     /**
      * Update an existing event record and its tag associations.
+     * For series occurrences, `scope` selects whether the edit applies to this occurrence,
+     * this and following occurrences, or the whole series (see SeriesDB.getScopeTargets).
      */
-    static async updateEvent(db, id, data) {
+    static async updateEvent(db, id, data, scope = 'this') {
         try {
-            let { title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, tags, signup_required, image_id, upfront_refund_cutoff } = data;
+            const { start, end, signup_required, max_attendees } = data;
 
             if (!signup_required && max_attendees > 0) {
                 return new statusObject(400, 'Max attendees cannot be set if signup is not required');
             }
 
-            await db.run(
-                `UPDATE events SET title=?, description=?, location=?, start=?, end=?, difficulty_level=?, max_attendees=?, upfront_cost=?, signup_required=?, image_id=?, upfront_refund_cutoff=? WHERE id=?`,
-                [title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, signup_required ? 1 : 0, image_id, upfront_refund_cutoff, id]
-            );
+            const windowCheck = this._validateSignupWindows(data);
+            if (windowCheck.isError()) return windowCheck;
 
-            if (tags && Array.isArray(tags)) {
-                await TagsDB.clearEventTags(db, id);
-                for (const tagId of tags) await TagsDB.associateTag(db, id, tagId);
+            const ballotCheck = this._validateBallot(data);
+            if (ballotCheck.isError()) return ballotCheck;
+
+            const event = await db.get('SELECT * FROM events WHERE id = ?', [id]);
+            if (!event) return new statusObject(404, 'Event not found');
+
+            const targetsRes = await SeriesDB.getScopeTargets(db, event, scope);
+            if (targetsRes.isError()) return targetsRes;
+            const targets = targetsRes.getData();
+
+            if (targets.length === 1 && targets[0].id === event.id) {
+                await this._writeEvent(db, id, data);
+                if (event.series_id && scope === 'this') await db.run('UPDATE events SET is_series_override = 1 WHERE id = ?', [id]);
+                return new statusObject(200, 'Event updated');
+            }
+
+            const newStart = new Date(start);
+            const shift = newStart - new Date(event.start);
+            const duration = new Date(end) - newStart;
+
+            await db.run('BEGIN TRANSACTION');
+            try {
+                for (const target of targets) {
+                    const targetStart = new Date(new Date(target.start).getTime() + shift);
+                    await this._writeEvent(db, target.id, {
+                        ...data,
+                        ...this.shiftRelativeDates(data, newStart, targetStart),
+                        start: targetStart.toISOString(),
+                        end: new Date(targetStart.getTime() + duration).toISOString()
+                    });
+                }
+                await db.run('COMMIT');
+            } catch (error) {
+                await db.run('ROLLBACK');
+                throw error;
             }
 
-            return new statusObject(200, 'Event updated');
+            return new statusObject(200, `${targets.length} events updated`);
         } catch (error) {
             Logger.error(error);
             return new statusObject(500, 'Database error: ' + error.message);
         }
     }
 
+    /**
+     * Internal helper to write editable event columns and replace tag associations.
+     */
+    static async _writeEvent(db, id, data) {
+        const before = await db.get('SELECT * FROM events WHERE id = ?', [id]);
+        const { title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, tags, signup_required, image_id, upfront_refund_cutoff, signup_opens_at, member_signup_opens_at, signup_windows, ballot_closes_at } = data;
+
+        await db.run(
+            `UPDATE events SET title=?, description=?, location=?, start=?, end=?, difficulty_level=?, max_attendees=?, upfront_cost=?, signup_required=?, image_id=?, upfront_refund_cutoff=?, signup_opens_at=?, member_signup_opens_at=?, ballot_closes_at=? WHERE id=?`,
+            [title, description, location, start, end, difficulty_level, max_attendees, upfront_cost, signup_required ? 1 : 0, image_id, upfront_refund_cutoff, signup_opens_at || null, member_signup_opens_at || null, this._toIso(ballot_closes_at), id]
+        );
+
+        if (tags && Array.isArray(tags)) {
+            await TagsDB.clearEventTags(db, id);
+            for (const tagId of tags) await TagsDB.associateTag(db, id, tagId);
+        }
+
+        if (Array.isArray(signup_windows)) await this._writeSignupWindows(db, id, signup_windows);
+
+        if (before) await this._notifyAttendeesOfChanges(db, before, { title, location, start, end, upfront_cost });
+    }
+
+    /**
+     * Internal helper telling everyone signed up to an event which of its key details an edit changed.
+     */
+    static async _notifyAttendeesOfChanges(db, before, after) {
+        const labels = { title: 'title', start: 'start time', end: 'end time', location: 'location', upfront_cost: 'cost' };
+        const changed = Object.keys(labels).filter(field => {
+            if (field === 'start' || field === 'end') return new Date(before[field]).getTime() !== new Date(after[field]).getTime();
+            if (field === 'upfront_cost') return Number(before[field] || 0) !== Number(after[field] || 0);
+            return (before[field] ?? '') !== (after[field] ?? '');
+        });
+        if (changed.length === 0 || before.is_canceled || new Date(before.end) < new Date()) return;
+
+        const attendees = await db.all('SELECT user_id FROM event_attendees WHERE event_id = ? AND is_attending = 1', [before.id]);
+        const list = changed.map(field => labels[field]);
+        const summary = list.length > 1 ? `${list.slice(0, -1).join(', ')} and ${list.at(-1)}` : list[0];
+
+        for (const { user_id } of attendees) {
+            await NotificationsDB.create(db, user_id, 'event', {
+                title: `${after.title} has been changed`,
+                body: `The ${summary} of this event changed after you signed up.`,
+                link: `/event/${before.id}`
+            });
+        }
+    }
+
+    /**
+     * Move the start-relative dates of an event template onto a different start time, keeping their offsets.
+     * @returns {object} - The shifted date fields and signup windows, ready to spread over the template.
+     */
+    static shiftRelativeDates(data, fromStart, toStart) {
+        const shift = new Date(toStart) - new Date(fromStart);
+        const move = (value) => value ? new Date(new Date(value).getTime() + shift).toISOString() : null;
+
+        const shifted = {};
+        for (const field of this.RELATIVE_DATE_FIELDS) shifted[field] = move(data[field]);
+        if (Array.isArray(data.signup_windows)) {
+            shifted.signup_windows = data.signup_windows.map(w => ({ ...w, opens_at: move(w.opens_at) }));
+        }
+        return shifted;
+    }
+
+    /**
+     * Internal helper checking that early signup windows open before general signups.
+     */
+    static _validateSignupWindows(data) {
+        const { signup_opens_at, member_signup_opens_at, signup_windows } = data;
+        const general = signup_opens_at ? new Date(signup_opens_at) : null;
+
+        if (general && isNaN(general.getTime())) return new statusObject(400, 'Invalid signup opening time');
+        if (general && data.start && general >= new Date(data.start)) return new statusObject(400, 'Signups must open before the event starts');
+        if (!general && (member_signup_opens_at || (Array.isArray(signup_windows) && signup_windows.length > 0))) {
+            return new statusObject(400, 'Early signup windows need a general signup opening time');
+        }
+
+        const early = [member_signup_opens_at, ...(Array.isArray(signup_windows) ? signup_windows.map(w => w.opens_at) : [])].filter(Boolean);
+        for (const value of early) {
+            const date = new Date(value);
+            if (isNaN(date.getTime())) return new statusObject(400, 'Invalid signup opening time');
+            if (date > general) return new statusObject(400, 'Early signup windows must open before general signups');
+        }
+
+        return new statusObject(200, null);
+    }
+
+    /**
+     * Internal helper checking that a ballot closes before the event starts and has places to allocate.
+     */
+    static _validateBallot(data) {
+        const { ballot_closes_at, signup_required, max_attendees, signup_opens_at, start } = data;
+        if (!ballot_closes_at) return new statusObject(200, null);
+
+        const closes = new Date(ballot_closes_at);
+        if (isNaN(closes.getTime())) return new statusObject(400, 'Invalid ballot closing time');
+        if (!signup_required || !(max_attendees > 0)) return new statusObject(400, 'Ballots need a maximum number of attendees');
+        if (start && closes >= new Date(start)) return new statusObject(400, 'The ballot must close before the event starts');
+        if (signup_opens_at && closes <= new Date(signup_opens_at)) return new statusObject(400, 'The ballot must close after signups open');
+
+        return new statusObject(200, null);
+    }
+
+    /**
+     * Internal helper normalising an optional date input to an ISO string so it compares correctly in SQL.
+     */
+    static _toIso(value) {
+        return value ? new Date(value).toISOString() : null;
+    }
+
+    /**
+     * Internal helper replacing an event's role-based priority signup windows.
+     */
+    static async _writeSignupWindows(db, eventId, windows) {
+        await db.run('DELETE FROM event_signup_windows WHERE event_id = ?', [eventId]);
+        for (const w of windows) {
+            if (!w.role_id || !w.opens_at) continue;
+            await db.run(
+                'INSERT OR REPLACE INTO event_signup_windows (event_id, role_id, opens_at) VALUES (?, ?, ?)',
+                [eventId, w.role_id, new Date(w.opens_at).toISOString()]
+            );
+        }
+    }
+
+    /**
+     * Fetch the role-based priority signup windows for an event.
+     */
+    static async getSignupWindows(db, eventId) {
+        return db.all(
+            `SELECT w.role_id, r.name AS role_name, w.opens_at
+             FROM event_signup_windows w JOIN roles r ON r.id = w.role_id
+             WHERE w.event_id = ? ORDER BY w.opens_at ASC`,
+            [eventId]
+        );
+    }
+
     /**
      * Toggle the cancellation status of an event.
      */
@@ -296,45 +480,42 @@ export default class eventsDB {
 
     /**
      * Cancel an event and process automatic refunds for all attendees.
+     * For series occurrences, `scope` can extend the cancellation to following occurrences or the whole series.
+     * Every occurrence in scope is cancelled and refunded in one transaction, so a failure leaves none cancelled.
      */
-    static async cancelEvent(db, id) {
+    static async cancelEvent(db, id, scope = 'this') {
+        await db.run('BEGIN IMMEDIATE');
         try {
-            await db.run('BEGIN TRANSACTION');
-
-            const event = await db.get('SELECT * FROM events WHERE id = ?', [id]);
-            if (!event) {
-                await db.run('ROLLBACK');
-                return new statusObject(404, 'Event not found');
-            }
+            let targets = [{ id }];
+            if (scope !== 'this') {
+                const event = await db.get('SELECT * FROM events WHERE id = ?', [id]);
+                if (!event) {
+                    await db.run('ROLLBACK');
+                    return new statusObject(404, 'Event not found');
+                }
 
-            if (event.is_canceled) {
-                await db.run('ROLLBACK');
-                return new statusObject(400, 'Event already canceled');
+                const targetsRes = await SeriesDB.getScopeTargets(db, event, scope, true);
+                if (targetsRes.isError()) {
+                    await db.run('ROLLBACK');
+                    return targetsRes;
+                }
+                targets = targetsRes.getData().filter(e => !e.is_canceled);
+                if (targets.length === 0) {
+                    await db.run('ROLLBACK');
+                    return new statusObject(400, 'Event already canceled');
+                }
             }
 
-            await db.run("UPDATE events SET is_canceled = 1 WHERE id = ?", [id]);
-
-            const attendees = await db.all('SELECT * FROM event_attendees WHERE event_id = ? AND is_attending = 1', [id]);
-
-            for (const attendee of attendees) {
-                if (attendee.payment_transaction_id) {
-                    const transaction = await db.get('SELECT * FROM transactions WHERE id = ?', [attendee.payment_transaction_id]);
-                    if (transaction) {
-                        const refundAmount = Math.abs(transaction.amount);
-                        await TransactionsDB._add_transaction_internal(db, attendee.user_id, refundAmount, `Refund for canceled event: ${event.title}`, id);
-                    }
-                } 
-                
-                const user = await db.get('SELECT is_member FROM users WHERE id = ?', [attendee.user_id]);
-                if (user && !user.is_member) {
-                    await db.run('UPDATE users SET free_sessions = free_sessions + 1 WHERE id = ?', [attendee.user_id]);
+            for (const target of targets) {
+                const result = await this._cancelOccurrence(db, target.id);
+                if (result.isError()) {
+                    await db.run('ROLLBACK');
+                    return result;
                 }
             }
 
-            await db.run('DELETE FROM event_waiting_list WHERE event_id = ?', [id]);
-
             await db.run('COMMIT');
-            return new statusObject(200, 'Event canceled and refunds processed');
+            return new statusObject(200, scope === 'this' ? 'Event canceled and refunds processed' : `${targets.length} events canceled and refunds processed`);
         } catch (error) {
             await db.run('ROLLBACK');
             Logger.error(error);
@@ -342,6 +523,52 @@ export default class eventsDB {
         }
     }
 
+    /**
+     * Internal helper to cancel a single event and refund its attendees. Callers are expected to wrap this in a
+     * transaction.
+     */
+    static async _cancelOccurrence(db, id) {
+        const event = await db.get('SELECT * FROM events WHERE id = ?', [id]);
+        if (!event) return new statusObject(404, 'Event not found');
+        if (event.is_canceled) return new statusObject(400, 'Event already canceled');
+
+        await db.run("UPDATE events SET is_canceled = 1 WHERE id = ?", [id]);
+
+        const attendees = await db.all('SELECT * FROM event_attendees WHERE event_id = ? AND is_attending = 1', [id]);
+
+        for (const attendee of attendees) {
+            let refundAmount = 0;
+            if (attendee.payment_transaction_id) {
+                const transaction = await db.get('SELECT * FROM transactions WHERE id = ?', [attendee.payment_transaction_id]);
+                if (transaction) {
+                    refundAmount = Math.abs(transaction.amount);
+                    await TransactionsDB._add_transaction_internal(db, attendee.user_id, refundAmount, `Refund for canceled event: ${event.title}`, id, { category: 'refund' });
+                }
+            } 
+            
+            const user = await db.get('SELECT is_member FROM users WHERE id = ?', [attendee.user_id]);
+            if (user && !user.is_member) {
+                await db.run('UPDATE users SET free_sessions = free_sessions + 1 WHERE id = ?', [attendee.user_id]);
+            }
+
+            // Queued inside the transaction so attendees are only told once the cancellation commits
+            await Mailer.queue(db, attendee.user_id, 'eventCancelled', {
+                eventTitle: event.title,
+                eventStart: event.start,
+                refund: refundAmount,
+                freeSessionReturned: !!(user && !user.is_member)
+            });
+            await NotificationsDB.create(db, attendee.user_id, 'event', {
+                title: `${event.title} has been cancelled`,
+                body: refundAmount ? `£${refundAmount.toFixed(2)} has been refunded to your balance.` : null,
+                link: `/event/${id}`
+            });
+        }
+
+        await db.run('DELETE FROM event_waiting_list WHERE event_id = ?', [id]);
+        return new statusObject(200, 'Event canceled and refunds processed');
+    }
+
     /**
      * Delete an event record.
      */
@@ -208,6 +208,19 @@ export default class FilesDB {
         }
     }
 
+    /**
+     * Fetch a single category by its ID.
+     */
+    static async getCategoryById(db, id) {
+        try {
+            const category = await db.get('SELECT * FROM file_categories WHERE id = ?', [id]);
+            if (!category) return new statusObject(404, 'Category not found');
+            return new statusObject(200, null, category);
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
+
     /**
      * Create a new category for files.
      */
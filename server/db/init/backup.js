@@ -0,0 +1,82 @@
+/**
+ * backup.js
+ *
+ * Command line interface for backups. Stop the site before restoring.
+ *
+ * Usage:
+ *   node server/db/init/backup.js create
+ *   node server/db/init/backup.js list
+ *   node server/db/init/backup.js prune
+ *   node server/db/init/backup.js verify <archive>
+ *   node server/db/init/backup.js restore <archive>
+ */
+
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+import 'dotenv/config';
+import config from '../../config.js';
+import Logger from '../../misc/Logger.js';
+import Backups from '../../misc/Backups.js';
+
+/**
+ * Format a byte count for the listing.
+ */
+function formatSize(bytes) {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Fail with the message from a status object.
+ */
+function unwrap(status) {
+    if (status.isError()) throw new Error(status.getMessage());
+    return status.getData();
+}
+
+(async () => {
+    const [command = 'list', archive] = process.argv.slice(2);
+
+    try {
+        if (command === 'create') {
+            if (!fs.existsSync(config.paths.db)) throw new Error(`No database at ${config.paths.db}`);
+            const db = await open({ filename: config.paths.db, driver: sqlite3.Database });
+            try {
+                const backup = unwrap(await Backups.create(db, 'manual'));
+                Logger.info(`Wrote ${path.join(config.paths.backups, backup.name)} (${formatSize(backup.size)})`);
+            } finally {
+                await db.close();
+            }
+        } else if (command === 'list') {
+            const backups = unwrap(Backups.list());
+            if (backups.length === 0) Logger.info(`No backups in ${config.paths.backups}`);
+            for (const backup of backups) {
+                console.log(`  ${backup.created_at}  ${backup.kind.padEnd(11)}  ${formatSize(backup.size).padStart(9)}  ${backup.name}`);
+            }
+        } else if (command === 'prune') {
+            const deleted = Backups.prune();
+            Logger.info(deleted.length ? `Deleted ${deleted.join(', ')}` : 'Nothing to prune.');
+        } else if (command === 'verify' || command === 'restore') {
+            if (!archive) throw new Error(`Usage: backup.js ${command} <archive>`);
+
+            if (command === 'verify') {
+                const resolved = fs.existsSync(archive) ? archive : path.join(config.paths.backups, path.basename(archive));
+                const { directory, manifest } = unwrap(await Backups.verify(resolved));
+                fs.rmSync(directory, { recursive: true, force: true });
+                Logger.info(`Backup is valid: ${manifest.kind} backup from ${manifest.created_at}, schema version ${manifest.schema_version}, ${manifest.files} file(s).`);
+            } else {
+                const { manifest, safetyBackup } = unwrap(await Backups.restore(archive));
+                Logger.info(`Restored the ${manifest.kind} backup from ${manifest.created_at}.`);
+                if (safetyBackup) Logger.info(`The previous data was saved as ${safetyBackup}.`);
+                Logger.info('Run `npm run db:init` (or start the site) to apply any newer migrations.');
+            }
+        } else {
+            throw new Error(`Unknown command '${command}'. Use create, list, prune, verify or restore.`);
+        }
+    } catch (error) {
+        Logger.error(`Backup ${command} failed: ${error.message}`);
+        process.exitCode = 1;
+    }
+})();
@@ -0,0 +1,50 @@
+/**
+ * encryption.js
+ *
+ * Command line interface for the field encryption key.
+ *
+ * To rotate: set FIELD_ENCRYPTION_KEY to the new key, move the old one into FIELD_ENCRYPTION_PREVIOUS_KEYS,
+ * run `rotate`, then remove the old key once `status` shows nothing left under it.
+ *
+ * Usage:
+ *   node server/db/init/encryption.js status
+ *   node server/db/init/encryption.js rotate
+ */
+
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import 'dotenv/config';
+import config from '../../config.js';
+import Logger from '../../misc/Logger.js';
+import FieldEncryption from '../../misc/FieldEncryption.js';
+
+(async () => {
+    const [command = 'status'] = process.argv.slice(2);
+
+    try {
+        if (!['status', 'rotate'].includes(command)) throw new Error(`Unknown command "${command}". Use status or rotate.`);
+        if (!fs.existsSync(config.paths.db)) throw new Error(`No database at ${config.paths.db}`);
+
+        const db = await open({ filename: config.paths.db, driver: sqlite3.Database });
+        try {
+            if (command === 'rotate') {
+                const result = await FieldEncryption.rotate(db);
+                if (result.isError()) throw new Error(result.getMessage());
+                Logger.info(`Re-encrypted ${result.getData().updated} values with key ${result.getData().keyId}.`);
+            }
+
+            const usage = await FieldEncryption.keyUsage(db);
+            Logger.info(`Current key: ${FieldEncryption.currentKeyId()}`);
+            if (Object.keys(usage).length === 0) Logger.info('No encrypted values stored.');
+            for (const [keyId, count] of Object.entries(usage)) {
+                console.log(`  ${keyId.padEnd(9)}  ${count} values`);
+            }
+        } finally {
+            await db.close();
+        }
+    } catch (error) {
+        Logger.error(error.message);
+        process.exitCode = 1;
+    }
+})();
@@ -2,12 +2,12 @@
  * init.js
  * 
  * Main database initialization script that connects to SQLite, optimizes performance, 
- * creates tables, and triggers data seeding.
+ * applies pending schema migrations, and triggers data seeding.
  */
 
 import { open } from 'sqlite';
 import sqlite3 from 'sqlite3';
-import { createTables } from './tables.js';
+import Migrator from './migrator.js';
 import { seedData } from './seed.js';
 import fs from 'fs';
 import path from 'path';
@@ -41,15 +41,17 @@ Logger.info(`Running in ${env} mode`);
     await db.exec('PRAGMA busy_timeout = 5000;');
     await db.exec('PRAGMA foreign_keys = ON;');
 
-    Logger.info('Initializing database schema...');
+    Logger.info('Applying schema migrations...');
 
-    const newlyCreatedTables = await createTables(db);
-    await seedData(db, env, newlyCreatedTables);
+    const { applied, createdTables } = await Migrator.migrate(db);
+    Logger.info(applied.length ? `Applied ${applied.length} migration(s).` : 'Schema is up to date.');
+    await seedData(db, env, createdTables);
 
     Logger.info('Database initialized successfully.');
 
     await db.close();
   } catch (error) {
     Logger.error('Error initializing database:', error);
+    process.exitCode = 1;
   }
 })();
@@ -0,0 +1,104 @@
+/**
+ * migrate.js
+ *
+ * Command line interface for schema migrations.
+ *
+ * Usage:
+ *   node server/db/init/migrate.js up [--to <version>]
+ *   node server/db/init/migrate.js down [--steps <n> | --to <version>]
+ *   node server/db/init/migrate.js status
+ *   node server/db/init/migrate.js create <name>
+ */
+
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import fs from 'fs';
+import path from 'path';
+import 'dotenv/config';
+import config from '../../config.js';
+import Logger from '../../misc/Logger.js';
+import Migrator from './migrator.js';
+
+const MIGRATION_TEMPLATE = `/**
+ * {file}
+ */
+
+export async function up(db) {
+}
+
+export async function down(db) {
+}
+`;
+
+/**
+ * Read the value following a flag, as an integer.
+ */
+function intOption(args, flag) {
+    const index = args.indexOf(flag);
+    if (index === -1) return undefined;
+
+    const value = parseInt(args[index + 1], 10);
+    if (isNaN(value) || value < 0) throw new Error(`${flag} expects a non-negative number`);
+    return value;
+}
+
+/**
+ * Write an empty migration with the next free version number.
+ */
+async function createMigration(name) {
+    if (!name || !/^[\w-]+$/.test(name)) throw new Error('Migration name may only contain letters, numbers, underscores and dashes');
+
+    const migrations = await Migrator.loadMigrations();
+    const version = (migrations.length ? migrations[migrations.length - 1].version : 0) + 1;
+    const file = `${String(version).padStart(3, '0')}_${name}.js`;
+
+    fs.writeFileSync(path.join(Migrator.DIRECTORY, file), MIGRATION_TEMPLATE.replace('{file}', file));
+    Logger.info(`Created server/db/migrations/${file}`);
+}
+
+async function openDatabase() {
+    const dbPath = config.paths.db;
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    const db = await open({ filename: dbPath, driver: sqlite3.Database });
+    await db.exec('PRAGMA journal_mode = WAL;');
+    await db.exec('PRAGMA busy_timeout = 5000;');
+    await db.exec('PRAGMA foreign_keys = ON;');
+    return db;
+}
+
+(async () => {
+    const [command = 'status', ...args] = process.argv.slice(2);
+    let db;
+
+    try {
+        if (command === 'create') return await createMigration(args[0]);
+
+        db = await openDatabase();
+
+        if (command === 'up') {
+            const { applied } = await Migrator.migrate(db, { to: intOption(args, '--to') });
+            Logger.info(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+        } else if (command === 'down') {
+            const rolledBack = await Migrator.rollback(db, { steps: intOption(args, '--steps') ?? 1, to: intOption(args, '--to') });
+            Logger.info(rolledBack.length ? `Rolled back ${rolledBack.length} migration(s).` : 'Nothing to roll back.');
+        } else if (command === 'status') {
+            const status = await Migrator.status(db);
+            Logger.info(`Database ${config.paths.db} is at version ${status.current}`);
+            for (const migration of status.migrations) {
+                const label = `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+                console.log(`  ${migration.applied_at ? `applied ${migration.applied_at}` : 'pending'.padEnd(27)}  ${label}`);
+            }
+            for (const row of status.missing) {
+                Logger.warn(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+            }
+        } else {
+            throw new Error(`Unknown command '${command}'. Use up, down, status or create.`);
+        }
+    } catch (error) {
+        Logger.error('Migration failed:', error);
+        process.exitCode = 1;
+    } finally {
+        await db?.close();
+    }
+})();
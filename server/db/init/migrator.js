@@ -0,0 +1,173 @@
+/**
+ * migrator.js
+ *
+ * Applies and rolls back the numbered schema migrations in `server/db/migrations/`.
+ * Each migration is a module named `<version>_<name>.js` exporting async `up(db)` and `down(db)`.
+ * Applied versions are recorded in the `schema_migrations` table, and every migration runs in its own transaction.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import Logger from '../../misc/Logger.js';
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+export default class Migrator {
+    static DIRECTORY = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../migrations');
+
+    /**
+     * Create the table that records applied migrations.
+     */
+    static async ensureTable(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    }
+
+    /**
+     * Load every migration module in a directory, in version order.
+     * @param {string} [directory]
+     * @returns {Promise<object[]>} - Migrations as {version, name, up, down}.
+     */
+    static async loadMigrations(directory = this.DIRECTORY) {
+        const migrations = [];
+        for (const file of fs.readdirSync(directory).sort()) {
+            const match = file.match(FILE_PATTERN);
+            if (!match) continue;
+
+            const version = parseInt(match[1], 10);
+            if (migrations.some(m => m.version === version)) {
+                throw new Error(`Duplicate migration version ${version} (${file})`);
+            }
+
+            const module = await import(pathToFileURL(path.join(directory, file)).href);
+            if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+                throw new Error(`Migration ${file} must export up and down functions`);
+            }
+            migrations.push({ version, name: match[2], up: module.up, down: module.down });
+        }
+        return migrations.sort((a, b) => a.version - b.version);
+    }
+
+    /**
+     * Fetch the applied migrations, oldest first.
+     */
+    static async getApplied(db) {
+        await this.ensureTable(db);
+        return db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version ASC');
+    }
+
+    /**
+     * Compare the migrations on disk with those applied to the database.
+     * @returns {Promise<object>} - Current version, every migration with its applied date (or null),
+     * and applied versions whose files no longer exist.
+     */
+    static async status(db, { directory } = {}) {
+        const migrations = await this.loadMigrations(directory);
+        const applied = await this.getApplied(db);
+        const appliedAt = new Map(applied.map(row => [row.version, row.applied_at]));
+
+        return {
+            current: applied.length ? applied[applied.length - 1].version : 0,
+            migrations: migrations.map(m => ({ version: m.version, name: m.name, applied_at: appliedAt.get(m.version) ?? null })),
+            missing: applied.filter(row => !migrations.some(m => m.version === row.version))
+        };
+    }
+
+    /**
+     * Apply pending migrations in order, stopping at the first failure.
+     * @param {object} [options]
+     * @param {number} [options.to] - Highest version to apply. Defaults to all of them.
+     * @param {string} [options.directory]
+     * @returns {Promise<object>} - Applied migrations, and the tables that did not exist beforehand (used to decide what to seed).
+     */
+    static async migrate(db, { to = Infinity, directory, quiet = process.env.NODE_ENV === 'test' } = {}) {
+        const migrations = await this.loadMigrations(directory);
+        const applied = new Set((await this.getApplied(db)).map(row => row.version));
+        const tablesBefore = await this._listTables(db);
+
+        const pending = migrations.filter(m => !applied.has(m.version) && m.version <= to);
+        for (const migration of pending) {
+            if (!quiet) Logger.info(`Applying migration ${this._label(migration)}...`);
+            await this._run(db, migration, 'up');
+        }
+
+        const tablesAfter = await this._listTables(db);
+        return {
+            applied: pending.map(m => this._label(m)),
+            createdTables: tablesAfter.filter(table => !tablesBefore.includes(table))
+        };
+    }
+
+    /**
+     * Roll back the most recently applied migrations, newest first.
+     * @param {object} [options]
+     * @param {number} [options.steps=1] - Number of migrations to roll back.
+     * @param {number} [options.to] - Roll back every migration above this version instead.
+     * @param {string} [options.directory]
+     * @returns {Promise<string[]>} - Rolled back migrations.
+     */
+    static async rollback(db, { steps = 1, to, directory, quiet = process.env.NODE_ENV === 'test' } = {}) {
+        const migrations = await this.loadMigrations(directory);
+        const applied = (await this.getApplied(db)).reverse();
+        const targets = to !== undefined ? applied.filter(row => row.version > to) : applied.slice(0, steps);
+
+        const rolledBack = [];
+        for (const row of targets) {
+            const migration = migrations.find(m => m.version === row.version);
+            if (!migration) throw new Error(`Cannot roll back migration ${row.version}_${row.name}: file not found`);
+
+            if (!quiet) Logger.info(`Rolling back migration ${this._label(migration)}...`);
+            await this._run(db, migration, 'down');
+            rolledBack.push(this._label(migration));
+        }
+        return rolledBack;
+    }
+
+    /**
+     * Internal helper running one migration step in a transaction.
+     * Foreign keys are switched off for the duration so tables can be rebuilt, then checked before committing.
+     */
+    static async _run(db, migration, direction) {
+        const { foreign_keys: foreignKeys } = await db.get('PRAGMA foreign_keys');
+        await db.exec('PRAGMA foreign_keys = OFF;');
+
+        try {
+            await db.exec('BEGIN TRANSACTION');
+            try {
+                await migration[direction](db);
+
+                const violations = await db.all('PRAGMA foreign_key_check');
+                if (violations.length > 0) {
+                    throw new Error(`Migration ${this._label(migration)} left ${violations.length} foreign key violation(s), first in '${violations[0].table}'`);
+                }
+
+                if (direction === 'up') {
+                    await db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+                } else {
+                    await db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+                }
+                await db.exec('COMMIT');
+            } catch (error) {
+                await db.exec('ROLLBACK');
+                throw error;
+            }
+        } finally {
+            if (foreignKeys) await db.exec('PRAGMA foreign_keys = ON;');
+        }
+    }
+
+    static async _listTables(db) {
+        const rows = await db.all("SELECT name FROM sqlite_master WHERE type = 'table'");
+        return rows.map(row => row.name);
+    }
+
+    static _label(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+}
@@ -97,7 +97,8 @@ export async function seedDevelopment(db, newlyCreatedTables = []) {
             const userId = result.lastID;
             for (let j = 0; j < Math.floor(Math.random() * 4); j++) {
                 const amount = (Math.random() * 100 - 50).toFixed(2);
-                await db.run(`INSERT INTO transactions (user_id, amount, description) VALUES (?, ?, ?)`, [userId, amount, `Random transaction ${j + 1}`]);
+                const category = amount < 0 ? 'kit' : 'payment';
+                await db.run(`INSERT INTO transactions (user_id, amount, description, category) VALUES (?, ?, ?, ?)`, [userId, amount, `Random transaction ${j + 1}`, category]);
             }
 
             const numSwims = Math.floor(Math.random() * 15);
@@ -62,7 +62,10 @@ export async function seedEssential(db, newlyCreatedTables = []) {
         { slug: 'file.write', desc: 'Upload and delete files' },
         { slug: 'file.edit', desc: 'Edit file metadata' },
         { slug: 'file.category.manage', desc: 'Manage file categories' },
-        { slug: 'globals.manage', desc: 'Manage global system settings' }
+        { slug: 'globals.manage', desc: 'Manage global system settings' },
+        { slug: 'audit.read', desc: 'View the audit log' },
+        { slug: 'backup.manage', desc: 'Create, list and download backups' },
+        { slug: 'event.emergency.read', desc: 'View emergency contacts and medical information of attendees at managed events' }
     ];
 
     const permIds = {};
@@ -72,7 +75,7 @@ export async function seedEssential(db, newlyCreatedTables = []) {
         permIds[p.slug] = row.id;
     }
 
-    const presidentPerms = ['user.manage', 'user.manage.advanced', 'event.manage.all', 'transaction.manage', 'site.admin', 'role.manage', 'swims.manage', 'tag.write', 'file.read', 'file.write', 'file.edit', 'file.category.manage', 'globals.manage'];
+    const presidentPerms = ['user.manage', 'user.manage.advanced', 'event.manage.all', 'transaction.manage', 'site.admin', 'role.manage', 'swims.manage', 'tag.write', 'file.read', 'file.write', 'file.edit', 'file.category.manage', 'globals.manage', 'audit.read', 'backup.manage', 'event.emergency.read'];
     await db.run('INSERT OR IGNORE INTO roles (name, description) VALUES (?, ?)', ['President', 'The Club President with full administrative access.']);
     const presidentRole = await db.get("SELECT id FROM roles WHERE name = 'President'");
     for (const permSlug of presidentPerms) {
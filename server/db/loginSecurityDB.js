@@ -0,0 +1,99 @@
+/**
+ * loginSecurityDB.js
+ *
+ * This module manages the login history of each account and the failed-login counts behind account lockouts.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class LoginSecurityDB {
+    /**
+     * Add a login attempt to a user's history.
+     * @param {string|null} reason - Why a failed attempt failed, e.g. 'password'.
+     */
+    static async record(db, userId, success, reason, ip, userAgent, now = new Date()) {
+        await db.run(
+            'INSERT INTO login_history (user_id, success, reason, ip, user_agent, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [userId, success ? 1 : 0, reason, ip, userAgent, now.toISOString()]
+        );
+    }
+
+    /**
+     * Whether a user has logged in before, and whether they have done so with a given user agent.
+     * @returns {Promise<{any: boolean, fromDevice: boolean}>}
+     */
+    static async getPreviousLogins(db, userId, userAgent) {
+        const row = await db.get(
+            `SELECT COUNT(*) AS total, COALESCE(SUM(user_agent IS ?), 0) AS from_device
+             FROM login_history WHERE user_id = ? AND success = 1`,
+            [userAgent, userId]
+        );
+        return { any: row.total > 0, fromDevice: row.from_device > 0 };
+    }
+
+    /**
+     * Fetch a user's most recent login attempts, newest first.
+     */
+    static async listForUser(db, userId, limit = 50) {
+        try {
+            const rows = await db.all(
+                'SELECT id, success, reason, ip, user_agent, created_at FROM login_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+                [userId, limit]
+            );
+            return new statusObject(200, null, rows);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a user's failed-login count and lockout, if any.
+     * @returns {Promise<object|undefined>}
+     */
+    static async getLockout(db, userId) {
+        return await db.get('SELECT failed_count, last_failed_at, locked_until FROM login_lockouts WHERE user_id = ?', [userId]);
+    }
+
+    /**
+     * Count a failed login, starting again if the last failure was before `resetBefore`.
+     * @returns {Promise<number>} - The failed-login count including this one.
+     */
+    static async addFailure(db, userId, resetBefore, now = new Date()) {
+        await db.run(
+            `INSERT INTO login_lockouts (user_id, failed_count, last_failed_at) VALUES (?, 1, ?)
+             ON CONFLICT(user_id) DO UPDATE SET
+                 failed_count = CASE WHEN last_failed_at IS NULL OR julianday(last_failed_at) < julianday(?) THEN 1 ELSE failed_count + 1 END,
+                 last_failed_at = excluded.last_failed_at`,
+            [userId, now.toISOString(), resetBefore.toISOString()]
+        );
+        const row = await db.get('SELECT failed_count FROM login_lockouts WHERE user_id = ?', [userId]);
+        return row.failed_count;
+    }
+
+    /**
+     * Lock an account until a given time.
+     */
+    static async lock(db, userId, lockedUntil) {
+        await db.run('UPDATE login_lockouts SET locked_until = ? WHERE user_id = ?', [lockedUntil.toISOString(), userId]);
+    }
+
+    /**
+     * Forget a user's failed logins and lift any lockout.
+     * @returns {Promise<boolean>} - Whether there was anything to clear.
+     */
+    static async clearLockout(db, userId) {
+        const result = await db.run('DELETE FROM login_lockouts WHERE user_id = ?', [userId]);
+        return result.changes > 0;
+    }
+
+    /**
+     * Delete login history recorded before a given time.
+     * @returns {Promise<number>} - Number of entries removed.
+     */
+    static async removeHistoryBefore(db, before) {
+        const result = await db.run('DELETE FROM login_history WHERE julianday(created_at) < julianday(?)', [before.toISOString()]);
+        return result.changes;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * mailDB.js
+ *
+ * This module manages the persistent email outbox: queued messages, delivery attempts and retries.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class MailDB {
+    /**
+     * Add a rendered message to the outbox, ready for immediate delivery.
+     * @returns {Promise<statusObject>} - Data holds the new message ID.
+     */
+    static async enqueue(db, { userId = null, to, template, subject, text, html }) {
+        try {
+            const result = await db.run(
+                `INSERT INTO email_outbox (user_id, to_address, template, subject, text_body, html_body, next_attempt_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [userId, to, template, subject, text, html, new Date().toISOString(), new Date().toISOString()]
+            );
+            return new statusObject(200, null, result.lastID);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a single outbox message.
+     */
+    static async getMessage(db, id) {
+        try {
+            const message = await db.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+            if (!message) return new statusObject(404, 'Message not found');
+            return new statusObject(200, null, message);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch the IDs of pending messages whose next delivery attempt is due, oldest first.
+     */
+    static async getDueMessages(db, limit = 50) {
+        try {
+            const rows = await db.all(
+                `SELECT id FROM email_outbox WHERE status = 'pending' AND next_attempt_at <= ?
+                 ORDER BY next_attempt_at ASC, id ASC LIMIT ?`,
+                [new Date().toISOString(), limit]
+            );
+            return new statusObject(200, null, rows.map(r => r.id));
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record a successful delivery.
+     */
+    static async markSent(db, id) {
+        try {
+            await db.run(
+                `UPDATE email_outbox SET status = 'sent', attempts = attempts + 1, sent_at = ?, next_attempt_at = NULL, last_error = NULL WHERE id = ?`,
+                [new Date().toISOString(), id]
+            );
+            return new statusObject(200, null);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record a failed delivery attempt. Without a retry time the message is given up on.
+     * @param {Date|null} retryAt - When to try again, or null to mark the message as failed.
+     */
+    static async markAttemptFailed(db, id, errorMessage, retryAt) {
+        try {
+            await db.run(
+                `UPDATE email_outbox SET status = ?, attempts = attempts + 1, last_error = ?, next_attempt_at = ? WHERE id = ?`,
+                [retryAt ? 'pending' : 'failed', errorMessage, retryAt ? retryAt.toISOString() : null, id]
+            );
+            return new statusObject(200, null);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Find when a template was last queued for a user, so reminders are not repeated too often.
+     * @returns {Promise<statusObject>} - Data holds the ISO timestamp, or null if never.
+     */
+    static async getLastQueuedAt(db, userId, template) {
+        try {
+            const row = await db.get(
+                'SELECT MAX(created_at) AS last FROM email_outbox WHERE user_id = ? AND template = ?',
+                [userId, template]
+            );
+            return new statusObject(200, null, row?.last ?? null);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
@@ -0,0 +1,485 @@
+/**
+ * 001_baseline.js
+ *
+ * Baseline schema: every table the application had when migrations were introduced.
+ * Tables are only created when missing, so this also adopts databases that were set up by the old
+ * `CREATE TABLE IF NOT EXISTS` initialisation.
+ */
+
+import { createTable } from '../init/utils.js';
+
+const tableDefinitions = [
+    {
+        name: 'colleges',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL
+        `
+    },
+    {
+        name: 'users',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            email TEXT UNIQUE NOT NULL COLLATE NOCASE,
+            hashed_password TEXT,
+            first_name TEXT NOT NULL,
+            last_name TEXT NOT NULL,
+            date_of_birth DATE,
+            college_id INTEGER,
+            emergency_contact_name TEXT,
+            emergency_contact_phone TEXT,
+            home_address TEXT,
+            phone_number TEXT,
+            has_medical_conditions BOOLEAN,
+            medical_conditions_details TEXT,
+            takes_medication BOOLEAN,
+            medication_details TEXT,
+            free_sessions INTEGER NOT NULL DEFAULT 3,
+            is_member BOOLEAN NOT NULL DEFAULT 0,
+            agrees_to_fitness_statement BOOLEAN,
+            agrees_to_club_rules BOOLEAN,
+            agrees_to_pay_debts BOOLEAN,
+            agrees_to_data_storage BOOLEAN,
+            agrees_to_keep_health_data BOOLEAN,
+            filled_legal_info BOOLEAN NOT NULL DEFAULT 0,
+            legal_filled_at DATETIME,
+            difficulty_level INTEGER not NULL DEFAULT 1,
+            is_instructor BOOLEAN NOT NULL DEFAULT 0,
+            first_aid_expiry DATE,
+            swims INTEGER NOT NULL DEFAULT 0,
+            booties INTEGER NOT NULL DEFAULT 0,
+            profile_picture_id INTEGER,
+            calendar_token TEXT UNIQUE,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (college_id) REFERENCES colleges(id),
+            FOREIGN KEY (profile_picture_id) REFERENCES files(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'event_series',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            frequency TEXT CHECK(frequency IN ('weekly', 'fortnightly')) NOT NULL DEFAULT 'weekly',
+            weekdays TEXT NOT NULL,
+            starts_on DATETIME NOT NULL,
+            ends_on DATETIME NOT NULL,
+            exclusions TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        `
+    },
+    {
+        name: 'events',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            description TEXT,
+            location TEXT,
+            start DATETIME NOT NULL,
+            end DATETIME NOT NULL,
+            difficulty_level INTEGER NOT NULL,
+            max_attendees INTEGER,
+            upfront_cost REAL NOT NULL DEFAULT 0,
+            upfront_refund_cutoff DATETIME,
+            is_canceled BOOLEAN NOT NULL DEFAULT 0,
+            enable_waitlist BOOLEAN NOT NULL DEFAULT 1,
+            signup_required BOOLEAN NOT NULL DEFAULT 1,
+            signup_opens_at DATETIME,
+            member_signup_opens_at DATETIME,
+            ballot_closes_at DATETIME,
+            ballot_drawn_at DATETIME,
+            ballot_seed TEXT,
+            image_id INTEGER,
+            series_id INTEGER,
+            is_series_override BOOLEAN NOT NULL DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (image_id) REFERENCES files(id) ON DELETE SET NULL,
+            FOREIGN KEY (series_id) REFERENCES event_series(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'event_attendees',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id INTEGER,
+            user_id INTEGER,
+            is_attending BOOLEAN NOT NULL DEFAULT 1,
+            joined_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            left_at DATETIME,
+            payment_transaction_id INTEGER,
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (payment_transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'event_signup_windows',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id INTEGER NOT NULL,
+            role_id INTEGER NOT NULL,
+            opens_at DATETIME NOT NULL,
+            UNIQUE(event_id, role_id),
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'event_ballot_entries',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            entered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            weight REAL,
+            draw_position INTEGER,
+            result TEXT CHECK(result IN ('won', 'waitlisted', 'ineligible')),
+            UNIQUE(event_id, user_id),
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'event_checkins',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            status TEXT NOT NULL CHECK(status IN ('present', 'late', 'absent')),
+            is_walk_in BOOLEAN NOT NULL DEFAULT 0,
+            checked_in_by INTEGER,
+            checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE(event_id, user_id),
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (checked_in_by) REFERENCES users(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'transactions',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER,
+            amount REAL NOT NULL,
+            description TEXT,
+            event_id INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'tags',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            color TEXT DEFAULT '#808080',
+            description TEXT,
+            min_difficulty INTEGER,
+            priority INTEGER DEFAULT 0,
+            join_policy TEXT CHECK(join_policy IN ('open', 'whitelist', 'role')) DEFAULT 'open',
+            view_policy TEXT CHECK(view_policy IN ('open', 'whitelist', 'role')) DEFAULT 'open',
+            image_id INTEGER,
+            FOREIGN KEY (image_id) REFERENCES files(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'event_tags',
+        schema: `
+            event_id INTEGER,
+            tag_id INTEGER,
+            PRIMARY KEY (event_id, tag_id),
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'tag_whitelists',
+        schema: `
+            tag_id INTEGER,
+            user_id INTEGER,
+            PRIMARY KEY (tag_id, user_id),
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'roles',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            description TEXT
+        `
+    },
+    {
+        name: 'permissions',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            slug TEXT UNIQUE NOT NULL,
+            description TEXT
+        `
+    },
+    {
+        name: 'role_permissions',
+        schema: `
+            role_id INTEGER,
+            permission_id INTEGER,
+            PRIMARY KEY (role_id, permission_id),
+            FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+            FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'user_roles',
+        schema: `
+            user_id INTEGER PRIMARY KEY,
+            role_id INTEGER,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'role_managed_tags',
+        schema: `
+            role_id INTEGER,
+            tag_id INTEGER,
+            PRIMARY KEY (role_id, tag_id),
+            FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'user_permissions',
+        schema: `
+            user_id INTEGER,
+            permission_id INTEGER,
+            PRIMARY KEY (user_id, permission_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (permission_id) REFERENCES permissions(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'user_managed_tags',
+        schema: `
+            user_id INTEGER,
+            tag_id INTEGER,
+            PRIMARY KEY (user_id, tag_id),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'swim_history',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            added_by INTEGER NOT NULL,
+            count INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY (added_by) REFERENCES users(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'event_waiting_list',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id INTEGER,
+            user_id INTEGER,
+            joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'waitlist_offers',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            event_id INTEGER NOT NULL,
+            user_id INTEGER NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'accepted', 'declined', 'expired')),
+            offered_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME NOT NULL,
+            responded_at DATETIME,
+            FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'file_categories',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            default_visibility TEXT CHECK(default_visibility IN ('public', 'members', 'execs', 'events')) NOT NULL DEFAULT 'members'
+        `
+    },
+    {
+        name: 'files',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            author TEXT,
+            date DATETIME DEFAULT CURRENT_TIMESTAMP,
+            size INTEGER,
+            filename TEXT,
+            hash TEXT,
+            category_id INTEGER,
+            visibility TEXT CHECK(visibility IN ('public', 'members', 'execs', 'events')) NOT NULL DEFAULT 'members',
+            content TEXT,
+            FOREIGN KEY (category_id) REFERENCES file_categories(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'password_resets',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token TEXT NOT NULL,
+            expires_at DATETIME NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'slides',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_id INTEGER NOT NULL,
+            display_order INTEGER DEFAULT 0,
+            FOREIGN KEY (file_id) REFERENCES files(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'notifications',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            category TEXT NOT NULL CHECK(category IN ('waitlist', 'event', 'transaction', 'role')),
+            title TEXT NOT NULL,
+            body TEXT,
+            link TEXT,
+            read_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'notification_preferences',
+        schema: `
+            user_id INTEGER NOT NULL,
+            category TEXT NOT NULL,
+            enabled INTEGER NOT NULL DEFAULT 1,
+            PRIMARY KEY (user_id, category),
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+        `
+    },
+    {
+        name: 'email_outbox',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER,
+            to_address TEXT NOT NULL,
+            template TEXT NOT NULL,
+            subject TEXT NOT NULL,
+            text_body TEXT NOT NULL,
+            html_body TEXT NOT NULL,
+            status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'sent', 'failed')),
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            next_attempt_at DATETIME,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            sent_at DATETIME,
+            FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+        `
+    },
+    {
+        name: 'audit_log',
+        schema: `
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            actor_id INTEGER,
+            action TEXT NOT NULL,
+            target_type TEXT NOT NULL,
+            target_id TEXT,
+            before_data TEXT,
+            after_data TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+        `
+    }
+];
+
+/**
+ * Columns that were added to existing tables before migrations were introduced.
+ * Databases created before then already have these tables, so the columns are added in place.
+ */
+const lateColumns = {
+    users: [
+        'calendar_token TEXT'
+    ],
+    events: [
+        'signup_opens_at DATETIME',
+        'member_signup_opens_at DATETIME',
+        'ballot_closes_at DATETIME',
+        'ballot_drawn_at DATETIME',
+        'ballot_seed TEXT',
+        'series_id INTEGER REFERENCES event_series(id) ON DELETE SET NULL',
+        'is_series_override BOOLEAN NOT NULL DEFAULT 0'
+    ]
+};
+
+export async function up(db) {
+    for (const table of tableDefinitions) {
+        await createTable(table.name, table.schema, db);
+    }
+
+    for (const [table, columns] of Object.entries(lateColumns)) {
+        const existing = (await db.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+        for (const column of columns) {
+            const name = column.split(' ')[0];
+            if (existing.includes(name)) continue;
+
+            await db.exec(`ALTER TABLE ${table} ADD COLUMN ${column};`);
+            // SQLite cannot add a UNIQUE column, so older databases get the constraint as an index instead
+            if (name === 'calendar_token') {
+                await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token ON users(calendar_token);');
+            }
+        }
+    }
+
+    // Prevent duplicate active signups for the same event
+    await db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_event_attendees_unique_active ON event_attendees(event_id, user_id) WHERE is_attending = 1;');
+
+    await db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS files_fts USING fts5(
+            title, filename, content,
+            content='files',
+            content_rowid='id',
+            tokenize='porter unicode61'
+        );
+    `);
+
+    await db.exec(`
+        CREATE TRIGGER IF NOT EXISTS files_ai AFTER INSERT ON files BEGIN
+            INSERT INTO files_fts(rowid, title, filename, content) VALUES (new.id, new.title, new.filename, new.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS files_ad AFTER DELETE ON files BEGIN
+            INSERT INTO files_fts(files_fts, rowid, title, filename, content) VALUES('delete', old.id, old.title, old.filename, old.content);
+        END;
+        CREATE TRIGGER IF NOT EXISTS files_au AFTER UPDATE ON files BEGIN
+            INSERT INTO files_fts(files_fts, rowid, title, filename, content) VALUES('delete', old.id, old.title, old.filename, old.content);
+            INSERT INTO files_fts(rowid, title, filename, content) VALUES (new.id, new.title, new.filename, new.content);
+        END;
+    `);
+}
+
+export async function down(db) {
+    await db.exec(`
+        DROP TRIGGER IF EXISTS files_ai;
+        DROP TRIGGER IF EXISTS files_ad;
+        DROP TRIGGER IF EXISTS files_au;
+        DROP TABLE IF EXISTS files_fts;
+    `);
+
+    for (const table of [...tableDefinitions].reverse()) {
+        await db.exec(`DROP TABLE IF EXISTS ${table.name};`);
+    }
+}
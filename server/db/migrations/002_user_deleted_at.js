@@ -0,0 +1,15 @@
+/**
+ * 002_user_deleted_at.js
+ *
+ * Records when an account was deleted, so the retention policy can remove it for good after a set time.
+ * Accounts deleted before this migration are treated as deleted now.
+ */
+
+export async function up(db) {
+    await db.run('ALTER TABLE users ADD COLUMN deleted_at DATETIME');
+    await db.run("UPDATE users SET deleted_at = CURRENT_TIMESTAMP WHERE email LIKE 'deleted:%'");
+}
+
+export async function down(db) {
+    await db.run('ALTER TABLE users DROP COLUMN deleted_at');
+}
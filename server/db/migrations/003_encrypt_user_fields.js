@@ -0,0 +1,31 @@
+/**
+ * 003_encrypt_user_fields.js
+ *
+ * Encrypts the medical and emergency contact details already stored in plaintext. Requires the field encryption key.
+ * Rolling back decrypts them again.
+ */
+
+import FieldEncryption from '../../misc/FieldEncryption.js';
+
+/**
+ * Rewrite every non-null sensitive value in `users` with the given transform.
+ */
+async function rewrite(db, transform) {
+    const rows = await db.all(`SELECT id, ${FieldEncryption.FIELDS.join(', ')} FROM users`);
+    for (const row of rows) {
+        const fields = FieldEncryption.FIELDS.filter(f => row[f] !== null);
+        if (fields.length === 0) continue;
+        await db.run(
+            `UPDATE users SET ${fields.map(f => `${f} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(f => transform(f, row[f])), row.id]
+        );
+    }
+}
+
+export async function up(db) {
+    await rewrite(db, (field, value) => FieldEncryption.encrypt(field, value));
+}
+
+export async function down(db) {
+    await rewrite(db, (field, value) => FieldEncryption.decrypt(field, value));
+}
@@ -0,0 +1,29 @@
+/**
+ * 004_two_factor.js
+ *
+ * Storage for TOTP two-factor authentication: each member's encrypted secret, and their one-use backup codes.
+ * A secret is only active once `confirmed_at` is set, after the member has entered a code from their app.
+ */
+
+export async function up(db) {
+    await db.run(`CREATE TABLE user_two_factor (
+        user_id INTEGER PRIMARY KEY,
+        secret TEXT NOT NULL,
+        confirmed_at DATETIME,
+        last_step INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.run(`CREATE TABLE user_backup_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.run('CREATE INDEX idx_user_backup_codes_user ON user_backup_codes(user_id)');
+}
+
+export async function down(db) {
+    await db.run('DROP TABLE user_backup_codes');
+    await db.run('DROP TABLE user_two_factor');
+}
@@ -0,0 +1,25 @@
+/**
+ * 005_user_sessions.js
+ *
+ * Tracks each signed-in session so members can see where they are logged in and sign sessions out.
+ * The session store keeps the session data; this table records who it belongs to, the device and when it was used.
+ * Sessions from before this migration are not listed, so they are signed out on their next request.
+ */
+
+export async function up(db) {
+    await db.run(`CREATE TABLE user_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sid TEXT NOT NULL UNIQUE,
+        user_id INTEGER NOT NULL,
+        user_agent TEXT,
+        ip TEXT,
+        created_at DATETIME NOT NULL,
+        last_seen_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.run('CREATE INDEX idx_user_sessions_user ON user_sessions(user_id)');
+}
+
+export async function down(db) {
+    await db.run('DROP TABLE user_sessions');
+}
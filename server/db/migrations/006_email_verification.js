@@ -0,0 +1,27 @@
+/**
+ * 006_email_verification.js
+ *
+ * Records when a user proved they own their email address, and the verification links sent to them.
+ * Accounts that existed before this migration are treated as verified, so current members are not locked out.
+ */
+
+export async function up(db) {
+    await db.run('ALTER TABLE users ADD COLUMN email_verified_at DATETIME');
+    await db.run("UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP) WHERE email NOT LIKE 'deleted:%'");
+
+    await db.run(`CREATE TABLE email_verifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.run('CREATE INDEX idx_email_verifications_user ON email_verifications(user_id)');
+}
+
+export async function down(db) {
+    await db.run('DROP TABLE email_verifications');
+    await db.run('ALTER TABLE users DROP COLUMN email_verified_at');
+}
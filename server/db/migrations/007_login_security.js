@@ -0,0 +1,60 @@
+/**
+ * 007_login_security.js
+ *
+ * Keeps a history of login attempts for each account, and the count of recent failures that locks an account
+ * after repeated wrong passwords or codes. Adds the 'security' notification category for new-device alerts,
+ * which means rebuilding `notifications` to widen its category check.
+ */
+
+/**
+ * Rebuild the notifications table allowing the given categories, keeping every row in one of them.
+ */
+async function rebuildNotifications(db, categories) {
+    const list = categories.map(c => `'${c}'`).join(', ');
+    await db.run(`CREATE TABLE notifications_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        category TEXT NOT NULL CHECK(category IN (${list})),
+        title TEXT NOT NULL,
+        body TEXT,
+        link TEXT,
+        read_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.run(`INSERT INTO notifications_new SELECT id, user_id, category, title, body, link, read_at, created_at
+                  FROM notifications WHERE category IN (${list})`);
+    await db.run('DROP TABLE notifications');
+    await db.run('ALTER TABLE notifications_new RENAME TO notifications');
+}
+
+export async function up(db) {
+    await db.run(`CREATE TABLE login_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        success INTEGER NOT NULL,
+        reason TEXT,
+        ip TEXT,
+        user_agent TEXT,
+        created_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+    await db.run('CREATE INDEX idx_login_history_user ON login_history(user_id, created_at)');
+
+    await db.run(`CREATE TABLE login_lockouts (
+        user_id INTEGER PRIMARY KEY,
+        failed_count INTEGER NOT NULL DEFAULT 0,
+        last_failed_at DATETIME,
+        locked_until DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    )`);
+
+    await rebuildNotifications(db, ['waitlist', 'event', 'transaction', 'role', 'security']);
+}
+
+export async function down(db) {
+    await rebuildNotifications(db, ['waitlist', 'event', 'transaction', 'role']);
+    await db.run("DELETE FROM notification_preferences WHERE category = 'security'");
+    await db.run('DROP TABLE login_lockouts');
+    await db.run('DROP TABLE login_history');
+}
@@ -0,0 +1,26 @@
+/**
+ * 008_transaction_categories.js
+ *
+ * Gives every transaction a category, an optional counterpart account (where the money came from or went to,
+ * e.g. the club bank account) and an optional reference or receipt number, for the treasurer's ledger.
+ * Existing transactions are categorised from the descriptions the site wrote for them; anything else is 'other'.
+ */
+
+export async function up(db) {
+    await db.run("ALTER TABLE transactions ADD COLUMN category TEXT NOT NULL DEFAULT 'other'");
+    await db.run('ALTER TABLE transactions ADD COLUMN counterpart TEXT');
+    await db.run('ALTER TABLE transactions ADD COLUMN reference TEXT');
+
+    await db.run("UPDATE transactions SET category = 'membership' WHERE description = 'Membership Fee'");
+    await db.run("UPDATE transactions SET category = 'refund' WHERE description LIKE 'Refund for %' AND amount > 0");
+    await db.run("UPDATE transactions SET category = 'event' WHERE description LIKE '% upfront cost' AND amount < 0");
+
+    await db.run('CREATE INDEX idx_transactions_category_created ON transactions(category, created_at)');
+}
+
+export async function down(db) {
+    await db.run('DROP INDEX idx_transactions_category_created');
+    await db.run('ALTER TABLE transactions DROP COLUMN reference');
+    await db.run('ALTER TABLE transactions DROP COLUMN counterpart');
+    await db.run('ALTER TABLE transactions DROP COLUMN category');
+}
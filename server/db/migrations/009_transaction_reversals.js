@@ -0,0 +1,67 @@
+/**
+ * 009_transaction_reversals.js
+ *
+ * Makes the ledger append-only. A transaction is never edited or deleted: it is reversed by a new entry that
+ * points back at it (`reverses_id`), and a correction adds a replacement entry (`replaces_id`). Both record the
+ * reason and the exec who made them (`created_by`), which is empty for entries the site makes itself.
+ * Rebuilds `transactions` to add the links as foreign keys, and adds a trigger refusing updates to recorded
+ * entries. `event_id` stays writable so deleting an event can still clear it.
+ */
+
+const COLUMNS = 'id, user_id, amount, description, event_id, created_at, category, counterpart, reference';
+
+export async function up(db) {
+    await db.run(`CREATE TABLE transactions_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        description TEXT,
+        event_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        category TEXT NOT NULL DEFAULT 'other',
+        counterpart TEXT,
+        reference TEXT,
+        reverses_id INTEGER,
+        replaces_id INTEGER,
+        reason TEXT,
+        created_by INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL,
+        FOREIGN KEY (reverses_id) REFERENCES transactions(id),
+        FOREIGN KEY (replaces_id) REFERENCES transactions(id),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    await db.run(`INSERT INTO transactions_new (${COLUMNS}) SELECT ${COLUMNS} FROM transactions`);
+    await db.run('DROP TABLE transactions');
+    await db.run('ALTER TABLE transactions_new RENAME TO transactions');
+
+    await db.run('CREATE INDEX idx_transactions_category_created ON transactions(category, created_at)');
+    await db.run('CREATE UNIQUE INDEX idx_transactions_reverses ON transactions(reverses_id) WHERE reverses_id IS NOT NULL');
+    await db.run(`CREATE TRIGGER transactions_append_only
+        BEFORE UPDATE OF user_id, amount, description, created_at, category, counterpart, reference, reverses_id, replaces_id, reason
+        ON transactions
+        BEGIN
+            SELECT RAISE(ABORT, 'Transactions cannot be changed; reverse them instead');
+        END`);
+}
+
+export async function down(db) {
+    await db.run('DROP TRIGGER transactions_append_only');
+    await db.run(`CREATE TABLE transactions_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        description TEXT,
+        event_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        category TEXT NOT NULL DEFAULT 'other',
+        counterpart TEXT,
+        reference TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL
+    )`);
+    await db.run(`INSERT INTO transactions_old (${COLUMNS}) SELECT ${COLUMNS} FROM transactions`);
+    await db.run('DROP TABLE transactions');
+    await db.run('ALTER TABLE transactions_old RENAME TO transactions');
+    await db.run('CREATE INDEX idx_transactions_category_created ON transactions(category, created_at)');
+}
@@ -0,0 +1,48 @@
+/**
+ * 010_bank_imports.js
+ *
+ * Stores imported bank statements and their rows for reconciliation. Each money-in row is matched to a member,
+ * or left for the treasurer to match, and becomes a credit transaction once confirmed.
+ * A statement file can only be imported once (`file_hash`), and a row seen in an earlier statement is not
+ * imported again (`fingerprint`).
+ */
+
+export async function up(db) {
+    await db.run(`CREATE TABLE bank_imports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        filename TEXT,
+        file_hash TEXT NOT NULL UNIQUE,
+        mapping TEXT NOT NULL,
+        imported_by INTEGER,
+        created_at DATETIME NOT NULL,
+        FOREIGN KEY (imported_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    await db.run(`CREATE TABLE bank_import_rows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        import_id INTEGER NOT NULL,
+        row_number INTEGER NOT NULL,
+        date TEXT NOT NULL,
+        amount REAL NOT NULL,
+        payee TEXT,
+        reference TEXT,
+        fingerprint TEXT NOT NULL UNIQUE,
+        status TEXT NOT NULL CHECK(status IN ('matched', 'ambiguous', 'unmatched', 'confirmed', 'ignored')),
+        match_reason TEXT,
+        user_id INTEGER,
+        candidate_ids TEXT,
+        transaction_id INTEGER,
+        resolved_by INTEGER,
+        resolved_at DATETIME,
+        FOREIGN KEY (import_id) REFERENCES bank_imports(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL,
+        FOREIGN KEY (resolved_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    await db.run('CREATE INDEX idx_bank_import_rows_import ON bank_import_rows(import_id, status)');
+}
+
+export async function down(db) {
+    await db.run('DROP TABLE bank_import_rows');
+    await db.run('DROP TABLE bank_imports');
+}
@@ -0,0 +1,31 @@
+/**
+ * 011_payments.js
+ *
+ * Records online top-ups. A payment starts 'pending' when the member is sent to the provider's checkout and ends
+ * 'succeeded', 'failed' or 'expired' when the provider's webhook says so. A succeeded payment links to the credit
+ * transaction it became; the provider's session ID is unique so a payment can only be credited once.
+ */
+
+export async function up(db) {
+    await db.run(`CREATE TABLE payments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        amount REAL NOT NULL,
+        currency TEXT NOT NULL,
+        provider TEXT NOT NULL,
+        provider_session_id TEXT UNIQUE,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'succeeded', 'failed', 'expired')),
+        failure_reason TEXT,
+        transaction_id INTEGER,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+    )`);
+    await db.run('CREATE INDEX idx_payments_status_created ON payments(status, created_at)');
+    await db.run('CREATE INDEX idx_payments_user ON payments(user_id)');
+}
+
+export async function down(db) {
+    await db.run('DROP TABLE payments');
+}
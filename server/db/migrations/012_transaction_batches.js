@@ -0,0 +1,81 @@
+/**
+ * 012_transaction_batches.js
+ *
+ * Records bulk charges and credits. A batch is one charge or credit applied to many members at once, e.g. fuel
+ * for everyone on a trip; each member's entry points back at it through `transactions.batch_id`, so the batch can
+ * be reviewed and reversed as a whole. `selection` keeps how the members were chosen.
+ * Adds `batch_id` to `transactions` and to the columns the append-only trigger protects.
+ */
+
+const COLUMNS = 'id, user_id, amount, description, event_id, created_at, category, counterpart, reference, reverses_id, replaces_id, reason, created_by';
+const PROTECTED = 'user_id, amount, description, created_at, category, counterpart, reference, reverses_id, replaces_id, reason';
+
+export async function up(db) {
+    await db.run(`CREATE TABLE transaction_batches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        description TEXT NOT NULL,
+        category TEXT NOT NULL,
+        counterpart TEXT,
+        reference TEXT,
+        kind TEXT NOT NULL CHECK(kind IN ('charge', 'credit')),
+        mode TEXT NOT NULL CHECK(mode IN ('split', 'fixed')),
+        amount REAL NOT NULL,
+        selection TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME NOT NULL,
+        reversed_by INTEGER,
+        reversed_at DATETIME,
+        reverse_reason TEXT,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (reversed_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+
+    await db.run('ALTER TABLE transactions ADD COLUMN batch_id INTEGER REFERENCES transaction_batches(id)');
+    await db.run('CREATE INDEX idx_transactions_batch ON transactions(batch_id) WHERE batch_id IS NOT NULL');
+
+    await db.run('DROP TRIGGER transactions_append_only');
+    await db.run(`CREATE TRIGGER transactions_append_only
+        BEFORE UPDATE OF ${PROTECTED}, batch_id
+        ON transactions
+        BEGIN
+            SELECT RAISE(ABORT, 'Transactions cannot be changed; reverse them instead');
+        END`);
+}
+
+export async function down(db) {
+    // SQLite cannot drop a column with a foreign key, so the table is rebuilt without it
+    await db.run('DROP TRIGGER transactions_append_only');
+    await db.run(`CREATE TABLE transactions_old (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER,
+        amount REAL NOT NULL,
+        description TEXT,
+        event_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        category TEXT NOT NULL DEFAULT 'other',
+        counterpart TEXT,
+        reference TEXT,
+        reverses_id INTEGER,
+        replaces_id INTEGER,
+        reason TEXT,
+        created_by INTEGER,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL,
+        FOREIGN KEY (reverses_id) REFERENCES transactions(id),
+        FOREIGN KEY (replaces_id) REFERENCES transactions(id),
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )`);
+    await db.run(`INSERT INTO transactions_old (${COLUMNS}) SELECT ${COLUMNS} FROM transactions`);
+    await db.run('DROP TABLE transactions');
+    await db.run('ALTER TABLE transactions_old RENAME TO transactions');
+
+    await db.run('CREATE INDEX idx_transactions_category_created ON transactions(category, created_at)');
+    await db.run('CREATE UNIQUE INDEX idx_transactions_reverses ON transactions(reverses_id) WHERE reverses_id IS NOT NULL');
+    await db.run(`CREATE TRIGGER transactions_append_only
+        BEFORE UPDATE OF ${PROTECTED}
+        ON transactions
+        BEGIN
+            SELECT RAISE(ABORT, 'Transactions cannot be changed; reverse them instead');
+        END`);
+    await db.run('DROP TABLE transaction_batches');
+}
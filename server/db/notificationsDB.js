@@ -0,0 +1,153 @@
+/**
+ * notificationsDB.js
+ *
+ * This module manages each user's in-app notification inbox and which notification categories they receive.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class NotificationsDB {
+    /**
+     * Notification categories. Users can switch each one off.
+     */
+    static CATEGORIES = ['waitlist', 'event', 'transaction', 'role', 'security'];
+
+    /**
+     * Add a notification to a user's inbox, unless they have switched its category off.
+     * @param {object} notification - Title, optional body and optional in-app link.
+     * @returns {Promise<statusObject>} - Data holds the new notification ID, or null if the category is muted.
+     */
+    static async create(db, userId, category, { title, body = null, link = null }) {
+        if (!this.CATEGORIES.includes(category)) return new statusObject(400, 'Invalid notification category');
+
+        try {
+            const pref = await db.get('SELECT enabled FROM notification_preferences WHERE user_id = ? AND category = ?', [userId, category]);
+            if (pref && !pref.enabled) return new statusObject(200, null, null);
+
+            const result = await db.run(
+                'INSERT INTO notifications (user_id, category, title, body, link, created_at) VALUES (?, ?, ?, ?, ?, ?)',
+                [userId, category, title, body, link, new Date().toISOString()]
+            );
+            return new statusObject(200, null, result.lastID);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a page of a user's notifications, newest first, along with their unread count.
+     */
+    static async getForUser(db, userId, { page = 1, limit = 20, unreadOnly = false } = {}) {
+        const offset = (page - 1) * limit;
+        const filter = unreadOnly ? 'AND read_at IS NULL' : '';
+
+        try {
+            const notifications = await db.all(
+                `SELECT id, category, title, body, link, read_at, created_at FROM notifications
+                 WHERE user_id = ? ${filter} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+                [userId, limit, offset]
+            );
+            const total = await db.get(`SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? ${filter}`, [userId]);
+            const unread = await db.get('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId]);
+
+            return new statusObject(200, null, {
+                notifications,
+                unread: unread.count,
+                totalPages: Math.ceil(total.count / limit),
+                currentPage: page
+            });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Count a user's unread notifications.
+     */
+    static async getUnreadCount(db, userId) {
+        try {
+            const row = await db.get('SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId]);
+            return new statusObject(200, null, row.count);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Mark one of a user's notifications as read.
+     */
+    static async markRead(db, userId, notificationId) {
+        try {
+            const notification = await db.get('SELECT id, read_at FROM notifications WHERE id = ? AND user_id = ?', [notificationId, userId]);
+            if (!notification) return new statusObject(404, 'Notification not found');
+            if (!notification.read_at) {
+                await db.run('UPDATE notifications SET read_at = ? WHERE id = ?', [new Date().toISOString(), notificationId]);
+            }
+            return new statusObject(200, 'Notification marked as read');
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Mark all of a user's notifications as read.
+     */
+    static async markAllRead(db, userId) {
+        try {
+            const result = await db.run('UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL', [new Date().toISOString(), userId]);
+            return new statusObject(200, `${result.changes} notifications marked as read`);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch which categories a user receives. Categories default to on.
+     * @returns {Promise<statusObject>} - Data maps each category to a boolean.
+     */
+    static async getPreferences(db, userId) {
+        try {
+            const rows = await db.all('SELECT category, enabled FROM notification_preferences WHERE user_id = ?', [userId]);
+            const preferences = Object.fromEntries(this.CATEGORIES.map(c => [c, true]));
+            for (const row of rows) {
+                if (row.category in preferences) preferences[row.category] = !!row.enabled;
+            }
+            return new statusObject(200, null, preferences);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Switch notification categories on or off for a user. Categories not mentioned are left unchanged.
+     * @param {object} preferences - Map of category to boolean.
+     */
+    static async setPreferences(db, userId, preferences) {
+        const entries = Object.entries(preferences || {});
+        if (entries.length === 0) return new statusObject(400, 'No preferences given');
+        for (const [category, enabled] of entries) {
+            if (!this.CATEGORIES.includes(category)) return new statusObject(400, `Invalid notification category '${category}'`);
+            if (typeof enabled !== 'boolean') return new statusObject(400, 'Preferences must be true or false');
+        }
+
+        try {
+            for (const [category, enabled] of entries) {
+                await db.run(
+                    'INSERT OR REPLACE INTO notification_preferences (user_id, category, enabled) VALUES (?, ?, ?)',
+                    [userId, category, enabled ? 1 : 0]
+                );
+            }
+            return this.getPreferences(db, userId);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
@@ -0,0 +1,93 @@
+/**
+ * paymentsDB.js
+ *
+ * This module records online top-ups and their progress through the payment provider.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class PaymentsDB {
+    static STATUSES = ['pending', 'succeeded', 'failed', 'expired'];
+
+    /**
+     * Record a new pending payment.
+     * @returns {Promise<number>} - The payment's ID.
+     */
+    static async create(db, userId, amount, currency, provider, now = new Date()) {
+        const result = await db.run(
+            'INSERT INTO payments (user_id, amount, currency, provider, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+            [userId, amount, currency, provider, now.toISOString(), now.toISOString()]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Attach the provider's checkout session to a payment.
+     */
+    static async setSession(db, paymentId, sessionId) {
+        await db.run('UPDATE payments SET provider_session_id = ? WHERE id = ?', [sessionId, paymentId]);
+    }
+
+    /**
+     * Find a payment by the provider's checkout session ID.
+     * @returns {Promise<object|undefined>}
+     */
+    static async getBySession(db, provider, sessionId) {
+        return await db.get('SELECT * FROM payments WHERE provider = ? AND provider_session_id = ?', [provider, sessionId]);
+    }
+
+    /**
+     * Mark a pending payment as ended, so a repeated webhook cannot act on it again.
+     * @param {string} status - 'succeeded', 'failed' or 'expired'.
+     * @returns {Promise<boolean>} - False if the payment had already ended.
+     */
+    static async finish(db, paymentId, status, failureReason = null, now = new Date()) {
+        const result = await db.run(
+            "UPDATE payments SET status = ?, failure_reason = ?, updated_at = ? WHERE id = ? AND status = 'pending'",
+            [status, failureReason, now.toISOString(), paymentId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Link a succeeded payment to the credit transaction it became.
+     */
+    static async setTransaction(db, paymentId, transactionId) {
+        await db.run('UPDATE payments SET transaction_id = ? WHERE id = ?', [transactionId, paymentId]);
+    }
+
+    /**
+     * Fetch a page of payments, newest first, optionally of one status, with the member's name and how many
+     * payments are in each status.
+     */
+    static async list(db, { status = null, page = 1, limit = 50 } = {}) {
+        try {
+            const where = status ? 'WHERE p.status = ?' : '';
+            const params = status ? [status] : [];
+
+            const payments = await db.all(
+                `SELECT p.id, p.user_id, p.amount, p.currency, p.provider, p.provider_session_id, p.status, p.failure_reason,
+                        p.transaction_id, p.created_at, p.updated_at, u.first_name, u.last_name, u.email
+                 FROM payments p
+                 JOIN users u ON u.id = p.user_id
+                 ${where}
+                 ORDER BY p.created_at DESC, p.id DESC LIMIT ? OFFSET ?`,
+                [...params, limit, (page - 1) * limit]
+            );
+            const total = await db.get(`SELECT COUNT(*) AS count FROM payments p ${where}`, params);
+            const counts = await db.all('SELECT status, COUNT(*) AS count FROM payments GROUP BY status');
+
+            return new statusObject(200, null, {
+                payments,
+                total: total.count,
+                totalPages: Math.ceil(total.count / limit),
+                currentPage: page,
+                counts: Object.fromEntries(this.STATUSES.map(s => [s, counts.find(c => c.status === s)?.count || 0]))
+            });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
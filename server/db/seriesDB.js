@@ -0,0 +1,178 @@
+/**
+ * seriesDB.js
+ *
+ * This module manages recurring event series and the occurrences generated from them.
+ */
+
+import { statusObject } from '../misc/status.js';
+import EventsDB from './eventsDB.js';
+import Logger from '../misc/Logger.js';
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Return the Monday (local midnight) of the week containing the given date.
+ */
+function startOfWeek(date) {
+    const monday = new Date(date);
+    monday.setDate(monday.getDate() - (monday.getDay() === 0 ? 6 : monday.getDay() - 1));
+    monday.setHours(0, 0, 0, 0);
+    return monday;
+}
+
+/**
+ * Format a date as a local YYYY-MM-DD key.
+ */
+function toDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+export default class SeriesDB {
+    static FREQUENCIES = ['weekly', 'fortnightly'];
+    static SCOPES = ['this', 'following', 'all'];
+    static MAX_OCCURRENCES = 100;
+
+    /**
+     * Expand a recurrence rule into the start dates of every occurrence.
+     * The first occurrence keeps the time of day of `start`; `until` is an inclusive date.
+     */
+    static getOccurrenceDates(start, recurrence) {
+        const { frequency = 'weekly', weekdays, until, exclusions } = recurrence || {};
+
+        if (!this.FREQUENCIES.includes(frequency)) return new statusObject(400, 'Invalid recurrence frequency');
+
+        const first = new Date(start);
+        const last = new Date(until);
+        if (isNaN(first.getTime()) || isNaN(last.getTime())) return new statusObject(400, 'Invalid recurrence dates');
+        last.setHours(23, 59, 59, 999);
+        if (last < first) return new statusObject(400, 'Series must end after it starts');
+
+        const days = (Array.isArray(weekdays) && weekdays.length > 0 ? weekdays : [first.getDay()]).map(d => parseInt(d, 10));
+        if (days.some(d => Number.isNaN(d) || d < 0 || d > 6)) return new statusObject(400, 'Invalid recurrence weekdays');
+
+        const excluded = new Set(Array.isArray(exclusions) ? exclusions : []);
+        const weekStep = frequency === 'fortnightly' ? 2 : 1;
+        const firstWeek = startOfWeek(first);
+
+        const dates = [];
+        for (const cursor = new Date(first); cursor <= last; cursor.setDate(cursor.getDate() + 1)) {
+            if (!days.includes(cursor.getDay())) continue;
+
+            const weekIndex = Math.round((startOfWeek(cursor) - firstWeek) / WEEK_MS);
+            if (weekIndex % weekStep !== 0) continue;
+            if (excluded.has(toDateKey(cursor))) continue;
+
+            dates.push(new Date(cursor));
+            if (dates.length > this.MAX_OCCURRENCES) {
+                return new statusObject(400, `A series cannot have more than ${this.MAX_OCCURRENCES} occurrences`);
+            }
+        }
+
+        if (dates.length === 0) return new statusObject(400, 'Recurrence rule produces no occurrences');
+        return new statusObject(200, null, dates);
+    }
+
+    /**
+     * Create a series and one event row per occurrence, using the request body as the template.
+     */
+    static async createSeries(db, data) {
+        const { recurrence, ...template } = data;
+
+        const datesRes = this.getOccurrenceDates(template.start, recurrence);
+        if (datesRes.isError()) return datesRes;
+        const dates = datesRes.getData();
+
+        const templateStart = new Date(template.start);
+        const duration = new Date(template.end) - templateStart;
+        if (Number.isNaN(duration) || duration < 0) return new statusObject(400, 'Event must end after it starts');
+
+        try {
+            await db.run('BEGIN TRANSACTION');
+
+            const result = await db.run(
+                'INSERT INTO event_series (frequency, weekdays, starts_on, ends_on, exclusions) VALUES (?, ?, ?, ?, ?)',
+                [
+                    recurrence.frequency || 'weekly',
+                    dates.map(d => d.getDay()).filter((d, i, all) => all.indexOf(d) === i).join(','),
+                    dates[0].toISOString(),
+                    dates[dates.length - 1].toISOString(),
+                    JSON.stringify(Array.isArray(recurrence.exclusions) ? recurrence.exclusions : [])
+                ]
+            );
+            const seriesId = result.lastID;
+
+            const eventIds = [];
+            for (const date of dates) {
+                const occurrence = {
+                    ...template,
+                    ...EventsDB.shiftRelativeDates(template, templateStart, date),
+                    series_id: seriesId,
+                    start: date.toISOString(),
+                    end: new Date(date.getTime() + duration).toISOString()
+                };
+
+                const eventRes = await EventsDB.createEvent(db, occurrence);
+                if (eventRes.isError()) {
+                    await db.run('ROLLBACK');
+                    return eventRes;
+                }
+                eventIds.push(eventRes.getData().id);
+            }
+
+            await db.run('COMMIT');
+            return new statusObject(200, null, { id: seriesId, events: eventIds });
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a series with a summary of its occurrences.
+     */
+    static async getSeriesById(db, seriesId) {
+        try {
+            const series = await db.get('SELECT * FROM event_series WHERE id = ?', [seriesId]);
+            if (!series) return new statusObject(404, 'Series not found');
+
+            series.weekdays = series.weekdays ? series.weekdays.split(',').map(d => parseInt(d, 10)) : [];
+            series.exclusions = series.exclusions ? JSON.parse(series.exclusions) : [];
+            series.occurrences = await db.all(
+                'SELECT id, title, start, end, is_canceled, is_series_override FROM events WHERE series_id = ? ORDER BY start ASC',
+                [seriesId]
+            );
+
+            return new statusObject(200, null, series);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Resolve which occurrences an edit applies to.
+     * 'this' is the event alone, 'following' is it and every later occurrence, and 'all' is every
+     * occurrence that has not yet started. Individually edited occurrences are left alone unless
+     * `includeOverrides` is set.
+     */
+    static async getScopeTargets(db, event, scope, includeOverrides = false) {
+        if (!this.SCOPES.includes(scope)) return new statusObject(400, 'Invalid scope');
+        if (scope === 'this' || !event.series_id) return new statusObject(200, null, [event]);
+
+        const overrideClause = includeOverrides ? '' : 'AND (is_series_override = 0 OR id = ?)';
+        const overrideParams = includeOverrides ? [] : [event.id];
+
+        const [boundaryClause, boundaryParams] = scope === 'following'
+            ? ['start >= ?', [event.start]]
+            : ['(start >= ? OR id = ?)', [new Date().toISOString(), event.id]];
+
+        const targets = await db.all(
+            `SELECT * FROM events WHERE series_id = ? AND ${boundaryClause} ${overrideClause} ORDER BY start ASC`,
+            [event.series_id, ...boundaryParams, ...overrideParams]
+        );
+
+        return new statusObject(200, null, targets);
+    }
+}
@@ -0,0 +1,104 @@
+/**
+ * sessionsDB.js
+ *
+ * This module manages the record of signed-in sessions: who each belongs to, the device and when it was last used.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class SessionsDB {
+    /**
+     * Record a newly signed-in session.
+     */
+    static async create(db, sid, userId, userAgent, ip, now = new Date()) {
+        try {
+            const timestamp = now.toISOString();
+            await db.run(
+                `INSERT INTO user_sessions (sid, user_id, user_agent, ip, created_at, last_seen_at) VALUES (?, ?, ?, ?, ?, ?)
+                 ON CONFLICT(sid) DO UPDATE SET user_id = excluded.user_id, user_agent = excluded.user_agent, ip = excluded.ip,
+                     created_at = excluded.created_at, last_seen_at = excluded.last_seen_at`,
+                [sid, userId, userAgent, ip, timestamp, timestamp]
+            );
+            return new statusObject(200);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Find a session record by its store ID.
+     */
+    static async getBySid(db, sid) {
+        return await db.get('SELECT * FROM user_sessions WHERE sid = ?', [sid]);
+    }
+
+    /**
+     * Update when and from where a session was last used.
+     */
+    static async touch(db, sid, ip, now = new Date()) {
+        await db.run('UPDATE user_sessions SET last_seen_at = ?, ip = ? WHERE sid = ?', [now.toISOString(), ip, sid]);
+    }
+
+    /**
+     * List a user's sessions used since a cutoff, most recently used first.
+     */
+    static async listForUser(db, userId, since) {
+        try {
+            const sessions = await db.all(
+                `SELECT id, sid, user_agent, ip, created_at, last_seen_at FROM user_sessions
+                 WHERE user_id = ? AND julianday(last_seen_at) >= julianday(?)
+                 ORDER BY last_seen_at DESC`,
+                [userId, since.toISOString()]
+            );
+            return new statusObject(200, null, sessions);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Remove session records, returning the store IDs removed. With `sessionId` only that session is removed,
+     * and with `exceptSid` every session but that one.
+     * @returns {Promise<statusObject>} - Data holds the removed store IDs.
+     */
+    static async remove(db, userId, { sessionId = null, exceptSid = null } = {}) {
+        try {
+            let where = 'user_id = ?';
+            const params = [userId];
+            if (sessionId !== null) {
+                where += ' AND id = ?';
+                params.push(sessionId);
+            }
+            if (exceptSid !== null) {
+                where += ' AND sid != ?';
+                params.push(exceptSid);
+            }
+
+            const rows = await db.all(`SELECT sid FROM user_sessions WHERE ${where}`, params);
+            await db.run(`DELETE FROM user_sessions WHERE ${where}`, params);
+            return new statusObject(200, null, rows.map(r => r.sid));
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Remove the record of a session that has logged out.
+     */
+    static async removeBySid(db, sid) {
+        await db.run('DELETE FROM user_sessions WHERE sid = ?', [sid]);
+    }
+
+    /**
+     * Remove records of sessions not used since a cutoff, which the store has expired.
+     * @returns {Promise<number>} - Number of records removed.
+     */
+    static async removeStale(db, cutoff) {
+        const result = await db.run('DELETE FROM user_sessions WHERE julianday(last_seen_at) < julianday(?)', [cutoff.toISOString()]);
+        return result.changes;
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * transactionBatchDB.js
+ *
+ * This module stores bulk charges and credits, and finds the members they can be applied to.
+ */
+
+import { statusObject } from '../misc/status.js';
+import Logger from '../misc/Logger.js';
+
+export default class TransactionBatchDB {
+    /**
+     * Members attending an event, i.e. signed up and not since left.
+     * @returns {Promise<number[]>}
+     */
+    static async getEventAttendeeIds(db, eventId) {
+        const rows = await db.all('SELECT DISTINCT user_id FROM event_attendees WHERE event_id = ? AND is_attending = 1', [eventId]);
+        return rows.map(r => r.user_id);
+    }
+
+    /**
+     * Members on a tag's whitelist.
+     * @returns {Promise<number[]>}
+     */
+    static async getTagWhitelistIds(db, tagId) {
+        const rows = await db.all('SELECT user_id FROM tag_whitelists WHERE tag_id = ?', [tagId]);
+        return rows.map(r => r.user_id);
+    }
+
+    /**
+     * Members holding a role.
+     * @returns {Promise<number[]>}
+     */
+    static async getRoleHolderIds(db, roleId) {
+        const rows = await db.all('SELECT user_id FROM user_roles WHERE role_id = ?', [roleId]);
+        return rows.map(r => r.user_id);
+    }
+
+    /**
+     * Paid-up club members.
+     * @returns {Promise<number[]>}
+     */
+    static async getMemberIds(db) {
+        const rows = await db.all('SELECT id FROM users WHERE is_member = 1');
+        return rows.map(r => r.id);
+    }
+
+    /**
+     * Fetch the accounts with the given IDs that have not been deleted, with their balances, ordered by name.
+     * @returns {Promise<Array<{id: number, first_name: string, last_name: string, email: string, balance: number}>>}
+     */
+    static async getUsersByIds(db, userIds) {
+        if (userIds.length === 0) return [];
+        return await db.all(
+            `SELECT u.id, u.first_name, u.last_name, u.email,
+                    (SELECT COALESCE(SUM(amount), 0) FROM transactions WHERE user_id = u.id) AS balance
+             FROM users u
+             WHERE u.id IN (SELECT value FROM json_each(?)) AND u.deleted_at IS NULL
+             ORDER BY u.last_name COLLATE NOCASE, u.first_name COLLATE NOCASE, u.id`,
+            [JSON.stringify(userIds)]
+        );
+    }
+
+    /**
+     * The events, tags and roles members can be chosen by. Events are those of the last year and upcoming ones.
+     */
+    static async getSources(db, now = new Date()) {
+        try {
+            const since = new Date(now);
+            since.setFullYear(since.getFullYear() - 1);
+
+            const events = await db.all(
+                `SELECT e.id, e.title, e.start, COUNT(a.id) AS attendees
+                 FROM events e
+                 LEFT JOIN event_attendees a ON a.event_id = e.id AND a.is_attending = 1
+                 WHERE e.start >= ?
+                 GROUP BY e.id ORDER BY e.start DESC`,
+                [since.toISOString()]
+            );
+            const tags = await db.all('SELECT t.id, t.name, COUNT(w.user_id) AS members FROM tags t LEFT JOIN tag_whitelists w ON w.tag_id = t.id GROUP BY t.id ORDER BY t.name');
+            const roles = await db.all('SELECT r.id, r.name, COUNT(ur.user_id) AS members FROM roles r LEFT JOIN user_roles ur ON ur.role_id = r.id GROUP BY r.id ORDER BY r.name');
+
+            return new statusObject(200, null, { events, tags, roles });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record a batch.
+     * @param {object} batch - `description`, `category`, `counterpart`, `reference`, `kind`, `mode`, `amount`
+     *                         and the `selection` members were chosen by.
+     * @returns {Promise<number>} - The batch's ID.
+     */
+    static async create(db, batch, createdBy, now = new Date()) {
+        const result = await db.run(
+            `INSERT INTO transaction_batches (description, category, counterpart, reference, kind, mode, amount, selection, created_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [batch.description, batch.category, batch.counterpart, batch.reference, batch.kind, batch.mode, batch.amount,
+                JSON.stringify(batch.selection), createdBy, now.toISOString()]
+        );
+        return result.lastID;
+    }
+
+    /**
+     * Mark a batch as reversed, unless it already has been.
+     * @returns {Promise<boolean>} - False if the batch was already reversed.
+     */
+    static async markReversed(db, batchId, reversedBy, reason, now = new Date()) {
+        const result = await db.run(
+            'UPDATE transaction_batches SET reversed_by = ?, reversed_at = ?, reverse_reason = ? WHERE id = ? AND reversed_at IS NULL',
+            [reversedBy, now.toISOString(), reason, batchId]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * List batches, newest first, with how many members they reached and the total charged or credited when they
+     * were applied. Corrections of their entries are left out.
+     */
+    static async list(db) {
+        try {
+            const batches = await db.all(
+                `SELECT b.id, b.description, b.category, b.kind, b.mode, b.amount, b.created_at, b.reversed_at,
+                        u.first_name AS created_by_first_name, u.last_name AS created_by_last_name,
+                        COUNT(t.id) AS users, ROUND(COALESCE(SUM(t.amount), 0), 2) AS total
+                 FROM transaction_batches b
+                 LEFT JOIN users u ON u.id = b.created_by
+                 LEFT JOIN transactions t ON t.batch_id = b.id AND t.replaces_id IS NULL
+                 GROUP BY b.id ORDER BY b.created_at DESC, b.id DESC`
+            );
+            return new statusObject(200, null, batches);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a batch with its entries, each with its member and the entry that reversed it, if any. Entries correcting
+     * one of the batch's entries belong to the batch too.
+     */
+    static async get(db, batchId) {
+        try {
+            const batch = await db.get(
+                `SELECT b.*, c.first_name AS created_by_first_name, c.last_name AS created_by_last_name,
+                        r.first_name AS reversed_by_first_name, r.last_name AS reversed_by_last_name
+                 FROM transaction_batches b
+                 LEFT JOIN users c ON c.id = b.created_by
+                 LEFT JOIN users r ON r.id = b.reversed_by
+                 WHERE b.id = ?`,
+                [batchId]
+            );
+            if (!batch) return new statusObject(404, 'Batch not found');
+
+            const entries = await db.all(
+                `SELECT t.id, t.user_id, t.amount, t.description, t.created_at, t.replaces_id, u.first_name, u.last_name, r.id AS reversed_by_id
+                 FROM transactions t
+                 JOIN users u ON u.id = t.user_id
+                 LEFT JOIN transactions r ON r.reverses_id = t.id
+                 WHERE t.batch_id = ?
+                 ORDER BY u.last_name COLLATE NOCASE, u.first_name COLLATE NOCASE, t.id`,
+                [batchId]
+            );
+
+            return new statusObject(200, null, { ...batch, selection: JSON.parse(batch.selection), entries });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
@@ -6,8 +6,16 @@
 
 import { statusObject } from '../misc/status.js';
 import { Permissions } from '../misc/permissions.js';
+import Logger from '../misc/Logger.js';
 
 export default class TransactionsDB {
+    /**
+     * Ledger categories. Charges and credits of any category can be entered, e.g. a 'kit' credit for returned kit.
+     */
+    static CATEGORIES = ['membership', 'event', 'kit', 'payment', 'refund', 'adjustment', 'other'];
+    static MAX_DETAIL_LENGTH = 100;
+    static MAX_REASON_LENGTH = 500;
+
     /**
      * Fetch requested transaction-related elements for a user.
      */
@@ -41,13 +49,57 @@ export default class TransactionsDB {
         return new statusObject(200, null, result?.balance ?? 0);
     }
 
+    /**
+     * Check and tidy the ledger details of a transaction.
+     * @param {object} details - `category`, `counterpart` and `reference`; blank optional fields become null.
+     * @returns {statusObject} - 400 if a detail is invalid, otherwise the tidied details.
+     */
+    static normalise_details({ category, counterpart = null, reference = null } = {}) {
+        if (!this.CATEGORIES.includes(category)) return new statusObject(400, 'Invalid transaction category');
+
+        const tidy = value => (value === null || value === undefined ? '' : String(value).trim()) || null;
+        const details = { category, counterpart: tidy(counterpart), reference: tidy(reference) };
+        if ((details.counterpart?.length || 0) > this.MAX_DETAIL_LENGTH || (details.reference?.length || 0) > this.MAX_DETAIL_LENGTH) {
+            return new statusObject(400, `Counterpart and reference must be at most ${this.MAX_DETAIL_LENGTH} characters`);
+        }
+        return new statusObject(200, null, details);
+    }
+
+    /**
+     * Check the description of a transaction entered by an exec.
+     * @returns {statusObject} - 400 if it is missing or too long, otherwise the trimmed description.
+     */
+    static normalise_description(description) {
+        const trimmed = typeof description === 'string' ? description.trim() : '';
+        if (!trimmed || trimmed.length > this.MAX_DETAIL_LENGTH) {
+            return new statusObject(400, `A description of at most ${this.MAX_DETAIL_LENGTH} characters is required`);
+        }
+        return new statusObject(200, null, trimmed);
+    }
+
+    /**
+     * Check the reason given for reversing or correcting a transaction.
+     * @returns {statusObject} - 400 if it is missing or too long, otherwise the trimmed reason.
+     */
+    static normalise_reason(reason) {
+        const trimmed = typeof reason === 'string' ? reason.trim() : '';
+        if (!trimmed || trimmed.length > this.MAX_REASON_LENGTH) {
+            return new statusObject(400, `A reason of at most ${this.MAX_REASON_LENGTH} characters is required`);
+        }
+        return new statusObject(200, null, trimmed);
+    }
+
     /**
      * Internal method to insert a transaction record.
+     * Besides the ledger details, `details` may link the entry to one it reverses or replaces, with a reason,
+     * and to the bulk batch it belongs to.
      */
-    static async _add_transaction_internal(db, userId, amount, description, eventId = null) {
+    static async _add_transaction_internal(db, userId, amount, description, eventId = null, details = {}) {
         await db.run(
-            'INSERT INTO transactions (user_id, amount, description, created_at, event_id) VALUES (?, ?, ?, ?, ?)',
-            [userId, amount, description, new Date().toISOString(), eventId]
+            `INSERT INTO transactions (user_id, amount, description, created_at, event_id, category, counterpart, reference, reverses_id, replaces_id, reason, created_by, batch_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [userId, amount, description, new Date().toISOString(), eventId, details.category || 'other', details.counterpart || null, details.reference || null,
+                details.reverses_id || null, details.replaces_id || null, details.reason || null, details.created_by || null, details.batch_id || null]
         );
         const transactionId = await db.get('SELECT last_insert_rowid() AS id');
         return new statusObject(200, 'Transaction added successfully', transactionId.id);
@@ -55,9 +107,11 @@ export default class TransactionsDB {
 
     /**
      * Public method to add a transaction record.
+     * @param {object} [details] - Ledger details: `category` (default 'other'), `counterpart` and `reference`,
+     *                             `created_by` for entries made by an exec, and `batch_id` for bulk entries.
      */
-    static async add_transaction(db, userId, amount, description, eventId = null) {
-        return this._add_transaction_internal(db, userId, amount, description, eventId);
+    static async add_transaction(db, userId, amount, description, eventId = null, details = {}) {
+        return this._add_transaction_internal(db, userId, amount, description, eventId, details);
     }
 
     /**
@@ -70,10 +124,18 @@ export default class TransactionsDB {
 
     /**
      * Fetch all transactions for a user, calculating a running balance.
+     * Each entry carries its links: the entry it reverses or replaces, and the entry that reversed it, if any.
      */
     static async get_transactions(db, userId) {
         const transactions = await db.all(
-            'SELECT id, amount, description, created_at FROM transactions WHERE user_id = ? ORDER BY created_at ASC',
+            `SELECT t.id, t.amount, t.description, t.category, t.counterpart, t.reference, t.created_at,
+                    t.reverses_id, t.replaces_id, t.reason, t.created_by, t.batch_id,
+                    u.first_name AS created_by_first_name, u.last_name AS created_by_last_name,
+                    r.id AS reversed_by_id
+             FROM transactions t
+             LEFT JOIN users u ON u.id = t.created_by
+             LEFT JOIN transactions r ON r.reverses_id = t.id
+             WHERE t.user_id = ? ORDER BY t.created_at ASC, t.id ASC`,
             [userId]
         );
 
@@ -87,44 +149,118 @@ export default class TransactionsDB {
     }
 
     /**
-     * Internal method to delete a transaction and clean up event references.
+     * Internal method to fetch a transaction that can still be reversed or corrected.
+     * @returns {Promise<statusObject>} - 404 if missing, 400 for a reversal entry, 409 if already reversed.
      */
-    static async _delete_transaction_internal(db, transactionId) {
-        if (!await this.get_transaction_exists(db, transactionId)) {
-            return new statusObject(404, 'Transaction not found');
-        }
+    static async _get_reversible(db, transactionId) {
+        const transaction = await db.get(
+            'SELECT t.*, r.id AS reversed_by_id FROM transactions t LEFT JOIN transactions r ON r.reverses_id = t.id WHERE t.id = ?',
+            [transactionId]
+        );
+        if (!transaction) return new statusObject(404, 'Transaction not found');
+        if (transaction.reverses_id) return new statusObject(400, 'A reversal cannot itself be reversed or corrected');
+        if (transaction.reversed_by_id) return new statusObject(409, 'Transaction has already been reversed');
+        return new statusObject(200, null, transaction);
+    }
 
-        await db.run('DELETE FROM transactions WHERE id = ?', [transactionId]);
-        await db.run('UPDATE event_attendees SET payment_transaction_id = NULL WHERE payment_transaction_id = ?', [transactionId]);
+    /**
+     * Internal method to add the entry cancelling out a transaction.
+     */
+    static async _add_reversal(db, transaction, reason, actorId) {
+        return this._add_transaction_internal(db, transaction.user_id, -transaction.amount, `Reversal: ${transaction.description}`, transaction.event_id, {
+            category: transaction.category,
+            counterpart: transaction.counterpart,
+            reference: transaction.reference,
+            reverses_id: transaction.id,
+            reason,
+            created_by: actorId
+        });
+    }
 
-        return new statusObject(200, 'Transaction deleted successfully');
+    /**
+     * Internal method to reverse a transaction, for callers already inside a database transaction.
+     */
+    static async _reverse_transaction_internal(db, transactionId, reason, actorId = null) {
+        const transactionRes = await this._get_reversible(db, transactionId);
+        if (transactionRes.isError()) return transactionRes;
+        const transaction = transactionRes.getData();
+
+        const reversal = await this._add_reversal(db, transaction, reason, actorId);
+        await db.run('UPDATE event_attendees SET payment_transaction_id = NULL WHERE payment_transaction_id = ?', [transaction.id]);
+
+        return new statusObject(200, 'Transaction reversed', reversal.getData());
     }
 
     /**
-     * Public method to delete a transaction.
+     * Reverse a transaction with a new entry for the opposite amount, linked back to it.
+     * An event place paid for by the transaction is no longer counted as paid.
+     * @param {number|null} actorId - The exec reversing it, or null when the site does so itself.
+     * @returns {Promise<statusObject>} - The ID of the reversal entry.
      */
-    static async delete_transaction(db, transactionId) {
-        return this._delete_transaction_internal(db, transactionId);
+    static async reverse_transaction(db, transactionId, reason, actorId = null) {
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            const result = await this._reverse_transaction_internal(db, transactionId, reason, actorId);
+            await db.run(result.isError() ? 'ROLLBACK' : 'COMMIT');
+            return result;
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(`[TransactionsDB] Failed to reverse transaction ${transactionId}:`, error);
+            return new statusObject(500, 'Database error');
+        }
     }
 
     /**
-     * Find the transaction ID associated with a specific user's attendance at an event.
+     * Correct a transaction by reversing it and adding a replacement entry with the new values, all or nothing.
+     * An event place paid for by the original is then paid for by the replacement, and a bulk entry's replacement
+     * stays in its batch so reversing the batch reverses it too.
+     * @param {object} details - Ledger details to change; any left out are copied from the original.
+     * @returns {Promise<statusObject>} - The IDs of the reversal and replacement entries.
      */
-    static async get_transactionid_by_event(db, eventId, userId) {
-        const transaction = await db.get('SELECT id FROM transactions WHERE event_id = ? AND user_id = ?', [eventId, userId]);
-        if (!transaction) return new statusObject(404, 'Transaction not found');
-        return new statusObject(200, null, transaction.id);
+    static async correct_transaction(db, transactionId, amount, description, details, reason, actorId = null) {
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            const transactionRes = await this._get_reversible(db, transactionId);
+            if (transactionRes.isError()) {
+                await db.run('ROLLBACK');
+                return transactionRes;
+            }
+            const transaction = transactionRes.getData();
+
+            const reversal = await this._add_reversal(db, transaction, reason, actorId);
+            const replacement = await this._add_transaction_internal(db, transaction.user_id, amount, description, transaction.event_id, {
+                category: details.category ?? transaction.category,
+                counterpart: details.counterpart !== undefined ? details.counterpart : transaction.counterpart,
+                reference: details.reference !== undefined ? details.reference : transaction.reference,
+                replaces_id: transaction.id,
+                reason,
+                created_by: actorId,
+                batch_id: transaction.batch_id
+            });
+            await db.run('UPDATE event_attendees SET payment_transaction_id = ? WHERE payment_transaction_id = ?', [replacement.getData(), transaction.id]);
+
+            await db.run('COMMIT');
+            return new statusObject(200, 'Transaction corrected', { reversal_id: reversal.getData(), replacement_id: replacement.getData() });
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(`[TransactionsDB] Failed to correct transaction ${transactionId}:`, error);
+            return new statusObject(500, 'Database error');
+        }
     }
 
     /**
-     * Update the details of an existing transaction record.
+     * Find the payment a user made for a place on an event, ignoring payments already reversed.
      */
-    static async edit_transaction(db, transactionId, amount, description) {
-        const transaction = await db.get('SELECT * FROM transactions WHERE id = ?', [transactionId]);
+    static async get_transactionid_by_event(db, eventId, userId) {
+        const transaction = await db.get(
+            `SELECT t.id FROM transactions t
+             WHERE t.event_id = ? AND t.user_id = ? AND t.amount < 0 AND t.reverses_id IS NULL
+               AND NOT EXISTS (SELECT 1 FROM transactions r WHERE r.reverses_id = t.id)
+             ORDER BY t.created_at DESC, t.id DESC LIMIT 1`,
+            [eventId, userId]
+        );
         if (!transaction) return new statusObject(404, 'Transaction not found');
-
-        await db.run('UPDATE transactions SET amount = ?, description = ? WHERE id = ?', [amount, description, transactionId]);
-        return new statusObject(200, 'Transaction updated successfully');
+        return new statusObject(200, null, transaction.id);
     }
 
     /**
@@ -135,4 +271,58 @@ export default class TransactionsDB {
         if (!transaction) return new statusObject(404, 'Transaction not found');
         return new statusObject(200, null, transaction);
     }
+
+    /**
+     * Summarise the ledger between two dates.
+     * Charges are money members owe the club (negative amounts) and credits are money the club owes or has paid
+     * back to members (positive amounts), so a category's net income is its charges less its credits. Payments
+     * members make to settle their accounts are receipts rather than credits: they are counted separately, less
+     * any reversed, and left out of the net income.
+     * @returns {Promise<statusObject>} - Totals per category and per month, and overall totals including refunds
+     *                                    and receipts.
+     */
+    static async get_ledger(db, startDate, endDate) {
+        const range = [startDate.toISOString(), endDate.toISOString()];
+        const sums = `COUNT(*) AS count,
+                      ROUND(COALESCE(SUM(CASE WHEN category <> 'payment' AND amount < 0 THEN -amount ELSE 0 END), 0), 2) AS charges,
+                      ROUND(COALESCE(SUM(CASE WHEN category <> 'payment' AND amount > 0 THEN amount ELSE 0 END), 0), 2) AS credits,
+                      ROUND(COALESCE(SUM(CASE WHEN category = 'payment' THEN amount ELSE 0 END), 0), 2) AS receipts`;
+
+        const rows = await db.all(
+            `SELECT category, ${sums} FROM transactions
+             WHERE julianday(created_at) >= julianday(?) AND julianday(created_at) <= julianday(?)
+             GROUP BY category`,
+            range
+        );
+        const byCategory = new Map(rows.map(row => [row.category, row]));
+        const categories = this.CATEGORIES.map(category => {
+            const row = byCategory.get(category) || { count: 0, charges: 0, credits: 0, receipts: 0 };
+            return {
+                category, count: row.count, charges: row.charges, credits: row.credits, receipts: row.receipts,
+                net: Math.round((row.charges - row.credits) * 100) / 100
+            };
+        });
+
+        const months = (await db.all(
+            `SELECT strftime('%Y-%m', created_at) AS month, ${sums},
+                    ROUND(COALESCE(SUM(CASE WHEN category = 'refund' AND amount > 0 THEN amount ELSE 0 END), 0), 2) AS refunds
+             FROM transactions
+             WHERE julianday(created_at) >= julianday(?) AND julianday(created_at) <= julianday(?)
+             GROUP BY month ORDER BY month ASC`,
+            range
+        )).map(row => ({ ...row, net: Math.round((row.charges - row.credits) * 100) / 100 }));
+
+        const totals = categories.reduce((acc, c) => {
+            acc.count += c.count;
+            acc.charges += c.charges;
+            acc.credits += c.credits;
+            acc.receipts += c.receipts;
+            return acc;
+        }, { count: 0, charges: 0, credits: 0, receipts: 0 });
+        for (const key of ['charges', 'credits', 'receipts']) totals[key] = Math.round(totals[key] * 100) / 100;
+        totals.refunds = categories.find(c => c.category === 'refund').credits;
+        totals.net = Math.round((totals.charges - totals.credits) * 100) / 100;
+
+        return new statusObject(200, null, { categories, months, totals });
+    }
 }
@@ -0,0 +1,157 @@
+/**
+ * twoFactorDB.js
+ *
+ * This module manages TOTP two-factor secrets and backup codes.
+ * Secrets are stored sealed with the field encryption key; backup codes only as hashes.
+ */
+
+import { statusObject } from '../misc/status.js';
+import FieldEncryption from '../misc/FieldEncryption.js';
+import Logger from '../misc/Logger.js';
+
+export default class TwoFactorDB {
+    /**
+     * Whether a user has confirmed two-factor authentication.
+     * @returns {Promise<boolean>}
+     */
+    static async isEnabled(db, userId) {
+        const row = await db.get('SELECT confirmed_at FROM user_two_factor WHERE user_id = ?', [userId]);
+        return !!row?.confirmed_at;
+    }
+
+    /**
+     * Summary of a user's two-factor set up, for their settings page.
+     */
+    static async getStatus(db, userId) {
+        try {
+            const row = await db.get('SELECT confirmed_at FROM user_two_factor WHERE user_id = ?', [userId]);
+            const codes = await db.get('SELECT COUNT(*) AS remaining FROM user_backup_codes WHERE user_id = ? AND used_at IS NULL', [userId]);
+            return new statusObject(200, null, {
+                enabled: !!row?.confirmed_at,
+                enabled_at: row?.confirmed_at || null,
+                backup_codes_remaining: row?.confirmed_at ? codes.remaining : 0
+            });
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a user's secret, decrypted, with whether it is confirmed and the last time step used.
+     */
+    static async getSecret(db, userId) {
+        try {
+            const row = await db.get('SELECT secret, confirmed_at, last_step FROM user_two_factor WHERE user_id = ?', [userId]);
+            if (!row) return new statusObject(404, 'Two-factor authentication is not set up');
+            row.secret = FieldEncryption.decrypt('secret', row.secret);
+            return new statusObject(200, null, row);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Store a new, unconfirmed secret, replacing any earlier unconfirmed one.
+     */
+    static async savePendingSecret(db, userId, secret) {
+        try {
+            const existing = await db.get('SELECT confirmed_at FROM user_two_factor WHERE user_id = ?', [userId]);
+            if (existing?.confirmed_at) return new statusObject(409, 'Two-factor authentication is already enabled');
+
+            await db.run(
+                `INSERT INTO user_two_factor (user_id, secret) VALUES (?, ?)
+                 ON CONFLICT(user_id) DO UPDATE SET secret = excluded.secret, confirmed_at = NULL, last_step = NULL`,
+                [userId, FieldEncryption.encrypt('secret', secret)]
+            );
+            return new statusObject(200);
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Activate a pending secret and give the user a fresh set of backup codes.
+     * @param {number} step - Time step of the code that confirmed it, so it cannot be reused.
+     * @param {string[]} codeHashes - Hashes of the new backup codes.
+     */
+    static async confirm(db, userId, step, codeHashes) {
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await db.run('UPDATE user_two_factor SET confirmed_at = CURRENT_TIMESTAMP, last_step = ? WHERE user_id = ?', [step, userId]);
+            await this._replaceBackupCodes(db, userId, codeHashes);
+            await db.run('COMMIT');
+            return new statusObject(200);
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record the time step of an accepted code. Fails if that step or a later one was already used.
+     * @returns {Promise<boolean>} - Whether the step was recorded.
+     */
+    static async useStep(db, userId, step) {
+        const result = await db.run(
+            'UPDATE user_two_factor SET last_step = ? WHERE user_id = ? AND (last_step IS NULL OR last_step < ?)',
+            [step, userId, step]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Spend a backup code.
+     * @returns {Promise<boolean>} - Whether an unused code with that hash existed.
+     */
+    static async useBackupCode(db, userId, codeHash) {
+        const result = await db.run(
+            'UPDATE user_backup_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND code_hash = ? AND used_at IS NULL',
+            [userId, codeHash]
+        );
+        return result.changes > 0;
+    }
+
+    /**
+     * Replace all of a user's backup codes.
+     */
+    static async replaceBackupCodes(db, userId, codeHashes) {
+        try {
+            await db.run('BEGIN TRANSACTION');
+            await this._replaceBackupCodes(db, userId, codeHashes);
+            await db.run('COMMIT');
+            return new statusObject(200);
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Remove a user's secret and backup codes.
+     */
+    static async disable(db, userId) {
+        try {
+            await db.run('DELETE FROM user_backup_codes WHERE user_id = ?', [userId]);
+            await db.run('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+            return new statusObject(200, 'Two-factor authentication disabled');
+        } catch (error) {
+            Logger.error(error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Internal helper swapping the backup codes, inside the caller's transaction.
+     */
+    static async _replaceBackupCodes(db, userId, codeHashes) {
+        await db.run('DELETE FROM user_backup_codes WHERE user_id = ?', [userId]);
+        for (const hash of codeHashes) {
+            await db.run('INSERT INTO user_backup_codes (user_id, code_hash) VALUES (?, ?)', [userId, hash]);
+        }
+    }
+}
@@ -8,6 +8,7 @@ import { statusObject } from '../misc/status.js';
 import { Permissions } from '../misc/permissions.js';
 import TransactionsDB from './transactionDB.js';
 import Logger from '../misc/Logger.js';
+import FieldEncryption from '../misc/FieldEncryption.js';
 
 export default class UserDB {
     /**
@@ -173,7 +174,7 @@ export default class UserDB {
                 userId
             );
             if (!user) return new statusObject(404, 'User not found');
-            return new statusObject(200, null, user);
+            return new statusObject(200, null, FieldEncryption.decryptRow(user));
         } catch (error) {
             Logger.error(`Database error in getElements (${elements.join(', ')}):`, error);
             return new statusObject(500, 'Database error');
@@ -195,11 +196,12 @@ export default class UserDB {
             data.email = data.email.replace(/\s/g, '').toLowerCase();
         }
         try {
+            const sealed = FieldEncryption.encryptRow(data);
             await db.run(
                 `UPDATE users SET
-                    ${Object.keys(data).map(el => `${el} = ?`).join(', ')}
+                    ${Object.keys(sealed).map(el => `${el} = ?`).join(', ')}
                 WHERE id = ?`,
-                [...Object.values(data), id]
+                [...Object.values(sealed), id]
             );
             return new statusObject(200, null);
         } catch (error) {
@@ -250,10 +252,10 @@ export default class UserDB {
                 const cols = await db.all('PRAGMA table_info(users)');
                 const keepCols = ['id', 'first_name', 'last_name', 'swims', 'created_at', 'free_sessions', 'difficulty_level'];
 
-                const updates = ["email = 'deleted:' || email"];
+                const updates = ["email = 'deleted:' || email", "deleted_at = CURRENT_TIMESTAMP"];
 
                 for (const col of cols) {
-                    if (col.name === 'email') continue;
+                    if (col.name === 'email' || col.name === 'deleted_at') continue;
                     if (keepCols.includes(col.name)) continue;
 
                     if (col.notnull) {
@@ -278,7 +280,7 @@ export default class UserDB {
 
                 await db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [targetId]);
 
-                const softDeleteSafeTables = ['users', 'swim_history', 'event_attendees', 'transactions'];
+                const softDeleteSafeTables = ['users', 'swim_history', 'event_attendees', 'event_checkins', 'transactions', 'payments', 'bank_import_rows'];
                 for (const tbl of tablesWithUserId) {
                     if (!softDeleteSafeTables.includes(tbl)) {
                         await db.run(`DELETE FROM ${tbl} WHERE user_id = ?`, [targetId]);
@@ -315,7 +317,7 @@ export default class UserDB {
                 LEFT JOIN colleges c ON u.college_id = c.id 
                 WHERE u.id = ?
             `;
-            const user = await db.get(query, userId);
+            const user = FieldEncryption.decryptRow(await db.get(query, userId));
             if (!user) return new statusObject(404, 'User not found');
 
             const filteredUser = {};
@@ -347,16 +349,6 @@ export default class UserDB {
             await db.run(`DELETE FROM user_permissions`);
             await db.run(`DELETE FROM user_managed_tags`);
 
-            const legalFields = [
-                "date_of_birth", "college_id", "emergency_contact_name", "emergency_contact_phone",
-                "home_address", "phone_number", "has_medical_conditions", "medical_conditions_details",
-                "takes_medication", "medication_details", "agrees_to_fitness_statement",
-                "agrees_to_club_rules", "agrees_to_pay_debts", "agrees_to_data_storage", "agrees_to_keep_health_data"
-            ];
-            const setClause = legalFields.map(f => `${f} = NULL`).join(', ') + ", filled_legal_info = 0, legal_filled_at = NULL";
-
-            await db.run(`UPDATE users SET ${setClause} WHERE agrees_to_keep_health_data = 0 OR agrees_to_keep_health_data IS NULL`);
-
             const presidentRole = await db.get('SELECT id FROM roles WHERE name = ?', ['President']);
             if (presidentRole) {
                 await db.run('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [newPresidentId, presidentRole.id]);
@@ -5,8 +5,25 @@
  */
 
 import { statusObject } from '../misc/status.js';
+import CheckinDB from './checkinDB.js';
+import Utils from '../misc/utils.js';
 
 export default class WaitlistDB {
+    /**
+     * Internal helper building the queue order. Repeat no-shows drop behind everyone else
+     * when the no-show policy is set to deprioritise.
+     * @returns {[string, Array]} - ORDER BY clause and its parameters.
+     */
+    static _queueOrder() {
+        const { limit, policy } = CheckinDB.getNoShowPolicy();
+        if (limit <= 0 || policy !== 'deprioritise') return ['ORDER BY wl.joined_at ASC, wl.id ASC', []];
+
+        return [
+            `ORDER BY (${CheckinDB.noShowCountSql('wl.user_id')} >= ?) ASC, wl.joined_at ASC, wl.id ASC`,
+            [Utils.getAcademicYearStart(), limit]
+        ];
+    }
+
     /**
      * Check if a user is currently on the waitlist for a specific event.
      */
@@ -35,11 +52,19 @@ export default class WaitlistDB {
     }
 
     /**
-     * Identify the next user in line for an event (First-In-First-Out).
+     * Identify the next user in line for an event (First-In-First-Out), skipping anyone already holding an offer.
      * @returns {Promise<statusObject>} - Data is the user ID or null.
      */
     static async get_next_on_waiting_list(db, eventId) {
-        const user = await db.get('SELECT user_id FROM event_waiting_list WHERE event_id = ? ORDER BY joined_at ASC LIMIT 1', [eventId]);
+        const [orderBy, orderParams] = this._queueOrder();
+        const user = await db.get(
+            `SELECT wl.user_id FROM event_waiting_list wl
+             WHERE wl.event_id = ? AND NOT EXISTS (
+                 SELECT 1 FROM waitlist_offers o WHERE o.event_id = wl.event_id AND o.user_id = wl.user_id AND o.status = 'pending'
+             )
+             ${orderBy} LIMIT 1`,
+            [eventId, ...orderParams]
+        );
         return new statusObject(200, null, user ? user.user_id : null);
     }
 
@@ -51,17 +76,19 @@ export default class WaitlistDB {
     }
 
     /**
-     * Fetch the full waiting list for an event, including join timestamps.
+     * Fetch the full waiting list for an event, including join timestamps and any outstanding offer expiry.
      */
     static async get_waiting_list(db, eventId) {
         try {
+            const [orderBy, orderParams] = this._queueOrder();
             const users = await db.all(
-                `SELECT u.id, u.first_name, u.last_name, u.email, wl.joined_at
+                `SELECT u.id, u.first_name, u.last_name, u.email, wl.joined_at, o.expires_at AS offer_expires_at
                  FROM event_waiting_list wl
                  JOIN users u ON wl.user_id = u.id
+                 LEFT JOIN waitlist_offers o ON o.event_id = wl.event_id AND o.user_id = wl.user_id AND o.status = 'pending'
                  WHERE wl.event_id = ?
-                 ORDER BY wl.joined_at ASC`,
-                [eventId]
+                 ${orderBy}`,
+                [eventId, ...orderParams]
             );
             return new statusObject(200, null, users);
         } catch (error) {
@@ -90,20 +117,101 @@ export default class WaitlistDB {
      */
     static async get_waiting_list_position(db, eventId, userId) {
         try {
-            const userEntry = await db.get(
-                `SELECT joined_at FROM event_waiting_list WHERE event_id = ? AND user_id = ?`,
-                [eventId, userId]
+            const [orderBy, orderParams] = this._queueOrder();
+            const queue = await db.all(
+                `SELECT wl.user_id FROM event_waiting_list wl WHERE wl.event_id = ? ${orderBy}`,
+                [eventId, ...orderParams]
             );
 
-            if (!userEntry) return new statusObject(404, 'User not on waiting list');
+            const index = queue.findIndex(entry => entry.user_id === userId);
+            if (index === -1) return new statusObject(404, 'User not on waiting list');
+
+            return new statusObject(200, null, index + 1);
+
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Offer a freed-up spot to a waitlisted user.
+     * @returns {Promise<statusObject>} - Data is the new offer ID.
+     */
+    static async create_offer(db, eventId, userId, expiresAt) {
+        try {
+            const result = await db.run(
+                'INSERT INTO waitlist_offers (event_id, user_id, offered_at, expires_at) VALUES (?, ?, ?, ?)',
+                [eventId, userId, new Date().toISOString(), expiresAt.toISOString()]
+            );
+            return new statusObject(200, 'Offer created', result.lastID);
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Fetch a user's live (pending and unexpired) offer for an event.
+     * @returns {Promise<statusObject>} - Data is the offer row or null.
+     */
+    static async get_active_offer(db, eventId, userId) {
+        try {
+            const offer = await db.get(
+                `SELECT id, event_id, user_id, offered_at, expires_at FROM waitlist_offers
+                 WHERE event_id = ? AND user_id = ? AND status = 'pending' AND expires_at > ?`,
+                [eventId, userId, new Date().toISOString()]
+            );
+            return new statusObject(200, null, offer || null);
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
 
-            const posResult = await db.get(
-                `SELECT COUNT(*) as count FROM event_waiting_list WHERE event_id = ? AND joined_at < ?`,
-                [eventId, userEntry.joined_at]
+    /**
+     * Count spots held by live offers, optionally ignoring one user's own offer.
+     */
+    static async get_active_offer_count(db, eventId, excludeUserId = null) {
+        try {
+            const result = await db.get(
+                `SELECT COUNT(*) AS count FROM waitlist_offers
+                 WHERE event_id = ? AND status = 'pending' AND expires_at > ? AND user_id IS NOT ?`,
+                [eventId, new Date().toISOString(), excludeUserId]
             );
+            return new statusObject(200, null, result.count);
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
 
-            return new statusObject(200, null, posResult ? posResult.count + 1 : 1);
+    /**
+     * Close a user's pending offer for an event with a final status.
+     * @param {string} status - 'accepted', 'declined' or 'expired'.
+     */
+    static async resolve_offer(db, eventId, userId, status) {
+        try {
+            const result = await db.run(
+                `UPDATE waitlist_offers SET status = ?, responded_at = ?
+                 WHERE event_id = ? AND user_id = ? AND status = 'pending'`,
+                [status, new Date().toISOString(), eventId, userId]
+            );
+            if (result.changes === 0) return new statusObject(404, 'No pending offer');
+            return new statusObject(200, `Offer ${status}`);
+        } catch (error) {
+            return new statusObject(500, 'Database error');
+        }
+    }
 
+    /**
+     * Fetch pending offers whose confirmation window has passed.
+     */
+    static async get_lapsed_offers(db) {
+        try {
+            const offers = await db.all(
+                `SELECT id, event_id, user_id, expires_at FROM waitlist_offers
+                 WHERE status = 'pending' AND expires_at <= ?
+                 ORDER BY expires_at ASC`,
+                [new Date().toISOString()]
+            );
+            return new statusObject(200, null, offers);
         } catch (error) {
             return new statusObject(500, 'Database error');
         }
@@ -0,0 +1,380 @@
+/**
+ * Backups.js
+ *
+ * Takes consistent snapshots of all club data and restores them.
+ * Each backup is a gzipped tar archive holding a copy of the database made with `VACUUM INTO`
+ * (so a live WAL database is never copied half-written), the uploaded files and globals.json.
+ * Scheduled backups are thinned out with a daily/weekly/termly retention policy.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import tar from 'tar';
+import { open } from 'sqlite';
+import sqlite3 from 'sqlite3';
+import Migrator from '../db/init/migrator.js';
+import { statusObject } from './status.js';
+import Globals from './globals.js';
+import Logger from './Logger.js';
+import config from '../config.js';
+
+const ARCHIVE_PATTERN = /^ducc-(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z-([a-z-]+)\.tar\.gz$/;
+const FORMAT_VERSION = 1;
+
+export default class Backups {
+    static KINDS = ['scheduled', 'manual', 'pre-restore'];
+    static SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+    /**
+     * The backup currently being written, if any. Only one runs at a time.
+     */
+    static running = null;
+
+    /**
+     * Snapshot the database, uploaded files and globals into a new archive.
+     * @param {object} db - Live database connection.
+     * @param {string} [kind='manual'] - One of KINDS.
+     * @returns {Promise<statusObject>} - Data describes the new backup.
+     */
+    static async create(db, kind = 'manual') {
+        if (!this.KINDS.includes(kind)) return new statusObject(400, 'Invalid backup kind');
+        if (this.running) return new statusObject(409, 'A backup is already in progress');
+
+        this.running = this._write(db, kind);
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * List the archives in the backup directory, newest first.
+     * @returns {statusObject} - Data is an array of {name, kind, created_at, size}.
+     */
+    static list() {
+        try {
+            const directory = config.paths.backups;
+            if (!fs.existsSync(directory)) return new statusObject(200, null, []);
+
+            const backups = fs.readdirSync(directory)
+                .map(name => this._describe(name))
+                .filter(Boolean)
+                .sort((a, b) => b.created_at.localeCompare(a.created_at));
+            return new statusObject(200, null, backups);
+        } catch (error) {
+            Logger.error('[Backup] Failed to list backups:', error);
+            return new statusObject(500, 'Failed to list backups');
+        }
+    }
+
+    /**
+     * The retention policy from the global settings: how many days, weeks and terms to keep a backup for.
+     */
+    static getPolicy() {
+        const globals = new Globals();
+        return {
+            daily: globals.getInt('BackupKeepDaily'),
+            weekly: globals.getInt('BackupKeepWeekly'),
+            termly: globals.getInt('BackupKeepTermly')
+        };
+    }
+
+    /**
+     * Pick which backups a retention policy keeps: the newest backup of each of the most recent
+     * `daily` days, `weekly` weeks and `termly` terms. The newest backup overall is always kept.
+     * @param {object[]} backups - Backups as returned by list(), newest first.
+     * @param {{daily: number, weekly: number, termly: number}} policy
+     * @returns {Set<string>} - Names of the backups to keep.
+     */
+    static selectRetained(backups, policy) {
+        const keep = new Set(backups.slice(0, 1).map(b => b.name));
+
+        for (const [period, limit] of Object.entries(policy)) {
+            const seen = new Set();
+            for (const backup of backups) {
+                const bucket = this._bucket(period, new Date(backup.created_at));
+                if (seen.has(bucket)) continue;
+                if (seen.size >= limit) break;
+                seen.add(bucket);
+                keep.add(backup.name);
+            }
+        }
+        return keep;
+    }
+
+    /**
+     * Delete every backup the retention policy no longer keeps.
+     * @returns {string[]} - Names of the deleted backups.
+     */
+    static prune(policy = this.getPolicy()) {
+        const backups = this.list();
+        if (backups.isError()) return [];
+
+        const keep = this.selectRetained(backups.getData(), policy);
+        const deleted = [];
+        for (const backup of backups.getData()) {
+            if (keep.has(backup.name)) continue;
+            fs.rmSync(path.join(config.paths.backups, backup.name), { force: true });
+            deleted.push(backup.name);
+        }
+        if (deleted.length) Logger.info(`[Backup] Pruned ${deleted.length} old backup(s)`);
+        return deleted;
+    }
+
+    /**
+     * Take a scheduled backup if the last one is older than the configured interval, then prune.
+     * @returns {Promise<statusObject|null>} - Result of the backup, or null if none was due.
+     */
+    static async runScheduled(db, now = new Date()) {
+        const hours = new Globals().getInt('BackupIntervalHours');
+        if (hours <= 0) return null;
+
+        const backups = this.list();
+        if (backups.isError()) return null;
+        const latest = backups.getData().find(b => b.kind === 'scheduled');
+        if (latest && now - new Date(latest.created_at) < hours * 60 * 60 * 1000) return null;
+
+        const result = await this.create(db, 'scheduled');
+        if (!result.isError()) this.prune();
+        return result;
+    }
+
+    /**
+     * Extract an archive to a working directory and check it can safely be restored:
+     * the manifest is readable, the database passes SQLite's integrity and foreign key checks,
+     * its schema is not newer than this code, and every file listed in the manifest is present.
+     * @param {string} archive - Path to the archive.
+     * @returns {Promise<statusObject>} - Data holds the extracted directory and the manifest. The caller removes the directory.
+     */
+    static async verify(archive) {
+        if (!fs.existsSync(archive)) return new statusObject(404, 'Backup not found');
+
+        fs.mkdirSync(config.paths.backups, { recursive: true });
+        const directory = fs.mkdtempSync(path.join(config.paths.backups, '.restore-'));
+
+        const result = await this._check(archive, directory);
+        if (result.isError()) fs.rmSync(directory, { recursive: true, force: true });
+        return result;
+    }
+
+    /**
+     * Replace the live database, uploaded files and globals with the contents of a backup.
+     * The archive is verified first, and the current data is backed up as 'pre-restore' before anything is overwritten.
+     * The site must be stopped while this runs.
+     * @param {string} source - Archive name in the backup directory, or a path to an archive.
+     * @returns {Promise<statusObject>} - Data holds the restored manifest and the name of the safety backup.
+     */
+    static async restore(source) {
+        const archive = fs.existsSync(source) ? source : path.join(config.paths.backups, path.basename(source));
+        const verified = await this.verify(archive);
+        if (verified.isError()) return verified;
+        const { directory, manifest } = verified.getData();
+
+        try {
+            let safetyBackup = null;
+            if (fs.existsSync(config.paths.db)) {
+                const live = await open({ filename: config.paths.db, driver: sqlite3.Database });
+                const safety = await this.create(live, 'pre-restore');
+                await live.close();
+                if (safety.isError()) return new statusObject(500, 'Could not back up the current data, restore aborted');
+                safetyBackup = safety.getData().name;
+            }
+
+            for (const suffix of ['-wal', '-shm', '']) {
+                fs.rmSync(config.paths.db + suffix, { force: true });
+            }
+            fs.mkdirSync(path.dirname(config.paths.db), { recursive: true });
+            fs.copyFileSync(path.join(directory, 'database.db'), config.paths.db);
+
+            if (fs.existsSync(path.join(directory, 'globals.json'))) {
+                fs.copyFileSync(path.join(directory, 'globals.json'), config.paths.globals);
+                Globals.cache = null;
+            }
+
+            fs.rmSync(config.paths.files, { recursive: true, force: true });
+            if (fs.existsSync(path.join(directory, 'files'))) {
+                fs.cpSync(path.join(directory, 'files'), config.paths.files, { recursive: true });
+            } else {
+                fs.mkdirSync(config.paths.files, { recursive: true });
+            }
+
+            Logger.info(`[Backup] Restored ${path.basename(archive)}`);
+            return new statusObject(200, 'Backup restored', { manifest, safetyBackup });
+        } catch (error) {
+            Logger.error('[Backup] Restore failed:', error);
+            return new statusObject(500, 'Restore failed');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Check regularly whether a scheduled backup is due.
+     */
+    static startSweeper(db, intervalMs = this.SWEEP_INTERVAL_MS) {
+        const timer = setInterval(async () => {
+            try {
+                await this.runScheduled(db);
+            } catch (error) {
+                Logger.error('[Backup] Sweep failed:', error);
+            }
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+
+    /**
+     * Internal helper writing one archive. It is built under a temporary name so a half-written
+     * archive never shows up in the list.
+     */
+    static async _write(db, kind) {
+        const createdAt = new Date();
+        const name = `ducc-${createdAt.toISOString().replace(/[:.]/g, '-')}-${kind}.tar.gz`;
+        const directory = config.paths.backups;
+        let staging = null;
+
+        try {
+            fs.mkdirSync(directory, { recursive: true });
+            staging = fs.mkdtempSync(path.join(directory, '.staging-'));
+
+            await db.run('VACUUM INTO ?', [path.join(staging, 'database.db')]);
+            const schema = await db.get('SELECT MAX(version) AS version FROM schema_migrations');
+
+            const entries = ['manifest.json', 'database.db'];
+            if (fs.existsSync(config.paths.globals)) {
+                fs.copyFileSync(config.paths.globals, path.join(staging, 'globals.json'));
+                entries.push('globals.json');
+            }
+
+            let files = 0;
+            if (fs.existsSync(config.paths.files)) {
+                files = this._linkTree(config.paths.files, path.join(staging, 'files'));
+                entries.push('files');
+            }
+
+            const manifest = { format: FORMAT_VERSION, kind, created_at: createdAt.toISOString(), schema_version: schema?.version ?? 0, files };
+            fs.writeFileSync(path.join(staging, 'manifest.json'), JSON.stringify(manifest, null, 4));
+
+            await tar.c({ gzip: true, portable: true, file: path.join(staging, name), cwd: staging }, entries);
+            fs.renameSync(path.join(staging, name), path.join(directory, name));
+
+            Logger.info(`[Backup] Created ${name}`);
+            return new statusObject(200, null, this._describe(name));
+        } catch (error) {
+            Logger.error('[Backup] Failed to create backup:', error);
+            return new statusObject(500, 'Backup failed');
+        } finally {
+            if (staging) fs.rmSync(staging, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Internal helper extracting an archive and running the restore checks on it.
+     */
+    static async _check(archive, directory) {
+        let manifest;
+        try {
+            await tar.x({ file: archive, cwd: directory, strict: true });
+            manifest = JSON.parse(fs.readFileSync(path.join(directory, 'manifest.json'), 'utf-8'));
+        } catch (error) {
+            return new statusObject(400, 'Archive is not a readable backup');
+        }
+        if (manifest.format !== FORMAT_VERSION) return new statusObject(400, `Unsupported backup format ${manifest.format}`);
+        if (!fs.existsSync(path.join(directory, 'database.db'))) return new statusObject(400, 'Backup has no database');
+
+        let snapshot;
+        try {
+            // Opened read-write because the FTS5 integrity check needs to write; this is only the extracted copy
+            snapshot = await open({ filename: path.join(directory, 'database.db'), driver: sqlite3.Database });
+            const integrity = await snapshot.all('PRAGMA integrity_check');
+            if (integrity.length !== 1 || integrity[0].integrity_check !== 'ok') {
+                return new statusObject(400, `Database failed integrity check: ${integrity[0]?.integrity_check}`);
+            }
+            const violations = await snapshot.all('PRAGMA foreign_key_check');
+            if (violations.length > 0) return new statusObject(400, `Database has ${violations.length} foreign key violation(s)`);
+
+            const migrations = await Migrator.loadMigrations();
+            const latest = migrations.length ? migrations[migrations.length - 1].version : 0;
+            if (manifest.schema_version > latest) return new statusObject(400, 'Backup was made by a newer version of the site');
+        } catch (error) {
+            return new statusObject(400, `Database could not be checked: ${error.message}`);
+        } finally {
+            await snapshot?.close();
+        }
+
+        const files = fs.existsSync(path.join(directory, 'files')) ? this._countFiles(path.join(directory, 'files')) : 0;
+        if (files !== manifest.files) return new statusObject(400, `Backup should hold ${manifest.files} file(s) but has ${files}`);
+
+        return new statusObject(200, null, { directory, manifest });
+    }
+
+    /**
+     * Internal helper reading a backup's details from its file name and size.
+     */
+    static _describe(name) {
+        const match = name.match(ARCHIVE_PATTERN);
+        if (!match) return null;
+
+        const [, date, hours, minutes, seconds, ms, kind] = match;
+        return {
+            name,
+            kind,
+            created_at: `${date}T${hours}:${minutes}:${seconds}.${ms}Z`,
+            size: fs.statSync(path.join(config.paths.backups, name)).size
+        };
+    }
+
+    /**
+     * Internal helper naming the retention period a date falls in.
+     * Terms follow the Durham calendar: Michaelmas (September-December), Epiphany (January-March)
+     * and Easter (April-August), each labelled with the academic year it starts in.
+     */
+    static _bucket(period, date) {
+        if (period === 'daily') return date.toISOString().slice(0, 10);
+        if (period === 'weekly') {
+            const monday = new Date(date);
+            monday.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+            return monday.toISOString().slice(0, 10);
+        }
+
+        const month = date.getUTCMonth() + 1;
+        const year = date.getUTCFullYear();
+        if (month >= 9) return `${year}-michaelmas`;
+        return month <= 3 ? `${year - 1}-epiphany` : `${year - 1}-easter`;
+    }
+
+    /**
+     * Internal helper mirroring a directory into the staging area, using hard links where possible
+     * so large uploads are not copied.
+     * @returns {number} - Number of files mirrored.
+     */
+    static _linkTree(source, destination) {
+        fs.mkdirSync(destination, { recursive: true });
+        let count = 0;
+        for (const entry of fs.readdirSync(source, { withFileTypes: true })) {
+            const from = path.join(source, entry.name);
+            const to = path.join(destination, entry.name);
+            if (entry.isDirectory()) {
+                count += this._linkTree(from, to);
+            } else if (entry.isFile()) {
+                try {
+                    fs.linkSync(from, to);
+                } catch {
+                    fs.copyFileSync(from, to);
+                }
+                count++;
+            }
+        }
+        return count;
+    }
+
+    static _countFiles(directory) {
+        let count = 0;
+        for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+            if (entry.isDirectory()) count += this._countFiles(path.join(directory, entry.name));
+            else if (entry.isFile()) count++;
+        }
+        return count;
+    }
+}
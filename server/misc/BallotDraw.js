@@ -0,0 +1,159 @@
+/**
+ * BallotDraw.js
+ *
+ * Runs the seeded, reproducible draw for events whose places are allocated by ballot.
+ * Winners are signed up (and charged) in draw order; everyone else joins the waitlist in draw order.
+ */
+
+import crypto from 'crypto';
+import EventsDB from '../db/eventsDB.js';
+import AttendanceDB from '../db/attendanceDB.js';
+import WaitlistDB from '../db/waitlistDB.js';
+import BallotDB from '../db/ballotDB.js';
+import UserDB from '../db/userDB.js';
+import EventRules from '../rules/EventRules.js';
+import { statusObject } from './status.js';
+import Globals from './globals.js';
+import EventStream from './EventStream.js';
+import Logger from './Logger.js';
+
+export default class BallotDraw {
+    static DEFAULT_MEMBER_WEIGHT = 2;
+    static DEFAULT_MISSED_WEIGHT = 2;
+    static SWEEP_INTERVAL_MS = 60 * 1000;
+
+    /**
+     * Build a deterministic random number generator (mulberry32) from a seed string.
+     * @returns {() => number} - Returns floats in [0, 1).
+     */
+    static createRandom(seed) {
+        let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    /**
+     * Put ballot entries into draw order using weighted random sampling without replacement.
+     * Guaranteed entries always come first. The same entries and seed always give the same order.
+     *
+     * @param {Array<{user_id: number, weight: number, guaranteed: boolean}>} entries
+     * @param {string} seed
+     * @returns {Array} - The entries in draw order.
+     */
+    static order(entries, seed) {
+        const random = this.createRandom(seed);
+        return [...entries]
+            .sort((a, b) => a.user_id - b.user_id)
+            .map(entry => ({ entry, key: (entry.guaranteed ? 1 : 0) + Math.pow(random(), 1 / entry.weight) }))
+            .sort((a, b) => b.key - a.key || a.entry.user_id - b.entry.user_id)
+            .map(({ entry }) => entry);
+    }
+
+    /**
+     * Work out each entrant's weighting: members and people who missed out last time are favoured,
+     * and instructors are guaranteed a place.
+     */
+    static async weighEntries(db, eventId, entries) {
+        const globals = new Globals();
+        const memberWeight = globals.getInt('BallotMemberWeight') || this.DEFAULT_MEMBER_WEIGHT;
+        const missedWeight = globals.getInt('BallotMissedWeight') || this.DEFAULT_MISSED_WEIGHT;
+
+        const weighted = [];
+        for (const entry of entries) {
+            let weight = entry.is_member ? memberWeight : 1;
+            const missed = await BallotDB.missedLastBallot(db, entry.user_id, eventId);
+            if (missed.getData()) weight *= missedWeight;
+            weighted.push({ user_id: entry.user_id, weight, guaranteed: !!entry.is_instructor });
+        }
+        return weighted;
+    }
+
+    /**
+     * Draw an event's ballot once it has closed.
+     * @param {string} [seed] - Seed for the draw. A random one is generated and stored when omitted.
+     * @returns {Promise<statusObject>} - Data holds the seed and the number of entries won, waitlisted and ineligible.
+     */
+    static async draw(db, eventId, seed = crypto.randomBytes(8).toString('hex')) {
+        const eventRes = await EventsDB.getEventByIdAdmin(db, eventId);
+        if (eventRes.isError()) return eventRes;
+        const event = eventRes.getData();
+
+        if (!event.ballot_closes_at) return new statusObject(400, 'This event does not use a ballot');
+        if (event.ballot_drawn_at) return new statusObject(409, 'The ballot has already been drawn');
+        if (event.is_canceled) return new statusObject(400, 'Event is canceled');
+        if (new Date() < new Date(event.ballot_closes_at)) return new statusObject(400, 'The ballot has not closed yet');
+
+        const entriesRes = await BallotDB.getEntries(db, eventId);
+        if (entriesRes.isError()) return entriesRes;
+
+        const drawOrder = this.order(await this.weighEntries(db, eventId, entriesRes.getData()), seed);
+        const counts = { won: 0, waitlisted: 0, ineligible: 0 };
+
+        try {
+            await db.run('BEGIN IMMEDIATE');
+
+            const attendance = (await AttendanceDB.get_event_attendance_count(db, eventId)).getData();
+            let places = event.max_attendees - attendance;
+
+            for (const [index, entry] of drawOrder.entries()) {
+                const user = (await UserDB.getElementsById(db, entry.user_id, ['id', 'is_instructor', 'email_verified_at', 'filled_legal_info', 'is_member', 'free_sessions'])).getData();
+
+                let result = 'waitlisted';
+                if ((await EventRules.checkUserStanding(db, event, user)).isError()) {
+                    result = 'ineligible';
+                } else if (places > 0) {
+                    const signup = await AttendanceDB.process_signup(db, event, user);
+                    if (signup.isError()) throw new Error(signup.getMessage());
+                    result = 'won';
+                    places--;
+                } else {
+                    await WaitlistDB.join_waiting_list(db, user.id, eventId);
+                }
+
+                await BallotDB.recordResult(db, eventId, entry.user_id, { weight: entry.weight, position: index + 1, result });
+                counts[result]++;
+            }
+
+            await BallotDB.markDrawn(db, eventId, seed);
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(`[BallotDraw] Draw failed for event ${eventId}:`, error);
+            return new statusObject(500, 'Ballot draw failed');
+        }
+
+        await EventStream.publishEventState(db, eventId);
+        return new statusObject(200, `Ballot drawn: ${counts.won} places allocated`, { seed, ...counts });
+    }
+
+    /**
+     * Draw every ballot that has closed but not yet been drawn.
+     * @returns {Promise<number>} - Number of ballots drawn.
+     */
+    static async drawDue(db) {
+        const due = await BallotDB.getDueBallots(db);
+        if (due.isError()) return 0;
+
+        let drawn = 0;
+        for (const eventId of due.getData()) {
+            if (!(await this.draw(db, eventId)).isError()) drawn++;
+        }
+        return drawn;
+    }
+
+    /**
+     * Start the background draw timer. The timer does not keep the process alive on its own.
+     */
+    static startSweeper(db, intervalMs = this.SWEEP_INTERVAL_MS) {
+        const timer = setInterval(() => {
+            this.drawDue(db).catch(error => Logger.error('[BallotDraw] Sweep failed:', error));
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+}
@@ -0,0 +1,418 @@
+/**
+ * BankImport.js
+ *
+ * Imports bank statements exported as CSV, so the treasurer doesn't have to credit each bank transfer by hand.
+ *
+ * Banks lay their exports out differently, so the treasurer maps the statement's columns to a date, an amount, the
+ * payer's name and the payment reference; the last mapping used is suggested for the next statement. Only money
+ * coming in is imported. Each row is matched to a member by their payment reference (`DUCC` followed by their
+ * account number, e.g. DUCC0042) or, failing that, by the payer's name. Rows matching one member exactly are
+ * 'matched'; rows that could be several members, or match only on a surname, are 'ambiguous'; the rest are
+ * 'unmatched'. Nothing is credited until the treasurer confirms a row, which adds a 'payment' credit through
+ * TransactionsDB.
+ * A file can only be imported once, and rows already seen in an earlier, overlapping statement are skipped.
+ */
+
+import crypto from 'crypto';
+import BankImportDB from '../db/bankImportDB.js';
+import TransactionsDB from '../db/transactionDB.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+
+export default class BankImport {
+    static MAX_FILE_BYTES = 2 * 1024 * 1024;
+    static REFERENCE_PREFIX = 'DUCC';
+    static COUNTERPART = 'Club bank account';
+
+    /**
+     * Statement columns the treasurer maps. Date and amount are required, plus at least one of payee and reference.
+     */
+    static FIELDS = ['date', 'amount', 'payee', 'reference'];
+
+    /**
+     * Header names each field is guessed from when there is no earlier mapping to reuse.
+     */
+    static HEADER_HINTS = {
+        date: ['date', 'transaction date', 'posting date', 'posted date', 'value date'],
+        amount: ['paid in', 'money in', 'credit', 'credit amount', 'amount', 'value'],
+        payee: ['payee', 'name', 'counterparty', 'counter party', 'payer', 'from', 'description', 'details'],
+        reference: ['reference', 'payment reference', 'ref', 'memo', 'narrative']
+    };
+
+    static TITLES = ['mr', 'mrs', 'ms', 'miss', 'mx', 'dr', 'prof'];
+
+    /**
+     * The payment reference a member should use when paying by bank transfer.
+     */
+    static referenceFor(userId) {
+        return `${this.REFERENCE_PREFIX}${String(userId).padStart(4, '0')}`;
+    }
+
+    /**
+     * Parse CSV text into rows of cells, handling quoted cells, escaped quotes, CRLF line endings and a leading BOM.
+     * Blank lines are dropped.
+     * @returns {string[][]}
+     */
+    static parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let quoted = false;
+        const input = text.replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        row.push(cell);
+        rows.push(row);
+
+        return rows.map(r => r.map(c => c.trim())).filter(r => r.some(c => c !== ''));
+    }
+
+    /**
+     * Suggest a column mapping for a statement's headers: the previous import's mapping if this statement has the
+     * same columns, otherwise a guess from the header names.
+     * @param {string[]} headers
+     * @param {object|null} previous - The mapping used for the last import.
+     * @returns {object} - Header name (or null) for each field.
+     */
+    static suggestMapping(headers, previous = null) {
+        if (previous && this.FIELDS.every(field => !previous[field] || headers.includes(previous[field]))) {
+            return Object.fromEntries(this.FIELDS.map(field => [field, previous[field] || null]));
+        }
+
+        const lower = headers.map(h => h.toLowerCase());
+        const used = new Set();
+        const mapping = {};
+        for (const field of this.FIELDS) {
+            const hint = this.HEADER_HINTS[field].find(h => lower.includes(h) && !used.has(lower.indexOf(h)));
+            mapping[field] = hint ? headers[lower.indexOf(hint)] : null;
+            if (hint) used.add(lower.indexOf(hint));
+        }
+        return mapping;
+    }
+
+    /**
+     * Check a column mapping against a statement's headers.
+     * @returns {statusObject} - 400 if a required field is missing or names a column the statement doesn't have,
+     *                           otherwise the mapping with unused fields set to null.
+     */
+    static validateMapping(mapping, headers) {
+        if (!mapping || typeof mapping !== 'object') return new statusObject(400, 'A column mapping is required');
+
+        const tidy = Object.fromEntries(this.FIELDS.map(field => [field, mapping[field] || null]));
+        if (this.FIELDS.some(field => tidy[field] !== null && !headers.includes(tidy[field]))) {
+            return new statusObject(400, 'The column mapping names a column that is not in this statement');
+        }
+        if (!tidy.date || !tidy.amount || (!tidy.payee && !tidy.reference)) {
+            return new statusObject(400, 'Map the date and amount columns, and the payee or reference column');
+        }
+        return new statusObject(200, null, tidy);
+    }
+
+    /**
+     * Parse an amount as written in a statement, e.g. "£1,234.50", "(12.00)" or "12.00 DR".
+     * @returns {number|null} - Null for a blank or unreadable amount.
+     */
+    static parseAmount(value) {
+        let text = String(value ?? '').replace(/[£$€,\s]/g, '').toUpperCase();
+        if (!text) return null;
+
+        let sign = 1;
+        if (/^\(.*\)$/.test(text)) {
+            sign = -1;
+            text = text.slice(1, -1);
+        }
+        if (text.endsWith('DR')) {
+            sign = -sign;
+            text = text.slice(0, -2);
+        } else if (text.endsWith('CR')) {
+            text = text.slice(0, -2);
+        }
+        if (!/^[+-]?\d+(\.\d+)?$/.test(text)) return null;
+
+        return Math.round(sign * Number(text) * 100) / 100;
+    }
+
+    /**
+     * Parse a statement date, either ISO (2026-10-03) or day first as UK banks write it (03/10/2026, 3-10-26).
+     * @returns {string|null} - The date as YYYY-MM-DD, or null if it can't be read.
+     */
+    static parseDate(value) {
+        const text = String(value ?? '').trim();
+        let year, month, day;
+
+        let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (match) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+            [, day, month, year] = match.map(Number);
+            if (year < 100) year += 2000;
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Lower-case a name and split it into words, dropping accents, punctuation and titles.
+     * @returns {string[]}
+     */
+    static nameTokens(text) {
+        return String(text ?? '')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z\s]/g, ' ')
+            .split(/\s+/)
+            .filter(token => token && !this.TITLES.includes(token));
+    }
+
+    /**
+     * Work out who a statement row is from.
+     * A payment reference naming an existing member wins. Otherwise the payee and reference are searched for
+     * members' names: a single member whose first and last names both appear is a match, while several such
+     * members, or a surname with only an initial or no first name at all, leaves the row ambiguous.
+     * @param {object} row - Parsed row with `payee` and `reference`.
+     * @param {Array<{id, first_name, last_name}>} users - Members rows can be matched to.
+     * @returns {{status: string, user_id: number|null, candidate_ids: number[], match_reason: string|null}}
+     */
+    static matchRow(row, users) {
+        const text = `${row.payee || ''} ${row.reference || ''}`;
+
+        const refMatch = text.match(new RegExp(`\\b${this.REFERENCE_PREFIX}\\s*-?\\s*(\\d{1,8})\\b`, 'i'));
+        if (refMatch) {
+            const user = users.find(u => u.id === Number(refMatch[1]));
+            if (user) return { status: 'matched', user_id: user.id, candidate_ids: [], match_reason: 'reference' };
+        }
+
+        const tokens = new Set(this.nameTokens(text));
+        const full = [];
+        const initial = [];
+        const surname = [];
+        for (const user of users) {
+            const first = this.nameTokens(user.first_name);
+            const last = this.nameTokens(user.last_name);
+            if (first.length === 0 || last.length === 0 || !last.every(t => tokens.has(t))) continue;
+
+            if (first.every(t => tokens.has(t))) full.push(user.id);
+            else if (tokens.has(first[0][0])) initial.push(user.id);
+            else surname.push(user.id);
+        }
+
+        if (full.length === 1) return { status: 'matched', user_id: full[0], candidate_ids: [], match_reason: 'name' };
+        const candidates = [full, initial, surname].find(list => list.length > 0) || [];
+        if (candidates.length > 0) return { status: 'ambiguous', user_id: null, candidate_ids: candidates, match_reason: 'name' };
+        return { status: 'unmatched', user_id: null, candidate_ids: [], match_reason: null };
+    }
+
+    /**
+     * Read the money-in rows of a statement using a column mapping.
+     * Each row gets a fingerprint of its contents, counting identical rows within the file so that two equal
+     * payments on the same day are both kept, while the same payment in a later, overlapping statement is not.
+     * @param {string[][]} table - Parsed CSV, headers first.
+     * @returns {{rows: object[], skipped: number, invalid: number[]}} - `skipped` counts payments out and blank
+     *          amounts; `invalid` lists the line numbers of money-in rows with an unreadable date or amount.
+     */
+    static readRows(table, mapping) {
+        const [headers, ...lines] = table;
+        const column = field => (mapping[field] ? headers.indexOf(mapping[field]) : -1);
+        const cols = Object.fromEntries(this.FIELDS.map(field => [field, column(field)]));
+        const cellOf = (line, field) => (cols[field] >= 0 ? line[cols[field]] ?? '' : '');
+
+        const rows = [];
+        const invalid = [];
+        const seen = new Map();
+        let skipped = 0;
+
+        lines.forEach((line, index) => {
+            const rowNumber = index + 2;
+            const rawAmount = cellOf(line, 'amount');
+            const amount = this.parseAmount(rawAmount);
+            if (amount === null && rawAmount !== '') {
+                invalid.push(rowNumber);
+                return;
+            }
+            if (amount === null || amount <= 0) {
+                skipped++;
+                return;
+            }
+
+            const date = this.parseDate(cellOf(line, 'date'));
+            if (!date) {
+                invalid.push(rowNumber);
+                return;
+            }
+
+            const payee = cellOf(line, 'payee') || null;
+            const reference = cellOf(line, 'reference') || null;
+            const key = [date, amount.toFixed(2), payee, reference].join('|');
+            const occurrence = seen.get(key) || 0;
+            seen.set(key, occurrence + 1);
+
+            rows.push({
+                row_number: rowNumber, date, amount, payee, reference,
+                fingerprint: crypto.createHash('sha256').update(`${key}|${occurrence}`).digest('hex')
+            });
+        });
+
+        return { rows, skipped, invalid };
+    }
+
+    /**
+     * Read a statement's headers and first few rows, with a suggested column mapping.
+     * @param {Buffer} buffer - The uploaded CSV file.
+     */
+    static async preview(db, buffer) {
+        const table = this.parseCsv(buffer.toString('utf8'));
+        if (table.length < 2) return new statusObject(400, 'The statement has no rows');
+
+        try {
+            const headers = table[0];
+            const mapping = this.suggestMapping(headers, await BankImportDB.getLastMapping(db));
+            return new statusObject(200, null, { headers, sample: table.slice(1, 6), mapping });
+        } catch (error) {
+            Logger.error('[BankImport] Failed to preview statement:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Import a statement, matching each new money-in row to a member for the treasurer to confirm.
+     * @param {{originalname: string, buffer: Buffer}} file - The uploaded CSV file.
+     * @param {object} mapping - Header name for each of `FIELDS`.
+     * @returns {Promise<statusObject>} - 409 if the file, or every row in it, was imported before. Otherwise the
+     *          import's `id`, and how many rows were `added`, were `duplicates` of earlier imports, were `skipped`
+     *          as payments out, or were `invalid`.
+     */
+    static async importStatement(db, file, mapping, importedBy, now = new Date()) {
+        const table = this.parseCsv(file.buffer.toString('utf8'));
+        if (table.length < 2) return new statusObject(400, 'The statement has no rows');
+
+        const mappingRes = this.validateMapping(mapping, table[0]);
+        if (mappingRes.isError()) return mappingRes;
+
+        const { rows, skipped, invalid } = this.readRows(table, mappingRes.getData());
+        if (rows.length === 0) return new statusObject(400, 'No money-in rows were found in this statement');
+
+        const fileHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+        try {
+            const previous = await BankImportDB.getImportByHash(db, fileHash);
+            if (previous) {
+                return new statusObject(409, `This statement was already imported on ${new Date(previous.created_at).toLocaleDateString('en-GB')}`);
+            }
+
+            const users = await BankImportDB.getMatchableUsers(db);
+            await db.run('BEGIN IMMEDIATE');
+            try {
+                const importId = await BankImportDB.createImport(db, file.originalname || null, fileHash, mappingRes.getData(), importedBy, now);
+                let added = 0;
+                for (const row of rows) {
+                    if (await BankImportDB.addRow(db, importId, { ...row, ...this.matchRow(row, users) })) added++;
+                }
+
+                if (added === 0) {
+                    await db.run('ROLLBACK');
+                    return new statusObject(409, 'Every payment in this statement has already been imported');
+                }
+                await db.run('COMMIT');
+                return new statusObject(200, 'Statement imported', { id: importId, added, duplicates: rows.length - added, skipped, invalid });
+            } catch (error) {
+                await db.run('ROLLBACK');
+                throw error;
+            }
+        } catch (error) {
+            Logger.error('[BankImport] Failed to import statement:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Confirm who a statement row is from and credit their account.
+     * @param {number|null} userId - The member to credit; defaults to the row's automatic match.
+     * @returns {Promise<statusObject>} - The row, the member credited and the new transaction's details.
+     */
+    static async confirmRow(db, rowId, userId, resolvedBy, now = new Date()) {
+        try {
+            const row = await BankImportDB.getRow(db, rowId);
+            if (!row) return new statusObject(404, 'Row not found');
+            if (!BankImportDB.PENDING_STATUSES.includes(row.status)) return new statusObject(409, `This row has already been ${row.status}`);
+
+            const targetId = Number(userId ?? row.user_id);
+            if (!targetId) return new statusObject(400, 'Choose the member who made this payment');
+            const users = await BankImportDB.getMatchableUsers(db);
+            if (!users.some(u => u.id === targetId)) return new statusObject(404, 'User not found');
+
+            const description = `Bank transfer received ${row.date.split('-').reverse().join('/')}`;
+            const details = {
+                category: 'payment',
+                counterpart: this.COUNTERPART,
+                reference: row.reference ? row.reference.slice(0, TransactionsDB.MAX_DETAIL_LENGTH) : null
+            };
+
+            await db.run('BEGIN IMMEDIATE');
+            try {
+                if (!await BankImportDB.resolveRow(db, rowId, 'confirmed', targetId, resolvedBy, now)) {
+                    await db.run('ROLLBACK');
+                    return new statusObject(409, 'This row has already been resolved');
+                }
+                const transaction = await TransactionsDB.add_transaction(db, targetId, row.amount, description, null, { ...details, created_by: resolvedBy });
+                await BankImportDB.setTransaction(db, rowId, transaction.getData());
+                await db.run('COMMIT');
+
+                return new statusObject(200, 'Payment confirmed', {
+                    row_id: row.id, import_id: row.import_id, user_id: targetId, transaction_id: transaction.getData(),
+                    amount: row.amount, description, ...details
+                });
+            } catch (error) {
+                await db.run('ROLLBACK');
+                throw error;
+            }
+        } catch (error) {
+            Logger.error('[BankImport] Failed to confirm row:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Mark a statement row as nothing to credit, e.g. a payment from a sponsor or the students' union.
+     */
+    static async ignoreRow(db, rowId, resolvedBy, now = new Date()) {
+        try {
+            const row = await BankImportDB.getRow(db, rowId);
+            if (!row) return new statusObject(404, 'Row not found');
+            if (!await BankImportDB.resolveRow(db, rowId, 'ignored', null, resolvedBy, now)) {
+                return new statusObject(409, `This row has already been ${row.status}`);
+            }
+            return new statusObject(200, 'Row ignored', row);
+        } catch (error) {
+            Logger.error('[BankImport] Failed to ignore row:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
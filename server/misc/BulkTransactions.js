@@ -0,0 +1,217 @@
+/**
+ * BulkTransactions.js
+ *
+ * Charges or credits many members at once, e.g. fuel for everyone on a trip or a refund to a group whose pool
+ * booking was cancelled.
+ *
+ * Members are chosen by event attendance, tag whitelist, role, membership or the same filters as the admin user
+ * list. The amount is either a fixed amount each or a total split equally, with any leftover pennies going to the
+ * first members so the split adds up exactly. Applying a batch adds every member's entry in one database
+ * transaction, linked to the batch, so the whole batch can later be reversed in one go.
+ */
+
+import TransactionBatchDB from '../db/transactionBatchDB.js';
+import TransactionsDB from '../db/transactionDB.js';
+import UserDB from '../db/userDB.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+
+export default class BulkTransactions {
+    static SELECTION_TYPES = ['event', 'tag', 'role', 'members', 'query'];
+    static KINDS = ['charge', 'credit'];
+    static MODES = ['split', 'fixed'];
+    static MAX_AMOUNT = 10000;
+    static MAX_USERS = 1000;
+
+    /**
+     * Find the members a selection refers to, leaving out deleted accounts and any IDs in `exclude`. A selection
+     * matching more than `MAX_USERS` members is refused, even if exclusions would bring it under.
+     * @param {object} selection - `type` and its parameter: `eventId`, `tagId` or `roleId`; for 'query', the admin
+     *                             user list filters `search`, `inDebt`, `isMember`, `difficulty` and `permissions`.
+     * @returns {Promise<statusObject>} - The members, ordered by name.
+     */
+    static async resolveSelection(db, selection, exclude = []) {
+        if (!selection || !this.SELECTION_TYPES.includes(selection.type)) return new statusObject(400, 'Invalid selection');
+
+        let ids;
+        switch (selection.type) {
+            case 'event':
+            case 'tag':
+            case 'role': {
+                const id = parseInt(selection[`${selection.type}Id`]);
+                if (isNaN(id)) return new statusObject(400, `Choose a ${selection.type}`);
+                if (selection.type === 'event') ids = await TransactionBatchDB.getEventAttendeeIds(db, id);
+                else if (selection.type === 'tag') ids = await TransactionBatchDB.getTagWhitelistIds(db, id);
+                else ids = await TransactionBatchDB.getRoleHolderIds(db, id);
+                break;
+            }
+            case 'members':
+                ids = await TransactionBatchDB.getMemberIds(db);
+                break;
+            case 'query': {
+                const fullAccess = { canManageUsers: true, canManageTrans: true, canManageEvents: true, isScopedExec: false };
+                const filters = {};
+                for (const key of ['search', 'inDebt', 'isMember', 'difficulty', 'permissions']) {
+                    if (selection[key] !== undefined && selection[key] !== null && selection[key] !== '') filters[key] = String(selection[key]);
+                }
+                const result = await UserDB.getUsers(db, fullAccess, { page: 1, limit: this.MAX_USERS, ...filters });
+                if (result.isError()) return result;
+                if (result.getData().totalPages > 1) return this._tooManyUsers();
+                ids = result.getData().users.map(u => u.id);
+                break;
+            }
+        }
+
+        // The limit applies to everyone the selection matches, so leaving a few out cannot bring it under
+        const users = await TransactionBatchDB.getUsersByIds(db, ids);
+        if (users.length > this.MAX_USERS) return this._tooManyUsers();
+
+        const excluded = new Set((Array.isArray(exclude) ? exclude : []).map(Number));
+        return new statusObject(200, null, users.filter(user => !excluded.has(user.id)));
+    }
+
+    /**
+     * The error for a selection matching more members than a batch can include.
+     */
+    static _tooManyUsers() {
+        return new statusObject(400, `A batch can include at most ${this.MAX_USERS} members`);
+    }
+
+    /**
+     * Work out each member's entry. A split divides the total equally in whole pennies, giving the leftover pennies
+     * to the first members; charges are negative and credits positive.
+     * @param {number} count - How many members there are.
+     * @returns {number[]} - One amount per member, in the same order.
+     */
+    static splitAmounts(count, kind, mode, amount) {
+        const pennies = Math.round(amount * 100);
+        const sign = kind === 'charge' ? -1 : 1;
+        if (mode === 'fixed') return Array(count).fill(sign * pennies / 100);
+
+        const share = Math.floor(pennies / count);
+        const leftover = pennies - share * count;
+        return Array.from({ length: count }, (_, i) => sign * (share + (i < leftover ? 1 : 0)) / 100);
+    }
+
+    /**
+     * Show who a batch would reach and what each would be charged or credited, without applying it.
+     * @param {object} request - `selection`, `exclude`, `kind`, `mode` and `amount` (in pounds, positive).
+     * @returns {Promise<statusObject>} - The members with their `amount`, and the batch `total`.
+     */
+    static async preview(db, { selection, exclude, kind, mode, amount }) {
+        if (!this.KINDS.includes(kind)) return new statusObject(400, 'Choose whether to charge or credit');
+        if (!this.MODES.includes(mode)) return new statusObject(400, 'Choose a fixed amount or a split');
+
+        const value = Math.round(Number(amount) * 100) / 100;
+        if (!Number.isFinite(value) || value <= 0 || value > this.MAX_AMOUNT) {
+            return new statusObject(400, `The amount must be between £0.01 and £${this.MAX_AMOUNT.toFixed(2)}`);
+        }
+
+        const usersRes = await this.resolveSelection(db, selection, exclude);
+        if (usersRes.isError()) return usersRes;
+        const users = usersRes.getData();
+        if (users.length === 0) return new statusObject(400, 'No members match this selection');
+        if (mode === 'split' && Math.round(value * 100) < users.length) {
+            return new statusObject(400, 'The total is too small to split between this many members');
+        }
+
+        const amounts = this.splitAmounts(users.length, kind, mode, value);
+        const total = Math.round(amounts.reduce((sum, a) => sum + a * 100, 0)) / 100;
+        return new statusObject(200, null, {
+            users: users.map((user, i) => ({ ...user, amount: amounts[i] })),
+            total
+        });
+    }
+
+    /**
+     * Apply a batch: add every member's entry, linked to a new batch, all or nothing.
+     * @param {object} request - As for `preview`, plus the entries' `description`, `category`, `counterpart` and
+     *                           `reference`.
+     * @returns {Promise<statusObject>} - The batch `id`, its `total` and its `entries` (`id`, `user_id`, `amount`).
+     */
+    static async apply(db, request, actorId) {
+        const descriptionRes = TransactionsDB.normalise_description(request.description);
+        if (descriptionRes.isError()) return descriptionRes;
+        const description = descriptionRes.getData();
+        const details = TransactionsDB.normalise_details({
+            category: request.category || (request.kind === 'credit' ? 'refund' : 'event'),
+            counterpart: request.counterpart,
+            reference: request.reference
+        });
+        if (details.isError()) return details;
+
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            // Worked out inside the transaction, so the selection cannot change while the entries are added
+            const preview = await this.preview(db, request);
+            if (preview.isError()) {
+                await db.run('ROLLBACK');
+                return preview;
+            }
+            const { users, total } = preview.getData();
+
+            const batchId = await TransactionBatchDB.create(db, {
+                description,
+                ...details.getData(),
+                kind: request.kind,
+                mode: request.mode,
+                amount: Math.round(Number(request.amount) * 100) / 100,
+                selection: { ...request.selection, exclude: Array.isArray(request.exclude) ? request.exclude.map(Number) : [] }
+            }, actorId);
+
+            const entries = [];
+            for (const user of users) {
+                const result = await TransactionsDB.add_transaction(db, user.id, user.amount, description, null, {
+                    ...details.getData(),
+                    created_by: actorId,
+                    batch_id: batchId
+                });
+                entries.push({ id: result.getData(), user_id: user.id, amount: user.amount });
+            }
+
+            await db.run('COMMIT');
+            return new statusObject(200, `${request.kind === 'charge' ? 'Charged' : 'Credited'} ${entries.length} members`, { id: batchId, total, entries });
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error('[BulkTransactions] Failed to apply batch:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Reverse a whole batch. Entries already reversed on their own are left as they are, and corrected entries are
+     * reversed through their replacements.
+     * @returns {Promise<statusObject>} - The entries reversed (`id`, `user_id`, `amount`, `description`), or 404
+     *                                    if the batch does not exist and 409 if it was already reversed.
+     */
+    static async reverse(db, batchId, reason, actorId) {
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            const batchRes = await TransactionBatchDB.get(db, batchId);
+            if (batchRes.isError()) {
+                await db.run('ROLLBACK');
+                return batchRes;
+            }
+            const batch = batchRes.getData();
+
+            if (!await TransactionBatchDB.markReversed(db, batch.id, actorId, reason)) {
+                await db.run('ROLLBACK');
+                return new statusObject(409, 'Batch has already been reversed');
+            }
+
+            const reversed = [];
+            for (const entry of batch.entries.filter(e => !e.reversed_by_id)) {
+                const result = await TransactionsDB._reverse_transaction_internal(db, entry.id, reason, actorId);
+                if (result.isError()) throw new Error(`Could not reverse transaction ${entry.id}: ${result.getMessage()}`);
+                reversed.push({ id: entry.id, user_id: entry.user_id, amount: entry.amount, description: entry.description });
+            }
+
+            await db.run('COMMIT');
+            return new statusObject(200, 'Batch reversed', reversed);
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error(`[BulkTransactions] Failed to reverse batch ${batchId}:`, error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+}
@@ -0,0 +1,176 @@
+/**
+ * DataExport.js
+ *
+ * Builds subject access exports: everything the club holds about a member, as a gzipped tar archive
+ * containing one JSON document, a CSV file per section and the member's profile picture.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import tar from 'tar';
+import TransactionsDB from '../db/transactionDB.js';
+import RolesDB from '../db/rolesDB.js';
+import FilesDB from '../db/filesDB.js';
+import FieldEncryption from './FieldEncryption.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+import config from '../config.js';
+
+export default class DataExport {
+    /**
+     * Profile and legal fields exported from `users`. Credentials and private tokens are left out.
+     */
+    static PROFILE_FIELDS = [
+        'id', 'email', 'first_name', 'last_name', 'date_of_birth', 'college_id',
+        'emergency_contact_name', 'emergency_contact_phone', 'home_address', 'phone_number',
+        'has_medical_conditions', 'medical_conditions_details', 'takes_medication', 'medication_details',
+        'free_sessions', 'is_member',
+        'agrees_to_fitness_statement', 'agrees_to_club_rules', 'agrees_to_pay_debts', 'agrees_to_data_storage', 'agrees_to_keep_health_data',
+        'filled_legal_info', 'legal_filled_at', 'difficulty_level', 'is_instructor', 'first_aid_expiry',
+        'swims', 'booties', 'created_at'
+    ];
+
+    /**
+     * Gather everything held about a user.
+     * @returns {Promise<statusObject>} - Data holds one array (or object, for the profile) per section,
+     * plus the profile picture's file record.
+     */
+    static async collect(db, userId) {
+        try {
+            const profile = await db.get(
+                `SELECT ${this.PROFILE_FIELDS.map(f => `u.${f}`).join(', ')}, c.name AS college_name, u.profile_picture_id
+                 FROM users u LEFT JOIN colleges c ON c.id = u.college_id WHERE u.id = ?`,
+                [userId]
+            );
+            if (!profile) return new statusObject(404, 'User not found');
+
+            const { profile_picture_id: pictureId, ...profileData } = FieldEncryption.decryptRow(profile);
+
+            const transactions = (await TransactionsDB.get_transactions(db, userId)).getData().map(({ after, ...tx }) => ({ ...tx, balance_after: after }));
+
+            const attendance = await db.all(
+                `SELECT ea.event_id, e.title AS event_title, e.start, e.end, e.location, ea.is_attending, ea.joined_at, ea.left_at, ea.payment_transaction_id
+                 FROM event_attendees ea JOIN events e ON e.id = ea.event_id
+                 WHERE ea.user_id = ? ORDER BY e.start DESC, ea.joined_at DESC`,
+                [userId]
+            );
+
+            const waitlist = await db.all(
+                `SELECT ew.event_id, e.title AS event_title, e.start, ew.joined_at
+                 FROM event_waiting_list ew JOIN events e ON e.id = ew.event_id
+                 WHERE ew.user_id = ? ORDER BY ew.joined_at DESC`,
+                [userId]
+            );
+
+            const swims = await db.all('SELECT count, created_at FROM swim_history WHERE user_id = ? ORDER BY created_at DESC', [userId]);
+
+            const rolesRes = await RolesDB.getUserRoles(db, userId);
+            if (rolesRes.isError()) return rolesRes;
+
+            const tagWhitelists = await db.all(
+                'SELECT t.id AS tag_id, t.name AS tag_name FROM tag_whitelists tw JOIN tags t ON t.id = tw.tag_id WHERE tw.user_id = ? ORDER BY t.name',
+                [userId]
+            );
+
+            let profilePicture = null;
+            if (pictureId) {
+                const fileRes = await FilesDB.getFileById(db, pictureId);
+                if (!fileRes.isError()) profilePicture = fileRes.getData();
+            }
+
+            return new statusObject(200, null, {
+                generated_at: new Date().toISOString(),
+                profile: profileData,
+                transactions,
+                attendance,
+                waitlist,
+                swims,
+                roles: rolesRes.getData(),
+                tag_whitelists: tagWhitelists,
+                profilePicture
+            });
+        } catch (error) {
+            Logger.error('[Export] Failed to collect user data:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Format rows as CSV with a header line. Text that a spreadsheet would run as a formula is prefixed with a quote.
+     * @param {object[]} rows
+     * @returns {string}
+     */
+    static toCsv(rows) {
+        if (rows.length === 0) return '';
+        const columns = Object.keys(rows[0]);
+
+        const cell = (value) => {
+            if (value === null || value === undefined) return '';
+            let text = String(value);
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+    }
+
+    /**
+     * Write a user's export archive to a temporary file.
+     * @returns {Promise<statusObject>} - Data holds the archive path and a download name. The caller deletes the file.
+     */
+    static async createArchive(db, userId) {
+        const collected = await this.collect(db, userId);
+        if (collected.isError()) return collected;
+        const { profilePicture, ...data } = collected.getData();
+
+        const staging = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-export-'));
+        try {
+            const entries = ['data.json'];
+            const sections = {
+                profile: [data.profile],
+                transactions: data.transactions,
+                attendance: data.attendance,
+                waitlist: data.waitlist,
+                swims: data.swims,
+                roles: data.roles,
+                tag_whitelists: data.tag_whitelists
+            };
+            for (const [name, rows] of Object.entries(sections)) {
+                fs.writeFileSync(path.join(staging, `${name}.csv`), this.toCsv(rows));
+                entries.push(`${name}.csv`);
+            }
+
+            if (profilePicture) {
+                const source = path.join(config.paths.files, profilePicture.filename);
+                if (fs.existsSync(source)) {
+                    data.profile_picture = `profile-picture${path.extname(profilePicture.filename)}`;
+                    fs.copyFileSync(source, path.join(staging, data.profile_picture));
+                    entries.push(data.profile_picture);
+                }
+            }
+            fs.writeFileSync(path.join(staging, 'data.json'), JSON.stringify(data, null, 4));
+
+            const downloadName = `ducc-data-export-${userId}-${data.generated_at.slice(0, 10)}.tar.gz`;
+            const archive = path.join(os.tmpdir(), `${path.basename(staging)}.tar.gz`);
+            await tar.c({ gzip: true, portable: true, file: archive, cwd: staging }, entries);
+            return new statusObject(200, null, { archive, downloadName });
+        } catch (error) {
+            Logger.error('[Export] Failed to write export archive:', error);
+            return new statusObject(500, 'Failed to create export');
+        } finally {
+            fs.rmSync(staging, { recursive: true, force: true });
+        }
+    }
+
+    /**
+     * Build a user's export and send it as a download, removing the temporary archive afterwards.
+     */
+    static async send(db, userId, res) {
+        const result = await this.createArchive(db, userId);
+        if (result.isError()) return result.getResponse(res);
+
+        const { archive, downloadName } = result.getData();
+        res.download(archive, downloadName, () => fs.rmSync(archive, { force: true }));
+    }
+}
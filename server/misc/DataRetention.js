@@ -0,0 +1,175 @@
+/**
+ * DataRetention.js
+ *
+ * Applies the club's data retention policy, mostly set through globals:
+ * - members' medical and emergency details are purged a set number of months after they filled in the
+ *   legal form or, for members who agreed to their health data being kept, after they last attended an event
+ *   if that was later;
+ * - deleted accounts are removed for good a set number of years after deletion;
+ * - expired password reset and email verification links are discarded;
+ * - login history is kept for 90 days.
+ *
+ * Members' details and accounts are never destroyed automatically. The President reviews a dry-run report and
+ * then applies it; only the users listed in that report, and still due, are touched. Expired links and old
+ * login history are swept on a timer.
+ */
+
+import UserDB from '../db/userDB.js';
+import EmailVerificationDB from '../db/emailVerificationDB.js';
+import LoginSecurity from './LoginSecurity.js';
+import { statusObject } from './status.js';
+import Globals from './globals.js';
+import Logger from './Logger.js';
+
+export default class DataRetention {
+    static SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+    /**
+     * Columns cleared when a member's health data is purged. They fill in the legal form again on their next sign-up.
+     */
+    static HEALTH_FIELDS = [
+        'emergency_contact_name', 'emergency_contact_phone', 'home_address', 'phone_number',
+        'has_medical_conditions', 'medical_conditions_details', 'takes_medication', 'medication_details'
+    ];
+
+    /**
+     * Read the retention periods from globals. A period of 0 disables that part of the policy.
+     * @returns {{healthMonths: number, deletedAccountYears: number}}
+     */
+    static getPolicy() {
+        const globals = new Globals();
+        return {
+            healthMonths: globals.getInt('RetentionHealthMonths'),
+            deletedAccountYears: globals.getInt('RetentionDeletedAccountYears')
+        };
+    }
+
+    /**
+     * Work out what the policy would remove, without changing anything.
+     * @param {object} db
+     * @param {Date} [now=new Date()]
+     * @returns {Promise<statusObject>} - Data holds the policy and, per category, its cutoff and the records due.
+     */
+    static async report(db, now = new Date()) {
+        try {
+            const policy = this.getPolicy();
+            const healthCutoff = policy.healthMonths > 0 ? this._subtract(now, { months: policy.healthMonths }) : null;
+            const accountCutoff = policy.deletedAccountYears > 0 ? this._subtract(now, { years: policy.deletedAccountYears }) : null;
+
+            const health = healthCutoff ? await db.all(
+                `SELECT u.id, u.first_name, u.last_name, u.email, u.legal_filled_at, u.agrees_to_keep_health_data, MAX(e.start) AS last_attended
+                 FROM users u
+                 LEFT JOIN event_attendees ea ON ea.user_id = u.id AND ea.is_attending = 1
+                 LEFT JOIN events e ON e.id = ea.event_id
+                 WHERE u.email NOT LIKE 'deleted:%'
+                   AND (u.filled_legal_info = 1 OR COALESCE(${this.HEALTH_FIELDS.map(f => `u.${f}`).join(', ')}) IS NOT NULL)
+                 GROUP BY u.id
+                 HAVING MAX(
+                     julianday(COALESCE(u.legal_filled_at, u.created_at)),
+                     CASE WHEN u.agrees_to_keep_health_data = 1 THEN COALESCE(julianday(MAX(e.start)), 0) ELSE 0 END
+                 ) < julianday(?)
+                 ORDER BY u.last_name, u.first_name`,
+                [healthCutoff.toISOString()]
+            ) : [];
+
+            const deletedAccounts = accountCutoff ? await db.all(
+                `SELECT id, first_name, last_name, deleted_at FROM users
+                 WHERE email LIKE 'deleted:%' AND julianday(deleted_at) < julianday(?)
+                 ORDER BY deleted_at`,
+                [accountCutoff.toISOString()]
+            ) : [];
+
+            const resets = await db.get('SELECT COUNT(*) AS count FROM password_resets WHERE julianday(expires_at) < julianday(?)', [now.toISOString()]);
+
+            return new statusObject(200, null, {
+                generated_at: now.toISOString(),
+                policy,
+                health: { cutoff: healthCutoff?.toISOString() ?? null, users: health },
+                deletedAccounts: { cutoff: accountCutoff?.toISOString() ?? null, users: deletedAccounts },
+                passwordResets: { expired: resets.count }
+            });
+        } catch (error) {
+            Logger.error('[Retention] Failed to build report:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Purge the records approved from a report. IDs that are no longer due (for example a member who has
+     * since attended an event) are skipped.
+     * @param {object} db
+     * @param {{health?: number[], deletedAccounts?: number[]}} approved - User IDs taken from the report.
+     * @param {Date} [now=new Date()]
+     * @returns {Promise<statusObject>} - Data lists the user IDs actually purged and the number of reset links removed.
+     */
+    static async apply(db, approved, now = new Date()) {
+        const reportRes = await this.report(db, now);
+        if (reportRes.isError()) return reportRes;
+        const report = reportRes.getData();
+
+        const due = (section, ids) => {
+            const requested = new Set((ids || []).map(Number));
+            return section.users.map(u => u.id).filter(id => requested.has(id));
+        };
+        const health = due(report.health, approved?.health);
+        const deletedAccounts = due(report.deletedAccounts, approved?.deletedAccounts);
+
+        try {
+            await db.run('BEGIN TRANSACTION');
+
+            if (health.length > 0) {
+                const setClause = this.HEALTH_FIELDS.map(f => `${f} = NULL`).join(', ') + ', filled_legal_info = 0, legal_filled_at = NULL';
+                await db.run(`UPDATE users SET ${setClause} WHERE id IN (${health.map(() => '?').join(', ')})`, health);
+            }
+
+            for (const id of deletedAccounts) {
+                const removed = await UserDB.removeUser(db, id, true);
+                if (removed.isError()) throw new Error(`Could not remove user ${id}: ${removed.getMessage()}`);
+            }
+
+            const passwordResets = await this._expirePasswordResets(db, now);
+
+            await db.run('COMMIT');
+            return new statusObject(200, null, { health, deletedAccounts, passwordResets });
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error('[Retention] Failed to apply retention policy:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Discard expired password reset and email verification links, and old login history, on a timer.
+     */
+    static startSweeper(db, intervalMs = this.SWEEP_INTERVAL_MS) {
+        const timer = setInterval(async () => {
+            try {
+                await this._expirePasswordResets(db);
+                await EmailVerificationDB.removeExpired(db);
+                await LoginSecurity.pruneHistory(db);
+            } catch (error) {
+                Logger.error('[Retention] Sweep failed:', error);
+            }
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+
+    /**
+     * Internal helper deleting password reset links that expired before `now`.
+     * @returns {Promise<number>} - Number of links removed.
+     */
+    static async _expirePasswordResets(db, now = new Date()) {
+        const result = await db.run('DELETE FROM password_resets WHERE julianday(expires_at) < julianday(?)', [now.toISOString()]);
+        return result.changes;
+    }
+
+    /**
+     * Internal helper moving a date back by whole months or years.
+     */
+    static _subtract(date, { months = 0, years = 0 }) {
+        const result = new Date(date);
+        result.setUTCMonth(result.getUTCMonth() - months - years * 12);
+        return result;
+    }
+}
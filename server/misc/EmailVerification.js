@@ -0,0 +1,85 @@
+/**
+ * EmailVerification.js
+ *
+ * Proves that members own the email address on their account. A link is emailed when an account is created
+ * and whenever the address changes; until it is followed, the member can log in but cannot sign up to events
+ * or buy membership.
+ *
+ * Links expire after a day and only work for the address they were sent to. Members can ask for another,
+ * at most once a minute and a few times a day.
+ */
+
+import crypto from 'crypto';
+import EmailVerificationDB from '../db/emailVerificationDB.js';
+import UserDB from '../db/userDB.js';
+import Mailer from './Mailer.js';
+import { statusObject } from './status.js';
+
+export default class EmailVerification {
+    static TOKEN_HOURS = 24;
+    static RESEND_COOLDOWN_SECONDS = 60;
+    static MAX_SENDS_PER_DAY = 5;
+
+    /**
+     * Email a user a new verification link for their current address. Earlier links stay valid until they expire.
+     * @param {string} baseUrl - Site address the link points at.
+     * @returns {Promise<statusObject>}
+     */
+    static async send(db, userId, baseUrl, now = new Date()) {
+        const userRes = await UserDB.getElementsById(db, userId, ['email']);
+        if (userRes.isError()) return userRes;
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(now.getTime() + this.TOKEN_HOURS * 3600000);
+        const created = await EmailVerificationDB.create(db, userId, userRes.getData().email, this.hashToken(token), expiresAt, now);
+        if (created.isError()) return created;
+
+        return Mailer.send(db, userId, 'verifyEmail', {
+            url: `${baseUrl}/verify-email?token=${token}`,
+            expiresHours: this.TOKEN_HOURS
+        });
+    }
+
+    /**
+     * Send another link when the user asks for one, subject to the rate limits.
+     * @returns {Promise<statusObject>} - 429 with `retryAfter` seconds if the user must wait.
+     */
+    static async resend(db, userId, baseUrl, now = new Date()) {
+        if (await EmailVerificationDB.isVerified(db, userId)) {
+            return new statusObject(400, 'Your email address is already verified.');
+        }
+
+        const sentRes = await EmailVerificationDB.getSentSince(db, userId, new Date(now.getTime() - 24 * 3600000));
+        if (sentRes.isError()) return sentRes;
+        const sent = sentRes.getData();
+
+        if (sent.length >= this.MAX_SENDS_PER_DAY) {
+            const retryAfter = Math.ceil((new Date(sent[sent.length - 1]).getTime() + 24 * 3600000 - now.getTime()) / 1000);
+            return new statusObject(429, 'Too many verification emails have been sent today. Please try again later.', { retryAfter });
+        }
+
+        const sinceLast = sent.length > 0 ? (now.getTime() - new Date(sent[0]).getTime()) / 1000 : Infinity;
+        if (sinceLast < this.RESEND_COOLDOWN_SECONDS) {
+            const retryAfter = Math.ceil(this.RESEND_COOLDOWN_SECONDS - sinceLast);
+            return new statusObject(429, `Please wait ${retryAfter} seconds before asking for another email.`, { retryAfter });
+        }
+
+        return this.send(db, userId, baseUrl, now);
+    }
+
+    /**
+     * Verify the address a link was sent to.
+     * @returns {Promise<statusObject>} - Data holds the user ID.
+     */
+    static async verify(db, token, now = new Date()) {
+        if (!token) return new statusObject(400, 'A verification token is required.');
+        return EmailVerificationDB.consume(db, this.hashToken(token), now);
+    }
+
+    /**
+     * Hash a link token for storage.
+     */
+    static hashToken(token) {
+        return crypto.createHash('sha256').update(String(token)).digest('hex');
+    }
+}
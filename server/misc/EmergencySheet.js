@@ -0,0 +1,93 @@
+/**
+ * EmergencySheet.js
+ *
+ * Compiles the emergency information sheet trip leaders take on the water: each current attendee's
+ * emergency contact and declared medical conditions and medication, as JSON for the printable view or as a PDF.
+ */
+
+import PDFDocument from 'pdfkit';
+import EventsDB from '../db/eventsDB.js';
+import AttendanceDB from '../db/attendanceDB.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+
+export default class EmergencySheet {
+    /**
+     * Gather the sheet for an event.
+     * @returns {Promise<statusObject>} - Data holds the event summary, the attendees and when it was generated.
+     */
+    static async build(db, eventId) {
+        const eventRes = await EventsDB.getEventByIdAdmin(db, eventId);
+        if (eventRes.isError()) return eventRes;
+        const { id, title, start, end, location } = eventRes.getData();
+
+        const attendeesRes = await AttendanceDB.get_emergency_info(db, eventId);
+        if (attendeesRes.isError()) return attendeesRes;
+
+        return new statusObject(200, null, {
+            event: { id, title, start, end, location },
+            attendees: attendeesRes.getData(),
+            generated_at: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Render a sheet as an A4 PDF.
+     * @param {object} sheet - Data from build().
+     * @returns {Promise<Buffer>}
+     */
+    static toPdf(sheet) {
+        return new Promise((resolve, reject) => {
+            try {
+                const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `Emergency information: ${sheet.event.title}` } });
+                const chunks = [];
+                doc.on('data', chunk => chunks.push(chunk));
+                doc.on('end', () => resolve(Buffer.concat(chunks)));
+
+                doc.font('Helvetica-Bold').fontSize(16).text(`Emergency information: ${sheet.event.title}`);
+                doc.font('Helvetica').fontSize(10)
+                    .text([this._formatDate(sheet.event.start), sheet.event.location].filter(Boolean).join(' - '))
+                    .fillColor('#a00000')
+                    .text(`Confidential. Generated ${this._formatDate(sheet.generated_at)}. Destroy after the trip.`)
+                    .fillColor('black')
+                    .moveDown();
+
+                if (sheet.attendees.length === 0) doc.text('Nobody is attending this event.');
+
+                for (const person of sheet.attendees) {
+                    if (doc.y > doc.page.height - 140) doc.addPage();
+
+                    const details = [
+                        person.date_of_birth ? `Born ${person.date_of_birth}` : null,
+                        person.phone_number ? `Phone ${person.phone_number}` : null,
+                        person.is_instructor ? 'Instructor' : null
+                    ].filter(Boolean).join('   ');
+
+                    doc.font('Helvetica-Bold').fontSize(12).text(`${person.first_name} ${person.last_name}`, { continued: !!details });
+                    if (details) doc.font('Helvetica').fontSize(10).text(`   ${details}`);
+
+                    doc.font('Helvetica').fontSize(10);
+                    if (!person.filled_legal_info) {
+                        doc.fillColor('#a00000').text('No current health form on file.').fillColor('black');
+                    }
+                    doc.text(`Emergency contact: ${[person.emergency_contact_name, person.emergency_contact_phone].filter(Boolean).join(', ') || 'Not given'}`);
+                    doc.text(`Medical conditions: ${person.has_medical_conditions ? person.medical_conditions_details || 'Declared, no details' : 'None declared'}`);
+                    doc.text(`Medication: ${person.takes_medication ? person.medication_details || 'Declared, no details' : 'None declared'}`);
+                    doc.moveDown(0.75);
+                }
+
+                doc.end();
+            } catch (error) {
+                Logger.error('[EmergencySheet] Failed to render PDF:', error);
+                reject(error);
+            }
+        });
+    }
+
+    /**
+     * Internal helper formatting a date for the sheet.
+     */
+    static _formatDate(value) {
+        return new Date(value).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Europe/London' });
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * EventStream.js
+ *
+ * Pushes live event state to browsers over Server-Sent Events.
+ * Each connection subscribes to a set of event IDs and receives an `update` message whenever
+ * attendance, the waitlist, the coach count or the cancellation status of one of them changes.
+ */
+
+import AttendanceDB from '../db/attendanceDB.js';
+import WaitlistDB from '../db/waitlistDB.js';
+import Logger from './Logger.js';
+import { statusObject } from './status.js';
+
+export default class EventStream {
+    static HEARTBEAT_MS = 25 * 1000;
+    static RETRY_MS = 5 * 1000;
+    static MAX_EVENTS = 100;
+
+    static clients = new Set();
+    static heartbeat = null;
+
+    /**
+     * Turn a response into an SSE stream for the given events and send their current state straight away.
+     * The client is dropped when the connection closes.
+     * @param {object} db - Database connection.
+     * @param {object} req - Express request, used to detect disconnects.
+     * @param {object} res - Express response kept open for the stream.
+     * @param {number[]} eventIds - Events the client wants updates for.
+     * @returns {object} - The registered client.
+     */
+    static async subscribe(db, req, res, eventIds) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.RETRY_MS}\n\n`);
+
+        const client = { res, eventIds: new Set(eventIds) };
+        this.clients.add(client);
+        this._startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) this._stopHeartbeat();
+        });
+
+        for (const id of client.eventIds) {
+            const state = await this.getEventState(db, id);
+            if (!state.isError()) this._write(res, 'update', state.getData());
+        }
+        return client;
+    }
+
+    /**
+     * Send a message to every client subscribed to an event.
+     * @returns {number} - Number of clients the message was written to.
+     */
+    static publish(eventId, payload, type = 'update') {
+        let sent = 0;
+        for (const client of this.clients) {
+            if (!client.eventIds.has(Number(eventId))) continue;
+            this._write(client.res, type, payload);
+            sent++;
+        }
+        return sent;
+    }
+
+    /**
+     * Look up the live state of an event: counts and cancellation status.
+     * @returns {Promise<statusObject>}
+     */
+    static async getEventState(db, eventId) {
+        try {
+            const event = await db.get('SELECT id, max_attendees, is_canceled FROM events WHERE id = ?', [eventId]);
+            if (!event) return new statusObject(404, 'Event not found');
+
+            const attendees = await AttendanceDB.get_event_attendance_count(db, eventId);
+            const waitlist = await WaitlistDB.get_waiting_list_count(db, eventId);
+            return new statusObject(200, null, {
+                id: event.id,
+                attendee_count: attendees.getData(),
+                max_attendees: event.max_attendees,
+                waitlist_count: waitlist.getData() ?? 0,
+                coach_count: await AttendanceDB.getCoachesAttendingCount(db, eventId),
+                is_canceled: !!event.is_canceled
+            });
+        } catch (error) {
+            Logger.error('[EventStream] Failed to read event state:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Push the current state of one or more events to their subscribers. Deleted events are announced as such.
+     * Never throws, so callers can fire it after a change without guarding it.
+     */
+    static async publishEventState(db, eventIds) {
+        for (const eventId of [].concat(eventIds)) {
+            const id = Number(eventId);
+            if (!this._hasSubscribers(id)) continue;
+
+            const state = await this.getEventState(db, id);
+            if (state.getStatus() === 404) this.publish(id, { id, deleted: true });
+            else if (!state.isError()) this.publish(id, state.getData());
+        }
+    }
+
+    /**
+     * Internal helper writing one SSE message.
+     */
+    static _write(res, type, payload) {
+        res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+    }
+
+    /**
+     * Internal helper checking whether anyone is listening to an event, so idle events cost no queries.
+     */
+    static _hasSubscribers(eventId) {
+        for (const client of this.clients) {
+            if (client.eventIds.has(eventId)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Internal helper keeping idle connections open through proxies with a comment line.
+     */
+    static _startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) client.res.write(': ping\n\n');
+        }, this.HEARTBEAT_MS);
+        this.heartbeat.unref();
+    }
+
+    static _stopHeartbeat() {
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * FieldEncryption.js
+ *
+ * Application-level encryption of sensitive `users` columns (medical details, home address and emergency contact)
+ * and of two-factor secrets, so they are unreadable in the database file and in backups without the key.
+ *
+ * Values are sealed with AES-256-GCM and stored as `enc:v1:<key id>:<iv>:<tag>:<ciphertext>`. The column name is
+ * bound in as associated data, so a value copied into another column fails to decrypt. The key id lets values sealed
+ * with a previous key still be read while `npm run db:rotate-key` re-encrypts them.
+ * Values without the prefix are plaintext from before encryption and are returned as they are.
+ */
+
+import crypto from 'crypto';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+import config from '../config.js';
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+export default class FieldEncryption {
+    static FIELDS = ['emergency_contact_name', 'emergency_contact_phone', 'home_address', 'medical_conditions_details', 'medication_details'];
+
+    /**
+     * Every table holding sealed columns, with its key column, for rotation and key usage reports.
+     */
+    static TABLES = [
+        { table: 'users', key: 'id', fields: FieldEncryption.FIELDS },
+        { table: 'user_two_factor', key: 'user_id', fields: ['secret'] }
+    ];
+
+    /**
+     * Parsed keys, cached until the configured key strings change.
+     */
+    static _keys = null;
+
+    /**
+     * Whether a value is already sealed.
+     */
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    /**
+     * Seal a column value with the current key. Null and already sealed values are left alone.
+     * @param {string} field - Column name, bound to the ciphertext.
+     * @param {*} value
+     * @returns {string|null}
+     */
+    static encrypt(field, value) {
+        if (value === null || value === undefined || this.isEncrypted(value)) return value;
+
+        const { current } = this._getKeys();
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+        cipher.setAAD(Buffer.from(field));
+        const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+        return PREFIX + [current.id, iv, cipher.getAuthTag(), data].map(p => typeof p === 'string' ? p : p.toString('base64url')).join(':');
+    }
+
+    /**
+     * Open a sealed column value. Plaintext is returned unchanged.
+     * @throws {Error} If the value was sealed with an unknown key or has been tampered with.
+     */
+    static decrypt(field, value) {
+        if (!this.isEncrypted(value)) return value;
+
+        const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(':');
+        const entry = this._getKeys().all.get(keyId);
+        if (!entry) throw new Error(`${field} was encrypted with unknown key ${keyId}`);
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64url'));
+        decipher.setAAD(Buffer.from(field));
+        decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+        return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+    }
+
+    /**
+     * Seal the encrypted fields of a row about to be written. Other fields are copied as they are.
+     */
+    static encryptRow(row) {
+        const sealed = { ...row };
+        for (const field of this.FIELDS) {
+            if (field in sealed) sealed[field] = this.encrypt(field, sealed[field]);
+        }
+        return sealed;
+    }
+
+    /**
+     * Open the encrypted fields of a row read from `users`, in place.
+     */
+    static decryptRow(row) {
+        if (!row) return row;
+        for (const field of this.FIELDS) {
+            if (field in row) row[field] = this.decrypt(field, row[field]);
+        }
+        return row;
+    }
+
+    /**
+     * Id of the key in use, as stored in sealed values.
+     */
+    static currentKeyId() {
+        return this._getKeys().current.id;
+    }
+
+    /**
+     * Re-encrypt every sealed or plaintext value that is not under the current key.
+     * Previous keys must still be configured so the old values can be read.
+     * @returns {Promise<statusObject>} - Data holds the number of values re-encrypted.
+     */
+    static async rotate(db) {
+        const currentId = this.currentKeyId();
+        try {
+            await db.run('BEGIN TRANSACTION');
+            let updated = 0;
+            for (const { table, key, fields } of this.TABLES) {
+                const rows = await db.all(`SELECT ${key}, ${fields.join(', ')} FROM ${table}`);
+                for (const row of rows) {
+                    const changes = {};
+                    for (const field of fields) {
+                        const value = row[field];
+                        if (value === null || value === undefined) continue;
+                        if (this.isEncrypted(value) && value.slice(PREFIX.length).split(':')[0] === currentId) continue;
+                        changes[field] = this.encrypt(field, this.decrypt(field, value));
+                    }
+
+                    const changed = Object.keys(changes);
+                    if (changed.length === 0) continue;
+                    await db.run(`UPDATE ${table} SET ${changed.map(f => `${f} = ?`).join(', ')} WHERE ${key} = ?`, [...Object.values(changes), row[key]]);
+                    updated += changed.length;
+                }
+            }
+
+            await db.run('COMMIT');
+            return new statusObject(200, null, { updated, keyId: currentId });
+        } catch (error) {
+            await db.run('ROLLBACK');
+            Logger.error('[Encryption] Key rotation failed:', error);
+            return new statusObject(500, error.message);
+        }
+    }
+
+    /**
+     * Count stored values by the key that sealed them, with `plaintext` for values not yet encrypted.
+     * @returns {Promise<Object<string, number>>}
+     */
+    static async keyUsage(db) {
+        const usage = {};
+        for (const { table, fields } of this.TABLES) {
+            const rows = await db.all(`SELECT ${fields.join(', ')} FROM ${table}`);
+            for (const row of rows) {
+                for (const field of fields) {
+                    const value = row[field];
+                    if (value === null || value === undefined) continue;
+                    const keyId = this.isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : 'plaintext';
+                    usage[keyId] = (usage[keyId] || 0) + 1;
+                }
+            }
+        }
+        return usage;
+    }
+
+    /**
+     * Internal helper parsing the configured keys. Keys are 32 bytes, given as 64 hex characters or base64.
+     * @returns {{current: {id: string, key: Buffer}, all: Map<string, {id: string, key: Buffer}>}}
+     */
+    static _getKeys() {
+        const { key, previousKeys } = config.encryption;
+        const signature = `${key}|${previousKeys.join(',')}`;
+        if (this._keys?.signature === signature) return this._keys;
+
+        if (!key) throw new Error('FIELD_ENCRYPTION_KEY is not set');
+
+        const parse = (text) => {
+            const buffer = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+            if (buffer.length !== 32) throw new Error('Field encryption keys must be 32 bytes, as 64 hex characters or base64');
+            return { id: crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 8), key: buffer };
+        };
+
+        const current = parse(key);
+        const all = new Map([[current.id, current]]);
+        for (const previous of previousKeys) {
+            const entry = parse(previous);
+            if (!all.has(entry.id)) all.set(entry.id, entry);
+        }
+
+        this._keys = { signature, current, all };
+        return this._keys;
+    }
+}
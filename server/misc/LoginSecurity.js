@@ -0,0 +1,140 @@
+/**
+ * LoginSecurity.js
+ *
+ * Per-account defences against password guessing, on top of the IP rate limit on `/api/auth/`.
+ *
+ * Every login attempt on an existing account is kept in its login history. Wrong passwords and wrong two-factor
+ * codes count as failures: every fifth failure in a row locks the account, first for 5 minutes and then twice as
+ * long each time, up to a day. The count is cleared by a successful login, a password reset, a day without
+ * failures, or an admin.
+ * Logging in from a browser the account has not used before notifies the member in-app and by email.
+ */
+
+import LoginSecurityDB from '../db/loginSecurityDB.js';
+import NotificationsDB from '../db/notificationsDB.js';
+import Sessions from './Sessions.js';
+import Mailer from './Mailer.js';
+import Utils from './utils.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+
+export default class LoginSecurity {
+    static MAX_FAILURES = 5;
+    static BASE_LOCK_MINUTES = 5;
+    static MAX_LOCK_MINUTES = 24 * 60;
+    static RESET_HOURS = 24;
+    static HISTORY_DAYS = 90;
+
+    /**
+     * Check whether an account is locked.
+     * @returns {Promise<statusObject>} - 423 with `lockedUntil` while locked.
+     */
+    static async checkLockout(db, userId, now = new Date()) {
+        const lockout = await LoginSecurityDB.getLockout(db, userId);
+        if (!lockout?.locked_until || new Date(lockout.locked_until) <= now) return new statusObject(200);
+
+        const minutes = Math.ceil((new Date(lockout.locked_until) - now) / 60000);
+        return new statusObject(423, `Too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, { lockedUntil: lockout.locked_until });
+    }
+
+    /**
+     * Record a failed login and lock the account if it has failed too often.
+     * @param {string} reason - 'password', 'two_factor' or 'locked'. Attempts on a locked account are not counted again.
+     * @returns {Promise<statusObject>} - 423 if this failure locked the account.
+     */
+    static async recordFailure(db, userId, req, reason, now = new Date()) {
+        try {
+            await LoginSecurityDB.record(db, userId, false, reason, req.ip || null, req.get('User-Agent') || null, now);
+            if (reason === 'locked') return new statusObject(200);
+
+            const resetBefore = new Date(now.getTime() - this.RESET_HOURS * 3600000);
+            const failures = await LoginSecurityDB.addFailure(db, userId, resetBefore, now);
+            if (failures % this.MAX_FAILURES !== 0) return new statusObject(200);
+
+            await LoginSecurityDB.lock(db, userId, new Date(now.getTime() + this.lockMinutes(failures / this.MAX_FAILURES) * 60000));
+            return this.checkLockout(db, userId, now);
+        } catch (error) {
+            Logger.error('[LoginSecurity] Failed to record failed login:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Record a successful login, clear the failure count, and alert the member if the browser is new to the account.
+     * The first login to an account raises no alert.
+     */
+    static async recordSuccess(db, userId, req, now = new Date()) {
+        const userAgent = req.get('User-Agent') || null;
+        const ip = req.ip || null;
+
+        try {
+            const previous = await LoginSecurityDB.getPreviousLogins(db, userId, userAgent);
+            await LoginSecurityDB.record(db, userId, true, null, ip, userAgent, now);
+            await LoginSecurityDB.clearLockout(db, userId);
+
+            if (previous.any && !previous.fromDevice) await this._alertNewDevice(db, userId, req, now);
+            return new statusObject(200);
+        } catch (error) {
+            Logger.error('[LoginSecurity] Failed to record login:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Length of the nth lockout in a row, in minutes.
+     */
+    static lockMinutes(lockNumber) {
+        return Math.min(this.BASE_LOCK_MINUTES * 2 ** (lockNumber - 1), this.MAX_LOCK_MINUTES);
+    }
+
+    /**
+     * A user's lockout state and recent login history, for admins.
+     * @returns {Promise<statusObject>}
+     */
+    static async getSummary(db, userId, now = new Date()) {
+        const historyRes = await LoginSecurityDB.listForUser(db, userId);
+        if (historyRes.isError()) return historyRes;
+
+        const lockout = await LoginSecurityDB.getLockout(db, userId);
+        return new statusObject(200, null, {
+            lockout: {
+                failed_count: lockout?.failed_count || 0,
+                locked_until: lockout?.locked_until || null,
+                locked: !!lockout?.locked_until && new Date(lockout.locked_until) > now
+            },
+            history: historyRes.getData().map(entry => ({
+                ...entry,
+                success: !!entry.success,
+                device: Sessions.describeDevice(entry.user_agent)
+            }))
+        });
+    }
+
+    /**
+     * Delete login history older than the retention period.
+     * @returns {Promise<number>} - Number of entries removed.
+     */
+    static async pruneHistory(db, now = new Date()) {
+        return LoginSecurityDB.removeHistoryBefore(db, new Date(now.getTime() - this.HISTORY_DAYS * 86400000));
+    }
+
+    /**
+     * Internal helper telling a member about a login from a new browser, in-app and by email.
+     */
+    static async _alertNewDevice(db, userId, req, now) {
+        const device = Sessions.describeDevice(req.get('User-Agent'));
+        const ip = req.ip || 'an unknown address';
+
+        await NotificationsDB.create(db, userId, 'security', {
+            title: `New login from ${device}`,
+            body: `Your account was logged in to from ${ip}. If this wasn't you, sign the session out and change your password.`,
+            link: '/profile?tab=settings'
+        });
+        await Mailer.queue(db, userId, 'newDeviceLogin', {
+            device,
+            ip,
+            time: now.toISOString(),
+            url: `${Utils.getBaseUrl(req)}/profile?tab=settings`
+        });
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * MailTemplates.js
+ *
+ * HTML and plain-text email templates. Each template turns its data into a subject, text body and HTML body.
+ * Every template receives `first_name` and `baseUrl` in addition to its own fields.
+ */
+
+/**
+ * Escape a value for inclusion in HTML.
+ */
+function escape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+/**
+ * Format a date the way the club writes it, e.g. "Sat 4 Oct, 10:00".
+ */
+function formatDate(value) {
+    return new Date(value).toLocaleString('en-GB', {
+        weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone: 'Europe/London'
+    });
+}
+
+function formatMoney(amount) {
+    return `£${Math.abs(Number(amount)).toFixed(2)}`;
+}
+
+/**
+ * Wrap paragraphs and an optional call-to-action button in the shared HTML layout.
+ */
+function layout(paragraphs, action = null) {
+    const body = paragraphs.map(p => `<p style="margin:0 0 16px">${p}</p>`).join('');
+    const button = action
+        ? `<p style="margin:24px 0"><a href="${escape(action.url)}" style="background:#7b2d8e;color:#fff;padding:10px 18px;border-radius:6px;text-decoration:none">${escape(action.label)}</a></p>`
+        : '';
+    return `<!DOCTYPE html>
+<html>
+<body style="font-family:Arial,Helvetica,sans-serif;color:#222;line-height:1.5;max-width:560px;margin:0 auto;padding:24px">
+<h2 style="color:#7b2d8e;margin-top:0">DUCC</h2>
+${body}${button}
+<p style="font-size:12px;color:#777;margin-top:32px">Durham University Canoe Club</p>
+</body>
+</html>`;
+}
+
+const templates = {
+    passwordReset: {
+        subject: () => 'Reset your DUCC password',
+        text: d => `Hi ${d.first_name},\n\nSomeone asked to reset the password for your DUCC account. Use the link below to choose a new one. It expires in ${d.expiresMinutes} minutes.\n\n${d.url}\n\nIf this wasn't you, you can ignore this email.`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `Someone asked to reset the password for your DUCC account. Use the button below to choose a new one. It expires in ${escape(d.expiresMinutes)} minutes.`,
+            `If this wasn't you, you can ignore this email.`
+        ], { label: 'Reset password', url: d.url })
+    },
+
+    verifyEmail: {
+        subject: () => 'Verify your DUCC email address',
+        text: d => `Hi ${d.first_name},\n\nPlease confirm this is your email address by opening the link below. It expires in ${d.expiresHours} hours.\n\n${d.url}\n\nYou can log in before then, but you won't be able to sign up to events or join the club until your address is verified. If you didn't create a DUCC account, you can ignore this email.`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `Please confirm this is your email address using the button below. It expires in ${escape(d.expiresHours)} hours.`,
+            `You can log in before then, but you won't be able to sign up to events or join the club until your address is verified. If you didn't create a DUCC account, you can ignore this email.`
+        ], { label: 'Verify email', url: d.url })
+    },
+
+    newDeviceLogin: {
+        subject: () => 'New login to your DUCC account',
+        text: d => `Hi ${d.first_name},\n\nYour DUCC account was just logged in to from ${d.device} (${d.ip}) at ${formatDate(d.time)}.\n\nIf this was you, there's nothing to do. If not, sign that session out and change your password:\n\n${d.url}`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `Your DUCC account was just logged in to from <strong>${escape(d.device)}</strong> (${escape(d.ip)}) at ${escape(formatDate(d.time))}.`,
+            `If this was you, there's nothing to do. If not, sign that session out and change your password.`
+        ], { label: 'Review sessions', url: d.url })
+    },
+
+    welcome: {
+        subject: () => 'Welcome to DUCC',
+        text: d => `Hi ${d.first_name},\n\nThanks for signing up to DUCC! Before you come along to a session, please fill in your legal and medical details:\n\n${d.baseUrl}/legal\n\nThen have a look at what's coming up:\n\n${d.baseUrl}/events`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `Thanks for signing up to DUCC! Before you come along to a session, please <a href="${escape(d.baseUrl)}/legal">fill in your legal and medical details</a>.`,
+            `Then have a look at what's coming up.`
+        ], { label: 'View events', url: `${d.baseUrl}/events` })
+    },
+
+    waitlistOffer: {
+        subject: d => `A place has opened up on ${d.eventTitle}`,
+        text: d => `Hi ${d.first_name},\n\nA place has opened up on ${d.eventTitle} (${formatDate(d.eventStart)}) and it's yours if you want it. Confirm by ${formatDate(d.expiresAt)} or it will be offered to the next person on the waitlist.\n\n${d.baseUrl}/event/${d.eventId}`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `A place has opened up on <strong>${escape(d.eventTitle)}</strong> (${escape(formatDate(d.eventStart))}) and it's yours if you want it.`,
+            `Confirm by <strong>${escape(formatDate(d.expiresAt))}</strong> or it will be offered to the next person on the waitlist.`
+        ], { label: 'Claim your place', url: `${d.baseUrl}/event/${d.eventId}` })
+    },
+
+    eventCancelled: {
+        subject: d => `${d.eventTitle} has been cancelled`,
+        text: d => `Hi ${d.first_name},\n\nUnfortunately ${d.eventTitle} (${formatDate(d.eventStart)}) has been cancelled.` +
+            (d.refund ? ` ${formatMoney(d.refund)} has been refunded to your DUCC balance.` : '') +
+            (d.freeSessionReturned ? ' The free session you used has been returned to you.' : '') +
+            `\n\nSorry for the inconvenience.\n\n${d.baseUrl}/events`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `Unfortunately <strong>${escape(d.eventTitle)}</strong> (${escape(formatDate(d.eventStart))}) has been cancelled.`,
+            ...(d.refund ? [`${formatMoney(d.refund)} has been refunded to your DUCC balance.`] : []),
+            ...(d.freeSessionReturned ? ['The free session you used has been returned to you.'] : []),
+            'Sorry for the inconvenience.'
+        ], { label: 'Find another event', url: `${d.baseUrl}/events` })
+    },
+
+    debtWarning: {
+        subject: () => 'Your DUCC balance is negative',
+        text: d => `Hi ${d.first_name},\n\nYour DUCC balance is currently -${formatMoney(d.balance)}. Please settle it with the treasurer.` +
+            ` Once it falls below -${formatMoney(d.minMoney)} you won't be able to sign up to events.\n\n${d.baseUrl}/transactions`,
+        html: d => layout([
+            `Hi ${escape(d.first_name)},`,
+            `Your DUCC balance is currently <strong>-${formatMoney(d.balance)}</strong>. Please settle it with the treasurer.`,
+            `Once it falls below -${formatMoney(d.minMoney)} you won't be able to sign up to events.`
+        ], { label: 'View your transactions', url: `${d.baseUrl}/transactions` })
+    }
+};
+
+export default templates;
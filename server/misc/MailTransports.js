@@ -0,0 +1,91 @@
+/**
+ * MailTransports.js
+ *
+ * Delivery backends for outgoing email. Every transport exposes `send(message)`,
+ * which resolves once the message has been handed off and throws if delivery failed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+import Logger from './Logger.js';
+
+/**
+ * Delivers mail through an SMTP server.
+ */
+export class SmtpTransport {
+    /**
+     * @param {object} options - Host, port, secure flag and optional credentials.
+     */
+    constructor({ host, port, secure, user, pass }) {
+        if (!host) throw new Error('SMTP_HOST must be set to use the SMTP mail transport.');
+        this.transporter = nodemailer.createTransport({
+            host,
+            port,
+            secure,
+            auth: user ? { user, pass } : undefined
+        });
+    }
+
+    async send(message) {
+        await this.transporter.sendMail(message);
+    }
+}
+
+/**
+ * Writes each message to a JSON file in a directory instead of sending it. Used in development and tests.
+ */
+export class FileTransport {
+    /**
+     * @param {string} dir - Directory the messages are written to.
+     */
+    constructor(dir) {
+        this.dir = dir;
+    }
+
+    async send(message) {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+        await fs.promises.writeFile(path.join(this.dir, name), JSON.stringify({ ...message, date: new Date().toISOString() }, null, 4));
+    }
+
+    /**
+     * Read back every message in the outbox directory, oldest first.
+     */
+    async readAll() {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.dir);
+        } catch (error) {
+            return [];
+        }
+        const messages = [];
+        for (const file of files.filter(f => f.endsWith('.json')).sort()) {
+            messages.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf-8')));
+        }
+        return messages;
+    }
+}
+
+/**
+ * Discards every message.
+ */
+export class NoopTransport {
+    async send(message) {
+        Logger.debug(`[Mail] Discarded "${message.subject}" to ${message.to}`);
+    }
+}
+
+/**
+ * Build the transport named in the mail configuration.
+ * @param {object} mailConfig - The `mail` section of the app config.
+ */
+export function createTransport(mailConfig) {
+    switch (mailConfig.transport) {
+        case 'smtp': return new SmtpTransport(mailConfig.smtp);
+        case 'file': return new FileTransport(mailConfig.outbox);
+        case 'noop': return new NoopTransport();
+        default: throw new Error(`Unknown mail transport '${mailConfig.transport}'.`);
+    }
+}
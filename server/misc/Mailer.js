@@ -0,0 +1,177 @@
+/**
+ * Mailer.js
+ *
+ * Renders email templates into the persistent outbox and delivers them through the configured transport.
+ * Failed deliveries are retried with exponential backoff by the background sweeper,
+ * which also sends periodic reminders to members with a negative balance.
+ */
+
+import MailDB from '../db/mailDB.js';
+import UserDB from '../db/userDB.js';
+import templates from './MailTemplates.js';
+import { createTransport } from './MailTransports.js';
+import { statusObject } from './status.js';
+import Globals from './globals.js';
+import Logger from './Logger.js';
+import config from '../config.js';
+
+export default class Mailer {
+    static MAX_ATTEMPTS = 5;
+    static RETRY_BASE_MS = 60 * 1000;
+    static SWEEP_INTERVAL_MS = 60 * 1000;
+
+    static transport = null;
+
+    /**
+     * The active transport, created from the mail config on first use.
+     */
+    static getTransport() {
+        if (!this.transport) this.transport = createTransport(config.mail);
+        return this.transport;
+    }
+
+    /**
+     * Replace the active transport, e.g. with a FileTransport in tests.
+     */
+    static setTransport(transport) {
+        this.transport = transport;
+    }
+
+    /**
+     * Render a template with the given data.
+     * @returns {{subject: string, text: string, html: string}}
+     */
+    static render(template, data) {
+        const t = templates[template];
+        if (!t) throw new Error(`Unknown email template '${template}'.`);
+        const full = { baseUrl: config.mail.baseUrl, ...data };
+        return { subject: t.subject(full), text: t.text(full), html: t.html(full) };
+    }
+
+    /**
+     * Render a template for a user and add it to the outbox. Delivery happens on the next sweep.
+     * Deleted accounts are skipped.
+     * @returns {Promise<statusObject>} - Data holds the outbox message ID.
+     */
+    static async queue(db, userId, template, data = {}) {
+        const userRes = await UserDB.getElementsById(db, userId, ['email', 'first_name']);
+        if (userRes.isError()) return userRes;
+        const user = userRes.getData();
+        if (!user.email || user.email.startsWith('deleted:')) return new statusObject(404, 'User has no email address');
+
+        let rendered;
+        try {
+            rendered = this.render(template, { first_name: user.first_name, ...data });
+        } catch (error) {
+            Logger.error('[Mail] Failed to render email:', error);
+            return new statusObject(500, 'Failed to render email');
+        }
+
+        return MailDB.enqueue(db, { userId, to: user.email, template, ...rendered });
+    }
+
+    /**
+     * Queue a message for a user and try to deliver it straight away. A failed attempt is left for the sweeper to retry.
+     * @returns {Promise<statusObject>} - Data holds the outbox message ID.
+     */
+    static async send(db, userId, template, data = {}) {
+        const queued = await this.queue(db, userId, template, data);
+        if (queued.isError()) return queued;
+        await this.deliver(db, queued.getData());
+        return queued;
+    }
+
+    /**
+     * Attempt delivery of one outbox message, scheduling a retry with backoff if it fails.
+     * @returns {Promise<boolean>} - Whether the message was sent.
+     */
+    static async deliver(db, messageId) {
+        const messageRes = await MailDB.getMessage(db, messageId);
+        if (messageRes.isError()) return false;
+        const message = messageRes.getData();
+        if (message.status !== 'pending') return message.status === 'sent';
+
+        try {
+            await this.getTransport().send({
+                from: config.mail.from,
+                to: message.to_address,
+                subject: message.subject,
+                text: message.text_body,
+                html: message.html_body
+            });
+            await MailDB.markSent(db, messageId);
+            return true;
+        } catch (error) {
+            const attempts = message.attempts + 1;
+            const retryAt = attempts >= this.MAX_ATTEMPTS ? null : new Date(Date.now() + this.RETRY_BASE_MS * 2 ** (attempts - 1));
+            Logger.warn(`[Mail] Delivery of message ${messageId} failed (attempt ${attempts}): ${error.message}`);
+            await MailDB.markAttemptFailed(db, messageId, error.message, retryAt);
+            return false;
+        }
+    }
+
+    /**
+     * Deliver every outbox message whose next attempt is due.
+     * @returns {Promise<number>} - Number of messages sent.
+     */
+    static async processOutbox(db) {
+        const due = await MailDB.getDueMessages(db);
+        if (due.isError()) return 0;
+
+        let sent = 0;
+        for (const id of due.getData()) {
+            if (await this.deliver(db, id)) sent++;
+        }
+        return sent;
+    }
+
+    /**
+     * Queue a reminder for every active user with a negative balance who has not had one recently.
+     * @returns {Promise<number>} - Number of reminders queued.
+     */
+    static async queueDebtReminders(db) {
+        const globals = new Globals();
+        const days = globals.getInt('DebtReminderDays');
+        if (!days) return 0;
+
+        let queued = 0;
+        try {
+            const debtors = await db.all(
+                `SELECT u.id, SUM(t.amount) AS balance FROM users u JOIN transactions t ON t.user_id = u.id
+                 WHERE u.email NOT LIKE 'deleted:%'
+                 GROUP BY u.id HAVING balance < 0`
+            );
+            const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+            for (const debtor of debtors) {
+                const last = await MailDB.getLastQueuedAt(db, debtor.id, 'debtWarning');
+                if (last.isError() || (last.getData() && new Date(last.getData()) > cutoff)) continue;
+
+                const result = await this.queue(db, debtor.id, 'debtWarning', {
+                    balance: debtor.balance,
+                    minMoney: globals.getFloat('MinMoney')
+                });
+                if (!result.isError()) queued++;
+            }
+        } catch (error) {
+            Logger.error('[Mail] Failed to queue debt reminders:', error);
+        }
+        return queued;
+    }
+
+    /**
+     * Start the background outbox sweeper. The timer does not keep the process alive on its own.
+     */
+    static startSweeper(db, intervalMs = this.SWEEP_INTERVAL_MS) {
+        const timer = setInterval(async () => {
+            try {
+                await this.queueDebtReminders(db);
+                await this.processOutbox(db);
+            } catch (error) {
+                Logger.error('[Mail] Sweep failed:', error);
+            }
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+}
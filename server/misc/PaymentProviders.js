@@ -0,0 +1,179 @@
+/**
+ * PaymentProviders.js
+ *
+ * Online payment backends for balance top-ups, shaped after Stripe Checkout. Every provider exposes
+ * `createCheckout(options)`, which starts a hosted checkout session and resolves to its `id` and the `url` to send
+ * the member to, and `parseWebhook(rawBody, headers)`, which verifies a signed webhook and returns it as a
+ * payment event, or throws if the signature is invalid.
+ *
+ * Webhooks are signed the way Stripe signs them: a header of the form `t=<unix time>,v1=<hex HMAC-SHA256>` over
+ * `<t>.<raw body>`, using a secret shared with the provider.
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Checkout session events, mapped to what they mean for the payment. Other events are ignored.
+ */
+const EVENT_OUTCOMES = {
+    'checkout.session.completed': 'succeeded',
+    'checkout.session.async_payment_succeeded': 'succeeded',
+    'checkout.session.async_payment_failed': 'failed',
+    'checkout.session.expired': 'expired'
+};
+
+/**
+ * Shared webhook signing and parsing for Stripe-shaped providers.
+ */
+class SignedWebhookProvider {
+    static TOLERANCE_SECONDS = 5 * 60;
+
+    /**
+     * @param {string} webhookSecret - Secret the webhooks are signed with.
+     * @param {string} signatureHeader - Lower-case name of the header carrying the signature.
+     */
+    constructor(webhookSecret, signatureHeader) {
+        if (!webhookSecret) throw new Error('PAYMENT_WEBHOOK_SECRET must be set to receive payment webhooks.');
+        this.webhookSecret = webhookSecret;
+        this.signatureHeader = signatureHeader;
+    }
+
+    /**
+     * Sign a webhook body.
+     * @returns {string} - The signature header value.
+     */
+    sign(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+        const signature = crypto.createHmac('sha256', this.webhookSecret).update(`${timestamp}.${rawBody}`).digest('hex');
+        return `t=${timestamp},v1=${signature}`;
+    }
+
+    /**
+     * Verify a webhook's signature and read the checkout session event it carries.
+     * @param {Buffer|string} rawBody - The request body exactly as received.
+     * @param {object} headers - Request headers, with lower-case names.
+     * @returns {{id: string, outcome: string|null, sessionId: string|null, amount: number|null, reason: string|null}}
+     */
+    parseWebhook(rawBody, headers, now = Date.now()) {
+        const body = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : String(rawBody ?? '');
+        const parts = Object.fromEntries(String(headers[this.signatureHeader] || '').split(',').map(p => p.split('=')));
+        const timestamp = Number(parts.t);
+        if (!timestamp || !parts.v1) throw new Error('Missing webhook signature');
+        if (Math.abs(now / 1000 - timestamp) > SignedWebhookProvider.TOLERANCE_SECONDS) throw new Error('Webhook signature has expired');
+
+        const expected = Buffer.from(this.sign(body, timestamp).split('v1=')[1], 'hex');
+        const given = Buffer.from(parts.v1, 'hex');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw new Error('Invalid webhook signature');
+
+        const event = JSON.parse(body);
+        const session = event.data?.object || {};
+        let outcome = EVENT_OUTCOMES[event.type] || null;
+        if (event.type === 'checkout.session.completed' && session.payment_status !== 'paid') outcome = 'pending';
+
+        return {
+            id: event.id,
+            outcome,
+            sessionId: session.id || null,
+            amount: typeof session.amount_total === 'number' ? session.amount_total / 100 : null,
+            reason: session.last_payment_error?.message || (outcome === 'expired' ? 'Checkout expired' : outcome === 'failed' ? 'Payment failed' : null)
+        };
+    }
+}
+
+/**
+ * Takes payments through Stripe Checkout, using its REST API.
+ */
+export class StripeProvider extends SignedWebhookProvider {
+    static API_URL = 'https://api.stripe.com/v1/checkout/sessions';
+
+    /**
+     * @param {object} options - Secret API key and webhook signing secret.
+     */
+    constructor({ secretKey, webhookSecret }) {
+        super(webhookSecret, 'stripe-signature');
+        if (!secretKey) throw new Error('STRIPE_SECRET_KEY must be set to use the Stripe payment provider.');
+        this.secretKey = secretKey;
+        this.name = 'stripe';
+    }
+
+    /**
+     * @param {object} options - `paymentId`, `amount` in pounds, `currency`, `description`, `email`,
+     *                           `successUrl` and `cancelUrl`.
+     */
+    async createCheckout({ paymentId, amount, currency, description, email, successUrl, cancelUrl }) {
+        const params = new URLSearchParams({
+            mode: 'payment',
+            success_url: successUrl,
+            cancel_url: cancelUrl,
+            client_reference_id: String(paymentId),
+            'metadata[payment_id]': String(paymentId),
+            'line_items[0][quantity]': '1',
+            'line_items[0][price_data][currency]': currency,
+            'line_items[0][price_data][unit_amount]': String(Math.round(amount * 100)),
+            'line_items[0][price_data][product_data][name]': description
+        });
+        if (email) params.set('customer_email', email);
+
+        const response = await fetch(StripeProvider.API_URL, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${this.secretKey}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params
+        });
+        const session = await response.json();
+        if (!response.ok) throw new Error(`Stripe refused the checkout session: ${session.error?.message || response.status}`);
+        return { id: session.id, url: session.url };
+    }
+}
+
+/**
+ * Pretends to be a payment provider. Checkout sends the member to a page on this site where they choose whether
+ * the payment succeeds, which then signs and delivers the webhook itself. Used in development and tests.
+ */
+export class FakeProvider extends SignedWebhookProvider {
+    /**
+     * @param {object} options - Webhook signing secret and the site address checkout pages are served from.
+     */
+    constructor({ webhookSecret, baseUrl }) {
+        super(webhookSecret, 'x-payment-signature');
+        this.baseUrl = baseUrl;
+        this.name = 'fake';
+    }
+
+    async createCheckout() {
+        const id = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+        return { id, url: `${this.baseUrl}/api/payments/fake-checkout/${id}` };
+    }
+
+    /**
+     * Build the webhook the provider would send when a checkout session ends.
+     * @param {string} outcome - 'succeeded', 'failed' or 'expired'.
+     * @returns {{body: string, headers: object}}
+     */
+    buildWebhook(sessionId, amount, outcome) {
+        const type = {
+            succeeded: 'checkout.session.completed',
+            failed: 'checkout.session.async_payment_failed',
+            expired: 'checkout.session.expired'
+        }[outcome];
+        const body = JSON.stringify({
+            id: `evt_fake_${crypto.randomBytes(8).toString('hex')}`,
+            type,
+            data: { object: { id: sessionId, amount_total: Math.round(amount * 100), payment_status: outcome === 'succeeded' ? 'paid' : 'unpaid' } }
+        });
+        return { body, headers: { [this.signatureHeader]: this.sign(body) } };
+    }
+}
+
+/**
+ * Build the provider named in the payments configuration.
+ * @param {object} paymentsConfig - The `payments` section of the app config.
+ * @param {string} baseUrl - The site address, for the fake provider's checkout pages.
+ * @returns {StripeProvider|FakeProvider|null} - Null when online payments are switched off.
+ */
+export function createProvider(paymentsConfig, baseUrl) {
+    switch (paymentsConfig.provider) {
+        case 'stripe': return new StripeProvider({ ...paymentsConfig.stripe, webhookSecret: paymentsConfig.webhookSecret });
+        case 'fake': return new FakeProvider({ webhookSecret: paymentsConfig.webhookSecret, baseUrl });
+        case 'none': return null;
+        default: throw new Error(`Unknown payment provider '${paymentsConfig.provider}'.`);
+    }
+}
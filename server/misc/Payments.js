@@ -0,0 +1,169 @@
+/**
+ * Payments.js
+ *
+ * Online top-ups, so members can clear a negative balance without waiting for a bank transfer to be reconciled.
+ *
+ * Starting a top-up records a pending payment and sends the member to the configured provider's hosted checkout.
+ * The provider reports the result with a signed webhook: a successful payment is credited to the member as a
+ * 'payment' transaction, exactly once however often the webhook is delivered, and a failed or abandoned one is
+ * kept for the treasurer to see. See PaymentProviders.js for the providers.
+ */
+
+import PaymentsDB from '../db/paymentsDB.js';
+import TransactionsDB from '../db/transactionDB.js';
+import NotificationsDB from '../db/notificationsDB.js';
+import UserDB from '../db/userDB.js';
+import { createProvider } from './PaymentProviders.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+import config from '../config.js';
+
+export default class Payments {
+    static MIN_AMOUNT = 5;
+    static MAX_AMOUNT = 200;
+    static DESCRIPTION = 'Online top-up';
+
+    static provider = undefined;
+
+    /**
+     * The active provider, created from the payments config on first use.
+     * @returns {object|null} - Null when online payments are switched off.
+     */
+    static getProvider() {
+        if (this.provider === undefined) this.provider = createProvider(config.payments, config.mail.baseUrl);
+        return this.provider;
+    }
+
+    /**
+     * Replace the active provider, e.g. with a FakeProvider in tests.
+     */
+    static setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Start a top-up: record a pending payment and create a checkout session for it.
+     * @param {number} amount - Amount in pounds, between MIN_AMOUNT and MAX_AMOUNT.
+     * @returns {Promise<statusObject>} - The payment's `id` and the checkout `url` to send the member to.
+     */
+    static async startTopUp(db, userId, amount) {
+        const provider = this.getProvider();
+        if (!provider) return new statusObject(503, 'Online payments are not available');
+
+        const value = Math.round(Number(amount) * 100) / 100;
+        if (!Number.isFinite(value) || value < this.MIN_AMOUNT || value > this.MAX_AMOUNT) {
+            return new statusObject(400, `Top-ups must be between £${this.MIN_AMOUNT.toFixed(2)} and £${this.MAX_AMOUNT.toFixed(2)}`);
+        }
+
+        let paymentId;
+        try {
+            const user = await UserDB.getElementsById(db, userId, ['email']);
+            if (user.isError()) return user;
+
+            paymentId = await PaymentsDB.create(db, userId, value, config.payments.currency, provider.name);
+            const session = await provider.createCheckout({
+                paymentId,
+                amount: value,
+                currency: config.payments.currency,
+                description: 'DUCC balance top-up',
+                email: user.getData().email,
+                successUrl: `${config.mail.baseUrl}/profile?tab=balance&payment=success`,
+                cancelUrl: `${config.mail.baseUrl}/profile?tab=balance&payment=cancelled`
+            });
+            await PaymentsDB.setSession(db, paymentId, session.id);
+            return new statusObject(200, null, { id: paymentId, url: session.url });
+        } catch (error) {
+            Logger.error('[Payments] Failed to start checkout:', error);
+            if (paymentId) await PaymentsDB.finish(db, paymentId, 'failed', 'Checkout could not be started').catch(() => { });
+            return new statusObject(502, 'The payment provider could not be reached. Please try again later.');
+        }
+    }
+
+    /**
+     * Act on a webhook from the provider.
+     * Events for unknown sessions, and events that don't end a payment, are acknowledged and ignored.
+     * @param {Buffer|string} rawBody - The request body exactly as received, for the signature check.
+     * @param {object} headers - Request headers.
+     * @returns {Promise<statusObject>} - 400 if the signature is invalid; 500 if the provider should retry.
+     */
+    static async handleWebhook(db, rawBody, headers) {
+        const provider = this.getProvider();
+        if (!provider) return new statusObject(404, 'Online payments are not available');
+
+        let event;
+        try {
+            event = provider.parseWebhook(rawBody, headers);
+        } catch (error) {
+            Logger.warn(`[Payments] Rejected webhook: ${error.message}`);
+            return new statusObject(400, 'Invalid webhook');
+        }
+        if (!event.sessionId || !event.outcome || event.outcome === 'pending') return new statusObject(200, 'Ignored');
+
+        try {
+            const payment = await PaymentsDB.getBySession(db, provider.name, event.sessionId);
+            if (!payment) {
+                Logger.warn(`[Payments] Webhook ${event.id} is for an unknown session ${event.sessionId}`);
+                return new statusObject(200, 'Ignored');
+            }
+
+            if (event.outcome === 'succeeded') {
+                if (event.amount !== null && event.amount !== payment.amount) {
+                    Logger.error(`[Payments] Payment ${payment.id} was for £${payment.amount} but £${event.amount} was paid`);
+                    return this._end(db, payment, 'failed', `£${event.amount.toFixed(2)} was paid instead of £${payment.amount.toFixed(2)}`);
+                }
+                return this._credit(db, payment, provider.name);
+            }
+            return this._end(db, payment, event.outcome, event.reason);
+        } catch (error) {
+            Logger.error('[Payments] Failed to process webhook:', error);
+            return new statusObject(500, 'Database error');
+        }
+    }
+
+    /**
+     * Credit a succeeded payment to the member, unless it has already ended.
+     */
+    static async _credit(db, payment, providerName) {
+        await db.run('BEGIN IMMEDIATE');
+        try {
+            if (!await PaymentsDB.finish(db, payment.id, 'succeeded')) {
+                await db.run('ROLLBACK');
+                return new statusObject(200, 'Already processed');
+            }
+            const transaction = await TransactionsDB.add_transaction(db, payment.user_id, payment.amount, this.DESCRIPTION, null, {
+                category: 'payment',
+                counterpart: `Online payments (${providerName})`,
+                reference: payment.provider_session_id.slice(0, TransactionsDB.MAX_DETAIL_LENGTH)
+            });
+            await PaymentsDB.setTransaction(db, payment.id, transaction.getData());
+            await db.run('COMMIT');
+        } catch (error) {
+            await db.run('ROLLBACK');
+            throw error;
+        }
+
+        await NotificationsDB.create(db, payment.user_id, 'transaction', {
+            title: `Your top-up of £${payment.amount.toFixed(2)} was added to your account`,
+            body: null,
+            link: '/transactions'
+        });
+        return new statusObject(200, 'Payment credited');
+    }
+
+    /**
+     * Record that a payment failed or expired, unless it has already ended. The member is told about failures;
+     * an expired checkout is one they walked away from.
+     */
+    static async _end(db, payment, status, reason) {
+        if (!await PaymentsDB.finish(db, payment.id, status, reason)) return new statusObject(200, 'Already processed');
+
+        if (status === 'failed') {
+            await NotificationsDB.create(db, payment.user_id, 'transaction', {
+                title: `Your top-up of £${payment.amount.toFixed(2)} failed`,
+                body: reason,
+                link: '/transactions'
+            });
+        }
+        return new statusObject(200, `Payment ${status}`);
+    }
+}
@@ -0,0 +1,144 @@
+/**
+ * Sessions.js
+ *
+ * Lets members see where they are signed in and sign sessions out remotely.
+ *
+ * Every session is recorded in `user_sessions` when it logs in, and that record is what keeps it valid: a signed-in
+ * request whose session has no record is signed out. Revoking a session removes its record and destroys it in the
+ * session store, so it ends at once even if the store cannot be reached for some reason.
+ */
+
+import SessionsDB from '../db/sessionsDB.js';
+import { statusObject } from './status.js';
+import Logger from './Logger.js';
+import config from '../config.js';
+
+export default class Sessions {
+    static SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+    static TOUCH_INTERVAL_MS = 60 * 1000;
+
+    /**
+     * Record the session a user has just logged in with. Call after `req.logIn`, which issues a new session ID.
+     */
+    static async record(db, req) {
+        return SessionsDB.create(db, req.sessionID, req.user.id, req.get('User-Agent') || null, req.ip || null);
+    }
+
+    /**
+     * Express middleware checking that a signed-in session is still recorded, and noting when it was last used.
+     * Sessions that were revoked are swapped for a fresh, signed-out one.
+     */
+    static track() {
+        return async (req, res, next) => {
+            if (!req.isAuthenticated || !req.isAuthenticated() || !req.session) return next();
+
+            try {
+                const record = await SessionsDB.getBySid(req.db, req.sessionID);
+                if (!record || record.user_id !== req.user.id) {
+                    return req.session.regenerate((err) => {
+                        if (err) return next(err);
+                        req.user = null;
+                        next();
+                    });
+                }
+
+                const now = new Date();
+                if (now - new Date(record.last_seen_at) >= this.TOUCH_INTERVAL_MS) {
+                    await SessionsDB.touch(req.db, req.sessionID, req.ip || null, now);
+                }
+                next();
+            } catch (error) {
+                Logger.error('[Sessions] Failed to check session:', error);
+                next(error);
+            }
+        };
+    }
+
+    /**
+     * List a user's active sessions.
+     * @param {string} currentSid - Store ID of the session making the request, which is flagged as current.
+     * @returns {Promise<statusObject>}
+     */
+    static async list(db, userId, currentSid) {
+        const result = await SessionsDB.listForUser(db, userId, new Date(Date.now() - config.session.maxAge));
+        if (result.isError()) return result;
+
+        return new statusObject(200, null, result.getData().map(({ sid, ...session }) => ({
+            ...session,
+            device: this.describeDevice(session.user_agent),
+            current: sid === currentSid
+        })));
+    }
+
+    /**
+     * Sign out one of a user's sessions.
+     * @param {object} store - The express-session store, `req.sessionStore`.
+     * @returns {Promise<statusObject>}
+     */
+    static async revoke(db, store, userId, sessionId) {
+        const result = await SessionsDB.remove(db, userId, { sessionId });
+        if (result.isError()) return result;
+        if (result.getData().length === 0) return new statusObject(404, 'Session not found');
+
+        await this._destroy(store, result.getData());
+        return new statusObject(200, 'Session signed out');
+    }
+
+    /**
+     * Sign out every session of a user, optionally keeping one.
+     * @param {object} store - The express-session store, `req.sessionStore`.
+     * @param {string|null} [exceptSid] - Store ID of a session to keep, usually the one making the request.
+     * @returns {Promise<statusObject>} - Data holds how many sessions were signed out.
+     */
+    static async revokeAll(db, store, userId, exceptSid = null) {
+        const result = await SessionsDB.remove(db, userId, { exceptSid });
+        if (result.isError()) return result;
+
+        await this._destroy(store, result.getData());
+        return new statusObject(200, null, { revoked: result.getData().length });
+    }
+
+    /**
+     * Short description of a browser and operating system from a user agent string.
+     */
+    static describeDevice(userAgent) {
+        if (!userAgent) return 'Unknown device';
+
+        const browsers = [[/Edg\//, 'Edge'], [/OPR\/|Opera/, 'Opera'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+        const systems = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'], [/Mac OS X|Macintosh/, 'macOS'], [/CrOS/, 'ChromeOS'], [/Linux/, 'Linux']];
+
+        const browser = browsers.find(([pattern]) => pattern.test(userAgent))?.[1];
+        const system = systems.find(([pattern]) => pattern.test(userAgent))?.[1];
+        if (browser && system) return `${browser} on ${system}`;
+        return browser || system || 'Unknown device';
+    }
+
+    /**
+     * Remove records of sessions the store has expired on a timer.
+     */
+    static startSweeper(db, intervalMs = this.SWEEP_INTERVAL_MS) {
+        const timer = setInterval(async () => {
+            try {
+                await SessionsDB.removeStale(db, new Date(Date.now() - config.session.maxAge));
+            } catch (error) {
+                Logger.error('[Sessions] Sweep failed:', error);
+            }
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+
+    /**
+     * Internal helper destroying sessions in the store. Their records are already gone, so a failure here
+     * still leaves them signed out.
+     */
+    static async _destroy(store, sids) {
+        if (!store) return;
+        for (const sid of sids) {
+            await new Promise((resolve) => store.destroy(sid, (err) => {
+                if (err) Logger.error('[Sessions] Failed to destroy session:', err);
+                resolve();
+            }));
+        }
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * TwoFactor.js
+ *
+ * TOTP two-factor authentication (RFC 6238: HMAC-SHA1, 6 digits, 30 second steps), as used by authenticator apps.
+ * Covers enrolment secrets and QR codes, verifying codes and one-use backup codes, the second login step,
+ * and step-up verification for sensitive actions.
+ *
+ * A code is accepted one step either side of now to allow for clock drift, and each step can only be used once.
+ * Step-up: a session that passed a two-factor check in the last few minutes may perform sensitive actions;
+ * otherwise the request must carry a fresh code in the `X-Two-Factor-Code` header.
+ */
+
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import TwoFactorDB from '../db/twoFactorDB.js';
+import Globals from './globals.js';
+import { Permissions } from './permissions.js';
+import { statusObject } from './status.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export default class TwoFactor {
+    static ISSUER = 'DUCC';
+    static STEP_SECONDS = 30;
+    static DIGITS = 6;
+    static WINDOW = 1;
+    static BACKUP_CODE_COUNT = 10;
+    static STEP_UP_MINUTES = 10;
+    static LOGIN_MINUTES = 5;
+    static MAX_LOGIN_ATTEMPTS = 5;
+
+    /**
+     * Generate a new random secret, base32 encoded.
+     */
+    static generateSecret() {
+        return this._base32Encode(crypto.randomBytes(20));
+    }
+
+    /**
+     * Time step containing a moment.
+     */
+    static stepAt(now = new Date()) {
+        return Math.floor(now.getTime() / 1000 / this.STEP_SECONDS);
+    }
+
+    /**
+     * The code for a secret at a time step.
+     */
+    static generateCode(secret, step) {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+        const hmac = crypto.createHmac('sha1', this._base32Decode(secret)).update(counter).digest();
+
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % 10 ** this.DIGITS).padStart(this.DIGITS, '0');
+    }
+
+    /**
+     * Find the time step a code belongs to, within the allowed drift.
+     * @returns {number|null} - The matching step, or null if the code is wrong.
+     */
+    static matchStep(secret, code, now = new Date()) {
+        const normalised = String(code || '').replace(/\s/g, '');
+        if (!new RegExp(`^\\d{${this.DIGITS}}$`).test(normalised)) return null;
+
+        const current = this.stepAt(now);
+        for (let step = current - this.WINDOW; step <= current + this.WINDOW; step++) {
+            const expected = this.generateCode(secret, step);
+            if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalised))) return step;
+        }
+        return null;
+    }
+
+    /**
+     * The otpauth:// link an authenticator app reads from the QR code.
+     */
+    static otpauthUrl(email, secret) {
+        const label = encodeURIComponent(`${this.ISSUER}:${email}`);
+        const params = new URLSearchParams({ secret, issuer: this.ISSUER, algorithm: 'SHA1', digits: this.DIGITS, period: this.STEP_SECONDS });
+        return `otpauth://totp/${label}?${params}`;
+    }
+
+    /**
+     * Render a link as a QR code image.
+     * @returns {Promise<string>} - A PNG data URL.
+     */
+    static qrCode(url) {
+        return QRCode.toDataURL(url, { margin: 1, width: 240 });
+    }
+
+    /**
+     * Generate a set of backup codes, formatted `xxxxx-xxxxx`.
+     */
+    static generateBackupCodes() {
+        return Array.from({ length: this.BACKUP_CODE_COUNT }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+    }
+
+    /**
+     * Hash a backup code for storage, ignoring case, spaces and dashes.
+     */
+    static hashBackupCode(code) {
+        const normalised = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+        return crypto.createHash('sha256').update(normalised).digest('hex');
+    }
+
+    /**
+     * Check a code from an authenticator app, or a backup code, against a user's confirmed secret.
+     * Accepted codes are spent, so neither can be replayed.
+     * @returns {Promise<statusObject>} - Data holds the method used, 'totp' or 'backup'.
+     */
+    static async verify(db, userId, code, now = new Date()) {
+        if (!code) return new statusObject(400, 'A verification code is required.');
+
+        const secretRes = await TwoFactorDB.getSecret(db, userId);
+        if (secretRes.isError()) return secretRes;
+        const { secret, confirmed_at } = secretRes.getData();
+        if (!confirmed_at) return new statusObject(400, 'Two-factor authentication is not enabled.');
+
+        const step = this.matchStep(secret, code, now);
+        if (step !== null) {
+            if (await TwoFactorDB.useStep(db, userId, step)) return new statusObject(200, null, { method: 'totp' });
+            return new statusObject(401, 'That code has already been used. Wait for the next one.');
+        }
+
+        if (await TwoFactorDB.useBackupCode(db, userId, this.hashBackupCode(code))) {
+            return new statusObject(200, null, { method: 'backup' });
+        }
+        return new statusObject(401, 'Invalid verification code.');
+    }
+
+    /**
+     * Whether a user must have two-factor authentication, because they hold a role and the
+     * `RequireTwoFactorForRoles` global is on.
+     * @returns {Promise<boolean>}
+     */
+    static async isRequired(db, userId) {
+        if (!new Globals().getInt('RequireTwoFactorForRoles')) return false;
+        return Permissions.hasAnyPermission(db, userId);
+    }
+
+    /**
+     * Whether a user must enrol before they can use their role.
+     * @returns {Promise<boolean>}
+     */
+    static async enrolmentRequired(db, userId) {
+        if (!await this.isRequired(db, userId)) return false;
+        return !await TwoFactorDB.isEnabled(db, userId);
+    }
+
+    /**
+     * Note in the session that its user has just passed a two-factor check.
+     */
+    static markVerified(req) {
+        if (req.session) req.session.twoFactorVerifiedAt = Date.now();
+    }
+
+    /**
+     * Decide whether the current request may perform a sensitive action.
+     * Users without two-factor authentication pass, as there is nothing to step up to.
+     * @returns {Promise<statusObject>} - 403 with `twoFactorRequired` if a code is needed.
+     */
+    static async checkStepUp(db, req) {
+        if (!await TwoFactorDB.isEnabled(db, req.user.id)) return new statusObject(200);
+
+        const verifiedAt = req.session?.twoFactorVerifiedAt;
+        if (verifiedAt && Date.now() - verifiedAt < this.STEP_UP_MINUTES * 60000) return new statusObject(200);
+
+        const code = req.get('X-Two-Factor-Code');
+        if (code) {
+            const result = await this.verify(db, req.user.id, code);
+            if (result.isError()) return new statusObject(403, result.getMessage(), { twoFactorRequired: true });
+            this.markVerified(req);
+            return new statusObject(200);
+        }
+
+        return new statusObject(403, 'Enter a code from your authenticator app to continue.', { twoFactorRequired: true });
+    }
+
+    /**
+     * Express middleware requiring step-up verification. Use after the authentication check.
+     */
+    static stepUp() {
+        return async (req, res, next) => {
+            const result = await this.checkStepUp(req.db, req);
+            if (result.isError()) return res.status(result.getStatus()).json({ message: result.getMessage(), ...result.getData() });
+            next();
+        };
+    }
+
+    /**
+     * Internal helper encoding bytes as unpadded base32.
+     */
+    static _base32Encode(buffer) {
+        let bits = '';
+        for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+        let output = '';
+        for (let i = 0; i < bits.length; i += 5) {
+            output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+        }
+        return output;
+    }
+
+    /**
+     * Internal helper decoding base32, ignoring case, spaces and padding.
+     */
+    static _base32Decode(text) {
+        let bits = '';
+        for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+            const value = BASE32_ALPHABET.indexOf(char);
+            if (value === -1) throw new Error('Invalid base32 character');
+            bits += value.toString(2).padStart(5, '0');
+        }
+        const bytes = [];
+        for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+        return Buffer.from(bytes);
+    }
+}
@@ -0,0 +1,121 @@
+/**
+ * WaitlistOffers.js
+ *
+ * Turns freed-up event spots into time-limited offers for waitlisted users,
+ * and sweeps lapsed offers so the spot moves down the queue.
+ */
+
+import EventsDB from '../db/eventsDB.js';
+import AttendanceDB from '../db/attendanceDB.js';
+import WaitlistDB from '../db/waitlistDB.js';
+import UserDB from '../db/userDB.js';
+import Mailer from './Mailer.js';
+import NotificationsDB from '../db/notificationsDB.js';
+import EventStream from './EventStream.js';
+import Globals from './globals.js';
+import Logger from './Logger.js';
+
+export default class WaitlistOffers {
+    static DEFAULT_HOURS = 12;
+    static SWEEP_INTERVAL_MS = 60 * 1000;
+
+    /**
+     * Work out when a new offer for an event should lapse. Offers never outlive the event start.
+     */
+    static getExpiry(event) {
+        const hours = new Globals().getInt('WaitlistOfferHours') || this.DEFAULT_HOURS;
+        const expiry = new Date(Date.now() + hours * 60 * 60 * 1000);
+        const start = new Date(event.start);
+        return start < expiry ? start : expiry;
+    }
+
+    /**
+     * Offer every unclaimed spot on an event to the next eligible people on its waitlist.
+     * Users who could not take the spot (no legal info, no free sessions) are skipped but keep their place.
+     * @returns {Promise<number[]>} - IDs of the users who received an offer.
+     */
+    static async offerFreedSpots(db, eventId) {
+        const offered = [];
+        try {
+            const eventRes = await EventsDB.getEventByIdAdmin(db, eventId);
+            if (eventRes.isError()) return offered;
+            const event = eventRes.getData();
+
+            if (event.is_canceled || !event.max_attendees || new Date() >= new Date(event.start)) return offered;
+
+            const attendance = (await AttendanceDB.get_event_attendance_count(db, eventId)).getData();
+            const held = (await WaitlistDB.get_active_offer_count(db, eventId)).getData();
+            let free = event.max_attendees - attendance - held;
+            if (free <= 0) return offered;
+
+            const queue = await WaitlistDB.get_waiting_list(db, eventId);
+            if (queue.isError()) return offered;
+
+            for (const entry of queue.getData()) {
+                if (free <= 0) break;
+                if (entry.offer_expires_at) continue;
+
+                const user = await UserDB.getElementsById(db, entry.id, ['is_member', 'free_sessions', 'email_verified_at', 'filled_legal_info']);
+                if (user.isError()) continue;
+                const u = user.getData();
+                if (!u.email_verified_at || !u.filled_legal_info || (!u.is_member && u.free_sessions <= 0)) continue;
+
+                const expiresAt = this.getExpiry(event);
+                const offer = await WaitlistDB.create_offer(db, eventId, entry.id, expiresAt);
+                if (offer.isError()) continue;
+
+                await Mailer.queue(db, entry.id, 'waitlistOffer', {
+                    eventId,
+                    eventTitle: event.title,
+                    eventStart: event.start,
+                    expiresAt: expiresAt.toISOString()
+                });
+                await NotificationsDB.create(db, entry.id, 'waitlist', {
+                    title: `A place has opened up on ${event.title}`,
+                    body: 'Claim it before the offer expires or it will go to the next person on the waitlist.',
+                    link: `/event/${eventId}`
+                });
+
+                offered.push(entry.id);
+                free--;
+            }
+        } catch (error) {
+            Logger.error('[WaitlistOffers] Error offering spots:', error);
+        }
+        return offered;
+    }
+
+    /**
+     * Expire lapsed offers, drop their holders from the waitlist and pass each spot on.
+     * @returns {Promise<number>} - Number of offers expired.
+     */
+    static async sweep(db) {
+        const lapsed = await WaitlistDB.get_lapsed_offers(db);
+        if (lapsed.isError()) return 0;
+
+        const eventIds = new Set();
+        for (const offer of lapsed.getData()) {
+            await WaitlistDB.resolve_offer(db, offer.event_id, offer.user_id, 'expired');
+            await WaitlistDB.remove_user_from_waiting_list(db, offer.event_id, offer.user_id);
+            eventIds.add(offer.event_id);
+        }
+
+        for (const eventId of eventIds) {
+            await this.offerFreedSpots(db, eventId);
+        }
+        await EventStream.publishEventState(db, [...eventIds]);
+
+        return lapsed.getData().length;
+    }
+
+    /**
+     * Start the background sweeper. The timer does not keep the process alive on its own.
+     */
+    static startSweeper(db, intervalMs = this.SWEEP_INTERVAL_MS) {
+        const timer = setInterval(() => {
+            this.sweep(db).catch(error => Logger.error('[WaitlistOffers] Sweep failed:', error));
+        }, intervalMs);
+        timer.unref();
+        return timer;
+    }
+}
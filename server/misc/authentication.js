@@ -5,6 +5,7 @@
  */
 
 import { Permissions } from './permissions.js';
+import TwoFactor from './TwoFactor.js';
 
 /**
  * Extracts the core permission name from a tagged permission string.
@@ -31,6 +32,7 @@ const getPermissionType = (perm) => {
 
 /**
  * Express middleware to verify authentication and complex permission requirements.
+ * Routes that need a permission are refused to role holders who still have to enrol in two-factor authentication.
  */
 const checkAuthentication = (...requirements) => {
     return async (req, res, next) => {
@@ -38,6 +40,10 @@ const checkAuthentication = (...requirements) => {
             return res.status(401).json({ message: 'Unauthorized: Please log in.' });
         }
 
+        if (requirements.length > 0 && await TwoFactor.enrolmentRequired(req.db, req.user.id)) {
+            return res.status(403).json({ message: 'Forbidden: Set up two-factor authentication to use your role.', twoFactorSetupRequired: true });
+        }
+
         for (const requirement of requirements) {
             let hasPermission = false;
 
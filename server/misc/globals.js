@@ -11,6 +11,165 @@ import Logger from './Logger.js';
 export default class Globals {
     static cache = null;
 
+    /**
+     * Default settings, written on first run and merged into existing files when new keys are introduced.
+     */
+    static defaults = {
+        Unauthorized_max_difficulty: {
+            data: 1,
+            name: "Unauthorized Max Difficulty",
+            description: "Maximum difficulty level visible to guests.",
+            type: "number",
+            regexp: "^[1-5]$",
+            error: "Value must be an integer between 1 and 5.",
+            permission: "President",
+        },
+        MinMoney: {
+            data: -25,
+            name: "Minimum Balance",
+            description: "Debt limit before signup restriction.",
+            type: "number",
+            regexp: "^-?\\d+$",
+            error: "Value must be an integer.",
+            permission: "Authenticated",
+        },
+        MembershipCost: {
+            data: 50,
+            name: "Membership Cost",
+            description: "Annual membership fee.",
+            type: "number",
+            regexp: "^\\d+(\\.\\d{1,2})?$",
+            error: "Value must be a valid currency amount.",
+            permission: "Authenticated",
+        },
+        DefaultEventImage: {
+            data: "/images/misc/ducc.png",
+            name: "Default Event Image",
+            description: "The default banner image for events if no other image is set.",
+            type: "image",
+            regexp: "^/(images|api/files)/.+$",
+            error: "Value must be a valid path or file API URL.",
+            permission: "President",
+        },
+        NoShowLimit: {
+            data: 0,
+            name: "No-Show Limit",
+            description: "Missed sessions in an academic year before the no-show policy applies. 0 disables it.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        NoShowPolicy: {
+            data: "deprioritise",
+            name: "No-Show Policy",
+            description: "What happens to repeat no-shows: 'block' stops them signing up, 'deprioritise' moves them to the back of waiting lists.",
+            type: "text",
+            regexp: "^(block|deprioritise)$",
+            error: "Value must be 'block' or 'deprioritise'.",
+            permission: "President",
+        },
+        WaitlistOfferHours: {
+            data: 12,
+            name: "Waitlist Offer Window",
+            description: "Hours a waitlisted member has to confirm a freed-up spot before it is offered to the next person.",
+            type: "number",
+            regexp: "^[1-9]\\d*$",
+            error: "Value must be a positive integer.",
+            permission: "President",
+        },
+        BallotMemberWeight: {
+            data: 2,
+            name: "Ballot Member Weight",
+            description: "Ballot weighting for members, relative to 1 for non-members.",
+            type: "number",
+            regexp: "^[1-9]\\d*$",
+            error: "Value must be a positive integer.",
+            permission: "President",
+        },
+        BallotMissedWeight: {
+            data: 2,
+            name: "Ballot Missed-Out Weight",
+            description: "Ballot weighting multiplier for people who missed out on a place in their last ballot.",
+            type: "number",
+            regexp: "^[1-9]\\d*$",
+            error: "Value must be a positive integer.",
+            permission: "President",
+        },
+        DebtReminderDays: {
+            data: 7,
+            name: "Debt Reminder Interval",
+            description: "Days between reminder emails to members with a negative balance. 0 disables reminders.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        BackupIntervalHours: {
+            data: 24,
+            name: "Backup Interval",
+            description: "Hours between scheduled backups of the database, uploaded files and settings. 0 disables scheduled backups.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        BackupKeepDaily: {
+            data: 7,
+            name: "Daily Backups Kept",
+            description: "Number of recent days for which the last backup of the day is kept.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        BackupKeepWeekly: {
+            data: 4,
+            name: "Weekly Backups Kept",
+            description: "Number of recent weeks for which the last backup of the week is kept.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        BackupKeepTermly: {
+            data: 6,
+            name: "Termly Backups Kept",
+            description: "Number of recent terms for which the last backup of the term is kept.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        RetentionHealthMonths: {
+            data: 12,
+            name: "Health Data Retention",
+            description: "Months after a member filled in their legal form before their medical and emergency details are purged. For members who agreed to their health data being kept, counted from their last attended event if that is later. 0 keeps them indefinitely.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        RetentionDeletedAccountYears: {
+            data: 6,
+            name: "Deleted Account Retention",
+            description: "Years a deleted account, with its transactions and attendance history, is kept before it is removed for good. 0 keeps them indefinitely.",
+            type: "number",
+            regexp: "^\\d+$",
+            error: "Value must be a non-negative integer.",
+            permission: "President",
+        },
+        RequireTwoFactorForRoles: {
+            data: 0,
+            name: "Require Two-Factor for Roles",
+            description: "1 to require everyone holding a role to set up two-factor authentication before they can use it, 0 to leave it optional.",
+            type: "number",
+            regexp: "^[01]$",
+            error: "Value must be 0 or 1.",
+            permission: "President",
+        },
+    };
+
     /**
      * Initializes the instance and ensures 'globals.json' exists with default values.
      */
@@ -26,49 +185,13 @@ export default class Globals {
         }
 
         if (!fs.existsSync(this.path)) {
-            const defaults = {
-                Unauthorized_max_difficulty: {
-                    data: 1,
-                    name: "Unauthorized Max Difficulty",
-                    description: "Maximum difficulty level visible to guests.",
-                    type: "number",
-                    regexp: "^[1-5]$",
-                    error: "Value must be an integer between 1 and 5.",
-                    permission: "President",
-                },
-                MinMoney: {
-                    data: -25,
-                    name: "Minimum Balance",
-                    description: "Debt limit before signup restriction.",
-                    type: "number",
-                    regexp: "^-?\\d+$",
-                    error: "Value must be an integer.",
-                    permission: "Authenticated",
-                },
-                MembershipCost: {
-                    data: 50,
-                    name: "Membership Cost",
-                    description: "Annual membership fee.",
-                    type: "number",
-                    regexp: "^\\d+(\\.\\d{1,2})?$",
-                    error: "Value must be a valid currency amount.",
-                    permission: "Authenticated",
-                },
-                DefaultEventImage: {
-                    data: "/images/misc/ducc.png",
-                    name: "Default Event Image",
-                    description: "The default banner image for events if no other image is set.",
-                    type: "image",
-                    regexp: "^/(images|api/files)/.+$",
-                    error: "Value must be a valid path or file API URL.",
-                    permission: "President",
-                },
-            };
+            const defaults = structuredClone(Globals.defaults);
             fs.writeFileSync(this.path, JSON.stringify(defaults, null, 4));
             Globals.cache = defaults;
         } else if (!Globals.cache) {
             try {
                 Globals.cache = JSON.parse(fs.readFileSync(this.path, 'utf-8'));
+                this.addMissingDefaults();
             } catch (error) {
                 Logger.error('Failed to load globals.json:', error);
                 Globals.cache = {}; 
@@ -76,6 +199,17 @@ export default class Globals {
         }
     }
 
+    /**
+     * Adds any default keys missing from an existing configuration file, keeping current values.
+     */
+    addMissingDefaults() {
+        const missing = Object.keys(Globals.defaults).filter(key => !(key in Globals.cache));
+        if (missing.length === 0) return;
+
+        for (const key of missing) Globals.cache[key] = structuredClone(Globals.defaults[key]);
+        fs.writeFileSync(this.path, JSON.stringify(Globals.cache, null, 4));
+    }
+
     /** 
      * Retrieves a full global entry from the file.
      */
@@ -0,0 +1,98 @@
+/**
+ * ical.js
+ *
+ * Serialises events into RFC 5545 iCalendar documents for calendar subscriptions.
+ */
+
+export default class ICal {
+    /**
+     * Escape a text value for use in an iCalendar property.
+     */
+    static escapeText(value) {
+        return String(value ?? '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Format a date as an iCalendar UTC date-time (e.g. 20250101T180000Z).
+     */
+    static formatDate(date) {
+        return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Fold a content line so that no line exceeds 75 octets.
+     */
+    static foldLine(line) {
+        const chunks = [];
+        let current = '';
+        let currentBytes = 0;
+
+        for (const char of line) {
+            const charBytes = Buffer.byteLength(char);
+            const limit = chunks.length === 0 ? 75 : 74;
+            if (currentBytes + charBytes > limit) {
+                chunks.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += charBytes;
+        }
+        chunks.push(current);
+
+        return chunks.join('\r\n ');
+    }
+
+    /**
+     * Stable UID for an event. Depends only on the event ID so subscribers update rather than duplicate edited events.
+     */
+    static getUid(event) {
+        return `event-${event.id}@ducc`;
+    }
+
+    /**
+     * Build the VEVENT lines for a single event.
+     */
+    static buildEvent(event, baseUrl, stamp) {
+        const lines = [
+            'BEGIN:VEVENT',
+            `UID:${this.getUid(event)}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${this.formatDate(event.start)}`,
+            `DTEND:${this.formatDate(event.end)}`,
+            `SUMMARY:${this.escapeText(event.title)}`,
+            `STATUS:${event.is_canceled ? 'CANCELLED' : 'CONFIRMED'}`
+        ];
+
+        if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${this.escapeText(event.location)}`);
+        if (event.tags?.length) lines.push(`CATEGORIES:${event.tags.map(t => this.escapeText(t.name)).join(',')}`);
+        if (baseUrl) lines.push(`URL:${baseUrl}/event/${event.id}`);
+
+        lines.push('END:VEVENT');
+        return lines;
+    }
+
+    /**
+     * Build a complete VCALENDAR document from a list of events.
+     */
+    static buildCalendar(events, { name = 'DUCC Events', baseUrl = null } = {}) {
+        const stamp = this.formatDate(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//DUCC//Events//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${this.escapeText(name)}`,
+            ...events.flatMap(event => this.buildEvent(event, baseUrl, stamp)),
+            'END:VCALENDAR'
+        ];
+
+        return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+    }
+}
@@ -11,6 +11,9 @@ import TagsDB from '../db/tagsDB.js';
 import RolesDB from '../db/rolesDB.js';
 import TransactionsDB from '../db/transactionDB.js';
 import UserDB from '../db/userDB.js';
+import CheckinDB from '../db/checkinDB.js';
+import WaitlistDB from '../db/waitlistDB.js';
+import { Permissions } from '../misc/permissions.js';
 
 export default class EventRules {
     /**
@@ -52,21 +55,22 @@ export default class EventRules {
         if (now >= new Date(event.end)) return new statusObject(400, 'Event has ended');
         if (now >= new Date(event.start)) return new statusObject(400, 'Event has started');
 
-        if (event.tags) {
-            for (const tag of event.tags) {
-                if (tag.join_policy === 'whitelist') {
-                    const whitelisted = await TagsDB.isWhitelisted(db, tag.id, user.id);
-                    if (!whitelisted) return new statusObject(403, `Restricted access (${tag.name})`);
-                } else if (tag.join_policy === 'role') {
-                    const hasRole = await RolesDB.hasRoleForTag(db, user.id, tag.id);
-                    if (!hasRole) return new statusObject(403, `Role required for (${tag.name})`);
-                }
-            }
+        if (event.ballot_closes_at && !event.ballot_drawn_at) {
+            return new statusObject(403, 'Places are allocated by ballot');
         }
 
+        const opensAt = await this.getSignupOpensAt(db, event, user);
+        if (opensAt && now < opensAt) return new statusObject(403, 'Signups have not opened yet');
+
+        const tagCheck = await this._checkTagPolicies(db, event, user);
+        if (tagCheck.isError()) return tagCheck;
+
         const currentCountRes = await AttendanceDB.get_event_attendance_count(db, event.id);
         if (currentCountRes.isError()) return currentCountRes;
-        const currentCount = currentCountRes.getData();
+        // Spots held by outstanding waitlist offers count as taken for everyone but the offer holder
+        const heldCountRes = await WaitlistDB.get_active_offer_count(db, event.id, user.id);
+        if (heldCountRes.isError()) return heldCountRes;
+        const currentCount = currentCountRes.getData() + heldCountRes.getData();
 
         if (event.max_attendees > 0 && currentCount >= event.max_attendees) {
             return new statusObject(400, 'Event is full');
@@ -77,6 +81,51 @@ export default class EventRules {
             if (coachCount === 0) return new statusObject(403, 'No coach attending');
         }
 
+        return this.checkUserStanding(db, event, user);
+    }
+
+    /**
+     * Determine if a user may enter an event's ballot. Capacity and coach checks are left to the draw.
+     */
+    static async canEnterBallot(db, event, user) {
+        if (!user) return new statusObject(401, 'User not authenticated');
+        if (!event.ballot_closes_at) return new statusObject(400, 'This event does not use a ballot');
+        if (event.is_canceled) return new statusObject(400, 'Event is canceled');
+
+        const now = new Date();
+        if (event.ballot_drawn_at || now >= new Date(event.ballot_closes_at)) return new statusObject(400, 'The ballot has closed');
+
+        const opensAt = await this.getSignupOpensAt(db, event, user);
+        if (opensAt && now < opensAt) return new statusObject(403, 'Signups have not opened yet');
+
+        const tagCheck = await this._checkTagPolicies(db, event, user);
+        if (tagCheck.isError()) return tagCheck;
+
+        return this.checkUserStanding(db, event, user);
+    }
+
+    /**
+     * Internal helper enforcing whitelist and role join policies on an event's tags.
+     */
+    static async _checkTagPolicies(db, event, user) {
+        for (const tag of event.tags || []) {
+            if (tag.join_policy === 'whitelist') {
+                const whitelisted = await TagsDB.isWhitelisted(db, tag.id, user.id);
+                if (!whitelisted) return new statusObject(403, `Restricted access (${tag.name})`);
+            } else if (tag.join_policy === 'role') {
+                const hasRole = await RolesDB.hasRoleForTag(db, user.id, tag.id);
+                if (!hasRole) return new statusObject(403, `Role required for (${tag.name})`);
+            }
+        }
+        return new statusObject(200, null);
+    }
+
+    /**
+     * Check the user-side requirements for taking a place: a verified email address, legal info, debts,
+     * free sessions, the no-show policy and not already attending.
+     */
+    static async checkUserStanding(db, event, user) {
+        if (!user.email_verified_at) return new statusObject(403, 'Email not verified');
         if (!user.filled_legal_info) return new statusObject(403, 'Legal info incomplete');
 
         const balanceRes = await TransactionsDB.get_balance(db, user.id);
@@ -90,12 +139,60 @@ export default class EventRules {
             if (user.free_sessions <= 0) return new statusObject(403, 'No free sessions remaining');
         }
 
+        const { policy } = CheckinDB.getNoShowPolicy();
+        if (policy === 'block') {
+            const noShowRes = await CheckinDB.isRepeatNoShow(db, user.id);
+            if (noShowRes.isError()) return noShowRes;
+            if (noShowRes.getData()) return new statusObject(403, 'Too many missed sessions');
+        }
+
         const attendingRes = await AttendanceDB.is_user_attending_event(db, user.id, event.id);
         if (attendingRes.getData()) return new statusObject(400, 'Already attending');
 
         return new statusObject(200, 'Allowed');
     }
 
+    /**
+     * Work out when signups open for a user: the general opening time, or the earliest
+     * member or role priority window they qualify for.
+     * @returns {Promise<Date|null>} - Null when the event has no signup window.
+     */
+    static async getSignupOpensAt(db, event, user) {
+        if (!event.signup_opens_at) return null;
+
+        const times = [new Date(event.signup_opens_at)];
+        if (user?.is_member && event.member_signup_opens_at) times.push(new Date(event.member_signup_opens_at));
+
+        if (user) {
+            const windows = await db.all(
+                `SELECT w.opens_at FROM event_signup_windows w
+                 JOIN user_roles ur ON ur.role_id = w.role_id
+                 WHERE w.event_id = ? AND ur.user_id = ?`,
+                [event.id, user.id]
+            );
+            for (const w of windows) times.push(new Date(w.opens_at));
+        }
+
+        return new Date(Math.min(...times));
+    }
+
+    /**
+     * Determine if a user may take the register for an event.
+     * Coaches and event managers can check people in from an hour before the start, and correct it afterwards.
+     */
+    static async canTakeRegister(db, event, user) {
+        if (!user) return new statusObject(401, 'User not authenticated');
+        if (!user.is_instructor && !await Permissions.canManageEvent(db, user.id, event.id)) {
+            return new statusObject(403, 'Only coaches can take the register');
+        }
+        if (event.is_canceled) return new statusObject(400, 'Event is canceled');
+
+        const opensAt = new Date(event.start).getTime() - 60 * 60 * 1000;
+        if (Date.now() < opensAt) return new statusObject(400, 'Check-in has not opened yet');
+
+        return new statusObject(200, 'Allowed');
+    }
+
     /**
      * Check if a user is authorized to see an image based on its usage in events/tags.
      */
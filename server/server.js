@@ -31,6 +31,12 @@ import csurf from 'csurf';
 import rateLimit from 'express-rate-limit';
 import Logger from './misc/Logger.js';
 import config from './config.js';
+import WaitlistOffers from './misc/WaitlistOffers.js';
+import BallotDraw from './misc/BallotDraw.js';
+import Mailer from './misc/Mailer.js';
+import Backups from './misc/Backups.js';
+import DataRetention from './misc/DataRetention.js';
+import Sessions from './misc/Sessions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -45,6 +51,11 @@ if (isProd && !config.session.secret) {
   process.exit(1);
 }
 
+if (isProd && !config.encryption.key) {
+  Logger.error(colors.red('FATAL: FIELD_ENCRYPTION_KEY must be defined in production environment.'));
+  process.exit(1);
+}
+
 /** Trust proxy for header-based auth if behind a load balancer. */
 app.set('trust proxy', 1);
 /** Disable header for mild obfuscation. */
@@ -107,7 +118,8 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json());
+// The raw body is kept for checking the signatures of payment webhooks
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.urlencoded({ extended: true }));
 
 /** Static file serving with appropriate caching policies. */
@@ -145,7 +157,7 @@ app.use(session({
   cookie: {
     secure: isProd,
     httpOnly: true,
-    maxAge: 1000 * 60 * 60 * 24
+    maxAge: config.session.maxAge
   }
 }));
 
@@ -154,8 +166,11 @@ app.use(passport.session());
 
 /** CSRF Protection */
 if (isProd) {
-  app.use(csurf());
+  const csrfProtection = csurf();
+  /** Payment webhooks come from the provider, not the browser, and are authenticated by their signature instead. */
+  app.use((req, res, next) => (req.path === '/api/payments/webhook' ? next() : csrfProtection(req, res, next)));
   app.use((req, res, next) => {
+    if (req.path === '/api/payments/webhook') return next();
     const token = req.csrfToken();
     res.cookie('XSRF-TOKEN', token, { httpOnly: false });
     res.locals.csrfToken = token;
@@ -187,6 +202,9 @@ const startServer = async () => {
       next();
     });
 
+    /** Signs out sessions that have been revoked and notes when each was last used. */
+    app.use(Sessions.track());
+
     app.get('/api/health', (req, res) => {
       res.status(200).json({ ok: true });
     });
@@ -248,6 +266,13 @@ const startServer = async () => {
     });
 
     if (import.meta.url === `file://${process.argv[1]}`) {
+      WaitlistOffers.startSweeper(db);
+      BallotDraw.startSweeper(db);
+      Mailer.startSweeper(db);
+      Backups.startSweeper(db);
+      DataRetention.startSweeper(db);
+      Sessions.startSweeper(db);
+
       app.listen(PORT, () => {
         Logger.info(`Server is running on http://localhost:${PORT}`);
         Logger.info('Press Ctrl+C to stop the server.');
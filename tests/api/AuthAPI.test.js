@@ -2,7 +2,8 @@
  * AuthAPI.test.js
  * 
  * Integration tests for the Authentication API.
- * Covers signup, account restoration, login, status checks, and password resets.
+ * Covers signup, account restoration, login, status checks, password resets, email verification,
+ * and two-factor enrolment and login.
  */
 
 import request from 'supertest';
@@ -12,6 +13,8 @@ import { Authenticator } from 'passport';
 import TestWorld from '../utils/TestWorld.js';
 import AuthAPI from '../../server/api/AuthAPI.js';
 import UserAPI from '../../server/api/users/UserAPI.js';
+import TwoFactor from '../../server/misc/TwoFactor.js';
+import EmailVerification from '../../server/misc/EmailVerification.js';
 import bcrypt from 'bcrypt';
 
 describe('api/AuthAPI', () => {
@@ -60,6 +63,10 @@ describe('api/AuthAPI', () => {
                     last_name: 'User'
                 });
             expect(res.statusCode).toBe(201);
+
+            const welcome = await db.get("SELECT * FROM email_outbox WHERE template = 'welcome'");
+            expect(welcome.to_address).toBe('new.user@durham.ac.uk');
+            expect(welcome.status).toBe('sent');
         });
 
         /**
@@ -99,6 +106,90 @@ describe('api/AuthAPI', () => {
         });
     });
 
+    describe('Email Verification', () => {
+        const email = 'verify.test@durham.ac.uk';
+        const password = 'password123';
+
+        /**
+         * Sign up and log in, returning the agent and the token from the newest verification email.
+         */
+        const signUp = async () => {
+            const agent = request.agent(app);
+            await agent.post('/api/auth/signup').send({ email, password, first_name: 'Vera', last_name: 'Fied' });
+            const login = await agent.post('/api/auth/login').send({ email, password });
+            expect(login.statusCode).toBe(200);
+            return { agent, token: await latestToken() };
+        };
+
+        const latestToken = async () => {
+            const message = await db.get("SELECT text_body FROM email_outbox WHERE template = 'verifyEmail' ORDER BY id DESC LIMIT 1");
+            return message.text_body.match(/token=([0-9a-f]+)/)[1];
+        };
+
+        test('a new account can log in but cannot join until its address is verified', async () => {
+            const { agent, token } = await signUp();
+            const row = await db.get('SELECT email_verified_at FROM users WHERE email = ?', [email]);
+            expect(row.email_verified_at).toBeNull();
+
+            const refused = await agent.post('/api/user/join');
+            expect(refused.statusCode).toBe(403);
+            expect(refused.body.message).toMatch(/verify your email/i);
+
+            expect((await request(app).post('/api/auth/verify-email').send({ token })).statusCode).toBe(200);
+            expect((await request(app).post('/api/auth/verify-email').send({ token })).statusCode).toBe(400);
+            expect((await agent.get('/api/user/elements/email_verified_at')).body.email_verified_at).not.toBeNull();
+            expect((await agent.post('/api/user/join')).statusCode).toBe(200);
+        });
+
+        test('verification links expire', async () => {
+            const { token } = await signUp();
+            await db.run("UPDATE email_verifications SET expires_at = '2020-01-01T00:00:00.000Z'");
+
+            const res = await request(app).post('/api/auth/verify-email').send({ token });
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/expired/);
+        });
+
+        test('resending is limited to once a minute and a few times a day', async () => {
+            const { agent } = await signUp();
+
+            const tooSoon = await agent.post('/api/auth/verify-email/resend');
+            expect(tooSoon.statusCode).toBe(429);
+            expect(tooSoon.body.retryAfter).toBeGreaterThan(0);
+            expect(tooSoon.headers['retry-after']).toBeDefined();
+
+            await db.run("UPDATE email_verifications SET created_at = datetime('now', '-2 minutes')");
+            expect((await agent.post('/api/auth/verify-email/resend')).statusCode).toBe(200);
+
+            await db.run("UPDATE email_verifications SET created_at = datetime('now', '-2 minutes')");
+            for (let i = 2; i < EmailVerification.MAX_SENDS_PER_DAY; i++) {
+                await db.run("INSERT INTO email_verifications (user_id, email, token_hash, expires_at, created_at) SELECT user_id, email, 'spent' || ?, expires_at, created_at FROM email_verifications LIMIT 1", [i]);
+            }
+            const capped = await agent.post('/api/auth/verify-email/resend');
+            expect(capped.statusCode).toBe(429);
+            expect(capped.body.message).toMatch(/today/);
+        });
+
+        test('changing email needs verifying again, and old links stop working', async () => {
+            const { agent, token: oldToken } = await signUp();
+            await db.run("UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?", [email]);
+
+            const update = await agent.post('/api/user/elements').send({ email: 'New.Address@durham.ac.uk' });
+            expect(update.statusCode).toBe(200);
+            const row = await db.get('SELECT email, email_verified_at FROM users WHERE email = ?', ['new.address@durham.ac.uk']);
+            expect(row.email_verified_at).toBeNull();
+
+            const sent = await db.get("SELECT to_address FROM email_outbox WHERE template = 'verifyEmail' ORDER BY id DESC LIMIT 1");
+            expect(sent.to_address).toBe('new.address@durham.ac.uk');
+            expect((await agent.post('/api/user/join')).statusCode).toBe(403);
+
+            await agent.post('/api/user/elements').send({ first_name: 'Vera' });
+            expect((await db.get('SELECT COUNT(*) AS n FROM email_outbox WHERE template = ?', ['verifyEmail'])).n).toBe(2);
+            expect((await request(app).post('/api/auth/verify-email').send({ token: oldToken })).statusCode).toBe(400);
+            expect((await request(app).post('/api/auth/verify-email').send({ token: await latestToken() })).statusCode).toBe(200);
+        });
+    });
+
     describe('Login & Status', () => {
         const email = 'login.test@durham.ac.uk';
         const password = 'password123';
@@ -144,6 +235,17 @@ describe('api/AuthAPI', () => {
             const reset = await db.get('SELECT * FROM password_resets');
             expect(reset).toBeDefined();
             expect(reset.token).toBeDefined();
+
+            const message = await db.get("SELECT * FROM email_outbox WHERE template = 'passwordReset'");
+            expect(message.to_address).toBe(email);
+            expect(message.text_body).toContain(`/set-password?token=${reset.token}`);
+            expect(message.html_body).toContain(`/set-password?token=${reset.token}`);
+        });
+
+        test('POST /api/auth/reset-password-request sends nothing for unknown emails', async () => {
+            const res = await request(app).post('/api/auth/reset-password-request').send({ email: 'nobody@durham.ac.uk' });
+            expect(res.statusCode).toBe(200);
+            expect(await db.get('SELECT * FROM email_outbox')).toBeUndefined();
         });
 
         /**
@@ -163,4 +265,102 @@ describe('api/AuthAPI', () => {
             expect(await bcrypt.compare('new-password', user.hashed_password)).toBe(true);
         });
     });
+
+    describe('Two-Factor Authentication', () => {
+        const email = 'twofactor.test@durham.ac.uk';
+        const password = 'password123';
+
+        beforeEach(async () => {
+            const hashed = await bcrypt.hash(password, 10);
+            await db.run('INSERT INTO users (email, hashed_password, first_name, last_name) VALUES (?,?,?,?)', [email, hashed, 'T', 'F']);
+        });
+
+        /**
+         * Log in and enrol, returning the agent, the secret and the backup codes.
+         */
+        const enrol = async () => {
+            const agent = request.agent(app);
+            await agent.post('/api/auth/login').send({ email, password });
+
+            const setup = await agent.post('/api/auth/2fa/setup');
+            expect(setup.statusCode).toBe(200);
+            expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+            expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+            const confirm = await agent.post('/api/auth/2fa/confirm').send({ code: TwoFactor.generateCode(setup.body.secret, TwoFactor.stepAt()) });
+            expect(confirm.statusCode).toBe(200);
+            expect(confirm.body.backupCodes).toHaveLength(TwoFactor.BACKUP_CODE_COUNT);
+
+            return { agent, secret: setup.body.secret, backupCodes: confirm.body.backupCodes };
+        };
+
+        test('enrolment needs a valid code before it takes effect', async () => {
+            const agent = request.agent(app);
+            await agent.post('/api/auth/login').send({ email, password });
+            await agent.post('/api/auth/2fa/setup');
+
+            const wrong = await agent.post('/api/auth/2fa/confirm').send({ code: '000000' });
+            expect(wrong.statusCode).toBe(400);
+            expect((await agent.get('/api/auth/2fa')).body.enabled).toBe(false);
+
+            const relogin = await request(app).post('/api/auth/login').send({ email, password });
+            expect(relogin.body.twoFactorRequired).toBeUndefined();
+        });
+
+        test('login asks for a second step once enrolled', async () => {
+            const { secret } = await enrol();
+
+            const agent = request.agent(app);
+            const first = await agent.post('/api/auth/login').send({ email, password });
+            expect(first.statusCode).toBe(200);
+            expect(first.body.twoFactorRequired).toBe(true);
+            expect((await agent.get('/api/auth/status')).body.authenticated).toBe(false);
+
+            const wrong = await agent.post('/api/auth/login/2fa').send({ code: '000000' });
+            expect(wrong.statusCode).toBe(401);
+
+            const second = await agent.post('/api/auth/login/2fa').send({ code: TwoFactor.generateCode(secret, TwoFactor.stepAt() + 1) });
+            expect(second.statusCode).toBe(200);
+            expect(second.body.user.email).toBe(email);
+            expect((await agent.get('/api/auth/status')).body.authenticated).toBe(true);
+        });
+
+        test('a backup code completes login once, and repeated wrong codes end the attempt', async () => {
+            const { backupCodes } = await enrol();
+
+            const agent = request.agent(app);
+            await agent.post('/api/auth/login').send({ email, password });
+            expect((await agent.post('/api/auth/login/2fa').send({ code: backupCodes[0] })).statusCode).toBe(200);
+
+            const other = request.agent(app);
+            await other.post('/api/auth/login').send({ email, password });
+            expect((await other.post('/api/auth/login/2fa').send({ code: backupCodes[0] })).statusCode).toBe(401);
+            for (let i = 1; i < TwoFactor.MAX_LOGIN_ATTEMPTS; i++) await other.post('/api/auth/login/2fa').send({ code: '000000' });
+            const expired = await other.post('/api/auth/login/2fa').send({ code: backupCodes[1] });
+            expect(expired.statusCode).toBe(401);
+            expect(expired.body.message).toMatch(/log in again/);
+        });
+
+        test('the second step cannot be skipped', async () => {
+            await enrol();
+            const res = await request(app).post('/api/auth/login/2fa').send({ code: '123456' });
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('turning two-factor off needs the password and is refused when the role requires it', async () => {
+            const { agent } = await enrol();
+
+            expect((await agent.post('/api/auth/2fa/disable').send({ password: 'wrong' })).statusCode).toBe(403);
+
+            world.mockGlobalInt('RequireTwoFactorForRoles', 1);
+            await world.createRole('Treasurer', ['transaction.manage']);
+            const { id } = await db.get('SELECT id FROM users WHERE email = ?', [email]);
+            await db.run('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [id, world.data.roles['Treasurer']]);
+            expect((await agent.post('/api/auth/2fa/disable').send({ password })).statusCode).toBe(403);
+
+            world.mockGlobalInt('RequireTwoFactorForRoles', 0);
+            expect((await agent.post('/api/auth/2fa/disable').send({ password })).statusCode).toBe(200);
+            expect((await agent.get('/api/auth/2fa')).body.enabled).toBe(false);
+        });
+    });
 });
@@ -0,0 +1,199 @@
+/**
+ * PaymentsAPI.test.js
+ *
+ * Tests for online top-ups.
+ * Covers starting a checkout, crediting a payment exactly once from signed webhooks, rejecting forged webhooks,
+ * failed and abandoned payments, the fake provider's checkout page, the Stripe provider and the treasurer's list.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import PaymentsAPI from '../../server/api/PaymentsAPI.js';
+import AdminPaymentsAPI from '../../server/api/admin/AdminPaymentsAPI.js';
+import Payments from '../../server/misc/Payments.js';
+import UserDB from '../../server/db/userDB.js';
+import { FakeProvider, StripeProvider } from '../../server/misc/PaymentProviders.js';
+
+describe('api/PaymentsAPI', () => {
+    let world, provider, userId;
+
+    const startTopUp = async (amount = 20, alias = 'user') => {
+        const res = await world.as(alias).post('/api/payments/top-up').send({ amount });
+        return res.body.data;
+    };
+
+    const sessionOf = async (paymentId) => (await world.db.get('SELECT provider_session_id FROM payments WHERE id = ?', [paymentId])).provider_session_id;
+
+    const deliver = (webhook) => world.request.post('/api/payments/webhook')
+        .set(webhook.headers)
+        .set('Content-Type', 'application/json')
+        .send(webhook.body);
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        provider = new FakeProvider({ webhookSecret: 'test-secret', baseUrl: 'http://localhost:3000' });
+        Payments.setProvider(provider);
+
+        await world.createRole('Treasurer', ['transaction.read']);
+        await world.createUser('treasurer', {}, ['Treasurer']);
+        userId = await world.createUser('user');
+        await world.createUser('other');
+
+        new PaymentsAPI(world.app, world.db).registerRoutes();
+        new AdminPaymentsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        Payments.setProvider(undefined);
+        await world.tearDown();
+    });
+
+    test('starting a top-up records a pending payment and returns the checkout URL', async () => {
+        expect((await world.as('user').get('/api/payments/config')).body).toEqual({ enabled: true, min: Payments.MIN_AMOUNT, max: Payments.MAX_AMOUNT });
+
+        expect((await world.as('user').post('/api/payments/top-up').send({ amount: 1 })).statusCode).toBe(400);
+        expect((await world.as('user').post('/api/payments/top-up').send({ amount: 'lots' })).statusCode).toBe(400);
+        expect((await world.request.post('/api/payments/top-up').send({ amount: 20 })).statusCode).toBe(401);
+
+        const { id, url } = await startTopUp(20);
+        expect(url).toMatch(/^http:\/\/localhost:3000\/api\/payments\/fake-checkout\/fake_cs_/);
+        const payment = await world.db.get('SELECT * FROM payments WHERE id = ?', [id]);
+        expect(payment).toMatchObject({ user_id: userId, amount: 20, currency: 'gbp', provider: 'fake', status: 'pending', transaction_id: null });
+    });
+
+    test('a successful payment is credited once, however often the webhook arrives', async () => {
+        const { id } = await startTopUp(25);
+        const webhook = provider.buildWebhook(await sessionOf(id), 25, 'succeeded');
+
+        expect((await deliver(webhook)).statusCode).toBe(200);
+        expect((await deliver(webhook)).body.message).toBe('Already processed');
+        expect((await deliver(provider.buildWebhook(await sessionOf(id), 25, 'succeeded'))).body.message).toBe('Already processed');
+
+        const transactions = await world.db.all('SELECT * FROM transactions WHERE user_id = ?', [userId]);
+        expect(transactions).toHaveLength(1);
+        expect(transactions[0]).toMatchObject({ amount: 25, description: Payments.DESCRIPTION, category: 'payment', counterpart: 'Online payments (fake)' });
+
+        const payment = await world.db.get('SELECT * FROM payments WHERE id = ?', [id]);
+        expect(payment).toMatchObject({ status: 'succeeded', transaction_id: transactions[0].id });
+        const notification = await world.db.get('SELECT title FROM notifications WHERE user_id = ?', [userId]);
+        expect(notification.title).toBe('Your top-up of £25.00 was added to your account');
+    });
+
+    test('a deleted member\'s payments are kept, so a late webhook is not credited again', async () => {
+        const { id } = await startTopUp(25);
+        const webhook = provider.buildWebhook(await sessionOf(id), 25, 'succeeded');
+        await deliver(webhook);
+
+        expect((await UserDB.removeUser(world.db, userId, false)).getStatus()).toBe(200);
+        expect(await world.db.get('SELECT status FROM payments WHERE id = ?', [id])).toEqual({ status: 'succeeded' });
+
+        expect((await deliver(webhook)).body.message).toBe('Already processed');
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM transactions WHERE user_id = ?', [userId])).n).toBe(1);
+    });
+
+    test('forged, tampered and stale webhooks are rejected', async () => {
+        const { id } = await startTopUp(20);
+        const webhook = provider.buildWebhook(await sessionOf(id), 20, 'succeeded');
+
+        expect((await deliver({ ...webhook, headers: {} })).statusCode).toBe(400);
+        expect((await deliver({ ...webhook, body: webhook.body.replace('2000', '9000') })).statusCode).toBe(400);
+
+        const forger = new FakeProvider({ webhookSecret: 'wrong-secret', baseUrl: '' });
+        expect((await deliver(forger.buildWebhook(await sessionOf(id), 20, 'succeeded'))).statusCode).toBe(400);
+
+        const stale = { body: webhook.body, headers: { 'x-payment-signature': provider.sign(webhook.body, Math.floor(Date.now() / 1000) - 3600) } };
+        expect((await deliver(stale)).statusCode).toBe(400);
+
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM transactions')).n).toBe(0);
+    });
+
+    test('failed, abandoned and mismatched payments are recorded without crediting', async () => {
+        const failed = await startTopUp(10);
+        await deliver(provider.buildWebhook(await sessionOf(failed.id), 10, 'failed'));
+        expect((await deliver(provider.buildWebhook(await sessionOf(failed.id), 10, 'succeeded'))).body.message).toBe('Already processed');
+
+        const abandoned = await startTopUp(15);
+        await deliver(provider.buildWebhook(await sessionOf(abandoned.id), 15, 'expired'));
+
+        const mismatched = await startTopUp(30);
+        await deliver(provider.buildWebhook(await sessionOf(mismatched.id), 3, 'succeeded'));
+
+        const statuses = await world.db.all('SELECT status, failure_reason FROM payments ORDER BY id');
+        expect(statuses).toEqual([
+            { status: 'failed', failure_reason: 'Payment failed' },
+            { status: 'expired', failure_reason: 'Checkout expired' },
+            { status: 'failed', failure_reason: '£3.00 was paid instead of £30.00' }
+        ]);
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM transactions')).n).toBe(0);
+        expect((await world.db.all("SELECT title FROM notifications WHERE title LIKE '%failed'")).length).toBe(2);
+
+        expect((await deliver(provider.buildWebhook('fake_cs_unknown', 10, 'succeeded'))).body.message).toBe('Ignored');
+    });
+
+    test('the fake checkout page completes the payment for its own member only', async () => {
+        const { id, url } = await startTopUp(20);
+        const path = new URL(url).pathname;
+
+        expect((await world.as('other').get(path)).statusCode).toBe(404);
+        const page = await world.as('user').get(path);
+        expect(page.statusCode).toBe(200);
+        expect(page.text).toContain('£20.00');
+
+        expect((await world.as('other').post(path).send({ outcome: 'succeeded' })).statusCode).toBe(404);
+        const done = await world.as('user').post(path).send({ outcome: 'succeeded' });
+        expect(done.statusCode).toBe(302);
+        expect(done.headers.location).toBe('/profile?tab=balance&payment=success');
+        expect((await world.db.get('SELECT status FROM payments WHERE id = ?', [id])).status).toBe('succeeded');
+    });
+
+    test('top-ups are refused when online payments are switched off', async () => {
+        Payments.setProvider(null);
+        expect((await world.as('user').get('/api/payments/config')).body.enabled).toBe(false);
+        expect((await world.as('user').post('/api/payments/top-up').send({ amount: 20 })).statusCode).toBe(503);
+    });
+
+    test('the treasurer can see pending and failed payments', async () => {
+        await startTopUp(20);
+        const failed = await startTopUp(10);
+        await deliver(provider.buildWebhook(await sessionOf(failed.id), 10, 'failed'));
+
+        expect((await world.as('user').get('/api/admin/payments')).statusCode).toBe(403);
+        expect((await world.as('treasurer').get('/api/admin/payments?status=lost')).statusCode).toBe(400);
+
+        const all = await world.as('treasurer').get('/api/admin/payments');
+        expect(all.body.counts).toEqual({ pending: 1, succeeded: 0, failed: 1, expired: 0 });
+        expect(all.body.payments[0]).toMatchObject({ status: 'failed', first_name: 'user', failure_reason: 'Payment failed' });
+
+        const pending = await world.as('treasurer').get('/api/admin/payments?status=pending');
+        expect(pending.body.total).toBe(1);
+        expect(pending.body.payments[0].amount).toBe(20);
+    });
+
+    test('the Stripe provider creates checkout sessions and verifies Stripe signatures', async () => {
+        const stripe = new StripeProvider({ secretKey: 'sk_test_123', webhookSecret: 'whsec_test' });
+        const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+            ok: true,
+            json: async () => ({ id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' })
+        });
+
+        const session = await stripe.createCheckout({
+            paymentId: 7, amount: 12.5, currency: 'gbp', description: 'Top-up', email: 'a@b.com',
+            successUrl: 'http://localhost/ok', cancelUrl: 'http://localhost/no'
+        });
+        expect(session).toEqual({ id: 'cs_test_1', url: 'https://checkout.stripe.com/c/pay/cs_test_1' });
+        const [url, options] = fetchSpy.mock.calls[0];
+        expect(url).toBe(StripeProvider.API_URL);
+        expect(options.headers.Authorization).toBe('Bearer sk_test_123');
+        expect(options.body.get('line_items[0][price_data][unit_amount]')).toBe('1250');
+        expect(options.body.get('client_reference_id')).toBe('7');
+        fetchSpy.mockRestore();
+
+        const body = JSON.stringify({ id: 'evt_1', type: 'checkout.session.completed', data: { object: { id: 'cs_test_1', amount_total: 1250, payment_status: 'paid' } } });
+        expect(stripe.parseWebhook(body, { 'stripe-signature': stripe.sign(body) })).toMatchObject({ id: 'evt_1', outcome: 'succeeded', sessionId: 'cs_test_1', amount: 12.5 });
+        expect(() => stripe.parseWebhook(body, { 'x-payment-signature': stripe.sign(body) })).toThrow();
+
+        const unpaid = body.replace('"paid"', '"unpaid"');
+        expect(stripe.parseWebhook(unpaid, { 'stripe-signature': stripe.sign(unpaid) }).outcome).toBe('pending');
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * AdminAuditAPI.test.js
+ *
+ * Functional tests for the audit log.
+ * Verifies that balance, role and tag changes made through the admin APIs are recorded with a diff,
+ * and that only execs holding the audit permission can search the log.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import AdminAuditAPI from '../../../server/api/admin/AdminAuditAPI.js';
+import AdminTransactionsAPI from '../../../server/api/admin/AdminTransactionsAPI.js';
+import AdminUsersAPI from '../../../server/api/admin/AdminUsersAPI.js';
+import TagsAPI from '../../../server/api/TagsAPI.js';
+
+describe('api/admin/AdminAuditAPI', () => {
+    let world;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        await world.createRole('Auditor', ['audit.read']);
+        await world.createRole('Admin', ['transaction.manage', 'user.manage', 'role.manage', 'event.manage.all']);
+        await world.createRole('Treasurer', []);
+        await world.createUser('auditor', {}, ['Auditor']);
+        await world.createUser('admin', {}, ['Admin']);
+        await world.createUser('user', {});
+
+        new AdminAuditAPI(world.app, world.db).registerRoutes();
+        new AdminTransactionsAPI(world.app, world.db).registerRoutes();
+        new AdminUsersAPI(world.app, world.db).registerRoutes();
+        new TagsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    const getLog = async (query = '') => (await world.as('auditor').get(`/api/admin/audit${query}`)).body;
+
+    test('Transaction changes are recorded with the actor and what changed', async () => {
+        const userId = world.data.users['user'];
+        const created = await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: -10, description: 'Kit hire' });
+        await world.as('admin').put(`/api/admin/transaction/${created.body.data}`).send({ amount: -12, description: 'Kit hire', reason: 'Wrong rate' });
+
+        const { entries } = await getLog();
+        expect(entries.map(e => e.action)).toEqual(['transaction.correct', 'transaction.create']);
+        expect(entries[0]).toMatchObject({
+            actor_id: world.data.users['admin'],
+            target_type: 'transaction',
+            target_id: String(created.body.data),
+            before: { amount: -10 },
+            after: { amount: -12, reason: 'Wrong rate' }
+        });
+        expect(entries[1].after).toMatchObject({ user_id: userId, amount: -10, description: 'Kit hire' });
+    });
+
+    test('Role assignments and tag whitelist changes are recorded', async () => {
+        const userId = world.data.users['user'];
+        await world.as('admin').post(`/api/admin/user/${userId}/role`).send({ roleId: world.data.roles['Treasurer'] });
+
+        const tagId = await world.createTag('Polo');
+        await world.as('admin').post(`/api/tags/${tagId}/whitelist`).send({ userId });
+
+        const roles = await getLog('?action=user.role.assign');
+        expect(roles.entries[0]).toMatchObject({ target_id: String(userId), before: { roles: [] }, after: { roles: ['Treasurer'] } });
+
+        const tags = await getLog('?targetType=tag');
+        expect(tags.entries[0]).toMatchObject({ action: 'tag.whitelist.add', target_id: String(tagId), after: { user_id: userId } });
+    });
+
+    test('Search, actions list and paging', async () => {
+        const userId = world.data.users['user'];
+        for (const description of ['Pool hire', 'Minibus', 'Kit hire']) {
+            await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: -5, description });
+        }
+
+        const hire = await getLog('?search=hire');
+        expect(hire.entries).toHaveLength(2);
+
+        const paged = await getLog('?limit=2&page=2');
+        expect(paged).toMatchObject({ totalPages: 2, currentPage: 2 });
+        expect(paged.entries).toHaveLength(1);
+
+        const actions = await world.as('auditor').get('/api/admin/audit/actions');
+        expect(actions.body).toEqual(['transaction.create']);
+    });
+
+    test('Blocked: invalid filters and users without the audit permission', async () => {
+        expect((await world.as('auditor').get('/api/admin/audit?targetType=planet')).statusCode).toBe(400);
+        expect((await world.as('admin').get('/api/admin/audit')).statusCode).toBe(403);
+        expect((await world.as('user').get('/api/admin/audit/actions')).statusCode).toBe(403);
+    });
+});
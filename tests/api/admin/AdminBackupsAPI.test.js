@@ -0,0 +1,80 @@
+/**
+ * AdminBackupsAPI.test.js
+ *
+ * Functional tests for the backup admin endpoints.
+ * Verifies that execs holding the backup permission can take, list and download backups,
+ * that each action is audited, and that everyone else is refused.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TestWorld from '../../utils/TestWorld.js';
+import AdminBackupsAPI from '../../../server/api/admin/AdminBackupsAPI.js';
+import config from '../../../server/config.js';
+
+describe('api/admin/AdminBackupsAPI', () => {
+    let world;
+    let root;
+    let originalPaths;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-backup-api-test-'));
+        originalPaths = { ...config.paths };
+        Object.assign(config.paths, {
+            files: path.join(root, 'files'),
+            globals: path.join(root, 'globals.json'),
+            backups: path.join(root, 'backups')
+        });
+
+        await world.createRole('Archivist', ['backup.manage']);
+        await world.createUser('archivist', {}, ['Archivist']);
+        await world.createUser('user', {});
+
+        new AdminBackupsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        Object.assign(config.paths, originalPaths);
+        fs.rmSync(root, { recursive: true, force: true });
+        await world.tearDown();
+    });
+
+    test('Execs can take a backup and see it listed with the retention policy', async () => {
+        world.mockGlobalInt('BackupIntervalHours', 24);
+        world.mockGlobalInt('BackupKeepDaily', 7);
+
+        const created = await world.as('archivist').post('/api/admin/backups');
+        expect(created.statusCode).toBe(200);
+        expect(created.body).toMatchObject({ kind: 'manual' });
+
+        const list = await world.as('archivist').get('/api/admin/backups');
+        expect(list.statusCode).toBe(200);
+        expect(list.body.backups.map(b => b.name)).toEqual([created.body.name]);
+        expect(list.body).toMatchObject({ running: false, intervalHours: 24, policy: { daily: 7 } });
+
+        const audit = await world.db.get("SELECT * FROM audit_log WHERE action = 'backup.create'");
+        expect(audit).toMatchObject({ actor_id: world.data.users['archivist'], target_type: 'backup', target_id: created.body.name });
+    });
+
+    test('Execs can download a backup by name', async () => {
+        const { body } = await world.as('archivist').post('/api/admin/backups');
+
+        const res = await world.as('archivist').get(`/api/admin/backups/${body.name}/download`);
+        expect(res.statusCode).toBe(200);
+        expect(res.headers['content-disposition']).toContain(body.name);
+
+        const missing = await world.as('archivist').get('/api/admin/backups/..%2Fdatabase.db/download');
+        expect(missing.statusCode).toBe(404);
+    });
+
+    test('Users without the backup permission are refused', async () => {
+        expect((await world.as('user').get('/api/admin/backups')).statusCode).toBe(403);
+        expect((await world.as('user').post('/api/admin/backups')).statusCode).toBe(403);
+        expect((await world.request.get('/api/admin/backups')).statusCode).toBe(401);
+        expect(fs.existsSync(config.paths.backups)).toBe(false);
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * AdminBankImportsAPI.test.js
+ *
+ * Functional tests for importing bank statements.
+ * Covers column mapping, matching rows by payment reference and name, reconciling ambiguous and unmatched rows,
+ * crediting confirmed payments and refusing to import the same payment twice.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import AdminBankImportsAPI from '../../../server/api/admin/AdminBankImportsAPI.js';
+import BankImport from '../../../server/misc/BankImport.js';
+import UserDB from '../../../server/db/userDB.js';
+
+describe('api/admin/AdminBankImportsAPI', () => {
+    let world, alice, bob, carol;
+    const mapping = { date: 'Date', amount: 'Paid In', payee: 'Name', reference: 'Reference' };
+
+    const upload = (csv, alias = 'treasurer', filename = 'statement.csv') =>
+        world.as(alias).post('/api/admin/bank-imports')
+            .field('mapping', JSON.stringify(mapping))
+            .attach('file', Buffer.from(csv), filename);
+
+    const rowsOf = async (importId) => (await world.as('treasurer').get(`/api/admin/bank-imports/${importId}`)).body.rows;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        await world.createRole('Treasurer', ['transaction.read', 'transaction.write']);
+        await world.createUser('treasurer', {}, ['Treasurer']);
+        alice = await world.createUser('alice', { first_name: 'Alice', last_name: 'Smith' });
+        bob = await world.createUser('bob', { first_name: 'Bob', last_name: 'Jones' });
+        carol = await world.createUser('carol', { first_name: 'Carol', last_name: 'Jones' });
+
+        new AdminBankImportsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('preview suggests a mapping from the headers, then reuses the last mapping', async () => {
+        const csv = 'Date,Name,Reference,Paid Out,Paid In\n01/10/2026,ALICE SMITH,KIT,,20.00\n';
+        const first = await world.as('treasurer').post('/api/admin/bank-imports/preview').attach('file', Buffer.from(csv), 'a.csv');
+        expect(first.statusCode).toBe(200);
+        expect(first.body.headers).toEqual(['Date', 'Name', 'Reference', 'Paid Out', 'Paid In']);
+        expect(first.body.mapping).toEqual({ date: 'Date', amount: 'Paid In', payee: 'Name', reference: 'Reference' });
+
+        await upload(csv);
+        const other = 'Posted,Payer,Ref,Paid In\n02/10/2026,BOB JONES,X,5\n';
+        const second = await world.as('treasurer').post('/api/admin/bank-imports/preview').attach('file', Buffer.from(other), 'b.csv');
+        expect(second.body.mapping).toMatchObject({ payee: 'Payer', reference: 'Ref', amount: 'Paid In' });
+
+        expect((await world.as('alice').post('/api/admin/bank-imports/preview').attach('file', Buffer.from(csv), 'a.csv')).statusCode).toBe(403);
+    });
+
+    test('rows are matched by reference and name, and payments out are skipped', async () => {
+        const csv = [
+            'Date,Name,Reference,Paid Out,Paid In',
+            `01/10/2026,J BLOGGS,${BankImport.referenceFor(bob)},,15.00`,
+            '02/10/2026,MS ALICE SMITH,SOCIAL,,"1,020.50"',
+            '03/10/2026,JONES,DIVING,,8.00',
+            '04/10/2026,UNKNOWN PERSON,,,12.00',
+            '05/10/2026,BOAT HIRE LTD,,250.00,',
+            'not a date,ALICE SMITH,,,3.00'
+        ].join('\r\n');
+
+        const res = await upload(csv);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toMatchObject({ added: 4, duplicates: 0, skipped: 1, invalid: [7] });
+
+        const rows = await rowsOf(res.body.data.id);
+        expect(rows.map(r => [r.status, r.match_reason, r.user_id])).toEqual([
+            ['matched', 'reference', bob],
+            ['matched', 'name', alice],
+            ['ambiguous', 'name', null],
+            ['unmatched', null, null]
+        ]);
+        expect(rows[1].amount).toBe(1020.5);
+        expect(rows[2].candidates.map(c => c.id).sort()).toEqual([bob, carol].sort());
+    });
+
+    test('confirming rows credits members through the ledger, and a row cannot be confirmed twice', async () => {
+        const csv = 'Date,Name,Reference,Paid In\n01/10/2026,ALICE SMITH,SOCIAL,20\n02/10/2026,B JONES,,10\n03/10/2026,SPONSOR,,100\n';
+        const { id } = (await upload(csv)).body.data;
+        const [, ambiguous, sponsor] = await rowsOf(id);
+
+        const all = await world.as('treasurer').post(`/api/admin/bank-imports/${id}/confirm-matched`);
+        expect(all.body.data.confirmed).toBe(1);
+
+        expect((await world.as('treasurer').post(`/api/admin/bank-import-rows/${ambiguous.id}/confirm`).send({})).statusCode).toBe(400);
+        expect((await world.as('treasurer').post(`/api/admin/bank-import-rows/${ambiguous.id}/confirm`).send({ userId: bob })).statusCode).toBe(200);
+        expect((await world.as('treasurer').post(`/api/admin/bank-import-rows/${ambiguous.id}/confirm`).send({ userId: bob })).statusCode).toBe(409);
+        expect((await world.as('treasurer').post(`/api/admin/bank-import-rows/${sponsor.id}/ignore`)).statusCode).toBe(200);
+        expect((await world.as('treasurer').post(`/api/admin/bank-import-rows/${sponsor.id}/confirm`).send({ userId: bob })).statusCode).toBe(409);
+
+        const credit = await world.db.get('SELECT * FROM transactions WHERE user_id = ?', [alice]);
+        expect(credit).toMatchObject({
+            amount: 20, description: 'Bank transfer received 01/10/2026', category: 'payment',
+            counterpart: BankImport.COUNTERPART, reference: 'SOCIAL', created_by: world.data.users.treasurer
+        });
+        expect((await world.db.get('SELECT SUM(amount) AS total FROM transactions')).total).toBe(30);
+
+        const rows = await rowsOf(id);
+        expect(rows.map(r => r.status)).toEqual(['confirmed', 'confirmed', 'ignored']);
+        expect(rows[0].transaction_id).toBe(credit.id);
+
+        const notification = await world.db.get('SELECT * FROM notifications WHERE user_id = ?', [alice]);
+        expect(notification.title).toBe('A credit of £20.00 was added to your account');
+        const audit = await world.db.all("SELECT action, target_type FROM audit_log WHERE action LIKE 'bank_import.%' OR action = 'transaction.create' ORDER BY id");
+        expect(audit.map(a => a.action)).toEqual(['bank_import.create', 'transaction.create', 'transaction.create', 'bank_import.ignore']);
+
+        expect((await world.as('alice').get(`/api/admin/bank-imports/${id}`)).statusCode).toBe(403);
+        const list = await world.as('treasurer').get('/api/admin/bank-imports');
+        expect(list.body[0]).toMatchObject({ id, total: 3, pending: 0, confirmed: 2, ignored: 1 });
+    });
+
+    test('the same statement, or the same payments, cannot be imported twice', async () => {
+        const csv = 'Date,Name,Reference,Paid In\n01/10/2026,ALICE SMITH,SOCIAL,20\n01/10/2026,ALICE SMITH,SOCIAL,20\n';
+        expect((await upload(csv)).body.data.added).toBe(2);
+        expect((await upload(csv, 'treasurer', 'renamed.csv')).statusCode).toBe(409);
+
+        const overlapping = `${csv}02/10/2026,BOB JONES,KIT,5\n`;
+        const res = await upload(overlapping);
+        expect(res.body.data).toMatchObject({ added: 1, duplicates: 2 });
+
+        const again = 'Date,Name,Reference,Paid In\n02/10/2026,BOB JONES,KIT,5\n';
+        expect((await upload(again)).statusCode).toBe(409);
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM bank_imports')).n).toBe(2);
+    });
+
+    test('a deleted member\'s statement rows are kept, so their payments are not imported again', async () => {
+        const csv = 'Date,Name,Reference,Paid In\n01/10/2026,ALICE SMITH,SOCIAL,20\n';
+        const { id } = (await upload(csv)).body.data;
+        await world.as('treasurer').post(`/api/admin/bank-imports/${id}/confirm-matched`);
+
+        expect((await UserDB.removeUser(world.db, alice, false)).getStatus()).toBe(200);
+        expect((await rowsOf(id))[0]).toMatchObject({ status: 'confirmed', user_id: alice });
+
+        const overlapping = `${csv}02/10/2026,BOB JONES,KIT,5\n`;
+        expect((await upload(overlapping, 'treasurer', 'october.csv')).body.data).toMatchObject({ added: 1, duplicates: 1 });
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM transactions WHERE user_id = ?', [alice])).n).toBe(1);
+    });
+
+    test('invalid mappings and files are rejected', async () => {
+        const csv = 'Date,Name,Paid In\n01/10/2026,ALICE SMITH,20\n';
+        const badColumn = await world.as('treasurer').post('/api/admin/bank-imports')
+            .field('mapping', JSON.stringify({ date: 'Date', amount: 'Amount', payee: 'Name' }))
+            .attach('file', Buffer.from(csv), 'statement.csv');
+        expect(badColumn.statusCode).toBe(400);
+
+        const noPayee = await world.as('treasurer').post('/api/admin/bank-imports')
+            .field('mapping', JSON.stringify({ date: 'Date', amount: 'Paid In' }))
+            .attach('file', Buffer.from(csv), 'statement.csv');
+        expect(noPayee.statusCode).toBe(400);
+
+        expect((await world.as('treasurer').post('/api/admin/bank-imports').field('mapping', JSON.stringify(mapping))).statusCode).toBe(400);
+        expect((await upload('Date,Name,Reference,Paid In\n')).statusCode).toBe(400);
+    });
+
+    test('parses amounts and dates in the formats banks use', () => {
+        expect(BankImport.parseAmount('£1,234.50')).toBe(1234.5);
+        expect(BankImport.parseAmount('(12.00)')).toBe(-12);
+        expect(BankImport.parseAmount('12.00 DR')).toBe(-12);
+        expect(BankImport.parseAmount('abc')).toBeNull();
+        expect(BankImport.parseDate('03/10/2026')).toBe('2026-10-03');
+        expect(BankImport.parseDate('3-10-26')).toBe('2026-10-03');
+        expect(BankImport.parseDate('2026-10-03T00:00:00')).toBe('2026-10-03');
+        expect(BankImport.parseDate('31/02/2026')).toBeNull();
+        expect(BankImport.parseCsv('\uFEFFa,"b ""quoted"", c"\r\n\r\n1,2\n')).toEqual([['a', 'b "quoted", c'], ['1', '2']]);
+    });
+});
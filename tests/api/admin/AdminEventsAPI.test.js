@@ -9,6 +9,7 @@
 import TestWorld from '../../utils/TestWorld.js';
 import AdminEventsAPI from '../../../server/api/admin/AdminEventsAPI.js';
 import TagsAPI from '../../../server/api/TagsAPI.js';
+import UserDB from '../../../server/db/userDB.js';
 
 describe('api/admin/AdminEventsAPI', () => {
     let world;
@@ -254,6 +255,111 @@ describe('api/admin/AdminEventsAPI', () => {
             const refundTx = await world.db.get('SELECT * FROM transactions WHERE user_id = ? AND amount = 15', [memberId]);
             expect(refundTx).toBeDefined();
             expect(refundTx.description).toMatch(/refund/i);
+            expect(refundTx.category).toBe('refund');
+        });
+    });
+
+    describe('Recurring series', () => {
+        const seriesBody = () => {
+            const start = new Date(Date.now() + 7 * 86400000);
+            start.setHours(18, 0, 0, 0);
+            const until = new Date(start.getTime() + 14 * 86400000);
+            return {
+                title: 'Weekly Pool', start: start.toISOString(), end: new Date(start.getTime() + 3600000).toISOString(),
+                difficulty_level: 1, upfront_cost: 0, signup_required: true, max_attendees: 8,
+                recurrence: { frequency: 'weekly', until: until.toISOString() }
+            };
+        };
+
+        test('POST with a recurrence rule creates one event per occurrence', async () => {
+            const res = await world.as('admin').post('/api/admin/event').send(seriesBody());
+            expect(res.statusCode).toBe(200);
+            expect(res.body.data.events).toHaveLength(3);
+
+            const seriesRes = await world.as('admin').get(`/api/admin/event/${res.body.data.events[0]}/series`);
+            expect(seriesRes.statusCode).toBe(200);
+            expect(seriesRes.body.frequency).toBe('weekly');
+            expect(seriesRes.body.occurrences).toHaveLength(3);
+        });
+
+        test('PUT and cancel honour the requested scope', async () => {
+            const created = await world.as('admin').post('/api/admin/event').send(seriesBody());
+            const [first, second] = created.body.data.events;
+            const event = (await world.as('admin').get(`/api/admin/event/${second}/raw`)).body;
+
+            const putRes = await world.as('admin').put(`/api/admin/event/${second}`).send({ ...event, title: 'Renamed', scope: 'following' });
+            expect(putRes.statusCode).toBe(200);
+            const titles = await world.db.all('SELECT title FROM events ORDER BY start ASC');
+            expect(titles.map(t => t.title)).toEqual(['Weekly Pool', 'Renamed', 'Renamed']);
+
+            const cancelRes = await world.as('admin').post(`/api/admin/event/${first}/cancel`).send({ scope: 'all' });
+            expect(cancelRes.statusCode).toBe(200);
+            const active = await world.db.get('SELECT COUNT(*) as count FROM events WHERE is_canceled = 0');
+            expect(active.count).toBe(0);
+        });
+
+        test('Series lookup 404s for standalone events', async () => {
+            const eventId = await world.createEvent('Standalone');
+            const res = await world.as('admin').get(`/api/admin/event/${eventId}/series`);
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Emergency information sheet', () => {
+        beforeEach(async () => {
+            await world.createRole('TripLeader', ['event.manage.scoped', 'event.read.scoped', 'event.emergency.read']);
+            await world.createUser('leader', {}, ['TripLeader']);
+            await world.createTag('River');
+            await world.assignTag('user_managed', 'leader', 'River');
+
+            await world.createEvent('Trip', { title: 'River Trip' });
+            await world.assignTag('event', 'Trip', 'River');
+            await world.createEvent('Other');
+
+            await world.createUser('alice', { first_name: 'Alice', has_medical_conditions: 1, takes_medication: 0 });
+            await UserDB.writeElementsById(world.db, world.data.users['alice'], {
+                emergency_contact_name: 'Parent', emergency_contact_phone: '07123456789', medical_conditions_details: 'Asthma'
+            });
+            await world.createUser('bob', { first_name: 'Bob' });
+            await world.joinEvent('alice', 'Trip');
+            await world.joinEvent('bob', 'Trip');
+            await world.db.run('UPDATE event_attendees SET is_attending = 0 WHERE user_id = ?', [world.data.users['bob']]);
+        });
+
+        test('Trip leaders see current attendees\' contacts and medical details, and the access is audited', async () => {
+            const eventId = world.data.events['Trip'];
+            const res = await world.as('leader').get(`/api/admin/event/${eventId}/emergency`);
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['cache-control']).toBe('no-store');
+            expect(res.body.event).toMatchObject({ id: eventId, title: 'River Trip' });
+            expect(res.body.attendees).toEqual([expect.objectContaining({
+                first_name: 'Alice',
+                emergency_contact_name: 'Parent',
+                emergency_contact_phone: '07123456789',
+                has_medical_conditions: 1,
+                medical_conditions_details: 'Asthma'
+            })]);
+
+            const audit = await world.db.get("SELECT * FROM audit_log WHERE action = 'event.emergency.view'");
+            expect(audit).toMatchObject({ actor_id: world.data.users['leader'], target_type: 'event', target_id: String(eventId) });
+        });
+
+        test('The sheet can be downloaded as a PDF', async () => {
+            const eventId = world.data.events['Trip'];
+            const res = await world.as('leader').get(`/api/admin/event/${eventId}/emergency/pdf`).responseType('blob');
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toBe('application/pdf');
+            expect(res.headers['content-disposition']).toContain(`emergency-info-${eventId}.pdf`);
+            expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+
+            expect(await world.db.get("SELECT 1 FROM audit_log WHERE action = 'event.emergency.download'")).toBeDefined();
+        });
+
+        test('Requires both the emergency permission and management of the event', async () => {
+            expect((await world.as('leader').get(`/api/admin/event/${world.data.events['Other']}/emergency`)).statusCode).toBe(403);
+            expect((await world.as('admin').get(`/api/admin/event/${world.data.events['Trip']}/emergency`)).statusCode).toBe(403);
+            expect((await world.as('user').get(`/api/admin/event/${world.data.events['Trip']}/emergency/pdf`)).statusCode).toBe(403);
+            expect(await world.db.get("SELECT 1 FROM audit_log WHERE action LIKE 'event.emergency.%'")).toBeUndefined();
         });
     });
 });
@@ -0,0 +1,75 @@
+/**
+ * AdminRetentionAPI.test.js
+ *
+ * Functional tests for the data retention admin endpoints.
+ * Verifies that the President can review the dry-run report and apply it, that each purge is audited,
+ * and that everyone else is refused.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import AdminRetentionAPI from '../../../server/api/admin/AdminRetentionAPI.js';
+
+describe('api/admin/AdminRetentionAPI', () => {
+    let world;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        world.mockGlobalInt('RetentionHealthMonths', 12);
+        world.mockGlobalInt('RetentionDeletedAccountYears', 6);
+
+        await world.createRole('President', ['globals.manage']);
+        await world.createUser('president', {}, ['President']);
+        await world.createUser('user', {});
+        await world.createUser('lapsed', { legal_filled_at: '2020-01-01T10:00:00.000Z', medical_conditions_details: 'Asthma' });
+        await world.createUser('gone', { email: 'deleted:gone@test.com', filled_legal_info: 0, deleted_at: '2015-01-01 10:00:00' });
+
+        new AdminRetentionAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('The President can review the report and apply it', async () => {
+        const report = await world.as('president').get('/api/admin/retention');
+        expect(report.statusCode).toBe(200);
+        expect(report.body.health.users.map(u => u.id)).toEqual([world.data.users['lapsed']]);
+        expect(report.body.deletedAccounts.users.map(u => u.id)).toEqual([world.data.users['gone']]);
+
+        const applied = await world.as('president').post('/api/admin/retention/apply').send({
+            health: report.body.health.users.map(u => u.id),
+            deletedAccounts: report.body.deletedAccounts.users.map(u => u.id)
+        });
+        expect(applied.statusCode).toBe(200);
+        expect(applied.body).toMatchObject({ health: [world.data.users['lapsed']], deletedAccounts: [world.data.users['gone']] });
+
+        const lapsed = await world.db.get('SELECT medical_conditions_details FROM users WHERE id = ?', [world.data.users['lapsed']]);
+        expect(lapsed.medical_conditions_details).toBeNull();
+
+        const audit = await world.db.all("SELECT action, target_id FROM audit_log WHERE action LIKE 'user.retention.%' ORDER BY action");
+        expect(audit).toEqual([
+            { action: 'user.retention.delete', target_id: String(world.data.users['gone']) },
+            { action: 'user.retention.health', target_id: String(world.data.users['lapsed']) }
+        ]);
+    });
+
+    test('Nothing is purged unless it is approved', async () => {
+        const res = await world.as('president').post('/api/admin/retention/apply').send({});
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ health: [], deletedAccounts: [] });
+        expect(await world.db.get('SELECT id FROM users WHERE id = ?', [world.data.users['gone']])).toBeDefined();
+
+        const invalid = await world.as('president').post('/api/admin/retention/apply').send({ health: 'all' });
+        expect(invalid.statusCode).toBe(400);
+    });
+
+    test('Users other than the President are refused', async () => {
+        expect((await world.as('user').get('/api/admin/retention')).statusCode).toBe(403);
+        expect((await world.as('user').post('/api/admin/retention/apply').send({ health: [world.data.users['lapsed']] })).statusCode).toBe(403);
+        expect((await world.request.get('/api/admin/retention')).statusCode).toBe(401);
+
+        const lapsed = await world.db.get('SELECT medical_conditions_details FROM users WHERE id = ?', [world.data.users['lapsed']]);
+        expect(lapsed.medical_conditions_details).toBe('Asthma');
+    });
+});
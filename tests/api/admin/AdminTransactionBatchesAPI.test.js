@@ -0,0 +1,197 @@
+/**
+ * AdminTransactionBatchesAPI.test.js
+ *
+ * Functional tests for bulk charges and credits.
+ * Covers choosing members by event, tag whitelist, role, membership and user list filters, fixed and split
+ * amounts, applying a batch all at once with its audit entry and notifications, and reversing a batch as a whole,
+ * including entries corrected since it was applied.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import AdminTransactionBatchesAPI from '../../../server/api/admin/AdminTransactionBatchesAPI.js';
+import AdminTransactionsAPI from '../../../server/api/admin/AdminTransactionsAPI.js';
+import BulkTransactions from '../../../server/misc/BulkTransactions.js';
+
+describe('api/admin/AdminTransactionBatchesAPI', () => {
+    let world, alice, bob, carol, eventId;
+
+    const preview = (body, alias = 'treasurer') => world.as(alias).post('/api/admin/transaction-batches/preview').send(body);
+    const apply = (body, alias = 'treasurer') => world.as(alias).post('/api/admin/transaction-batches').send(body);
+    const balanceOf = async (userId) => (await world.db.get('SELECT COALESCE(SUM(amount), 0) AS b FROM transactions WHERE user_id = ?', [userId])).b;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        await world.createRole('Treasurer', ['transaction.read', 'transaction.write', 'transaction.manage']);
+        await world.createRole('Viewer', ['transaction.read']);
+        await world.createRole('Coach', []);
+        await world.createUser('treasurer', { last_name: 'Zed' }, ['Treasurer']);
+        await world.createUser('viewer', { last_name: 'Zed' }, ['Viewer']);
+        alice = await world.createUser('alice', { first_name: 'Alice', last_name: 'Adams', is_member: 1 });
+        bob = await world.createUser('bob', { first_name: 'Bob', last_name: 'Brown', is_member: 1 }, ['Coach']);
+        carol = await world.createUser('carol', { first_name: 'Carol', last_name: 'Clark' }, ['Coach']);
+
+        eventId = await world.createEvent('Trip');
+        await world.joinEvent('alice', 'Trip');
+        await world.joinEvent('bob', 'Trip');
+        await world.joinEvent('carol', 'Trip');
+
+        new AdminTransactionBatchesAPI(world.app, world.db).registerRoutes();
+        new AdminTransactionsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('members can be chosen by event, tag, role, membership or user list filters', async () => {
+        const tagId = await world.createTag('Pool');
+        await world.db.run('INSERT INTO tag_whitelists (tag_id, user_id) VALUES (?, ?)', [tagId, carol]);
+        await world.db.run('UPDATE event_attendees SET is_attending = 0 WHERE user_id = ?', [bob]);
+        await world.addTransaction('carol', -10);
+
+        const idsFor = async (selection) => {
+            const res = await preview({ selection, kind: 'charge', mode: 'fixed', amount: 5 });
+            expect(res.statusCode).toBe(200);
+            return res.body.users.map(u => u.id);
+        };
+
+        expect(await idsFor({ type: 'event', eventId })).toEqual([alice, carol]);
+        expect(await idsFor({ type: 'tag', tagId })).toEqual([carol]);
+        expect(await idsFor({ type: 'role', roleId: world.data.roles.Coach })).toEqual([bob, carol]);
+        expect(await idsFor({ type: 'members' })).toEqual([alice, bob]);
+        expect(await idsFor({ type: 'query', inDebt: 'true' })).toEqual([carol]);
+        expect(await idsFor({ type: 'query', search: 'Brown' })).toEqual([bob]);
+
+        await world.db.run('UPDATE users SET deleted_at = ? WHERE id = ?', [new Date().toISOString(), alice]);
+        expect(await idsFor({ type: 'event', eventId })).toEqual([carol]);
+
+        expect((await preview({ selection: { type: 'event' }, kind: 'charge', mode: 'fixed', amount: 5 })).statusCode).toBe(400);
+        expect((await preview({ selection: { type: 'everyone' }, kind: 'charge', mode: 'fixed', amount: 5 })).statusCode).toBe(400);
+        expect((await preview({ selection: { type: 'tag', tagId: 999 }, kind: 'charge', mode: 'fixed', amount: 5 })).body.message).toBe('No members match this selection');
+    });
+
+    test('a selection over the member limit is refused, even with members left out', async () => {
+        const limit = BulkTransactions.MAX_USERS;
+        BulkTransactions.MAX_USERS = 1;
+        try {
+            const query = await preview({ selection: { type: 'query', isMember: 'true' }, exclude: [bob], kind: 'charge', mode: 'fixed', amount: 5 });
+            expect(query.statusCode).toBe(400);
+            expect(query.body.message).toBe('A batch can include at most 1 members');
+            expect((await preview({ selection: { type: 'event', eventId }, exclude: [bob, carol], kind: 'charge', mode: 'fixed', amount: 5 })).statusCode).toBe(400);
+            expect((await preview({ selection: { type: 'query', search: 'Brown' }, kind: 'charge', mode: 'fixed', amount: 5 })).statusCode).toBe(200);
+        } finally {
+            BulkTransactions.MAX_USERS = limit;
+        }
+    });
+
+    test('a split divides the total equally to the penny, leaving out excluded members', async () => {
+        const res = await preview({ selection: { type: 'event', eventId }, kind: 'charge', mode: 'split', amount: 10 });
+        expect(res.body.users.map(u => u.amount)).toEqual([-3.34, -3.33, -3.33]);
+        expect(res.body.total).toBe(-10);
+
+        const excluded = await preview({ selection: { type: 'event', eventId }, exclude: [bob], kind: 'credit', mode: 'split', amount: 10 });
+        expect(excluded.body.users.map(u => [u.id, u.amount])).toEqual([[alice, 5], [carol, 5]]);
+
+        const fixed = await preview({ selection: { type: 'event', eventId }, kind: 'credit', mode: 'fixed', amount: 2.5 });
+        expect(fixed.body.total).toBe(7.5);
+
+        expect((await preview({ selection: { type: 'event', eventId }, kind: 'charge', mode: 'split', amount: 0.02 })).statusCode).toBe(400);
+        expect((await preview({ selection: { type: 'event', eventId }, kind: 'charge', mode: 'fixed', amount: -5 })).statusCode).toBe(400);
+        expect((await preview({ selection: { type: 'event', eventId }, kind: 'gift', mode: 'fixed', amount: 5 })).statusCode).toBe(400);
+        expect(BulkTransactions.splitAmounts(4, 'credit', 'split', 0.1)).toEqual([0.03, 0.03, 0.02, 0.02]);
+    });
+
+    test('applying a batch charges every member at once, audits it and notifies each member', async () => {
+        const res = await apply({
+            selection: { type: 'event', eventId }, kind: 'charge', mode: 'split', amount: 45,
+            description: 'Fuel for the trip', counterpart: 'Minibus hire'
+        });
+        expect(res.statusCode).toBe(200);
+        const batchId = res.body.data.id;
+
+        for (const id of [alice, bob, carol]) expect(await balanceOf(id)).toBe(-15);
+        const entries = await world.db.all('SELECT * FROM transactions WHERE batch_id = ?', [batchId]);
+        expect(entries).toHaveLength(3);
+        expect(entries[0]).toMatchObject({ description: 'Fuel for the trip', category: 'event', counterpart: 'Minibus hire', created_by: world.data.users.treasurer });
+
+        const audit = await world.db.get("SELECT * FROM audit_log WHERE action = 'transaction_batch.create'");
+        expect(audit).toMatchObject({ target_type: 'transaction_batch', target_id: String(batchId) });
+        const notifications = await world.db.all("SELECT title FROM notifications WHERE title = 'A charge of £15.00 was added to your account'");
+        expect(notifications).toHaveLength(3);
+
+        const list = await world.as('viewer').get('/api/admin/transaction-batches');
+        expect(list.body[0]).toMatchObject({ id: batchId, users: 3, total: -45, reversed_at: null });
+        const detail = await world.as('viewer').get(`/api/admin/transaction-batches/${batchId}`);
+        expect(detail.body.entries.map(e => e.user_id)).toEqual([alice, bob, carol]);
+        expect(detail.body.selection).toEqual({ type: 'event', eventId, exclude: [] });
+    });
+
+    test('a batch is applied all or nothing, and only by treasurers', async () => {
+        expect((await apply({ selection: { type: 'members' }, kind: 'charge', mode: 'fixed', amount: 5, description: 'x' }, 'viewer')).statusCode).toBe(403);
+        expect((await preview({ selection: { type: 'members' }, kind: 'charge', mode: 'fixed', amount: 5 }, 'alice')).statusCode).toBe(403);
+
+        expect((await apply({ selection: { type: 'members' }, kind: 'charge', mode: 'fixed', amount: 5, description: '' })).statusCode).toBe(400);
+        expect((await apply({ selection: { type: 'members' }, kind: 'charge', mode: 'fixed', amount: 5, description: 'x', category: 'bribes' })).statusCode).toBe(400);
+
+        // A failure part way through leaves nothing behind
+        await world.db.run(`CREATE TRIGGER refuse_bob BEFORE INSERT ON transactions WHEN NEW.user_id = ${bob}
+            BEGIN SELECT RAISE(ABORT, 'refused'); END`);
+        const failed = await apply({ selection: { type: 'members' }, kind: 'charge', mode: 'fixed', amount: 5, description: 'Kit' });
+        expect(failed.statusCode).toBe(500);
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM transactions')).n).toBe(0);
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM transaction_batches')).n).toBe(0);
+    });
+
+    test('a batch can be reversed as a whole, once, skipping entries already reversed', async () => {
+        const res = await apply({ selection: { type: 'members' }, kind: 'credit', mode: 'fixed', amount: 8, description: 'Pool booking refund' });
+        const batchId = res.body.data.id;
+        expect((await world.db.get('SELECT category FROM transactions WHERE batch_id = ?', [batchId])).category).toBe('refund');
+
+        const aliceEntry = res.body.data.entries.find(e => e.user_id === alice).id;
+        await world.as('treasurer').delete(`/api/admin/transaction/${aliceEntry}`).send({ reason: 'Paid twice' });
+
+        expect((await world.as('viewer').delete(`/api/admin/transaction-batches/${batchId}`).send({ reason: 'Wrong group' })).statusCode).toBe(403);
+        expect((await world.as('treasurer').delete(`/api/admin/transaction-batches/${batchId}`).send({})).statusCode).toBe(400);
+
+        const reversed = await world.as('treasurer').delete(`/api/admin/transaction-batches/${batchId}`).send({ reason: 'Wrong group' });
+        expect(reversed.statusCode).toBe(200);
+        expect(reversed.body.data.map(e => e.user_id)).toEqual([bob]);
+        expect(await balanceOf(alice)).toBe(0);
+        expect(await balanceOf(bob)).toBe(0);
+
+        const again = await world.as('treasurer').delete(`/api/admin/transaction-batches/${batchId}`).send({ reason: 'Again' });
+        expect(again.statusCode).toBe(409);
+        expect((await world.as('treasurer').delete('/api/admin/transaction-batches/999').send({ reason: 'Missing' })).statusCode).toBe(404);
+
+        const detail = await world.as('treasurer').get(`/api/admin/transaction-batches/${batchId}`);
+        expect(detail.body).toMatchObject({ reverse_reason: 'Wrong group', reversed_by: world.data.users.treasurer });
+        expect(detail.body.entries.every(e => e.reversed_by_id)).toBe(true);
+        expect(await world.db.get("SELECT * FROM audit_log WHERE action = 'transaction_batch.reverse'")).toBeTruthy();
+        await expect(world.db.run('UPDATE transactions SET batch_id = NULL WHERE batch_id = ?', [batchId])).rejects.toThrow(/reverse them instead/);
+    });
+
+    test('reversing a batch reverses the replacements of corrected entries', async () => {
+        const res = await apply({ selection: { type: 'members' }, kind: 'charge', mode: 'fixed', amount: 10, description: 'Pool fees' });
+        const batchId = res.body.data.id;
+        const bobEntry = res.body.data.entries.find(e => e.user_id === bob).id;
+
+        const corrected = await world.as('treasurer').put(`/api/admin/transaction/${bobEntry}`).send({ amount: -6, description: 'Pool fees (half term)', reason: 'Only came once' });
+        const { replacement_id: replacementId } = corrected.body.data;
+        expect(await balanceOf(bob)).toBe(-6);
+
+        const list = await world.as('treasurer').get('/api/admin/transaction-batches');
+        expect(list.body[0]).toMatchObject({ users: 2, total: -20 });
+        const detail = await world.as('treasurer').get(`/api/admin/transaction-batches/${batchId}`);
+        expect(detail.body.entries.find(e => e.id === replacementId)).toMatchObject({ user_id: bob, amount: -6, replaces_id: bobEntry, reversed_by_id: null });
+
+        const reversed = await world.as('treasurer').delete(`/api/admin/transaction-batches/${batchId}`).send({ reason: 'Pool closed' });
+        expect(reversed.statusCode).toBe(200);
+        expect(reversed.body.data.map(e => e.id).sort()).toEqual([res.body.data.entries.find(e => e.user_id === alice).id, replacementId].sort());
+        expect(await balanceOf(alice)).toBe(0);
+        expect(await balanceOf(bob)).toBe(0);
+        expect(await world.db.get("SELECT title FROM notifications WHERE user_id = ? AND title LIKE '%reversed%'", [bob]))
+            .toEqual({ title: '"Pool fees (half term)" was reversed on your account' });
+    });
+});
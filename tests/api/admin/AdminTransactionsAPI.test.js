@@ -2,7 +2,8 @@
  * AdminTransactionsAPI.test.js
  * 
  * Functional tests for the Admin Transaction Management API.
- * Verifies that administrators can view and manually adjust user balances.
+ * Verifies that administrators can view and manually adjust user balances, correct and reverse entries
+ * without rewriting history, tag entries for the ledger and view the ledger report.
  */
 
 import TestWorld from '../../utils/TestWorld.js';
@@ -45,14 +46,17 @@ describe('api/admin/AdminTransactionsAPI', () => {
             expect(res2.body).toHaveLength(1);
             const txId = res2.body[0].id;
 
-            // Edit existing transaction
+            // Correct the transaction, which needs a reason
+            const noReason = await world.as('admin').put(`/api/admin/transaction/${txId}`).send({ amount: 100, description: 'Corrected adjustment' });
+            expect(noReason.statusCode).toBe(400);
             const res3 = await world.as('admin').put(`/api/admin/transaction/${txId}`).send({
-                amount: 100, description: 'Corrected adjustment'
+                amount: 100, description: 'Corrected adjustment', reason: 'Typo in amount'
             });
             expect(res3.statusCode).toBe(200);
+            const { replacement_id: replacementId } = res3.body.data;
 
-            // Delete the transaction
-            const res4 = await world.as('admin').delete(`/api/admin/transaction/${txId}`);
+            // Reverse the replacement
+            const res4 = await world.as('admin').delete(`/api/admin/transaction/${replacementId}`).send({ reason: 'Entered on the wrong account' });
             expect(res4.statusCode).toBe(200);
 
             // Final balance verification
@@ -60,6 +64,142 @@ describe('api/admin/AdminTransactionsAPI', () => {
             expect(balance.b).toBe(0);
         });
 
+        test('Corrections and reversals append linked entries instead of rewriting history', async () => {
+            const userId = world.data.users['user'];
+            const adminId = world.data.users['admin'];
+            const created = await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: -20, description: 'Kit hire', category: 'kit' });
+            const originalId = created.body.data;
+
+            const corrected = await world.as('admin').put(`/api/admin/transaction/${originalId}`).send({ amount: -15, description: 'Kit hire', reason: 'Discounted' });
+            const { reversal_id: reversalId, replacement_id: replacementId } = corrected.body.data;
+
+            const history = (await world.as('admin').get(`/api/admin/user/${userId}/transactions`)).body;
+            expect(history.map(tx => tx.id)).toEqual([replacementId, reversalId, originalId]);
+            expect(history.find(tx => tx.id === originalId)).toMatchObject({ amount: -20, description: 'Kit hire', reversed_by_id: reversalId, created_by: adminId });
+            expect(history.find(tx => tx.id === reversalId)).toMatchObject({ amount: 20, category: 'kit', reverses_id: originalId, reason: 'Discounted', created_by_first_name: 'admin' });
+            expect(history.find(tx => tx.id === replacementId)).toMatchObject({ amount: -15, category: 'kit', replaces_id: originalId, reason: 'Discounted' });
+            expect(history[0].after).toBe(-15);
+
+            // Neither the original nor its reversal can be changed again
+            expect((await world.as('admin').put(`/api/admin/transaction/${originalId}`).send({ amount: -1, description: 'x', reason: 'Again' })).statusCode).toBe(409);
+            expect((await world.as('admin').delete(`/api/admin/transaction/${reversalId}`).send({ reason: 'Undo' })).statusCode).toBe(400);
+            expect((await world.as('admin').delete(`/api/admin/transaction/999`).send({ reason: 'Missing' })).statusCode).toBe(404);
+
+            // The database refuses to rewrite a recorded entry
+            await expect(world.db.run('UPDATE transactions SET amount = 0 WHERE id = ?', [originalId])).rejects.toThrow(/reverse them instead/);
+
+            const notification = await world.db.get("SELECT * FROM notifications WHERE user_id = ? AND title LIKE '%corrected%'", [userId]);
+            expect(notification).toMatchObject({ title: '"Kit hire" was corrected on your account', body: 'Discounted' });
+        });
+
+        test('A correction needs a numeric amount and a description, and is recorded all or nothing', async () => {
+            const userId = world.data.users['user'];
+            const created = await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: -20, description: 'Kit hire' });
+            const originalId = created.body.data;
+            const count = async () => (await world.db.get('SELECT COUNT(*) AS n FROM transactions')).n;
+
+            for (const amount of [undefined, null, '', 'ten', 'Infinity', true, [5]]) {
+                const res = await world.as('admin').put(`/api/admin/transaction/${originalId}`).send({ amount, description: 'Kit hire', reason: 'Discounted' });
+                expect(res.statusCode).toBe(400);
+            }
+            for (const description of [undefined, '', '   ', 'x'.repeat(101)]) {
+                const res = await world.as('admin').put(`/api/admin/transaction/${originalId}`).send({ amount: -15, description, reason: 'Discounted' });
+                expect(res.statusCode).toBe(400);
+            }
+            expect(await count()).toBe(1);
+
+            // A failure adding the replacement leaves no reversal behind
+            await world.db.run(`CREATE TRIGGER refuse_replacement BEFORE INSERT ON transactions WHEN NEW.replaces_id IS NOT NULL
+                BEGIN SELECT RAISE(ABORT, 'refused'); END`);
+            const failed = await world.as('admin').put(`/api/admin/transaction/${originalId}`).send({ amount: '-15', description: 'Kit hire', reason: 'Discounted' });
+            expect(failed.statusCode).toBe(500);
+            expect(await count()).toBe(1);
+
+            await world.db.run('DROP TRIGGER refuse_replacement');
+            const corrected = await world.as('admin').put(`/api/admin/transaction/${originalId}`).send({ amount: '-15', description: ' Kit hire ', reason: 'Discounted' });
+            expect(corrected.statusCode).toBe(200);
+            expect(await world.db.get('SELECT amount, description FROM transactions WHERE id = ?', [corrected.body.data.replacement_id])).toEqual({ amount: -15, description: 'Kit hire' });
+        });
+
+        test('Adding a transaction notifies the account holder', async () => {
+            const userId = world.data.users['user'];
+            await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: -12.5, description: 'Kit hire' });
+
+            const notification = await world.db.get('SELECT * FROM notifications WHERE user_id = ?', [userId]);
+            expect(notification).toMatchObject({
+                category: 'transaction',
+                title: 'A charge of £12.50 was added to your account',
+                body: 'Kit hire',
+                link: '/transactions'
+            });
+        });
+
+        test('Manual entries are tagged with a category, counterpart and reference', async () => {
+            const userId = world.data.users['user'];
+
+            const bad = await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: 5, description: 'x', category: 'beer' });
+            expect(bad.statusCode).toBe(400);
+
+            await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({ amount: -3, description: 'Correction' });
+            await world.as('admin').post(`/api/admin/user/${userId}/transaction`).send({
+                amount: 30, description: 'Paid in', category: 'payment', counterpart: 'Club current account', reference: 'REF123'
+            });
+            const [paid, correction] = (await world.as('admin').get(`/api/admin/user/${userId}/transactions`)).body;
+            expect(correction.category).toBe('adjustment');
+            expect(paid).toMatchObject({ category: 'payment', counterpart: 'Club current account', reference: 'REF123' });
+
+            // Correcting without ledger details keeps them
+            const first = await world.as('admin').put(`/api/admin/transaction/${paid.id}`).send({ amount: 35, description: 'Paid in', reason: 'Amount' });
+            const edited = await world.db.get('SELECT * FROM transactions WHERE id = ?', [first.body.data.replacement_id]);
+            expect(edited).toMatchObject({ amount: 35, category: 'payment', reference: 'REF123' });
+
+            const second = await world.as('admin').put(`/api/admin/transaction/${edited.id}`).send({ amount: 35, description: 'Paid in', category: 'kit', reference: '', reason: 'Category' });
+            expect(await world.db.get('SELECT category, reference FROM transactions WHERE id = ?', [second.body.data.replacement_id])).toEqual({ category: 'kit', reference: null });
+        });
+
+        test('Ledger report summarises the date range and needs a transaction permission', async () => {
+            const userId = world.data.users['user'];
+            await world.db.run("INSERT INTO transactions (user_id, amount, description, category, created_at) VALUES (?, -20, 'Fee', 'membership', '2025-10-02T12:00:00.000Z')", [userId]);
+            await world.db.run("INSERT INTO transactions (user_id, amount, description, category, created_at) VALUES (?, 5, 'Refund', 'refund', '2025-12-02T12:00:00.000Z')", [userId]);
+
+            const res = await world.as('admin').get('/api/admin/reports/ledger?start=2025-10-01&end=2025-10-31');
+            expect(res.statusCode).toBe(200);
+            expect(res.body.totals).toMatchObject({ count: 1, charges: 20, refunds: 0 });
+            expect(res.body.categories.find(c => c.category === 'membership').net).toBe(20);
+
+            expect((await world.as('admin').get('/api/admin/reports/ledger?start=nonsense')).statusCode).toBe(400);
+            expect((await world.as('user').get('/api/admin/reports/ledger')).statusCode).toBe(403);
+        });
+
+        test('Ledger report counts payments as receipts, apart from charges, refunds and net income', async () => {
+            const userId = world.data.users['user'];
+            const add = (amount, category, createdAt) => world.db.run(
+                'INSERT INTO transactions (user_id, amount, description, category, created_at) VALUES (?, ?, ?, ?, ?)',
+                [userId, amount, category, category, createdAt]
+            );
+            await add(-20, 'membership', '2025-10-02T12:00:00.000Z');
+            await add(5, 'refund', '2025-10-03T12:00:00.000Z');
+            await add(30, 'payment', '2025-10-04T12:00:00.000Z');
+            await add(12, 'payment', '2025-11-05T12:00:00.000Z');
+            await add(-12, 'payment', '2025-11-06T12:00:00.000Z');
+
+            const res = await world.as('admin').get('/api/admin/reports/ledger?start=2025-10-01&end=2025-11-30');
+            expect(res.body.totals).toEqual({ count: 5, charges: 20, credits: 5, receipts: 30, refunds: 5, net: 15 });
+            expect(res.body.categories.find(c => c.category === 'payment')).toEqual({ category: 'payment', count: 3, charges: 0, credits: 0, receipts: 30, net: 0 });
+            expect(res.body.months.map(m => [m.month, m.receipts, m.net])).toEqual([['2025-10', 30, 15], ['2025-11', 0, 0]]);
+        });
+
+        test('Only exec who can manage transactions may correct them', async () => {
+            await world.createRole('Clerk', ['transaction.read', 'transaction.write']);
+            await world.createUser('clerk', {}, ['Clerk']);
+            const userId = world.data.users['user'];
+
+            const created = await world.as('clerk').post(`/api/admin/user/${userId}/transaction`).send({ amount: -20, description: 'Kit hire' });
+            expect(created.statusCode).toBe(200);
+            const res = await world.as('clerk').put(`/api/admin/transaction/${created.body.data}`).send({ amount: -15, description: 'Kit hire', reason: 'Discounted' });
+            expect(res.statusCode).toBe(403);
+        });
+
         test('Transaction endpoints are forbidden for standard users', async () => {
             const res = await world.as('user').get(`/api/admin/user/${world.data.users['admin']}/transactions`);
             expect(res.statusCode).toBe(403);
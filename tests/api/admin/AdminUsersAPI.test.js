@@ -84,6 +84,26 @@ describe('api/admin/AdminUsersAPI', () => {
         });
     });
 
+    describe('GET /api/admin/user/:id/export (Subject Access Requests)', () => {
+        test('User managers can export a user\'s data, and the export is audited', async () => {
+            new AdminUsersAPI(world.app, world.db).registerRoutes();
+            const userId = world.data.users['user'];
+
+            const res = await world.as('admin').get(`/api/admin/user/${userId}/export`);
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-disposition']).toMatch(new RegExp(`ducc-data-export-${userId}-`));
+
+            const audit = await world.db.get("SELECT * FROM audit_log WHERE action = 'user.export'");
+            expect(audit).toMatchObject({ actor_id: world.data.users['admin'], target_type: 'user', target_id: String(userId) });
+        });
+
+        test('Other execs are refused and unknown users return 404', async () => {
+            new AdminUsersAPI(world.app, world.db).registerRoutes();
+            expect((await world.as('exec').get(`/api/admin/user/${world.data.users['user']}/export`)).statusCode).toBe(403);
+            expect((await world.as('admin').get('/api/admin/user/9999/export')).statusCode).toBe(404);
+        });
+    });
+
     describe('President Role Transfer (High-Security Operation)', () => {
         /**
          * Transferring the President role is a sensitive action that requires password confirmation from the current admin.
@@ -130,9 +150,9 @@ describe('api/admin/AdminUsersAPI', () => {
         /**
          * President transfer has system-wide side effects:
          * Wipes all existing role assignments and direct permissions (clean slate for new Captain).
-         * Scrubs PII for users who didn't opt-in to long-term data storage.
+         * Health data is left to the retention policy rather than wiped on handover.
          */
-        test('Side-effects of President transfer: wipes permissions and scrubs PII', async () => {
+        test('Side-effects of President transfer: wipes permissions but leaves health data', async () => {
             const password = 'password';
             const hashed = await bcrypt.hash(password, 10);
             await world.db.run('UPDATE users SET hashed_password = ? WHERE id = ?', [hashed, world.data.users['admin']]);
@@ -188,10 +208,10 @@ describe('api/admin/AdminUsersAPI', () => {
             const directPermsCount = await world.db.get('SELECT COUNT(*) as c FROM user_permissions');
             expect(directPermsCount.c).toBe(0);
 
-            // GDPR scrubbing performed on User A
+            // Health data is untouched, whatever the user agreed to
             const scrubbed = await world.db.get('SELECT home_address, filled_legal_info FROM users WHERE id = ?', [scrubbedId]);
-            expect(scrubbed.home_address).toBeNull();
-            expect(scrubbed.filled_legal_info).toBe(0);
+            expect(scrubbed.home_address).toBe('Secret Location');
+            expect(scrubbed.filled_legal_info).toBe(1);
 
             // Data preserved for User B
             const kept = await world.db.get('SELECT home_address, filled_legal_info FROM users WHERE id = ?', [keptId]);
@@ -262,6 +282,10 @@ describe('api/admin/AdminUsersAPI', () => {
             });
 
             expect(res.statusCode).toBe(200);
+
+            // The target is told about their new role
+            const notification = await world.db.get("SELECT * FROM notifications WHERE user_id = ? AND category = 'role'", [targetId]);
+            expect(notification.title).toBe('You have been given the SubRole role');
         });
     });
 
@@ -2,13 +2,15 @@
  * AttendanceAPI.test.js
  * 
  * Functional tests for the Event Attendance API.
- * Covers joining/leaving events, coach requirements, payment logic, and automatic waitlist promotion.
+ * Covers joining/leaving events, coach requirements, payment logic, waitlist offers when a spot opens,
+ * and live updates pushed to event stream subscribers.
  */
 
 import TestWorld from '../../utils/TestWorld.js';
 import AttendanceAPI from '../../../server/api/events/AttendanceAPI.js';
 import EventsAPI from '../../../server/api/events/EventsAPI.js';
 import WaitlistAPI from '../../../server/api/events/WaitlistAPI.js';
+import EventStream from '../../../server/misc/EventStream.js';
 
 describe('api/events/AttendanceAPI', () => {
     let world;
@@ -28,6 +30,8 @@ describe('api/events/AttendanceAPI', () => {
     });
 
     afterEach(async () => {
+        EventStream.clients.clear();
+        EventStream._stopHeartbeat();
         await world.tearDown();
     });
 
@@ -268,6 +272,8 @@ describe('api/events/AttendanceAPI', () => {
             // Verification: negative transaction recorded
             const balance = await world.db.get('SELECT SUM(amount) as b FROM transactions WHERE user_id = ?', [world.data.users['user']]);
             expect(balance.b).toBe(-15.0);
+            const charge = await world.db.get('SELECT category FROM transactions WHERE user_id = ?', [world.data.users['user']]);
+            expect(charge.category).toBe('event');
         });
 
         it('should handle refunds and re-joins correctly', async () => {
@@ -323,6 +329,8 @@ describe('api/events/AttendanceAPI', () => {
             // User A should now be at 0 (refunded automatically)
             balanceA = await world.db.get('SELECT COALESCE(SUM(amount), 0) as b FROM transactions WHERE user_id = ?', [userIdA]);
             expect(balanceA.b).toBe(0); 
+            const refund = await world.db.get('SELECT category FROM transactions WHERE user_id = ? AND amount > 0', [userIdA]);
+            expect(refund.category).toBe('refund');
 
             // User A joins again (now they must pay again as their previous slot was transferred)
             const res = await world.as('user').post(`/api/event/${eventId}/attend`);
@@ -360,6 +368,8 @@ describe('api/events/AttendanceAPI', () => {
 
             const balance = await world.db.get('SELECT COALESCE(SUM(amount), 0) as b FROM transactions WHERE user_id = ?', [userId]);
             expect(balance.b).toBe(0); 
+            const reversal = await world.db.get('SELECT * FROM transactions WHERE reverses_id = ?', [tx.id]);
+            expect(reversal).toMatchObject({ amount: 10, reason: 'Left before the refund cutoff', created_by: null });
         });
 
         test('Success: monetary refund when leaving BEFORE cutoff', async () => {
@@ -415,9 +425,9 @@ describe('api/events/AttendanceAPI', () => {
         });
 
         /**
-         * Waitlist promotion logic: if someone leaves a full event, the next person in line should join.
+         * Waitlist promotion logic: if someone leaves a full event, the next person in line is offered the spot.
          */
-        test('Waitlist: automatically promotes and charges the next user when a spot opens', async () => {
+        test('Waitlist: offers the spot to the next user without joining or charging them', async () => {
             await world.createEvent('FullPaidEvent', { max_attendees: 1, upfront_cost: 15.0 });
             const eventId = world.data.events['FullPaidEvent'];
             
@@ -434,18 +444,20 @@ describe('api/events/AttendanceAPI', () => {
             const res = await world.as('attendee').post(`/api/event/${eventId}/leave`);
             expect(res.statusCode).toBe(200);
 
-            // Verification 1: Waitlist user is now an attendee
-            const attendeeRecord = await world.db.get('SELECT payment_transaction_id FROM event_attendees WHERE event_id = ? AND user_id = ? AND is_attending = 1', [eventId, waitUserId]);
-            expect(attendeeRecord).toBeDefined();
-            expect(attendeeRecord.payment_transaction_id).not.toBeNull();
+            // Verification 1: Waitlist user holds a pending offer
+            const offer = await world.db.get('SELECT status, expires_at FROM waitlist_offers WHERE event_id = ? AND user_id = ?', [eventId, waitUserId]);
+            expect(offer.status).toBe('pending');
+            expect(new Date(offer.expires_at).getTime()).toBeGreaterThan(Date.now());
 
-            // Verification 2: Waitlist user is removed from waiting list
+            // Verification 2: They are still on the waitlist and not yet attending
             const onWaitlist = await world.db.get('SELECT 1 FROM event_waiting_list WHERE event_id = ? AND user_id = ?', [eventId, waitUserId]);
-            expect(onWaitlist).toBeUndefined();
+            expect(onWaitlist).toBeDefined();
+            const attendeeRecord = await world.db.get('SELECT 1 FROM event_attendees WHERE event_id = ? AND user_id = ? AND is_attending = 1', [eventId, waitUserId]);
+            expect(attendeeRecord).toBeUndefined();
 
-            // Verification 3: Waitlist user was automatically charged
+            // Verification 3: Nothing has been charged yet
             const balance = await world.db.get('SELECT COALESCE(SUM(amount), 0) as b FROM transactions WHERE user_id = ?', [waitUserId]);
-            expect(balance.b).toBe(-15.0);
+            expect(balance.b).toBe(0);
         });
     });
 
@@ -477,4 +489,36 @@ describe('api/events/AttendanceAPI', () => {
             expect(res.body.attendees[0]).toHaveProperty('is_attending');
         });
     });
+
+    describe('Live updates', () => {
+        /**
+         * Subscribe a recording client to an event's stream and return its pushed updates.
+         */
+        const watch = async (eventId) => {
+            const res = { chunks: [], writeHead() {}, write(chunk) { this.chunks.push(chunk); } };
+            await EventStream.subscribe(world.db, { on() {} }, res, [eventId]);
+            return () => res.chunks.filter(c => c.startsWith('event: update')).map(c => JSON.parse(c.split('data: ')[1]));
+        };
+
+        test('Joining pushes the new attendee count to subscribers', async () => {
+            const eventId = await world.createEvent('LiveEvent');
+            await world.createUser('coach', { is_instructor: 1 });
+            await world.joinEvent('coach', 'LiveEvent');
+            const updates = await watch(eventId);
+
+            await world.as('user').post(`/api/event/${eventId}/attend`);
+            expect(updates().at(-1)).toMatchObject({ id: eventId, attendee_count: 2, coach_count: 1 });
+        });
+
+        test('The last coach leaving pushes the cancellation', async () => {
+            const eventId = await world.createEvent('LiveCoachEvent');
+            await world.createUser('coach', { is_instructor: 1 });
+            await world.joinEvent('coach', 'LiveCoachEvent');
+            await world.joinEvent('user', 'LiveCoachEvent');
+            const updates = await watch(eventId);
+
+            await world.as('coach').post(`/api/event/${eventId}/leave`);
+            expect(updates().at(-1)).toMatchObject({ id: eventId, attendee_count: 1, coach_count: 0, is_canceled: true });
+        });
+    });
 });
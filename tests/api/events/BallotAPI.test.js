@@ -0,0 +1,129 @@
+/**
+ * BallotAPI.test.js
+ *
+ * Functional tests for ballot entry and the exec draw controls.
+ * Verifies entering and withdrawing before the deadline, that direct signups are closed
+ * until the draw, and who may view and run the draw.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import BallotAPI from '../../../server/api/events/BallotAPI.js';
+import AttendanceAPI from '../../../server/api/events/AttendanceAPI.js';
+import WaitlistAPI from '../../../server/api/events/WaitlistAPI.js';
+
+describe('api/events/BallotAPI', () => {
+    let world;
+    let tripId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        await world.createRole('Exec', ['event.manage.all']);
+        await world.createUser('exec', {}, ['Exec']);
+        await world.createUser('member', { is_member: 1 });
+        await world.createUser('coach', { is_instructor: 1 });
+
+        tripId = await world.createEvent('Trip', {
+            max_attendees: 1,
+            signup_required: 1,
+            ballot_closes_at: new Date(Date.now() + 3600000).toISOString()
+        });
+
+        new BallotAPI(world.app, world.db).registerRoutes();
+        new AttendanceAPI(world.app, world.db).registerRoutes();
+        new WaitlistAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    const closeBallot = () => world.db.run('UPDATE events SET ballot_closes_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), tripId]);
+
+    describe('Entering', () => {
+        test('Success: user enters and sees their entry', async () => {
+            const res = await world.as('member').post(`/api/event/${tripId}/ballot/enter`);
+            expect(res.statusCode).toBe(200);
+
+            const status = await world.as('member').get(`/api/event/${tripId}/ballot`);
+            expect(status.body.entries).toBe(1);
+            expect(status.body.entry).not.toBeNull();
+            expect(status.body.drawn_at).toBeNull();
+        });
+
+        test('Blocked: entering twice', async () => {
+            await world.as('member').post(`/api/event/${tripId}/ballot/enter`);
+            const res = await world.as('member').post(`/api/event/${tripId}/ballot/enter`);
+            expect(res.statusCode).toBe(409);
+        });
+
+        test('Blocked: legal info must be complete', async () => {
+            await world.createUser('incomplete', { filled_legal_info: 0 });
+            const res = await world.as('incomplete').post(`/api/event/${tripId}/ballot/enter`);
+            expect(res.statusCode).toBe(403);
+            expect(res.body.message).toMatch(/legal/i);
+        });
+
+        test('Blocked: entering or withdrawing after the ballot closes', async () => {
+            await world.as('member').post(`/api/event/${tripId}/ballot/enter`);
+            await closeBallot();
+
+            await world.createUser('late', { is_member: 1 });
+            const enter = await world.as('late').post(`/api/event/${tripId}/ballot/enter`);
+            expect(enter.statusCode).toBe(400);
+            expect(enter.body.message).toMatch(/closed/i);
+
+            const withdraw = await world.as('member').post(`/api/event/${tripId}/ballot/withdraw`);
+            expect(withdraw.statusCode).toBe(400);
+        });
+
+        test('Success: withdrawing removes the entry', async () => {
+            await world.as('member').post(`/api/event/${tripId}/ballot/enter`);
+            const res = await world.as('member').post(`/api/event/${tripId}/ballot/withdraw`);
+            expect(res.statusCode).toBe(200);
+
+            const status = await world.as('member').get(`/api/event/${tripId}/ballot`);
+            expect(status.body.entries).toBe(0);
+            expect(status.body.entry).toBeNull();
+        });
+
+        test('Blocked: direct signups and the waitlist are closed until the draw', async () => {
+            await world.joinEvent('coach', 'Trip');
+
+            const attend = await world.as('member').post(`/api/event/${tripId}/attend`);
+            expect(attend.statusCode).toBe(403);
+            expect(attend.body.message).toMatch(/ballot/i);
+
+            const waitlist = await world.as('member').post(`/api/event/${tripId}/waitlist/join`);
+            expect(waitlist.statusCode).toBe(403);
+        });
+    });
+
+    describe('Drawing', () => {
+        test('Success: exec draws a closed ballot with a chosen seed and sees the results', async () => {
+            await world.as('member').post(`/api/event/${tripId}/ballot/enter`);
+            await closeBallot();
+
+            const draw = await world.as('exec').post(`/api/admin/event/${tripId}/ballot/draw`).send({ seed: 'trip-2025' });
+            expect(draw.statusCode).toBe(200);
+            expect(draw.body.data).toMatchObject({ seed: 'trip-2025', won: 1 });
+
+            const ballot = await world.as('exec').get(`/api/admin/event/${tripId}/ballot`);
+            expect(ballot.body.seed).toBe('trip-2025');
+            expect(ballot.body.entries[0]).toMatchObject({ user_id: world.data.users['member'], draw_position: 1, result: 'won' });
+        });
+
+        test('Blocked: drawing before the ballot closes', async () => {
+            const res = await world.as('exec').post(`/api/admin/event/${tripId}/ballot/draw`);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toMatch(/not closed/i);
+        });
+
+        test('Blocked: members cannot view or run the draw', async () => {
+            await closeBallot();
+            expect((await world.as('member').get(`/api/admin/event/${tripId}/ballot`)).statusCode).toBe(403);
+            expect((await world.as('member').post(`/api/admin/event/${tripId}/ballot/draw`)).statusCode).toBe(403);
+        });
+    });
+});
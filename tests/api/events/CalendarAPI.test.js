@@ -0,0 +1,120 @@
+/**
+ * CalendarAPI.test.js
+ *
+ * Functional tests for iCalendar subscription feeds.
+ * Verifies guest visibility on the public and tag feeds, and token-based access to personal feeds.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import CalendarAPI from '../../../server/api/events/CalendarAPI.js';
+
+describe('api/events/CalendarAPI', () => {
+    let world;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        world.mockGlobalInt('Unauthorized_max_difficulty', 1);
+
+        new CalendarAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    const getFeed = (url) => world.request.get(url).buffer(true).parse((res, cb) => {
+        let data = '';
+        res.on('data', chunk => data += chunk);
+        res.on('end', () => cb(null, data));
+    });
+
+    describe('GET /api/calendar/events.ics', () => {
+        test('Serves guest-visible events as text/calendar', async () => {
+            await world.createEvent('EasyEvent', { difficulty_level: 1 });
+            await world.createEvent('HardEvent', { difficulty_level: 5 });
+
+            const res = await getFeed('/api/calendar/events.ics');
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-type']).toContain('text/calendar');
+            expect(res.body).toContain('SUMMARY:EasyEvent');
+            expect(res.body).not.toContain('SUMMARY:HardEvent');
+        });
+
+        test('Canceled events are emitted with STATUS:CANCELLED', async () => {
+            await world.createEvent('Canceled', { is_canceled: 1 });
+
+            const res = await getFeed('/api/calendar/events.ics');
+            expect(res.body).toContain('STATUS:CANCELLED');
+        });
+
+        test('Whitelisted tags hide events from the public feed', async () => {
+            await world.createEvent('Secret');
+            await world.createTag('private', { view_policy: 'whitelist' });
+            await world.assignTag('event', 'Secret', 'private');
+
+            const res = await getFeed('/api/calendar/events.ics');
+            expect(res.body).not.toContain('SUMMARY:Secret');
+        });
+    });
+
+    describe('GET /api/calendar/tag/:id.ics', () => {
+        test('Only includes events with the requested tag', async () => {
+            await world.createTag('pool');
+            await world.createEvent('PoolSession');
+            await world.createEvent('RiverTrip');
+            await world.assignTag('event', 'PoolSession', 'pool');
+
+            const res = await getFeed(`/api/calendar/tag/${world.data.tags['pool']}.ics`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toContain('X-WR-CALNAME:DUCC pool');
+            expect(res.body).toContain('SUMMARY:PoolSession');
+            expect(res.body).not.toContain('SUMMARY:RiverTrip');
+        });
+
+        test('Unknown tags return 404', async () => {
+            const res = await world.request.get('/api/calendar/tag/999.ics');
+            expect(res.statusCode).toBe(404);
+        });
+    });
+
+    describe('Personal feeds', () => {
+        test('Feed URL requires authentication', async () => {
+            const res = await world.request.get('/api/user/calendar');
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('Personal feed contains attended and waitlisted events only', async () => {
+            await world.createUser('member', { difficulty_level: 5 });
+            await world.createEvent('Attending');
+            await world.createEvent('Waitlisted');
+            await world.createEvent('Other');
+            await world.joinEvent('member', 'Attending');
+            await world.db.run('INSERT INTO event_waiting_list (event_id, user_id) VALUES (?, ?)', [world.data.events['Waitlisted'], world.data.users['member']]);
+
+            const urlRes = await world.as('member').get('/api/user/calendar');
+            expect(urlRes.statusCode).toBe(200);
+            const path = new URL(urlRes.body.url).pathname;
+
+            const res = await getFeed(path);
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toContain('SUMMARY:Attending');
+            expect(res.body).toContain('SUMMARY:Waitlisted');
+            expect(res.body).not.toContain('SUMMARY:Other');
+        });
+
+        test('Token is stable until reset, and resetting revokes the old URL', async () => {
+            await world.createUser('member');
+
+            const feedPath = async (req) => new URL((await req).body.url).pathname;
+
+            const first = await feedPath(world.as('member').get('/api/user/calendar'));
+            expect(await feedPath(world.as('member').get('/api/user/calendar'))).toBe(first);
+            expect(await feedPath(world.as('member').post('/api/user/calendar/reset'))).not.toBe(first);
+
+            const oldFeed = await world.request.get(first);
+            expect(oldFeed.statusCode).toBe(404);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+/**
+ * CheckinAPI.test.js
+ *
+ * Functional tests for the event register endpoints and the attendance report.
+ * Verifies who may take the register, walk-in handling, and report access.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import CheckinAPI from '../../../server/api/events/CheckinAPI.js';
+
+describe('api/events/CheckinAPI', () => {
+    let world;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        await world.createRole('Exec', ['event.read.all']);
+        await world.createUser('exec', {}, ['Exec']);
+        await world.createUser('coach', { is_instructor: 1 });
+        await world.createUser('member');
+        await world.createUser('guest');
+
+        await world.createEvent('Session', { start: new Date(Date.now() - 600000).toISOString() });
+        await world.createEvent('OpenSession', { start: new Date(Date.now() - 600000).toISOString(), signup_required: 0 });
+        await world.createEvent('Future', { start: new Date(Date.now() + 86400000).toISOString() });
+        await world.joinEvent('member', 'Session');
+
+        new CheckinAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    const registerUrl = (eventAlias, userAlias = null) => {
+        const base = `/api/event/${world.data.events[eventAlias]}/register`;
+        return userAlias ? `${base}/${world.data.users[userAlias]}` : base;
+    };
+
+    describe('Access control', () => {
+        test('Guests are blocked', async () => {
+            const res = await world.request.get(registerUrl('Session'));
+            expect(res.statusCode).toBe(401);
+        });
+
+        test('Members who are not coaches cannot take the register', async () => {
+            const res = await world.as('member').get(registerUrl('Session'));
+            expect(res.statusCode).toBe(403);
+        });
+
+        test('Check-in does not open until an hour before the start', async () => {
+            const res = await world.as('coach').get(registerUrl('Future'));
+            expect(res.statusCode).toBe(400);
+        });
+    });
+
+    describe('Marking attendance', () => {
+        test('Coach can mark a signed-up member and see it on the register', async () => {
+            const mark = await world.as('coach').post(registerUrl('Session', 'member')).send({ status: 'present' });
+            expect(mark.statusCode).toBe(200);
+
+            const res = await world.as('coach').get(registerUrl('Session'));
+            expect(res.statusCode).toBe(200);
+            expect(res.body.allowWalkIns).toBe(false);
+            expect(res.body.register).toHaveLength(1);
+            expect(res.body.register[0].status).toBe('present');
+        });
+
+        test('Users not signed up cannot be added to a signup-required event', async () => {
+            const res = await world.as('coach').post(registerUrl('Session', 'guest')).send({ status: 'present' });
+            expect(res.statusCode).toBe(400);
+        });
+
+        test('Walk-ins can be added to events without signup', async () => {
+            const res = await world.as('coach').post(registerUrl('OpenSession', 'guest')).send({ status: 'present' });
+            expect(res.statusCode).toBe(200);
+
+            const register = await world.as('coach').get(registerUrl('OpenSession'));
+            expect(register.body.allowWalkIns).toBe(true);
+            expect(register.body.register[0].is_walk_in).toBe(1);
+        });
+
+        test('Marks can be cleared', async () => {
+            await world.as('coach').post(registerUrl('Session', 'member')).send({ status: 'absent' });
+            const res = await world.as('coach').delete(registerUrl('Session', 'member'));
+            expect(res.statusCode).toBe(200);
+        });
+
+        test('Walk-in search returns names only', async () => {
+            const res = await world.as('coach').get(`${registerUrl('OpenSession')}/search?q=guest`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.users).toEqual([expect.objectContaining({ id: world.data.users['guest'] })]);
+            expect(res.body.users[0].email).toBeUndefined();
+        });
+    });
+
+    describe('GET /api/admin/reports/attendance', () => {
+        test('Requires event read permission', async () => {
+            const res = await world.as('coach').get('/api/admin/reports/attendance');
+            expect(res.statusCode).toBe(403);
+        });
+
+        test('Returns per-event attendance for execs', async () => {
+            await world.as('coach').post(registerUrl('Session', 'member')).send({ status: 'absent' });
+
+            const res = await world.as('exec').get('/api/admin/reports/attendance');
+            expect(res.statusCode).toBe(200);
+            const session = res.body.events.find(e => e.id === world.data.events['Session']);
+            expect(session).toMatchObject({ signups: 1, absent: 1 });
+            expect(res.body.noShows[0].id).toBe(world.data.users['member']);
+        });
+    });
+});
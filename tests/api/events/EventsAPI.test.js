@@ -6,7 +6,9 @@
  */
 
 import TestWorld from '../../utils/TestWorld.js';
+import http from 'http';
 import EventsAPI from '../../../server/api/events/EventsAPI.js';
+import EventStream from '../../../server/misc/EventStream.js';
 
 describe('api/events/EventsAPI', () => {
     let world;
@@ -21,6 +23,8 @@ describe('api/events/EventsAPI', () => {
     });
 
     afterEach(async () => {
+        EventStream.clients.clear();
+        EventStream._stopHeartbeat();
         await world.tearDown();
     });
 
@@ -178,4 +182,43 @@ describe('api/events/EventsAPI', () => {
             expect(res.body.canManage).toBe(false);
         });
     });
-});
\ No newline at end of file
+
+    describe('GET /api/events/stream', () => {
+        test('Requires event IDs and only streams events the user can see', async () => {
+            expect((await world.request.get('/api/events/stream')).statusCode).toBe(400);
+
+            const hiddenId = await world.createEvent('Hard', { difficulty_level: 5 });
+            expect((await world.request.get(`/api/events/stream?ids=${hiddenId}`)).statusCode).toBe(404);
+        });
+
+        test('Streams the current state over a live connection', async () => {
+            const eventId = await world.createEvent('Easy', { difficulty_level: 1, max_attendees: 6 });
+            const server = world.app.listen(0);
+            await new Promise(resolve => server.once('listening', resolve));
+
+            try {
+                const body = await new Promise((resolve, reject) => {
+                    const req = http.get(`http://127.0.0.1:${server.address().port}/api/events/stream?ids=${eventId}`, res => {
+                        expect(res.headers['content-type']).toBe('text/event-stream');
+                        let data = '';
+                        res.on('data', chunk => {
+                            data += chunk;
+                            if (data.includes('event: update')) {
+                                req.destroy();
+                                resolve(data);
+                            }
+                        });
+                    });
+                    req.on('error', reject);
+                    req.setTimeout(5000, () => reject(new Error('No update received')));
+                });
+
+                const update = JSON.parse(body.split('data: ')[1].split('\n')[0]);
+                expect(update).toMatchObject({ id: eventId, attendee_count: 0, max_attendees: 6, is_canceled: false });
+            } finally {
+                server.closeAllConnections();
+                await new Promise(resolve => server.close(resolve));
+            }
+        });
+    });
+});
@@ -72,6 +72,21 @@ describe('api/events/WaitlistAPI', () => {
             expect(res.statusCode).toBe(400);
             expect(res.body.message).toMatch(/disabled/i);
         });
+
+        test('Blocked: cannot queue before signups open', async () => {
+            await world.createEvent('FullEvent', {
+                max_attendees: 1,
+                enable_waitlist: 1,
+                signup_opens_at: new Date(Date.now() + 3600000).toISOString()
+            });
+            const eventId = world.data.events['FullEvent'];
+            await world.createUser('other', {});
+            await world.joinEvent('other', 'FullEvent');
+
+            const res = await world.as('user').post(`/api/event/${eventId}/waitlist/join`);
+            expect(res.statusCode).toBe(403);
+            expect(res.body.message).toMatch(/not opened/i);
+        });
     });
 
     describe('POST /api/event/:id/waitlist/leave (Exit Logic)', () => {
@@ -122,4 +137,73 @@ describe('api/events/WaitlistAPI', () => {
             expect(res.body.waitlist).toBeDefined();
         });
     });
+
+    describe('Waitlist offers', () => {
+        /**
+         * Sets up a full paid event with a coach attending and a user holding an offer.
+         */
+        const setUpOffer = async (expiresAt = new Date(Date.now() + 60 * 60 * 1000)) => {
+            await world.createEvent('Offered', { max_attendees: 2, enable_waitlist: 1, upfront_cost: 10 });
+            const eventId = world.data.events['Offered'];
+            await world.createUser('coach', { is_instructor: 1 });
+            await world.joinEvent('coach', 'Offered');
+            await world.db.run('INSERT INTO event_waiting_list (event_id, user_id) VALUES (?, ?)', [eventId, world.data.users['user']]);
+            await world.db.run('INSERT INTO waitlist_offers (event_id, user_id, expires_at) VALUES (?, ?, ?)', [eventId, world.data.users['user'], expiresAt.toISOString()]);
+            return eventId;
+        };
+
+        test('GET waitlist reports the current user\'s offer', async () => {
+            const eventId = await setUpOffer();
+
+            const res = await world.as('user').get(`/api/event/${eventId}/waitlist`);
+            expect(res.statusCode).toBe(200);
+            expect(res.body.offer.expires_at).toBeDefined();
+        });
+
+        test('Accepting joins the event, charges the user and clears the waitlist entry', async () => {
+            const eventId = await setUpOffer();
+
+            const res = await world.as('user').post(`/api/event/${eventId}/waitlist/accept`);
+            expect(res.statusCode).toBe(200);
+
+            const attending = await world.db.get('SELECT 1 FROM event_attendees WHERE event_id = ? AND user_id = ? AND is_attending = 1', [eventId, world.data.users['user']]);
+            expect(attending).toBeDefined();
+            const offer = await world.db.get('SELECT status FROM waitlist_offers WHERE event_id = ?', [eventId]);
+            expect(offer.status).toBe('accepted');
+            const onList = await world.db.get('SELECT 1 FROM event_waiting_list WHERE event_id = ?', [eventId]);
+            expect(onList).toBeUndefined();
+            const balance = await world.db.get('SELECT SUM(amount) AS b FROM transactions WHERE user_id = ?', [world.data.users['user']]);
+            expect(balance.b).toBe(-10);
+        });
+
+        test('Accepting fails once the offer has expired', async () => {
+            const eventId = await setUpOffer(new Date(Date.now() - 1000));
+
+            const res = await world.as('user').post(`/api/event/${eventId}/waitlist/accept`);
+            expect(res.statusCode).toBe(404);
+        });
+
+        test('Held spot blocks other users from joining directly', async () => {
+            const eventId = await setUpOffer();
+            await world.createUser('other', { is_member: 1 });
+
+            const res = await world.as('other').post(`/api/event/${eventId}/attend`);
+            expect(res.statusCode).toBe(400);
+            expect(res.body.message).toBe('Event is full');
+        });
+
+        test('Declining passes the spot to the next person in line', async () => {
+            const eventId = await setUpOffer();
+            await world.createUser('next', { is_member: 1 });
+            await world.db.run('INSERT INTO event_waiting_list (event_id, user_id, joined_at) VALUES (?, ?, ?)', [eventId, world.data.users['next'], '2099-01-01 00:00:00']);
+
+            const res = await world.as('user').post(`/api/event/${eventId}/waitlist/decline`);
+            expect(res.statusCode).toBe(200);
+
+            const declined = await world.db.get('SELECT status FROM waitlist_offers WHERE user_id = ?', [world.data.users['user']]);
+            expect(declined.status).toBe('declined');
+            const nextOffer = await world.db.get('SELECT status FROM waitlist_offers WHERE user_id = ?', [world.data.users['next']]);
+            expect(nextOffer.status).toBe('pending');
+        });
+    });
 });
@@ -0,0 +1,71 @@
+/**
+ * NotificationsAPI.test.js
+ *
+ * Functional tests for the notification inbox API.
+ * Verifies listing, unread counts, marking read and updating category preferences.
+ */
+
+import TestWorld from '../../utils/TestWorld.js';
+import NotificationsAPI from '../../../server/api/users/NotificationsAPI.js';
+import NotificationsDB from '../../../server/db/notificationsDB.js';
+
+describe('api/users/NotificationsAPI', () => {
+    let world;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        await world.createUser('user', {});
+        await world.createUser('other', {});
+
+        new NotificationsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('GET /api/user/notifications lists only the current user\'s inbox', async () => {
+        await NotificationsDB.create(world.db, world.data.users['user'], 'event', { title: 'Mine', link: '/event/1' });
+        await NotificationsDB.create(world.db, world.data.users['other'], 'event', { title: 'Theirs' });
+
+        const res = await world.as('user').get('/api/user/notifications');
+        expect(res.statusCode).toBe(200);
+        expect(res.body.notifications.map(n => n.title)).toEqual(['Mine']);
+        expect(res.body.unread).toBe(1);
+
+        const count = await world.as('user').get('/api/user/notifications/unread-count');
+        expect(count.body).toEqual({ unread: 1 });
+    });
+
+    test('POST read and read-all clear the unread count', async () => {
+        const userId = world.data.users['user'];
+        const id = (await NotificationsDB.create(world.db, userId, 'role', { title: 'One' })).getData();
+        await NotificationsDB.create(world.db, userId, 'role', { title: 'Two' });
+
+        expect((await world.as('other').post(`/api/user/notifications/${id}/read`)).statusCode).toBe(404);
+        expect((await world.as('user').post(`/api/user/notifications/${id}/read`)).statusCode).toBe(200);
+        expect((await world.as('user').get('/api/user/notifications/unread-count')).body.unread).toBe(1);
+
+        expect((await world.as('user').post('/api/user/notifications/read-all')).statusCode).toBe(200);
+        expect((await world.as('user').get('/api/user/notifications/unread-count')).body.unread).toBe(0);
+    });
+
+    test('GET/PUT /api/user/notifications/preferences', async () => {
+        const res = await world.as('user').put('/api/user/notifications/preferences').send({ waitlist: false });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.waitlist).toBe(false);
+
+        const prefs = await world.as('user').get('/api/user/notifications/preferences');
+        expect(prefs.body).toEqual({ waitlist: false, event: true, transaction: true, role: true, security: true });
+
+        const bad = await world.as('user').put('/api/user/notifications/preferences').send({ waitlist: 'maybe' });
+        expect(bad.statusCode).toBe(400);
+    });
+
+    test('Notification routes require login', async () => {
+        const res = await world.request.get('/api/user/notifications');
+        expect(res.statusCode).toBe(401);
+    });
+});
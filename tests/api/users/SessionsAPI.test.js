@@ -0,0 +1,155 @@
+/**
+ * SessionsAPI.test.js
+ *
+ * Integration tests for session management.
+ * Uses real sessions so that signing a session out can be observed from the device it belonged to.
+ * Covers listing sessions, signing out one or all others, password changes and resets, and admin force-logout.
+ */
+
+import request from 'supertest';
+import express from 'express';
+import session from 'express-session';
+import { Authenticator } from 'passport';
+import bcrypt from 'bcrypt';
+import TestWorld from '../../utils/TestWorld.js';
+import AuthAPI from '../../../server/api/AuthAPI.js';
+import SessionsAPI from '../../../server/api/users/SessionsAPI.js';
+import AdminUsersAPI from '../../../server/api/admin/AdminUsersAPI.js';
+import Sessions from '../../../server/misc/Sessions.js';
+
+describe('api/users/SessionsAPI', () => {
+    let world, app, store;
+    const password = 'password123';
+    const firefox = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+    const safari = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+    /**
+     * Log in as a user from a new device.
+     */
+    const loginAs = async (alias, userAgent = firefox) => {
+        const agent = request.agent(app);
+        const res = await agent.post('/api/auth/login').set('User-Agent', userAgent).send({ email: `${alias}@test.com`, password });
+        expect(res.statusCode).toBe(200);
+        return agent;
+    };
+
+    const isSignedIn = async (agent) => (await agent.get('/api/auth/status')).body.authenticated;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        const hashed = await bcrypt.hash(password, 4);
+        await world.createRole('Admin', ['user.manage']);
+        await world.createUser('alice', { hashed_password: hashed });
+        await world.createUser('admin', { hashed_password: hashed }, ['Admin']);
+
+        const passport = new Authenticator();
+        store = new session.MemoryStore();
+        app = express();
+        app.use(express.json());
+        app.use(session({ secret: 'test', resave: false, saveUninitialized: false, store }));
+        app.use(passport.initialize());
+        app.use(passport.session());
+        app.use((req, res, next) => {
+            req.db = world.db;
+            next();
+        });
+        app.use(Sessions.track());
+
+        new AuthAPI(app, world.db, passport).registerRoutes();
+        new SessionsAPI(app, world.db).registerRoutes();
+        new AdminUsersAPI(app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('GET /api/user/sessions lists each device and flags the current one', async () => {
+        const laptop = await loginAs('alice', firefox);
+        await loginAs('alice', safari);
+
+        const res = await laptop.get('/api/user/sessions');
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toHaveLength(2);
+        expect(res.body.find(s => s.current).device).toBe('Firefox on Windows');
+        expect(res.body.find(s => !s.current).device).toBe('Safari on iOS');
+        expect(res.body[0]).not.toHaveProperty('sid');
+        expect(res.body[0].created_at).toBeDefined();
+    });
+
+    test('signing out one session ends it, and only the owner can do so', async () => {
+        const laptop = await loginAs('alice', firefox);
+        const phone = await loginAs('alice', safari);
+        const admin = await loginAs('admin');
+
+        const phoneSession = (await laptop.get('/api/user/sessions')).body.find(s => !s.current);
+        expect((await admin.delete(`/api/user/sessions/${phoneSession.id}`)).statusCode).toBe(404);
+
+        expect((await laptop.delete(`/api/user/sessions/${phoneSession.id}`)).statusCode).toBe(200);
+        expect(await isSignedIn(phone)).toBe(false);
+        expect(await isSignedIn(laptop)).toBe(true);
+    });
+
+    test('POST /api/user/sessions/revoke-others keeps only the current session', async () => {
+        const laptop = await loginAs('alice', firefox);
+        const phone = await loginAs('alice', safari);
+        const tablet = await loginAs('alice', safari);
+
+        const res = await laptop.post('/api/user/sessions/revoke-others');
+        expect(res.body).toEqual({ revoked: 2 });
+        expect(await isSignedIn(phone)).toBe(false);
+        expect(await isSignedIn(tablet)).toBe(false);
+        expect(await isSignedIn(laptop)).toBe(true);
+        expect((await laptop.get('/api/user/sessions')).body).toHaveLength(1);
+    });
+
+    test('changing the password signs out other sessions, and resetting it signs out all of them', async () => {
+        const laptop = await loginAs('alice', firefox);
+        const phone = await loginAs('alice', safari);
+
+        await laptop.post('/api/auth/change-password').send({ currentPassword: password, newPassword: 'new-password' });
+        expect(await isSignedIn(phone)).toBe(false);
+        expect(await isSignedIn(laptop)).toBe(true);
+
+        await world.db.run('INSERT INTO password_resets (user_id, token, expires_at) VALUES (?, ?, ?)',
+            [world.data.users['alice'], 'reset-token', new Date(Date.now() + 3600000).toISOString()]);
+        await request(app).post('/api/auth/reset-password').send({ token: 'reset-token', newPassword: password });
+        expect(await isSignedIn(laptop)).toBe(false);
+    });
+
+    test('a signed-in session without a record is signed out', async () => {
+        const laptop = await loginAs('alice', firefox);
+        await world.db.run('DELETE FROM user_sessions');
+
+        expect(await isSignedIn(laptop)).toBe(false);
+        expect(Object.values(store.sessions).some(data => JSON.parse(data).passport)).toBe(false);
+    });
+
+    test('logging out removes the session from the list', async () => {
+        const laptop = await loginAs('alice', firefox);
+        const phone = await loginAs('alice', safari);
+
+        await phone.get('/api/auth/logout');
+        expect((await laptop.get('/api/user/sessions')).body).toHaveLength(1);
+    });
+
+    test('POST /api/admin/user/:id/logout signs a user out everywhere and is audited', async () => {
+        const laptop = await loginAs('alice', firefox);
+        const phone = await loginAs('alice', safari);
+        const admin = await loginAs('admin');
+
+        expect((await laptop.post(`/api/admin/user/${world.data.users['admin']}/logout`)).statusCode).toBe(403);
+
+        const res = await admin.post(`/api/admin/user/${world.data.users['alice']}/logout`);
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toEqual({ revoked: 2 });
+        expect(await isSignedIn(laptop)).toBe(false);
+        expect(await isSignedIn(phone)).toBe(false);
+        expect(await isSignedIn(admin)).toBe(true);
+
+        const audit = await world.db.get("SELECT * FROM audit_log WHERE action = 'user.sessions.revoke'");
+        expect(audit.target_id).toBe(String(world.data.users['alice']));
+    });
+});
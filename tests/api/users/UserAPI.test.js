@@ -33,6 +33,19 @@ describe('api/users/UserAPI', () => {
         await world.tearDown();
     });
 
+    describe('GET /api/user/export', () => {
+        test('Members can download an archive of their own data', async () => {
+            const res = await world.as('user').get('/api/user/export');
+            expect(res.statusCode).toBe(200);
+            expect(res.headers['content-disposition']).toMatch(new RegExp(`ducc-data-export-${world.data.users['user']}-`));
+        });
+
+        test('Guests are refused', async () => {
+            const res = await world.request.get('/api/user/export');
+            expect(res.statusCode).toBe(401);
+        });
+    });
+
     describe('GET /api/user/elements/:elements (Self-Lookup)', () => {
         test('Success: fetching allowed, whitelisted fields', async () => {
             const res = await world.as('user').get('/api/user/elements/first_name,email,is_member');
@@ -44,6 +57,12 @@ describe('api/users/UserAPI', () => {
             });
         });
 
+        test('Success: the bank transfer reference is derived from the account number', async () => {
+            const res = await world.as('user').get('/api/user/elements/payment_reference');
+            expect(res.statusCode).toBe(200);
+            expect(res.body).toEqual({ payment_reference: `DUCC${String(world.data.users['user']).padStart(4, '0')}` });
+        });
+
         test('Denied: attempting to fetch forbidden fields (hashed_password)', async () => {
             const res = await world.as('user').get('/api/user/elements/hashed_password');
             expect(res.statusCode).toBe(403);
@@ -145,6 +164,8 @@ describe('api/users/UserAPI', () => {
             // Verification 2: Payment transaction recorded
             const balance = await world.db.get('SELECT COALESCE(SUM(amount), 0) as b FROM transactions WHERE user_id = ?', [world.data.users['user']]);
             expect(balance.b).toBe(-50.0);
+            const fee = await world.db.get('SELECT category FROM transactions WHERE user_id = ?', [world.data.users['user']]);
+            expect(fee.category).toBe('membership');
         });
 
         test('Denied: cannot join if already a member', async () => {
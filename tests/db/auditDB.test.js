@@ -0,0 +1,81 @@
+/**
+ * auditDB.test.js
+ *
+ * Database layer tests for the audit log.
+ * Covers diffing before/after snapshots, redaction of sensitive fields, and searching, filtering and paging entries.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import AuditDB from '../../server/db/auditDB.js';
+
+describe('db/auditDB', () => {
+    let world;
+    let execId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        execId = await world.createUser('exec', { first_name: 'Erin', last_name: 'Exec' });
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('diff keeps only changed fields, and whole snapshots for creation and deletion', () => {
+        expect(AuditDB.diff({ amount: 5, description: 'Fee' }, { amount: 10, description: 'Fee' }))
+            .toEqual({ before: { amount: 5 }, after: { amount: 10 } });
+        expect(AuditDB.diff({ roles: ['Exec'] }, { roles: ['Exec', 'Treasurer'] }))
+            .toEqual({ before: { roles: ['Exec'] }, after: { roles: ['Exec', 'Treasurer'] } });
+        expect(AuditDB.diff(null, { amount: 5 })).toEqual({ before: null, after: { amount: 5 } });
+        expect(AuditDB.diff({ amount: 5 }, null)).toEqual({ before: { amount: 5 }, after: null });
+    });
+
+    test('log stores the diff and hides sensitive values', async () => {
+        await AuditDB.log(world.db, execId, 'user.update', 'user', 7,
+            { first_name: 'Old', password: 'a' }, { first_name: 'New', password: 'b' });
+
+        const { entries } = (await AuditDB.getEntries(world.db, { page: 1, limit: 10 })).getData();
+        expect(entries).toHaveLength(1);
+        expect(entries[0]).toMatchObject({
+            actor_id: execId,
+            actor_first_name: 'Erin',
+            action: 'user.update',
+            target_type: 'user',
+            target_id: '7',
+            before: { first_name: 'Old', password: '[redacted]' },
+            after: { first_name: 'New', password: '[redacted]' }
+        });
+    });
+
+    test('getEntries searches and filters by action, target and actor', async () => {
+        const otherId = await world.createUser('other', { first_name: 'Olly' });
+        await AuditDB.log(world.db, execId, 'transaction.create', 'transaction', 1, null, { description: 'Pool hire' });
+        await AuditDB.log(world.db, execId, 'global.update', 'global', 'MinMoney', { value: -20 }, { value: -25 });
+        await AuditDB.log(world.db, otherId, 'tag.whitelist.add', 'tag', 3, null, { user_id: 9 });
+
+        const search = async (options) => (await AuditDB.getEntries(world.db, { page: 1, limit: 10, ...options })).getData().entries;
+
+        expect((await search({ search: 'pool' })).map(e => e.action)).toEqual(['transaction.create']);
+        expect((await search({ search: 'Olly' })).map(e => e.action)).toEqual(['tag.whitelist.add']);
+        expect((await search({ action: 'global.update' }))[0].target_id).toBe('MinMoney');
+        expect(await search({ targetType: 'tag' })).toHaveLength(1);
+        expect(await search({ actorId: String(execId) })).toHaveLength(2);
+        expect(await search({ from: new Date(Date.now() + 86400000).toISOString() })).toHaveLength(0);
+    });
+
+    test('getEntries pages newest first', async () => {
+        for (let i = 1; i <= 5; i++) {
+            await AuditDB.log(world.db, execId, 'event.update', 'event', i, { title: 'a' }, { title: 'b' });
+        }
+
+        const first = (await AuditDB.getEntries(world.db, { page: 1, limit: 2 })).getData();
+        expect(first.totalPages).toBe(3);
+        expect(first.entries.map(e => e.target_id)).toEqual(['5', '4']);
+
+        const last = (await AuditDB.getEntries(world.db, { page: 3, limit: 2 })).getData();
+        expect(last.entries.map(e => e.target_id)).toEqual(['1']);
+
+        expect((await AuditDB.getActions(world.db)).getData()).toEqual(['event.update']);
+    });
+});
@@ -0,0 +1,90 @@
+/**
+ * checkinDB.test.js
+ *
+ * Database layer tests for the event register.
+ * Covers marking and clearing check-ins, walk-ins, no-show counting and the attendance report.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import CheckinDB from '../../server/db/checkinDB.js';
+
+describe('db/checkinDB', () => {
+    let world;
+    let eventId, aliceId, bobId, coachId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        eventId = await world.createEvent('Session', { start: new Date(Date.now() - 3600000).toISOString() });
+        aliceId = await world.createUser('alice', { last_name: 'Adams' });
+        bobId = await world.createUser('bob', { last_name: 'Brown' });
+        coachId = await world.createUser('coach', { is_instructor: 1 });
+        await world.joinEvent('alice', 'Session');
+        await world.joinEvent('bob', 'Session');
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('Register lists signups with their check-in status', async () => {
+        await CheckinDB.markAttendance(world.db, eventId, aliceId, 'late', coachId);
+
+        const register = (await CheckinDB.getRegister(world.db, eventId)).getData();
+        expect(register.map(r => [r.id, r.status])).toEqual([[aliceId, 'late'], [bobId, null]]);
+    });
+
+    test('Marking again replaces the previous status', async () => {
+        await CheckinDB.markAttendance(world.db, eventId, aliceId, 'absent', coachId);
+        await CheckinDB.markAttendance(world.db, eventId, aliceId, 'present', coachId);
+
+        const rows = await world.db.all('SELECT status FROM event_checkins WHERE user_id = ?', [aliceId]);
+        expect(rows).toEqual([{ status: 'present' }]);
+    });
+
+    test('Invalid statuses and absent walk-ins are rejected', async () => {
+        expect((await CheckinDB.markAttendance(world.db, eventId, aliceId, 'asleep', coachId)).getStatus()).toBe(400);
+        expect((await CheckinDB.markAttendance(world.db, eventId, coachId, 'absent', coachId, true)).getStatus()).toBe(400);
+    });
+
+    test('Walk-ins appear on the register and clearing removes them', async () => {
+        await CheckinDB.markAttendance(world.db, eventId, coachId, 'present', coachId, true);
+        let register = (await CheckinDB.getRegister(world.db, eventId)).getData();
+        expect(register.find(r => r.id === coachId).is_walk_in).toBe(1);
+
+        expect((await CheckinDB.clearAttendance(world.db, eventId, coachId)).getStatus()).toBe(200);
+        register = (await CheckinDB.getRegister(world.db, eventId)).getData();
+        expect(register.find(r => r.id === coachId)).toBeUndefined();
+
+        expect((await CheckinDB.clearAttendance(world.db, eventId, coachId)).getStatus()).toBe(404);
+    });
+
+    test('No-show counts only include absences', async () => {
+        const otherId = await world.createEvent('Other', { start: new Date(Date.now() - 7200000).toISOString() });
+        await CheckinDB.markAttendance(world.db, eventId, aliceId, 'absent', coachId);
+        await CheckinDB.markAttendance(world.db, otherId, aliceId, 'absent', coachId);
+        await CheckinDB.markAttendance(world.db, eventId, bobId, 'late', coachId);
+
+        expect((await CheckinDB.getNoShowCount(world.db, aliceId)).getData()).toBe(2);
+        expect((await CheckinDB.getNoShowCount(world.db, bobId)).getData()).toBe(0);
+
+        world.mockGlobalInt('NoShowLimit', 2);
+        expect((await CheckinDB.isRepeatNoShow(world.db, aliceId)).getData()).toBe(true);
+        world.mockGlobalInt('NoShowLimit', 0);
+        expect((await CheckinDB.isRepeatNoShow(world.db, aliceId)).getData()).toBe(false);
+    });
+
+    test('Attendance report compares signups against check-ins', async () => {
+        await CheckinDB.markAttendance(world.db, eventId, aliceId, 'present', coachId);
+        await CheckinDB.markAttendance(world.db, eventId, coachId, 'late', coachId, true);
+
+        const start = new Date(Date.now() - 86400000);
+        const end = new Date(Date.now() + 86400000);
+        const report = (await CheckinDB.getAttendanceReport(world.db, start, end)).getData();
+
+        expect(report.events).toHaveLength(1);
+        expect(report.events[0]).toMatchObject({ signups: 2, attended: 2, late: 1, absent: 0, walk_ins: 1, unmarked: 1 });
+        expect(report.totals.signups).toBe(2);
+    });
+});
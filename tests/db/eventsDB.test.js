@@ -3,7 +3,7 @@
  * 
  * Database layer tests for event management.
  * Covers event creation, cancellation with automatic attendee refunds,
- * and business logic related to signup requirements and capacity.
+ * and business logic related to signup requirements, capacity and ballots.
  */
 
 import TestWorld from '../utils/TestWorld.js';
@@ -70,6 +70,42 @@ describe('db/eventsDB', () => {
         // Verification 2: Consumed session credit is restored to the non-member
         const user = await world.db.get('SELECT free_sessions FROM users WHERE id = ?', [userId]);
         expect(user.free_sessions).toBe(2);
+
+        // Verification 3: The attendee is emailed about the refund
+        const email = await world.db.get("SELECT * FROM email_outbox WHERE user_id = ? AND template = 'eventCancelled'", [userId]);
+        expect(email.subject).toMatch(/Paid Event/);
+        expect(email.text_body).toMatch(/£10\.00 has been refunded/);
+
+        // Verification 4: ...and sees it in their notification inbox
+        const notification = await world.db.get('SELECT * FROM notifications WHERE user_id = ?', [userId]);
+        expect(notification).toMatchObject({ category: 'event', title: 'Paid Event has been cancelled', link: `/event/${eventId}` });
+    });
+
+    test('updateEvent notifies attendees when key details change', async () => {
+        await world.createUser('attendee', {});
+        await world.createUser('dropped', {});
+        const start = new Date(Date.now() + 86400000);
+        const eventData = {
+            title: 'River Trip',
+            location: 'Boathouse',
+            start: start.toISOString(),
+            end: new Date(start.getTime() + 3600000).toISOString(),
+            difficulty_level: 1,
+            upfront_cost: 0
+        };
+        const eventId = (await EventsDB.createEvent(world.db, eventData)).getData().id;
+        await world.db.run('INSERT INTO event_attendees (event_id, user_id) VALUES (?, ?)', [eventId, world.data.users['attendee']]);
+        await world.db.run('INSERT INTO event_attendees (event_id, user_id, is_attending) VALUES (?, ?, 0)', [eventId, world.data.users['dropped']]);
+
+        // Editing only the description is not worth a notification
+        await EventsDB.updateEvent(world.db, eventId, { ...eventData, description: 'Bring lunch' });
+        expect((await world.db.get('SELECT COUNT(*) AS c FROM notifications')).c).toBe(0);
+
+        await EventsDB.updateEvent(world.db, eventId, { ...eventData, location: 'Weir', upfront_cost: 5 });
+        const notifications = await world.db.all('SELECT * FROM notifications');
+        expect(notifications).toHaveLength(1);
+        expect(notifications[0]).toMatchObject({ user_id: world.data.users['attendee'], category: 'event', title: 'River Trip has been changed' });
+        expect(notifications[0].body).toBe('The location and cost of this event changed after you signed up.');
     });
 
     describe('Business Logic: signup_required vs max_attendees', () => {
@@ -152,4 +188,37 @@ describe('db/eventsDB', () => {
             expect(result.getMessage()).toBe('Signup is not required for this event');
         });
     });
+
+    describe('Business Logic: ballots', () => {
+        const start = new Date(Date.now() + 7 * 86400000);
+        const ballotEvent = (overrides = {}) => ({
+            title: 'Ballot Trip',
+            start: start.toISOString(),
+            end: new Date(start.getTime() + 3600000).toISOString(),
+            difficulty_level: 1,
+            max_attendees: 12,
+            signup_required: true,
+            upfront_cost: 0,
+            ballot_closes_at: new Date(start.getTime() - 86400000).toISOString(),
+            ...overrides
+        });
+
+        test('ballot closing time is stored with the event', async () => {
+            const result = await EventsDB.createEvent(world.db, ballotEvent());
+            expect(result.getStatus()).toBe(200);
+
+            const event = await EventsDB.getEventById(world.db, result.getData().id);
+            expect(event.ballot_closes_at).toBe(new Date(start.getTime() - 86400000).toISOString());
+        });
+
+        test('ballots need a capacity and must close before the event starts', async () => {
+            const noLimit = await EventsDB.createEvent(world.db, ballotEvent({ max_attendees: 0 }));
+            expect(noLimit.getStatus()).toBe(400);
+            expect(noLimit.getMessage()).toMatch(/maximum number of attendees/);
+
+            const tooLate = await EventsDB.createEvent(world.db, ballotEvent({ ballot_closes_at: start.toISOString() }));
+            expect(tooLate.getStatus()).toBe(400);
+            expect(tooLate.getMessage()).toMatch(/before the event starts/);
+        });
+    });
 });
@@ -0,0 +1,129 @@
+/**
+ * migrator.test.js
+ *
+ * Tests for the schema migration runner.
+ * Covers applying and rolling back migrations, status reporting, transactional failure handling,
+ * and adopting a database created before migrations existed.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import Migrator from '../../server/db/init/migrator.js';
+
+describe('db/migrator', () => {
+    let db;
+    let directory;
+
+    beforeEach(async () => {
+        db = await open({ filename: ':memory:', driver: sqlite3.Database });
+        await db.exec('PRAGMA foreign_keys = ON;');
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-migrations-test-'));
+    });
+
+    afterEach(async () => {
+        await db.close();
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const writeMigration = (file, up, down = "await db.exec('SELECT 1');") => {
+        fs.writeFileSync(path.join(directory, file), `export async function up(db) { ${up} }\nexport async function down(db) { ${down} }\n`);
+    };
+
+    const columnsOf = async (table) => (await db.all(`PRAGMA table_info(${table})`)).map(c => c.name);
+
+    test('migrate applies pending migrations in order and records them', async () => {
+        writeMigration('002_add_notes.js', "await db.exec('ALTER TABLE boats ADD COLUMN notes TEXT');", "await db.exec('ALTER TABLE boats DROP COLUMN notes');");
+        writeMigration('001_boats.js', "await db.exec('CREATE TABLE boats (id INTEGER PRIMARY KEY)');", "await db.exec('DROP TABLE boats');");
+
+        const result = await Migrator.migrate(db, { directory });
+        expect(result.applied).toEqual(['001_boats', '002_add_notes']);
+        expect(result.createdTables).toContain('boats');
+        expect(await columnsOf('boats')).toEqual(['id', 'notes']);
+
+        const again = await Migrator.migrate(db, { directory });
+        expect(again.applied).toEqual([]);
+
+        const status = await Migrator.status(db, { directory });
+        expect(status.current).toBe(2);
+        expect(status.migrations.every(m => m.applied_at)).toBe(true);
+    });
+
+    test('migrate stops at the requested version and status reports the rest as pending', async () => {
+        writeMigration('001_boats.js', "await db.exec('CREATE TABLE boats (id INTEGER PRIMARY KEY)');");
+        writeMigration('002_paddles.js', "await db.exec('CREATE TABLE paddles (id INTEGER PRIMARY KEY)');");
+
+        await Migrator.migrate(db, { directory, to: 1 });
+        const status = await Migrator.status(db, { directory });
+        expect(status.current).toBe(1);
+        expect(status.migrations.map(m => m.applied_at === null)).toEqual([false, true]);
+    });
+
+    test('rollback runs down migrations newest first', async () => {
+        writeMigration('001_boats.js', "await db.exec('CREATE TABLE boats (id INTEGER PRIMARY KEY)');", "await db.exec('DROP TABLE boats');");
+        writeMigration('002_paddles.js', "await db.exec('CREATE TABLE paddles (id INTEGER PRIMARY KEY)');", "await db.exec('DROP TABLE paddles');");
+        await Migrator.migrate(db, { directory });
+
+        expect(await Migrator.rollback(db, { directory })).toEqual(['002_paddles']);
+        expect((await Migrator.status(db, { directory })).current).toBe(1);
+
+        expect(await Migrator.rollback(db, { directory, to: 0 })).toEqual(['001_boats']);
+        const tables = await db.all("SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('boats', 'paddles')");
+        expect(tables).toHaveLength(0);
+    });
+
+    test('a failing migration is rolled back and later migrations are not applied', async () => {
+        writeMigration('001_boats.js', "await db.exec('CREATE TABLE boats (id INTEGER PRIMARY KEY)');");
+        writeMigration('002_broken.js', "await db.exec('CREATE TABLE paddles (id INTEGER PRIMARY KEY)'); await db.exec('ALTER TABLE missing ADD COLUMN x TEXT');");
+        writeMigration('003_later.js', "await db.exec('CREATE TABLE later (id INTEGER PRIMARY KEY)');");
+
+        await expect(Migrator.migrate(db, { directory })).rejects.toThrow(/missing/);
+
+        const tables = (await db.all("SELECT name FROM sqlite_master WHERE type = 'table'")).map(t => t.name);
+        expect(tables).toContain('boats');
+        expect(tables).not.toContain('paddles');
+        expect(tables).not.toContain('later');
+        expect((await Migrator.status(db, { directory })).current).toBe(1);
+        expect((await db.get('PRAGMA foreign_keys')).foreign_keys).toBe(1);
+    });
+
+    test('a migration leaving foreign key violations is rejected', async () => {
+        writeMigration('001_tables.js', `
+            await db.exec('CREATE TABLE boats (id INTEGER PRIMARY KEY)');
+            await db.exec('CREATE TABLE seats (id INTEGER PRIMARY KEY, boat_id INTEGER REFERENCES boats(id))');
+            await db.exec('INSERT INTO seats (boat_id) VALUES (99)');
+        `);
+
+        await expect(Migrator.migrate(db, { directory })).rejects.toThrow(/foreign key/);
+        expect((await Migrator.status(db, { directory })).current).toBe(0);
+    });
+
+    test('duplicate versions are refused', async () => {
+        writeMigration('001_boats.js', "await db.exec('SELECT 1');");
+        writeMigration('001_paddles.js', "await db.exec('SELECT 1');");
+        await expect(Migrator.loadMigrations(directory)).rejects.toThrow(/Duplicate/);
+    });
+
+    test('the baseline adopts a database created before migrations, adding missing columns', async () => {
+        await db.exec(`
+            CREATE TABLE colleges (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL);
+            CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT UNIQUE NOT NULL, first_name TEXT NOT NULL, last_name TEXT NOT NULL);
+            CREATE TABLE events (id INTEGER PRIMARY KEY AUTOINCREMENT, title TEXT NOT NULL);
+            INSERT INTO events (title) VALUES ('Existing trip');
+        `);
+
+        const result = await Migrator.migrate(db, { to: 1 });
+        expect(result.applied).toEqual(['001_baseline']);
+        expect(result.createdTables).not.toContain('events');
+        expect(result.createdTables).toContain('event_series');
+
+        expect(await columnsOf('events')).toEqual(expect.arrayContaining(['series_id', 'is_series_override', 'ballot_seed']));
+        expect(await columnsOf('users')).toContain('calendar_token');
+        expect(await db.get('SELECT title, is_series_override FROM events')).toEqual({ title: 'Existing trip', is_series_override: 0 });
+
+        await db.run("INSERT INTO users (email, first_name, last_name, calendar_token) VALUES ('a@durham.ac.uk', 'A', 'B', 'token')");
+        await expect(db.run("INSERT INTO users (email, first_name, last_name, calendar_token) VALUES ('b@durham.ac.uk', 'C', 'D', 'token')")).rejects.toThrow(/UNIQUE/);
+    });
+});
@@ -0,0 +1,73 @@
+/**
+ * notificationsDB.test.js
+ *
+ * Database layer tests for the notification inbox.
+ * Covers paging and unread counts, marking notifications read, and muting categories through preferences.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import NotificationsDB from '../../server/db/notificationsDB.js';
+
+describe('db/notificationsDB', () => {
+    let world;
+    let userId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        userId = await world.createUser('user', {});
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('getForUser pages newest first and reports the unread count', async () => {
+        for (let i = 1; i <= 3; i++) {
+            await NotificationsDB.create(world.db, userId, 'event', { title: `Update ${i}` });
+        }
+
+        const page = (await NotificationsDB.getForUser(world.db, userId, { page: 1, limit: 2 })).getData();
+        expect(page.notifications.map(n => n.title)).toEqual(['Update 3', 'Update 2']);
+        expect(page).toMatchObject({ unread: 3, totalPages: 2, currentPage: 1 });
+        expect((await NotificationsDB.getUnreadCount(world.db, userId)).getData()).toBe(3);
+    });
+
+    test('markRead only touches the owner\'s notifications, and markAllRead clears the rest', async () => {
+        const otherId = await world.createUser('other', {});
+        const id = (await NotificationsDB.create(world.db, userId, 'role', { title: 'Promoted' })).getData();
+        await NotificationsDB.create(world.db, userId, 'role', { title: 'Promoted again' });
+
+        expect((await NotificationsDB.markRead(world.db, otherId, id)).getStatus()).toBe(404);
+        expect((await NotificationsDB.markRead(world.db, userId, id)).getStatus()).toBe(200);
+        expect((await NotificationsDB.getUnreadCount(world.db, userId)).getData()).toBe(1);
+
+        const unread = (await NotificationsDB.getForUser(world.db, userId, { unreadOnly: true })).getData();
+        expect(unread.notifications.map(n => n.title)).toEqual(['Promoted again']);
+
+        await NotificationsDB.markAllRead(world.db, userId);
+        expect((await NotificationsDB.getUnreadCount(world.db, userId)).getData()).toBe(0);
+    });
+
+    test('muted categories are not delivered', async () => {
+        expect((await NotificationsDB.getPreferences(world.db, userId)).getData())
+            .toEqual({ waitlist: true, event: true, transaction: true, role: true, security: true });
+
+        const prefs = await NotificationsDB.setPreferences(world.db, userId, { transaction: false });
+        expect(prefs.getData().transaction).toBe(false);
+
+        const muted = await NotificationsDB.create(world.db, userId, 'transaction', { title: 'Charge' });
+        expect(muted.getData()).toBeNull();
+        await NotificationsDB.create(world.db, userId, 'event', { title: 'Event moved' });
+
+        const { notifications } = (await NotificationsDB.getForUser(world.db, userId)).getData();
+        expect(notifications.map(n => n.category)).toEqual(['event']);
+    });
+
+    test('rejects unknown categories and non-boolean preferences', async () => {
+        expect((await NotificationsDB.create(world.db, userId, 'gossip', { title: 'x' })).getStatus()).toBe(400);
+        expect((await NotificationsDB.setPreferences(world.db, userId, { gossip: false })).getStatus()).toBe(400);
+        expect((await NotificationsDB.setPreferences(world.db, userId, { event: 'no' })).getStatus()).toBe(400);
+        expect((await NotificationsDB.setPreferences(world.db, userId, {})).getStatus()).toBe(400);
+    });
+});
@@ -0,0 +1,186 @@
+/**
+ * seriesDB.test.js
+ *
+ * Database layer tests for recurring event series.
+ * Covers recurrence expansion (weekdays, fortnights, exclusions), occurrence generation,
+ * and the this / following / all scoping used by edits and cancellations.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import SeriesDB from '../../server/db/seriesDB.js';
+import EventsDB from '../../server/db/eventsDB.js';
+import TransactionsDB from '../../server/db/transactionDB.js';
+
+describe('db/seriesDB', () => {
+    let world;
+
+    /** Monday 18:00 a few weeks from now, so every generated occurrence is in the future. */
+    const nextMonday = () => {
+        const date = new Date();
+        date.setDate(date.getDate() + 14 + ((8 - date.getDay()) % 7));
+        date.setHours(18, 0, 0, 0);
+        return date;
+    };
+
+    const addDays = (date, days) => {
+        const copy = new Date(date);
+        copy.setDate(copy.getDate() + days);
+        return copy;
+    };
+
+    const dateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+    const template = (start) => ({
+        title: 'Pool Session',
+        start: start.toISOString(),
+        end: new Date(start.getTime() + 2 * 3600000).toISOString(),
+        difficulty_level: 1,
+        max_attendees: 10,
+        upfront_cost: 0,
+        signup_required: true
+    });
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    describe('getOccurrenceDates', () => {
+        test('Weekly rule defaults to the weekday of the first occurrence', () => {
+            const start = nextMonday();
+            const res = SeriesDB.getOccurrenceDates(start, { frequency: 'weekly', until: addDays(start, 21) });
+            expect(res.getStatus()).toBe(200);
+            expect(res.getData()).toHaveLength(4);
+            expect(res.getData().every(d => d.getDay() === 1 && d.getHours() === 18)).toBe(true);
+        });
+
+        test('Specific weekdays, fortnightly spacing and exclusions are honoured', () => {
+            const start = nextMonday();
+            const res = SeriesDB.getOccurrenceDates(start, {
+                frequency: 'fortnightly',
+                weekdays: [1, 3],
+                until: addDays(start, 27),
+                exclusions: [dateKey(addDays(start, 16))]
+            });
+            const keys = res.getData().map(dateKey);
+            expect(keys).toEqual([dateKey(start), dateKey(addDays(start, 2)), dateKey(addDays(start, 14))]);
+        });
+
+        test('Invalid rules are rejected', () => {
+            const start = nextMonday();
+            expect(SeriesDB.getOccurrenceDates(start, { frequency: 'daily', until: addDays(start, 7) }).getStatus()).toBe(400);
+            expect(SeriesDB.getOccurrenceDates(start, { until: addDays(start, -7) }).getStatus()).toBe(400);
+            expect(SeriesDB.getOccurrenceDates(start, { weekdays: [9], until: addDays(start, 7) }).getStatus()).toBe(400);
+            expect(SeriesDB.getOccurrenceDates(start, { until: addDays(start, 7 * 200) }).getStatus()).toBe(400);
+        });
+    });
+
+    test('createSeries generates linked events with the template duration', async () => {
+        const start = nextMonday();
+        const res = await SeriesDB.createSeries(world.db, { ...template(start), recurrence: { until: addDays(start, 14) } });
+        expect(res.getStatus()).toBe(200);
+        expect(res.getData().events).toHaveLength(3);
+
+        const series = (await SeriesDB.getSeriesById(world.db, res.getData().id)).getData();
+        expect(series.occurrences).toHaveLength(3);
+        for (const occ of series.occurrences) {
+            expect(new Date(occ.end) - new Date(occ.start)).toBe(2 * 3600000);
+        }
+    });
+
+    describe('Scoped edits', () => {
+        let ids;
+
+        beforeEach(async () => {
+            const start = nextMonday();
+            const res = await SeriesDB.createSeries(world.db, { ...template(start), recurrence: { until: addDays(start, 21) } });
+            ids = res.getData().events;
+        });
+
+        const titles = async () => (await world.db.all('SELECT title FROM events ORDER BY start ASC')).map(e => e.title);
+
+        test('Editing one occurrence marks it as an override', async () => {
+            const event = await EventsDB.getEventById(world.db, ids[1]);
+            const res = await EventsDB.updateEvent(world.db, ids[1], { ...event, title: 'Gala' });
+            expect(res.getStatus()).toBe(200);
+            expect(await titles()).toEqual(['Pool Session', 'Gala', 'Pool Session', 'Pool Session']);
+
+            const updated = await EventsDB.getEventById(world.db, ids[1]);
+            expect(updated.is_series_override).toBe(1);
+        });
+
+        test('"following" edits shift later occurrences but skip overrides', async () => {
+            const overridden = await EventsDB.getEventById(world.db, ids[3]);
+            await EventsDB.updateEvent(world.db, ids[3], { ...overridden, title: 'Gala' });
+
+            const pivot = await EventsDB.getEventById(world.db, ids[1]);
+            const newStart = new Date(new Date(pivot.start).getTime() + 3600000);
+            const res = await EventsDB.updateEvent(world.db, ids[1], {
+                ...pivot,
+                title: 'Late Session',
+                start: newStart.toISOString(),
+                end: new Date(newStart.getTime() + 3600000).toISOString()
+            }, 'following');
+            expect(res.getStatus()).toBe(200);
+            expect(await titles()).toEqual(['Pool Session', 'Late Session', 'Late Session', 'Gala']);
+
+            const third = await EventsDB.getEventById(world.db, ids[2]);
+            expect(new Date(third.start).getHours()).toBe(19);
+            expect(new Date(third.end) - new Date(third.start)).toBe(3600000);
+        });
+
+        test('"all" edits apply to every upcoming occurrence', async () => {
+            const pivot = await EventsDB.getEventById(world.db, ids[2]);
+            const res = await EventsDB.updateEvent(world.db, ids[2], { ...pivot, location: 'Freeman\'s Quay' }, 'all');
+            expect(res.getStatus()).toBe(200);
+
+            const locations = await world.db.all('SELECT DISTINCT location FROM events');
+            expect(locations).toEqual([{ location: 'Freeman\'s Quay' }]);
+        });
+
+        test('Invalid scope is rejected', async () => {
+            const pivot = await EventsDB.getEventById(world.db, ids[0]);
+            const res = await EventsDB.updateEvent(world.db, ids[0], pivot, 'everything');
+            expect(res.getStatus()).toBe(400);
+        });
+
+        test('Cancelling "following" refunds attendees of each affected occurrence', async () => {
+            await world.createUser('paid', { is_member: 1 });
+            const userId = world.data.users['paid'];
+            const txRes = await TransactionsDB.add_transaction(world.db, userId, -5, 'Upfront', ids[3]);
+            await world.db.run('INSERT INTO event_attendees (event_id, user_id, payment_transaction_id) VALUES (?, ?, ?)', [ids[3], userId, txRes.getData()]);
+
+            const res = await EventsDB.cancelEvent(world.db, ids[2], 'following');
+            expect(res.getStatus()).toBe(200);
+
+            const canceled = await world.db.all('SELECT id FROM events WHERE is_canceled = 1 ORDER BY start ASC');
+            expect(canceled.map(e => e.id)).toEqual([ids[2], ids[3]]);
+            expect((await TransactionsDB.get_balance(world.db, userId)).getData()).toBe(0);
+        });
+
+        test('Cancelling a series applies to every occurrence or to none', async () => {
+            await world.createUser('paid', { is_member: 1 });
+            const userId = world.data.users['paid'];
+            const txRes = await TransactionsDB.add_transaction(world.db, userId, -5, 'Upfront', ids[1]);
+            await world.db.run('INSERT INTO event_attendees (event_id, user_id, payment_transaction_id) VALUES (?, ?, ?)', [ids[1], userId, txRes.getData()]);
+
+            await world.db.run(`CREATE TRIGGER refuse_cancel BEFORE UPDATE OF is_canceled ON events WHEN NEW.id = ${ids[3]}
+                BEGIN SELECT RAISE(ABORT, 'refused'); END`);
+            const failed = await EventsDB.cancelEvent(world.db, ids[0], 'all');
+            expect(failed.getStatus()).toBe(500);
+            expect((await world.db.get('SELECT COUNT(*) AS n FROM events WHERE is_canceled = 1')).n).toBe(0);
+            expect((await TransactionsDB.get_balance(world.db, userId)).getData()).toBe(-5);
+            expect((await world.db.get('SELECT COUNT(*) AS n FROM notifications')).n).toBe(0);
+
+            await world.db.run('DROP TRIGGER refuse_cancel');
+            const res = await EventsDB.cancelEvent(world.db, ids[0], 'all');
+            expect(res.getStatus()).toBe(200);
+            expect((await world.db.get('SELECT COUNT(*) AS n FROM events WHERE is_canceled = 1')).n).toBe(ids.length);
+            expect((await TransactionsDB.get_balance(world.db, userId)).getData()).toBe(0);
+        });
+    });
+});
@@ -2,7 +2,8 @@
  * transactionDB.test.js
  * 
  * Database layer tests for user transactions and balances.
- * Verifies balance calculation and history generation with running balances.
+ * Verifies balance calculation and history generation with running balances, ledger categories, reversals
+ * and the ledger report.
  */
 
 import TestWorld from '../utils/TestWorld.js';
@@ -58,4 +59,60 @@ describe('db/transactionDB', () => {
         expect(history[1].amount).toBe(100);
         expect(history[1].after).toBe(100);
     });
-});
\ No newline at end of file
+
+    test('transactions keep their category, counterpart and reference, defaulting to other', async () => {
+        const userId = await world.createUser('user', {});
+
+        await TransactionsDB.add_transaction(world.db, userId, 20, 'Bank transfer', null, { category: 'payment', counterpart: 'Club current account', reference: 'TX-001' });
+        await TransactionsDB.add_transaction(world.db, userId, -5, 'Misc');
+
+        const history = (await TransactionsDB.get_transactions(world.db, userId)).getData();
+        expect(history[1]).toMatchObject({ category: 'payment', counterpart: 'Club current account', reference: 'TX-001' });
+        expect(history[0]).toMatchObject({ category: 'other', counterpart: null, reference: null });
+    });
+
+    test('normalise_details rejects unknown categories and blanks empty fields', () => {
+        expect(TransactionsDB.normalise_details({ category: 'beer' }).getStatus()).toBe(400);
+        expect(TransactionsDB.normalise_details({ category: 'kit', reference: 'x'.repeat(101) }).getStatus()).toBe(400);
+        expect(TransactionsDB.normalise_details({ category: 'kit', counterpart: '  ', reference: ' R1 ' }).getData())
+            .toEqual({ category: 'kit', counterpart: null, reference: 'R1' });
+    });
+
+    test('get_ledger totals charges, credits, refunds and receipts by category and month within the range', async () => {
+        const userId = await world.createUser('user', {});
+        const add = (amount, category, createdAt) => world.db.run(
+            'INSERT INTO transactions (user_id, amount, description, category, created_at) VALUES (?, ?, ?, ?, ?)',
+            [userId, amount, 'Test', category, createdAt]
+        );
+        await add(-40, 'membership', '2025-10-01T10:00:00.000Z');
+        await add(-15, 'event', '2025-10-05T10:00:00.000Z');
+        await add(15, 'refund', '2025-11-02T10:00:00.000Z');
+        await add(-10, 'event', '2025-11-03T10:00:00.000Z');
+        await add(50, 'payment', '2025-11-04T10:00:00.000Z');
+        await add(-99, 'kit', '2025-12-15T10:00:00.000Z');
+
+        const ledger = (await TransactionsDB.get_ledger(world.db, new Date('2025-10-01T00:00:00Z'), new Date('2025-11-30T23:59:59Z'))).getData();
+
+        const event = ledger.categories.find(c => c.category === 'event');
+        expect(event).toEqual({ category: 'event', count: 2, charges: 25, credits: 0, receipts: 0, net: 25 });
+        expect(ledger.categories.find(c => c.category === 'kit').count).toBe(0);
+        expect(ledger.months.map(m => [m.month, m.charges, m.refunds])).toEqual([['2025-10', 55, 0], ['2025-11', 10, 15]]);
+        expect(ledger.totals).toEqual({ count: 5, charges: 65, credits: 15, receipts: 50, refunds: 15, net: 50 });
+    });
+
+    test('reverse_transaction appends an opposite entry and frees the event payment', async () => {
+        const userId = await world.createUser('user', {});
+        const eventId = await world.createEvent('Trip', { upfront_cost: 30 });
+        const paid = await TransactionsDB.add_transaction(world.db, userId, -30, 'Trip upfront cost', eventId, { category: 'event' });
+        await world.db.run('INSERT INTO event_attendees (event_id, user_id, payment_transaction_id) VALUES (?, ?, ?)', [eventId, userId, paid.getData()]);
+
+        const reversal = await TransactionsDB.reverse_transaction(world.db, paid.getData(), 'Trip moved');
+        expect(reversal.getStatus()).toBe(200);
+        expect((await TransactionsDB.get_balance(world.db, userId)).getData()).toBe(0);
+        expect(await world.db.get('SELECT amount, event_id, category, reverses_id FROM transactions WHERE id = ?', [reversal.getData()]))
+            .toEqual({ amount: 30, event_id: eventId, category: 'event', reverses_id: paid.getData() });
+        expect((await world.db.get('SELECT payment_transaction_id FROM event_attendees')).payment_transaction_id).toBeNull();
+        expect((await TransactionsDB.get_transactionid_by_event(world.db, eventId, userId)).getStatus()).toBe(404);
+        expect((await TransactionsDB.reverse_transaction(world.db, paid.getData(), 'Again')).getStatus()).toBe(409);
+    });
+});
@@ -71,4 +71,28 @@ describe('db/waitlistDB', () => {
         expect((await WaitlistDB.get_waiting_list_position(world.db, eventId, u1)).getData()).toBe(1);
         expect((await WaitlistDB.get_waiting_list_position(world.db, eventId, u2)).getData()).toBe(2);
     });
+
+    /**
+     * Policy: when repeat no-shows are deprioritised, they queue behind everyone else regardless of join time.
+     */
+    test('Repeat no-shows are moved to the back when the policy deprioritises them', async () => {
+        const u1 = world.data.users['user1'];
+        const u2 = world.data.users['user2'];
+        const eventId = world.data.events['Event1'];
+
+        world.mockGlobalInt('NoShowLimit', 1);
+        world.mockGlobalObject('NoShowPolicy', { data: 'deprioritise' });
+
+        const missedId = await world.createEvent('Missed', { start: new Date(Date.now() - 3600000).toISOString() });
+        await world.db.run("INSERT INTO event_checkins (event_id, user_id, status) VALUES (?, ?, 'absent')", [missedId, u1]);
+
+        await world.db.run('INSERT INTO event_waiting_list (event_id, user_id, joined_at) VALUES (?, ?, ?)', [eventId, u1, '2025-01-01 10:00:00']);
+        await world.db.run('INSERT INTO event_waiting_list (event_id, user_id, joined_at) VALUES (?, ?, ?)', [eventId, u2, '2025-01-01 11:00:00']);
+
+        expect((await WaitlistDB.get_next_on_waiting_list(world.db, eventId)).getData()).toBe(u2);
+        expect((await WaitlistDB.get_waiting_list_position(world.db, eventId, u1)).getData()).toBe(2);
+
+        world.mockGlobalInt('NoShowLimit', 0);
+        expect((await WaitlistDB.get_next_on_waiting_list(world.db, eventId)).getData()).toBe(u1);
+    });
 });
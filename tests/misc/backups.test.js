@@ -0,0 +1,163 @@
+/**
+ * backups.test.js
+ *
+ * Tests for the Backups service.
+ * Covers writing archives of the database, uploaded files and globals, the daily/weekly/termly
+ * retention policy, scheduled backups, and verifying and restoring archives.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import tar from 'tar';
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import TestWorld from '../utils/TestWorld.js';
+import Backups from '../../server/misc/Backups.js';
+import Migrator from '../../server/db/init/migrator.js';
+import config from '../../server/config.js';
+
+describe('misc/Backups', () => {
+    let world;
+    let root;
+    let originalPaths;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-backup-test-'));
+        originalPaths = { ...config.paths };
+        Object.assign(config.paths, {
+            db: path.join(root, 'database.db'),
+            files: path.join(root, 'files'),
+            globals: path.join(root, 'globals.json'),
+            backups: path.join(root, 'backups')
+        });
+
+        fs.mkdirSync(path.join(config.paths.files, 'minutes'), { recursive: true });
+        fs.writeFileSync(path.join(config.paths.files, 'minutes', 'agm.pdf'), 'AGM minutes');
+        fs.writeFileSync(config.paths.globals, JSON.stringify({ Unlimited: { data: 1 } }));
+    });
+
+    afterEach(async () => {
+        Object.assign(config.paths, originalPaths);
+        fs.rmSync(root, { recursive: true, force: true });
+        await world.tearDown();
+    });
+
+    const backup = (name, kind = 'scheduled') => ({ name, kind, created_at: name });
+
+    test('create writes an archive with the database, files, globals and a manifest', async () => {
+        await world.createUser('alice', {});
+        const result = await Backups.create(world.db, 'manual');
+        expect(result.getStatus()).toBe(200);
+
+        const { name, kind } = result.getData();
+        expect(kind).toBe('manual');
+        expect(Backups.list().getData().map(b => b.name)).toEqual([name]);
+
+        const entries = [];
+        await tar.t({ file: path.join(config.paths.backups, name), onentry: entry => entries.push(entry.path) });
+        expect(entries).toEqual(expect.arrayContaining(['manifest.json', 'database.db', 'globals.json', 'files/minutes/agm.pdf']));
+
+        // No staging directories are left behind
+        expect(fs.readdirSync(config.paths.backups)).toEqual([name]);
+    });
+
+    test('only one backup runs at a time', async () => {
+        const [first, second] = await Promise.all([Backups.create(world.db), Backups.create(world.db)]);
+        expect(first.getStatus()).toBe(200);
+        expect(second.getStatus()).toBe(409);
+        expect(Backups.running).toBeNull();
+    });
+
+    test('selectRetained keeps the newest backup of each recent day, week and term', () => {
+        const backups = [
+            backup('2025-11-12T18:00:00.000Z'),
+            backup('2025-11-12T06:00:00.000Z'),
+            backup('2025-11-11T06:00:00.000Z'),
+            backup('2025-11-04T06:00:00.000Z'),
+            backup('2025-10-28T06:00:00.000Z'),
+            backup('2025-06-01T06:00:00.000Z'),
+            backup('2025-02-01T06:00:00.000Z'),
+            backup('2024-11-01T06:00:00.000Z')
+        ];
+
+        const keep = Backups.selectRetained(backups, { daily: 2, weekly: 2, termly: 3 });
+        expect([...keep].sort()).toEqual([
+            '2025-02-01T06:00:00.000Z', // Epiphany 2024/25
+            '2025-06-01T06:00:00.000Z', // Easter 2024/25
+            '2025-11-04T06:00:00.000Z', // Previous week
+            '2025-11-11T06:00:00.000Z', // Previous day
+            '2025-11-12T18:00:00.000Z' // Newest, also this week and Michaelmas 2025
+        ]);
+
+        expect([...Backups.selectRetained(backups, { daily: 0, weekly: 0, termly: 0 })]).toEqual(['2025-11-12T18:00:00.000Z']);
+    });
+
+    test('runScheduled backs up when one is due and prunes old archives', async () => {
+        world.mockGlobalInt('BackupIntervalHours', 24);
+        world.mockGlobalInt('BackupKeepDaily', 1);
+        world.mockGlobalInt('BackupKeepWeekly', 0);
+        world.mockGlobalInt('BackupKeepTermly', 0);
+
+        const first = await Backups.runScheduled(world.db);
+        expect(first.getData().kind).toBe('scheduled');
+        expect(await Backups.runScheduled(world.db)).toBeNull();
+
+        const tomorrow = new Date(Date.now() + 25 * 60 * 60 * 1000);
+        const second = await Backups.runScheduled(world.db, tomorrow);
+        expect(second.getStatus()).toBe(200);
+        expect(Backups.list().getData().map(b => b.name)).toEqual([second.getData().name]);
+
+        world.mockGlobalInt('BackupIntervalHours', 0);
+        expect(await Backups.runScheduled(world.db, new Date(Date.now() + 100 * 60 * 60 * 1000))).toBeNull();
+    });
+
+    test('restore checks the archive and swaps in its database, files and globals', async () => {
+        const live = await open({ filename: config.paths.db, driver: sqlite3.Database });
+        await Migrator.migrate(live);
+        await live.run("INSERT INTO colleges (name) VALUES ('Castle')");
+        const { name } = (await Backups.create(live, 'manual')).getData();
+
+        await live.run("INSERT INTO colleges (name) VALUES ('Hatfield')");
+        await live.close();
+        fs.writeFileSync(path.join(config.paths.files, 'stray.txt'), 'not in the backup');
+        fs.writeFileSync(config.paths.globals, '{}');
+
+        const result = await Backups.restore(name);
+        expect(result.getStatus()).toBe(200);
+        expect(result.getData().safetyBackup).toMatch(/-pre-restore\.tar\.gz$/);
+
+        const restored = await open({ filename: config.paths.db, driver: sqlite3.Database });
+        expect((await restored.all('SELECT name FROM colleges')).map(c => c.name)).toEqual(['Castle']);
+        await restored.close();
+
+        expect(fs.readFileSync(path.join(config.paths.files, 'minutes', 'agm.pdf'), 'utf-8')).toBe('AGM minutes');
+        expect(fs.existsSync(path.join(config.paths.files, 'stray.txt'))).toBe(false);
+        expect(JSON.parse(fs.readFileSync(config.paths.globals, 'utf-8'))).toEqual({ Unlimited: { data: 1 } });
+    });
+
+    test('verify rejects unreadable archives and archives missing files', async () => {
+        fs.mkdirSync(config.paths.backups, { recursive: true });
+        const corrupt = path.join(config.paths.backups, 'ducc-2025-01-01T00-00-00-000Z-manual.tar.gz');
+        fs.writeFileSync(corrupt, 'not an archive');
+        expect((await Backups.verify(corrupt)).getStatus()).toBe(400);
+
+        const { name } = (await Backups.create(world.db)).getData();
+        const staging = fs.mkdtempSync(path.join(root, 'tamper-'));
+        await tar.x({ file: path.join(config.paths.backups, name), cwd: staging });
+        fs.rmSync(path.join(staging, 'files', 'minutes', 'agm.pdf'));
+        const tampered = path.join(root, 'tampered.tar.gz');
+        await tar.c({ gzip: true, file: tampered, cwd: staging }, fs.readdirSync(staging));
+
+        const result = await Backups.verify(tampered);
+        expect(result.getStatus()).toBe(400);
+        expect(result.getMessage()).toMatch(/1 file/);
+        expect((await Backups.restore(tampered)).getStatus()).toBe(400);
+
+        // Failed checks clean up after themselves
+        expect(fs.readdirSync(config.paths.backups).filter(f => f.startsWith('.'))).toEqual([]);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * ballotDraw.test.js
+ *
+ * Tests for the BallotDraw service.
+ * Covers reproducible seeded ordering, entry weighting, allocating places to winners,
+ * waitlisting everyone else in draw order, and the scheduled draw of closed ballots.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import BallotDraw from '../../server/misc/BallotDraw.js';
+
+describe('misc/BallotDraw', () => {
+    let world;
+    let eventId;
+
+    const enter = (alias, eventAlias = 'Trip') => world.db.run(
+        'INSERT INTO event_ballot_entries (event_id, user_id) VALUES (?, ?)',
+        [world.data.events[eventAlias], world.data.users[alias]]
+    );
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        world.mockGlobalInt('BallotMemberWeight', 2);
+        world.mockGlobalInt('BallotMissedWeight', 3);
+
+        eventId = await world.createEvent('Trip', {
+            max_attendees: 2,
+            upfront_cost: 40,
+            signup_required: 1,
+            ballot_closes_at: new Date(Date.now() - 60000).toISOString()
+        });
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('order is reproducible for the same seed and puts guaranteed entries first', () => {
+        const entries = [1, 2, 3, 4, 5, 6].map(id => ({ user_id: id, weight: 1, guaranteed: id === 4 }));
+
+        const first = BallotDraw.order(entries, 'abc');
+        const second = BallotDraw.order([...entries].reverse(), 'abc');
+
+        expect(first.map(e => e.user_id)).toEqual(second.map(e => e.user_id));
+        expect(first[0].user_id).toBe(4);
+    });
+
+    test('heavier entries win more often across seeds', () => {
+        const entries = [{ user_id: 1, weight: 3, guaranteed: false }, { user_id: 2, weight: 1, guaranteed: false }];
+
+        let heavyWins = 0;
+        for (let i = 0; i < 400; i++) {
+            if (BallotDraw.order(entries, `seed-${i}`)[0].user_id === 1) heavyWins++;
+        }
+
+        // Weighted sampling gives the weight-3 entry first place 75% of the time
+        expect(heavyWins / 400).toBeGreaterThan(0.65);
+        expect(heavyWins / 400).toBeLessThan(0.85);
+    });
+
+    test('weighEntries favours members, people who missed out last time and guarantees instructors', async () => {
+        await world.createUser('member', { is_member: 1 });
+        await world.createUser('unlucky', { is_member: 1 });
+        await world.createUser('coach', { is_instructor: 1 });
+
+        const pastId = await world.createEvent('PastTrip', {
+            start: new Date(Date.now() - 7 * 86400000).toISOString(),
+            ballot_closes_at: new Date(Date.now() - 8 * 86400000).toISOString(),
+            ballot_drawn_at: new Date(Date.now() - 8 * 86400000).toISOString()
+        });
+        await world.db.run("INSERT INTO event_ballot_entries (event_id, user_id, result) VALUES (?, ?, 'waitlisted')", [pastId, world.data.users['unlucky']]);
+
+        const users = await world.db.all('SELECT id AS user_id, is_member, is_instructor FROM users ORDER BY id');
+        const weighted = await BallotDraw.weighEntries(world.db, eventId, users);
+        const byUser = Object.fromEntries(weighted.map(w => [w.user_id, w]));
+
+        expect(byUser[world.data.users['member']].weight).toBe(2);
+        expect(byUser[world.data.users['unlucky']].weight).toBe(6);
+        expect(byUser[world.data.users['coach']]).toMatchObject({ weight: 1, guaranteed: true });
+    });
+
+    test('draw signs up and charges the winners and waitlists the rest in draw order', async () => {
+        for (const alias of ['a', 'b', 'c', 'd']) {
+            await world.createUser(alias, { is_member: 1 });
+            await enter(alias);
+        }
+
+        const result = await BallotDraw.draw(world.db, eventId, 'fixed-seed');
+        expect(result.getStatus()).toBe(200);
+        expect(result.getData()).toMatchObject({ seed: 'fixed-seed', won: 2, waitlisted: 2, ineligible: 0 });
+
+        const entries = await world.db.all('SELECT user_id, draw_position, result FROM event_ballot_entries WHERE event_id = ? ORDER BY draw_position', [eventId]);
+        const winners = entries.filter(e => e.result === 'won').map(e => e.user_id);
+        const losers = entries.filter(e => e.result === 'waitlisted').map(e => e.user_id);
+        expect(entries.slice(0, 2).map(e => e.user_id)).toEqual(winners);
+
+        const attendees = await world.db.all('SELECT user_id FROM event_attendees WHERE event_id = ? AND is_attending = 1', [eventId]);
+        expect(attendees.map(a => a.user_id).sort()).toEqual([...winners].sort());
+
+        const charges = await world.db.all('SELECT user_id, amount FROM transactions WHERE event_id = ?', [eventId]);
+        expect(charges.map(c => c.user_id).sort()).toEqual([...winners].sort());
+        expect(charges.every(c => c.amount === -40)).toBe(true);
+
+        const waitlist = await world.db.all('SELECT user_id FROM event_waiting_list WHERE event_id = ? ORDER BY joined_at, id', [eventId]);
+        expect(waitlist.map(w => w.user_id)).toEqual(losers);
+
+        const event = await world.db.get('SELECT ballot_drawn_at, ballot_seed FROM events WHERE id = ?', [eventId]);
+        expect(event.ballot_drawn_at).not.toBeNull();
+        expect(event.ballot_seed).toBe('fixed-seed');
+    });
+
+    test('draw skips entrants who can no longer take a place', async () => {
+        await world.createUser('ready', { is_member: 1 });
+        await world.createUser('no_sessions', { is_member: 0, free_sessions: 0 });
+        await enter('ready');
+        await enter('no_sessions');
+
+        const result = await BallotDraw.draw(world.db, eventId, 'seed');
+        expect(result.getData()).toMatchObject({ won: 1, ineligible: 1 });
+
+        const entry = await world.db.get('SELECT result FROM event_ballot_entries WHERE user_id = ?', [world.data.users['no_sessions']]);
+        expect(entry.result).toBe('ineligible');
+    });
+
+    test('draw refuses open or already drawn ballots', async () => {
+        const openId = await world.createEvent('OpenBallot', { ballot_closes_at: new Date(Date.now() + 60000).toISOString() });
+        expect((await BallotDraw.draw(world.db, openId)).getStatus()).toBe(400);
+
+        expect((await BallotDraw.draw(world.db, eventId)).getStatus()).toBe(200);
+        expect((await BallotDraw.draw(world.db, eventId)).getStatus()).toBe(409);
+    });
+
+    test('drawDue draws every closed ballot that has not been drawn', async () => {
+        await world.createEvent('Later', { ballot_closes_at: new Date(Date.now() + 60000).toISOString() });
+
+        expect(await BallotDraw.drawDue(world.db)).toBe(1);
+        expect(await BallotDraw.drawDue(world.db)).toBe(0);
+    });
+});
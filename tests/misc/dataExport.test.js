@@ -0,0 +1,116 @@
+/**
+ * dataExport.test.js
+ *
+ * Tests for subject access exports.
+ * Covers gathering every section of a member's data, CSV formatting,
+ * and the contents of the downloadable archive.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import tar from 'tar';
+import TestWorld from '../utils/TestWorld.js';
+import DataExport from '../../server/misc/DataExport.js';
+import config from '../../server/config.js';
+
+describe('misc/DataExport', () => {
+    let world;
+    let filesDir;
+    let originalFiles;
+    let userId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        filesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-export-test-'));
+        originalFiles = config.paths.files;
+        config.paths.files = filesDir;
+
+        userId = await world.createUser('alice', {
+            first_name: 'Alice',
+            email: 'alice@durham.ac.uk',
+            medical_conditions_details: 'Asthma',
+            hashed_password: 'secret-hash',
+            calendar_token: 'private-token'
+        });
+        await world.createUser('bob', {});
+        await world.createRole('Treasurer', []);
+        await world.db.run('INSERT INTO user_roles (user_id, role_id) VALUES (?, ?)', [userId, world.data.roles['Treasurer']]);
+
+        await world.createEvent('trip', { title: 'River Trip' });
+        await world.createEvent('full', { title: 'Sea Trip' });
+        await world.joinEvent('alice', 'trip');
+        await world.db.run('INSERT INTO event_waiting_list (event_id, user_id) VALUES (?, ?)', [world.data.events['full'], userId]);
+        await world.db.run('INSERT INTO swim_history (user_id, added_by, count) VALUES (?, ?, 2)', [userId, world.data.users['bob']]);
+        await world.addTransaction('alice', 20, 'Top up');
+        await world.addTransaction('alice', -5, '=HYPERLINK("x")');
+        await world.addTransaction('bob', -50, 'Not Alice');
+    });
+
+    afterEach(async () => {
+        config.paths.files = originalFiles;
+        fs.rmSync(filesDir, { recursive: true, force: true });
+        await world.tearDown();
+    });
+
+    test('collect gathers every section for the user and leaves out credentials', async () => {
+        const result = await DataExport.collect(world.db, userId);
+        expect(result.getStatus()).toBe(200);
+        const data = result.getData();
+
+        expect(data.profile).toMatchObject({ email: 'alice@durham.ac.uk', medical_conditions_details: 'Asthma', college_name: expect.any(String) });
+        expect(data.profile).not.toHaveProperty('hashed_password');
+        expect(data.profile).not.toHaveProperty('calendar_token');
+
+        expect(data.transactions.map(t => [t.amount, t.balance_after])).toEqual([[-5, 15], [20, 20]]);
+        expect(data.attendance).toEqual([expect.objectContaining({ event_title: 'River Trip', is_attending: 1 })]);
+        expect(data.waitlist).toEqual([expect.objectContaining({ event_title: 'Sea Trip' })]);
+        expect(data.swims).toEqual([expect.objectContaining({ count: 2 })]);
+        expect(data.roles.map(r => r.name)).toEqual(['Treasurer']);
+
+        expect((await DataExport.collect(world.db, 9999)).getStatus()).toBe(404);
+    });
+
+    test('toCsv quotes special characters and defuses spreadsheet formulas', () => {
+        const csv = DataExport.toCsv([
+            { amount: -5, description: '=SUM(A1)' },
+            { amount: 3, description: 'Kit, "new"' },
+            { amount: 1, description: null }
+        ]);
+        expect(csv).toBe('amount,description\n-5,\'=SUM(A1)\n3,"Kit, ""new"""\n1,\n');
+        expect(DataExport.toCsv([])).toBe('');
+    });
+
+    test('createArchive bundles JSON, a CSV per section and the profile picture', async () => {
+        fs.writeFileSync(path.join(filesDir, 'alice.png'), 'picture bytes');
+        const fileId = await world.createFile('alice', { filename: 'alice.png' });
+        await world.db.run('UPDATE users SET profile_picture_id = ? WHERE id = ?', [fileId, userId]);
+
+        const result = await DataExport.createArchive(world.db, userId);
+        expect(result.getStatus()).toBe(200);
+        const { archive, downloadName } = result.getData();
+        expect(downloadName).toMatch(new RegExp(`^ducc-data-export-${userId}-\\d{4}-\\d{2}-\\d{2}\\.tar\\.gz$`));
+
+        const extracted = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-export-extract-'));
+        try {
+            await tar.x({ file: archive, cwd: extracted });
+            expect(fs.readdirSync(extracted).sort()).toEqual([
+                'attendance.csv', 'data.json', 'profile-picture.png', 'profile.csv', 'roles.csv',
+                'swims.csv', 'tag_whitelists.csv', 'transactions.csv', 'waitlist.csv'
+            ]);
+
+            const data = JSON.parse(fs.readFileSync(path.join(extracted, 'data.json'), 'utf-8'));
+            expect(data.profile_picture).toBe('profile-picture.png');
+            expect(fs.readFileSync(path.join(extracted, 'profile-picture.png'), 'utf-8')).toBe('picture bytes');
+
+            const transactions = fs.readFileSync(path.join(extracted, 'transactions.csv'), 'utf-8');
+            expect(transactions).toContain('balance_after');
+            expect(transactions).not.toContain('Not Alice');
+        } finally {
+            fs.rmSync(extracted, { recursive: true, force: true });
+            fs.rmSync(archive, { force: true });
+        }
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * dataRetention.test.js
+ *
+ * Tests for the DataRetention service.
+ * Covers which members' health data and which deleted accounts fall due under the policy,
+ * the dry-run report, applying only approved records, and expiring password reset links.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import DataRetention from '../../server/misc/DataRetention.js';
+import UserDB from '../../server/db/userDB.js';
+
+describe('misc/DataRetention', () => {
+    let world;
+    const now = new Date('2026-06-01T00:00:00.000Z');
+
+    const health = {
+        emergency_contact_name: 'Parent',
+        emergency_contact_phone: '07123456789',
+        has_medical_conditions: 1,
+        medical_conditions_details: 'Asthma'
+    };
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        world.mockGlobalInt('RetentionHealthMonths', 12);
+        world.mockGlobalInt('RetentionDeletedAccountYears', 6);
+
+        await world.createUser('stale', { ...health, legal_filled_at: '2025-01-01T10:00:00.000Z', agrees_to_keep_health_data: 0 });
+        await world.createUser('recent', { ...health, legal_filled_at: '2026-01-01T10:00:00.000Z', agrees_to_keep_health_data: 0 });
+        await world.createUser('keeper', { ...health, legal_filled_at: '2025-01-01T10:00:00.000Z', agrees_to_keep_health_data: 1 });
+        await world.createUser('nonKeeper', { ...health, legal_filled_at: '2025-01-01T10:00:00.000Z', agrees_to_keep_health_data: 0 });
+        await world.createEvent('spring', { start: '2026-03-01T10:00:00.000Z', end: '2026-03-01T12:00:00.000Z' });
+        await world.joinEvent('keeper', 'spring');
+        await world.joinEvent('nonKeeper', 'spring');
+
+        await world.createUser('longGone', { email: 'deleted:gone@test.com', filled_legal_info: 0, deleted_at: '2019-05-01 12:00:00' });
+        await world.createUser('recentlyGone', { email: 'deleted:recent@test.com', filled_legal_info: 0, deleted_at: '2024-05-01 12:00:00' });
+        await world.addTransaction('longGone', -5, 'Old trip');
+
+        await world.db.run('INSERT INTO password_resets (user_id, token, expires_at) VALUES (?, ?, ?)', [world.data.users['stale'], 'expired', '2026-05-31T23:00:00.000Z']);
+        await world.db.run('INSERT INTO password_resets (user_id, token, expires_at) VALUES (?, ?, ?)', [world.data.users['recent'], 'valid', '2026-06-01T01:00:00.000Z']);
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('report lists health data and deleted accounts past their retention period without changing anything', async () => {
+        const result = await DataRetention.report(world.db, now);
+        expect(result.getStatus()).toBe(200);
+        const report = result.getData();
+
+        expect(report.policy).toEqual({ healthMonths: 12, deletedAccountYears: 6 });
+        expect(report.health.cutoff).toBe('2025-06-01T00:00:00.000Z');
+        // Attendance only extends the period for members who agreed to their health data being kept
+        expect(report.health.users.map(u => u.first_name).sort()).toEqual(['nonKeeper', 'stale']);
+        expect(report.deletedAccounts.users.map(u => u.id)).toEqual([world.data.users['longGone']]);
+        expect(report.passwordResets.expired).toBe(1);
+
+        const stale = await world.db.get('SELECT medical_conditions_details FROM users WHERE id = ?', [world.data.users['stale']]);
+        expect(stale.medical_conditions_details).toBe('Asthma');
+    });
+
+    test('apply purges only the approved records that are still due', async () => {
+        const result = await DataRetention.apply(world.db, {
+            health: [world.data.users['stale'], world.data.users['recent']],
+            deletedAccounts: [world.data.users['longGone'], world.data.users['recentlyGone']]
+        }, now);
+        expect(result.getStatus()).toBe(200);
+        expect(result.getData()).toEqual({
+            health: [world.data.users['stale']],
+            deletedAccounts: [world.data.users['longGone']],
+            passwordResets: 1
+        });
+
+        const stale = await world.db.get('SELECT * FROM users WHERE id = ?', [world.data.users['stale']]);
+        expect(stale).toMatchObject({ emergency_contact_name: null, medical_conditions_details: null, filled_legal_info: 0, legal_filled_at: null });
+        expect(stale.college_id).toBe(1);
+
+        // Due but not approved, so left alone
+        const nonKeeper = await world.db.get('SELECT medical_conditions_details FROM users WHERE id = ?', [world.data.users['nonKeeper']]);
+        expect(nonKeeper.medical_conditions_details).toBe('Asthma');
+        const recent = await world.db.get('SELECT medical_conditions_details FROM users WHERE id = ?', [world.data.users['recent']]);
+        expect(recent.medical_conditions_details).toBe('Asthma');
+
+        expect(await world.db.get('SELECT id FROM users WHERE id = ?', [world.data.users['longGone']])).toBeUndefined();
+        expect(await world.db.get('SELECT id FROM transactions WHERE user_id = ?', [world.data.users['longGone']])).toBeUndefined();
+        expect(await world.db.get('SELECT id FROM users WHERE id = ?', [world.data.users['recentlyGone']])).toBeDefined();
+
+        expect((await world.db.all('SELECT token FROM password_resets')).map(r => r.token)).toEqual(['valid']);
+    });
+
+    test('a period of 0 keeps that data indefinitely', async () => {
+        world.mockGlobalInt('RetentionHealthMonths', 0);
+        world.mockGlobalInt('RetentionDeletedAccountYears', 0);
+
+        const report = (await DataRetention.report(world.db, now)).getData();
+        expect(report.health).toEqual({ cutoff: null, users: [] });
+        expect(report.deletedAccounts).toEqual({ cutoff: null, users: [] });
+    });
+
+    test('deleting an account records when it happened', async () => {
+        const userId = world.data.users['stale'];
+        expect((await UserDB.removeUser(world.db, userId)).getStatus()).toBe(200);
+
+        const user = await world.db.get('SELECT email, deleted_at FROM users WHERE id = ?', [userId]);
+        expect(user.email).toBe('deleted:stale@test.com');
+        expect(user.deleted_at).not.toBeNull();
+    });
+});
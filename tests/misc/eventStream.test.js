@@ -0,0 +1,92 @@
+/**
+ * eventStream.test.js
+ *
+ * Tests for the Server-Sent Events broadcaster.
+ * Covers the initial state snapshot, routing updates to subscribers of each event,
+ * announcing deleted events, and dropping clients when they disconnect.
+ */
+
+import { EventEmitter } from 'events';
+import TestWorld from '../utils/TestWorld.js';
+import EventStream from '../../server/misc/EventStream.js';
+
+/**
+ * Build a fake request/response pair that records everything written to the stream.
+ */
+function fakeConnection() {
+    const req = new EventEmitter();
+    const res = {
+        chunks: [],
+        writeHead(status, headers) { this.status = status; this.headers = headers; },
+        write(chunk) { this.chunks.push(chunk); }
+    };
+    const updates = () => res.chunks.filter(c => c.startsWith('event: update')).map(c => JSON.parse(c.split('data: ')[1]));
+    return { req, res, updates };
+}
+
+describe('misc/EventStream', () => {
+    let world;
+    let eventId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        eventId = await world.createEvent('River Trip', { max_attendees: 4 });
+        await world.createUser('coach', { is_instructor: 1 });
+        await world.joinEvent('coach', 'River Trip');
+    });
+
+    afterEach(async () => {
+        EventStream.clients.clear();
+        EventStream._stopHeartbeat();
+        await world.tearDown();
+    });
+
+    test('subscribe opens an SSE response and sends the current state', async () => {
+        const conn = fakeConnection();
+        await EventStream.subscribe(world.db, conn.req, conn.res, [eventId]);
+
+        expect(conn.res.status).toBe(200);
+        expect(conn.res.headers['Content-Type']).toBe('text/event-stream');
+        expect(conn.res.chunks[0]).toMatch(/^retry: \d+/);
+        expect(conn.updates()).toEqual([{
+            id: eventId, attendee_count: 1, max_attendees: 4, waitlist_count: 0, coach_count: 1, is_canceled: false
+        }]);
+    });
+
+    test('publishEventState only reaches subscribers of the changed event', async () => {
+        const otherId = await world.createEvent('Pool Session');
+        const watching = fakeConnection();
+        const elsewhere = fakeConnection();
+        await EventStream.subscribe(world.db, watching.req, watching.res, [eventId]);
+        await EventStream.subscribe(world.db, elsewhere.req, elsewhere.res, [otherId]);
+
+        await world.createUser('paddler', {});
+        await world.joinEvent('paddler', 'River Trip');
+        await EventStream.publishEventState(world.db, eventId);
+
+        expect(watching.updates().at(-1)).toMatchObject({ id: eventId, attendee_count: 2 });
+        expect(elsewhere.updates().every(u => u.id === otherId)).toBe(true);
+    });
+
+    test('deleted events are announced', async () => {
+        const conn = fakeConnection();
+        await EventStream.subscribe(world.db, conn.req, conn.res, [eventId]);
+
+        await world.db.run('DELETE FROM events WHERE id = ?', [eventId]);
+        await EventStream.publishEventState(world.db, eventId);
+
+        expect(conn.updates().at(-1)).toEqual({ id: eventId, deleted: true });
+    });
+
+    test('clients are dropped when the connection closes', async () => {
+        const conn = fakeConnection();
+        await EventStream.subscribe(world.db, conn.req, conn.res, [eventId]);
+        expect(EventStream.heartbeat).not.toBeNull();
+
+        conn.req.emit('close');
+        expect(EventStream.clients.size).toBe(0);
+        expect(EventStream.heartbeat).toBeNull();
+        expect(EventStream.publish(eventId, { id: eventId })).toBe(0);
+    });
+});
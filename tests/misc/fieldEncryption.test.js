@@ -0,0 +1,106 @@
+/**
+ * fieldEncryption.test.js
+ *
+ * Tests for encryption of sensitive user columns.
+ * Covers sealing and opening values, rejecting tampered or moved values, transparent use through UserDB,
+ * key rotation and the migration encrypting existing rows.
+ */
+
+import crypto from 'crypto';
+import TestWorld from '../utils/TestWorld.js';
+import FieldEncryption from '../../server/misc/FieldEncryption.js';
+import UserDB from '../../server/db/userDB.js';
+import DataExport from '../../server/misc/DataExport.js';
+import * as encryptMigration from '../../server/db/migrations/003_encrypt_user_fields.js';
+import config from '../../server/config.js';
+
+describe('misc/FieldEncryption', () => {
+    let world;
+    let originalEncryption;
+    let userId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        originalEncryption = { ...config.encryption };
+        userId = await world.createUser('alice', {});
+    });
+
+    afterEach(async () => {
+        Object.assign(config.encryption, originalEncryption);
+        await world.tearDown();
+    });
+
+    const storedValue = async (field) => (await world.db.get(`SELECT ${field} FROM users WHERE id = ?`, [userId]))[field];
+
+    test('values round trip, with a fresh IV each time', () => {
+        const first = FieldEncryption.encrypt('home_address', '1 Palace Green');
+        const second = FieldEncryption.encrypt('home_address', '1 Palace Green');
+
+        expect(first).toMatch(/^enc:v1:[0-9a-f]{8}:/);
+        expect(first).not.toBe(second);
+        expect(FieldEncryption.decrypt('home_address', first)).toBe('1 Palace Green');
+        expect(FieldEncryption.encrypt('home_address', null)).toBeNull();
+        expect(FieldEncryption.encrypt('home_address', first)).toBe(first);
+        expect(FieldEncryption.decrypt('home_address', 'legacy plaintext')).toBe('legacy plaintext');
+    });
+
+    test('tampered values and values moved to another column are rejected', () => {
+        const sealed = FieldEncryption.encrypt('medical_conditions_details', 'Asthma');
+        expect(() => FieldEncryption.decrypt('home_address', sealed)).toThrow();
+
+        const parts = sealed.split(':');
+        parts[parts.length - 1] = Buffer.from('Nothing').toString('base64url');
+        expect(() => FieldEncryption.decrypt('medical_conditions_details', parts.join(':'))).toThrow();
+    });
+
+    test('UserDB encrypts on write and decrypts on read', async () => {
+        await UserDB.writeElementsById(world.db, userId, { home_address: '1 Palace Green', medication_details: 'Inhaler', phone_number: '07123456789' });
+
+        expect(FieldEncryption.isEncrypted(await storedValue('home_address'))).toBe(true);
+        expect(FieldEncryption.isEncrypted(await storedValue('medication_details'))).toBe(true);
+        expect(await storedValue('phone_number')).toBe('07123456789');
+
+        const elements = await UserDB.getElements(world.db, userId, ['home_address', 'medication_details']);
+        expect(elements.getData()).toEqual({ home_address: '1 Palace Green', medication_details: 'Inhaler' });
+
+        const profile = await UserDB.getUserProfile(world.db, userId, ['home_address', 'first_name'], false);
+        expect(profile.getData()).toEqual({ home_address: '1 Palace Green', first_name: 'alice' });
+
+        const exported = await DataExport.collect(world.db, userId);
+        expect(exported.getData().profile.medication_details).toBe('Inhaler');
+    });
+
+    test('rotate re-encrypts values under the new key while the old key is still readable', async () => {
+        await UserDB.writeElementsById(world.db, userId, { home_address: '1 Palace Green' });
+        const oldKeyId = FieldEncryption.currentKeyId();
+
+        config.encryption.key = crypto.randomBytes(32).toString('base64');
+        config.encryption.previousKeys = [originalEncryption.key];
+        expect((await UserDB.getElements(world.db, userId, ['home_address'])).getData().home_address).toBe('1 Palace Green');
+
+        const result = await FieldEncryption.rotate(world.db);
+        expect(result.getData().updated).toBe(1);
+        expect(await FieldEncryption.keyUsage(world.db)).toEqual({ [FieldEncryption.currentKeyId()]: 1 });
+
+        config.encryption.previousKeys = [];
+        expect((await UserDB.getElements(world.db, userId, ['home_address'])).getData().home_address).toBe('1 Palace Green');
+
+        // Values under a key that is no longer configured cannot be read
+        config.encryption.key = originalEncryption.key;
+        expect(FieldEncryption.currentKeyId()).toBe(oldKeyId);
+        expect((await UserDB.getElements(world.db, userId, ['home_address'])).getStatus()).toBe(500);
+    });
+
+    test('the migration encrypts existing plaintext rows and rolling back restores them', async () => {
+        await world.db.run("UPDATE users SET emergency_contact_name = 'Parent', medical_conditions_details = 'Asthma' WHERE id = ?", [userId]);
+        expect(await FieldEncryption.keyUsage(world.db)).toEqual({ plaintext: 2 });
+
+        await encryptMigration.up(world.db);
+        expect(FieldEncryption.isEncrypted(await storedValue('emergency_contact_name'))).toBe(true);
+        expect((await UserDB.getElements(world.db, userId, ['medical_conditions_details'])).getData().medical_conditions_details).toBe('Asthma');
+
+        await encryptMigration.down(world.db);
+        expect(await storedValue('medical_conditions_details')).toBe('Asthma');
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * ical.test.js
+ *
+ * Unit tests for iCalendar serialisation.
+ * Covers text escaping, line folding, and the VEVENT fields emitted per event.
+ */
+
+import ICal from '../../server/misc/ical.js';
+
+describe('misc/ical', () => {
+    const event = {
+        id: 42,
+        title: 'Pool Session, Beginners; Week 1',
+        description: 'Bring a towel\nand a snack',
+        location: 'Durham',
+        start: '2025-01-06T18:00:00.000Z',
+        end: '2025-01-06T20:00:00.000Z',
+        is_canceled: 0,
+        tags: [{ name: 'Pool' }]
+    };
+
+    test('escapeText escapes commas, semicolons, backslashes and newlines', () => {
+        expect(ICal.escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+    });
+
+    test('formatDate produces a UTC date-time', () => {
+        expect(ICal.formatDate('2025-01-06T18:00:00.000Z')).toBe('20250106T180000Z');
+    });
+
+    test('foldLine keeps every physical line within 75 octets', () => {
+        const folded = ICal.foldLine(`SUMMARY:${'é'.repeat(100)}`);
+        const lines = folded.split('\r\n');
+        expect(lines.length).toBeGreaterThan(1);
+        expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(lines.slice(1).every(line => line.startsWith(' '))).toBe(true);
+    });
+
+    test('buildCalendar emits a confirmed VEVENT with a stable UID', () => {
+        const ics = ICal.buildCalendar([event], { baseUrl: 'https://example.com' });
+        expect(ics.startsWith('BEGIN:VCALENDAR\r\n')).toBe(true);
+        expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+        expect(ics).toContain('UID:event-42@ducc');
+        expect(ics).toContain('DTSTART:20250106T180000Z');
+        expect(ics).toContain('SUMMARY:Pool Session\\, Beginners\\; Week 1');
+        expect(ics).toContain('STATUS:CONFIRMED');
+        expect(ics).toContain('URL:https://example.com/event/42');
+
+        const edited = ICal.buildCalendar([{ ...event, title: 'Renamed', start: '2025-01-07T18:00:00.000Z' }]);
+        expect(edited).toContain('UID:event-42@ducc');
+    });
+
+    test('Canceled events are marked as cancelled', () => {
+        const ics = ICal.buildCalendar([{ ...event, is_canceled: 1 }]);
+        expect(ics).toContain('STATUS:CANCELLED');
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * loginSecurity.test.js
+ *
+ * Tests for per-account login defences.
+ * Covers progressive lockout after failed passwords and codes, the login history, alerts for logins from
+ * new devices, and admins viewing and clearing lockouts.
+ */
+
+import request from 'supertest';
+import express from 'express';
+import session from 'express-session';
+import { Authenticator } from 'passport';
+import bcrypt from 'bcrypt';
+import TestWorld from '../utils/TestWorld.js';
+import AuthAPI from '../../server/api/AuthAPI.js';
+import AdminUsersAPI from '../../server/api/admin/AdminUsersAPI.js';
+import LoginSecurity from '../../server/misc/LoginSecurity.js';
+import TwoFactor from '../../server/misc/TwoFactor.js';
+import TwoFactorDB from '../../server/db/twoFactorDB.js';
+
+describe('misc/LoginSecurity', () => {
+    let world, app, userId;
+    const password = 'password123';
+    const firefox = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:128.0) Gecko/20100101 Firefox/128.0';
+    const safari = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.5 Mobile/15E148 Safari/604.1';
+
+    const login = (pass, userAgent = firefox, agent = request(app)) =>
+        agent.post('/api/auth/login').set('User-Agent', userAgent).send({ email: 'alice@test.com', password: pass });
+
+    const failTimes = async (count) => {
+        for (let i = 0; i < count; i++) await login('wrong');
+    };
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        const hashed = await bcrypt.hash(password, 4);
+        await world.createRole('Admin', ['user.manage']);
+        userId = await world.createUser('alice', { hashed_password: hashed });
+        await world.createUser('admin', {}, ['Admin']);
+
+        const passport = new Authenticator();
+        app = express();
+        app.use(express.json());
+        app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+        app.use(passport.initialize());
+        app.use(passport.session());
+        app.use((req, res, next) => {
+            req.db = world.db;
+            next();
+        });
+        new AuthAPI(app, world.db, passport).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('repeated wrong passwords lock the account, for longer each time', async () => {
+        await failTimes(LoginSecurity.MAX_FAILURES - 1);
+        expect((await login('wrong')).statusCode).toBe(423);
+
+        const locked = await login(password);
+        expect(locked.statusCode).toBe(423);
+        expect(locked.body.message).toMatch(/Try again in 5 minutes/);
+
+        await world.db.run("UPDATE login_lockouts SET locked_until = datetime('now', '-1 minute')");
+        await failTimes(LoginSecurity.MAX_FAILURES - 1);
+        const second = await login('wrong');
+        expect(second.statusCode).toBe(423);
+        expect(second.body.message).toMatch(/Try again in 10 minutes/);
+
+        expect(LoginSecurity.lockMinutes(20)).toBe(LoginSecurity.MAX_LOCK_MINUTES);
+    });
+
+    test('a successful login clears the count, and old failures are forgotten', async () => {
+        await failTimes(LoginSecurity.MAX_FAILURES - 1);
+        expect((await login(password)).statusCode).toBe(200);
+        await failTimes(LoginSecurity.MAX_FAILURES - 1);
+        expect((await login(password)).statusCode).toBe(200);
+
+        await failTimes(LoginSecurity.MAX_FAILURES - 1);
+        await world.db.run("UPDATE login_lockouts SET last_failed_at = datetime('now', '-2 days')");
+        expect((await login('wrong')).statusCode).toBe(401);
+        expect((await world.db.get('SELECT failed_count FROM login_lockouts')).failed_count).toBe(1);
+    });
+
+    test('wrong two-factor codes count towards the lockout', async () => {
+        await TwoFactorDB.savePendingSecret(world.db, userId, TwoFactor.generateSecret());
+        await TwoFactorDB.confirm(world.db, userId, 0, []);
+        await world.db.run('INSERT INTO login_lockouts (user_id, failed_count, last_failed_at) VALUES (?, ?, ?)',
+            [userId, LoginSecurity.MAX_FAILURES - 1, new Date().toISOString()]);
+
+        const agent = request.agent(app);
+        expect((await login(password, firefox, agent)).body.twoFactorRequired).toBe(true);
+        const res = await agent.post('/api/auth/login/2fa').send({ code: '000000' });
+        expect(res.statusCode).toBe(423);
+        expect(res.body.lockedUntil).toBeDefined();
+    });
+
+    test('every attempt is kept in the login history', async () => {
+        await login('wrong');
+        await login(password);
+
+        const history = await world.db.all('SELECT success, reason, user_agent FROM login_history WHERE user_id = ? ORDER BY id', [userId]);
+        expect(history).toEqual([
+            { success: 0, reason: 'password', user_agent: firefox },
+            { success: 1, reason: null, user_agent: firefox }
+        ]);
+    });
+
+    test('logging in from a new device alerts the member, but not the first login or a known device', async () => {
+        await login(password, firefox);
+        await login(password, firefox);
+        expect((await world.db.get('SELECT COUNT(*) AS n FROM notifications')).n).toBe(0);
+
+        await login(password, safari);
+        const notification = await world.db.get("SELECT * FROM notifications WHERE category = 'security'");
+        expect(notification.title).toBe('New login from Safari on iOS');
+        const email = await world.db.get("SELECT * FROM email_outbox WHERE template = 'newDeviceLogin'");
+        expect(email.to_address).toBe('alice@test.com');
+    });
+
+    test('admins can view and clear a lockout, which is audited', async () => {
+        new AdminUsersAPI(world.app, world.db).registerRoutes();
+        await failTimes(LoginSecurity.MAX_FAILURES);
+
+        expect((await world.as('alice').get(`/api/admin/user/${userId}/logins`)).statusCode).toBe(403);
+
+        const summary = await world.as('admin').get(`/api/admin/user/${userId}/logins`);
+        expect(summary.body.lockout).toMatchObject({ failed_count: LoginSecurity.MAX_FAILURES, locked: true });
+        expect(summary.body.history).toHaveLength(LoginSecurity.MAX_FAILURES);
+        expect(summary.body.history[0]).toMatchObject({ success: false, reason: 'password', device: 'Firefox on Windows' });
+
+        expect((await world.as('admin').delete(`/api/admin/user/${userId}/lockout`)).statusCode).toBe(200);
+        expect((await world.as('admin').delete(`/api/admin/user/${userId}/lockout`)).statusCode).toBe(404);
+        expect((await login(password)).statusCode).toBe(200);
+
+        const audit = await world.db.get("SELECT * FROM audit_log WHERE action = 'user.lockout.clear'");
+        expect(audit.target_id).toBe(String(userId));
+    });
+});
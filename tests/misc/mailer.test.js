@@ -0,0 +1,132 @@
+/**
+ * mailer.test.js
+ *
+ * Tests for the Mailer service and its transports.
+ * Covers template rendering, delivery through the JSON file outbox, retrying failed deliveries
+ * with backoff, and periodic reminders for members in debt.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import TestWorld from '../utils/TestWorld.js';
+import Mailer from '../../server/misc/Mailer.js';
+import { FileTransport, createTransport, NoopTransport } from '../../server/misc/MailTransports.js';
+
+describe('misc/Mailer', () => {
+    let world;
+    let outboxDir;
+    let transport;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+
+        outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ducc-mail-test-'));
+        transport = new FileTransport(outboxDir);
+        Mailer.setTransport(transport);
+
+        await world.createUser('alice', { first_name: 'Alice', email: 'alice@durham.ac.uk' });
+    });
+
+    afterEach(async () => {
+        Mailer.setTransport(null);
+        fs.rmSync(outboxDir, { recursive: true, force: true });
+        await world.tearDown();
+    });
+
+    const failingTransport = { send: async () => { throw new Error('Connection refused'); } };
+
+    test('render produces a subject, text and escaped HTML body', () => {
+        const rendered = Mailer.render('waitlistOffer', {
+            first_name: '<Alice>',
+            eventId: 4,
+            eventTitle: 'River Trip',
+            eventStart: '2025-10-04T09:00:00.000Z',
+            expiresAt: '2025-10-03T21:00:00.000Z'
+        });
+
+        expect(rendered.subject).toBe('A place has opened up on River Trip');
+        expect(rendered.text).toContain('/event/4');
+        expect(rendered.html).toContain('&lt;Alice&gt;');
+        expect(rendered.html).not.toContain('<Alice>');
+        expect(() => Mailer.render('missing', {})).toThrow();
+    });
+
+    test('send writes the message to the file outbox and marks it sent', async () => {
+        const result = await Mailer.send(world.db, world.data.users['alice'], 'welcome');
+        expect(result.getStatus()).toBe(200);
+
+        const [message] = await transport.readAll();
+        expect(message).toMatchObject({ to: 'alice@durham.ac.uk', subject: 'Welcome to DUCC' });
+        expect(message.text).toContain('Hi Alice');
+        expect(message.html).toContain('<html>');
+
+        const row = await world.db.get('SELECT status, attempts, sent_at FROM email_outbox WHERE id = ?', [result.getData()]);
+        expect(row).toMatchObject({ status: 'sent', attempts: 1 });
+        expect(row.sent_at).not.toBeNull();
+    });
+
+    test('queue skips deleted accounts', async () => {
+        await world.createUser('gone', { email: 'deleted:gone@durham.ac.uk' });
+        const result = await Mailer.queue(world.db, world.data.users['gone'], 'welcome');
+        expect(result.getStatus()).toBe(404);
+    });
+
+    test('failed deliveries are retried with backoff and given up on after the last attempt', async () => {
+        Mailer.setTransport(failingTransport);
+        const id = (await Mailer.send(world.db, world.data.users['alice'], 'welcome')).getData();
+
+        let row = await world.db.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+        expect(row).toMatchObject({ status: 'pending', attempts: 1, last_error: 'Connection refused' });
+        expect(new Date(row.next_attempt_at).getTime()).toBeGreaterThan(Date.now());
+
+        // Not due yet, so the sweeper leaves it alone
+        expect(await Mailer.processOutbox(world.db)).toBe(0);
+        expect((await world.db.get('SELECT attempts FROM email_outbox WHERE id = ?', [id])).attempts).toBe(1);
+
+        for (let i = 1; i < Mailer.MAX_ATTEMPTS; i++) {
+            await world.db.run('UPDATE email_outbox SET next_attempt_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), id]);
+            await Mailer.processOutbox(world.db);
+        }
+
+        row = await world.db.get('SELECT * FROM email_outbox WHERE id = ?', [id]);
+        expect(row).toMatchObject({ status: 'failed', attempts: Mailer.MAX_ATTEMPTS, next_attempt_at: null });
+    });
+
+    test('processOutbox delivers queued messages once the transport recovers', async () => {
+        Mailer.setTransport(failingTransport);
+        const id = (await Mailer.send(world.db, world.data.users['alice'], 'welcome')).getData();
+        await world.db.run('UPDATE email_outbox SET next_attempt_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), id]);
+
+        Mailer.setTransport(transport);
+        expect(await Mailer.processOutbox(world.db)).toBe(1);
+        expect(await transport.readAll()).toHaveLength(1);
+    });
+
+    test('queueDebtReminders emails members in debt no more often than the reminder interval', async () => {
+        world.mockGlobalInt('DebtReminderDays', 7);
+        world.mockGlobalFloat('MinMoney', -25);
+        await world.createUser('solvent', {});
+        await world.db.run('INSERT INTO transactions (user_id, amount, description) VALUES (?, ?, ?)', [world.data.users['alice'], -12.5, 'Trip']);
+        await world.db.run('INSERT INTO transactions (user_id, amount, description) VALUES (?, ?, ?)', [world.data.users['solvent'], 5, 'Top up']);
+
+        expect(await Mailer.queueDebtReminders(world.db)).toBe(1);
+        expect(await Mailer.queueDebtReminders(world.db)).toBe(0);
+
+        const message = await world.db.get("SELECT * FROM email_outbox WHERE template = 'debtWarning'");
+        expect(message.user_id).toBe(world.data.users['alice']);
+        expect(message.text_body).toContain('-£12.50');
+        expect(message.text_body).toContain('-£25.00');
+
+        await world.db.run('UPDATE email_outbox SET created_at = ?', [new Date(Date.now() - 8 * 86400000).toISOString()]);
+        expect(await Mailer.queueDebtReminders(world.db)).toBe(1);
+    });
+
+    test('createTransport picks the configured backend', () => {
+        expect(createTransport({ transport: 'noop' })).toBeInstanceOf(NoopTransport);
+        expect(createTransport({ transport: 'file', outbox: outboxDir })).toBeInstanceOf(FileTransport);
+        expect(() => createTransport({ transport: 'smtp', smtp: {} })).toThrow(/SMTP_HOST/);
+        expect(() => createTransport({ transport: 'carrier-pigeon' })).toThrow();
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * twoFactor.test.js
+ *
+ * Tests for TOTP two-factor authentication.
+ * Covers code generation against the RFC 6238 test vector, clock drift, replayed codes, one-use backup codes,
+ * the global requiring role holders to enrol, and step-up verification on sensitive routes.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import TwoFactor from '../../server/misc/TwoFactor.js';
+import TwoFactorDB from '../../server/db/twoFactorDB.js';
+import FieldEncryption from '../../server/misc/FieldEncryption.js';
+import AdminTransactionsAPI from '../../server/api/admin/AdminTransactionsAPI.js';
+
+describe('misc/TwoFactor', () => {
+    let world;
+    const secret = TwoFactor._base32Encode(Buffer.from('12345678901234567890'));
+    const backupCodes = ['aaaaa-11111', 'bbbbb-22222'];
+
+    /**
+     * Enrol a user with the test secret, as if they had confirmed it a while ago.
+     */
+    const enrol = async (alias) => {
+        const userId = world.data.users[alias];
+        await TwoFactorDB.savePendingSecret(world.db, userId, secret);
+        await TwoFactorDB.confirm(world.db, userId, 0, backupCodes.map(c => TwoFactor.hashBackupCode(c)));
+        return userId;
+    };
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        await world.createRole('Treasurer', ['transaction.manage']);
+        await world.createUser('treasurer', {}, ['Treasurer']);
+        await world.createUser('member', {});
+        new AdminTransactionsAPI(world.app, world.db).registerRoutes();
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('codes match the RFC 6238 test vector and allow one step of drift', () => {
+        expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(TwoFactor._base32Decode(secret).toString()).toBe('12345678901234567890');
+        expect(TwoFactor.generateCode(secret, TwoFactor.stepAt(new Date(59000)))).toBe('287082');
+        expect(TwoFactor.generateCode(secret, TwoFactor.stepAt(new Date(1111111109000)))).toBe('081804');
+
+        const now = new Date('2026-06-01T12:00:00.000Z');
+        const step = TwoFactor.stepAt(now);
+        expect(TwoFactor.matchStep(secret, TwoFactor.generateCode(secret, step - 1), now)).toBe(step - 1);
+        expect(TwoFactor.matchStep(secret, TwoFactor.generateCode(secret, step + 1), now)).toBe(step + 1);
+        expect(TwoFactor.matchStep(secret, TwoFactor.generateCode(secret, step - 2), now)).toBeNull();
+        expect(TwoFactor.matchStep(secret, 'abcdef', now)).toBeNull();
+    });
+
+    test('the secret is stored encrypted', async () => {
+        const userId = await enrol('member');
+        const row = await world.db.get('SELECT secret FROM user_two_factor WHERE user_id = ?', [userId]);
+        expect(FieldEncryption.isEncrypted(row.secret)).toBe(true);
+        expect((await TwoFactorDB.getSecret(world.db, userId)).getData().secret).toBe(secret);
+    });
+
+    test('a code cannot be used twice, and backup codes only once', async () => {
+        const userId = await enrol('member');
+        const code = TwoFactor.generateCode(secret, TwoFactor.stepAt());
+
+        expect((await TwoFactor.verify(world.db, userId, code)).getData()).toEqual({ method: 'totp' });
+        expect((await TwoFactor.verify(world.db, userId, code)).getStatus()).toBe(401);
+
+        expect((await TwoFactor.verify(world.db, userId, 'AAAAA 11111')).getData()).toEqual({ method: 'backup' });
+        expect((await TwoFactor.verify(world.db, userId, 'aaaaa-11111')).getStatus()).toBe(401);
+        expect((await TwoFactorDB.getStatus(world.db, userId)).getData().backup_codes_remaining).toBe(1);
+    });
+
+    test('sensitive routes need a fresh code once two-factor is enabled', async () => {
+        await world.addTransaction('member', -5, 'Mistake');
+        const { id: transactionId } = await world.db.get('SELECT id FROM transactions');
+        await enrol('treasurer');
+
+        const refused = await world.as('treasurer').delete(`/api/admin/transaction/${transactionId}`);
+        expect(refused.statusCode).toBe(403);
+        expect(refused.body.twoFactorRequired).toBe(true);
+
+        const wrong = await world.as('treasurer').delete(`/api/admin/transaction/${transactionId}`).set('X-Two-Factor-Code', '000000');
+        expect(wrong.statusCode).toBe(403);
+
+        const correction = await world.as('treasurer').put(`/api/admin/transaction/${transactionId}`).send({ amount: -4, description: 'Mistake', reason: 'Discounted' });
+        expect(correction.statusCode).toBe(403);
+        expect(correction.body.twoFactorRequired).toBe(true);
+
+        const res = await world.as('treasurer').delete(`/api/admin/transaction/${transactionId}`)
+            .set('X-Two-Factor-Code', TwoFactor.generateCode(secret, TwoFactor.stepAt())).send({ reason: 'Entered by mistake' });
+        expect(res.statusCode).toBe(200);
+    });
+
+    test('the global stops role holders using their role until they enrol', async () => {
+        await world.addTransaction('member', -5, 'Mistake');
+        const { id: transactionId } = await world.db.get('SELECT id FROM transactions');
+        world.mockGlobalInt('RequireTwoFactorForRoles', 1);
+
+        expect(await TwoFactor.enrolmentRequired(world.db, world.data.users['member'])).toBe(false);
+        expect(await TwoFactor.enrolmentRequired(world.db, world.data.users['treasurer'])).toBe(true);
+
+        const refused = await world.as('treasurer').delete(`/api/admin/transaction/${transactionId}`);
+        expect(refused.statusCode).toBe(403);
+        expect(refused.body.twoFactorSetupRequired).toBe(true);
+
+        await enrol('treasurer');
+        expect(await TwoFactor.enrolmentRequired(world.db, world.data.users['treasurer'])).toBe(false);
+    });
+});
@@ -0,0 +1,79 @@
+/**
+ * waitlistOffers.test.js
+ *
+ * Tests for the WaitlistOffers service.
+ * Covers offering freed spots in queue order, skipping ineligible users,
+ * capping offer expiry at the event start, and sweeping lapsed offers.
+ */
+
+import TestWorld from '../utils/TestWorld.js';
+import WaitlistOffers from '../../server/misc/WaitlistOffers.js';
+
+describe('misc/WaitlistOffers', () => {
+    let world;
+    let eventId;
+
+    beforeEach(async () => {
+        world = new TestWorld();
+        await world.setUp();
+        world.mockGlobalInt('WaitlistOfferHours', 6);
+
+        eventId = await world.createEvent('Session', { max_attendees: 1, enable_waitlist: 1 });
+        await world.createUser('first', { is_member: 1 });
+        await world.createUser('second', { is_member: 1 });
+        await world.db.run('INSERT INTO event_waiting_list (event_id, user_id, joined_at) VALUES (?, ?, ?)', [eventId, world.data.users['first'], '2024-01-01 10:00:00']);
+        await world.db.run('INSERT INTO event_waiting_list (event_id, user_id, joined_at) VALUES (?, ?, ?)', [eventId, world.data.users['second'], '2024-01-01 11:00:00']);
+    });
+
+    afterEach(async () => {
+        await world.tearDown();
+    });
+
+    test('offerFreedSpots offers each free spot to the front of the queue', async () => {
+        const offered = await WaitlistOffers.offerFreedSpots(world.db, eventId);
+        expect(offered).toEqual([world.data.users['first']]);
+
+        const emails = await world.db.all("SELECT user_id FROM email_outbox WHERE template = 'waitlistOffer'");
+        expect(emails.map(e => e.user_id)).toEqual([world.data.users['first']]);
+
+        const notifications = await world.db.all("SELECT user_id, link FROM notifications WHERE category = 'waitlist'");
+        expect(notifications).toEqual([{ user_id: world.data.users['first'], link: `/event/${eventId}` }]);
+
+        // A second call does not hand out the same spot again
+        expect(await WaitlistOffers.offerFreedSpots(world.db, eventId)).toEqual([]);
+    });
+
+    test('offerFreedSpots skips users who could not take the spot', async () => {
+        await world.db.run('UPDATE users SET filled_legal_info = 0 WHERE id = ?', [world.data.users['first']]);
+
+        const offered = await WaitlistOffers.offerFreedSpots(world.db, eventId);
+        expect(offered).toEqual([world.data.users['second']]);
+    });
+
+    test('offers use the configured window but never outlive the event start', async () => {
+        await WaitlistOffers.offerFreedSpots(world.db, eventId);
+        const offer = await world.db.get('SELECT expires_at FROM waitlist_offers WHERE event_id = ?', [eventId]);
+        const hours = (new Date(offer.expires_at) - Date.now()) / (60 * 60 * 1000);
+        expect(hours).toBeCloseTo(6, 1);
+
+        const soon = new Date(Date.now() + 30 * 60 * 1000);
+        expect(WaitlistOffers.getExpiry({ start: soon.toISOString() })).toEqual(soon);
+    });
+
+    test('sweep expires lapsed offers and passes the spot on', async () => {
+        await world.db.run(
+            'INSERT INTO waitlist_offers (event_id, user_id, expires_at) VALUES (?, ?, ?)',
+            [eventId, world.data.users['first'], new Date(Date.now() - 1000).toISOString()]
+        );
+
+        expect(await WaitlistOffers.sweep(world.db)).toBe(1);
+
+        const expired = await world.db.get('SELECT status FROM waitlist_offers WHERE user_id = ?', [world.data.users['first']]);
+        expect(expired.status).toBe('expired');
+        const onList = await world.db.get('SELECT 1 FROM event_waiting_list WHERE user_id = ?', [world.data.users['first']]);
+        expect(onList).toBeUndefined();
+
+        const next = await world.db.get('SELECT status FROM waitlist_offers WHERE user_id = ?', [world.data.users['second']]);
+        expect(next.status).toBe('pending');
+    });
+});
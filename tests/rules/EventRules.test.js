@@ -158,6 +158,14 @@ describe('rules/EventRules', () => {
             expect(status.getMessage()).toMatch(/legal/i);
         });
 
+        test('Denied: email address is not verified', async () => {
+            await world.db.run('UPDATE users SET email_verified_at = NULL WHERE id = ?', [user.id]);
+            const updatedUser = await world.db.get('SELECT * FROM users WHERE id = ?', [user.id]);
+            const status = await EventRules.canJoinEvent(world.db, event, updatedUser);
+            expect(status.getStatus()).toBe(403);
+            expect(status.getMessage()).toMatch(/email not verified/i);
+        });
+
         /**
          * Standing Rule: users with high debt are blocked from joining new events.
          */
@@ -207,11 +215,107 @@ describe('rules/EventRules', () => {
             expect(status.isError()).toBe(false);
         });
 
+        /**
+         * Policy: with NoShowPolicy = 'block', reaching NoShowLimit missed sessions prevents further signups.
+         */
+        test('Denied: repeat no-shows when the no-show policy blocks', async () => {
+            world.mockGlobalInt('NoShowLimit', 2);
+            world.mockGlobalObject('NoShowPolicy', { data: 'block' });
+
+            const missSession = async (alias) => {
+                const eventId = await world.createEvent(alias, { start: new Date(Date.now() - 3600000).toISOString() });
+                await world.db.run("INSERT INTO event_checkins (event_id, user_id, status) VALUES (?, ?, 'absent')", [eventId, user.id]);
+            };
+
+            await missSession('Missed1');
+            expect((await EventRules.canJoinEvent(world.db, event, user)).isError()).toBe(false);
+
+            await missSession('Missed2');
+            const status = await EventRules.canJoinEvent(world.db, event, user);
+            expect(status.getStatus()).toBe(403);
+            expect(status.getMessage()).toMatch(/missed sessions/i);
+
+            world.mockGlobalObject('NoShowPolicy', { data: 'deprioritise' });
+            expect((await EventRules.canJoinEvent(world.db, event, user)).isError()).toBe(false);
+        });
+
         test('Denied: user is already signed up for the event', async () => {
             await world.joinEvent('member', 'Joinable');
             const status = await EventRules.canJoinEvent(world.db, event, user);
             expect(status.getStatus()).toBe(400);
             expect(status.getMessage()).toMatch(/Already attending/i);
         });
+
+        /**
+         * Signup windows: nobody joins before general signups open unless an earlier member or role window applies.
+         */
+        test('Denied: signups have not opened yet', async () => {
+            const later = new Date(Date.now() + 3600000).toISOString();
+            await world.db.run('UPDATE events SET signup_opens_at = ? WHERE id = ?', [later, event.id]);
+            const updated = await world.db.get('SELECT * FROM events WHERE id = ?', [event.id]);
+
+            const status = await EventRules.canJoinEvent(world.db, updated, user);
+            expect(status.getStatus()).toBe(403);
+            expect(status.getMessage()).toMatch(/not opened/i);
+        });
+
+        test('Success case: members join during the member priority window', async () => {
+            const later = new Date(Date.now() + 3600000).toISOString();
+            const earlier = new Date(Date.now() - 3600000).toISOString();
+            await world.db.run('UPDATE events SET signup_opens_at = ?, member_signup_opens_at = ? WHERE id = ?', [later, earlier, event.id]);
+            const updated = await world.db.get('SELECT * FROM events WHERE id = ?', [event.id]);
+
+            expect((await EventRules.canJoinEvent(world.db, updated, user)).isError()).toBe(false);
+
+            await world.createUser('guest', { is_member: 0 });
+            const guest = await world.db.get('SELECT * FROM users WHERE first_name = "guest"');
+            expect((await EventRules.canJoinEvent(world.db, updated, guest)).getStatus()).toBe(403);
+        });
+
+        test('Success case: role holders join during their priority window', async () => {
+            const later = new Date(Date.now() + 3600000).toISOString();
+            const earlier = new Date(Date.now() - 3600000).toISOString();
+            const roleId = await world.createRole('Racing Squad');
+            await world.createUser('racer', { is_member: 0 }, ['Racing Squad']);
+            const racer = await world.db.get('SELECT * FROM users WHERE first_name = "racer"');
+
+            await world.db.run('UPDATE events SET signup_opens_at = ? WHERE id = ?', [later, event.id]);
+            await world.db.run('INSERT INTO event_signup_windows (event_id, role_id, opens_at) VALUES (?, ?, ?)', [event.id, roleId, earlier]);
+            const updated = await world.db.get('SELECT * FROM events WHERE id = ?', [event.id]);
+
+            expect((await EventRules.canJoinEvent(world.db, updated, racer)).isError()).toBe(false);
+            expect((await EventRules.canJoinEvent(world.db, updated, user)).getStatus()).toBe(403);
+        });
+    });
+
+    describe('getSignupOpensAt', () => {
+        test('returns the earliest window that applies to the user', async () => {
+            const general = new Date(Date.now() + 3 * 3600000);
+            const member = new Date(Date.now() + 2 * 3600000);
+            const role = new Date(Date.now() + 3600000);
+
+            const eventId = await world.createEvent('Windowed', {
+                signup_opens_at: general.toISOString(),
+                member_signup_opens_at: member.toISOString()
+            });
+            const roleId = await world.createRole('Committee');
+            await world.db.run('INSERT INTO event_signup_windows (event_id, role_id, opens_at) VALUES (?, ?, ?)', [eventId, roleId, role.toISOString()]);
+            const event = await world.db.get('SELECT * FROM events WHERE id = ?', [eventId]);
+
+            await world.createUser('plain', { is_member: 0 });
+            await world.createUser('member', { is_member: 1 });
+            await world.createUser('committee', { is_member: 1 }, ['Committee']);
+            const userFor = (alias) => world.db.get('SELECT * FROM users WHERE id = ?', [world.data.users[alias]]);
+
+            expect(await EventRules.getSignupOpensAt(world.db, event, await userFor('plain'))).toEqual(general);
+            expect(await EventRules.getSignupOpensAt(world.db, event, await userFor('member'))).toEqual(member);
+            expect(await EventRules.getSignupOpensAt(world.db, event, await userFor('committee'))).toEqual(role);
+        });
+
+        test('returns null when the event has no signup window', async () => {
+            const eventId = await world.createEvent('Open');
+            const event = await world.db.get('SELECT * FROM events WHERE id = ?', [eventId]);
+            expect(await EventRules.getSignupOpensAt(world.db, event, null)).toBeNull();
+        });
     });
 });
@@ -37,7 +37,7 @@ export default class TestWorld {
     async setUp() {
         this.db = await setupTestDb();
         this.app = express();
-        this.app.use(express.json());
+        this.app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
         /**
          * Auth Simulation Middleware:
@@ -153,6 +153,7 @@ export default class TestWorld {
             college_id: 1,
             difficulty_level: 1,
             is_member: 0,
+            email_verified_at: '2024-01-01 00:00:00',
             filled_legal_info: 1,
             free_sessions: 3,
             is_instructor: 0
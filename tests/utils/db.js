@@ -7,7 +7,7 @@
 
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
-import { createTables } from '../../server/db/init/tables.js';
+import Migrator from '../../server/db/init/migrator.js';
 import { seedColleges } from '../../server/db/init/seed/essential.js';
 
 /**
@@ -25,8 +25,8 @@ export async function setupTestDb() {
     await db.exec('PRAGMA busy_timeout = 5000;');
     await db.exec('PRAGMA foreign_keys = ON;');
 
-    // Bootstrap minimal schema
-    await createTables(db);
+    // Bootstrap the schema from the migrations
+    await Migrator.migrate(db);
     // Seed essential metadata (colleges) needed for user factories
     await seedColleges(db);
 